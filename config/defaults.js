@@ -1,13 +1,25 @@
 'use strict'
 
+const {
+  getPackageManagerCommands,
+  renderPackageManagerCommand,
+} = require('../lib/package-utils')
+
 const STYLELINT_EXTENSIONS = ['css', 'scss', 'sass', 'less', 'pcss']
 const DEFAULT_STYLELINT_TARGET = `**/*.{${STYLELINT_EXTENSIONS.join(',')}}`
 
+// Node toolchain pinning files setup adds to the project
+const NODE_TOOLCHAIN_FILES = {
+  '.nvmrc': '20\n',
+  '.npmrc': 'engine-strict = true\n',
+}
+
 /**
  * @typedef {Object} DefaultsOptions
  * @property {string[]=} stylelintTargets
  * @property {boolean=} typescript
  * @property {boolean=} python
+ * @property {(string|{name: string, yarnBerry?: boolean, pnp?: boolean})=} packageManager
  */
 
 const baseScripts = {
@@ -111,13 +123,26 @@ const TS_LINT_STAGED_PATTERN = '**/*.{js,jsx,ts,tsx,mjs,cjs,html}'
 const clone = value => JSON.parse(JSON.stringify(value))
 
 /**
+ * Scripts rendered for `packageManager` (detected by setup); without it the
+ * npm-flavoured defaults with a lockfile-detecting audit script
  * @param {DefaultsOptions} [options]
  */
-function getDefaultScripts({ stylelintTargets } = {}) {
-  return {
+function getDefaultScripts({ stylelintTargets, packageManager } = {}) {
+  const scripts = {
     ...clone(baseScripts),
     ...baseLintScripts({ stylelintTargets }),
   }
+  if (!packageManager) {
+    return scripts
+  }
+
+  scripts['security:audit'] = getPackageManagerCommands(packageManager).audit
+  return Object.fromEntries(
+    Object.entries(scripts).map(([name, command]) => [
+      name,
+      renderPackageManagerCommand(command, packageManager),
+    ])
+  )
 }
 
 /**
@@ -143,5 +168,6 @@ module.exports = {
   getDefaultDevDependencies,
   getDefaultLintStaged,
   getDefaultScripts,
+  NODE_TOOLCHAIN_FILES,
   STYLELINT_EXTENSIONS,
 }
@@ -0,0 +1,380 @@
+'use strict'
+
+/**
+ * CircleCI configuration for analyze-ci
+ *
+ * Reads .circleci/config.yml into the jobs analyze-ci prices. Each workflow
+ * is a pipeline of its own; scheduled workflows (`triggers: - schedule`)
+ * run at their cron frequency instead of once per push. Jobs run on the
+ * executor and resource class they declare, once per `matrix` combination
+ * and `parallelism` container. Approval jobs and tag-only jobs don't run
+ * for every push.
+ */
+
+const path = require('path')
+const yaml = require('js-yaml')
+const { isDeepStrictEqual } = require('util')
+const { CI_PROVIDERS } = require('./ci-pricing')
+
+const CONFIG_FILE = path.join('.circleci', 'config.yml')
+
+const CIRCLECI_PRICING = CI_PROVIDERS.circleci.pricing
+
+// Resource class of executors that don't set one
+const DEFAULT_RESOURCE_CLASSES = {
+  docker: 'medium',
+  machine: 'medium',
+  macos: 'm2pro.medium',
+  windows: 'windows.medium',
+}
+
+/**
+ * Recommendation actions in CircleCI syntax
+ */
+const ACTIONS = {
+  caching:
+    'Add restore_cache/save_cache keyed on {{ checksum "package-lock.json" }}, or install with node/install-packages (cached by default)',
+  matrix: size =>
+    `Trim the matrix parameters to the combinations that matter (reduce to ${Math.ceil(size / 2)})`,
+  conditional:
+    'Skip docs-only changes with the path-filtering orb from a setup workflow (setup: true)',
+  frequency: 'Change the schedule trigger to weekly (cron: "0 0 * * 1")',
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Parse .circleci/config.yml
+ * @param {string} content - File content
+ * @returns {Object} Configuration
+ */
+function parse(content) {
+  return yaml.load(content) || {}
+}
+
+/**
+ * Number of values a cron field matches
+ * @param {string} field - Cron field
+ * @param {number} min - Lowest value of the field
+ * @param {number} max - Highest value of the field
+ * @returns {number}
+ */
+function countCronField(field, min, max) {
+  return field.split(',').reduce((total, part) => {
+    const [range, step] = part.split('/')
+    const [from, to] =
+      range === '*'
+        ? [min, max]
+        : range.includes('-')
+          ? range.split('-').map(Number)
+          : [Number(range), step ? max : Number(range)]
+    const count = Math.floor((to - from) / (Number(step) || 1)) + 1
+    // Names (MON, JAN) and other forms count once
+    return total + (Number.isFinite(count) && count > 0 ? count : 1)
+  }, 0)
+}
+
+/**
+ * Runs per month of a cron schedule
+ * @param {string} cron - Five-field cron expression
+ * @returns {number}
+ */
+function cronRunsPerMonth(cron) {
+  const fields = String(cron).trim().split(/\s+/)
+  if (fields.length !== 5) {
+    return 30
+  }
+  const [minute, hour, dayOfMonth, , dayOfWeek] = fields
+  const runsPerDay = countCronField(minute, 0, 59) * countCronField(hour, 0, 23)
+  const monthDays = dayOfMonth === '*' ? 0 : countCronField(dayOfMonth, 1, 31)
+  const weekDays =
+    dayOfWeek === '*' ? 0 : (countCronField(dayOfWeek, 0, 6) * 30) / 7
+  // Day-of-month and day-of-week fields match either way when both are set
+  const days =
+    monthDays === 0 && weekDays === 0 ? 30 : Math.min(monthDays + weekDays, 30)
+  return runsPerDay * days
+}
+
+/**
+ * Workflows of a configuration, scheduled ones with their runs per month
+ *
+ * A config without workflows runs its `build` job.
+ * @param {Object} config - Parsed configuration
+ * @returns {{pipeline: string|null, runsPerMonth?: number}[]}
+ */
+function listPipelines(config) {
+  const workflows = isPlainObject(config.workflows) ? config.workflows : {}
+  const pipelines = Object.entries(workflows)
+    .filter(([, workflow]) => isPlainObject(workflow))
+    .map(([name, workflow]) => {
+      const schedule = []
+        .concat(workflow.triggers || [])
+        .find(
+          trigger =>
+            isPlainObject(trigger) &&
+            isPlainObject(trigger.schedule) &&
+            trigger.schedule.cron
+        )
+      return schedule
+        ? {
+            pipeline: name,
+            runsPerMonth: cronRunsPerMonth(schedule.schedule.cron),
+          }
+        : { pipeline: name }
+    })
+  return pipelines.length > 0 ? pipelines : [{ pipeline: null }]
+}
+
+/**
+ * Job entries of a workflow with their parameters
+ * @param {Object} config - Parsed configuration
+ * @param {string|null} pipeline - Workflow name
+ * @returns {{name: string, job: string, params: Object<string, any>}[]}
+ */
+function workflowJobs(config, pipeline) {
+  if (pipeline === null) {
+    return [{ name: 'build', job: 'build', params: {} }]
+  }
+  const workflow = config.workflows[pipeline]
+  return [].concat(workflow.jobs || []).flatMap(entry => {
+    if (typeof entry === 'string') {
+      return [{ name: entry, job: entry, params: {} }]
+    }
+    if (!isPlainObject(entry)) {
+      return []
+    }
+    const [job, params] = Object.entries(entry)[0] || []
+    const options = isPlainObject(params) ? params : {}
+    return job ? [{ name: options.name || job, job, params: options }] : []
+  })
+}
+
+/**
+ * Executor type and resource class of a job
+ * @param {Object} config - Parsed configuration
+ * @param {Object} job - Job definition
+ * @returns {{type: string, resourceClass: string|null, assumed: boolean}}
+ */
+function jobExecutor(config, job) {
+  let executor = job
+  let assumed = false
+  if (!job.docker && !job.machine && !job.macos && job.executor) {
+    const name =
+      typeof job.executor === 'string' ? job.executor : job.executor.name
+    const executors = isPlainObject(config.executors) ? config.executors : {}
+    if (isPlainObject(executors[name])) {
+      executor = executors[name]
+    } else {
+      // Orb executors: windows orb, macos orb, the rest run Docker images
+      const type = /^(win|windows)\//.test(name)
+        ? 'windows'
+        : /^macos\//.test(name)
+          ? 'macos'
+          : 'docker'
+      executor = { [type]: true }
+      assumed =
+        !/^(win|windows|macos|node|python|ruby|go|browser-tools)\//.test(name)
+    }
+  }
+
+  const machineImage = isPlainObject(executor.machine)
+    ? String(executor.machine.image || '')
+    : ''
+  const type = executor.docker
+    ? 'docker'
+    : executor.macos
+      ? 'macos'
+      : executor.windows || machineImage.startsWith('windows')
+        ? 'windows'
+        : executor.machine
+          ? 'machine'
+          : 'docker'
+  const resourceClass = job.resource_class || executor.resource_class || null
+  return {
+    type,
+    resourceClass: typeof resourceClass === 'string' ? resourceClass : null,
+    assumed:
+      assumed ||
+      !(
+        executor.docker ||
+        executor.machine ||
+        executor.macos ||
+        executor.windows
+      ),
+  }
+}
+
+/**
+ * Runner key of an executor
+ * @param {{type: string, resourceClass: string|null, assumed: boolean}} executor
+ * @param {Object<string, import('./ci-pricing').RunnerPricing>} pricing - Pricing table
+ * @returns {{key: string, assumed: boolean}}
+ */
+function classifyRunner(executor, pricing) {
+  const { type, resourceClass } = executor
+  if (
+    resourceClass &&
+    pricing[resourceClass] &&
+    !(resourceClass in CIRCLECI_PRICING)
+  ) {
+    return { key: resourceClass, assumed: false }
+  }
+  // Self-hosted runner resource classes are namespace/name
+  if (resourceClass && resourceClass.includes('/')) {
+    return { key: 'self-hosted', assumed: false }
+  }
+  const known = resourceClass && `${type}:${resourceClass}`
+  if (known && pricing[known]) {
+    return { key: known, assumed: executor.assumed }
+  }
+  return {
+    key: `${type}:${DEFAULT_RESOURCE_CLASSES[type]}`,
+    // A resource class set from a parameter can't be resolved
+    assumed: executor.assumed || Boolean(resourceClass),
+  }
+}
+
+/**
+ * A step as the name analyze-ci estimates it by, and its command
+ * @param {any} step - Job step
+ * @returns {{name: string, command: string|null}}
+ */
+function describeStep(step) {
+  if (typeof step === 'string') {
+    return { name: step, command: null }
+  }
+  if (!isPlainObject(step)) {
+    return { name: '', command: null }
+  }
+  const [key, value] = Object.entries(step)[0] || ['', null]
+  if (key === 'run') {
+    const command = isPlainObject(value) ? value.command : value
+    const name = isPlainObject(value) && value.name ? value.name : command
+    return {
+      name: typeof name === 'string' ? name : 'run',
+      command: typeof command === 'string' ? command : null,
+    }
+  }
+  return { name: key, command: null }
+}
+
+/**
+ * Combinations of a workflow job's matrix, excludes removed
+ * @param {any} matrix - The job entry's matrix
+ * @returns {number}
+ */
+function matrixSize(matrix) {
+  if (!isPlainObject(matrix) || !isPlainObject(matrix.parameters)) {
+    return 1
+  }
+  let combinations = [{}]
+  for (const [name, values] of Object.entries(matrix.parameters)) {
+    combinations = combinations.flatMap(combination =>
+      [].concat(values).map(value => ({ ...combination, [name]: value }))
+    )
+  }
+  const excluded = [].concat(matrix.exclude || []).filter(isPlainObject)
+  return combinations.filter(
+    combination =>
+      !excluded.some(entry =>
+        Object.entries(entry).every(([name, value]) =>
+          isDeepStrictEqual(combination[name], value)
+        )
+      )
+  ).length
+}
+
+/**
+ * When a workflow job runs: approval jobs wait for a person, jobs whose
+ * filters ignore every branch only run for tags
+ * @param {Object<string, any>} params - Workflow job parameters
+ * @returns {'pipeline'|'manual'|'tags'}
+ */
+function jobTrigger(params) {
+  if (params.type === 'approval') {
+    return 'manual'
+  }
+  const branches = isPlainObject(params.filters) && params.filters.branches
+  const ignored = isPlainObject(branches)
+    ? [].concat(branches.ignore || [])
+    : []
+  return ignored.some(pattern => ['/.*/', '.*'].includes(String(pattern)))
+    ? 'tags'
+    : 'pipeline'
+}
+
+/**
+ * Jobs of a workflow in the shape analyze-ci prices
+ *
+ * Jobs from orbs (`node/test`) aren't in the config and are priced by name
+ * on the default runner.
+ * @param {Object} config - Parsed configuration
+ * @param {string|null} pipeline - Workflow name
+ * @param {Object<string, import('./ci-pricing').RunnerPricing>} pricing - Pricing table
+ * @returns {Array<Object>} Jobs
+ */
+function getJobs(config, pipeline, pricing) {
+  const definitions = isPlainObject(config.jobs) ? config.jobs : {}
+  return workflowJobs(config, pipeline).map(({ name, job, params }) => {
+    const definition = isPlainObject(definitions[job]) ? definitions[job] : null
+    const steps = definition
+      ? [].concat(definition.steps || []).map(describeStep)
+      : [{ name: job, command: null }]
+    const runner = definition
+      ? classifyRunner(jobExecutor(config, definition), pricing)
+      : {
+          key: CI_PROVIDERS.circleci.defaultRunner,
+          assumed: params.type !== 'approval',
+        }
+    const size = matrixSize(params.matrix)
+    return {
+      name,
+      steps: steps.map(step => ({ name: step.name })),
+      commands: steps.map(step => step.command).filter(Boolean),
+      cached: steps.some(
+        step =>
+          step.name === 'restore_cache' ||
+          step.name.endsWith('/install-packages')
+      ),
+      matrixSize: size,
+      parallelism:
+        definition && typeof definition.parallelism === 'number'
+          ? definition.parallelism
+          : 1,
+      runners: Array.from({ length: size }, () => runner),
+      trigger: jobTrigger(params),
+    }
+  })
+}
+
+/**
+ * Whether the config only runs for changed paths (dynamic config with a
+ * setup workflow, as the path-filtering orb uses)
+ * @param {Object} config - Parsed configuration
+ * @returns {boolean}
+ */
+function filtersPaths(config) {
+  return config.setup === true
+}
+
+/**
+ * Superseded pipelines are cancelled by the "Auto-cancel redundant
+ * workflows" project setting, which the config doesn't show
+ * @returns {null}
+ */
+function cancelsSuperseded() {
+  return null
+}
+
+module.exports = {
+  CONFIG_FILE,
+  ACTIONS,
+  parse,
+  listPipelines,
+  getJobs,
+  filtersPaths,
+  cancelsSuperseded,
+  cronRunsPerMonth,
+}
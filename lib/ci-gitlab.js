@@ -0,0 +1,354 @@
+'use strict'
+
+/**
+ * GitLab CI configuration for analyze-ci
+ *
+ * Reads .gitlab-ci.yml into the jobs analyze-ci prices: `extends` and
+ * `default:` are applied, `rules`/`when`/`only` tell pipeline jobs from
+ * manual, scheduled and tag-only ones, and `parallel` (including
+ * `parallel: matrix`) sets the number of instances. A job's `tags` pick its
+ * runner: GitLab.com hosted runners by their saas-* tag, untagged jobs on
+ * the small Linux runner, anything else on a self-managed runner.
+ */
+
+const yaml = require('js-yaml')
+const { CI_PROVIDERS } = require('./ci-pricing')
+
+const CONFIG_FILE = '.gitlab-ci.yml'
+
+const { pricing: GITLAB_PRICING, defaultRunner: DEFAULT_RUNNER } =
+  CI_PROVIDERS.gitlab
+
+// Top-level keywords that aren't jobs
+const GLOBAL_KEYWORDS = new Set([
+  'default',
+  'include',
+  'stages',
+  'variables',
+  'workflow',
+  'image',
+  'services',
+  'cache',
+  'before_script',
+  'after_script',
+  'types',
+])
+
+// Job keywords `default:` (and the deprecated top-level globals) provide
+const DEFAULT_KEYWORDS = [
+  'image',
+  'services',
+  'cache',
+  'before_script',
+  'after_script',
+  'tags',
+  'interruptible',
+  'timeout',
+  'retry',
+]
+
+// `!reference [.job, script]` is kept as a marker, not resolved
+const GITLAB_SCHEMA = yaml.DEFAULT_SCHEMA.extend([
+  new yaml.Type('!reference', {
+    kind: 'sequence',
+    construct: data => ({ reference: data }),
+  }),
+])
+
+/**
+ * Recommendation actions in GitLab CI syntax
+ */
+const ACTIONS = {
+  caching:
+    'Add a cache: keyed on the lockfile (key: files: [package-lock.json], paths: [.npm/]) and install with npm ci --cache .npm',
+  matrix: size =>
+    `Trim parallel:matrix to the combinations that matter (reduce to ${Math.ceil(size / 2)})`,
+  conditional:
+    'Add rules: changes: listing the source paths (src/**/*, package*.json) so docs-only commits skip the jobs',
+  concurrency:
+    'Set interruptible: true under default: so GitLab auto-cancels pipelines superseded by a newer push',
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Deep merge as `extends` does it: mappings merge, everything else replaces
+ * @param {Object} base
+ * @param {Object} override
+ * @returns {Object}
+ */
+function mergeJob(base, override) {
+  /** @type {Object<string, any>} */
+  const merged = { ...base }
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(merged[key])
+        ? mergeJob(merged[key], value)
+        : value
+  }
+  return merged
+}
+
+/**
+ * Parse .gitlab-ci.yml
+ * @param {string} content - File content
+ * @returns {Object} Configuration
+ */
+function parse(content) {
+  return yaml.load(content, { schema: GITLAB_SCHEMA }) || {}
+}
+
+/**
+ * Names of the jobs in a configuration (hidden `.templates` excluded)
+ * @param {Object} config - Parsed configuration
+ * @returns {string[]}
+ */
+function listJobNames(config) {
+  return Object.keys(config).filter(
+    name =>
+      !GLOBAL_KEYWORDS.has(name) &&
+      !name.startsWith('.') &&
+      isPlainObject(config[name])
+  )
+}
+
+/**
+ * A job with `extends` and `default:` applied
+ * @param {Object} config - Parsed configuration
+ * @param {string} name - Job name
+ * @param {string[]} [seen] - Jobs being resolved (guards extends cycles)
+ * @returns {Object<string, any>}
+ */
+function resolveJob(config, name, seen = []) {
+  const { extends: parents, ...own } = config[name]
+  let job = {}
+  for (const parent of [].concat(parents || [])) {
+    if (isPlainObject(config[parent]) && !seen.includes(parent)) {
+      job = mergeJob(job, resolveJob(config, parent, [...seen, name]))
+    }
+  }
+  job = mergeJob(job, own)
+
+  if (seen.length === 0) {
+    const defaults = isPlainObject(config.default) ? config.default : {}
+    for (const keyword of DEFAULT_KEYWORDS) {
+      if (!(keyword in job) && keyword in defaults) {
+        job[keyword] = defaults[keyword]
+      } else if (!(keyword in job) && keyword in config) {
+        job[keyword] = config[keyword]
+      }
+    }
+  }
+  return job
+}
+
+/**
+ * When a job runs
+ *
+ * Jobs whose rules only match schedules or tags, manual jobs and trigger
+ * jobs (which start a downstream pipeline) don't run for every push.
+ * @param {Object} job - Resolved job
+ * @returns {'pipeline'|'manual'|'schedule'|'tags'|'downstream'}
+ */
+function jobTrigger(job) {
+  if (job.trigger) {
+    return 'downstream'
+  }
+  if (Array.isArray(job.rules)) {
+    const matching = job.rules.filter(
+      rule => isPlainObject(rule) && rule.when !== 'never'
+    )
+    if (
+      matching.length === 0 ||
+      matching.every(rule => rule.when === 'manual')
+    ) {
+      return 'manual'
+    }
+    const conditions = matching.map(rule =>
+      typeof rule.if === 'string' ? rule.if.trim() : ''
+    )
+    if (
+      conditions.every(condition =>
+        /\$CI_PIPELINE_SOURCE\s*==\s*["']schedule["']/.test(condition)
+      )
+    ) {
+      return 'schedule'
+    }
+    if (
+      conditions.every(
+        condition =>
+          /^\$CI_COMMIT_TAG\b/.test(condition) && !condition.includes('null')
+      )
+    ) {
+      return 'tags'
+    }
+    return 'pipeline'
+  }
+  if (job.when === 'manual') {
+    return 'manual'
+  }
+  const only = [].concat(
+    isPlainObject(job.only) ? job.only.refs || [] : job.only || []
+  )
+  if (only.length > 0 && only.every(ref => ref === 'schedules')) {
+    return 'schedule'
+  }
+  if (only.length > 0 && only.every(ref => ref === 'tags')) {
+    return 'tags'
+  }
+  return 'pipeline'
+}
+
+/**
+ * Variable combinations of `parallel: matrix`
+ * @param {any} parallel - The job's parallel keyword
+ * @returns {Object<string, string>[]} Combinations ([{}] without a matrix)
+ */
+function expandParallelMatrix(parallel) {
+  if (!isPlainObject(parallel) || !Array.isArray(parallel.matrix)) {
+    return [{}]
+  }
+  const combinations = []
+  for (const entry of parallel.matrix.filter(isPlainObject)) {
+    let entryCombinations = [{}]
+    for (const [name, values] of Object.entries(entry)) {
+      entryCombinations = entryCombinations.flatMap(combination =>
+        [].concat(values).map(value => ({ ...combination, [name]: value }))
+      )
+    }
+    combinations.push(...entryCombinations)
+  }
+  return combinations.length > 0 ? combinations : [{}]
+}
+
+/**
+ * Runner a job's tags select
+ * @param {string[]} tags - Tags with matrix variables substituted
+ * @param {Object<string, import('./ci-pricing').RunnerPricing>} pricing - Pricing table
+ * @returns {{key: string, assumed: boolean}}
+ */
+function classifyRunner(tags, pricing) {
+  const custom = Object.keys(pricing).find(
+    key => !(key in GITLAB_PRICING) && tags.includes(key)
+  )
+  if (custom) {
+    return { key: custom, assumed: false }
+  }
+  const hosted = tags.find(tag => tag in GITLAB_PRICING)
+  if (hosted) {
+    return { key: hosted, assumed: false }
+  }
+  if (tags.length === 0) {
+    return { key: DEFAULT_RUNNER, assumed: false }
+  }
+  // Tags from variables the matrix doesn't set can't be resolved
+  if (tags.some(tag => tag.includes('$'))) {
+    return { key: DEFAULT_RUNNER, assumed: true }
+  }
+  return { key: 'self-managed', assumed: false }
+}
+
+/**
+ * Script lines of a job, `!reference` markers dropped
+ * @param {Object} job - Resolved job
+ * @returns {string[]}
+ */
+function scriptLines(job) {
+  return ['before_script', 'script', 'after_script']
+    .flatMap(keyword => [].concat(job[keyword] || []))
+    .flat()
+    .filter(line => typeof line === 'string')
+}
+
+/**
+ * Jobs of the pipeline in the shape analyze-ci prices
+ * @param {Object} config - Parsed configuration
+ * @param {string|null} pipeline - Unused: GitLab has one pipeline
+ * @param {Object<string, import('./ci-pricing').RunnerPricing>} pricing - Pricing table
+ * @returns {Array<Object>} Jobs
+ */
+function getJobs(config, pipeline, pricing) {
+  return listJobNames(config).map(name => {
+    const job = resolveJob(config, name)
+    const commands = scriptLines(job)
+    const combinations = expandParallelMatrix(job.parallel)
+    const runners = combinations.map(combination =>
+      classifyRunner(
+        []
+          .concat(job.tags || [])
+          .map(tag =>
+            String(tag).replace(/\$\{?(\w+)\}?/g, (reference, variable) =>
+              variable in combination
+                ? String(combination[variable])
+                : reference
+            )
+          ),
+        pricing
+      )
+    )
+    const cache = job.cache
+    return {
+      name,
+      steps: commands.map(command => ({ name: command })),
+      commands,
+      cached: Boolean(cache) && !(Array.isArray(cache) && cache.length === 0),
+      matrixSize: combinations.length,
+      parallelism: typeof job.parallel === 'number' ? job.parallel : 1,
+      runners,
+      trigger: jobTrigger(job),
+    }
+  })
+}
+
+/**
+ * The one pipeline of a GitLab configuration
+ * @returns {{pipeline: null}[]}
+ */
+function listPipelines() {
+  return [{ pipeline: null }]
+}
+
+/**
+ * Whether pipelines or jobs are limited to changed paths (`rules: changes`)
+ * @param {Object} config - Parsed configuration
+ * @returns {boolean}
+ */
+function filtersPaths(config) {
+  const hasChanges = rules =>
+    Array.isArray(rules) &&
+    rules.some(rule => isPlainObject(rule) && rule.changes)
+  return (
+    (isPlainObject(config.workflow) && hasChanges(config.workflow.rules)) ||
+    listJobNames(config).some(name => {
+      const job = resolveJob(config, name)
+      return (
+        hasChanges(job.rules) ||
+        (isPlainObject(job.only) && Boolean(job.only.changes))
+      )
+    })
+  )
+}
+
+/**
+ * Whether a newer push cancels the running pipeline: GitLab auto-cancels
+ * redundant pipelines, but only stops jobs marked `interruptible`
+ * @param {Object} config - Parsed configuration
+ * @returns {boolean}
+ */
+function cancelsSuperseded(config) {
+  return listJobNames(config).some(
+    name => resolveJob(config, name).interruptible === true
+  )
+}
+
+module.exports = {
+  CONFIG_FILE,
+  ACTIONS,
+  parse,
+  listPipelines,
+  getJobs,
+  filtersPaths,
+  cancelsSuperseded,
+}
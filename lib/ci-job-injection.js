@@ -0,0 +1,150 @@
+/**
+ * CI job injection helpers
+ *
+ * Language setups (Rust, Go, ...) add their own jobs to the generated CI
+ * configs. The configs are edited as text so comments and formatting from
+ * the templates survive; every job carries a marker comment that keeps
+ * repeated setup runs idempotent.
+ */
+
+'use strict'
+
+/**
+ * Insert text at the first matching anchor, or append it
+ * @param {string} content - File content
+ * @param {RegExp[]} anchors - Multiline patterns; text goes before the first match
+ * @param {string} text - Text to insert (should end with a blank line)
+ * @returns {string} Updated content
+ */
+function insertBeforeAnchor(content, anchors, text) {
+  for (const anchor of anchors) {
+    const match = content.match(anchor)
+    if (match && match.index !== undefined) {
+      return content.slice(0, match.index) + text + content.slice(match.index)
+    }
+  }
+
+  return `${content.replace(/\s*$/, '\n')}\n${text.trimEnd()}\n`
+}
+
+/**
+ * Add a job to the `needs` of the summary job, so the summary waits for it
+ * @param {string} workflowContent - quality.yml content
+ * @param {string} jobId - Job key
+ * @returns {string} Updated content (unchanged without a summary `needs`)
+ */
+function addSummaryNeed(workflowContent, jobId) {
+  const lines = workflowContent.split('\n')
+  const summaryLine = lines.findIndex(line => /^ {2}summary:/.test(line))
+  if (summaryLine === -1) {
+    return workflowContent
+  }
+
+  for (let i = summaryLine + 1; i < lines.length; i++) {
+    const line = lines[i]
+    // The summary job ends at the next job or top-level key
+    if (/^ {0,2}\S/.test(line)) break
+    const needs = line.match(/^ {4}needs:(.*)$/)
+    if (!needs) continue
+
+    const value = needs[1].trim()
+    if (value.startsWith('[')) {
+      lines[i] = line.replace(/\s*\]/, `, ${jobId}]`)
+    } else if (value) {
+      lines[i] = `    needs: [${value}, ${jobId}]`
+    } else {
+      let last = i
+      while (/^ {6}- /.test(lines[last + 1] || '')) last++
+      lines.splice(last + 1, 0, `      - ${jobId}`)
+    }
+    return lines.join('\n')
+  }
+  return workflowContent
+}
+
+/**
+ * Add a job to a GitHub Actions quality.yml (before the summary job, which
+ * then needs it)
+ * @param {string} workflowContent - quality.yml content
+ * @param {string} marker - Marker comment identifying the job
+ * @param {string} jobYaml - Job definition indented under `jobs:`, starting with the marker line
+ * @returns {string} Updated content (unchanged if the marker is present)
+ */
+function injectGitHubJob(workflowContent, marker, jobYaml) {
+  if (workflowContent.includes(marker)) {
+    return workflowContent
+  }
+
+  const injected = insertBeforeAnchor(
+    workflowContent,
+    [/^ {2}# Step \d+: Summary/m, /^ {2}summary:/m],
+    jobYaml
+  )
+  const jobId = jobYaml.match(/^ {2}([\w-]+):/m)
+  return jobId ? addSummaryNeed(injected, jobId[1]) : injected
+}
+
+/**
+ * Add a top-level job to a .gitlab-ci.yml
+ * @param {string} content - .gitlab-ci.yml content
+ * @param {string} marker - Marker comment identifying the job
+ * @param {string} jobYaml - Top-level job definition, starting with the marker line
+ * @returns {string} Updated content (unchanged if the marker is present)
+ */
+function injectGitLabJob(content, marker, jobYaml) {
+  if (content.includes(marker)) {
+    return content
+  }
+
+  return `${content.replace(/\s*$/, '\n')}\n${jobYaml.trimEnd()}\n`
+}
+
+/**
+ * Add a job to a CircleCI config and run it in every workflow
+ * @param {string} content - .circleci/config.yml content
+ * @param {string} marker - Marker comment identifying the job
+ * @param {string} jobName - Job key
+ * @param {string} jobYaml - Job definition indented under `jobs:`, starting with the marker line
+ * @returns {string} Updated content (unchanged if the marker is present)
+ */
+function injectCircleCiJob(content, marker, jobName, jobYaml) {
+  if (content.includes(marker)) {
+    return content
+  }
+
+  const workflowsMatch = content.match(/^workflows:\s*$/m)
+  if (!workflowsMatch || workflowsMatch.index === undefined) {
+    // No workflows section to wire the job into; define it and add one
+    return `${content.replace(/\s*$/, '\n')}\n${jobYaml.trimEnd()}\n\nworkflows:\n  ${jobName}:\n    jobs:\n      - ${jobName}\n`
+  }
+
+  const head = content.slice(0, workflowsMatch.index)
+  const workflows = content.slice(workflowsMatch.index).replace(/\s*$/, '')
+
+  // Append the job to each workflow's jobs list (the lines indented deeper
+  // than `    jobs:`)
+  const wiredLines = []
+  let inJobsList = false
+  for (const line of workflows.split('\n')) {
+    const isListLine = line.startsWith('      ') || line.trim() === ''
+    if (inJobsList && !isListLine) {
+      wiredLines.push(`      - ${jobName}`)
+      inJobsList = false
+    }
+    wiredLines.push(line)
+    if (/^ {4}jobs:\s*$/.test(line)) {
+      inJobsList = true
+    }
+  }
+  if (inJobsList) {
+    wiredLines.push(`      - ${jobName}`)
+  }
+
+  return `${head}${jobYaml}${wiredLines.join('\n')}\n`
+}
+
+module.exports = {
+  injectGitHubJob,
+  injectGitLabJob,
+  injectCircleCiJob,
+}
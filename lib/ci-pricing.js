@@ -0,0 +1,331 @@
+'use strict'
+
+/**
+ * CI runner pricing
+ *
+ * Per-minute rates of GitHub-hosted runners and the runner class a job's
+ * `runs-on` labels select. Standard runners draw on the plan's included
+ * minutes at `multiplier` times their clock minutes (Windows 2x, macOS 10x);
+ * runners with a multiplier of 0 (larger runners) are always billed.
+ *
+ * GitLab CI and CircleCI use the same shape: GitLab.com hosted runners draw
+ * on the plan's compute minutes at their cost factor, CircleCI resource
+ * classes on the plan's credits at their credits per minute.
+ *
+ * Projects can override rates, or price their own runners, in
+ * .qualityrc.json. Pricing keys are the runner classes below, runs-on
+ * labels, GitLab runner tags or CircleCI resource classes:
+ *
+ *   "ciCost": {
+ *     "pricing": {
+ *       "macos": { "perMinute": 0.062 },
+ *       "gpu-runner": { "label": "GPU runner", "perMinute": 0.07 }
+ *     }
+ *   }
+ */
+
+const { loadQualityConfig } = require('./quality-config')
+
+const DEFAULT_RUNNER = 'linux'
+
+/**
+ * @typedef {{label: string, perMinute: number, multiplier: number}} RunnerPricing
+ */
+
+// GitHub-hosted runner rates for private repositories (USD per minute)
+/** @type {Object<string, RunnerPricing>} */
+const DEFAULT_PRICING = {
+  linux: { label: 'Linux 2-core', perMinute: 0.008, multiplier: 1 },
+  windows: { label: 'Windows 2-core', perMinute: 0.016, multiplier: 2 },
+  macos: { label: 'macOS', perMinute: 0.08, multiplier: 10 },
+  'linux-4-core': { label: 'Linux 4-core', perMinute: 0.016, multiplier: 0 },
+  'linux-8-core': { label: 'Linux 8-core', perMinute: 0.032, multiplier: 0 },
+  'linux-16-core': { label: 'Linux 16-core', perMinute: 0.064, multiplier: 0 },
+  'linux-32-core': { label: 'Linux 32-core', perMinute: 0.128, multiplier: 0 },
+  'linux-64-core': { label: 'Linux 64-core', perMinute: 0.256, multiplier: 0 },
+  'windows-4-core': {
+    label: 'Windows 4-core',
+    perMinute: 0.032,
+    multiplier: 0,
+  },
+  'windows-8-core': {
+    label: 'Windows 8-core',
+    perMinute: 0.064,
+    multiplier: 0,
+  },
+  'windows-16-core': {
+    label: 'Windows 16-core',
+    perMinute: 0.128,
+    multiplier: 0,
+  },
+  'windows-32-core': {
+    label: 'Windows 32-core',
+    perMinute: 0.256,
+    multiplier: 0,
+  },
+  'windows-64-core': {
+    label: 'Windows 64-core',
+    perMinute: 0.512,
+    multiplier: 0,
+  },
+  'macos-large': { label: 'macOS 12-core', perMinute: 0.12, multiplier: 0 },
+  'macos-xlarge': { label: 'macOS M1 6-core', perMinute: 0.16, multiplier: 0 },
+  'self-hosted': { label: 'self-hosted', perMinute: 0, multiplier: 0 },
+}
+
+// GitLab.com hosted runners by tag: the cost factor is the number of
+// compute minutes used per minute; extra compute minutes cost $10 per 1,000
+/** @type {Object<string, RunnerPricing>} */
+const GITLAB_PRICING = {
+  'saas-linux-small-amd64': {
+    label: 'Linux small',
+    perMinute: 0.01,
+    multiplier: 1,
+  },
+  'saas-linux-medium-amd64': {
+    label: 'Linux medium',
+    perMinute: 0.02,
+    multiplier: 2,
+  },
+  'saas-linux-large-amd64': {
+    label: 'Linux large',
+    perMinute: 0.03,
+    multiplier: 3,
+  },
+  'saas-linux-xlarge-amd64': {
+    label: 'Linux xlarge',
+    perMinute: 0.06,
+    multiplier: 6,
+  },
+  'saas-linux-2xlarge-amd64': {
+    label: 'Linux 2xlarge',
+    perMinute: 0.12,
+    multiplier: 12,
+  },
+  'saas-linux-medium-arm64': {
+    label: 'Linux Arm medium',
+    perMinute: 0.02,
+    multiplier: 2,
+  },
+  'saas-linux-large-arm64': {
+    label: 'Linux Arm large',
+    perMinute: 0.03,
+    multiplier: 3,
+  },
+  'saas-linux-medium-amd64-gpu-standard': {
+    label: 'GPU standard',
+    perMinute: 0.07,
+    multiplier: 7,
+  },
+  'saas-windows-medium-amd64': {
+    label: 'Windows medium',
+    perMinute: 0.01,
+    multiplier: 1,
+  },
+  'saas-macos-medium-m1': {
+    label: 'macOS M1 medium',
+    perMinute: 0.06,
+    multiplier: 6,
+  },
+  'saas-macos-large-m2pro': {
+    label: 'macOS M2 Pro large',
+    perMinute: 0.12,
+    multiplier: 12,
+  },
+  'self-managed': { label: 'self-managed', perMinute: 0, multiplier: 0 },
+}
+
+// CircleCI credits cost $15 per 25,000
+const CREDIT_PRICE = 15 / 25000
+
+/**
+ * @param {string} label - Resource class label
+ * @param {number} perMinute - Credits per minute
+ * @returns {RunnerPricing}
+ */
+const credits = (label, perMinute) => ({
+  label,
+  perMinute: perMinute * CREDIT_PRICE,
+  multiplier: perMinute,
+})
+
+// CircleCI resource classes by executor, in credits per minute
+/** @type {Object<string, RunnerPricing>} */
+const CIRCLECI_PRICING = {
+  'docker:small': credits('Docker small', 5),
+  'docker:medium': credits('Docker medium', 10),
+  'docker:medium+': credits('Docker medium+', 15),
+  'docker:large': credits('Docker large', 20),
+  'docker:xlarge': credits('Docker xlarge', 40),
+  'docker:2xlarge': credits('Docker 2xlarge', 80),
+  'docker:2xlarge+': credits('Docker 2xlarge+', 100),
+  'machine:medium': credits('Linux VM medium', 10),
+  'machine:large': credits('Linux VM large', 20),
+  'machine:xlarge': credits('Linux VM xlarge', 40),
+  'machine:2xlarge': credits('Linux VM 2xlarge', 80),
+  'machine:arm.medium': credits('Arm VM medium', 10),
+  'machine:arm.large': credits('Arm VM large', 20),
+  'machine:arm.xlarge': credits('Arm VM xlarge', 40),
+  'machine:arm.2xlarge': credits('Arm VM 2xlarge', 80),
+  'windows:windows.medium': credits('Windows medium', 40),
+  'windows:windows.large': credits('Windows large', 120),
+  'windows:windows.xlarge': credits('Windows xlarge', 210),
+  'windows:windows.2xlarge': credits('Windows 2xlarge', 500),
+  'macos:macos.m1.medium.gen1': credits('macOS M1 medium', 150),
+  'macos:macos.m1.large.gen1': credits('macOS M1 large', 250),
+  'macos:m2pro.medium': credits('macOS M2 Pro medium', 150),
+  'macos:m2pro.large': credits('macOS M2 Pro large', 300),
+  'self-hosted': { label: 'self-hosted', perMinute: 0, multiplier: 0 },
+}
+
+/**
+ * @typedef {Object} CiProvider
+ * @property {string} label - Product name
+ * @property {Object<string, RunnerPricing>} pricing - Default runner pricing
+ * @property {string} defaultRunner - Runner of jobs that don't pick one
+ * @property {string} unit - Unit of the plans' included usage
+ * @property {string} usage - Name of the included usage
+ * @property {string} usageNote - How runners draw on the included usage
+ * @property {string} selfHosted - Name of the provider's own-runner option
+ * @property {{free: {label: string, limit: number}, team: {label: string, limit: number, monthlyCost: number, perUser: boolean}}} plans
+ */
+
+// CI providers and their plans (list prices as of 2024)
+/** @type {Object<string, CiProvider>} */
+const CI_PROVIDERS = {
+  github: {
+    label: 'GitHub Actions',
+    pricing: DEFAULT_PRICING,
+    defaultRunner: DEFAULT_RUNNER,
+    unit: 'min',
+    usage: 'Included-minute usage',
+    usageNote: 'Windows and macOS minutes count 2x and 10x',
+    selfHosted: 'Self-hosted runners',
+    plans: {
+      free: { label: 'Free tier', limit: 2000 },
+      team: { label: 'Team plan', limit: 3000, monthlyCost: 4, perUser: true },
+    },
+  },
+  gitlab: {
+    label: 'GitLab CI',
+    pricing: GITLAB_PRICING,
+    defaultRunner: 'saas-linux-small-amd64',
+    unit: 'compute min',
+    usage: 'Compute-minute usage',
+    usageNote: 'hosted runners count at their cost factor',
+    selfHosted: 'Self-managed runners',
+    plans: {
+      free: { label: 'Free tier', limit: 400 },
+      team: {
+        label: 'Premium plan',
+        limit: 10000,
+        monthlyCost: 29,
+        perUser: true,
+      },
+    },
+  },
+  circleci: {
+    label: 'CircleCI',
+    pricing: CIRCLECI_PRICING,
+    defaultRunner: 'docker:medium',
+    unit: 'credits',
+    usage: 'Credit usage',
+    usageNote: 'resource classes use 5 to 500 credits per minute',
+    selfHosted: 'Self-hosted runners',
+    plans: {
+      free: { label: 'Free plan', limit: 30000 },
+      team: {
+        label: 'Performance plan',
+        limit: 25000,
+        monthlyCost: 15,
+        perUser: false,
+      },
+    },
+  },
+}
+
+/**
+ * Runner class for a job's runs-on labels
+ *
+ * Labels matching a pricing key added in config win, then `self-hosted`,
+ * then the GitHub-hosted image names (`ubuntu-*`, `windows-*`, `macos-*`,
+ * with `-N-cores` or `-large`/`-xlarge` for larger runners).
+ * @param {string[]} labels - runs-on labels
+ * @param {Object<string, RunnerPricing>} [pricing] - Pricing table
+ * @returns {string|null} Pricing key, or null for unknown labels
+ */
+function classifyRunner(labels, pricing = DEFAULT_PRICING) {
+  const lower = labels.map(label => String(label).toLowerCase())
+
+  const custom = Object.keys(pricing).find(
+    key => !(key in DEFAULT_PRICING) && lower.includes(key.toLowerCase())
+  )
+  if (custom) {
+    return custom
+  }
+  if (lower.includes('self-hosted')) {
+    return 'self-hosted'
+  }
+
+  for (const label of lower) {
+    if (label.startsWith('macos')) {
+      if (label.endsWith('-xlarge')) return 'macos-xlarge'
+      if (label.endsWith('-large')) return 'macos-large'
+      return 'macos'
+    }
+    const os =
+      label.startsWith('ubuntu') || label.startsWith('linux')
+        ? 'linux'
+        : label.startsWith('windows')
+          ? 'windows'
+          : null
+    if (!os) {
+      continue
+    }
+    const cores = label.match(/(\d+)[-_]?cores?\b/)
+    const sized = cores && Number(cores[1]) > 2 && `${os}-${cores[1]}-core`
+    return sized && pricing[sized] ? sized : os
+  }
+  return null
+}
+
+/**
+ * Runner pricing of a CI provider with the project's overrides applied
+ *
+ * Overrides of another provider's runner classes are ignored; keys that
+ * aren't a runner class of any provider price custom runners everywhere.
+ * @param {string} projectPath - Project root
+ * @param {string} [provider] - CI provider (github, gitlab or circleci)
+ * @returns {Object<string, RunnerPricing>} Pricing table
+ */
+function loadCiPricing(projectPath, provider = 'github') {
+  const { config } = loadQualityConfig(projectPath)
+  const overrides = (config.ciCost && config.ciCost.pricing) || {}
+  const defaults = CI_PROVIDERS[provider].pricing
+  const isOtherRunner = key =>
+    !(key in defaults) &&
+    Object.values(CI_PROVIDERS).some(other => key in other.pricing)
+
+  /** @type {Object<string, RunnerPricing>} */
+  const pricing = { ...defaults }
+  for (const [key, override] of Object.entries(overrides)) {
+    if (isOtherRunner(key)) continue
+    const base = defaults[key] || { label: key, multiplier: 0 }
+    const merged = { ...base, ...override }
+    if (typeof merged.perMinute !== 'number' || merged.perMinute < 0) {
+      throw new Error(
+        `ciCost.pricing.${key}.perMinute must be a non-negative number`
+      )
+    }
+    pricing[key] = merged
+  }
+  return pricing
+}
+
+module.exports = {
+  DEFAULT_RUNNER,
+  DEFAULT_PRICING,
+  CI_PROVIDERS,
+  classifyRunner,
+  loadCiPricing,
+}
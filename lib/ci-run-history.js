@@ -0,0 +1,296 @@
+'use strict'
+
+/**
+ * CI run history
+ *
+ * Real workflow durations and run counts for analyze-ci, fetched from the
+ * GitHub Actions API or loaded from an exported runs file for offline use:
+ *
+ *   gh api --paginate --slurp \
+ *     "repos/OWNER/REPO/actions/runs?status=completed&created=>=2026-09-01" > runs.json
+ *
+ * The file may hold the API response, a list of response pages (--slurp) or
+ * a plain list of runs. Runs can carry their jobs (`jobs`, as returned by
+ * the run jobs endpoint); a run's billable minutes are the sum of its jobs'
+ * durations, each rounded up to a whole minute as GitHub bills them. Runs
+ * without job timings count their wall-clock time instead.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const DEFAULT_HISTORY_DAYS = 30
+const DAY_MS = 24 * 60 * 60 * 1000
+// Job timings are fetched for the most recent runs of each workflow only;
+// every run still counts towards runs per month
+const DEFAULT_JOB_SAMPLE = 10
+
+/**
+ * @param {string|undefined} value - ISO timestamp
+ * @returns {number|null} Epoch milliseconds
+ */
+function toTime(value) {
+  const time = value ? Date.parse(value) : NaN
+  return Number.isNaN(time) ? null : time
+}
+
+/**
+ * Workflow file a run belongs to (`.github/workflows/ci.yml` → `ci.yml`)
+ * @param {Object} run - Run from the API or an export
+ * @returns {string|null}
+ */
+function getRunWorkflowFile(run) {
+  const workflowPath = run.path || run.workflow_path || run.workflow
+  if (typeof workflowPath !== 'string' || !workflowPath) {
+    return null
+  }
+  return path.posix.basename(workflowPath.split('@')[0])
+}
+
+/**
+ * Billable minutes of a run's jobs, or null without job timings
+ * @param {Object[]} jobs - Jobs of the run
+ * @returns {number|null}
+ */
+function getJobMinutes(jobs) {
+  let minutes = null
+  for (const job of jobs) {
+    const started = toTime(job.started_at)
+    const completed = toTime(job.completed_at)
+    if (
+      job.conclusion === 'skipped' ||
+      started === null ||
+      completed === null
+    ) {
+      continue
+    }
+    minutes =
+      (minutes || 0) + Math.max(1, Math.ceil((completed - started) / 60000))
+  }
+  return minutes
+}
+
+/**
+ * Normalize a workflow run
+ * @param {Object} run - Run from the API or an export
+ * @returns {{workflow: string, name: string, createdAt: number, minutes: number, timing: 'jobs'|'run'}|null} Null for runs without a workflow file or timings
+ */
+function normalizeRun(run) {
+  if (!run || typeof run !== 'object') {
+    return null
+  }
+  const workflow = getRunWorkflowFile(run)
+  const createdAt = toTime(run.created_at)
+  if (!workflow || createdAt === null) {
+    return null
+  }
+
+  const jobs = Array.isArray(run.jobs)
+    ? run.jobs
+    : run.jobs && Array.isArray(run.jobs.jobs)
+      ? run.jobs.jobs
+      : []
+  const jobMinutes = getJobMinutes(jobs)
+  if (jobMinutes !== null) {
+    return {
+      workflow,
+      name: run.name || workflow,
+      createdAt,
+      minutes: jobMinutes,
+      timing: 'jobs',
+    }
+  }
+
+  const started = toTime(run.run_started_at) || createdAt
+  const finished = toTime(run.updated_at)
+  if (finished === null || finished < started) {
+    return null
+  }
+  return {
+    workflow,
+    name: run.name || workflow,
+    createdAt,
+    minutes: (finished - started) / 60000,
+    timing: 'run',
+  }
+}
+
+/**
+ * Runs of an exported runs file: the API response, its pages or a list
+ * @param {any} data - Parsed JSON
+ * @returns {Object[]} Raw runs
+ */
+function extractRuns(data) {
+  if (Array.isArray(data)) {
+    return data.flatMap(entry =>
+      entry && Array.isArray(entry.workflow_runs)
+        ? entry.workflow_runs
+        : [entry]
+    )
+  }
+  if (data && Array.isArray(data.workflow_runs)) {
+    return data.workflow_runs
+  }
+  throw new Error(
+    'expected a list of workflow runs or a GitHub API response with workflow_runs'
+  )
+}
+
+/**
+ * Load an exported runs file
+ * @param {string} filePath - JSON file
+ * @returns {ReturnType<typeof normalizeRun>[]} Usable runs
+ */
+function loadRunHistoryFile(filePath) {
+  let data
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    throw new Error(`Could not read ${filePath}: ${error.message}`)
+  }
+  let runs
+  try {
+    runs = extractRuns(data)
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`)
+  }
+  return runs.map(normalizeRun).filter(Boolean)
+}
+
+/**
+ * Fetch run history through the GitHub API
+ * @param {string} projectPath - Project root (for the origin remote)
+ * @param {Object} [options]
+ * @param {number} [options.days] - Days of history
+ * @param {number} [options.jobSample] - Runs per workflow to fetch job timings for
+ * @param {Object} [options.api] - GitHub API functions (lib/github-api.js)
+ * @returns {Promise<{repository: string, days: number, windowDays: number, totalRuns: number, truncated: boolean, runs: ReturnType<typeof normalizeRun>[]}|null>} Null without a GitHub remote or token
+ */
+async function fetchRunHistory(projectPath, options = {}) {
+  const {
+    days = DEFAULT_HISTORY_DAYS,
+    jobSample = DEFAULT_JOB_SAMPLE,
+    api = require('./github-api'),
+  } = options
+
+  const repoInfo = api.getRepoInfo(projectPath)
+  const token = repoInfo ? api.getGitHubToken() : null
+  if (!repoInfo || !token) {
+    return null
+  }
+  const { owner, repo } = repoInfo
+
+  const since = new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10)
+  const { runs: rawRuns, totalCount } = await api.listWorkflowRuns(
+    owner,
+    repo,
+    token,
+    { since }
+  )
+
+  // Busy repositories have more runs than the pages fetched: the newest
+  // runs then only cover the time since the oldest of them
+  const truncated = totalCount > rawRuns.length
+  const oldest = Math.min(
+    ...rawRuns.map(run => toTime(run.created_at)).filter(time => time !== null)
+  )
+  const windowDays =
+    truncated && Number.isFinite(oldest)
+      ? Math.min(days, Math.max(1 / 24, (Date.now() - oldest) / DAY_MS))
+      : days
+
+  // Job timings for the newest runs of each workflow
+  const sampled = new Map()
+  for (const run of rawRuns) {
+    const workflow = getRunWorkflowFile(run)
+    const count = sampled.get(workflow) || 0
+    if (workflow && count < jobSample) {
+      sampled.set(workflow, count + 1)
+      run.jobs = await api.listRunJobs(owner, repo, run.id, token)
+    }
+  }
+
+  return {
+    repository: `${owner}/${repo}`,
+    days,
+    windowDays,
+    totalRuns: totalCount,
+    truncated,
+    runs: rawRuns.map(normalizeRun).filter(Boolean),
+  }
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} percent - 0-100
+ * @returns {number}
+ */
+function percentile(sorted, percent) {
+  const rank = Math.ceil((percent / 100) * sorted.length)
+  return sorted[Math.min(sorted.length, Math.max(rank, 1)) - 1]
+}
+
+/**
+ * Per-workflow durations and run rates
+ *
+ * Runs per month scale the runs in the history window to 30 days. The
+ * window is the fetched period (shortened to the oldest fetched run when
+ * there were more runs than fetched), or for exported files the time from
+ * the oldest run to the newest plus one mean interval between runs (n runs
+ * span n - 1 intervals; at least a day). Durations come from the runs
+ * with job timings when a workflow has any, from wall-clock times otherwise.
+ * @param {ReturnType<typeof normalizeRun>[]} runs - Normalized runs
+ * @param {Object} [options]
+ * @param {number} [options.windowDays] - Days the runs were collected over
+ * @returns {{windowDays: number, totalRuns: number, workflows: Object<string, {runs: number, runsPerMonth: number, sampled: number, timing: 'jobs'|'run', p50: number, p95: number, mean: number}>}}
+ */
+function summarizeRunHistory(runs, options = {}) {
+  if (runs.length === 0) {
+    return { windowDays: options.windowDays || 0, totalRuns: 0, workflows: {} }
+  }
+
+  const times = runs.map(run => run.createdAt)
+  const spanDays = (Math.max(...times) - Math.min(...times)) / DAY_MS
+  const windowDays =
+    options.windowDays ||
+    Math.max(
+      1,
+      runs.length > 1 ? (spanDays * runs.length) / (runs.length - 1) : 0
+    )
+
+  const byWorkflow = new Map()
+  for (const run of runs) {
+    if (!byWorkflow.has(run.workflow)) {
+      byWorkflow.set(run.workflow, [])
+    }
+    byWorkflow.get(run.workflow).push(run)
+  }
+
+  /** @type {Object<string, any>} */
+  const workflows = {}
+  for (const [workflow, workflowRuns] of byWorkflow) {
+    const timed = workflowRuns.filter(run => run.timing === 'jobs')
+    const measured = timed.length > 0 ? timed : workflowRuns
+    const minutes = measured.map(run => run.minutes).sort((a, b) => a - b)
+    workflows[workflow] = {
+      runs: workflowRuns.length,
+      runsPerMonth: (workflowRuns.length / windowDays) * 30,
+      sampled: measured.length,
+      timing: timed.length > 0 ? 'jobs' : 'run',
+      p50: percentile(minutes, 50),
+      p95: percentile(minutes, 95),
+      mean: minutes.reduce((sum, value) => sum + value, 0) / minutes.length,
+    }
+  }
+
+  return { windowDays, totalRuns: runs.length, workflows }
+}
+
+module.exports = {
+  DEFAULT_HISTORY_DAYS,
+  normalizeRun,
+  loadRunHistoryFile,
+  fetchRunHistory,
+  summarizeRunHistory,
+}
@@ -1,37 +1,75 @@
 'use strict'
 
 /**
- * GitHub Actions Cost Analyzer
+ * CI Cost Analyzer
  *
  * Analyzes GitHub Actions usage patterns and provides cost optimization recommendations.
  * Pro feature that helps developers avoid unexpected CI/CD bills.
+ *
+ * Durations and run counts come from the workflow run history (GitHub API,
+ * or an exported runs file with --runs) when available; the step-name
+ * heuristics of estimateWorkflowDuration and the commit frequency are the
+ * fallback. Each number in the report is labelled with its source.
+ *
+ * GitLab CI (.gitlab-ci.yml) and CircleCI (.circleci/config.yml) configs
+ * are read by lib/ci-gitlab.js and lib/ci-circleci.js into the same jobs,
+ * and priced and reported per provider with its own plans.
  */
 
 const fs = require('fs')
 const path = require('path')
+const { isDeepStrictEqual } = require('util')
 const { execSync } = require('child_process')
 const yaml = require('js-yaml')
 const { showProgress } = require('../ui-helpers')
+const {
+  DEFAULT_HISTORY_DAYS,
+  loadRunHistoryFile,
+  fetchRunHistory,
+  summarizeRunHistory,
+} = require('../ci-run-history')
+const {
+  DEFAULT_RUNNER,
+  DEFAULT_PRICING,
+  CI_PROVIDERS,
+  classifyRunner,
+  loadCiPricing,
+} = require('../ci-pricing')
+const { FIX_TYPES, applyWorkflowFixes } = require('../workflow-fixes')
+
+// Readers of the non-GitHub CI configs, by provider
+const CI_CONFIGS = {
+  gitlab: require('../ci-gitlab'),
+  circleci: require('../ci-circleci'),
+}
 
 /**
- * Discover all GitHub Actions workflow files in the project
+ * Discover the CI configuration of the project: GitHub Actions workflow
+ * files, then .gitlab-ci.yml and .circleci/config.yml
  * @param {string} projectPath - Root path of the project
- * @returns {{name: string, path: string}[]} Array of workflow files
+ * @returns {{name: string, path: string, provider: string}[]} Array of CI config files
  */
 function discoverWorkflows(projectPath) {
   const workflowDir = path.join(projectPath, '.github', 'workflows')
 
-  if (!fs.existsSync(workflowDir)) {
-    return []
+  const workflows = fs.existsSync(workflowDir)
+    ? fs
+        .readdirSync(workflowDir)
+        .filter(file => file.endsWith('.yml') || file.endsWith('.yaml'))
+        .map(file => ({
+          name: file,
+          path: path.join(workflowDir, file),
+          provider: 'github',
+        }))
+    : []
+
+  for (const [provider, config] of Object.entries(CI_CONFIGS)) {
+    const configPath = path.join(projectPath, config.CONFIG_FILE)
+    if (fs.existsSync(configPath)) {
+      workflows.push({ name: config.CONFIG_FILE, path: configPath, provider })
+    }
   }
-
-  const files = fs.readdirSync(workflowDir)
-  return files
-    .filter(file => file.endsWith('.yml') || file.endsWith('.yaml'))
-    .map(file => ({
-      name: file,
-      path: path.join(workflowDir, file),
-    }))
+  return workflows
 }
 
 /**
@@ -47,45 +85,7 @@ function estimateWorkflowDuration(workflow) {
   let totalMinutes = 0
 
   for (const job of Object.values(workflow.jobs)) {
-    // Default job duration estimate: 5 minutes
-    let jobMinutes = 5
-
-    if (job.steps && Array.isArray(job.steps)) {
-      // Estimate based on known operations
-      for (const step of job.steps) {
-        // Check for expensive operations
-        if (step.name) {
-          const stepName = step.name.toLowerCase()
-
-          // Known expensive operations
-          if (stepName.includes('test') || stepName.includes('e2e')) {
-            jobMinutes += 10 // Tests typically take longer
-          } else if (
-            stepName.includes('build') ||
-            stepName.includes('compile')
-          ) {
-            jobMinutes += 5
-          } else if (
-            stepName.includes('deploy') ||
-            stepName.includes('publish')
-          ) {
-            jobMinutes += 3
-          } else if (
-            stepName.includes('install') ||
-            stepName.includes('setup')
-          ) {
-            jobMinutes += 2
-          } else {
-            jobMinutes += 1 // Generic step
-          }
-        } else {
-          jobMinutes += 1 // Generic step without name
-        }
-      }
-
-      // Cap individual job at reasonable limits
-      jobMinutes = Math.min(jobMinutes, 60) // Max 60 min per job
-    }
+    let jobMinutes = estimateJobDuration(job)
 
     // Check for matrix strategy (multiplies job runs)
     if (job.strategy && job.strategy.matrix) {
@@ -99,21 +99,217 @@ function estimateWorkflowDuration(workflow) {
   return Math.ceil(totalMinutes)
 }
 
+/**
+ * Estimate the duration of one run of a job (one matrix combination)
+ * @param {object} job - Job from the parsed workflow
+ * @returns {number} Estimated duration in minutes
+ */
+function estimateJobDuration(job) {
+  // Default job duration estimate: 5 minutes
+  let jobMinutes = 5
+
+  if (job.steps && Array.isArray(job.steps)) {
+    // Estimate based on known operations
+    for (const step of job.steps) {
+      jobMinutes += estimateStepDuration(step)
+    }
+
+    // Cap individual job at reasonable limits
+    jobMinutes = Math.min(jobMinutes, 60) // Max 60 min per job
+  }
+
+  return jobMinutes
+}
+
+/**
+ * Estimate the duration of a step from its name
+ * @param {object} step - Job step
+ * @returns {number} Estimated duration in minutes
+ */
+function estimateStepDuration(step) {
+  // Check for expensive operations
+  if (step && step.name) {
+    const stepName = step.name.toLowerCase()
+
+    // Known expensive operations
+    if (stepName.includes('test') || stepName.includes('e2e')) {
+      return 10 // Tests typically take longer
+    } else if (stepName.includes('build') || stepName.includes('compile')) {
+      return 5
+    } else if (stepName.includes('deploy') || stepName.includes('publish')) {
+      return 3
+    } else if (stepName.includes('install') || stepName.includes('setup')) {
+      return 2
+    }
+    return 1 // Generic step
+  }
+  return 1 // Generic step without name
+}
+
+/**
+ * Expand a GitHub Actions matrix strategy into its combinations
+ *
+ * Follows GitHub's rules: `exclude` entries remove the combinations they
+ * match, and each `include` entry is added to every combination whose
+ * original values it doesn't overwrite, or becomes a combination of its own
+ * when there is none. Axes set by an expression (`${{ fromJSON(...) }}`)
+ * can't be expanded and count once.
+ * @param {object} matrix - Matrix configuration
+ * @returns {Object[]} Matrix combinations
+ */
+function expandMatrix(matrix) {
+  if (!matrix || typeof matrix !== 'object' || Array.isArray(matrix)) {
+    return [{}]
+  }
+  const { include, exclude, ...axes } = matrix
+  const keys = Object.keys(axes).filter(key => Array.isArray(axes[key]))
+  const isEntry = entry =>
+    Boolean(entry) && typeof entry === 'object' && !Array.isArray(entry)
+
+  let combinations = [{}]
+  for (const key of keys) {
+    combinations = combinations.flatMap(combination =>
+      axes[key].map(value => ({ ...combination, [key]: value }))
+    )
+  }
+
+  if (Array.isArray(exclude)) {
+    combinations = combinations.filter(
+      combination =>
+        !exclude.some(
+          entry =>
+            isEntry(entry) &&
+            Object.entries(entry).every(([key, value]) =>
+              isDeepStrictEqual(combination[key], value)
+            )
+        )
+    )
+  }
+
+  const includes = Array.isArray(include) ? include.filter(isEntry) : []
+  if (keys.length === 0 && includes.length > 0) {
+    return includes.map(entry => ({ ...entry }))
+  }
+  const original = combinations.slice()
+  for (const entry of includes) {
+    const matching = original.filter(combination =>
+      keys.every(
+        key =>
+          !(key in entry) || isDeepStrictEqual(combination[key], entry[key])
+      )
+    )
+    if (matching.length === 0) {
+      combinations.push({ ...entry })
+    } else {
+      matching.forEach(combination => Object.assign(combination, entry))
+    }
+  }
+
+  return combinations
+}
+
 /**
  * Calculate the size of a GitHub Actions matrix strategy
  * @param {object} matrix - Matrix configuration
  * @returns {number} Number of matrix combinations
  */
 function calculateMatrixSize(matrix) {
-  let size = 1
+  return expandMatrix(matrix).length
+}
 
-  for (const values of Object.values(matrix)) {
-    if (Array.isArray(values)) {
-      size *= values.length
+/**
+ * runs-on labels of a job for one matrix combination
+ * @param {any} runsOn - The job's runs-on (label, labels or {group, labels})
+ * @param {Object} combination - Matrix combination
+ * @returns {string[]} Labels; expressions that can't be resolved are dropped
+ */
+function resolveRunsOn(runsOn, combination) {
+  const values =
+    runsOn && typeof runsOn === 'object' && !Array.isArray(runsOn)
+      ? [].concat(runsOn.labels || [], runsOn.group || [])
+      : [].concat(runsOn || [])
+
+  const labels = []
+  for (const value of values) {
+    if (typeof value !== 'string') {
+      continue
+    }
+    let resolved = value
+    for (const [expression, keyPath] of value.matchAll(
+      /\$\{\{\s*matrix\.([\w.-]+)\s*\}\}/g
+    )) {
+      const matrixValue = keyPath
+        .split('.')
+        .reduce(
+          (object, key) =>
+            object && typeof object === 'object' ? object[key] : undefined,
+          combination
+        )
+      if (Array.isArray(matrixValue) && expression === value.trim()) {
+        labels.push(...matrixValue.map(String))
+        resolved = null
+        break
+      }
+      if (matrixValue === undefined || typeof matrixValue === 'object') {
+        resolved = null
+        break
+      }
+      resolved = resolved.replace(expression, String(matrixValue))
+    }
+    if (resolved && !resolved.includes('${{')) {
+      labels.push(resolved)
     }
   }
+  return labels
+}
+
+/**
+ * Runners a job runs on, one entry per runner class
+ *
+ * Matrix jobs run once per combination, each on the runner its runs-on
+ * resolves to. Jobs whose runner can't be determined (reusable workflows,
+ * unknown labels, non-matrix expressions) are priced as the default runner
+ * and marked `assumed`.
+ * @param {object} job - Job from the parsed workflow
+ * @param {Object<string, import('../ci-pricing').RunnerPricing>} [pricing] - Pricing table
+ * @returns {{key: string, count: number, assumed: boolean}[]} Runners and the number of job runs on each
+ */
+function getJobRunners(job, pricing = DEFAULT_PRICING) {
+  const combinations =
+    job.strategy && job.strategy.matrix
+      ? expandMatrix(job.strategy.matrix)
+      : [{}]
+
+  return countRunners(
+    combinations.map(combination => {
+      const key = classifyRunner(
+        resolveRunsOn(job['runs-on'], combination),
+        pricing
+      )
+      return { key: key || DEFAULT_RUNNER, assumed: !key }
+    })
+  )
+}
 
-  return size
+/**
+ * Group the runner of each job run by runner class
+ * @param {{key: string, assumed: boolean}[]} instances - Runner of each job run
+ * @param {number} [repeat] - Runs per instance (parallel containers)
+ * @returns {{key: string, count: number, assumed: boolean}[]}
+ */
+function countRunners(instances, repeat = 1) {
+  const runners = []
+  for (const runner of instances) {
+    const existing = runners.find(
+      entry => entry.key === runner.key && entry.assumed === runner.assumed
+    )
+    if (existing) {
+      existing.count += repeat
+    } else {
+      runners.push({ key: runner.key, assumed: runner.assumed, count: repeat })
+    }
+  }
+  return runners
 }
 
 /**
@@ -151,73 +347,296 @@ function getCommitFrequency(projectPath, days = 30) {
   }
 }
 
+// Setup each parallel container repeats (start, checkout, install)
+const PARALLEL_SETUP_MINUTES = 2
+
+/**
+ * Jobs of a workflow with their estimated minutes per run (one instance)
+ *
+ * GitLab CI and CircleCI jobs come from their config readers; jobs split
+ * over parallel containers (`parallel: N`, `parallelism`) run a share of
+ * the work in each, plus the setup. Jobs that don't run for every push
+ * (manual, scheduled, tag-only or downstream) have a `trigger` other than
+ * 'pipeline'.
+ * @param {object} wf - Workflow analysis result
+ * @param {Object<string, import('../ci-pricing').RunnerPricing>} pricing - Pricing table
+ * @returns {{name: string, minutes: number, runners: {key: string, count: number, assumed: boolean}[], trigger: string}[]} Jobs
+ */
+function listJobs(wf, pricing) {
+  const config = CI_CONFIGS[wf.provider]
+  if (config) {
+    return config.getJobs(wf.parsed, wf.pipeline, pricing).map(job => {
+      const parallelism = Math.max(1, job.parallelism)
+      const minutes = estimateJobDuration(job)
+      return {
+        name: job.name,
+        minutes:
+          parallelism > 1
+            ? minutes / parallelism + PARALLEL_SETUP_MINUTES
+            : minutes,
+        runners: countRunners(job.runners, parallelism),
+        trigger: job.trigger,
+      }
+    })
+  }
+
+  return wf.parsed && wf.parsed.jobs && typeof wf.parsed.jobs === 'object'
+    ? Object.entries(wf.parsed.jobs).map(([name, job]) => ({
+        name,
+        minutes: estimateJobDuration(job),
+        runners: getJobRunners(job, pricing),
+        trigger: 'pipeline',
+      }))
+    : []
+}
+
+/**
+ * Minutes per run of the jobs that run for every push
+ * @param {ReturnType<typeof listJobs>} jobs - Jobs
+ * @returns {number}
+ */
+function sumJobMinutes(jobs) {
+  return jobs
+    .filter(job => job.trigger === 'pipeline')
+    .reduce(
+      (total, job) =>
+        total +
+        job.minutes * job.runners.reduce((count, r) => count + r.count, 0),
+      0
+    )
+}
+
+/**
+ * Jobs of a workflow with their share of its minutes per run
+ *
+ * Job estimates split the workflow's duration, so durations from the run
+ * history are spread over the jobs in proportion to their estimates.
+ * Workflows without parsed jobs count as one job on the default runner.
+ * Jobs that don't run for every push are listed with a `note` and no
+ * runners.
+ * @param {object} wf - Workflow analysis result
+ * @param {Object<string, import('../ci-pricing').RunnerPricing>} pricing - Pricing table
+ * @returns {{name: string, note?: string, runners: {key: string, count: number, assumed: boolean, minutesPerRun: number}[]}[]} Jobs
+ */
+function getWorkflowJobs(wf, pricing) {
+  const jobs = listJobs(wf, pricing)
+  const estimatedTotal = sumJobMinutes(jobs)
+  if (estimatedTotal === 0) {
+    return [
+      {
+        name: '(all jobs)',
+        runners: [
+          {
+            key: CI_PROVIDERS[wf.provider || 'github'].defaultRunner,
+            count: 1,
+            assumed: true,
+            minutesPerRun: wf.estimatedDuration,
+          },
+        ],
+      },
+    ]
+  }
+
+  const scale = wf.estimatedDuration / estimatedTotal
+  return jobs.map(job =>
+    job.trigger === 'pipeline'
+      ? {
+          name: job.name,
+          runners: job.runners.map(runner => ({
+            ...runner,
+            minutesPerRun: job.minutes * runner.count * scale,
+          })),
+        }
+      : { name: job.name, note: job.trigger, runners: [] }
+  )
+}
+
 /**
  * Calculate monthly CI costs based on workflow usage
+ *
+ * Workflows with a `runsPerMonth` from the run history (or a schedule) use
+ * it; the others run once per commit. Each job is priced by the runner it
+ * runs on: standard runners use the plan's included usage at their
+ * multiplier and are billed for the overage, larger runners are billed for
+ * every minute. The plans are the provider's.
  * @param {Array} workflows - Array of workflow analysis results
  * @param {number} commitsPerDay - Average commits per day
+ * @param {Object<string, import('../ci-pricing').RunnerPricing>} [pricing] - Runner pricing (default GitHub-hosted rates)
+ * @param {string} [provider] - CI provider of the workflows (default github)
  * @returns {object} Cost breakdown and recommendations
  */
-function calculateMonthlyCosts(workflows, commitsPerDay) {
-  const minutesPerWorkflow = workflows.reduce(
-    (total, wf) => total + wf.estimatedDuration,
+function calculateMonthlyCosts(
+  workflows,
+  commitsPerDay,
+  pricing = DEFAULT_PRICING,
+  provider = 'github'
+) {
+  const { plans, defaultRunner } = CI_PROVIDERS[provider]
+  const runsPerMonthOf = wf =>
+    typeof wf.runsPerMonth === 'number' ? wf.runsPerMonth : commitsPerDay * 30
+  const workflowRunsPerDay =
+    workflows.reduce((total, wf) => total + runsPerMonthOf(wf), 0) / 30
+  const monthlyMinutes = workflows.reduce(
+    (total, wf) => total + wf.estimatedDuration * runsPerMonthOf(wf),
     0
   )
-  const workflowRunsPerDay = commitsPerDay * workflows.length
-  const minutesPerDay = minutesPerWorkflow * commitsPerDay
-  const minutesPerMonth = Math.ceil(minutesPerDay * 30)
-
-  // GitHub Actions pricing (as of 2024)
-  const FREE_TIER_MINUTES = 2000 // Free tier monthly limit
-  const TEAM_TIER_MINUTES = 3000 // Team tier monthly limit
-  const COST_PER_MINUTE = 0.008 // $0.008/min for private repos
+  const minutesPerDay = monthlyMinutes / 30
+  const minutesPerMonth = Math.ceil(monthlyMinutes)
+
+  // Included-minute usage and cost of standard runners, cost of the rest
+  let includedUsage = 0
+  let includedCost = 0
+  let billedCost = 0
+
+  const breakdown = workflows.map(wf => {
+    const runsPerMonth = runsPerMonthOf(wf)
+    const jobs = getWorkflowJobs(wf, pricing).map(job => {
+      const runners = job.runners.map(runner => {
+        const rate = pricing[runner.key] || pricing[defaultRunner]
+        const runnerMinutes = runner.minutesPerRun * runsPerMonth
+        const cost = runnerMinutes * rate.perMinute
+        if (rate.multiplier > 0) {
+          includedUsage += runnerMinutes * rate.multiplier
+          includedCost += cost
+        } else {
+          billedCost += cost
+        }
+        return {
+          key: runner.key,
+          label: rate.label,
+          count: runner.count,
+          assumed: runner.assumed,
+          minutesPerRun: runner.minutesPerRun,
+          cost,
+        }
+      })
+      return {
+        name: job.name,
+        note: job.note || null,
+        minutesPerRun: runners.reduce((sum, r) => sum + r.minutesPerRun, 0),
+        cost: runners.reduce((sum, r) => sum + r.cost, 0),
+        runners,
+      }
+    })
 
-  const freeOverage = Math.max(0, minutesPerMonth - FREE_TIER_MINUTES)
-  const teamOverage = Math.max(0, minutesPerMonth - TEAM_TIER_MINUTES)
+    return {
+      name: wf.name,
+      minutesPerRun: wf.estimatedDuration,
+      runsPerMonth: Math.ceil(runsPerMonth),
+      minutesPerMonth: Math.ceil(wf.estimatedDuration * runsPerMonth),
+      durationSource: wf.durationSource || 'estimate',
+      runsSource:
+        wf.runsSource ||
+        (typeof wf.runsPerMonth === 'number' ? 'history' : 'commits'),
+      duration: wf.duration || null,
+      cost: jobs.reduce((sum, job) => sum + job.cost, 0),
+      jobs,
+    }
+  })
 
-  const freeOverageCost = freeOverage * COST_PER_MINUTE
-  const teamOverageCost = teamOverage * COST_PER_MINUTE
+  includedUsage = Math.ceil(includedUsage)
+  const tier = limit => {
+    const overage = Math.max(0, includedUsage - limit)
+    return {
+      limit,
+      overage,
+      cost:
+        (overage > 0 ? (includedCost * overage) / includedUsage : 0) +
+        billedCost,
+      withinLimit: includedUsage <= limit,
+    }
+  }
 
   return {
     minutesPerMonth,
     minutesPerDay,
     workflowRunsPerDay,
-    breakdown: workflows.map(wf => ({
-      name: wf.name,
-      minutesPerRun: wf.estimatedDuration,
-      runsPerMonth: Math.ceil(commitsPerDay * 30),
-      minutesPerMonth: Math.ceil(wf.estimatedDuration * commitsPerDay * 30),
-    })),
+    includedUsage,
+    billedCost,
+    listCost: includedCost + billedCost,
+    breakdown,
     tiers: {
-      free: {
-        limit: FREE_TIER_MINUTES,
-        overage: freeOverage,
-        cost: freeOverageCost,
-        withinLimit: minutesPerMonth <= FREE_TIER_MINUTES,
-      },
+      free: tier(plans.free.limit),
       team: {
-        limit: TEAM_TIER_MINUTES,
-        overage: teamOverage,
-        cost: teamOverageCost,
-        withinLimit: minutesPerMonth <= TEAM_TIER_MINUTES,
-        monthlyCost: 4, // $4/user/month
+        ...tier(plans.team.limit),
+        monthlyCost: plans.team.monthlyCost,
       },
     },
   }
 }
 
+// Share of push/pull_request runs superseded by a newer push before they
+// finish (rapid pushes to a PR branch)
+const SUPERSEDED_RUN_SHARE = 0.1
+// Minutes a dependency cache saves per run (2-5 min)
+const CACHE_SAVINGS_PER_RUN = 3
+// Lockfiles setup-node keys its cache on; without one the step fails
+const SETUP_NODE_LOCKFILES = {
+  npm: ['package-lock.json', 'npm-shrinkwrap.json'],
+  yarn: ['yarn.lock'],
+  pnpm: ['pnpm-lock.yaml'],
+}
+// Matrices this large are worth trimming, by half
+const MATRIX_REVIEW_SIZE = 6
+const MATRIX_REDUCTION = 0.5
+// Share of commits that only touch docs
+const DOCS_ONLY_SHARE = 0.2
+// Share of commits pushed to pull request branches, which run once for
+// `push` and once for `pull_request` when both match them
+const PR_BRANCH_SHARE = 0.5
+// Share of runs where a quick check (lint, format, types) fails
+const FAILED_CHECK_SHARE = 0.15
+// Share of job runs that hang until the timeout (GitHub's default is 6 hours)
+const HUNG_RUN_SHARE = 0.005
+const DEFAULT_TIMEOUT_MINUTES = 360
+// Jobs and steps that only check the code
+const QUICK_CHECK = /\b(lint|format|prettier|typecheck|type-check|tsc)\b/i
+
+// Install commands, at the start of a script line (not echoed or quoted)
+const INSTALL_COMMAND =
+  /^(npm (install|ci)|yarn install|pnpm install|pip install)\b/
+
+/**
+ * @param {string} command - Shell command or script
+ * @returns {string[]} Lines of the script that run an install command
+ */
+function findInstallCommands(command) {
+  return command
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => INSTALL_COMMAND.test(line))
+}
+
+/**
+ * @param {string} command - Shell command or script
+ * @returns {boolean} Whether it installs dependencies
+ */
+function isInstallCommand(command) {
+  return findInstallCommands(command).length > 0
+}
+
 /**
  * Analyze workflows for optimization opportunities
  * @param {Array} workflows - Array of parsed workflow objects
  * @param {number} commitsPerDay - Average commits per day
+ * @param {string} [projectPath] - Project root, checked for the lockfiles the setup-node cache needs
  * @returns {Array} Array of optimization recommendations
  */
-function analyzeOptimizations(workflows, commitsPerDay) {
+function analyzeOptimizations(
+  workflows,
+  commitsPerDay,
+  projectPath = process.cwd()
+) {
   const recommendations = []
 
   for (const wf of workflows) {
     const workflow = wf.parsed
     const workflowName = wf.name
 
+    if (CI_CONFIGS[wf.provider]) {
+      recommendations.push(...analyzeConfigOptimizations(wf, commitsPerDay))
+      continue
+    }
     if (!workflow.jobs) continue
 
     // Check each job for optimization opportunities
@@ -225,25 +644,49 @@ function analyzeOptimizations(workflows, commitsPerDay) {
       // 1. Detect missing caching
       const hasSteps = job.steps && Array.isArray(job.steps)
       if (hasSteps) {
+        const usesAction = (step, action) =>
+          typeof step.uses === 'string' && step.uses.includes(action)
+        // setup-node and setup-python only cache with `cache:` set
         const hasCaching = job.steps.some(
           step =>
-            step.uses &&
-            (step.uses.includes('actions/cache') ||
-              step.uses.includes('actions/setup-node'))
+            usesAction(step, 'actions/cache') ||
+            ((usesAction(step, 'actions/setup-node') ||
+              usesAction(step, 'actions/setup-python')) &&
+              step.with &&
+              step.with.cache)
         )
-        const hasInstall = job.steps.some(
-          step =>
-            step.run &&
-            (step.run.includes('npm install') ||
-              step.run.includes('yarn install') ||
-              step.run.includes('pnpm install') ||
-              step.run.includes('pip install'))
+        const installStep = job.steps.find(
+          step => typeof step.run === 'string' && isInstallCommand(step.run)
         )
 
-        if (hasInstall && !hasCaching) {
-          // Estimate 2-5 min savings per run
-          const savingsPerRun = 3
+        if (installStep && !hasCaching) {
+          const savingsPerRun = CACHE_SAVINGS_PER_RUN
           const savingsPerMonth = Math.ceil(savingsPerRun * commitsPerDay * 30)
+          // Node installs can use the setup-node cache (fixable by --fix);
+          // a step that picks between package managers names none
+          const managers = new Set(
+            findInstallCommands(installStep.run).map(line => line.split(' ')[0])
+          )
+          const packageManager =
+            managers.size === 1
+              ? ['pnpm', 'yarn', 'npm'].find(manager => managers.has(manager))
+              : undefined
+          const setupNode =
+            packageManager &&
+            job.steps.some(step => usesAction(step, 'actions/setup-node'))
+          const lockfiles = setupNode
+            ? SETUP_NODE_LOCKFILES[packageManager]
+            : []
+          const hasLockfile = lockfiles.some(file =>
+            fs.existsSync(path.join(projectPath, file))
+          )
+
+          let action = 'Add actions/cache before install step'
+          if (setupNode) {
+            action = hasLockfile
+              ? `Enable the setup-node cache (cache: ${packageManager})`
+              : `Commit ${lockfiles[0]}, then enable the setup-node cache (cache: ${packageManager})`
+          }
 
           recommendations.push({
             type: 'caching',
@@ -251,10 +694,12 @@ function analyzeOptimizations(workflows, commitsPerDay) {
             job: jobName,
             title: 'Add dependency caching',
             description: `Job "${jobName}" installs dependencies but doesn't cache them`,
-            action: 'Add actions/cache before install step',
+            action,
             potentialSavings: savingsPerMonth,
             savingsPerRun,
             priority: 'high',
+            ...(setupNode &&
+              hasLockfile && { fix: 'cache', cache: packageManager }),
           })
         }
       }
@@ -262,10 +707,9 @@ function analyzeOptimizations(workflows, commitsPerDay) {
       // 2. Detect oversized matrix strategies
       if (job.strategy && job.strategy.matrix) {
         const matrixSize = calculateMatrixSize(job.strategy.matrix)
-        if (matrixSize >= 6) {
-          // Suggest reducing by 50%
+        if (matrixSize >= MATRIX_REVIEW_SIZE) {
           const currentMinutes = wf.estimatedDuration
-          const reductionFactor = 0.5
+          const reductionFactor = MATRIX_REDUCTION
           const savingsPerMonth = Math.ceil(
             currentMinutes * reductionFactor * commitsPerDay * 30
           )
@@ -308,6 +752,8 @@ function analyzeOptimizations(workflows, commitsPerDay) {
           potentialSavings: savingsPerMonth,
           savingsPerRun: 0,
           priority: savingsPerMonth > 500 ? 'high' : 'medium',
+          fix: 'schedule',
+          schedule: 'weekly',
         })
       }
 
@@ -328,6 +774,8 @@ function analyzeOptimizations(workflows, commitsPerDay) {
             potentialSavings: savingsPerMonth,
             savingsPerRun: 0,
             priority: 'low',
+            fix: 'schedule',
+            schedule: 'monthly',
           })
         }
       }
@@ -336,13 +784,14 @@ function analyzeOptimizations(workflows, commitsPerDay) {
     // 4. Detect missing path filters
     if (workflow.on && typeof workflow.on === 'object') {
       const hasPush = workflow.on.push || workflow.on.pull_request
-      const hasPathFilter =
-        (workflow.on.push && workflow.on.push.paths) ||
-        (workflow.on.pull_request && workflow.on.pull_request.paths)
+      const hasPathFilter = ['push', 'pull_request'].some(
+        event =>
+          workflow.on[event] &&
+          (workflow.on[event].paths || workflow.on[event]['paths-ignore'])
+      )
 
       if (hasPush && !hasPathFilter && !workflowName.includes('release')) {
-        // Estimate 20% of commits are docs-only
-        const wastedRuns = commitsPerDay * 0.2 * 30
+        const wastedRuns = commitsPerDay * DOCS_ONLY_SHARE * 30
         const savingsPerMonth = Math.ceil(wf.estimatedDuration * wastedRuns)
 
         if (savingsPerMonth > 50) {
@@ -356,26 +805,609 @@ function analyzeOptimizations(workflows, commitsPerDay) {
             potentialSavings: savingsPerMonth,
             savingsPerRun: 0,
             priority: 'medium',
+            fix: 'paths-ignore',
           })
         }
       }
     }
+
+    // 5. Detect runs that keep going after a newer push (push and
+    // pull_request runs of the same commit are reported by
+    // analyzeRedundancy)
+    const pushTriggered = [].concat(
+      typeof workflow.on === 'object' && !Array.isArray(workflow.on)
+        ? Object.keys(workflow.on || {})
+        : workflow.on || []
+    )
+    if (
+      !workflow.concurrency &&
+      (pushTriggered.includes('push') ||
+        pushTriggered.includes('pull_request')) &&
+      !workflowName.includes('release') &&
+      !workflowName.includes('deploy')
+    ) {
+      const runsPerMonth =
+        typeof wf.runsPerMonth === 'number'
+          ? wf.runsPerMonth
+          : commitsPerDay * 30
+      const savingsPerMonth = Math.ceil(
+        wf.estimatedDuration * runsPerMonth * SUPERSEDED_RUN_SHARE
+      )
+
+      if (savingsPerMonth > 0) {
+        recommendations.push({
+          type: 'concurrency',
+          workflow: workflowName,
+          title: 'Cancel superseded runs',
+          description: `"${workflowName}" keeps running after newer commits are pushed to the same branch`,
+          action:
+            'Add concurrency with cancel-in-progress: true, grouped by workflow and ref',
+          potentialSavings: savingsPerMonth,
+          savingsPerRun: 0,
+          priority: 'low',
+          fix: 'concurrency',
+        })
+      }
+    }
   }
 
+  recommendations.push(
+    ...analyzeRedundancy(
+      workflows.filter(wf => !CI_CONFIGS[wf.provider]),
+      commitsPerDay
+    )
+  )
+
   // Sort by potential savings (highest first)
   recommendations.sort((a, b) => b.potentialSavings - a.potentialSavings)
 
   return recommendations
 }
 
+/**
+ * Events that start a workflow; a push limited to tags doesn't count as
+ * `push`, as it doesn't run for commits
+ * @param {object} workflow - Parsed workflow
+ * @returns {string[]}
+ */
+function workflowEvents(workflow) {
+  const on = workflow.on
+  if (!on || typeof on !== 'object' || Array.isArray(on)) {
+    return [].concat(on || [])
+  }
+  const push = on.push
+  const tagsOnly =
+    push && typeof push === 'object' && push.tags && !push.branches
+  return Object.keys(on).filter(event => event !== 'push' || !tagsOnly)
+}
+
+/**
+ * How a step is compared across jobs: the action without its version, or
+ * the command with whitespace collapsed
+ * @param {object} step - Job step
+ * @returns {string|null} Null for steps that can't be compared
+ */
+function stepSignature(step) {
+  if (step && typeof step.uses === 'string') {
+    return `uses:${step.uses.split('@')[0]}`
+  }
+  if (step && typeof step.run === 'string') {
+    return `run:${step.run.trim().split(/\s+/).join(' ')}`
+  }
+  return null
+}
+
+/**
+ * @param {object} step - Job step
+ * @returns {boolean} Whether the step only prepares the job (checkout, setup
+ * actions, caches, dependency installs)
+ */
+function isSetupStep(step) {
+  if (typeof step.uses === 'string') {
+    return /^actions\/(checkout|cache|setup-[\w-]+)@?/.test(step.uses)
+  }
+  return typeof step.run === 'string' && isInstallCommand(step.run)
+}
+
+/**
+ * @param {{name: string, job: object, steps: object[]}} entry - Job
+ * @returns {boolean} Whether the job only checks the code (lint, format,
+ * types) and starts without waiting for others
+ */
+function isQuickCheck({ name, job, steps }) {
+  if (job.needs) {
+    return false
+  }
+  if (QUICK_CHECK.test(name)) {
+    return true
+  }
+  const commands = steps.filter(
+    step => typeof step.run === 'string' && !isSetupStep(step)
+  )
+  return (
+    commands.length > 0 && commands.every(step => QUICK_CHECK.test(step.run))
+  )
+}
+
+/**
+ * Longest run of identical steps two jobs share
+ * @param {string[]} a - Step signatures of one job
+ * @param {string[]} b - Step signatures of the other
+ * @returns {{startA: number, startB: number, length: number}}
+ */
+function longestCommonSteps(a, b) {
+  let best = { startA: 0, startB: 0, length: 0 }
+  let previous = new Array(b.length + 1).fill(0)
+  for (let i = 1; i <= a.length; i++) {
+    const current = new Array(b.length + 1).fill(0)
+    for (let j = 1; j <= b.length; j++) {
+      if (a[i - 1] !== null && a[i - 1] === b[j - 1]) {
+        current[j] = previous[j - 1] + 1
+        if (current[j] > best.length) {
+          best = {
+            startA: i - current[j],
+            startB: j - current[j],
+            length: current[j],
+          }
+        }
+      }
+    }
+    previous = current
+  }
+  return best
+}
+
+/**
+ * Cross-workflow view of GitHub workflows: events, runs per month and the
+ * jobs with their estimated minutes per run, scaled like the workflow's
+ * duration (the run history's, when there is one)
+ * @param {Array} workflows - Workflow analysis results
+ * @param {number} commitsPerDay - Average commits per day
+ * @returns {Array<Object>}
+ */
+function buildWorkflowView(workflows, commitsPerDay) {
+  return workflows
+    .filter(
+      wf => wf.parsed && wf.parsed.jobs && typeof wf.parsed.jobs === 'object'
+    )
+    .map(wf => {
+      const estimated = estimateWorkflowDuration(wf.parsed)
+      const scale = estimated > 0 ? wf.estimatedDuration / estimated : 1
+      return {
+        wf,
+        events: workflowEvents(wf.parsed),
+        runsPerMonth:
+          typeof wf.runsPerMonth === 'number'
+            ? wf.runsPerMonth
+            : commitsPerDay * 30,
+        scale,
+        jobs: Object.entries(wf.parsed.jobs)
+          .filter(([, job]) => job && Array.isArray(job.steps))
+          .map(([name, job]) => ({
+            name,
+            job,
+            steps: job.steps,
+            signatures: job.steps.map(stepSignature),
+            minutes: estimateJobDuration(job) * scale,
+            count:
+              job.strategy && job.strategy.matrix
+                ? calculateMatrixSize(job.strategy.matrix)
+                : 1,
+          })),
+      }
+    })
+}
+
+/**
+ * Redundant CI work in GitHub workflows, looked at across workflows
+ *
+ * - push and pull_request both matching pull request branches, so their
+ *   commits run the workflow twice
+ * - runs of identical steps in jobs of different workflows that start on
+ *   the same events (the same install and lint in ci.yml and lint.yml)
+ * - expensive jobs that start alongside quick checks instead of `needs`-ing
+ *   them, so they run to the end when the checks fail
+ * - jobs without `timeout-minutes`, which bill up to 6 hours when they hang
+ *
+ * Each finding carries the minutes a month it's estimated to waste.
+ * @param {Array} workflows - GitHub workflow analysis results
+ * @param {number} commitsPerDay - Average commits per day
+ * @returns {Array} Recommendations
+ */
+function analyzeRedundancy(workflows, commitsPerDay) {
+  const views = buildWorkflowView(workflows, commitsPerDay)
+  const recommendations = []
+
+  // 1. push and pull_request runs of the same commits
+  for (const view of views) {
+    const { wf } = view
+    if (
+      !view.events.includes('push') ||
+      !view.events.includes('pull_request')
+    ) {
+      continue
+    }
+    const on = wf.parsed.on
+    const push =
+      on && typeof on === 'object' && !Array.isArray(on) ? on.push : null
+    const branches = push && push.branches
+    // push limited to named branches (main) doesn't match PR branches
+    if (
+      branches &&
+      ![].concat(branches).some(branch => String(branch).includes('*'))
+    ) {
+      continue
+    }
+
+    const savingsPerMonth = Math.ceil(
+      wf.estimatedDuration * commitsPerDay * 30 * PR_BRANCH_SHARE
+    )
+    if (savingsPerMonth > 0) {
+      recommendations.push({
+        type: 'duplicate-trigger',
+        workflow: wf.name,
+        title: 'Run pull request commits once',
+        description: `"${wf.name}" runs on both push and pull_request for the same branches, so each pull request commit runs it twice (~${savingsPerMonth.toLocaleString()} min/month wasted)`,
+        action:
+          'Limit push to the default branch (push: branches: [main]) and let pull_request cover the rest',
+        potentialSavings: savingsPerMonth,
+        savingsPerRun: 0,
+        priority: savingsPerMonth > 500 ? 'high' : 'medium',
+      })
+    }
+  }
+
+  // 2. Identical step sequences in workflows starting on the same events
+  const prEvents = ['push', 'pull_request']
+  for (let i = 0; i < views.length; i++) {
+    for (let j = i + 1; j < views.length; j++) {
+      const [first, second] = [views[i], views[j]]
+      if (
+        !prEvents.some(
+          event => first.events.includes(event) && second.events.includes(event)
+        )
+      ) {
+        continue
+      }
+
+      let best = null
+      for (const a of first.jobs) {
+        for (const b of second.jobs) {
+          const common = longestCommonSteps(a.signatures, b.signatures)
+          const steps = b.steps.slice(
+            common.startB,
+            common.startB + common.length
+          )
+          if (common.length < 2 || steps.every(isSetupStep)) continue
+          // A whole duplicated job also repeats its startup
+          const minutes =
+            common.length === b.steps.length
+              ? b.minutes
+              : steps.reduce(
+                  (sum, step) => sum + estimateStepDuration(step),
+                  0
+                ) * second.scale
+          if (!best || minutes > best.minutes) {
+            best = { a, b, steps, minutes }
+          }
+        }
+      }
+      if (!best) continue
+
+      const runs = Math.min(first.runsPerMonth, second.runsPerMonth)
+      const savingsPerMonth = Math.ceil(best.minutes * runs)
+      const names = best.steps.map(
+        step =>
+          step.name || (step.run ? step.run.trim().split('\n')[0] : step.uses)
+      )
+      recommendations.push({
+        type: 'duplicate-steps',
+        workflow: second.wf.name,
+        job: best.b.name,
+        title: 'Remove steps repeated across workflows',
+        description: `Job "${best.b.name}" repeats ${best.steps.length} steps of job "${best.a.name}" in ${first.wf.name} (${names.slice(0, 3).join(', ')}${names.length > 3 ? ', ...' : ''}) on every push (~${savingsPerMonth.toLocaleString()} min/month wasted)`,
+        action: `Run them once: keep them in ${first.wf.name}, or move them to a reusable workflow (on: workflow_call) both call`,
+        potentialSavings: savingsPerMonth,
+        savingsPerRun: Math.ceil(best.minutes),
+        priority: savingsPerMonth > 500 ? 'high' : 'medium',
+      })
+    }
+  }
+
+  for (const view of views) {
+    const { wf } = view
+
+    // 3. Expensive jobs that don't wait for the quick checks
+    const quick = view.jobs.filter(isQuickCheck)
+    if (quick.length > 0) {
+      const quickMinutes = Math.max(...quick.map(entry => entry.minutes))
+      const unguarded = view.jobs.filter(
+        entry =>
+          !quick.includes(entry) &&
+          !entry.job.needs &&
+          entry.minutes > quickMinutes
+      )
+      const minutes = unguarded.reduce(
+        (sum, entry) => sum + entry.minutes * entry.count,
+        0
+      )
+      const savingsPerMonth = Math.ceil(
+        minutes * view.runsPerMonth * FAILED_CHECK_SHARE
+      )
+      if (unguarded.length > 0 && savingsPerMonth > 0) {
+        const jobNames = unguarded.map(entry => entry.name).join(', ')
+        const checkNames = quick.map(entry => entry.name).join(', ')
+        recommendations.push({
+          type: 'fail-fast',
+          workflow: wf.name,
+          title: 'Fail fast on quick checks',
+          description: `"${wf.name}" starts ${jobNames} alongside ${checkNames}, so they run to the end when a check fails (~${savingsPerMonth.toLocaleString()} min/month wasted)`,
+          action: `Add needs: [${checkNames}] to ${jobNames} so they start after the checks pass`,
+          potentialSavings: savingsPerMonth,
+          savingsPerRun: 0,
+          priority: 'low',
+        })
+      }
+    }
+
+    // 4. Jobs that can hang for the default 6 hours
+    const unbounded = view.jobs
+      .filter(({ job }) => job['timeout-minutes'] === undefined)
+      .map(entry => ({
+        ...entry,
+        // Three times the expected duration, in 5-minute steps
+        timeout: Math.max(10, Math.ceil((entry.minutes * 3) / 5) * 5),
+      }))
+    const savingsPerMonth = Math.ceil(
+      unbounded.reduce(
+        (sum, entry) =>
+          sum +
+          entry.count *
+            view.runsPerMonth *
+            HUNG_RUN_SHARE *
+            (DEFAULT_TIMEOUT_MINUTES - entry.timeout),
+        0
+      )
+    )
+    if (unbounded.length > 0 && savingsPerMonth > 0) {
+      recommendations.push({
+        type: 'timeout',
+        workflow: wf.name,
+        title: 'Set job timeouts',
+        description: `${unbounded.length} job(s) in "${wf.name}" have no timeout-minutes, so a hung run bills up to 6 hours (~${savingsPerMonth.toLocaleString()} min/month wasted)`,
+        action: `Add timeout-minutes (${unbounded.map(entry => `${entry.name}: ${entry.timeout}`).join(', ')})`,
+        potentialSavings: savingsPerMonth,
+        savingsPerRun: 0,
+        priority: 'low',
+      })
+    }
+  }
+
+  return recommendations
+}
+
+/**
+ * Recommendations for a GitLab CI or CircleCI pipeline
+ *
+ * The checks and savings estimates of GitHub workflows, on the jobs the
+ * config reader returns, with actions in the provider's syntax. Checks a
+ * provider has no config for (GitLab schedules live in the project
+ * settings, CircleCI auto-cancel too) are skipped.
+ * @param {object} wf - Workflow analysis result
+ * @param {number} commitsPerDay - Average commits per day
+ * @returns {Array} Recommendations
+ */
+function analyzeConfigOptimizations(wf, commitsPerDay) {
+  const config = CI_CONFIGS[wf.provider]
+  const { ACTIONS } = config
+  const scheduled = typeof wf.runsPerMonth === 'number'
+  const runsPerMonth = scheduled ? wf.runsPerMonth : commitsPerDay * 30
+  const jobs = config
+    .getJobs(wf.parsed, wf.pipeline, CI_PROVIDERS[wf.provider].pricing)
+    .filter(job => job.trigger === 'pipeline')
+
+  const recommendations = []
+  for (const job of jobs) {
+    if (job.commands.some(isInstallCommand) && !job.cached) {
+      recommendations.push({
+        type: 'caching',
+        workflow: wf.name,
+        job: job.name,
+        title: 'Add dependency caching',
+        description: `Job "${job.name}" installs dependencies but doesn't cache them`,
+        action: ACTIONS.caching,
+        potentialSavings: Math.ceil(CACHE_SAVINGS_PER_RUN * runsPerMonth),
+        savingsPerRun: CACHE_SAVINGS_PER_RUN,
+        priority: 'high',
+      })
+    }
+
+    if (job.matrixSize >= MATRIX_REVIEW_SIZE) {
+      const savingsPerRun = wf.estimatedDuration * MATRIX_REDUCTION
+      recommendations.push({
+        type: 'matrix',
+        workflow: wf.name,
+        job: job.name,
+        title: 'Reduce matrix size',
+        description: `Job "${job.name}" runs ${job.matrixSize} matrix combinations`,
+        action: ACTIONS.matrix(job.matrixSize),
+        potentialSavings: Math.ceil(savingsPerRun * runsPerMonth),
+        savingsPerRun: Math.ceil(savingsPerRun),
+        priority: job.matrixSize >= 9 ? 'high' : 'medium',
+      })
+    }
+  }
+
+  // Scheduled more than twice a week
+  if (scheduled && ACTIONS.frequency && runsPerMonth > 8) {
+    const proposedRuns = 4 // Weekly = 4 runs/month
+    const savingsPerMonth = Math.ceil(
+      wf.estimatedDuration * (runsPerMonth - proposedRuns)
+    )
+    recommendations.push({
+      type: 'frequency',
+      workflow: wf.name,
+      title: 'Reduce schedule frequency',
+      description: `"${wf.name}" runs ~${Math.round(runsPerMonth)}x/month on its schedule`,
+      action: ACTIONS.frequency,
+      potentialSavings: savingsPerMonth,
+      savingsPerRun: 0,
+      priority: savingsPerMonth > 500 ? 'high' : 'medium',
+    })
+  }
+
+  if (!scheduled && !config.filtersPaths(wf.parsed)) {
+    const savingsPerMonth = Math.ceil(
+      wf.estimatedDuration * runsPerMonth * DOCS_ONLY_SHARE
+    )
+    if (savingsPerMonth > 50) {
+      recommendations.push({
+        type: 'conditional',
+        workflow: wf.name,
+        title: 'Add path filters',
+        description: `"${wf.name}" runs on all commits`,
+        action: ACTIONS.conditional,
+        potentialSavings: savingsPerMonth,
+        savingsPerRun: 0,
+        priority: 'medium',
+      })
+    }
+  }
+
+  if (
+    !scheduled &&
+    ACTIONS.concurrency &&
+    config.cancelsSuperseded(wf.parsed) === false
+  ) {
+    const savingsPerMonth = Math.ceil(
+      wf.estimatedDuration * runsPerMonth * SUPERSEDED_RUN_SHARE
+    )
+    if (savingsPerMonth > 0) {
+      recommendations.push({
+        type: 'concurrency',
+        workflow: wf.name,
+        title: 'Cancel superseded runs',
+        description: `"${wf.name}" keeps running after newer commits are pushed to the same branch`,
+        action: ACTIONS.concurrency,
+        potentialSavings: savingsPerMonth,
+        savingsPerRun: 0,
+        priority: 'low',
+      })
+    }
+  }
+
+  return recommendations
+}
+
+/**
+ * Average price of a workflow's minutes, used to price savings
+ * @param {object} costs - calculateMonthlyCosts result
+ * @param {string} workflowName - Workflow file name
+ * @returns {number} USD per minute
+ */
+function getCostPerMinute(costs, workflowName) {
+  const wf = costs.breakdown.find(entry => entry.name === workflowName)
+  return wf && wf.minutesPerMonth > 0
+    ? wf.cost / wf.minutesPerMonth
+    : DEFAULT_PRICING[DEFAULT_RUNNER].perMinute
+}
+
+/**
+ * @param {number} minutes - Duration
+ * @returns {string} Whole minutes, or one decimal below 10 minutes
+ */
+function formatMinutes(minutes) {
+  return minutes < 10
+    ? String(Math.round(minutes * 10) / 10)
+    : String(Math.round(minutes))
+}
+
+/**
+ * Length of a history window (`12 days`, `9 hours` under two days)
+ * @param {number} days - Window in days
+ * @returns {string}
+ */
+function formatWindowDays(days) {
+  return days < 2
+    ? `${Math.max(1, Math.round(days * 24))} hours`
+    : `${Math.round(days)} days`
+}
+
+/**
+ * Run history for the analysis: an exported runs file (--runs), else the
+ * GitHub API unless --no-history is given
+ * @param {string} projectPath - Project root
+ * @param {Object} options - analyze-ci options
+ * @returns {Promise<{label: string, summary: ReturnType<typeof summarizeRunHistory>}|null>} Null when no history is available
+ */
+async function loadRunHistory(projectPath, options) {
+  const days = options.days ? Number(options.days) : DEFAULT_HISTORY_DAYS
+  if (!Number.isInteger(days) || days < 1) {
+    throw new Error(
+      `--days must be a positive whole number (got ${options.days})`
+    )
+  }
+
+  if (options.runs) {
+    const runs = loadRunHistoryFile(path.resolve(projectPath, options.runs))
+    if (runs.length === 0) {
+      throw new Error(`No completed workflow runs in ${options.runs}`)
+    }
+    return {
+      label: path.basename(options.runs),
+      summary: summarizeRunHistory(runs),
+    }
+  }
+  if (options.noHistory) {
+    return null
+  }
+
+  try {
+    const fetched = await fetchRunHistory(projectPath, { days })
+    if (!fetched || fetched.runs.length === 0) {
+      return null
+    }
+    return {
+      label: fetched.truncated
+        ? `GitHub API, ${fetched.repository}, newest ${fetched.runs.length} of ${fetched.totalRuns} runs in ${days} days`
+        : `GitHub API, ${fetched.repository}`,
+      summary: summarizeRunHistory(fetched.runs, {
+        windowDays: fetched.windowDays,
+      }),
+    }
+  } catch (error) {
+    console.warn(
+      `\n⚠️  Could not fetch workflow run history: ${error.message}\n   Falling back to estimates (export runs and pass --runs <file> to analyze offline)`
+    )
+    return null
+  }
+}
+
+// Why a job isn't counted in the minutes per run
+const JOB_NOTES = {
+  manual: 'runs manually',
+  schedule: 'runs on schedules',
+  tags: 'runs for tags',
+  downstream: 'triggers a downstream pipeline',
+}
+
+// Where runs per month come from
+const RUNS_SOURCES = {
+  history: 'run history',
+  schedule: 'schedule',
+  commits: 'commit frequency',
+}
+
 /**
  * Generate cost analysis report for terminal output
- * @param {object} analysis - Complete cost analysis results
+ * @param {object} analysis - Complete cost analysis results (of one CI provider)
  */
 function generateReport(analysis) {
-  const { workflows, costs, commitStats, optimizations } = analysis
+  const { workflows, costs, commitStats, optimizations, history } = analysis
+  const provider = CI_PROVIDERS[analysis.provider || 'github']
+  const { unit, plans } = provider
 
-  console.log('\n📊 GitHub Actions Usage Analysis')
+  console.log(`\n📊 ${provider.label} Usage Analysis`)
   console.log('━'.repeat(50))
 
   // Repository info
@@ -397,6 +1429,19 @@ function generateReport(analysis) {
   console.log(
     `Estimated usage: ${costs.minutesPerMonth.toLocaleString()} min/month`
   )
+  if (history) {
+    console.log(
+      `  Run history: ${history.summary.totalRuns} runs over ${formatWindowDays(history.summary.windowDays)} (${history.label})`
+    )
+  } else if (analysis.provider && analysis.provider !== 'github') {
+    console.log(
+      '  Durations estimated from job steps, runs from commit frequency and schedules'
+    )
+  } else {
+    console.log(
+      '  No run history: durations estimated from step names, runs from commit frequency'
+    )
+  }
   console.log(
     `  Commit frequency: ~${commitStats.commitsPerDay.toFixed(1)} commits/day`
   )
@@ -407,45 +1452,80 @@ function generateReport(analysis) {
   if (costs.breakdown.length > 0) {
     console.log('Workflow breakdown:')
     for (const wf of costs.breakdown) {
+      const durationNote = wf.duration
+        ? `p50 ${formatMinutes(wf.duration.p50)}, p95 ${formatMinutes(wf.duration.p95)} over ${wf.duration.sampled} runs, from ${wf.duration.timing === 'jobs' ? 'job timings' : 'run times'}`
+        : 'estimated from step names'
       console.log(`  ├─ ${wf.name}:`)
-      console.log(`     • ~${wf.minutesPerRun} min/run`)
       console.log(
-        `     • ~${wf.runsPerMonth} runs/month = ${wf.minutesPerMonth} min/month`
+        `     • ~${formatMinutes(wf.minutesPerRun)} min/run (${durationNote})`
       )
+      console.log(
+        `     • ~${wf.runsPerMonth} runs/month = ${wf.minutesPerMonth} min/month (runs from ${RUNS_SOURCES[wf.runsSource]})`
+      )
+      console.log(`     • $${wf.cost.toFixed(2)}/month at list price:`)
+      for (const job of wf.jobs) {
+        if (job.note) {
+          console.log(
+            `        - ${job.name}: not counted (${JOB_NOTES[job.note]})`
+          )
+          continue
+        }
+        const runners = job.runners
+          .map(
+            runner =>
+              `${runner.label}${runner.count > 1 ? ` ×${runner.count}` : ''}${runner.assumed ? ' (assumed)' : ''}`
+          )
+          .join(', ')
+        console.log(
+          `        - ${job.name}: ~${formatMinutes(job.minutesPerRun)} min/run on ${runners} = $${job.cost.toFixed(2)}/month`
+        )
+      }
     }
     console.log('')
   }
 
   // Cost analysis
   console.log('💰 Cost Analysis')
+  if (costs.includedUsage !== costs.minutesPerMonth) {
+    console.log(
+      `${provider.usage}: ${costs.includedUsage.toLocaleString()} ${unit}/month (${provider.usageNote})`
+    )
+  }
+  if (costs.billedCost > 0) {
+    console.log(
+      `Larger runners: $${costs.billedCost.toFixed(2)}/month (billed outside the included minutes)`
+    )
+  }
 
   // Free tier
+  const freeTier = `${plans.free.label} (${costs.tiers.free.limit.toLocaleString()} ${unit})`
   if (costs.tiers.free.withinLimit) {
-    console.log(
-      `Free tier (${costs.tiers.free.limit.toLocaleString()} min): ✅ WITHIN LIMIT`
-    )
-    const remaining = costs.tiers.free.limit - costs.minutesPerMonth
-    console.log(`  Remaining: ${remaining.toLocaleString()} min/month`)
+    console.log(`${freeTier}: ✅ WITHIN LIMIT`)
+    const remaining = costs.tiers.free.limit - costs.includedUsage
+    console.log(`  Remaining: ${remaining.toLocaleString()} ${unit}/month`)
   } else {
     console.log(
-      `Free tier (${costs.tiers.free.limit.toLocaleString()} min): ⚠️  EXCEEDED by ${costs.tiers.free.overage.toLocaleString()} min`
+      `${freeTier}: ⚠️  EXCEEDED by ${costs.tiers.free.overage.toLocaleString()} ${unit}`
     )
     console.log(`Overage cost: $${costs.tiers.free.cost.toFixed(2)}/month`)
     console.log('')
     console.log('Alternative options:')
 
     // Team tier comparison
+    const teamTier = `${plans.team.label} ($${costs.tiers.team.monthlyCost}${plans.team.perUser ? '/user' : ''}/month)`
     if (costs.tiers.team.withinLimit) {
       console.log(
-        `  Team plan ($${costs.tiers.team.monthlyCost}/user/month): ✅ Stays within ${costs.tiers.team.limit.toLocaleString()} min limit`
+        `  ${teamTier}: ✅ Stays within ${costs.tiers.team.limit.toLocaleString()} ${unit} limit`
       )
       const savings = costs.tiers.free.cost - costs.tiers.team.monthlyCost
       if (savings > 0) {
-        console.log(`    Saves $${savings.toFixed(2)}/month per user`)
+        console.log(
+          `    Saves $${savings.toFixed(2)}/month${plans.team.perUser ? ' per user' : ''}`
+        )
       }
     } else {
       console.log(
-        `  Team plan ($${costs.tiers.team.monthlyCost}/user/month): Still exceeds (${costs.tiers.team.overage.toLocaleString()} min overage)`
+        `  ${teamTier}: Still exceeds (${costs.tiers.team.overage.toLocaleString()} ${unit} overage)`
       )
       console.log(
         `    Total cost: $${(costs.tiers.team.monthlyCost + costs.tiers.team.cost).toFixed(2)}/month`
@@ -453,7 +1533,7 @@ function generateReport(analysis) {
     }
 
     // Self-hosted option
-    console.log('  Self-hosted runners: $0/min (but VPS costs ~$5-20/month)')
+    console.log(`  ${provider.selfHosted}: $0/min (but VPS costs ~$5-20/month)`)
   }
 
   console.log('')
@@ -463,11 +1543,15 @@ function generateReport(analysis) {
     console.log('💡 Optimization Recommendations')
     console.log('')
 
+    const costPerMinute = rec => getCostPerMinute(costs, rec.workflow)
     const totalPotentialSavings = optimizations.reduce(
       (sum, rec) => sum + rec.potentialSavings,
       0
     )
-    const totalSavingsCost = totalPotentialSavings * 0.008
+    const totalSavingsCost = optimizations.reduce(
+      (sum, rec) => sum + rec.potentialSavings * costPerMinute(rec),
+      0
+    )
 
     console.log(
       `Found ${optimizations.length} optimization opportunities (potential savings: ${totalPotentialSavings.toLocaleString()} min/month = $${totalSavingsCost.toFixed(2)}/month)`
@@ -486,7 +1570,7 @@ function generateReport(analysis) {
         console.log(`     • ${rec.description}`)
         console.log(`     • Action: ${rec.action}`)
         console.log(
-          `     • Savings: ${rec.potentialSavings.toLocaleString()} min/month ($${(rec.potentialSavings * 0.008).toFixed(2)}/month)`
+          `     • Savings: ${rec.potentialSavings.toLocaleString()} min/month ($${(rec.potentialSavings * costPerMinute(rec)).toFixed(2)}/month)`
         )
       }
       console.log('')
@@ -499,7 +1583,7 @@ function generateReport(analysis) {
         console.log(`     • ${rec.description}`)
         console.log(`     • Action: ${rec.action}`)
         console.log(
-          `     • Savings: ${rec.potentialSavings.toLocaleString()} min/month ($${(rec.potentialSavings * 0.008).toFixed(2)}/month)`
+          `     • Savings: ${rec.potentialSavings.toLocaleString()} min/month ($${(rec.potentialSavings * costPerMinute(rec)).toFixed(2)}/month)`
         )
       }
       console.log('')
@@ -512,7 +1596,7 @@ function generateReport(analysis) {
         console.log(`     • ${rec.description}`)
         console.log(`     • Action: ${rec.action}`)
         console.log(
-          `     • Savings: ${rec.potentialSavings.toLocaleString()} min/month ($${(rec.potentialSavings * 0.008).toFixed(2)}/month)`
+          `     • Savings: ${rec.potentialSavings.toLocaleString()} min/month ($${(rec.potentialSavings * costPerMinute(rec)).toFixed(2)}/month)`
         )
       }
       console.log('')
@@ -528,12 +1612,140 @@ function generateReport(analysis) {
   console.log('')
 }
 
+/**
+ * Fix types selected with --only (all of them by default)
+ * @param {string} [only] - Comma-separated fix types
+ * @returns {string[]}
+ */
+function parseFixTypes(only) {
+  if (!only) {
+    return FIX_TYPES
+  }
+  const types = only
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean)
+  const unknown = types.filter(type => !FIX_TYPES.includes(type))
+  if (unknown.length > 0 || types.length === 0) {
+    throw new Error(
+      `Unknown fix type "${unknown.join(', ') || only}" (use ${FIX_TYPES.join(', ')})`
+    )
+  }
+  return types
+}
+
+/**
+ * Apply fixable recommendations to the workflow files, showing the diff
+ * and estimated savings of each file before it is written
+ * @param {Array} workflows - Analyzed workflows
+ * @param {Array} optimizations - Recommendations
+ * @param {object} costs - calculateMonthlyCosts result
+ * @param {Object} options - analyze-ci options
+ * @returns {Promise<number>} Number of files written
+ */
+async function applyFixes(workflows, optimizations, costs, options) {
+  const { unifiedDiff } = require('../text-merge')
+  const { InteractivePrompt } = require('../interactive/prompt')
+
+  const types = parseFixTypes(options.only)
+  const selected = optimizations.filter(rec => types.includes(rec.fix))
+  console.log('🔧 CI Fixes')
+  if (selected.length === 0) {
+    console.log('  Nothing to fix automatically\n')
+    return 0
+  }
+
+  const prompt = new InteractivePrompt()
+  const interactive = !options.dryRun && prompt.isTTY()
+  let written = 0
+  let totalSavings = 0
+  let totalSavingsCost = 0
+
+  for (const wf of workflows) {
+    const recommendations = selected.filter(rec => rec.workflow === wf.name)
+    if (recommendations.length === 0) continue
+
+    const file = path.relative(process.cwd(), wf.path)
+    const before = fs.readFileSync(wf.path, 'utf8')
+    const { content, applied, skipped } = applyWorkflowFixes(
+      before,
+      recommendations
+    )
+
+    console.log(`\n  ${file}`)
+    for (const { recommendation, reason } of skipped) {
+      console.log(`  ⏭️  ${recommendation.title}: skipped (${reason})`)
+    }
+    if (applied.length === 0) continue
+
+    console.log(
+      unifiedDiff(before, content, {
+        fromFile: `a/${file}`,
+        toFile: `b/${file}`,
+      })
+        .split('\n')
+        .map(line => `    ${line}`)
+        .join('\n')
+        .trimEnd()
+    )
+    const costPerMinute = getCostPerMinute(costs, wf.name)
+    let savings = 0
+    for (const rec of applied) {
+      savings += rec.potentialSavings
+      console.log(
+        `  ✅ ${rec.title}${rec.job ? ` (${rec.job})` : ''}: ~${rec.potentialSavings.toLocaleString()} min/month ($${(rec.potentialSavings * costPerMinute).toFixed(2)}/month)`
+      )
+    }
+
+    const write =
+      !options.dryRun &&
+      (!interactive || (await prompt.confirm(`  Write ${file}?`, true)))
+    if (write) {
+      fs.writeFileSync(wf.path, content)
+      written++
+      totalSavings += savings
+      totalSavingsCost += savings * costPerMinute
+    }
+  }
+
+  console.log('')
+  if (options.dryRun) {
+    console.log('💡 Dry run: no workflow files were changed')
+  } else if (written > 0) {
+    console.log(
+      `✅ Updated ${written} workflow file(s), saving an estimated ~${totalSavings.toLocaleString()} min/month ($${totalSavingsCost.toFixed(2)}/month)`
+    )
+  } else {
+    console.log('No workflow files were changed')
+  }
+  console.log('')
+  return written
+}
+
 /**
  * Main handler for --analyze-ci command
+ * @param {Object} [options] - Parsed command options
+ * @param {string} [options.runs] - Exported workflow runs JSON file
+ * @param {string} [options.days] - Days of run history to fetch (default 30)
+ * @param {boolean} [options.noHistory] - Don't fetch run history from GitHub
+ * @param {boolean} [options.fix] - Apply fixable recommendations to the workflows
+ * @param {string} [options.only] - Comma-separated fix types to apply
+ * @param {boolean} [options.dryRun] - With --fix, show the changes without writing
  */
-async function handleAnalyzeCi() {
+async function handleAnalyzeCi(options = {}) {
   const projectPath = process.cwd()
 
+  if ((options.only || options.dryRun) && !options.fix) {
+    console.error('❌ --only and --dry-run are used with --fix')
+    process.exit(1)
+  }
+  try {
+    parseFixTypes(options.only)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+
   // Check if Pro feature (FREE tier for now during development)
   // TODO: Enable Pro gating after testing
   // const license = getLicenseInfo()
@@ -542,33 +1754,90 @@ async function handleAnalyzeCi() {
   //   process.exit(1)
   // }
 
-  const spinner = showProgress('Analyzing GitHub Actions workflows...')
+  const spinner = showProgress('Analyzing CI configuration...')
 
   try {
     // Step 1: Discover workflows
     const workflowFiles = discoverWorkflows(projectPath)
 
     if (workflowFiles.length === 0) {
-      spinner.fail('No GitHub Actions workflows found')
-      console.log('\n❌ No .github/workflows directory or workflow files found')
+      spinner.fail(
+        'No GitHub Actions workflows found, nor a GitLab CI or CircleCI config'
+      )
       console.log(
-        '   Run this command in a repository with GitHub Actions configured'
+        '\n❌ No .github/workflows directory, .gitlab-ci.yml or .circleci/config.yml found'
+      )
+      console.log(
+        '   Run this command in a repository with GitHub Actions, GitLab CI or CircleCI configured'
       )
       process.exit(1)
     }
 
-    // Step 2: Parse and analyze workflows
+    // Step 2: Real durations and run counts, when there is a history
+    const history = workflowFiles.some(wf => wf.provider === 'github')
+      ? await loadRunHistory(projectPath, options)
+      : null
+    /** @type {Object<string, Object<string, import('../ci-pricing').RunnerPricing>>} */
+    const pricing = {}
+    for (const { provider } of workflowFiles) {
+      pricing[provider] =
+        pricing[provider] || loadCiPricing(projectPath, provider)
+    }
+
+    // Step 3: Parse and analyze workflows
     const workflows = []
     for (const wf of workflowFiles) {
       try {
         const content = fs.readFileSync(wf.path, 'utf8')
-        const parsed = yaml.load(content)
+        const config = CI_CONFIGS[wf.provider]
+        if (config) {
+          // One entry per pipeline (CircleCI workflow); scheduled ones
+          // run at their cron frequency
+          const parsed = config.parse(content)
+          for (const { pipeline, runsPerMonth } of config.listPipelines(
+            parsed
+          )) {
+            const entry = {
+              name: pipeline ? `${wf.name} (${pipeline})` : wf.name,
+              path: wf.path,
+              provider: wf.provider,
+              pipeline,
+              parsed,
+              durationSource: 'estimate',
+              duration: null,
+              runsPerMonth,
+              runsSource: runsPerMonth === undefined ? undefined : 'schedule',
+            }
+            workflows.push({
+              ...entry,
+              estimatedDuration: Math.ceil(
+                sumJobMinutes(listJobs(entry, pricing[wf.provider]))
+              ),
+            })
+          }
+          continue
+        }
 
-        const estimatedDuration = estimateWorkflowDuration(parsed)
+        const parsed = yaml.load(content)
+        const stats = history && history.summary.workflows[wf.name]
         workflows.push({
           name: wf.name,
           path: wf.path,
-          estimatedDuration,
+          provider: wf.provider,
+          estimatedDuration: stats
+            ? stats.mean
+            : estimateWorkflowDuration(parsed),
+          durationSource: stats ? 'history' : 'estimate',
+          duration: stats
+            ? {
+                p50: stats.p50,
+                p95: stats.p95,
+                sampled: stats.sampled,
+                timing: stats.timing,
+              }
+            : null,
+          // A workflow without runs in the history really didn't run
+          runsPerMonth: history ? (stats ? stats.runsPerMonth : 0) : undefined,
           parsed,
         })
       } catch (error) {
@@ -576,27 +1845,50 @@ async function handleAnalyzeCi() {
       }
     }
 
-    // Step 3: Get commit frequency
+    // Step 4: Get commit frequency
     const commitStats = getCommitFrequency(projectPath)
 
-    // Step 4: Calculate costs
-    const costs = calculateMonthlyCosts(workflows, commitStats.commitsPerDay)
-
-    // Step 5: Analyze optimization opportunities
-    const optimizations = analyzeOptimizations(
-      workflows,
-      commitStats.commitsPerDay
+    // Steps 5-6: Costs and optimization opportunities, per CI provider
+    const analyses = [...new Set(workflows.map(wf => wf.provider))].map(
+      provider => {
+        const providerWorkflows = workflows.filter(
+          wf => wf.provider === provider
+        )
+        return {
+          provider,
+          workflows: providerWorkflows,
+          costs: calculateMonthlyCosts(
+            providerWorkflows,
+            commitStats.commitsPerDay,
+            pricing[provider],
+            provider
+          ),
+          optimizations: analyzeOptimizations(
+            providerWorkflows,
+            commitStats.commitsPerDay,
+            projectPath
+          ),
+          history: provider === 'github' ? history : null,
+        }
+      }
     )
 
     spinner.succeed('Analysis complete')
 
-    // Step 6: Generate report
-    generateReport({
-      workflows,
-      costs,
-      commitStats,
-      optimizations,
-    })
+    // Step 7: Generate report
+    for (const analysis of analyses) {
+      generateReport({ ...analysis, commitStats })
+    }
+
+    // Step 8: Apply fixes (GitHub workflows)
+    if (options.fix) {
+      await applyFixes(
+        workflows,
+        analyses.flatMap(analysis => analysis.optimizations),
+        { breakdown: analyses.flatMap(analysis => analysis.costs.breakdown) },
+        options
+      )
+    }
 
     process.exit(0)
   } catch (error) {
@@ -613,6 +1905,10 @@ module.exports = {
   handleAnalyzeCi,
   discoverWorkflows,
   estimateWorkflowDuration,
+  expandMatrix,
+  calculateMatrixSize,
+  getJobRunners,
+  loadRunHistory,
   getCommitFrequency,
   calculateMonthlyCosts,
   analyzeOptimizations,
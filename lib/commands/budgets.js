@@ -0,0 +1,152 @@
+/**
+ * Performance budgets command handler
+ *
+ * Checks Lighthouse, bundle size and duration measurements against the
+ * `budgets` section of .qualityrc.json and the stored baseline.
+ */
+
+'use strict'
+
+const path = require('path')
+const fs = require('fs')
+const {
+  BUDGETS_BASELINE_FILE,
+  loadBudgets,
+  collectBudgetMeasurements,
+  evaluateBudgets,
+  writeBudgetsBaseline,
+  measureDuration,
+  measureBundleSizes,
+  formatBudgetValue,
+} = require('../performance-budgets')
+
+/**
+ * Print one evaluated measurement
+ * @param {Object} result - Result of evaluateBudgets
+ */
+function printBudgetResult(result) {
+  const icon = result.overBudget || result.regressed ? '❌' : '✅'
+  const details = []
+
+  if (result.budget !== null) {
+    const comparator = result.higherIsBetter ? '≥' : '≤'
+    details.push(
+      `budget ${comparator} ${formatBudgetValue(result.budget, result.unit)}`
+    )
+  }
+  if (result.change !== null) {
+    const sign = result.change > 0 ? '+' : ''
+    details.push(
+      `baseline ${formatBudgetValue(result.baseline, result.unit)}, ${sign}${result.change.toFixed(1)}%${result.regressed ? ' regression' : ''}`
+    )
+  }
+
+  const suffix = details.length > 0 ? ` (${details.join('; ')})` : ''
+  console.log(
+    `  ${icon} ${result.label}: ${formatBudgetValue(result.value, result.unit)}${suffix}`
+  )
+}
+
+/**
+ * Handle the budgets command
+ * @param {Object} options - Parsed command options
+ * @param {string} [options.measure] - Record a measurement (build, test, size) instead of checking
+ * @param {boolean} [options.updateBaseline] - Store current measurements as the baseline
+ * @param {string} [options.lhciDir] - lhci results directory
+ * @param {string} [options.sizeReport] - Saved `size-limit --json` output
+ * @returns {void}
+ */
+function handleBudgetsCheck(options = {}) {
+  const projectPath = process.cwd()
+  const budgets = loadBudgets(projectPath)
+
+  if (!budgets) {
+    console.error('❌ No budgets section found in .qualityrc.json')
+    console.log(
+      '   Add budgets.lighthouse, budgets.bundles or budgets.durations (see .qualityrc.json.example)'
+    )
+    process.exit(1)
+  }
+
+  if (options.measure === 'size') {
+    const result = measureBundleSizes(projectPath)
+    if (!result.success) {
+      console.error(`❌ ${result.error}`)
+      process.exit(1)
+    }
+    console.log(
+      `✅ Saved size-limit results to ${path.relative(projectPath, result.reportPath)}`
+    )
+    process.exit(0)
+  }
+
+  if (options.measure) {
+    const result = measureDuration(projectPath, budgets, options.measure)
+    if (!result.success) {
+      console.error(`❌ ${result.error}`)
+      process.exit(1)
+    }
+
+    const maxSeconds = budgets.durations[options.measure].maxSeconds
+    if (result.seconds > maxSeconds) {
+      console.error(
+        `❌ ${options.measure} took ${result.seconds}s (budget ≤ ${maxSeconds}s)`
+      )
+      process.exit(1)
+    }
+    console.log(
+      `✅ ${options.measure} took ${result.seconds}s (budget ≤ ${maxSeconds}s)`
+    )
+    process.exit(0)
+  }
+
+  const { measurements, missing } = collectBudgetMeasurements(
+    projectPath,
+    budgets,
+    { lhciDir: options.lhciDir, sizeReport: options.sizeReport }
+  )
+
+  console.log('\n📊 Performance budgets\n')
+  missing.forEach(source => console.log(`  ⚠️  No results: ${source}`))
+
+  if (measurements.length === 0) {
+    console.error('\n❌ No measurements found to check against the budgets')
+    process.exit(1)
+  }
+
+  if (options.updateBaseline) {
+    const baselinePath = writeBudgetsBaseline(projectPath, measurements)
+    console.log(
+      `✅ Stored ${measurements.length} measurement(s) in ${path.relative(projectPath, baselinePath)}`
+    )
+    process.exit(0)
+  }
+
+  const baselinePath = path.join(projectPath, BUDGETS_BASELINE_FILE)
+  const baseline = fs.existsSync(baselinePath)
+    ? JSON.parse(fs.readFileSync(baselinePath, 'utf8'))
+    : null
+  const results = evaluateBudgets(measurements, baseline, budgets.tolerance)
+  results.forEach(printBudgetResult)
+
+  const overBudget = results.filter(result => result.overBudget).length
+  const regressed = results.filter(result => result.regressed).length
+
+  if (!baseline) {
+    console.log(
+      `\n💡 No baseline yet. Run "budgets --update-baseline" to store one in ${BUDGETS_BASELINE_FILE}`
+    )
+  }
+
+  if (overBudget > 0 || regressed > 0) {
+    console.error(
+      `\n❌ ${overBudget} over budget, ${regressed} regressed more than ${budgets.tolerance}% versus baseline`
+    )
+    process.exit(1)
+  }
+
+  console.log(`\n✅ All ${results.length} measurement(s) within budget`)
+  process.exit(0)
+}
+
+module.exports = { handleBudgetsCheck }
@@ -0,0 +1,636 @@
+/**
+ * Built-in CLI command definitions
+ *
+ * Each definition carries its option schema, the legacy flags that map onto
+ * it and a handler built on the existing command modules. Handlers receive
+ * `(options, context)` where `options` are the parsed camelCase options and
+ * `context` holds services provided by setup.js (e.g. `runSetup`).
+ */
+
+'use strict'
+
+const path = require('path')
+
+const { handleValidationCommands } = require('./validate')
+const { handleDependencyMonitoring } = require('./deps')
+const { handleDryRun } = require('./dry-run')
+
+/**
+ * Validation tool switches shared by validate and setup/update
+ * (interactive mode passes tool exclusions alongside its mode flags)
+ */
+const VALIDATION_TOOL_OPTIONS = {
+  'no-npm-audit': {
+    description: 'Disable npm audit dependency vulnerability checks',
+  },
+  'no-gitleaks': { description: 'Disable gitleaks secret scanning' },
+  'no-actionlint': {
+    description: 'Disable actionlint GitHub Actions workflow validation',
+  },
+  'no-markdownlint': {
+    description: 'Disable markdownlint markdown formatting checks',
+  },
+  'no-eslint-security': {
+    description: 'Disable ESLint security rule checking',
+  },
+  'allow-latest-gitleaks': {
+    description:
+      'Allow unpinned latest gitleaks (NOT RECOMMENDED - supply chain risk)',
+  },
+}
+
+const SETUP_OPTIONS = {
+  'dry-run': { description: 'Preview changes without modifying files' },
+  format: {
+    type: 'string',
+    valueName: 'format',
+    choices: ['text', 'json'],
+    default: 'text',
+    description: 'Dry-run plan format: console text, or JSON on stdout',
+  },
+  ci: {
+    type: 'string',
+    valueName: 'provider',
+    choices: ['github', 'gitlab', 'circleci'],
+    default: 'github',
+    description: 'CI provider to generate configuration for',
+  },
+  template: {
+    type: 'string',
+    valueName: 'path',
+    description:
+      'Use custom templates from a directory, npm:<package>[@range] or a git URL',
+  },
+  'workflow-minimal': {
+    description:
+      'Minimal CI (default) - single Node version, weekly security (~$0-5/mo)',
+  },
+  'workflow-standard': {
+    description: 'Standard CI - matrix testing on main (~$5-20/mo)',
+  },
+  'workflow-comprehensive': {
+    description: 'Comprehensive CI - matrix on every push (~$100-350/mo)',
+  },
+  matrix: {
+    description: 'Enable Node.js version matrix testing (20 + 22)',
+  },
+  'alerts-slack': {
+    description:
+      'Add Slack webhook notification step (expects secret SLACK_WEBHOOK_URL)',
+  },
+  'pr-comments': {
+    description: 'Add PR summary comment step (uses GitHub token)',
+  },
+  deps: { description: 'Also configure dependency monitoring afterwards' },
+  ...VALIDATION_TOOL_OPTIONS,
+}
+
+const WORKFLOW_TIER_OPTIONS = [
+  'workflow-minimal',
+  'workflow-standard',
+  'workflow-comprehensive',
+]
+
+/**
+ * Map parsed validate options onto handleValidationCommands() flags
+ * @param {Object} options - Parsed validate options
+ * @returns {Object} Tool switches understood by ValidationRunner
+ */
+function toValidationToolOptions(options) {
+  return {
+    disableNpmAudit: Boolean(options.noNpmAudit),
+    disableGitleaks: Boolean(options.noGitleaks),
+    disableActionlint: Boolean(options.noActionlint),
+    disableMarkdownlint: Boolean(options.noMarkdownlint),
+    disableEslintSecurity: Boolean(options.noEslintSecurity),
+    allowLatestGitleaks: Boolean(options.allowLatestGitleaks),
+  }
+}
+
+/**
+ * Print which checks `validate` would run, without running them
+ * @param {Object} options - Parsed validate options
+ */
+function printValidationPlan(options) {
+  const { ValidationRunner } = require('../validation')
+  const tools = toValidationToolOptions(options)
+  const allChecks = new ValidationRunner(tools).getChecks()
+  const checks = options.securityConfig
+    ? allChecks.filter(check => check.name === 'configSecurity')
+    : options.docs
+      ? allChecks.filter(check => check.name === 'documentation')
+      : allChecks
+
+  console.log('📋 DRY RUN MODE - No checks will be executed\n')
+  console.log('The following checks would run:')
+  checks.forEach(check => {
+    const suffix = check.plugin
+      ? ' (plugin)'
+      : check.loadError
+        ? ` (failed to load: ${check.loadError})`
+        : ''
+    console.log(`  • ${check.label}${suffix}`)
+  })
+
+  const disabled = Object.entries({
+    'npm audit': tools.disableNpmAudit,
+    gitleaks: tools.disableGitleaks,
+    actionlint: tools.disableActionlint,
+    markdownlint: tools.disableMarkdownlint,
+    'ESLint security': tools.disableEslintSecurity,
+  })
+    .filter(([, isDisabled]) => isDisabled)
+    .map(([tool]) => tool)
+  if (disabled.length > 0) {
+    console.log(`\nDisabled tools: ${disabled.join(', ')}`)
+  }
+  console.log('')
+}
+
+const BUILTIN_COMMANDS = [
+  {
+    name: 'setup',
+    summary: 'Run complete quality automation setup (default)',
+    description:
+      'Detect the project type and add formatting, linting, git hooks, CI workflows and quality tooling. Existing files are preserved.',
+    options: SETUP_OPTIONS,
+    exclusive: [WORKFLOW_TIER_OPTIONS],
+    examples: [
+      ['setup', 'Set up quality automation with all tools'],
+      ['setup --workflow-standard', 'Standard CI - balanced quality/cost'],
+      ['setup --ci gitlab', 'Generate GitLab CI configuration'],
+      ['setup --dry-run', 'Preview what would be created/modified'],
+      [
+        'setup --dry-run --format json',
+        'Machine-readable plan with diffs, for review bots',
+      ],
+    ],
+    handler: (options, context) => context.runSetup(options),
+  },
+  {
+    name: 'update',
+    summary: 'Update an existing quality automation setup',
+    description:
+      'Re-run setup against an existing project. With a --workflow-* tier the generated quality.yml is regenerated in that mode.',
+    options: SETUP_OPTIONS,
+    legacyFlags: { update: {} },
+    exclusive: [WORKFLOW_TIER_OPTIONS],
+    examples: [
+      [
+        'update --workflow-minimal',
+        'Convert existing workflow to minimal (reduce CI costs)',
+      ],
+    ],
+    handler: (options, context) => context.runSetup(options),
+  },
+  {
+    name: 'validate',
+    summary: 'Run validation checks (security, docs, workflows)',
+    description:
+      'Run configuration security, documentation and workflow validation. Runs every check unless one is selected.',
+    options: {
+      comprehensive: { description: 'Run all validation checks (default)' },
+      'security-config': {
+        description: 'Run configuration security checks only',
+      },
+      docs: { description: 'Run documentation validation only' },
+      config: {
+        description: 'Validate .qualityrc.json against its JSON Schema',
+      },
+      'dry-run': {
+        description: 'List the checks that would run without running them',
+      },
+      format: {
+        type: 'string',
+        valueName: 'format',
+        choices: ['text', 'json', 'sarif', 'junit'],
+        default: 'text',
+        description:
+          'Report format: console text, or JSON, SARIF or JUnit XML on stdout',
+      },
+      output: {
+        type: 'string',
+        valueName: 'path',
+        description: 'Write the --format report to a file instead of stdout',
+      },
+      'write-baseline': {
+        description:
+          'Record current errors in .qa-baseline.json; later runs only fail on new findings',
+      },
+      'no-baseline': {
+        description: 'Ignore .qa-baseline.json and fail on every finding',
+      },
+      ...VALIDATION_TOOL_OPTIONS,
+    },
+    legacyFlags: {
+      validate: {},
+      comprehensive: { comprehensive: true },
+      'security-config': { securityConfig: true },
+      'validate-docs': { docs: true },
+      'validate-config': { config: true },
+    },
+    exclusive: [
+      ['comprehensive', 'security-config', 'docs', 'config'],
+      ['write-baseline', 'no-baseline'],
+    ],
+    examples: [
+      ['validate', 'Run all validation checks'],
+      [
+        'validate --write-baseline',
+        'Accept existing findings, fail only on new ones',
+      ],
+      ['validate --security-config --no-npm-audit', 'Security checks only'],
+      ['validate --config', 'Validate .qualityrc.json'],
+      [
+        'validate --format sarif --output qa.sarif',
+        'SARIF report for GitHub code scanning',
+      ],
+    ],
+    async handler(options) {
+      if (options.config) {
+        const { validateAndReport } = require('../config-validator')
+        const configPath = path.join(process.cwd(), '.qualityrc.json')
+        const isValid = validateAndReport(configPath)
+        process.exit(isValid ? 0 : 1)
+      }
+
+      if (options.dryRun) {
+        printValidationPlan(options)
+        process.exit(0)
+      }
+
+      if (options.output && options.format === 'text') {
+        console.error('❌ --output requires --format json, sarif or junit')
+        process.exit(1)
+      }
+
+      try {
+        await handleValidationCommands({
+          isConfigSecurityMode: Boolean(options.securityConfig),
+          isDocsValidationMode: Boolean(options.docs),
+          isComprehensiveMode: !options.securityConfig && !options.docs,
+          isValidationMode: false,
+          format: options.format,
+          output: options.output,
+          writeBaseline: Boolean(options.writeBaseline),
+          ignoreBaseline: Boolean(options.noBaseline),
+          ...toValidationToolOptions(options),
+        })
+      } catch (error) {
+        console.error('Validation error:', error.message)
+        process.exit(1)
+      }
+    },
+  },
+  {
+    name: 'deps',
+    summary: 'Add Dependabot dependency monitoring',
+    description:
+      'Generate .github/dependabot.yml for the detected ecosystems. Pro adds framework-aware grouping and multi-language support.',
+    options: {
+      'dry-run': { description: 'Preview changes without modifying files' },
+    },
+    legacyFlags: { deps: {}, 'dependency-monitoring': {} },
+    examples: [
+      [
+        'deps',
+        'Add basic dependency monitoring (Dependabot config + weekly updates)',
+      ],
+    ],
+    async handler(options) {
+      await handleDryRun({
+        isDryRun: Boolean(options.dryRun),
+        isUpdateMode: false,
+        isDependencyMonitoringMode: true,
+        run: handleDependencyMonitoring,
+      })
+      try {
+        await handleDependencyMonitoring()
+        process.exit(0)
+      } catch (error) {
+        console.error('Dependency monitoring setup error:', error.message)
+        process.exit(1)
+      }
+    },
+  },
+  {
+    name: 'prelaunch',
+    summary: 'Add pre-launch validation suite (SEO, links, a11y, docs)',
+    description:
+      'Add scripts that check sitemap, robots.txt, meta tags, links, accessibility and documentation before launch.',
+    legacyFlags: { prelaunch: {} },
+    examples: [
+      [
+        'prelaunch',
+        'Add pre-launch validation: SEO (sitemap, robots, meta), links, a11y, docs',
+      ],
+    ],
+    async handler(_options, context) {
+      const { handlePrelaunchSetup } = require('./prelaunch-setup')
+      const prelaunch = require('../prelaunch-validator')
+      await handlePrelaunchSetup({
+        checkNodeVersionAndLoadPackageJson:
+          context.checkNodeVersionAndLoadPackageJson,
+        writeValidationScripts: prelaunch.writeValidationScripts,
+        writePa11yConfig: prelaunch.writePa11yConfig,
+        writeEnvValidator: prelaunch.writeEnvValidator,
+        getPrelaunchScripts: prelaunch.getPrelaunchScripts,
+        getPrelaunchDependencies: prelaunch.getPrelaunchDependencies,
+      })
+    },
+  },
+  {
+    name: 'license',
+    summary: 'Show license status or activate a license key',
+    description:
+      'Show the current license tier and available features, or activate a Pro/Team/Enterprise license key from a Stripe purchase.',
+    positionals: [
+      {
+        name: 'action',
+        description: 'What to do',
+        choices: ['status', 'activate'],
+        default: 'status',
+      },
+    ],
+    legacyFlags: {
+      'license-status': { action: 'status' },
+      'activate-license': { action: 'activate' },
+    },
+    examples: [
+      ['license status', 'Show current license tier and upgrade options'],
+      ['license activate', 'Activate Pro/Team/Enterprise license'],
+    ],
+    async handler(options) {
+      const {
+        handleLicenseStatus,
+        handleLicenseActivation,
+      } = require('./license-commands')
+      if (options.action === 'activate') {
+        await handleLicenseActivation()
+      } else {
+        handleLicenseStatus()
+      }
+    },
+  },
+  {
+    name: 'analyze-ci',
+    summary: 'Analyze CI usage and cost (Pro)',
+    description:
+      'Estimate CI minutes and monthly cost for the workflows in .github/workflows, .gitlab-ci.yml and .circleci/config.yml and suggest optimizations. GitHub durations and run counts come from the workflow run history (GitHub API or an exported runs file) when available, from heuristics otherwise.',
+    options: {
+      runs: {
+        type: 'string',
+        valueName: 'path',
+        description:
+          'Use an exported workflow runs JSON file instead of the GitHub API',
+      },
+      days: {
+        type: 'string',
+        valueName: 'n',
+        description: 'Days of run history to fetch (default 30)',
+      },
+      'no-history': {
+        description: "Don't fetch run history; estimate from workflow files",
+      },
+      fix: {
+        description:
+          'Apply fixable recommendations to the workflow files (shows the diff and savings first)',
+      },
+      only: {
+        type: 'string',
+        valueName: 'fixes',
+        description:
+          'With --fix, apply only these fixes: cache, paths-ignore, concurrency, schedule',
+      },
+      'dry-run': {
+        description: 'With --fix, show the changes without writing them',
+      },
+    },
+    legacyFlags: { 'analyze-ci': {} },
+    examples: [
+      [
+        'analyze-ci',
+        'Analyze your GitHub Actions usage and get cost optimization recommendations',
+      ],
+      ['analyze-ci --days 90', 'Use the last 90 days of workflow runs'],
+      ['analyze-ci --runs runs.json', 'Analyze an exported runs file offline'],
+      [
+        'analyze-ci --fix --only cache,concurrency',
+        'Enable dependency caching and cancel superseded runs',
+      ],
+    ],
+    async handler(options) {
+      try {
+        const { handleAnalyzeCi } = require('./analyze-ci')
+        await handleAnalyzeCi(options)
+        process.exit(0)
+      } catch (error) {
+        console.error('CI cost analysis error:', error.message)
+        process.exit(1)
+      }
+    },
+  },
+  {
+    name: 'budgets',
+    summary: 'Check performance budgets against lhci/size-limit results',
+    description:
+      'Compare Lighthouse scores, bundle sizes and build/test durations with the budgets in .qualityrc.json and report regressions against the stored baseline.',
+    options: {
+      measure: {
+        type: 'string',
+        valueName: 'kind',
+        choices: ['build', 'test', 'size'],
+        description:
+          'Record a measurement: time the build/test command or save size-limit output',
+      },
+      'update-baseline': {
+        description: 'Store the current measurements as the new baseline',
+      },
+      'lhci-dir': {
+        type: 'string',
+        valueName: 'path',
+        description: 'Directory with lhci results (default .lighthouseci)',
+      },
+      'size-report': {
+        type: 'string',
+        valueName: 'path',
+        description:
+          'size-limit --json output (default .qa-architect/size-limit.json)',
+      },
+    },
+    legacyFlags: { 'check-budgets': {} },
+    exclusive: [['measure', 'update-baseline']],
+    examples: [
+      ['budgets', 'Check results against budgets and the baseline'],
+      ['budgets --measure build', 'Time the build against its budget'],
+      ['budgets --update-baseline', 'Accept current results as the baseline'],
+    ],
+    handler(options) {
+      const { handleBudgetsCheck } = require('./budgets')
+      handleBudgetsCheck(options)
+    },
+  },
+  {
+    name: 'doctor',
+    summary: 'Detect drift between generated files and the templates',
+    description:
+      'Compare the files recorded in .qa-architect/manifest.json with their current content and the current templates, and offer to restore missing files, update unchanged ones and three-way merge locally edited ones.',
+    options: {
+      fix: {
+        description: 'Apply updates and conflict-free merges without prompting',
+      },
+    },
+    legacyFlags: { doctor: {} },
+    examples: [
+      ['doctor', 'Report missing, modified and outdated generated files'],
+      ['doctor --fix', 'Apply template updates, keeping local edits'],
+    ],
+    async handler(options) {
+      const { handleDoctor } = require('./doctor')
+      await handleDoctor(options)
+    },
+  },
+  {
+    name: 'template-lint',
+    summary: 'Check custom templates by rendering them against sample contexts',
+    description:
+      'Render the .tmpl files of a custom template directory against sample contexts (npm, pnpm, Yarn Berry, Yarn 1 and Bun; several Node versions, maturity levels and CI providers) and report unknown variables, missing partials, unclosed blocks and rendered JSON/YAML that no longer parses.',
+    options: {
+      template: {
+        type: 'string',
+        valueName: 'path',
+        description: 'Custom template directory (default: current directory)',
+      },
+      context: {
+        type: 'string',
+        valueName: 'path',
+        description:
+          'JSON file with a context object, or an array of them, to render against instead of the samples',
+      },
+    },
+    legacyFlags: { 'template-lint': {} },
+    examples: [
+      ['template-lint --template ./org-templates', 'Lint an org template set'],
+      [
+        'template-lint --template ./org-templates --context contexts.json',
+        'Render against your own contexts',
+      ],
+    ],
+    async handler(options) {
+      const { handleTemplateLint } = require('./template-lint')
+      await handleTemplateLint(options)
+    },
+  },
+  {
+    name: 'explain-risk',
+    summary: 'Show how the smart test strategy scores a diff',
+    description:
+      'Score a commit range with the smart test strategy rules (defaults plus smartStrategy in .qualityrc.json), listing the rules that fired and the test tier the pre-push hook would run.',
+    options: {
+      range: {
+        type: 'string',
+        valueName: 'base..head',
+        description:
+          'Commits to score (default: unpushed commits since the merge-base with the default branch)',
+      },
+      branch: {
+        type: 'string',
+        valueName: 'name',
+        description:
+          'Score as if pushing this branch (default: current branch)',
+      },
+      format: {
+        type: 'string',
+        valueName: 'format',
+        choices: ['text', 'json'],
+        default: 'text',
+        description: 'Report format: console text, or JSON on stdout',
+      },
+    },
+    legacyFlags: { 'explain-risk': {} },
+    examples: [
+      ['explain-risk', 'Explain the score of the unpushed commits'],
+      [
+        'explain-risk --range main..HEAD --branch release/2.0',
+        'Score a range as a release branch push',
+      ],
+    ],
+    handler(options) {
+      const { handleExplainRisk } = require('./explain-risk')
+      handleExplainRisk(options)
+    },
+  },
+  {
+    name: 'print-config',
+    summary: 'Show the resolved .qualityrc.json and where each value came from',
+    description:
+      'Resolve .qualityrc.json with the presets it extends and print the merged configuration, the preset layers in order of precedence and the layer that set each value.',
+    options: {
+      format: {
+        type: 'string',
+        valueName: 'format',
+        choices: ['text', 'json'],
+        default: 'text',
+        description: 'Report format: console text, or JSON on stdout',
+      },
+    },
+    legacyFlags: { 'print-config': {} },
+    examples: [
+      ['print-config', 'Show the merged configuration and its sources'],
+      ['print-config --format json', 'Machine-readable config and sources'],
+    ],
+    handler(options) {
+      const { handlePrintConfig } = require('./print-config')
+      handlePrintConfig(options)
+    },
+  },
+  {
+    name: 'maturity',
+    summary: 'Detect and display project maturity level',
+    description:
+      'Detect the project maturity level (minimal, bootstrap, development, production-ready) and the quality checks it enables.',
+    legacyFlags: { 'check-maturity': {} },
+    examples: [['maturity', 'Detect project maturity level']],
+    handler() {
+      const { handleMaturityCheck } = require('./maturity-check')
+      handleMaturityCheck()
+    },
+  },
+  {
+    name: 'telemetry',
+    summary: 'Show telemetry status and opt-in instructions',
+    description:
+      'Show whether opt-in usage telemetry is enabled and what it records.',
+    legacyFlags: { 'telemetry-status': {} },
+    examples: [['telemetry', 'Show telemetry status and privacy information']],
+    handler() {
+      const { showTelemetryStatus } = require('../telemetry')
+      showTelemetryStatus()
+      process.exit(0)
+    },
+  },
+  {
+    name: 'error-reporting',
+    summary: 'Show error reporting status and privacy information',
+    description:
+      'Show whether opt-in crash analytics are enabled and where reports are stored.',
+    legacyFlags: { 'error-reporting-status': {} },
+    examples: [
+      [
+        'error-reporting',
+        'Show error reporting status and crash analytics information',
+      ],
+    ],
+    handler() {
+      const { showErrorReportingStatus } = require('../error-reporter')
+      showErrorReportingStatus()
+      process.exit(0)
+    },
+  },
+]
+
+module.exports = {
+  BUILTIN_COMMANDS,
+  VALIDATION_TOOL_OPTIONS,
+  toValidationToolOptions,
+}
@@ -0,0 +1,639 @@
+/**
+ * CLI argument parser
+ *
+ * Resolves `qa-architect <command> [options]` (and the legacy flag style,
+ * e.g. `--deps`) against a CommandRegistry. Unknown flags, conflicting
+ * commands and invalid values are reported as failures with "did you mean"
+ * suggestions instead of being silently ignored.
+ */
+
+'use strict'
+
+const { success, failure } = require('../result-types')
+const { toOptionKey } = require('./registry')
+
+const DEFAULT_PROGRAM_NAME = 'npx create-qa-architect@latest'
+
+/**
+ * Options accepted by every command
+ */
+const GLOBAL_OPTIONS = {
+  help: {
+    name: 'help',
+    key: 'help',
+    type: 'boolean',
+    alias: 'h',
+    description: 'Show help (use "<command> --help" for command options)',
+  },
+  interactive: {
+    name: 'interactive',
+    key: 'interactive',
+    type: 'boolean',
+    alias: null,
+    description: 'Interactive mode with guided configuration prompts',
+  },
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0]
+    previous[0] = i
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j]
+      previous[j] =
+        a[i - 1] === b[j - 1]
+          ? diagonal
+          : 1 + Math.min(diagonal, previous[j], previous[j - 1])
+      diagonal = above
+    }
+  }
+  return previous[b.length]
+}
+
+/**
+ * Find the closest candidate to a mistyped input
+ * @param {string} input - What the user typed
+ * @param {string[]} candidates - Valid values
+ * @returns {string|null} Best suggestion, or null if nothing is close enough
+ */
+function suggestClosest(input, candidates) {
+  const threshold = Math.max(2, Math.floor(input.length / 3))
+  let best = null
+  let bestDistance = Infinity
+
+  for (const candidate of candidates) {
+    const distance = candidate.startsWith(input)
+      ? Math.min(editDistance(input, candidate), 1)
+      : editDistance(input, candidate)
+    if (distance < bestDistance) {
+      best = candidate
+      bestDistance = distance
+    }
+  }
+
+  return bestDistance <= threshold ? best : null
+}
+
+/**
+ * Split `--name=value` into its parts
+ * @param {string} arg - Raw argument starting with --
+ * @returns {{ name: string, inlineValue: string|null }}
+ */
+function splitLongFlag(arg) {
+  const body = arg.slice(2)
+  const eq = body.indexOf('=')
+  if (eq === -1) {
+    return { name: body, inlineValue: null }
+  }
+  return { name: body.slice(0, eq), inlineValue: body.slice(eq + 1) }
+}
+
+/**
+ * Collect every string-typed flag across commands, so the command scan can
+ * skip option values (e.g. `--ci gitlab`) before the command is known
+ * @param {import('./registry').CommandRegistry} registry
+ * @returns {{ long: Set<string>, short: Set<string> }}
+ */
+function collectValueFlags(registry) {
+  const long = new Set()
+  const short = new Set()
+  for (const command of registry.list({ includeHidden: true })) {
+    for (const option of Object.values(command.options)) {
+      if (option.type === 'string') {
+        long.add(option.name)
+        if (option.alias) short.add(option.alias)
+      }
+    }
+  }
+  return { long, short }
+}
+
+/**
+ * First pass: find the explicit command (if any) and the legacy flags used
+ * @param {string[]} args - Trimmed arguments
+ * @param {import('./registry').CommandRegistry} registry
+ * @returns {{ explicit: string|null, explicitIndex: number, legacy: string[], unknownCommand: string|null }}
+ */
+function scanCommand(args, registry) {
+  const valueFlags = collectValueFlags(registry)
+  const legacy = []
+  let explicit = null
+  let explicitIndex = -1
+  let unknownCommand = null
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+    if (arg === '--') break
+
+    if (arg.startsWith('--')) {
+      const { name, inlineValue } = splitLongFlag(arg)
+      if (registry.getLegacyCommand(name)) {
+        legacy.push(name)
+      } else if (inlineValue === null && valueFlags.long.has(name)) {
+        i++
+      }
+      continue
+    }
+
+    if (arg.startsWith('-') && arg.length > 1) {
+      if (valueFlags.short.has(arg.slice(1))) i++
+      continue
+    }
+
+    if (explicit === null && unknownCommand === null) {
+      if (registry.has(arg)) {
+        explicit = registry.get(arg).name
+        explicitIndex = i
+      } else {
+        unknownCommand = arg
+      }
+    }
+  }
+
+  return { explicit, explicitIndex, legacy, unknownCommand }
+}
+
+/**
+ * Whether `flag` is understood by `command`, either as an option of its own
+ * or as one of its legacy flags
+ * @param {Object} command - Command definition
+ * @param {string} flag - Flag name without dashes
+ * @returns {boolean}
+ */
+function commandAcceptsFlag(command, flag) {
+  return Boolean(command.options[flag] || command.legacyFlags[flag])
+}
+
+/**
+ * Decide which command legacy flags select
+ * @param {import('./registry').CommandRegistry} registry
+ * @param {string[]} legacy - Legacy flags present on the command line
+ * @param {string|null} explicit - Explicit command name
+ * @param {string} defaultCommand - Command to run when nothing is selected
+ * @returns {{ success: boolean, data?: any, error?: string }}
+ */
+function resolveCommand(registry, legacy, explicit, defaultCommand) {
+  if (explicit) {
+    const command = registry.get(explicit)
+    const foreign = legacy.filter(flag => !commandAcceptsFlag(command, flag))
+    if (foreign.length > 0) {
+      const owners = foreign.map(
+        flag => `--${flag} (${registry.getLegacyCommand(flag).name})`
+      )
+      return failure(
+        `Cannot combine command "${explicit}" with ${owners.join(', ')}. Run them separately.`
+      )
+    }
+    return success(command)
+  }
+
+  if (legacy.length === 0) {
+    return success(registry.get(defaultCommand))
+  }
+
+  const selected = []
+  for (const flag of legacy) {
+    const command = registry.getLegacyCommand(flag)
+    if (!selected.includes(command)) selected.push(command)
+  }
+
+  const compatible = selected.filter(command =>
+    legacy.every(flag => commandAcceptsFlag(command, flag))
+  )
+
+  if (compatible.length === 0) {
+    const described = legacy.map(
+      flag => `--${flag} (${registry.getLegacyCommand(flag).name})`
+    )
+    return failure(
+      `Conflicting commands: ${described.join(', ')}. Run them separately, e.g. "${selected[0].name}" then "${selected[1].name}".`
+    )
+  }
+
+  return success(compatible[0])
+}
+
+/**
+ * Build the list of flags that could have been meant for a typo
+ * @param {Object} command - Selected command
+ * @param {import('./registry').CommandRegistry} registry
+ * @returns {string[]} Flag names without dashes
+ */
+function candidateFlags(command, registry) {
+  const names = new Set([
+    ...Object.keys(GLOBAL_OPTIONS),
+    ...Object.keys(command.options),
+    ...Object.keys(command.legacyFlags),
+  ])
+  for (const other of registry.list({ includeHidden: true })) {
+    Object.keys(other.legacyFlags).forEach(flag => names.add(flag))
+  }
+  return Array.from(names)
+}
+
+/**
+ * Describe an unknown flag, with a suggestion when one is close enough
+ * @param {string} flag - Flag as typed (with dashes)
+ * @param {Object} command - Selected command
+ * @param {import('./registry').CommandRegistry} registry
+ * @returns {{ success: false, error: string, details?: any }}
+ */
+function unknownFlagFailure(flag, command, registry) {
+  const name = flag.replace(/^-+/, '')
+  const owners = registry
+    .list({ includeHidden: true })
+    .filter(other => other !== command && other.options[name])
+    .map(other => other.name)
+
+  if (owners.length > 0) {
+    return failure(
+      `Option ${flag} is not available for "${command.name}" (available for: ${owners.join(', ')}).`,
+      { flag, command: command.name }
+    )
+  }
+
+  const suggestion = suggestClosest(name, candidateFlags(command, registry))
+  const hint = suggestion ? ` Did you mean --${suggestion}?` : ''
+  return failure(`Unknown option ${flag} for "${command.name}".${hint}`, {
+    flag,
+    command: command.name,
+    suggestion: suggestion ? `--${suggestion}` : null,
+  })
+}
+
+/**
+ * Parse a single option value according to its schema
+ * @param {Object} option - Normalized option definition
+ * @param {string} value - Raw value
+ * @returns {{ success: boolean, data?: any, error?: string }}
+ */
+function coerceValue(option, value) {
+  if (option.type === 'boolean') {
+    if (value === 'true') return success(true)
+    if (value === 'false') return success(false)
+    return failure(`Option --${option.name} does not take a value`)
+  }
+
+  if (option.choices) {
+    const normalized = value.toLowerCase()
+    if (!option.choices.includes(normalized)) {
+      const suggestion = suggestClosest(normalized, option.choices)
+      const hint = suggestion ? ` Did you mean "${suggestion}"?` : ''
+      return failure(
+        `Invalid value "${value}" for --${option.name}. Expected one of: ${option.choices.join(', ')}.${hint}`
+      )
+    }
+    return success(normalized)
+  }
+
+  return success(value)
+}
+
+/**
+ * Parse command-line arguments into a command and its options
+ *
+ * @param {string[]} rawArgs - Arguments after the executable (process.argv.slice(2))
+ * @param {import('./registry').CommandRegistry} registry - Registered commands
+ * @param {Object} [config]
+ * @param {string} [config.defaultCommand='setup'] - Command used when none is given
+ * @returns {{ success: boolean, data?: { command: string, isDefaultCommand: boolean, options: Object, help: boolean, interactive: boolean }, error?: string, details?: any }}
+ */
+function parseCommandLine(rawArgs, registry, config = {}) {
+  const { defaultCommand = 'setup' } = config
+  const args = rawArgs
+    .map(arg => (typeof arg === 'string' ? arg.trim() : ''))
+    .filter(Boolean)
+
+  const scan = scanCommand(args, registry)
+  if (scan.unknownCommand && !scan.explicit) {
+    const suggestion = suggestClosest(
+      scan.unknownCommand,
+      registry.list().map(command => command.name)
+    )
+    const hint = suggestion ? ` Did you mean "${suggestion}"?` : ''
+    return failure(`Unknown command "${scan.unknownCommand}".${hint}`, {
+      suggestion,
+    })
+  }
+
+  const resolved = resolveCommand(
+    registry,
+    scan.legacy,
+    scan.explicit,
+    defaultCommand
+  )
+  if (!resolved.success) {
+    return resolved
+  }
+  const command = resolved.data
+
+  const options = {}
+  const positionals = []
+  let help = false
+  let interactive = false
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i]
+
+    if (i === scan.explicitIndex) continue
+
+    if (arg === '--') {
+      positionals.push(...args.slice(i + 1))
+      break
+    }
+
+    let option = null
+    let inlineValue = null
+
+    if (arg.startsWith('--')) {
+      const split = splitLongFlag(arg)
+      inlineValue = split.inlineValue
+
+      if (split.name === 'help') {
+        help = true
+        continue
+      }
+      if (split.name === 'interactive') {
+        interactive = true
+        continue
+      }
+
+      if (command.legacyFlags[split.name]) {
+        Object.assign(options, command.legacyFlags[split.name])
+        continue
+      }
+
+      option = command.options[split.name]
+      if (!option) {
+        return unknownFlagFailure(`--${split.name}`, command, registry)
+      }
+    } else if (arg.startsWith('-') && arg.length > 1) {
+      const alias = arg.slice(1)
+      if (alias === GLOBAL_OPTIONS.help.alias) {
+        help = true
+        continue
+      }
+      option = Object.values(command.options).find(
+        candidate => candidate.alias === alias
+      )
+      if (!option) {
+        return unknownFlagFailure(arg, command, registry)
+      }
+    } else {
+      positionals.push(arg)
+      continue
+    }
+
+    let rawValue = inlineValue
+    if (option.type === 'string' && rawValue === null) {
+      const next = args[i + 1]
+      if (next === undefined || next.startsWith('-')) {
+        return failure(
+          `Option --${option.name} requires a <${option.valueName}> value.`
+        )
+      }
+      rawValue = next
+      i++
+    }
+
+    if (rawValue === null) {
+      options[option.key] = true
+      continue
+    }
+
+    const coerced = coerceValue(option, rawValue)
+    if (!coerced.success) {
+      return coerced
+    }
+    options[option.key] = coerced.data
+  }
+
+  if (positionals.length > command.positionals.length) {
+    const extra = positionals[command.positionals.length]
+    return failure(`Unexpected argument "${extra}" for "${command.name}".`)
+  }
+
+  for (let i = 0; i < command.positionals.length; i++) {
+    const positional = command.positionals[i]
+    const key = toOptionKey(positional.name)
+    const value = positionals[i]
+
+    if (value === undefined) {
+      if (options[key] === undefined) options[key] = positional.default
+      continue
+    }
+
+    if (positional.choices && !positional.choices.includes(value)) {
+      const suggestion = suggestClosest(value, positional.choices)
+      const hint = suggestion ? ` Did you mean "${suggestion}"?` : ''
+      return failure(
+        `Invalid ${positional.name} "${value}" for "${command.name}". Expected one of: ${positional.choices.join(', ')}.${hint}`
+      )
+    }
+    options[key] = value
+  }
+
+  for (const option of Object.values(command.options)) {
+    if (options[option.key] === undefined && option.default !== undefined) {
+      options[option.key] = option.default
+    }
+  }
+
+  for (const group of command.exclusive) {
+    const used = group.filter(name => options[toOptionKey(name)])
+    if (used.length > 1) {
+      return failure(
+        `Options ${used.map(name => `--${name}`).join(' and ')} cannot be used together with "${command.name}".`
+      )
+    }
+  }
+
+  return success({
+    command: command.name,
+    isDefaultCommand: !scan.explicit && scan.legacy.length === 0,
+    options,
+    help,
+    interactive,
+  })
+}
+
+/**
+ * Format a flag for help output (e.g. "--ci <provider>", "--help, -h")
+ * @param {Object} option - Normalized option definition
+ * @returns {string}
+ */
+function formatFlag(option) {
+  const value = option.type === 'string' ? ` <${option.valueName}>` : ''
+  const alias = option.alias ? `, -${option.alias}` : ''
+  return `--${option.name}${value}${alias}`
+}
+
+/**
+ * Render aligned two-column rows
+ * @param {Array<string[]>} rows - [left, right] pairs
+ * @returns {string[]} Lines
+ */
+function formatRows(rows) {
+  const width = Math.max(...rows.map(([left]) => left.length)) + 2
+  return rows.map(([left, right]) => `  ${left.padEnd(width)}${right}`)
+}
+
+/**
+ * Describe an option, including its choices and default
+ * @param {Object} option - Normalized option definition
+ * @returns {string}
+ */
+function describeOption(option) {
+  let text = option.description
+  if (option.choices) text += ` (${option.choices.join(' | ')})`
+  if (option.default !== undefined) text += ` [default: ${option.default}]`
+  return text
+}
+
+/**
+ * Build help text for the whole CLI
+ * @param {import('./registry').CommandRegistry} registry
+ * @param {Object} [config]
+ * @param {string} [config.programName] - How the CLI is invoked
+ * @param {string} [config.footer] - Extra text appended at the end
+ * @returns {string}
+ */
+function formatGlobalHelp(registry, config = {}) {
+  const { programName = DEFAULT_PROGRAM_NAME, footer = '' } = config
+  const commands = registry.list()
+  const lines = [
+    '',
+    '🚀 QA Architect - Quality Automation Setup',
+    '',
+    `Usage: ${programName} [command] [options]`,
+    '',
+    'COMMANDS:',
+    ...formatRows(commands.map(command => [command.name, command.summary])),
+    '',
+    'GLOBAL OPTIONS:',
+    ...formatRows(
+      Object.values(GLOBAL_OPTIONS).map(option => [
+        formatFlag(option),
+        option.description,
+      ])
+    ),
+    '',
+    'LEGACY FLAGS (still supported):',
+    ...formatRows(
+      commands
+        .filter(command => Object.keys(command.legacyFlags).length > 0)
+        .map(command => [
+          command.name,
+          Object.keys(command.legacyFlags)
+            .map(flag => `--${flag}`)
+            .join(', '),
+        ])
+    ),
+    '',
+    'EXAMPLES:',
+  ]
+
+  for (const command of commands) {
+    for (const [example, description] of command.examples.slice(0, 1)) {
+      lines.push(`  ${programName} ${example}`)
+      lines.push(`    → ${description}`)
+    }
+  }
+
+  lines.push('')
+  lines.push(`Run "${programName} <command> --help" for command options.`)
+  if (footer) {
+    lines.push('', footer.trimEnd())
+  }
+  lines.push('')
+  return lines.join('\n')
+}
+
+/**
+ * Build help text for a single command
+ * @param {Object} command - Command definition
+ * @param {Object} [config]
+ * @param {string} [config.programName] - How the CLI is invoked
+ * @returns {string}
+ */
+function formatCommandHelp(command, config = {}) {
+  const { programName = DEFAULT_PROGRAM_NAME } = config
+  const positionalUsage = command.positionals
+    .map(positional => ` [${positional.name}]`)
+    .join('')
+  const lines = [
+    '',
+    `Usage: ${programName} ${command.name}${positionalUsage} [options]`,
+    '',
+    command.description,
+    '',
+  ]
+
+  if (command.positionals.length > 0) {
+    lines.push('ARGUMENTS:')
+    lines.push(
+      ...formatRows(
+        command.positionals.map(positional => [
+          positional.name,
+          `${positional.description || ''} (${positional.choices.join(' | ')})${
+            positional.default ? ` [default: ${positional.default}]` : ''
+          }`,
+        ])
+      )
+    )
+    lines.push('')
+  }
+
+  const visibleOptions = Object.values(command.options).filter(
+    option => !option.hidden
+  )
+  lines.push('OPTIONS:')
+  lines.push(
+    ...formatRows([
+      ...visibleOptions.map(option => [
+        formatFlag(option),
+        describeOption(option),
+      ]),
+      ...Object.values(GLOBAL_OPTIONS).map(option => [
+        formatFlag(option),
+        option.description,
+      ]),
+    ])
+  )
+  lines.push('')
+
+  const legacy = Object.keys(command.legacyFlags)
+  if (legacy.length > 0) {
+    lines.push(
+      `Legacy flags: ${legacy.map(flag => `--${flag}`).join(', ')}`,
+      ''
+    )
+  }
+
+  if (command.examples.length > 0) {
+    lines.push('EXAMPLES:')
+    for (const [example, description] of command.examples) {
+      lines.push(`  ${programName} ${example}`)
+      lines.push(`    → ${description}`)
+    }
+    lines.push('')
+  }
+
+  return lines.join('\n')
+}
+
+module.exports = {
+  GLOBAL_OPTIONS,
+  parseCommandLine,
+  suggestClosest,
+  editDistance,
+  formatGlobalHelp,
+  formatCommandHelp,
+}
@@ -59,6 +59,33 @@ function detectRubyProject(projectPath) {
   return fs.existsSync(path.join(projectPath, 'Gemfile'))
 }
 
+/**
+ * Detect Go project (single module or go.work workspace)
+ * @param {string} projectPath - Path to project
+ * @returns {boolean} True if Go project detected
+ */
+function detectGoProject(projectPath) {
+  return ['go.mod', 'go.work'].some(file =>
+    fs.existsSync(path.join(projectPath, file))
+  )
+}
+
+/**
+ * Detect Java/Kotlin project (Maven or Gradle build)
+ * @param {string} projectPath - Path to project
+ * @returns {boolean} True if Maven or Gradle project detected
+ */
+function detectJavaProject(projectPath) {
+  const buildFiles = [
+    'pom.xml',
+    'build.gradle',
+    'build.gradle.kts',
+    'settings.gradle',
+    'settings.gradle.kts',
+  ]
+  return buildFiles.some(file => fs.existsSync(path.join(projectPath, file)))
+}
+
 /**
  * Handle dependency monitoring command (Free/Pro/Team/Enterprise)
  */
@@ -66,15 +93,17 @@ async function handleDependencyMonitoring() {
   const projectPath = process.cwd()
   const license = getLicenseInfo()
 
-  // Detect all supported ecosystems (npm, Python, Ruby, Rust, etc.)
+  // Detect all supported ecosystems (npm, Python, Ruby, Rust, Go, Java)
   const hasNpm = hasNpmProject(projectPath)
   const hasPython = detectPythonProject(projectPath)
   const hasRust = detectRustProject(projectPath)
   const hasRuby = detectRubyProject(projectPath)
+  const hasGo = detectGoProject(projectPath)
+  const hasJava = detectJavaProject(projectPath)
 
-  if (!hasNpm && !hasPython && !hasRust && !hasRuby) {
+  if (!hasNpm && !hasPython && !hasRust && !hasRuby && !hasGo && !hasJava) {
     console.error(
-      '❌ No supported dependency file found (package.json, pyproject.toml, requirements.txt, Gemfile, Cargo.toml).'
+      '❌ No supported dependency file found (package.json, pyproject.toml, requirements.txt, Gemfile, Cargo.toml, go.mod, pom.xml, build.gradle).'
     )
     console.log("💡 Make sure you're in a directory with dependency files.")
     process.exit(1)
@@ -84,6 +113,8 @@ async function handleDependencyMonitoring() {
   if (hasPython) console.log('🐍 Detected: Python project')
   if (hasRust) console.log('🦀 Detected: Rust project')
   if (hasRuby) console.log('💎 Detected: Ruby project')
+  if (hasGo) console.log('🐹 Detected: Go project')
+  if (hasJava) console.log('☕ Detected: Java/Kotlin project')
   console.log(`📋 License tier: ${license.tier.toUpperCase()}`)
 
   // Use sentinel value instead of null for consistent access patterns
@@ -106,7 +137,11 @@ async function handleDependencyMonitoring() {
   const shouldUsePremium = license.tier === 'PRO'
 
   // Free tier only supports npm projects. Fail fast with a clear message.
-  if (!shouldUsePremium && !hasNpm && (hasPython || hasRust || hasRuby)) {
+  if (
+    !shouldUsePremium &&
+    !hasNpm &&
+    (hasPython || hasRust || hasRuby || hasGo || hasJava)
+  ) {
     console.error(
       '❌ Dependency monitoring for this project requires a Pro, Team, or Enterprise license.'
     )
@@ -287,4 +322,6 @@ module.exports = {
   detectPythonProject,
   detectRustProject,
   detectRubyProject,
+  detectGoProject,
+  detectJavaProject,
 }
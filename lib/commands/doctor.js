@@ -0,0 +1,191 @@
+/**
+ * Doctor command handler
+ *
+ * Compares the files setup generated (recorded in .qa-architect/manifest.json)
+ * with their current content and with what the current templates generate,
+ * and offers per-file updates: a plain update when the file is unchanged
+ * locally, a three-way merge when it has local edits.
+ */
+
+'use strict'
+
+const { version } = require('../../package.json')
+const {
+  GENERATED_MANIFEST_FILE,
+  loadGeneratedManifest,
+  saveGeneratedManifest,
+  recordGeneratedFile,
+  writeTrackedContent,
+  inspectGeneratedFiles,
+} = require('../generated-files')
+const { mergeThreeWay } = require('../text-merge')
+const { InteractivePrompt } = require('../interactive/prompt')
+
+const STATUS_LINES = {
+  ok: ['✅', 'up to date'],
+  modified: ['✏️ ', 'modified locally'],
+  outdated: ['⬆️ ', 'outdated (template changed)'],
+  'modified+outdated': ['⚠️ ', 'modified locally and outdated'],
+  missing: ['❌', 'missing'],
+}
+
+/**
+ * Work out how to bring a drifted file up to date
+ * @param {Object} result - Entry of inspectGeneratedFiles
+ * @returns {{action: string, content: string, conflicts: number}}
+ */
+function planUpdate(result) {
+  if (result.status === 'missing') {
+    return { action: 'restore', content: result.template, conflicts: 0 }
+  }
+  if (result.status === 'outdated') {
+    return { action: 'update', content: result.template, conflicts: 0 }
+  }
+  const merged = mergeThreeWay(
+    result.entry.content,
+    result.current,
+    result.template
+  )
+  return { action: 'merge', ...merged }
+}
+
+/**
+ * Whether planned content can be written (conflict markers would break
+ * a `file#key` JSON value)
+ * @param {string} file - Manifest key
+ * @param {{conflicts: number}} plan - Result of planUpdate
+ * @returns {boolean}
+ */
+function canWrite(file, plan) {
+  return plan.conflicts === 0 || !file.includes('#')
+}
+
+/**
+ * Handle the doctor command
+ * @param {Object} options - Parsed command options
+ * @param {boolean} [options.fix] - Apply clean updates and merges without prompting
+ * @returns {Promise<void>}
+ */
+async function handleDoctor(options = {}) {
+  const projectPath = process.cwd()
+  const manifest = loadGeneratedManifest(projectPath)
+  const files = Object.keys(manifest.files)
+
+  if (files.length === 0) {
+    console.log(`ℹ️  No ${GENERATED_MANIFEST_FILE} found`)
+    console.log(
+      '   Run `npx create-qa-architect update` to record the generated files, then run doctor again.'
+    )
+    process.exit(1)
+  }
+
+  console.log('🩺 Checking generated files against the current templates...')
+  if (manifest.generatorVersion && manifest.generatorVersion !== version) {
+    console.log(
+      `   Generated by v${manifest.generatorVersion}, templates from v${version}`
+    )
+  }
+  if (manifest.templateSource) {
+    console.log(
+      `   Templates from ${manifest.templateSource.spec} at ${manifest.templateSource.resolved}`
+    )
+  }
+  console.log('')
+
+  let results
+  try {
+    results = await inspectGeneratedFiles(projectPath, manifest)
+  } catch (error) {
+    // e.g. a remote template source that can't be fetched
+    console.error(`❌ Could not load the templates: ${error.message}`)
+    process.exit(1)
+  }
+  results.forEach(result => {
+    const [icon, description] = STATUS_LINES[result.status]
+    console.log(`  ${icon} ${result.file} - ${description}`)
+    if (result.error) {
+      console.log(`     ⚠️  Could not render the template: ${result.error}`)
+    }
+  })
+
+  const drifted = results.filter(
+    result =>
+      result.template !== null &&
+      ['missing', 'outdated', 'modified+outdated'].includes(result.status)
+  )
+  if (drifted.length === 0) {
+    console.log('\n✅ All generated files match the current templates')
+    process.exit(0)
+  }
+
+  const prompt = new InteractivePrompt()
+  const interactive = !options.fix && prompt.isTTY()
+  if (!options.fix && !interactive) {
+    console.log(
+      `\n💡 ${drifted.length} file(s) can be updated. Run \`npx create-qa-architect doctor --fix\` to apply updates and clean merges.`
+    )
+    process.exit(1)
+  }
+
+  console.log('')
+  let unresolved = 0
+  for (const result of drifted) {
+    const plan = planUpdate(result)
+    const description =
+      plan.action === 'merge'
+        ? plan.conflicts > 0
+          ? `three-way merge with ${plan.conflicts} conflict(s)`
+          : 'three-way merge keeping your local edits'
+        : plan.action === 'restore'
+          ? 'restore from the template'
+          : 'update to the current template'
+
+    let apply = canWrite(result.file, plan)
+    if (apply && interactive) {
+      apply = await prompt.confirm(
+        `${result.file}: ${description}?`,
+        plan.conflicts === 0
+      )
+    } else if (apply && plan.conflicts > 0) {
+      // --fix never writes conflict markers
+      apply = false
+    }
+
+    if (!apply) {
+      unresolved++
+      console.log(`  ⏭️  ${result.file}: skipped (${description})`)
+      continue
+    }
+
+    writeTrackedContent(projectPath, result.file, plan.content)
+    // The new template output becomes the merge base for the next run
+    recordGeneratedFile(
+      manifest,
+      result.file,
+      result.entry.generator,
+      result.entry.params,
+      result.template
+    )
+    if (plan.conflicts > 0) {
+      unresolved++
+      console.log(
+        `  ⚠️  ${result.file}: written with conflict markers - resolve them before committing`
+      )
+    } else {
+      console.log(`  ✅ ${result.file}: ${description}`)
+    }
+  }
+
+  saveGeneratedManifest(projectPath, manifest)
+  console.log(
+    unresolved > 0
+      ? `\n⚠️  ${unresolved} file(s) still need attention`
+      : '\n✅ Generated files updated'
+  )
+  process.exit(unresolved > 0 ? 1 : 0)
+}
+
+module.exports = {
+  handleDoctor,
+  planUpdate,
+}
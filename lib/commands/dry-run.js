@@ -1,20 +1,130 @@
 /**
  * Dry-run command handler
- * Previews what files would be created/modified without making changes
+ *
+ * Runs the real setup flow against an in-memory filesystem layer
+ * (lib/virtual-fs.js) and prints the resulting plan: files that would be
+ * created, files skipped because they exist, and unified diffs of the files
+ * that would change (package.json scripts, devDependencies, lint-staged, ...).
  */
 
 'use strict'
 
+const { VirtualFs } = require('../virtual-fs')
+const { unifiedDiff } = require('../text-merge')
+
+const DRY_RUN_PLAN_VERSION = 1
+
 /**
- * Handle dry-run mode - preview what would be changed
+ * Run a flow with all file writes kept in memory and describe what it
+ * would change
+ * @param {() => Promise<void>|void} run - Flow to preview
+ * @param {Object} options - Plan options
+ * @param {string} [options.projectPath] - Project root (defaults to cwd)
+ * @param {string} options.mode - Mode recorded in the plan ('setup', 'update', 'deps')
+ * @returns {Promise<{version: number, mode: string, notes: string[], created: Array<Object>, modified: Array<Object>, deleted: Array<Object>, skipped: string[]}>}
+ */
+async function createDryRunPlan(run, options) {
+  const { projectPath = process.cwd(), mode } = options
+  const virtualFs = new VirtualFs(projectPath).activate()
+  try {
+    await run()
+  } finally {
+    virtualFs.deactivate()
+  }
+
+  const plan = {
+    version: DRY_RUN_PLAN_VERSION,
+    mode,
+    notes: virtualFs.notes,
+    created: [],
+    modified: [],
+    deleted: [],
+    skipped: virtualFs.getSkipped(),
+  }
+  for (const {
+    file,
+    before,
+    after,
+    mode: fileMode,
+  } of virtualFs.getChanges()) {
+    const diff = () =>
+      unifiedDiff(before, after, { fromFile: `a/${file}`, toFile: `b/${file}` })
+    if (before === null) {
+      plan.created.push({
+        file,
+        ...(fileMode && { mode: `0${fileMode.toString(8)}` }),
+        content: after,
+      })
+    } else if (after === null) {
+      plan.deleted.push({ file, diff: diff() })
+    } else {
+      plan.modified.push({ file, diff: diff() })
+    }
+  }
+  return plan
+}
+
+/**
+ * Render a dry-run plan for the console
+ * @param {Awaited<ReturnType<typeof createDryRunPlan>>} plan - Plan from createDryRunPlan
+ * @returns {string}
+ */
+function formatDryRunPlan(plan) {
+  const lines = []
+  const section = (title, entries, render) => {
+    if (entries.length === 0) return
+    lines.push(`${title} (${entries.length}):`)
+    entries.forEach(entry => lines.push(render(entry)))
+    lines.push('')
+  }
+
+  section('Notes', plan.notes, note => `  ! ${note}`)
+  section('Files to create', plan.created, entry => {
+    const lineCount = entry.content.split('\n').length - 1
+    const executable = entry.mode ? ', executable' : ''
+    return `  + ${entry.file} (${lineCount} lines${executable})`
+  })
+  section('Files to modify', plan.modified, entry => `  ~ ${entry.file}`)
+  section('Files to delete', plan.deleted, entry => `  - ${entry.file}`)
+  section('Skipped (already exist)', plan.skipped, file => `  = ${file}`)
+
+  if (plan.modified.length > 0 || plan.deleted.length > 0) {
+    lines.push('Changes:', '')
+    ;[...plan.modified, ...plan.deleted].forEach(entry =>
+      lines.push(entry.diff)
+    )
+  }
+
+  if (
+    plan.created.length === 0 &&
+    plan.modified.length === 0 &&
+    plan.deleted.length === 0
+  ) {
+    lines.push('Nothing to change - the project is already set up.', '')
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Handle dry-run mode - show the mode banner and, in dry-run mode, preview
+ * the flow instead of running it
  * @param {Object} options - Configuration options
  * @param {boolean} options.isDryRun - Whether in dry-run mode
  * @param {boolean} options.isUpdateMode - Whether in update mode
  * @param {boolean} options.isDependencyMonitoringMode - Whether in dependency monitoring mode
- * @returns {void}
+ * @param {string} [options.format] - 'text' (default) or 'json' plan output
+ * @param {() => Promise<void>|void} [options.run] - Flow to preview in dry-run mode
+ * @returns {Promise<void>} Resolves when not in dry-run mode; exits the process otherwise
  */
-function handleDryRun(options) {
-  const { isDryRun, isUpdateMode, isDependencyMonitoringMode } = options
+async function handleDryRun(options) {
+  const {
+    isDryRun,
+    isUpdateMode,
+    isDependencyMonitoringMode,
+    format = 'text',
+    run,
+  } = options
+  const isJson = isDryRun && format === 'json'
 
   const modeText = isDryRun
     ? '[DRY RUN] Previewing'
@@ -24,45 +134,49 @@ function handleDryRun(options) {
         ? 'Adding dependency monitoring to'
         : 'Setting up'
 
-  console.log(`🚀 ${modeText} Quality Automation...\n`)
+  if (!isJson) {
+    console.log(`🚀 ${modeText} Quality Automation...\n`)
+  }
 
   if (!isDryRun) {
     return
   }
 
-  console.log('📋 DRY RUN MODE - No files will be modified\n')
-  console.log('The following files would be created/modified:\n')
-
-  console.log('Configuration Files:')
-  console.log('  • .prettierrc - Prettier formatting configuration')
-  console.log('  • .prettierignore - Files to exclude from formatting')
-  console.log('  • eslint.config.cjs - ESLint linting configuration')
-  console.log('  • .stylelintrc.json - Stylelint CSS linting configuration')
-  console.log(
-    '  • .editorconfig - Editor configuration for consistent formatting'
-  )
-  console.log('  • .nvmrc - Node version specification')
-  console.log('  • .npmrc - npm configuration with engine-strict')
-  console.log('')
+  if (!isJson) {
+    console.log('📋 DRY RUN MODE - No files will be modified\n')
+  }
 
-  console.log('Git Hooks (Husky):')
-  console.log('  • .husky/pre-commit - Pre-commit hook for lint-staged')
-  console.log('  • .husky/pre-push - Pre-push validation (lint, format, tests)')
-  console.log('')
+  // The flow's own progress output would describe writes that don't happen;
+  // keep it for stderr in case the flow fails before the plan is printed
+  const originalLog = console.log
+  const captured = []
+  const flushCaptured = () => captured.forEach(line => console.error(line))
+  console.log = (...args) => captured.push(args.join(' '))
+  process.once('exit', flushCaptured)
 
-  console.log('GitHub Actions:')
-  console.log('  • .github/workflows/quality.yml - Quality checks workflow')
-  console.log('')
+  let plan
+  try {
+    plan = await createDryRunPlan(run || (() => {}), {
+      mode: isDependencyMonitoringMode
+        ? 'deps'
+        : isUpdateMode
+          ? 'update'
+          : 'setup',
+    })
+  } catch (error) {
+    flushCaptured()
+    throw error
+  } finally {
+    console.log = originalLog
+    process.removeListener('exit', flushCaptured)
+  }
 
-  console.log('Package.json Modifications:')
-  console.log(
-    '  • Add devDependencies: eslint, prettier, stylelint, husky, lint-staged'
-  )
-  console.log('  • Add scripts: format, lint, prepare')
-  console.log('  • Add lint-staged configuration')
-  console.log('  • Add engines requirement (Node >=20)')
-  console.log('')
+  if (isJson) {
+    console.log(JSON.stringify(plan, null, 2))
+    process.exit(0)
+  }
 
+  console.log(formatDryRunPlan(plan))
   console.log('✅ Dry run complete - no files were modified')
   console.log('')
   console.log('To apply these changes, run without --dry-run flag:')
@@ -71,4 +185,8 @@ function handleDryRun(options) {
   process.exit(0)
 }
 
-module.exports = { handleDryRun }
+module.exports = {
+  handleDryRun,
+  createDryRunPlan,
+  formatDryRunPlan,
+}
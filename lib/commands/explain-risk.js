@@ -0,0 +1,122 @@
+/**
+ * Explain risk command handler
+ *
+ * Scores a commit range with the smart test strategy rules (defaults plus the
+ * `smartStrategy` section of .qualityrc.json) and shows which rules fired and
+ * which test tier the pre-push hook would run.
+ */
+
+'use strict'
+
+const { spawnSync } = require('child_process')
+const {
+  loadSmartStrategyConfig,
+  getCurrentBranch,
+  resolveRanges,
+  parseRange,
+  collectChanges,
+  scoreChanges,
+  formatRiskReport,
+} = require('../smart-risk')
+const { generateSmartStrategy } = require('../smart-strategy-generator')
+
+/**
+ * Print the rules and thresholds the score was computed with
+ * @param {ReturnType<typeof import('../smart-risk').normalizeSmartStrategyConfig>} config - Normalized config
+ */
+function printRules(config) {
+  console.log('📐 Rules:')
+  config.paths.forEach(rule =>
+    console.log(`   +${rule.weight} ${rule.name}: /${rule.pattern}/`)
+  )
+  config.branches.forEach(rule =>
+    console.log(`   +${rule.weight} branch /${rule.pattern}/`)
+  )
+  config.size.files.forEach(rule =>
+    console.log(`   +${rule.weight} more than ${rule.over} files changed`)
+  )
+  config.size.lines.forEach(rule =>
+    console.log(`   +${rule.weight} more than ${rule.over} lines added`)
+  )
+
+  const { thresholds, workHours } = config
+  console.log(
+    `\n🎚️  Thresholds: comprehensive ≥ ${thresholds.comprehensive}, medium ≥ ${thresholds.medium}, fast ≥ ${thresholds.fast}`
+  )
+  console.log(
+    workHours
+      ? `   Lint only below ${thresholds.fast} on days ${workHours.days.join(',')} between ${workHours.start}:00 and ${workHours.end}:59`
+      : '   Work-hours speed bonus disabled'
+  )
+}
+
+/**
+ * Handle the explain-risk command
+ * @param {Object} options - Parsed command options
+ * @param {string} [options.range] - `<base>..<head>` to score (default: unpushed commits)
+ * @param {string} [options.branch] - Branch to score as (default: current branch)
+ * @param {string} [options.format] - text or json
+ * @returns {void}
+ */
+function handleExplainRisk(options = {}) {
+  const projectPath = process.cwd()
+
+  const head = spawnSync('git', ['rev-parse', '--verify', '--quiet', 'HEAD'], {
+    cwd: projectPath,
+  })
+  if (head.status !== 0) {
+    console.error('❌ explain-risk needs a git repository with commits')
+    process.exit(1)
+  }
+
+  // Same defaults setup bakes into scripts/smart-test-strategy.sh
+  const strategy = generateSmartStrategy({ projectPath })
+  const config = loadSmartStrategyConfig(projectPath, {
+    highRiskRegex: strategy.highRiskRegex,
+  })
+
+  let ranges
+  try {
+    ranges = options.range
+      ? [parseRange(options.range, projectPath)]
+      : resolveRanges('', projectPath)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+
+  const analysis = scoreChanges(collectChanges(ranges, projectPath), config, {
+    branch: options.branch || getCurrentBranch(projectPath),
+  })
+  const configured = config.tiers[analysis.tier]
+  const command = configured || strategy.testCommands[analysis.tier]
+
+  if (options.format === 'json') {
+    console.log(
+      JSON.stringify(
+        {
+          ...analysis,
+          ranges,
+          command,
+          commandSource: configured ? 'smartStrategy.tiers' : 'default',
+          thresholds: config.thresholds,
+        },
+        null,
+        2
+      )
+    )
+    process.exit(0)
+  }
+
+  console.log(
+    `\n🧠 Smart test strategy risk (${strategy.projectTypeName} defaults)`
+  )
+  console.log(formatRiskReport(analysis, ranges))
+  printRules(config)
+  console.log(
+    `\n🧪 Tier: ${analysis.tier} → ${command}${configured ? ' (smartStrategy.tiers)' : ''}`
+  )
+  process.exit(0)
+}
+
+module.exports = { handleExplainRisk }
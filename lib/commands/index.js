@@ -11,8 +11,28 @@ const {
   detectPythonProject,
   detectRustProject,
   detectRubyProject,
+  detectGoProject,
+  detectJavaProject,
 } = require('./deps')
 const { handleAnalyzeCi } = require('./analyze-ci')
+const { handleBudgetsCheck } = require('./budgets')
+const { handleDoctor } = require('./doctor')
+const { handleExplainRisk } = require('./explain-risk')
+const { CommandRegistry } = require('./registry')
+const { BUILTIN_COMMANDS } = require('./builtin-commands')
+
+/**
+ * Create a registry pre-populated with the built-in CLI commands
+ *
+ * Additional commands can be registered on the returned registry before
+ * dispatch; setup.js only binds the main setup flow via context.runSetup.
+ * @returns {CommandRegistry} Registry with setup, update, validate, deps, ...
+ */
+function createCommandRegistry() {
+  const registry = new CommandRegistry()
+  BUILTIN_COMMANDS.forEach(definition => registry.register(definition))
+  return registry
+}
 
 module.exports = {
   // Validation commands
@@ -23,7 +43,22 @@ module.exports = {
   detectPythonProject,
   detectRustProject,
   detectRubyProject,
+  detectGoProject,
+  detectJavaProject,
 
   // CI/CD optimization commands
   handleAnalyzeCi,
+
+  // Performance budget commands
+  handleBudgetsCheck,
+
+  // Generated files drift
+  handleDoctor,
+
+  // Smart test strategy risk
+  handleExplainRisk,
+
+  // Command registry
+  CommandRegistry,
+  createCommandRegistry,
 }
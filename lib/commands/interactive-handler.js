@@ -44,7 +44,11 @@ async function handleInteractiveMode(options) {
     process.exit(1)
   }
 
-  const originalFlags = args.filter(arg => arg !== '--interactive')
+  // Drop --interactive and anything the interactive flow already selected
+  // (e.g. a repeated "setup" command) before re-parsing
+  const originalFlags = args.filter(
+    arg => arg !== '--interactive' && !interactiveFlags.includes(arg)
+  )
   const mergedFlags = [...originalFlags, ...interactiveFlags]
 
   const parsedConfig = parseArguments(mergedFlags)
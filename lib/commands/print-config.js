@@ -0,0 +1,79 @@
+/**
+ * Print config command handler
+ *
+ * Resolves .qualityrc.json with the presets it extends and prints the
+ * merged configuration together with the file each value came from.
+ */
+
+'use strict'
+
+const path = require('path')
+const { loadQualityConfig, QUALITY_CONFIG_FILE } = require('../quality-config')
+
+/**
+ * Handle the print-config command
+ * @param {Object} options - Parsed command options
+ * @param {string} [options.format] - text or json
+ * @returns {void}
+ */
+function handlePrintConfig(options = {}) {
+  const projectPath = process.cwd()
+
+  let resolved
+  try {
+    resolved = loadQualityConfig(projectPath)
+  } catch (error) {
+    console.error(
+      `❌ Could not resolve ${QUALITY_CONFIG_FILE}: ${error.message}`
+    )
+    process.exit(1)
+  }
+
+  const { config, sources, layers } = resolved
+  if (layers.length === 0) {
+    console.error(`❌ No ${QUALITY_CONFIG_FILE} found in ${projectPath}`)
+    console.error('   Run setup to create one, or see .qualityrc.json.example')
+    process.exit(1)
+  }
+
+  if (options.format === 'json') {
+    console.log(
+      JSON.stringify(
+        {
+          config,
+          sources,
+          layers: layers.map(layer => ({
+            source: layer.label,
+            file: path.relative(projectPath, layer.file),
+          })),
+        },
+        null,
+        2
+      )
+    )
+    process.exit(0)
+  }
+
+  console.log('📚 Layers (later ones override earlier ones):')
+  layers.forEach((layer, index) => {
+    const file = path.relative(projectPath, layer.file)
+    console.log(
+      `   ${index + 1}. ${layer.label}${file === layer.label ? '' : ` (${file})`}`
+    )
+  })
+
+  console.log('\n⚙️  Resolved configuration:')
+  console.log(JSON.stringify(config, null, 2))
+
+  const keys = Object.keys(sources).sort()
+  if (keys.length > 0) {
+    const width = Math.max(...keys.map(key => key.length))
+    console.log('\n📍 Sources:')
+    keys.forEach(key => {
+      console.log(`   ${key.padEnd(width)}  ${sources[key]}`)
+    })
+  }
+  process.exit(0)
+}
+
+module.exports = { handlePrintConfig }
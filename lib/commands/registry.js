@@ -0,0 +1,202 @@
+/**
+ * Command registry
+ *
+ * Holds the CLI subcommands (setup, update, validate, deps, ...) together with
+ * their option schemas and handlers. setup.js only parses arguments and
+ * dispatches to whatever is registered here, so new commands can be added
+ * from lib/commands without touching the CLI entry point.
+ */
+
+'use strict'
+
+const OPTION_TYPES = new Set(['boolean', 'string'])
+const COMMAND_NAME_PATTERN = /^[a-z][a-z0-9-]*$/
+
+/**
+ * Convert a kebab-case flag name to the camelCase key used in parsed options
+ * @param {string} name - Flag name without leading dashes (e.g. 'dry-run')
+ * @returns {string} camelCase key (e.g. 'dryRun')
+ */
+function toOptionKey(name) {
+  return name.replace(/-([a-z0-9])/g, (_, char) => char.toUpperCase())
+}
+
+/**
+ * Normalize and validate an option schema entry
+ * @param {string} commandName - Owning command (for error messages)
+ * @param {string} name - Flag name without leading dashes
+ * @param {Object} option - Raw option definition
+ * @returns {Object} Normalized option definition
+ */
+function normalizeOption(commandName, name, option) {
+  const type = option.type || 'boolean'
+  if (!OPTION_TYPES.has(type)) {
+    throw new Error(
+      `Command "${commandName}" option --${name} has unsupported type "${type}"`
+    )
+  }
+
+  return {
+    name,
+    key: toOptionKey(name),
+    type,
+    alias: option.alias || null,
+    valueName: option.valueName || 'value',
+    choices: option.choices || null,
+    default: option.default,
+    description: option.description || '',
+    hidden: Boolean(option.hidden),
+  }
+}
+
+/**
+ * Registry of CLI commands
+ *
+ * A command definition looks like:
+ * {
+ *   name: 'deps',
+ *   aliases: ['dependency-monitoring'],
+ *   summary: 'One-line description for the command list',
+ *   description: 'Longer description for `deps --help`',
+ *   options: { 'dry-run': { type: 'boolean', description: '...' } },
+ *   positionals: [{ name: 'action', choices: ['status'], default: 'status' }],
+ *   legacyFlags: { deps: {}, 'dependency-monitoring': {} },
+ *   exclusive: [['docs', 'config']],
+ *   examples: [['deps', 'Add Dependabot configuration']],
+ *   handler: async (options, context) => {},
+ * }
+ *
+ * `legacyFlags` maps the pre-subcommand flag style (`--deps`) to the options
+ * it implies for this command, which keeps existing scripts working.
+ */
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map()
+    this.aliases = new Map()
+    this.legacyFlags = new Map()
+  }
+
+  /**
+   * Register a command definition
+   * @param {Object} definition - Command definition (see class docs)
+   * @returns {CommandRegistry} this, for chaining
+   */
+  register(definition) {
+    if (!definition || typeof definition !== 'object') {
+      throw new Error('Command definition must be an object')
+    }
+
+    const { name } = definition
+    if (typeof name !== 'string' || !COMMAND_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid command name: ${String(name)}`)
+    }
+    if (this.commands.has(name) || this.aliases.has(name)) {
+      throw new Error(`Command "${name}" is already registered`)
+    }
+    if (typeof definition.handler !== 'function') {
+      throw new Error(`Command "${name}" must provide a handler function`)
+    }
+
+    const options = {}
+    for (const [optionName, option] of Object.entries(
+      definition.options || {}
+    )) {
+      options[optionName] = normalizeOption(name, optionName, option)
+    }
+
+    const legacyFlags = definition.legacyFlags || {}
+    for (const flag of Object.keys(legacyFlags)) {
+      const owner = this.legacyFlags.get(flag)
+      if (owner) {
+        throw new Error(
+          `Legacy flag --${flag} is already mapped to command "${owner}"`
+        )
+      }
+    }
+
+    const command = {
+      name,
+      aliases: definition.aliases || [],
+      summary: definition.summary || '',
+      description: definition.description || definition.summary || '',
+      options,
+      positionals: definition.positionals || [],
+      legacyFlags,
+      exclusive: definition.exclusive || [],
+      examples: definition.examples || [],
+      hidden: Boolean(definition.hidden),
+      handler: definition.handler,
+    }
+
+    this.commands.set(name, command)
+    command.aliases.forEach(alias => this.aliases.set(alias, name))
+    Object.keys(legacyFlags).forEach(flag => this.legacyFlags.set(flag, name))
+
+    return this
+  }
+
+  /**
+   * Replace the handler of an already registered command
+   *
+   * Used by setup.js to bind the main setup flow, which still lives there.
+   * @param {string} name - Command name
+   * @param {Function} handler - New handler
+   * @returns {CommandRegistry} this, for chaining
+   */
+  setHandler(name, handler) {
+    const command = this.get(name)
+    if (!command) {
+      throw new Error(`Unknown command "${name}"`)
+    }
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for "${name}" must be a function`)
+    }
+    command.handler = handler
+    return this
+  }
+
+  /**
+   * Look up a command by name or alias
+   * @param {string} name - Command name or alias
+   * @returns {Object|null} Command definition
+   */
+  get(name) {
+    const resolved = this.aliases.get(name) || name
+    return this.commands.get(resolved) || null
+  }
+
+  /**
+   * @param {string} name - Command name or alias
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.get(name) !== null
+  }
+
+  /**
+   * List registered commands in registration order
+   * @param {Object} [options]
+   * @param {boolean} [options.includeHidden=false] - Include hidden commands
+   * @returns {Object[]} Command definitions
+   */
+  list({ includeHidden = false } = {}) {
+    return Array.from(this.commands.values()).filter(
+      command => includeHidden || !command.hidden
+    )
+  }
+
+  /**
+   * Find the command a legacy flag (e.g. --deps) belongs to
+   * @param {string} flag - Flag name without leading dashes
+   * @returns {Object|null} Command definition
+   */
+  getLegacyCommand(flag) {
+    const name = this.legacyFlags.get(flag)
+    return name ? this.commands.get(name) : null
+  }
+}
+
+module.exports = {
+  CommandRegistry,
+  toOptionKey,
+}
@@ -0,0 +1,98 @@
+/**
+ * Template lint command handler
+ *
+ * Renders every `.tmpl` file of a custom template directory against sample
+ * contexts (or the contexts in a --context file) and reports template
+ * errors before setup runs into them.
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { TemplateLoader } = require('../template-loader')
+const {
+  SAMPLE_CONTEXTS,
+  TEMPLATE_CONTEXT_FIELDS,
+  createSampleContext,
+  lintTemplates,
+} = require('../template-renderer')
+
+/**
+ * Load the contexts to render against: a JSON object or array of partial
+ * contexts, each completed from the first sample context
+ * @param {string} [contextPath] - --context file
+ * @returns {Object[]} Full template contexts
+ */
+function loadContexts(contextPath) {
+  if (!contextPath) {
+    return SAMPLE_CONTEXTS.map(createSampleContext)
+  }
+  const parsed = JSON.parse(fs.readFileSync(path.resolve(contextPath), 'utf8'))
+  const samples = Array.isArray(parsed) ? parsed : [parsed]
+  return samples.map(createSampleContext)
+}
+
+/**
+ * Handle the template-lint command
+ * @param {Object} options - Parsed command options
+ * @param {string} [options.template] - Custom template directory
+ * @param {string} [options.context] - JSON file with contexts to render against
+ * @returns {Promise<void>}
+ */
+async function handleTemplateLint(options = {}) {
+  const templateDir = options.template
+    ? path.resolve(options.template)
+    : process.cwd()
+
+  const loader = new TemplateLoader({ verbose: false, strict: true })
+  if (!loader.isValidTemplatePath(templateDir)) {
+    console.error(`❌ Template directory not found: ${templateDir}`)
+    process.exit(1)
+  }
+
+  let contexts
+  try {
+    contexts = loadContexts(options.context)
+  } catch (error) {
+    console.error(`❌ Could not read --context file: ${error.message}`)
+    process.exit(1)
+  }
+
+  let files
+  try {
+    files = await loader.loadTemplates(templateDir)
+  } catch (error) {
+    console.error(`❌ ${error.message}`)
+    process.exit(1)
+  }
+
+  const { templates, partials, problems } = lintTemplates(files, contexts)
+  console.log(
+    `🔍 Rendered ${templates} template(s) and ${partials} partial(s) from ${path.relative(process.cwd(), templateDir) || '.'} against ${contexts.length} context(s)`
+  )
+
+  if (templates === 0) {
+    console.log(
+      '💡 Only files ending in .tmpl are rendered; other files are copied as they are'
+    )
+  }
+
+  if (problems.length === 0) {
+    console.log('✅ No template errors found')
+    process.exit(0)
+  }
+
+  console.error(`\n❌ ${problems.length} template error(s):`)
+  problems.forEach(problem => {
+    console.error(
+      `   • ${problem.message}${problem.context ? ` [${problem.context}]` : ''}`
+    )
+  })
+  console.error(
+    `\n💡 Available variables: ${Object.keys(TEMPLATE_CONTEXT_FIELDS).join(', ')}`
+  )
+  process.exit(1)
+}
+
+module.exports = { handleTemplateLint }
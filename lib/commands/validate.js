@@ -5,7 +5,122 @@
  * Handles --validate, --comprehensive, --security-config, --validate-docs commands.
  */
 
+const fs = require('fs')
 const { ValidationRunner } = require('../validation')
+const { formatValidationReport } = require('../validation/report-formats')
+const {
+  VALIDATION_BASELINE_FILE,
+  loadValidationBaseline,
+  writeValidationBaseline,
+  applyValidationBaseline,
+} = require('../validation/baseline')
+
+/**
+ * Send console.log/info/warn output to stderr so stdout only carries the
+ * serialized report
+ * @returns {() => void} Restores the original console methods
+ */
+function routeConsoleToStderr() {
+  const original = {
+    log: console.log,
+    info: console.info,
+    warn: console.warn,
+  }
+  console.log = console.error
+  console.info = console.error
+  console.warn = console.error
+  return () => Object.assign(console, original)
+}
+
+/**
+ * Print the console summary of a baselined run
+ * @param {Object} report - Report after applyValidationBaseline
+ */
+function printBaselineSummary(report) {
+  const { known, fixed } = report.baseline
+  const newErrors = report.findings.filter(
+    f => f.severity === 'error' && !f.baseline
+  )
+
+  console.log(
+    `\n📋 ${VALIDATION_BASELINE_FILE}: ${known} known finding(s) ignored, ${fixed} fixed since the baseline`
+  )
+  if (newErrors.length > 0) {
+    console.error(`\n❌ ${newErrors.length} new finding(s):`)
+    newErrors.forEach(finding => {
+      const location = finding.file
+        ? ` (${finding.file}${finding.line ? `:${finding.line}` : ''})`
+        : ''
+      console.error(`   • [${finding.ruleId}] ${finding.message}${location}`)
+    })
+  } else {
+    console.log('✅ No new findings')
+  }
+  if (fixed > 0) {
+    console.log(
+      `💡 Run with --write-baseline to drop fixed findings from ${VALIDATION_BASELINE_FILE}`
+    )
+  }
+}
+
+/**
+ * Run checks and print a JSON, SARIF or JUnit report, or the baseline
+ * summary for text output
+ * @param {ValidationRunner} validator - Configured runner
+ * @param {string[]|undefined} checkNames - VALIDATION_CHECKS names to run
+ * @param {Object} options - Report options
+ * @param {string} options.format - text, json, sarif or junit
+ * @param {string} [options.outputPath] - Write the report here instead of stdout
+ * @param {Object|null} [options.baseline] - Result of loadValidationBaseline
+ */
+async function runReportedValidation(
+  validator,
+  checkNames,
+  { format, outputPath, baseline = null }
+) {
+  const isText = format === 'text'
+  const restoreConsole =
+    outputPath || isText ? () => {} : routeConsoleToStderr()
+  let report
+  try {
+    report = await validator.runReport(checkNames)
+  } finally {
+    restoreConsole()
+  }
+  if (baseline) {
+    report = applyValidationBaseline(report, baseline)
+  }
+
+  if (isText) {
+    printBaselineSummary(report)
+  } else if (outputPath) {
+    const content = formatValidationReport(report, format)
+    fs.writeFileSync(outputPath, content)
+    console.log(
+      `📄 Wrote ${format} report to ${outputPath} (${report.summary.errors} error(s), ${report.summary.warnings} warning(s))`
+    )
+  } else {
+    process.stdout.write(formatValidationReport(report, format))
+  }
+  process.exit(report.passed ? 0 : 1)
+}
+
+/**
+ * Run checks and record their errors in .qa-baseline.json
+ * @param {ValidationRunner} validator - Configured runner
+ * @param {string[]|undefined} checkNames - VALIDATION_CHECKS names to run
+ */
+async function writeBaselineFromRun(validator, checkNames) {
+  const report = await validator.runReport(checkNames)
+  const { count } = writeValidationBaseline(process.cwd(), report)
+  console.log(
+    `\n✅ Recorded ${count} finding(s) in ${VALIDATION_BASELINE_FILE}`
+  )
+  console.log(
+    '   Commit it - later runs only fail on findings that are not in the baseline'
+  )
+  process.exit(0)
+}
 
 /**
  * Handle validation-only commands
@@ -21,6 +136,10 @@ const { ValidationRunner } = require('../validation')
  * @param {boolean} options.disableMarkdownlint - Skip markdownlint
  * @param {boolean} options.disableEslintSecurity - Skip ESLint security
  * @param {boolean} options.allowLatestGitleaks - Allow latest gitleaks version
+ * @param {string} [options.format] - text (default), json, sarif or junit
+ * @param {string} [options.output] - Write the json/sarif/junit report to this file
+ * @param {boolean} [options.writeBaseline] - Record current errors in .qa-baseline.json
+ * @param {boolean} [options.ignoreBaseline] - Fail on every finding even if .qa-baseline.json exists
  */
 async function handleValidationCommands(options) {
   const {
@@ -34,6 +153,10 @@ async function handleValidationCommands(options) {
     disableMarkdownlint,
     disableEslintSecurity,
     allowLatestGitleaks,
+    format = 'text',
+    output,
+    writeBaseline = false,
+    ignoreBaseline = false,
   } = options
 
   const validationOptions = {
@@ -46,6 +169,29 @@ async function handleValidationCommands(options) {
   }
   const validator = new ValidationRunner(validationOptions)
 
+  const checkNames = isConfigSecurityMode
+    ? ['configSecurity']
+    : isDocsValidationMode
+      ? ['documentation']
+      : undefined
+
+  if (writeBaseline) {
+    await writeBaselineFromRun(validator, checkNames)
+    return
+  }
+
+  // A committed baseline switches text output to the report pipeline too,
+  // since only the report carries the fingerprints it is keyed by
+  const baseline = ignoreBaseline ? null : loadValidationBaseline(process.cwd())
+  if (format !== 'text' || baseline) {
+    await runReportedValidation(validator, checkNames, {
+      format,
+      outputPath: output,
+      baseline,
+    })
+    return
+  }
+
   if (isConfigSecurityMode) {
     try {
       await validator.runConfigSecurity()
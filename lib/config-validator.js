@@ -4,6 +4,7 @@ const AjvImport = require('ajv')
 const addFormatsImport = require('ajv-formats')
 const fs = require('fs')
 const path = require('path')
+const { resolveQualityConfigFile } = require('./quality-config')
 
 // Handle CJS/ESM interop for Ajv and ajv-formats in JS type-checking
 const Ajv = /** @type {any} */ (AjvImport.default || AjvImport)
@@ -38,6 +39,12 @@ function formatValidationError(error) {
     : `Validation error at ${errorPath}: ${message}`
 }
 
+/**
+ * Validate a config file, with the presets it extends merged in, against
+ * the JSON Schema
+ * @param {string} configPath - Path to .qualityrc.json file
+ * @returns {{valid: boolean, errors: string[], config: Object|null}} Result; config is the resolved configuration
+ */
 function validateQualityConfig(configPath) {
   const result = {
     valid: false,
@@ -59,12 +66,21 @@ function validateQualityConfig(configPath) {
   try {
     const configContent = fs.readFileSync(configPath, 'utf8')
     config = JSON.parse(configContent)
-    result.config = config
   } catch (error) {
     result.errors.push('Failed to parse configuration file: ' + error.message)
     return result
   }
 
+  if (config && config.extends !== undefined) {
+    try {
+      config = resolveQualityConfigFile(configPath).config
+    } catch (error) {
+      result.errors.push('Failed to resolve extends: ' + error.message)
+      return result
+    }
+  }
+  result.config = config
+
   let schema
   try {
     const schemaPath = path.join(
@@ -156,6 +156,59 @@ const RUBY_FRAMEWORK_SIGNATURES = {
   },
 }
 
+/**
+ * Go Framework signature patterns for gomod ecosystem
+ * Patterns match full module paths (including /vN major version suffixes)
+ */
+const GO_FRAMEWORK_SIGNATURES = {
+  gin: {
+    core: ['github.com/gin-gonic/gin'],
+    middleware: ['github.com/gin-contrib/*'],
+  },
+  echo: {
+    core: ['github.com/labstack/echo', 'github.com/labstack/echo/*'],
+    middleware: ['github.com/labstack/echo-contrib'],
+  },
+  grpc: {
+    core: ['google.golang.org/grpc', 'google.golang.org/protobuf'],
+    ecosystem: [
+      'github.com/grpc-ecosystem/*',
+      'google.golang.org/genproto',
+      'google.golang.org/genproto/*',
+    ],
+  },
+  kubernetes: {
+    core: ['k8s.io/client-go', 'k8s.io/api', 'k8s.io/apimachinery'],
+    controllers: ['sigs.k8s.io/controller-runtime', 'k8s.io/*'],
+  },
+  testing: {
+    frameworks: [
+      'github.com/stretchr/testify',
+      'github.com/onsi/ginkgo/*',
+      'github.com/onsi/gomega',
+    ],
+  },
+}
+
+/**
+ * JVM Framework signature patterns for maven and gradle ecosystems
+ * Patterns match Dependabot's `groupId:artifactId` dependency names
+ */
+const JVM_FRAMEWORK_SIGNATURES = {
+  springBoot: {
+    core: ['org.springframework.boot:*'],
+    framework: ['org.springframework:*'],
+  },
+  jackson: {
+    core: ['com.fasterxml.jackson.core:*'],
+    modules: ['com.fasterxml.jackson.*:*'],
+  },
+  testing: {
+    frameworks: ['org.junit.jupiter:*', 'org.junit.platform:*', 'junit:junit'],
+    helpers: ['org.mockito:*', 'org.assertj:*'],
+  },
+}
+
 /**
  * Detect frameworks and libraries present in a project
  *
@@ -1061,6 +1114,514 @@ function generateRSpecGroups() {
   }
 }
 
+/**
+ * ============================================================================
+ * GO/GOMOD ECOSYSTEM SUPPORT
+ * ============================================================================
+ */
+
+/**
+ * Check if project has Go modules (go.mod or a go.work workspace)
+ */
+function hasGoProject(projectPath) {
+  return (
+    fs.existsSync(path.join(projectPath, 'go.mod')) ||
+    fs.existsSync(path.join(projectPath, 'go.work'))
+  )
+}
+
+/**
+ * Strip a trailing // comment from a go.mod/go.work line
+ */
+function stripGoComment(line) {
+  const commentIdx = line.indexOf('//')
+  return (commentIdx === -1 ? line : line.slice(0, commentIdx)).trim()
+}
+
+/**
+ * Parse go.mod for direct module requirements
+ * Indirect requirements (// indirect) are skipped since they don't
+ * indicate which frameworks the project uses.
+ */
+function parseGoMod(goModPath) {
+  const content = fs.readFileSync(goModPath, 'utf8')
+  const dependencies = {}
+  let inRequireBlock = false
+
+  for (const line of content.split('\n')) {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('//')) continue
+
+    if (inRequireBlock) {
+      if (trimmed.startsWith(')')) {
+        inRequireBlock = false
+        continue
+      }
+      if (trimmed.includes('// indirect')) continue
+
+      const [name, version] = stripGoComment(trimmed).split(/\s+/)
+      if (name && version) dependencies[name] = version
+      continue
+    }
+
+    if (/^require\s*\($/.test(trimmed)) {
+      inRequireBlock = true
+      continue
+    }
+
+    // Single-line form: require github.com/gin-gonic/gin v1.9.1
+    const singleMatch = trimmed.match(/^require\s+(\S+)\s+(\S+)/)
+    if (singleMatch && !trimmed.includes('// indirect')) {
+      const [, name, version] = singleMatch
+      dependencies[name] = version
+    }
+  }
+
+  return dependencies
+}
+
+/**
+ * Parse go.work for the module directories it uses
+ *
+ * @param {string} goWorkPath - Path to go.work
+ * @returns {string[]} Module directories relative to the workspace root
+ */
+function parseGoWork(goWorkPath) {
+  const content = fs.readFileSync(goWorkPath, 'utf8')
+  const modules = []
+  let inUseBlock = false
+
+  for (const line of content.split('\n')) {
+    const trimmed = stripGoComment(line)
+    if (!trimmed) continue
+
+    if (inUseBlock) {
+      if (trimmed.startsWith(')')) {
+        inUseBlock = false
+      } else {
+        modules.push(trimmed)
+      }
+      continue
+    }
+
+    if (/^use\s*\($/.test(trimmed)) {
+      inUseBlock = true
+      continue
+    }
+
+    const singleMatch = trimmed.match(/^use\s+(\S+)/)
+    if (singleMatch) {
+      modules.push(singleMatch[1])
+    }
+  }
+
+  return modules
+}
+
+/**
+ * List Go module directories (root go.mod plus go.work members)
+ *
+ * @param {string} projectPath - Path to project
+ * @returns {string[]} Module directories relative to projectPath ('.' for root)
+ */
+function findGoModules(projectPath) {
+  const modules = new Set()
+
+  if (fs.existsSync(path.join(projectPath, 'go.mod'))) {
+    modules.add('.')
+  }
+
+  const goWorkPath = path.join(projectPath, 'go.work')
+  if (fs.existsSync(goWorkPath)) {
+    for (const dir of parseGoWork(goWorkPath)) {
+      const normalized = path.posix.normalize(dir.replace(/\\/g, '/'))
+      if (fs.existsSync(path.join(projectPath, normalized, 'go.mod'))) {
+        modules.add(normalized)
+      }
+    }
+  }
+
+  return Array.from(modules)
+}
+
+/**
+ * Detect Go frameworks across every module in the project
+ */
+function detectGoFrameworks(projectPath) {
+  const modules = findGoModules(projectPath)
+  const detectionResults = {
+    primary: null,
+    detected: {},
+    modules,
+  }
+
+  const dependencies = {}
+  for (const moduleDir of modules) {
+    Object.assign(
+      dependencies,
+      parseGoMod(path.join(projectPath, moduleDir, 'go.mod'))
+    )
+  }
+
+  for (const [frameworkName, categories] of Object.entries(
+    GO_FRAMEWORK_SIGNATURES
+  )) {
+    const matchedPackages = new Set()
+
+    for (const categoryPackages of Object.values(categories)) {
+      for (const pattern of categoryPackages) {
+        for (const depName of Object.keys(dependencies)) {
+          if (matchesPattern(depName, pattern)) {
+            matchedPackages.add(depName)
+          }
+        }
+      }
+    }
+
+    if (matchedPackages.size > 0) {
+      detectionResults.detected[frameworkName] = {
+        present: true,
+        packages: Array.from(matchedPackages),
+        count: matchedPackages.size,
+      }
+
+      if (
+        !detectionResults.primary &&
+        ['gin', 'echo', 'grpc', 'kubernetes'].includes(frameworkName)
+      ) {
+        detectionResults.primary = frameworkName
+      }
+    }
+  }
+
+  return detectionResults
+}
+
+/**
+ * Generate Gin dependency groups
+ */
+function generateGinGroups() {
+  return {
+    'gin-core': {
+      patterns: ['github.com/gin-gonic/*'],
+      'update-types': ['minor', 'patch'],
+    },
+    'gin-contrib': {
+      patterns: ['github.com/gin-contrib/*'],
+      'update-types': ['minor', 'patch'],
+    },
+  }
+}
+
+/**
+ * Generate Echo dependency groups
+ */
+function generateEchoGroups() {
+  return {
+    'echo-ecosystem': {
+      patterns: ['github.com/labstack/*'],
+      'update-types': ['minor', 'patch'],
+    },
+  }
+}
+
+/**
+ * Generate gRPC/protobuf dependency groups
+ * grpc, protobuf and genproto are released in lockstep and break when
+ * updated separately, so they share one group.
+ */
+function generateGrpcGroups() {
+  return {
+    'grpc-ecosystem': {
+      patterns: [
+        'google.golang.org/grpc',
+        'google.golang.org/protobuf',
+        'google.golang.org/genproto*',
+        'github.com/grpc-ecosystem/*',
+      ],
+      'update-types': ['minor', 'patch'],
+    },
+  }
+}
+
+/**
+ * Generate Kubernetes client library groups
+ * k8s.io modules share a version line and must move together.
+ */
+function generateKubernetesGroups() {
+  return {
+    'kubernetes-libraries': {
+      patterns: ['k8s.io/*', 'sigs.k8s.io/*'],
+      'update-types': ['minor', 'patch'],
+    },
+  }
+}
+
+/**
+ * Generate Go testing dependency groups
+ */
+function generateGoTestingGroups() {
+  return {
+    'go-testing': {
+      patterns: [
+        'github.com/stretchr/testify',
+        'github.com/onsi/ginkgo*',
+        'github.com/onsi/gomega',
+      ],
+      'update-types': ['minor', 'patch'],
+    },
+  }
+}
+
+/**
+ * ============================================================================
+ * JAVA/KOTLIN (MAVEN + GRADLE) ECOSYSTEM SUPPORT
+ * ============================================================================
+ */
+
+const GRADLE_BUILD_FILES = [
+  'build.gradle',
+  'build.gradle.kts',
+  'settings.gradle',
+  'settings.gradle.kts',
+]
+
+/**
+ * Check if project has a Maven build (pom.xml)
+ */
+function hasMavenProject(projectPath) {
+  return fs.existsSync(path.join(projectPath, 'pom.xml'))
+}
+
+/**
+ * Check if project has a Gradle build (Groovy or Kotlin DSL)
+ */
+function hasGradleProject(projectPath) {
+  return GRADLE_BUILD_FILES.some(file =>
+    fs.existsSync(path.join(projectPath, file))
+  )
+}
+
+/**
+ * Parse pom.xml for dependencies, plugins and the parent POM
+ * Keys use Dependabot's `groupId:artifactId` naming.
+ */
+function parsePomXml(pomPath) {
+  const content = fs.readFileSync(pomPath, 'utf8')
+  const dependencies = {}
+
+  const blockPattern = /<(dependency|parent|plugin)>([\s\S]*?)<\/\1>/g
+  for (const [, , block] of content.matchAll(blockPattern)) {
+    const groupId = block.match(/<groupId>\s*([^<\s]+)\s*<\/groupId>/)
+    const artifactId = block.match(/<artifactId>\s*([^<\s]+)\s*<\/artifactId>/)
+    const version = block.match(/<version>\s*([^<\s]+)\s*<\/version>/)
+    if (!artifactId) continue
+
+    // Plugins without a groupId default to org.apache.maven.plugins
+    const group = groupId ? groupId[1] : 'org.apache.maven.plugins'
+    dependencies[`${group}:${artifactId[1]}`] = version ? version[1] : '*'
+  }
+
+  return dependencies
+}
+
+/**
+ * Parse a Gradle build script (Groovy or Kotlin DSL) for dependencies
+ *
+ * Picks up `group:artifact:version` coordinate strings and plugin ids,
+ * which Dependabot reports as `<id>:<id>.gradle.plugin`.
+ */
+function parseGradleBuild(buildPath) {
+  const content = fs.readFileSync(buildPath, 'utf8')
+  const dependencies = {}
+
+  const coordinatePattern = /["']([\w.-]+):([\w.-]+):([^"'@\s]+)["']/g
+  for (const [, group, artifact, version] of content.matchAll(
+    coordinatePattern
+  )) {
+    dependencies[`${group}:${artifact}`] = version
+  }
+
+  // id("org.springframework.boot") version "3.2.0" / id 'x' version 'y'
+  const pluginPattern =
+    /id\s*\(?\s*["']([\w.-]+)["']\s*\)?\s*version\s*\(?\s*["']([^"']+)["']/g
+  for (const [, pluginId, version] of content.matchAll(pluginPattern)) {
+    dependencies[`${pluginId}:${pluginId}.gradle.plugin`] = version
+  }
+
+  return dependencies
+}
+
+/**
+ * Parse a Gradle version catalog (gradle/libs.versions.toml) [libraries] table
+ */
+function parseGradleVersionCatalog(catalogPath) {
+  const content = fs.readFileSync(catalogPath, 'utf8')
+  const dependencies = {}
+
+  const librariesMatch = content.match(
+    /^\[libraries\]([\s\S]*?)(?=^\[|$(?![\s\S]))/m
+  )
+  if (!librariesMatch) return dependencies
+
+  for (const line of librariesMatch[1].split('\n')) {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#')) continue
+
+    // lib = "group:artifact:version"
+    const shortMatch = trimmed.match(/=\s*["']([\w.-]+):([\w.-]+):([^"']+)["']/)
+    if (shortMatch) {
+      dependencies[`${shortMatch[1]}:${shortMatch[2]}`] = shortMatch[3]
+      continue
+    }
+
+    // lib = { module = "group:artifact", version.ref = "x" }
+    const moduleMatch = trimmed.match(
+      /module\s*=\s*["']([\w.-]+):([\w.-]+)["']/
+    )
+    if (moduleMatch) {
+      dependencies[`${moduleMatch[1]}:${moduleMatch[2]}`] = '*'
+      continue
+    }
+
+    // lib = { group = "group", name = "artifact", ... }
+    const groupMatch = trimmed.match(/group\s*=\s*["']([\w.-]+)["']/)
+    const nameMatch = trimmed.match(/name\s*=\s*["']([\w.-]+)["']/)
+    if (groupMatch && nameMatch) {
+      dependencies[`${groupMatch[1]}:${nameMatch[1]}`] = '*'
+    }
+  }
+
+  return dependencies
+}
+
+/**
+ * Collect Gradle dependencies from the root build, direct subprojects and
+ * the version catalog
+ */
+function collectGradleDependencies(projectPath) {
+  const dependencies = {}
+  const buildFiles = GRADLE_BUILD_FILES.map(file =>
+    path.join(projectPath, file)
+  )
+
+  // Multi-project builds usually keep subprojects one level down
+  try {
+    for (const entry of fs.readdirSync(projectPath, { withFileTypes: true })) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue
+      for (const file of ['build.gradle', 'build.gradle.kts']) {
+        buildFiles.push(path.join(projectPath, entry.name, file))
+      }
+    }
+  } catch (error) {
+    if (process.env.DEBUG) {
+      console.warn(`⚠️  Could not scan Gradle subprojects: ${error.message}`)
+    }
+  }
+
+  for (const buildFile of buildFiles) {
+    if (fs.existsSync(buildFile)) {
+      Object.assign(dependencies, parseGradleBuild(buildFile))
+    }
+  }
+
+  const catalogPath = path.join(projectPath, 'gradle', 'libs.versions.toml')
+  if (fs.existsSync(catalogPath)) {
+    Object.assign(dependencies, parseGradleVersionCatalog(catalogPath))
+  }
+
+  return dependencies
+}
+
+/**
+ * Detect JVM frameworks for a Maven or Gradle build
+ *
+ * @param {string} projectPath - Path to project
+ * @param {'maven'|'gradle'} buildTool - Build tool to read dependencies from
+ */
+function detectJvmFrameworks(projectPath, buildTool) {
+  const dependencies =
+    buildTool === 'maven'
+      ? parsePomXml(path.join(projectPath, 'pom.xml'))
+      : collectGradleDependencies(projectPath)
+  const detectionResults = {
+    primary: null,
+    detected: {},
+  }
+
+  for (const [frameworkName, categories] of Object.entries(
+    JVM_FRAMEWORK_SIGNATURES
+  )) {
+    const matchedPackages = new Set()
+
+    for (const categoryPackages of Object.values(categories)) {
+      for (const pattern of categoryPackages) {
+        for (const depName of Object.keys(dependencies)) {
+          if (matchesPattern(depName, pattern)) {
+            matchedPackages.add(depName)
+          }
+        }
+      }
+    }
+
+    if (matchedPackages.size > 0) {
+      detectionResults.detected[frameworkName] = {
+        present: true,
+        packages: Array.from(matchedPackages),
+        count: matchedPackages.size,
+      }
+
+      if (!detectionResults.primary && frameworkName === 'springBoot') {
+        detectionResults.primary = frameworkName
+      }
+    }
+  }
+
+  return detectionResults
+}
+
+/**
+ * Generate Spring Boot dependency groups
+ * Boot manages Spring Framework versions, so both move in one group.
+ */
+function generateSpringBootGroups() {
+  return {
+    'spring-boot': {
+      patterns: [
+        'org.springframework.boot*',
+        'org.springframework:*',
+        'io.spring.dependency-management*',
+      ],
+      'update-types': ['minor', 'patch'],
+    },
+  }
+}
+
+/**
+ * Generate Jackson dependency groups
+ * Jackson modules must share the same version to stay compatible.
+ */
+function generateJacksonGroups() {
+  return {
+    jackson: {
+      patterns: ['com.fasterxml.jackson*'],
+      'update-types': ['minor', 'patch'],
+    },
+  }
+}
+
+/**
+ * Generate JUnit/Mockito/AssertJ dependency groups
+ */
+function generateJUnitGroups() {
+  return {
+    'jvm-testing': {
+      patterns: ['org.junit*', 'junit:junit', 'org.mockito:*', 'org.assertj:*'],
+      'update-types': ['minor', 'patch'],
+    },
+  }
+}
+
 /**
  * Detect all ecosystems present in project
  */
@@ -1117,6 +1678,19 @@ function detectAllEcosystems(projectPath) {
     ecosystems.bundler = detectRubyFrameworks(projectPath)
   }
 
+  // Java/Kotlin detection (Maven and Gradle can coexist during migrations)
+  if (hasMavenProject(projectPath)) {
+    ecosystems.maven = detectJvmFrameworks(projectPath, 'maven')
+  }
+  if (hasGradleProject(projectPath)) {
+    ecosystems.gradle = detectJvmFrameworks(projectPath, 'gradle')
+  }
+
+  // Go detection (go.mod or go.work workspace)
+  if (hasGoProject(projectPath)) {
+    ecosystems.gomod = detectGoFrameworks(projectPath)
+  }
+
   return ecosystems
 }
 
@@ -1268,6 +1842,80 @@ function generateBundlerGroups(bundlerFrameworks) {
   return allGroups
 }
 
+/**
+ * Generate dependency groups for gomod ecosystem
+ */
+function generateGomodGroups(gomodFrameworks) {
+  let allGroups = {}
+
+  if (gomodFrameworks.detected.gin) {
+    allGroups = {
+      ...allGroups,
+      ...generateGinGroups(),
+    }
+  }
+
+  if (gomodFrameworks.detected.echo) {
+    allGroups = {
+      ...allGroups,
+      ...generateEchoGroups(),
+    }
+  }
+
+  if (gomodFrameworks.detected.grpc) {
+    allGroups = {
+      ...allGroups,
+      ...generateGrpcGroups(),
+    }
+  }
+
+  if (gomodFrameworks.detected.kubernetes) {
+    allGroups = {
+      ...allGroups,
+      ...generateKubernetesGroups(),
+    }
+  }
+
+  if (gomodFrameworks.detected.testing) {
+    allGroups = {
+      ...allGroups,
+      ...generateGoTestingGroups(),
+    }
+  }
+
+  return allGroups
+}
+
+/**
+ * Generate dependency groups for maven and gradle ecosystems
+ */
+function generateJvmGroups(jvmFrameworks) {
+  let allGroups = {}
+
+  if (jvmFrameworks.detected.springBoot) {
+    allGroups = {
+      ...allGroups,
+      ...generateSpringBootGroups(),
+    }
+  }
+
+  if (jvmFrameworks.detected.jackson) {
+    allGroups = {
+      ...allGroups,
+      ...generateJacksonGroups(),
+    }
+  }
+
+  if (jvmFrameworks.detected.testing) {
+    allGroups = {
+      ...allGroups,
+      ...generateJUnitGroups(),
+    }
+  }
+
+  return allGroups
+}
+
 /**
  * Generate premium Dependabot configuration with multi-language framework-aware grouping
  *
@@ -1365,6 +2013,42 @@ function generatePremiumDependabotConfig(options = {}) {
     })
   }
 
+  // maven and gradle ecosystems (if present)
+  for (const jvmEcosystem of ['maven', 'gradle']) {
+    if (!ecosystems[jvmEcosystem]) continue
+
+    const jvmGroups = generateJvmGroups(ecosystems[jvmEcosystem])
+    updates.push({
+      'package-ecosystem': jvmEcosystem,
+      directory: '/',
+      schedule: { interval: schedule, day, time },
+      'open-pull-requests-limit': 10,
+      labels: ['dependencies', 'java'],
+      'commit-message': { prefix: `deps(${jvmEcosystem})` },
+      ...(Object.keys(jvmGroups).length > 0 && { groups: jvmGroups }),
+    })
+  }
+
+  // gomod ecosystem (if present)
+  if (ecosystems.gomod) {
+    const gomodGroups = generateGomodGroups(ecosystems.gomod)
+    const moduleDirs = ecosystems.gomod.modules.map(dir =>
+      dir === '.' ? '/' : `/${dir.replace(/^\.\//, '')}`
+    )
+    updates.push({
+      'package-ecosystem': 'gomod',
+      // go.work workspaces list every module directory
+      ...(moduleDirs.length > 1
+        ? { directories: moduleDirs }
+        : { directory: moduleDirs[0] || '/' }),
+      schedule: { interval: schedule, day, time },
+      'open-pull-requests-limit': 10,
+      labels: ['dependencies', 'go'],
+      'commit-message': { prefix: 'deps(go)' },
+      ...(Object.keys(gomodGroups).length > 0 && { groups: gomodGroups }),
+    })
+  }
+
   // GitHub Actions monitoring (always included)
   updates.push({
     'package-ecosystem': 'github-actions',
@@ -1462,12 +2146,29 @@ module.exports = {
   generateRailsGroups,
   generateRSpecGroups,
 
+  // Java/Kotlin ecosystem
+  detectJvmFrameworks,
+  generateSpringBootGroups,
+  generateJacksonGroups,
+  generateJUnitGroups,
+
+  // Go ecosystem
+  detectGoFrameworks,
+  findGoModules,
+  generateGinGroups,
+  generateEchoGroups,
+  generateGrpcGroups,
+  generateKubernetesGroups,
+  generateGoTestingGroups,
+
   // Multi-language support
   detectAllEcosystems,
   generateNpmGroups,
   generatePipGroups,
   generateCargoGroups,
   generateBundlerGroups,
+  generateGomodGroups,
+  generateJvmGroups,
 
   // Main config generation
   generatePremiumDependabotConfig,
@@ -1478,10 +2179,17 @@ module.exports = {
   parsePipRequirements,
   parseCargoToml,
   parseGemfile,
+  parseGoMod,
+  parseGoWork,
+  parsePomXml,
+  parseGradleBuild,
+  parseGradleVersionCatalog,
 
   // Framework signatures (for testing)
   NPM_FRAMEWORK_SIGNATURES,
   PYTHON_FRAMEWORK_SIGNATURES,
   RUST_FRAMEWORK_SIGNATURES,
   RUBY_FRAMEWORK_SIGNATURES,
+  GO_FRAMEWORK_SIGNATURES,
+  JVM_FRAMEWORK_SIGNATURES,
 }
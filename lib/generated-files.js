@@ -0,0 +1,464 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const { version } = require('../package.json')
+const {
+  getDefaultLintStaged,
+  NODE_TOOLCHAIN_FILES,
+  STYLELINT_EXTENSIONS,
+} = require('../config/defaults')
+const {
+  mergeLintStaged,
+  getPackageManagerInfo,
+  renderCiTemplate,
+} = require('./package-utils')
+const { getEnhancedLintStaged } = require('./typescript-config-generator')
+const {
+  injectWorkflowMode,
+  injectMatrix,
+  injectCollaborationSteps,
+} = require('./workflow-config')
+const { getPreCommitHook, getPrePushHook } = require('./husky-hooks')
+const {
+  generateSmartPrePushHook,
+  generateSmartStrategy,
+} = require('./smart-strategy-generator')
+const {
+  generateLighthouseConfig,
+  generateCommitlintConfig,
+  generateCommitMsgHook,
+} = require('./quality-tools-generator')
+const { generateGitleaksConfig } = require('./security-enhancements')
+const { TemplateLoader } = require('./template-loader')
+const { buildTemplateContext } = require('./template-renderer')
+const { resolveTemplateSource } = require('./template-source')
+const {
+  injectRustJob,
+  mergeRustPreCommitConfig,
+} = require('./rust-config-generator')
+const { injectGoJob } = require('./go-config-generator')
+const { injectJvmJob } = require('./java-config-generator')
+
+/**
+ * Manifest of generated files (.qa-architect/manifest.json)
+ *
+ * Setup records every config file it writes together with the generator
+ * that produced it, the generator's parameters and the generated content.
+ * `doctor` uses that to tell local edits (current file vs. recorded content)
+ * apart from template changes (recorded content vs. what the generator
+ * produces today), and the recorded content is the base of the three-way
+ * merge it offers.
+ *
+ * Entries are keyed by path relative to the project root; `file#key` tracks
+ * a single key of a JSON file (e.g. `package.json#lint-staged`).
+ */
+
+const GENERATED_MANIFEST_FILE = path.join('.qa-architect', 'manifest.json')
+const GENERATED_MANIFEST_VERSION = 1
+const PACKAGE_ROOT = path.join(__dirname, '..')
+
+/**
+ * @param {string} content - Content to hash
+ * @returns {string} sha256 hex digest
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex')
+}
+
+// CI provider of each CI config template (quality.yml is GitHub Actions)
+const CI_TEMPLATE_PROVIDERS = {
+  'ci/gitlab-ci.yml': 'gitlab',
+  'ci/circleci-config.yml': 'circleci',
+}
+
+/**
+ * Add the language jobs setup injected into a CI config, in the order setup
+ * adds them
+ * @param {string} content - CI config content
+ * @param {string} ciProvider - github, gitlab or circleci
+ * @param {{rust?: Object, go?: Object, jvm?: Object}} params - Recorded projects
+ * @returns {string}
+ */
+function injectLanguageJobs(content, ciProvider, params) {
+  let result = content
+  if (params.rust && ciProvider === 'github') {
+    result = injectRustJob(result, params.rust)
+  }
+  if (params.go) {
+    result = injectGoJob(result, ciProvider, params.go)
+  }
+  if (params.jvm) {
+    result = injectJvmJob(result, ciProvider, params.jvm)
+  }
+  return result
+}
+
+/**
+ * Render functions per generator id. Each returns the content the current
+ * templates produce for the recorded parameters. Entries recorded before
+ * the package manager was tracked render for the one detected now.
+ * @type {Record<string, (params: Object, context: {getTemplate: (relativePath: string) => string, packageManager?: Object, projectPath?: string}) => string|null>}
+ */
+const GENERATORS = {
+  // Config copied from a (possibly custom) template; CI configs are rendered
+  // for the package manager, with the language jobs setup added
+  template: (params, context) => {
+    const content = context.getTemplate(params.template)
+    return params.template.startsWith('ci/')
+      ? injectLanguageJobs(
+          renderCiTemplate(
+            content,
+            params.packageManager || context.packageManager
+          ),
+          CI_TEMPLATE_PROVIDERS[params.template],
+          params
+        )
+      : content
+  },
+
+  'quality-workflow': (params, context) => {
+    let content = context.getTemplate(params.template)
+    content = injectWorkflowMode(content, params.mode)
+    if (params.matrix) {
+      content = injectMatrix(content, true)
+    }
+    content = injectCollaborationSteps(content, {
+      enableSlackAlerts: params.slackAlerts,
+      enablePrComments: params.prComments,
+    })
+    return injectLanguageJobs(content, 'github', params)
+  },
+
+  'husky-pre-commit': (params, context) =>
+    getPreCommitHook(params.packageManager || context.packageManager),
+
+  'husky-pre-push': (params, context) =>
+    getPrePushHook(params.packageManager || context.packageManager),
+
+  'smart-pre-push': (params, context) =>
+    generateSmartPrePushHook(params.packageManager || context.packageManager),
+
+  'commit-msg': (params, context) =>
+    generateCommitMsgHook(params.packageManager || context.packageManager),
+
+  // Smart test strategy and the monorepo test selection, for the project's
+  // current workspace packages
+  'smart-strategy': (params, context) =>
+    generateSmartStrategy({ ...params, projectPath: context.projectPath })
+      .script,
+
+  'affected-packages': (params, context) =>
+    generateSmartStrategy({ ...params, projectPath: context.projectPath })
+      .affectedPackagesScript,
+
+  lighthouse: params => generateLighthouseConfig(params),
+
+  commitlint: () => generateCommitlintConfig(),
+
+  gitleaks: () => generateGitleaksConfig(),
+
+  'node-toolchain': params => NODE_TOOLCHAIN_FILES[params.file],
+
+  // The Python template and/or the cargo fmt/clippy hooks
+  'pre-commit-config': (params, context) => {
+    const content = params.python
+      ? context.getTemplate('config/.pre-commit-config.yaml')
+      : null
+    return params.rust
+      ? mergeRustPreCommitConfig(content, params.rust) || content
+      : content
+  },
+
+  'lint-staged': params => {
+    const defaults = {
+      ...getDefaultLintStaged(params),
+      ...getEnhancedLintStaged(params.python, params.typescript),
+    }
+    const merged = mergeLintStaged(
+      defaults,
+      params.preserved || {},
+      { stylelintTargets: params.stylelintTargets },
+      pattern =>
+        STYLELINT_EXTENSIONS.some(ext =>
+          pattern.toLowerCase().includes(`.${ext}`)
+        )
+    )
+    return serializeJsonValue(merged)
+  },
+}
+
+/**
+ * Serialize a JSON value the way `file#key` entries are compared
+ * @param {*} value - JSON value
+ * @returns {string}
+ */
+function serializeJsonValue(value) {
+  return `${JSON.stringify(value, null, 2)}\n`
+}
+
+/**
+ * Read .qa-architect/manifest.json
+ * @param {string} projectPath - Path to project
+ * @returns {{version: number, generatorVersion: string|null, templateDir: string|null, templateSource: {spec: string, type: string, resolved: string, integrity: string}|null, files: Object<string, Object>}} Manifest (empty when missing or unreadable)
+ */
+function loadGeneratedManifest(projectPath) {
+  const manifestPath = path.join(projectPath, GENERATED_MANIFEST_FILE)
+  const empty = {
+    version: GENERATED_MANIFEST_VERSION,
+    generatorVersion: null,
+    templateDir: null,
+    templateSource: null,
+    files: {},
+  }
+  if (!fs.existsSync(manifestPath)) {
+    return empty
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    return { ...empty, ...manifest, files: manifest.files || {} }
+  } catch (error) {
+    console.warn(
+      `⚠️  Could not read ${GENERATED_MANIFEST_FILE}: ${error.message}`
+    )
+    return empty
+  }
+}
+
+/**
+ * Write .qa-architect/manifest.json with sorted entries and no timestamps,
+ * so it only changes when generated files do
+ * @param {string} projectPath - Path to project
+ * @param {Object} manifest - Manifest from loadGeneratedManifest
+ * @returns {string} Manifest path
+ */
+function saveGeneratedManifest(projectPath, manifest) {
+  const manifestPath = path.join(projectPath, GENERATED_MANIFEST_FILE)
+  const files = Object.fromEntries(
+    Object.keys(manifest.files)
+      .sort()
+      .map(file => [file, manifest.files[file]])
+  )
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true })
+  fs.writeFileSync(
+    manifestPath,
+    serializeJsonValue({
+      version: GENERATED_MANIFEST_VERSION,
+      generatorVersion: version,
+      templateDir: manifest.templateDir || null,
+      templateSource: manifest.templateSource || null,
+      files,
+    })
+  )
+  return manifestPath
+}
+
+/**
+ * Record a file setup just wrote
+ * @param {Object} manifest - Manifest from loadGeneratedManifest
+ * @param {string} file - Path relative to the project root (or `file#key`)
+ * @param {string} generator - Key of GENERATORS
+ * @param {Object} params - Generator parameters
+ * @param {string} content - Written content (serializeJsonValue for `file#key`)
+ */
+function recordGeneratedFile(manifest, file, generator, params, content) {
+  const hash = hashContent(content)
+  manifest.files[file.split(path.sep).join('/')] = {
+    generator,
+    params,
+    generatorVersion: version,
+    hash,
+    content,
+  }
+}
+
+/**
+ * Record a change setup made to a file after generating it (a language job
+ * added to the CI config), unless the file no longer has the recorded
+ * content
+ * @param {Object} manifest - Manifest from loadGeneratedManifest
+ * @param {string} file - Path relative to the project root
+ * @param {string} previous - Content before the change
+ * @param {Object} params - Generator parameters the change adds
+ * @param {string} content - Content after the change
+ */
+function updateGeneratedFile(manifest, file, previous, params, content) {
+  const entry = manifest.files[file.split(path.sep).join('/')]
+  if (!entry || entry.hash !== hashContent(previous)) {
+    return
+  }
+  recordGeneratedFile(
+    manifest,
+    file,
+    entry.generator,
+    { ...entry.params, ...params },
+    content
+  )
+}
+
+/**
+ * Split a manifest key into file path and JSON key
+ * @param {string} file - Manifest key
+ * @returns {{filePath: string, jsonKey: string|null}}
+ */
+function parseEntryPath(file) {
+  const [filePath, jsonKey = null] = file.split('#')
+  return { filePath, jsonKey }
+}
+
+/**
+ * Current content of a tracked file
+ * @param {string} projectPath - Path to project
+ * @param {string} file - Manifest key
+ * @returns {string|null} Content, or null when the file (or key) is missing
+ */
+function readTrackedContent(projectPath, file) {
+  const { filePath, jsonKey } = parseEntryPath(file)
+  const fullPath = path.join(projectPath, filePath)
+  if (!fs.existsSync(fullPath)) return null
+
+  const content = fs.readFileSync(fullPath, 'utf8')
+  if (!jsonKey) return content
+
+  try {
+    const value = JSON.parse(content)[jsonKey]
+    return value === undefined ? null : serializeJsonValue(value)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Write new content to a tracked file
+ * @param {string} projectPath - Path to project
+ * @param {string} file - Manifest key
+ * @param {string} content - New content (serializeJsonValue for `file#key`)
+ */
+function writeTrackedContent(projectPath, file, content) {
+  const { filePath, jsonKey } = parseEntryPath(file)
+  const fullPath = path.join(projectPath, filePath)
+  fs.mkdirSync(path.dirname(fullPath), { recursive: true })
+
+  if (!jsonKey) {
+    fs.writeFileSync(fullPath, content)
+    if (filePath.startsWith('.husky/') || filePath.startsWith('scripts/')) {
+      fs.chmodSync(fullPath, 0o755)
+    }
+    return
+  }
+
+  const json = fs.existsSync(fullPath)
+    ? JSON.parse(fs.readFileSync(fullPath, 'utf8'))
+    : {}
+  json[jsonKey] = JSON.parse(content)
+  fs.writeFileSync(fullPath, serializeJsonValue(json))
+}
+
+/**
+ * Template lookup for GENERATORS, honoring a recorded --template directory
+ * or template source
+ * @param {string} projectPath - Path to project
+ * @param {Object} manifest - Manifest from loadGeneratedManifest
+ * @returns {Promise<(relativePath: string) => string>}
+ */
+async function createTemplateLookup(projectPath, manifest) {
+  // Remote sources: the pinned version from the template cache
+  const templateDir = manifest.templateSource
+    ? resolveTemplateSource(manifest.templateSource.spec, {
+        projectPath,
+        pinned: manifest.templateSource,
+      }).path
+    : manifest.templateDir
+      ? path.resolve(projectPath, manifest.templateDir)
+      : null
+  const loader = new TemplateLoader({
+    verbose: false,
+    context: templateDir ? buildTemplateContext(projectPath) : null,
+  })
+  const templates = templateDir
+    ? await loader.mergeTemplates(templateDir, PACKAGE_ROOT)
+    : {}
+
+  return relativePath => {
+    const nativePath = relativePath.split('/').join(path.sep)
+    const custom = loader.getTemplate(templates, nativePath)
+    if (custom) {
+      return custom
+    }
+    // CI templates are recorded relative to templates/ (ci/gitlab-ci.yml)
+    const packaged = path.join(PACKAGE_ROOT, nativePath)
+    return fs.readFileSync(
+      fs.existsSync(packaged)
+        ? packaged
+        : path.join(PACKAGE_ROOT, 'templates', nativePath),
+      'utf8'
+    )
+  }
+}
+
+/**
+ * Compare every tracked file with its recorded and its current template
+ * content
+ *
+ * - missing: the file (or JSON key) no longer exists
+ * - modified: edited locally since it was generated
+ * - outdated: the templates now generate different content
+ * - modified+outdated: both; updating needs a three-way merge
+ * @param {string} projectPath - Path to project
+ * @param {Object} manifest - Manifest from loadGeneratedManifest
+ * @returns {Promise<Array<{file: string, status: string, entry: Object, current: string|null, template: string|null, error?: string}>>}
+ */
+async function inspectGeneratedFiles(projectPath, manifest) {
+  const getTemplate = await createTemplateLookup(projectPath, manifest)
+  const packageManager = getPackageManagerInfo(projectPath)
+
+  return Object.entries(manifest.files).map(([file, entry]) => {
+    const current = readTrackedContent(projectPath, file)
+    let template = null
+    let error
+    try {
+      const render = GENERATORS[entry.generator]
+      if (!render) {
+        throw new Error(`Unknown generator: ${entry.generator}`)
+      }
+      template = render(entry.params || {}, {
+        getTemplate,
+        packageManager,
+        projectPath,
+      })
+    } catch (renderError) {
+      error = renderError.message
+    }
+
+    const modified = current !== null && hashContent(current) !== entry.hash
+    const outdated = template !== null && hashContent(template) !== entry.hash
+    const status =
+      current === null
+        ? 'missing'
+        : modified && outdated
+          ? 'modified+outdated'
+          : modified
+            ? 'modified'
+            : outdated
+              ? 'outdated'
+              : 'ok'
+
+    return { file, status, entry, current, template, ...(error && { error }) }
+  })
+}
+
+module.exports = {
+  GENERATED_MANIFEST_FILE,
+  GENERATORS,
+  hashContent,
+  serializeJsonValue,
+  loadGeneratedManifest,
+  saveGeneratedManifest,
+  recordGeneratedFile,
+  updateGeneratedFile,
+  readTrackedContent,
+  writeTrackedContent,
+  inspectGeneratedFiles,
+}
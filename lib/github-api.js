@@ -74,7 +74,10 @@ function getGitHubToken() {
 
   // Try to get from gh CLI (hardcoded command - no injection risk)
   try {
-    const token = execSync('gh auth token', { encoding: 'utf8' }).trim()
+    const token = execSync('gh auth token', {
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
+    }).trim()
     if (token) return token
   } catch (error) {
     // Silent failure fix: Log unexpected errors for debugging
@@ -101,6 +104,7 @@ function getRepoInfo(projectPath = '.') {
     const remoteUrl = execSync('git remote get-url origin', {
       cwd: projectPath,
       encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'pipe'],
     }).trim()
 
     // Parse GitHub URL (https or ssh format)
@@ -278,6 +282,54 @@ async function enableDependabotSecurityUpdates(owner, repo, token) {
   }
 }
 
+/**
+ * List completed workflow runs created since a date, newest first
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} token - GitHub token
+ * @param {Object} [options]
+ * @param {string} [options.since] - ISO date (YYYY-MM-DD) of the oldest run
+ * @param {number} [options.maxPages=10] - Pages of 100 runs to fetch at most
+ * @returns {Promise<{runs: Object[], totalCount: number}>} workflow_runs entries of the API, and how many runs match (more than fetched when maxPages cut the list short)
+ */
+async function listWorkflowRuns(owner, repo, token, options = {}) {
+  const { since, maxPages = 10 } = options
+  const runs = []
+  let totalCount = 0
+  const created = since ? `&created=${encodeURIComponent(`>=${since}`)}` : ''
+
+  for (let page = 1; page <= maxPages; page++) {
+    const { data } = await githubRequest(
+      'GET',
+      `/repos/${owner}/${repo}/actions/runs?status=completed&per_page=100&page=${page}${created}`,
+      token
+    )
+    const pageRuns = (data && data.workflow_runs) || []
+    runs.push(...pageRuns)
+    totalCount = Math.max(totalCount, (data && data.total_count) || 0)
+    if (pageRuns.length < 100) break
+  }
+
+  return { runs, totalCount: Math.max(totalCount, runs.length) }
+}
+
+/**
+ * List the jobs of a workflow run (latest attempt)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} runId - Workflow run id
+ * @param {string} token - GitHub token
+ * @returns {Promise<Object[]>} jobs entries of the API
+ */
+async function listRunJobs(owner, repo, runId, token) {
+  const { data } = await githubRequest(
+    'GET',
+    `/repos/${owner}/${repo}/actions/runs/${runId}/jobs?per_page=100`,
+    token
+  )
+  return (data && data.jobs) || []
+}
+
 /**
  * Full setup: Enable all Dependabot features
  */
@@ -370,5 +422,7 @@ module.exports = {
   checkDependabotStatus,
   enableDependabotAlerts,
   enableDependabotSecurityUpdates,
+  listWorkflowRuns,
+  listRunJobs,
   setupDependabot,
 }
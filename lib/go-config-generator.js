@@ -0,0 +1,231 @@
+/**
+ * Go Configuration Generator
+ * Go module detection plus the CI jobs (go vet, golangci-lint, go test,
+ * govulncheck) used when setup runs in a Go module or go.work workspace.
+ *
+ * The golangci-lint config lives in config/.golangci.yml and is copied by
+ * setup.js like the other language templates.
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { findGoModules } = require('./dependency-monitoring-premium')
+const {
+  injectGitHubJob,
+  injectGitLabJob,
+  injectCircleCiJob,
+} = require('./ci-job-injection')
+
+const GO_JOB_MARKER = '# GO_QUALITY_JOB'
+const GOLANGCI_LINT_VERSION = 'v1.61.0'
+
+/**
+ * Detect a Go project (go.mod and/or go.work at the project root)
+ * @param {string} projectPath - Path to project
+ * @returns {{isWorkspace: boolean, modules: string[], versionFile: string}|null} Go project info, or null when neither file exists
+ */
+function detectGoProject(projectPath) {
+  const hasGoMod = fs.existsSync(path.join(projectPath, 'go.mod'))
+  const hasGoWork = fs.existsSync(path.join(projectPath, 'go.work'))
+  if (!hasGoMod && !hasGoWork) {
+    return null
+  }
+
+  return {
+    isWorkspace: hasGoWork,
+    modules: findGoModules(projectPath),
+    versionFile: hasGoWork ? 'go.work' : 'go.mod',
+  }
+}
+
+/**
+ * Shell commands for each Go check
+ *
+ * `./...` only covers the module in the current directory, so workspaces
+ * run every check once per module listed by `go list -m`.
+ * @param {{isWorkspace: boolean}} goProject - Result of detectGoProject
+ * @returns {{vet: string, lint: string, test: string, vulncheck: string}} Commands
+ */
+function getGoCommands(goProject) {
+  const lintCommand = `go run github.com/golangci/golangci-lint/cmd/golangci-lint@${GOLANGCI_LINT_VERSION} run ./...`
+  const vulncheckCommand =
+    'go run golang.org/x/vuln/cmd/govulncheck@latest ./...'
+  const commands = {
+    vet: 'go vet ./...',
+    lint: lintCommand,
+    test: 'go test -race ./...',
+    vulncheck: vulncheckCommand,
+  }
+
+  if (!goProject.isWorkspace) {
+    return commands
+  }
+
+  const perModule = command =>
+    `for dir in $(go list -m -f '{{.Dir}}'); do (cd "$dir" && ${command}) || exit 1; done`
+
+  return {
+    vet: perModule(commands.vet),
+    lint: perModule(commands.lint),
+    test: perModule(commands.test),
+    vulncheck: perModule(commands.vulncheck),
+  }
+}
+
+/**
+ * Generate the Go job for GitHub Actions quality.yml
+ * @param {{isWorkspace: boolean, versionFile: string}} goProject - Result of detectGoProject
+ * @returns {string} YAML job definition (indented under `jobs:`)
+ */
+function generateGoWorkflowJob(goProject) {
+  const commands = getGoCommands(goProject)
+
+  return `  ${GO_JOB_MARKER}: go vet, golangci-lint, tests and govulncheck
+  go:
+    runs-on: ubuntu-latest
+
+    steps:
+      - name: Checkout code
+        uses: actions/checkout@v5
+
+      - name: Set up Go
+        uses: actions/setup-go@v5
+        with:
+          go-version-file: ${goProject.versionFile}
+          cache: true
+
+      - name: Vet (go vet)
+        run: |
+          ${commands.vet}
+
+      - name: Lint (golangci-lint)
+        run: |
+          ${commands.lint}
+
+      - name: Run tests
+        run: |
+          ${commands.test}
+
+      - name: Vulnerability scan (govulncheck)
+        run: |
+          ${commands.vulncheck}
+
+`
+}
+
+/**
+ * Generate the Go job for .gitlab-ci.yml
+ * @param {{isWorkspace: boolean}} goProject - Result of detectGoProject
+ * @returns {string} YAML job definition (top level)
+ */
+function generateGoGitLabJob(goProject) {
+  const commands = getGoCommands(goProject)
+
+  return `${GO_JOB_MARKER}: go vet, golangci-lint, tests and govulncheck
+go:
+  stage: test
+  image: golang:1.23
+  needs: []
+  variables:
+    GOPATH: \${CI_PROJECT_DIR}/.go
+  cache:
+    key: go-\${CI_COMMIT_REF_SLUG}
+    paths:
+      - .go/pkg/mod/
+  script:
+    - |
+      ${commands.vet}
+    - |
+      ${commands.lint}
+    - |
+      ${commands.test}
+    - |
+      ${commands.vulncheck}
+`
+}
+
+/**
+ * Generate the Go job for .circleci/config.yml
+ * @param {{isWorkspace: boolean}} goProject - Result of detectGoProject
+ * @returns {string} YAML job definition (indented under `jobs:`)
+ */
+function generateGoCircleCiJob(goProject) {
+  const commands = getGoCommands(goProject)
+  const step = (name, command) => `      - run:
+          name: ${name}
+          command: |
+            ${command}
+`
+
+  return `  ${GO_JOB_MARKER}: go vet, golangci-lint, tests and govulncheck
+  go-quality:
+    docker:
+      - image: cimg/go:1.23
+    steps:
+      - checkout
+${step('Go Vet', commands.vet)}${step('golangci-lint', commands.lint)}${step('Go Tests', commands.test)}${step('govulncheck', commands.vulncheck)}
+`
+}
+
+/**
+ * Add the Go job to a generated CI config
+ * @param {string} content - CI config content
+ * @param {string} ciProvider - CI provider the config belongs to (github, gitlab, circleci)
+ * @param {Object|null} goProject - Result of detectGoProject
+ * @returns {string} Updated content (unchanged if already present)
+ */
+function injectGoJob(content, ciProvider, goProject) {
+  if (!goProject) {
+    return content
+  }
+
+  if (ciProvider === 'gitlab') {
+    return injectGitLabJob(
+      content,
+      GO_JOB_MARKER,
+      generateGoGitLabJob(goProject)
+    )
+  }
+  if (ciProvider === 'circleci') {
+    return injectCircleCiJob(
+      content,
+      GO_JOB_MARKER,
+      'go-quality',
+      generateGoCircleCiJob(goProject)
+    )
+  }
+  return injectGitHubJob(
+    content,
+    GO_JOB_MARKER,
+    generateGoWorkflowJob(goProject)
+  )
+}
+
+/**
+ * Go helper scripts for package.json (mixed JS + Go repositories)
+ * @param {{isWorkspace: boolean}} goProject - Result of detectGoProject
+ * @returns {Object} npm scripts
+ */
+function getGoScripts(goProject) {
+  const commands = getGoCommands(goProject)
+
+  return {
+    'go:vet': commands.vet,
+    'go:lint': commands.lint,
+    'go:test': commands.test,
+    'go:vulncheck': commands.vulncheck,
+  }
+}
+
+module.exports = {
+  GO_JOB_MARKER,
+  detectGoProject,
+  getGoCommands,
+  generateGoWorkflowJob,
+  generateGoGitLabJob,
+  generateGoCircleCiJob,
+  injectGoJob,
+  getGoScripts,
+}
@@ -0,0 +1,158 @@
+'use strict'
+
+/**
+ * Husky hooks written by setup
+ *
+ * The pre-commit hook runs lint-staged on staged files; the pre-push hook
+ * enforces the Free tier pre-push cap and runs the checks that are too slow
+ * for pre-commit (type check, command tests, tests on changed files).
+ * Pro projects replace the pre-push hook with the smart test strategy
+ * (see smart-strategy-generator.js).
+ *
+ * The hooks are written for npm; getPreCommitHook/getPrePushHook render them
+ * for the project's package manager.
+ */
+
+const { renderPackageManagerCommand } = require('./package-utils')
+
+const PRE_COMMIT_HOOK =
+  '#!/bin/sh\n. "$(dirname "$0")/_/husky.sh"\n\n# Run lint-staged on staged files\nnpx --no -- lint-staged\n'
+
+const PRE_PUSH_HOOK = `#!/bin/sh
+. "$(dirname "$0")/_/husky.sh"
+
+echo "🔍 Running pre-push validation..."
+
+# Enforce Free tier pre-push cap (50/month)
+node - <<'EOF'
+const fs = require('fs')
+const path = require('path')
+const os = require('os')
+
+const licenseDir =
+  process.env.QAA_LICENSE_DIR || path.join(os.homedir(), '.create-qa-architect')
+const licenseFile = path.join(licenseDir, 'license.json')
+const usageFile = path.join(licenseDir, 'usage.json')
+const now = new Date()
+const currentMonth = now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0')
+
+let usage = {
+  month: currentMonth,
+  prePushRuns: 0,
+  dependencyPRs: 0,
+  repos: [],
+}
+
+let tier = 'FREE'
+try {
+  const data = JSON.parse(fs.readFileSync(licenseFile, 'utf8'))
+  tier = (data && data.tier) || 'FREE'
+} catch (error) {
+  tier = 'FREE'
+}
+
+if (tier !== 'FREE') {
+  process.exit(0)
+}
+
+try {
+  const data = JSON.parse(fs.readFileSync(usageFile, 'utf8'))
+  if (data.month === currentMonth) {
+    usage = { ...usage, ...data }
+  }
+} catch (error) {
+  // First run or corrupt file – start fresh
+}
+
+const CAP = 50
+if (usage.prePushRuns >= CAP) {
+console.error('❌ Free tier limit reached: ' + usage.prePushRuns + '/' + CAP + ' pre-push runs this month')
+  console.error('   Upgrade to Pro, Team, or Enterprise: https://vibebuildlab.com/qa-architect')
+  process.exit(1)
+}
+
+usage.prePushRuns += 1
+fs.mkdirSync(licenseDir, { recursive: true })
+fs.writeFileSync(usageFile, JSON.stringify(usage, null, 2))
+console.log('🧮 Usage: ' + usage.prePushRuns + '/' + CAP + ' pre-push runs used this month')
+EOF
+
+# Best Practice: Pre-push runs checks NOT done in pre-commit
+# Pre-commit handles: lint, format (on staged files)
+# Pre-push handles: type check, tests on changed files
+
+# Validate command patterns (fast - catches deprecated patterns)
+if node -e "const pkg=require('./package.json');process.exit(pkg.scripts['test:patterns']?0:1)" 2>/dev/null; then
+  echo "🔍 Validating command patterns..."
+  npm run test:patterns || {
+    echo "❌ Pattern validation failed! Deprecated patterns detected."
+    exit 1
+  }
+fi
+
+# Type check (if TypeScript - not done in pre-commit because it's slow)
+if [ -f tsconfig.json ]; then
+  echo "📐 Type checking..."
+  npx --no -- tsc --noEmit || {
+    echo "❌ Type check failed! Fix type errors before pushing."
+    exit 1
+  }
+fi
+
+# Test command execution (CRITICAL - prevents command generation bugs)
+if node -e "const pkg=require('./package.json');process.exit(pkg.scripts['test:commands']?0:1)" 2>/dev/null; then
+  echo "🧪 Testing command execution..."
+  npm run test:commands || {
+    echo "❌ Command execution tests failed! Generated commands are broken."
+    exit 1
+  }
+fi
+
+# Retry failing tests and record per-test history; tests quarantined in
+# .qualityrc.json (flakyTests.quarantine) don't block the push
+FLAKY=""
+if [ -f scripts/flaky-tests.js ]; then
+  FLAKY="node scripts/flaky-tests.js run --"
+fi
+
+# Run tests on changed files only (delta testing - much faster)
+# Falls back to full test suite if test:changed doesn't exist
+if node -e "const pkg=require('./package.json');process.exit(pkg.scripts['test:changed']?0:1)" 2>/dev/null; then
+  echo "🧪 Running tests on changed files..."
+  $FLAKY npm run test:changed || {
+    echo "❌ Tests failed! Fix failing tests before pushing."
+    exit 1
+  }
+elif node -e "const pkg=require('./package.json');process.exit(pkg.scripts.test?0:1)" 2>/dev/null; then
+  echo "🧪 Running unit tests..."
+  $FLAKY npm test || {
+    echo "❌ Tests failed! Fix failing tests before pushing."
+    exit 1
+  }
+fi
+
+echo "✅ Pre-push validation passed!"
+`
+
+/**
+ * @param {Parameters<typeof renderPackageManagerCommand>[1]} [packageManager] - Package manager (default npm)
+ * @returns {string} Pre-commit hook
+ */
+function getPreCommitHook(packageManager) {
+  return renderPackageManagerCommand(PRE_COMMIT_HOOK, packageManager)
+}
+
+/**
+ * @param {Parameters<typeof renderPackageManagerCommand>[1]} [packageManager] - Package manager (default npm)
+ * @returns {string} Pre-push hook
+ */
+function getPrePushHook(packageManager) {
+  return renderPackageManagerCommand(PRE_PUSH_HOOK, packageManager)
+}
+
+module.exports = {
+  PRE_COMMIT_HOOK,
+  PRE_PUSH_HOOK,
+  getPreCommitHook,
+  getPrePushHook,
+}
@@ -66,7 +66,7 @@ function generateQuestions() {
 /**
  * Parse user answers into CLI flags
  * @param {Object} answers - User's answers to questions
- * @returns {Array<string>} Array of CLI flags
+ * @returns {Array<string>} Array of CLI arguments (command and flags)
  */
 function parseAnswers(answers) {
   const flags = []
@@ -76,11 +76,14 @@ function parseAnswers(answers) {
     flags.push('--update')
   } else if (answers.operationMode === 'validate') {
     flags.push('--comprehensive')
+  } else {
+    // Explicit command so that --deps configures dependency monitoring
+    // after setup instead of selecting the standalone deps command
+    flags.push('setup')
   }
-  // 'setup' mode is default (no flag needed)
 
-  // Dependency monitoring
-  if (answers.dependencyMonitoring) {
+  // Dependency monitoring (not applicable to validation-only runs)
+  if (answers.dependencyMonitoring && answers.operationMode !== 'validate') {
     flags.push('--deps')
   }
 
@@ -0,0 +1,306 @@
+/**
+ * Java/Kotlin Configuration Generator
+ * Maven and Gradle detection plus the CI jobs (Checkstyle, SpotBugs,
+ * Spotless and tests) used when setup runs in a JVM project.
+ *
+ * The Checkstyle rules, SpotBugs filter and Gradle init script live in
+ * config/ and are copied by setup.js like the other language templates.
+ * Gradle builds pick the tools up through the init script, so build files
+ * are never edited; Maven runs the plugins by coordinates from the CLI.
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const {
+  injectGitHubJob,
+  injectGitLabJob,
+  injectCircleCiJob,
+} = require('./ci-job-injection')
+
+const JVM_JOB_MARKER = '# JVM_QUALITY_JOB'
+const JAVA_VERSION = '21'
+const CHECKSTYLE_MAVEN_PLUGIN =
+  'org.apache.maven.plugins:maven-checkstyle-plugin:3.5.0'
+const SPOTBUGS_MAVEN_PLUGIN =
+  'com.github.spotbugs:spotbugs-maven-plugin:4.8.6.4'
+
+/**
+ * Paths (relative to the project root) of the scaffolded tool configs
+ */
+const JVM_CONFIG_FILES = {
+  checkstyle: 'config/checkstyle/checkstyle.xml',
+  spotbugsExclude: 'config/spotbugs/exclude.xml',
+  gradleInitScript: 'gradle/quality.init.gradle',
+}
+
+const GRADLE_BUILD_FILES = [
+  'build.gradle',
+  'build.gradle.kts',
+  'settings.gradle',
+  'settings.gradle.kts',
+]
+
+/**
+ * Read a file from the project root, or '' if it does not exist
+ * @param {string} projectPath - Path to project
+ * @param {string} file - Relative file path
+ * @returns {string} File content
+ */
+function readProjectFile(projectPath, file) {
+  const filePath = path.join(projectPath, file)
+  return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : ''
+}
+
+/**
+ * Detect a Maven or Gradle project at the project root
+ *
+ * Gradle wins when both build files exist, since a leftover pom.xml is far
+ * more common than a leftover Gradle build.
+ * @param {string} projectPath - Path to project
+ * @returns {{buildTool: 'maven'|'gradle', isKotlin: boolean, hasWrapper: boolean, hasSpotless: boolean}|null} JVM project info, or null when no build file exists
+ */
+function detectJvmProject(projectPath) {
+  const gradleFiles = GRADLE_BUILD_FILES.filter(file =>
+    fs.existsSync(path.join(projectPath, file))
+  )
+  const hasPom = fs.existsSync(path.join(projectPath, 'pom.xml'))
+  if (gradleFiles.length === 0 && !hasPom) {
+    return null
+  }
+
+  const buildTool = gradleFiles.length > 0 ? 'gradle' : 'maven'
+  const buildContent =
+    buildTool === 'gradle'
+      ? gradleFiles.map(file => readProjectFile(projectPath, file)).join('\n')
+      : readProjectFile(projectPath, 'pom.xml')
+  const wrapper = buildTool === 'gradle' ? 'gradlew' : 'mvnw'
+
+  return {
+    buildTool,
+    isKotlin:
+      fs.existsSync(path.join(projectPath, 'src', 'main', 'kotlin')) ||
+      /org\.jetbrains\.kotlin|kotlin\(/.test(buildContent),
+    hasWrapper: fs.existsSync(path.join(projectPath, wrapper)),
+    hasSpotless: buildContent.includes('spotless'),
+  }
+}
+
+/**
+ * Ordered CI steps for the JVM job
+ *
+ * Gradle's `check` task already depends on test, checkstyle, spotbugs and
+ * spotlessCheck once the init script applies them. Maven only runs plugins
+ * declared in the pom, so Checkstyle and SpotBugs are invoked by coordinates;
+ * Spotless needs per-project formatter config and only runs when the pom
+ * already declares it.
+ * @param {{buildTool: string, hasWrapper: boolean, hasSpotless: boolean}} jvmProject - Result of detectJvmProject
+ * @returns {Array<{name: string, command: string}>} Steps
+ */
+function getJvmSteps(jvmProject) {
+  if (jvmProject.buildTool === 'gradle') {
+    const gradle = jvmProject.hasWrapper ? './gradlew' : 'gradle'
+    return [
+      {
+        name: 'Checkstyle, SpotBugs, Spotless and tests',
+        command: `${gradle} --init-script ${JVM_CONFIG_FILES.gradleInitScript} check`,
+      },
+    ]
+  }
+
+  const mvn = jvmProject.hasWrapper ? './mvnw -B' : 'mvn -B'
+  const steps = [
+    { name: 'Build and test', command: `${mvn} verify` },
+    {
+      name: 'Checkstyle',
+      command: `${mvn} ${CHECKSTYLE_MAVEN_PLUGIN}:check -Dcheckstyle.config.location=${JVM_CONFIG_FILES.checkstyle}`,
+    },
+    {
+      name: 'SpotBugs',
+      command: `${mvn} ${SPOTBUGS_MAVEN_PLUGIN}:check -Dspotbugs.excludeFilterFile=${JVM_CONFIG_FILES.spotbugsExclude}`,
+    },
+  ]
+  if (jvmProject.hasSpotless) {
+    steps.push({ name: 'Spotless', command: `${mvn} spotless:check` })
+  }
+  return steps
+}
+
+/**
+ * Generate the JVM job for GitHub Actions quality.yml
+ * @param {{buildTool: string, hasWrapper: boolean, hasSpotless: boolean}} jvmProject - Result of detectJvmProject
+ * @returns {string} YAML job definition (indented under `jobs:`)
+ */
+function generateJvmWorkflowJob(jvmProject) {
+  const isGradle = jvmProject.buildTool === 'gradle'
+  // setup-gradle caches Gradle itself; setup-java only needs to cache Maven
+  const setupBuildTool = isGradle
+    ? `
+      - name: Set up Gradle
+        uses: gradle/actions/setup-gradle@v4${
+          jvmProject.hasWrapper
+            ? ''
+            : `
+        with:
+          gradle-version: current`
+        }
+`
+    : ''
+  const steps = getJvmSteps(jvmProject)
+    .map(
+      step => `      - name: ${step.name}
+        run: ${step.command}
+`
+    )
+    .join('\n')
+
+  return `  ${JVM_JOB_MARKER}: Checkstyle, SpotBugs, Spotless and tests
+  jvm:
+    runs-on: ubuntu-latest
+
+    steps:
+      - name: Checkout code
+        uses: actions/checkout@v5
+
+      - name: Set up JDK
+        uses: actions/setup-java@v4
+        with:
+          distribution: temurin
+          java-version: '${JAVA_VERSION}'${isGradle ? '' : '\n          cache: maven'}
+${setupBuildTool}
+${steps}
+`
+}
+
+/**
+ * Generate the JVM job for .gitlab-ci.yml
+ * @param {{buildTool: string, hasWrapper: boolean, hasSpotless: boolean}} jvmProject - Result of detectJvmProject
+ * @returns {string} YAML job definition (top level)
+ */
+function generateJvmGitLabJob(jvmProject) {
+  const isGradle = jvmProject.buildTool === 'gradle'
+  const environment = isGradle
+    ? `  image: gradle:8-jdk${JAVA_VERSION}
+  variables:
+    GRADLE_USER_HOME: \${CI_PROJECT_DIR}/.gradle
+  cache:
+    key: gradle-\${CI_COMMIT_REF_SLUG}
+    paths:
+      - .gradle/caches/
+      - .gradle/wrapper/`
+    : `  image: maven:3.9-eclipse-temurin-${JAVA_VERSION}
+  variables:
+    MAVEN_OPTS: -Dmaven.repo.local=\${CI_PROJECT_DIR}/.m2/repository
+  cache:
+    key: maven-\${CI_COMMIT_REF_SLUG}
+    paths:
+      - .m2/repository/`
+  const script = getJvmSteps(jvmProject)
+    .map(step => `    - ${step.command}`)
+    .join('\n')
+
+  return `${JVM_JOB_MARKER}: Checkstyle, SpotBugs, Spotless and tests
+jvm:
+  stage: test
+${environment}
+  needs: []
+  script:
+${script}
+`
+}
+
+/**
+ * Generate the JVM job for .circleci/config.yml
+ * @param {{buildTool: string, hasWrapper: boolean, hasSpotless: boolean}} jvmProject - Result of detectJvmProject
+ * @returns {string} YAML job definition (indented under `jobs:`)
+ */
+function generateJvmCircleCiJob(jvmProject) {
+  const steps = getJvmSteps(jvmProject)
+    .map(
+      step => `      - run:
+          name: ${step.name}
+          command: ${step.command}
+`
+    )
+    .join('')
+
+  return `  ${JVM_JOB_MARKER}: Checkstyle, SpotBugs, Spotless and tests
+  jvm-quality:
+    docker:
+      - image: cimg/openjdk:${JAVA_VERSION}.0
+    steps:
+      - checkout
+${steps}
+`
+}
+
+/**
+ * Add the JVM job to a generated CI config
+ * @param {string} content - CI config content
+ * @param {string} ciProvider - CI provider the config belongs to (github, gitlab, circleci)
+ * @param {Object|null} jvmProject - Result of detectJvmProject
+ * @returns {string} Updated content (unchanged if already present)
+ */
+function injectJvmJob(content, ciProvider, jvmProject) {
+  if (!jvmProject) {
+    return content
+  }
+
+  if (ciProvider === 'gitlab') {
+    return injectGitLabJob(
+      content,
+      JVM_JOB_MARKER,
+      generateJvmGitLabJob(jvmProject)
+    )
+  }
+  if (ciProvider === 'circleci') {
+    return injectCircleCiJob(
+      content,
+      JVM_JOB_MARKER,
+      'jvm-quality',
+      generateJvmCircleCiJob(jvmProject)
+    )
+  }
+  return injectGitHubJob(
+    content,
+    JVM_JOB_MARKER,
+    generateJvmWorkflowJob(jvmProject)
+  )
+}
+
+/**
+ * Java helper scripts for package.json (mixed JS + JVM repositories)
+ * @param {{buildTool: string, hasWrapper: boolean, hasSpotless: boolean}} jvmProject - Result of detectJvmProject
+ * @returns {Object} npm scripts
+ */
+function getJvmScripts(jvmProject) {
+  const scripts = {
+    'java:check': getJvmSteps(jvmProject)
+      .map(step => step.command)
+      .join(' && '),
+  }
+
+  if (jvmProject.buildTool === 'gradle') {
+    const gradle = jvmProject.hasWrapper ? './gradlew' : 'gradle'
+    scripts['java:format'] =
+      `${gradle} --init-script ${JVM_CONFIG_FILES.gradleInitScript} spotlessApply`
+  } else if (jvmProject.hasSpotless) {
+    const mvn = jvmProject.hasWrapper ? './mvnw -B' : 'mvn -B'
+    scripts['java:format'] = `${mvn} spotless:apply`
+  }
+
+  return scripts
+}
+
+module.exports = {
+  JVM_JOB_MARKER,
+  JVM_CONFIG_FILES,
+  detectJvmProject,
+  getJvmSteps,
+  generateJvmWorkflowJob,
+  generateJvmGitLabJob,
+  generateJvmCircleCiJob,
+  injectJvmJob,
+  getJvmScripts,
+}
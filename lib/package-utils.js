@@ -117,7 +117,10 @@ function detectPackageManager(projectPath = process.cwd()) {
   if (fs.existsSync(path.join(projectPath, 'yarn.lock'))) {
     return 'yarn'
   }
-  if (fs.existsSync(path.join(projectPath, 'bun.lockb'))) {
+  if (
+    fs.existsSync(path.join(projectPath, 'bun.lockb')) ||
+    fs.existsSync(path.join(projectPath, 'bun.lock'))
+  ) {
     return 'bun'
   }
   if (fs.existsSync(path.join(projectPath, 'package-lock.json'))) {
@@ -188,6 +191,240 @@ function getAuditCommand(packageManager) {
   return commands[packageManager] || 'npm audit'
 }
 
+/**
+ * Detect the package manager together with the install flavour that changes
+ * the commands to use: Yarn 2+ ("Berry", configured through .yarnrc.yml)
+ * and its Plug'n'Play linker, which installs no node_modules
+ * @param {string} projectPath - Path to the project directory
+ * @returns {{name: string, yarnBerry: boolean, pnp: boolean, lockfile: string}}
+ */
+function getPackageManagerInfo(projectPath = process.cwd()) {
+  const fs = require('fs')
+  const path = require('path')
+
+  const name = detectPackageManager(projectPath)
+  const info = {
+    name,
+    yarnBerry: false,
+    pnp: false,
+    lockfile: PACKAGE_MANAGER_COMMANDS[name].lockfile,
+  }
+
+  if (name === 'bun' && fs.existsSync(path.join(projectPath, 'bun.lock'))) {
+    info.lockfile = 'bun.lock'
+  }
+
+  if (name === 'yarn') {
+    const yarnrcPath = path.join(projectPath, '.yarnrc.yml')
+    let declaredVersion = 0
+    try {
+      const pkg = JSON.parse(
+        fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8')
+      )
+      declaredVersion = parseInt(
+        String(pkg.packageManager || '').split('@')[1],
+        10
+      )
+    } catch {
+      // No package.json: rely on .yarnrc.yml
+    }
+    info.yarnBerry = fs.existsSync(yarnrcPath) || declaredVersion >= 2
+    if (info.yarnBerry) {
+      const yarnrc = fs.existsSync(yarnrcPath)
+        ? fs.readFileSync(yarnrcPath, 'utf8')
+        : ''
+      const linker = yarnrc.match(/^nodeLinker:\s*["']?([\w-]+)/m)
+      info.pnp = linker ? linker[1] === 'pnp' : true
+    }
+  }
+
+  return info
+}
+
+/**
+ * Commands per package manager used to render generated scripts, hooks and
+ * CI configs. `ciInstall` installs into a project-local cache directory
+ * (`cachePaths`) so CI providers can cache it; `setup` makes the package
+ * manager available on a stock Node.js image.
+ */
+const PACKAGE_MANAGER_COMMANDS = {
+  npm: {
+    run: 'npm run',
+    test: 'npm test',
+    exec: 'npx --no --',
+    dlx: 'npx',
+    audit: 'npm audit --audit-level high',
+    auditFix: 'npm audit fix',
+    lockfile: 'package-lock.json',
+    ciInstall:
+      'npm ci --cache .npm --prefer-offline || npm install --cache .npm',
+    cachePaths: ['.npm/'],
+    setup: null,
+  },
+  pnpm: {
+    run: 'pnpm run',
+    test: 'pnpm test',
+    exec: 'pnpm exec',
+    dlx: 'pnpm dlx',
+    audit: 'pnpm audit --audit-level high',
+    auditFix: 'pnpm audit --fix',
+    lockfile: 'pnpm-lock.yaml',
+    ciInstall: 'pnpm install --frozen-lockfile --store-dir .pnpm-store',
+    cachePaths: ['.pnpm-store/'],
+    setup: 'corepack enable',
+  },
+  yarn: {
+    run: 'yarn run',
+    test: 'yarn test',
+    exec: 'yarn',
+    // Yarn 1 has no dlx
+    dlx: 'npx',
+    audit: 'yarn audit --level high',
+    auditFix: 'yarn upgrade',
+    lockfile: 'yarn.lock',
+    ciInstall: 'yarn install --frozen-lockfile --cache-folder .yarn-cache',
+    cachePaths: ['.yarn-cache/'],
+    setup: null,
+  },
+  'yarn-berry': {
+    run: 'yarn run',
+    test: 'yarn test',
+    exec: 'yarn',
+    dlx: 'yarn dlx',
+    audit: 'yarn npm audit --all --recursive --severity high',
+    auditFix: 'yarn up',
+    lockfile: 'yarn.lock',
+    ciInstall: 'YARN_ENABLE_GLOBAL_CACHE=false yarn install --immutable',
+    cachePaths: ['.yarn/cache/'],
+    setup: 'corepack enable',
+  },
+  bun: {
+    // `bun test` is Bun's own test runner, not the package.json script
+    run: 'bun run',
+    test: 'bun run test',
+    exec: 'bunx',
+    dlx: 'bunx',
+    audit: 'bun audit --audit-level high',
+    auditFix: 'bun update',
+    lockfile: 'bun.lockb',
+    ciInstall: 'BUN_INSTALL_CACHE_DIR=.bun-cache bun install --frozen-lockfile',
+    cachePaths: ['.bun-cache/'],
+    setup: 'npm install -g bun',
+  },
+}
+
+/**
+ * Commands for a package manager
+ * @param {string|{name: string, yarnBerry?: boolean, pnp?: boolean, lockfile?: string}} [packageManager] - Name or getPackageManagerInfo result (default npm)
+ * @returns {typeof PACKAGE_MANAGER_COMMANDS.npm & {name: string, pnp: boolean, artifactPaths: string[]}}
+ */
+function getPackageManagerCommands(packageManager = 'npm') {
+  const info =
+    typeof packageManager === 'string'
+      ? { name: packageManager, yarnBerry: false, pnp: false }
+      : packageManager
+  const key = info.name === 'yarn' && info.yarnBerry ? 'yarn-berry' : info.name
+  const commands = PACKAGE_MANAGER_COMMANDS[key] || PACKAGE_MANAGER_COMMANDS.npm
+  const pnp = Boolean(info.pnp)
+
+  return {
+    ...commands,
+    name: PACKAGE_MANAGER_COMMANDS[key] ? info.name : 'npm',
+    pnp,
+    lockfile: info.lockfile || commands.lockfile,
+    // What a CI install job hands on to later jobs
+    artifactPaths: pnp
+      ? [
+          '.pnp.cjs',
+          '.pnp.loader.mjs',
+          '.yarn/unplugged/',
+          '.yarn/install-state.gz',
+        ]
+      : ['node_modules/'],
+  }
+}
+
+/**
+ * Rewrite an npm-flavoured command (`npm run x`, `npm test`, `npx ...`) for
+ * another package manager. `npx --no -- <bin>` runs an installed binary,
+ * plain `npx <package>` may download it.
+ * @param {string} command - Command (or script text) written for npm
+ * @param {Parameters<typeof getPackageManagerCommands>[0]} [packageManager] - Target package manager
+ * @returns {string}
+ */
+function renderPackageManagerCommand(command, packageManager) {
+  const pm = getPackageManagerCommands(packageManager)
+  if (pm.name === 'npm') {
+    return command
+  }
+
+  const runIfPresent = script => {
+    if (pm.name !== 'yarn') {
+      return `${pm.run} --if-present ${script}`
+    }
+    // Yarn has no --if-present
+    return `(node -e "process.exit(require('./package.json').scripts?.['${script}'] ? 1 : 0)" || yarn run ${script})`
+  }
+
+  return command
+    .replace(/\bnpm run ([\w:.-]+) --if-present/g, (_, script) =>
+      runIfPresent(script)
+    )
+    .replace(/\bnpm test --if-present/g, () => runIfPresent('test'))
+    .replace(/\bnpm run /g, `${pm.run} `)
+    .replace(/\bnpm test\b/g, pm.test)
+    .replace(/\bnpx --no -- /g, `${pm.exec} `)
+    .replace(/\bnpx /g, `${pm.dlx} `)
+}
+
+/**
+ * Render the npm-flavoured GitLab CI and CircleCI templates for a package
+ * manager: install command, cache key lockfile and cache paths, artifacts
+ * for Plug'n'Play installs and the package manager setup
+ * @param {string} content - Template content
+ * @param {Parameters<typeof getPackageManagerCommands>[0]} [packageManager] - Target package manager
+ * @returns {string}
+ */
+function renderCiTemplate(content, packageManager) {
+  const pm = getPackageManagerCommands(packageManager)
+  const npm = PACKAGE_MANAGER_COMMANDS.npm
+  if (pm.name === 'npm') {
+    return content
+  }
+
+  const setup = pm.setup
+  const isCircleCi = /^workflows:\s*$/m.test(content)
+  let rendered = content
+    .split(npm.ciInstall)
+    // CircleCI images run as a user without write access to the Node.js prefix
+    .join(
+      setup && isCircleCi ? `sudo ${setup} && ${pm.ciInstall}` : pm.ciInstall
+    )
+    .replace(/package-lock\.json/g, pm.lockfile)
+    .replace(/^(\s+- )\.npm\/$/gm, (_, prefix) =>
+      pm.cachePaths.map(cachePath => `${prefix}${cachePath}`).join('\n')
+    )
+    .replace(/^(\s+- )\.npm$/gm, (_, prefix) =>
+      pm.cachePaths
+        .map(cachePath => `${prefix}${cachePath.replace(/\/$/, '')}`)
+        .join('\n')
+    )
+    .replace(/^(\s+- )node_modules\/$/gm, (_, prefix) =>
+      pm.artifactPaths.map(artifact => `${prefix}${artifact}`).join('\n')
+    )
+
+  // GitLab runs every job in a fresh container (custom templates may
+  // already set the package manager up)
+  if (setup && /^default:\s*$/m.test(rendered) && !rendered.includes(setup)) {
+    rendered = rendered.replace(
+      /^default:\s*\n/m,
+      `default:\n  before_script:\n    - ${setup}\n`
+    )
+  }
+
+  return renderPackageManagerCommand(rendered, packageManager)
+}
+
 /**
  * Detect monorepo type and configuration
  * @param {string} projectPath - Path to the project directory
@@ -448,6 +685,10 @@ module.exports = {
   detectPackageManager,
   getInstallCommand,
   getAuditCommand,
+  getPackageManagerInfo,
+  getPackageManagerCommands,
+  renderPackageManagerCommand,
+  renderCiTemplate,
   detectMonorepoType,
   resolveWorkspacePackages,
 }
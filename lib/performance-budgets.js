@@ -0,0 +1,592 @@
+/**
+ * Performance Budgets
+ *
+ * The `budgets` section of .qualityrc.json is the single source for:
+ * - Lighthouse CI assertions (per-route category scores and metrics)
+ * - size-limit entries (per-entry bundle sizes)
+ * - build/test duration limits (measured by `budgets --measure`)
+ *
+ * `budgets` (legacy `--check-budgets`) reads the lhci and size-limit output
+ * plus recorded durations, checks them against the budgets and reports
+ * regressions against a stored baseline.
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { loadQualityConfig } = require('./quality-config')
+
+const BUDGETS_BASELINE_FILE = '.qa-architect/budgets-baseline.json'
+const TIMINGS_FILE = '.qa-architect/timings.json'
+const SIZE_REPORT_FILE = '.qa-architect/size-limit.json'
+const LHCI_RESULTS_DIR = '.lighthouseci'
+
+const LIGHTHOUSE_CATEGORIES = [
+  'performance',
+  'accessibility',
+  'best-practices',
+  'seo',
+]
+const DEFAULT_DURATION_COMMANDS = {
+  build: 'npm run build',
+  test: 'npm test',
+}
+const DEFAULT_TOLERANCE = 5
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1000,
+  mb: 1000 * 1000,
+  kib: 1024,
+  mib: 1024 * 1024,
+}
+
+/**
+ * Read the budgets section from .qualityrc.json
+ * @param {string} projectPath - Path to project
+ * @returns {Object|null} Normalized budgets, or null when none are configured
+ */
+function loadBudgets(projectPath) {
+  try {
+    const { config } = loadQualityConfig(projectPath)
+    return config.budgets ? normalizeBudgets(config.budgets) : null
+  } catch (error) {
+    if (process.env.DEBUG) {
+      console.warn(`⚠️  Could not read budgets: ${error.message}`)
+    }
+    return null
+  }
+}
+
+/**
+ * Fill in defaults for a raw budgets section
+ * @param {Object} rawBudgets - `budgets` from .qualityrc.json
+ * @returns {{lighthouse: {baseUrl: string|null, routes: Array}, bundles: Array, durations: Object, tolerance: number}} Normalized budgets
+ */
+function normalizeBudgets(rawBudgets) {
+  const lighthouse = rawBudgets.lighthouse || {}
+  const durations = {}
+
+  for (const [kind, budget] of Object.entries(rawBudgets.durations || {})) {
+    durations[kind] = {
+      maxSeconds: budget.maxSeconds,
+      command: budget.command || DEFAULT_DURATION_COMMANDS[kind] || null,
+    }
+  }
+
+  return {
+    lighthouse: {
+      baseUrl: lighthouse.baseUrl || null,
+      routes: (lighthouse.routes || []).map(route => ({
+        path: route.path,
+        scores: route.scores || {},
+        metrics: route.metrics || {},
+      })),
+    },
+    bundles: (rawBudgets.bundles || []).map(bundle => ({
+      name: bundle.name || bundle.path,
+      path: bundle.path,
+      limit: bundle.limit,
+    })),
+    durations,
+    tolerance:
+      typeof rawBudgets.tolerance === 'number'
+        ? rawBudgets.tolerance
+        : DEFAULT_TOLERANCE,
+  }
+}
+
+/**
+ * Convert a size-limit style size ("250 kB", "1.5 MB", "900 B") to bytes
+ * @param {string|number} limit - Size string or byte count
+ * @returns {number|null} Bytes, or null if the value cannot be parsed
+ */
+function parseSizeLimit(limit) {
+  if (typeof limit === 'number') {
+    return limit
+  }
+
+  const match = String(limit)
+    .trim()
+    .match(/^(\d+\.?\d*)\s*([a-z]*)$/i)
+  if (!match) {
+    return null
+  }
+
+  const unit = SIZE_UNITS[(match[2] || 'b').toLowerCase()]
+  return unit ? Math.round(parseFloat(match[1]) * unit) : null
+}
+
+/**
+ * Normalize a route or URL path for matching (no trailing slash)
+ * @param {string} routePath - Route path
+ * @returns {string} Normalized path ('' for the root)
+ */
+function normalizeRoutePath(routePath) {
+  return routePath.replace(/\/+$/, '')
+}
+
+/**
+ * Build the lhci `matchingUrlPattern` for a route
+ * @param {string} routePath - Route path (e.g. /pricing)
+ * @returns {string} Regular expression source matching any host
+ */
+function routeUrlPattern(routePath) {
+  const escaped = normalizeRoutePath(routePath).replace(
+    /[.*+?^${}()|[\]\\]/g,
+    '\\$&'
+  )
+  return `^https?://[^/]+${escaped}/?(?:[?#].*)?$`
+}
+
+/**
+ * Generate the lighthouserc.js `ci` section from Lighthouse budgets
+ * @param {Object} budgets - Normalized budgets
+ * @param {Object} options - Generation options
+ * @param {boolean} [options.hasThresholds] - Fail on budget misses (Pro) instead of warning
+ * @param {string} [options.collectUrl] - Base URL when budgets do not set one
+ * @param {string|null} [options.staticDistDir] - Static distribution directory
+ * @returns {Object} lhci `ci` configuration
+ */
+function generateLighthouseBudgetConfig(budgets, options = {}) {
+  const {
+    hasThresholds = false,
+    collectUrl = 'http://localhost:3000',
+    staticDistDir = null,
+  } = options
+  const level = hasThresholds ? 'error' : 'warn'
+  const baseUrl = budgets.lighthouse.baseUrl || collectUrl
+  const routes = budgets.lighthouse.routes
+
+  const collect = staticDistDir
+    ? { staticDistDir }
+    : {
+        url: routes.map(route => new URL(route.path, baseUrl).href),
+        startServerCommand: 'npm run start',
+        startServerReadyPattern: 'ready|listening|started',
+        startServerReadyTimeout: 30000,
+      }
+
+  const assertMatrix = routes.map(route => {
+    const assertions = {}
+    for (const [category, minScore] of Object.entries(route.scores)) {
+      assertions[`categories:${category}`] = [
+        level,
+        { minScore: minScore / 100 },
+      ]
+    }
+    for (const [metric, maxNumericValue] of Object.entries(route.metrics)) {
+      assertions[metric] = [level, { maxNumericValue }]
+    }
+    return { matchingUrlPattern: routeUrlPattern(route.path), assertions }
+  })
+
+  return {
+    collect: { ...collect, numberOfRuns: 3 },
+    upload: { target: 'temporary-public-storage' },
+    assert: { assertMatrix },
+  }
+}
+
+/**
+ * Generate size-limit entries from bundle budgets
+ * @param {Object} budgets - Normalized budgets
+ * @returns {Array<{name: string, path: string, limit: string}>} size-limit config
+ */
+function generateSizeLimitBudgetEntries(budgets) {
+  return budgets.bundles.map(bundle => ({
+    name: bundle.name,
+    path: bundle.path,
+    limit: bundle.limit,
+  }))
+}
+
+/**
+ * npm scripts that record measurements and check them against the budgets
+ * @param {Object} budgets - Normalized budgets
+ * @returns {Object} npm scripts
+ */
+function generateBudgetScripts(budgets) {
+  const command = 'npx create-qa-architect@latest budgets'
+  const scripts = {}
+
+  for (const kind of Object.keys(budgets.durations)) {
+    scripts[`budget:${kind}`] = `${command} --measure ${kind}`
+  }
+  if (budgets.bundles.length > 0) {
+    scripts['budget:size'] = `${command} --measure size`
+  }
+  scripts['budget:check'] = command
+
+  return scripts
+}
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} Median value
+ */
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const middle = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle]
+}
+
+/**
+ * Read a JSON file, or null if it does not exist
+ * @param {string} filePath - Path to JSON file
+ * @returns {any} Parsed JSON or null
+ */
+function readJsonIfExists(filePath) {
+  return fs.existsSync(filePath)
+    ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    : null
+}
+
+/**
+ * Measurements from the Lighthouse reports lhci collected (.lighthouseci/lhr-*.json)
+ *
+ * lhci runs every URL several times; the median of those runs is compared.
+ * @param {string} resultsDir - lhci results directory
+ * @param {Object} budgets - Normalized budgets
+ * @returns {Array<Object>|null} Measurements, or null when no reports exist
+ */
+function readLighthouseMeasurements(resultsDir, budgets) {
+  if (!fs.existsSync(resultsDir)) {
+    return null
+  }
+  const reports = fs
+    .readdirSync(resultsDir)
+    .filter(file => /^lhr-.*\.json$/.test(file))
+    .map(file =>
+      JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8'))
+    )
+  if (reports.length === 0) {
+    return null
+  }
+
+  const measurements = []
+  for (const route of budgets.lighthouse.routes) {
+    const routePath = normalizeRoutePath(route.path)
+    const runs = reports.filter(report => {
+      const url = report.requestedUrl || report.finalUrl
+      return url && normalizeRoutePath(new URL(url).pathname) === routePath
+    })
+    if (runs.length === 0) {
+      continue
+    }
+
+    const categories = new Set([
+      ...LIGHTHOUSE_CATEGORIES,
+      ...Object.keys(route.scores),
+    ])
+    for (const category of categories) {
+      const scores = runs
+        .map(run => run.categories?.[category]?.score)
+        .filter(score => typeof score === 'number')
+      if (scores.length === 0) continue
+      measurements.push({
+        id: `lighthouse:${route.path}:${category}`,
+        label: `Lighthouse ${route.path} ${category}`,
+        value: Math.round(median(scores) * 100),
+        budget: route.scores[category] ?? null,
+        unit: 'score',
+        higherIsBetter: true,
+      })
+    }
+
+    for (const [metric, budget] of Object.entries(route.metrics)) {
+      const values = runs
+        .map(run => run.audits?.[metric]?.numericValue)
+        .filter(value => typeof value === 'number')
+      if (values.length === 0) continue
+      measurements.push({
+        id: `lighthouse:${route.path}:${metric}`,
+        label: `Lighthouse ${route.path} ${metric}`,
+        value: median(values),
+        budget,
+        unit: metric === 'cumulative-layout-shift' ? '' : 'ms',
+        higherIsBetter: false,
+      })
+    }
+  }
+
+  return measurements
+}
+
+/**
+ * Measurements from `size-limit --json` output
+ * @param {string} reportPath - Saved size-limit JSON output
+ * @param {Object} budgets - Normalized budgets
+ * @returns {Array<Object>|null} Measurements, or null when no report exists
+ */
+function readSizeLimitMeasurements(reportPath, budgets) {
+  const report = readJsonIfExists(reportPath)
+  if (!Array.isArray(report)) {
+    return null
+  }
+
+  const limits = new Map(
+    budgets.bundles.map(bundle => [bundle.name, parseSizeLimit(bundle.limit)])
+  )
+  return report
+    .filter(entry => typeof entry.size === 'number')
+    .map(entry => ({
+      id: `size:${entry.name}`,
+      label: `Bundle ${entry.name}`,
+      value: entry.size,
+      budget: limits.get(entry.name) ?? null,
+      unit: 'bytes',
+      higherIsBetter: false,
+    }))
+}
+
+/**
+ * Measurements from durations recorded by `budgets --measure build|test`
+ * @param {string} timingsPath - Timings file
+ * @param {Object} budgets - Normalized budgets
+ * @returns {Array<Object>|null} Measurements, or null when nothing was recorded
+ */
+function readDurationMeasurements(timingsPath, budgets) {
+  const timings = readJsonIfExists(timingsPath)
+  if (!timings) {
+    return null
+  }
+
+  return Object.entries(timings)
+    .filter(([, timing]) => typeof timing.seconds === 'number')
+    .map(([kind, timing]) => ({
+      id: `duration:${kind}`,
+      label: `${kind} duration`,
+      value: timing.seconds,
+      budget: budgets.durations[kind]?.maxSeconds ?? null,
+      unit: 's',
+      higherIsBetter: false,
+    }))
+}
+
+/**
+ * Collect every available measurement for the configured budgets
+ * @param {string} projectPath - Path to project
+ * @param {Object} budgets - Normalized budgets
+ * @param {Object} [options] - Where to read results from
+ * @param {string} [options.lhciDir] - lhci results directory
+ * @param {string} [options.sizeReport] - size-limit JSON output
+ * @returns {{measurements: Array<Object>, missing: string[]}} Measurements and the sources without results
+ */
+function collectBudgetMeasurements(projectPath, budgets, options = {}) {
+  const sources = [
+    {
+      name: 'Lighthouse (run lhci autorun)',
+      enabled: budgets.lighthouse.routes.length > 0,
+      read: () =>
+        readLighthouseMeasurements(
+          path.resolve(projectPath, options.lhciDir || LHCI_RESULTS_DIR),
+          budgets
+        ),
+    },
+    {
+      name: 'Bundle sizes (run budgets --measure size)',
+      enabled: budgets.bundles.length > 0,
+      read: () =>
+        readSizeLimitMeasurements(
+          path.resolve(projectPath, options.sizeReport || SIZE_REPORT_FILE),
+          budgets
+        ),
+    },
+    {
+      name: 'Durations (run budgets --measure build|test)',
+      enabled: Object.keys(budgets.durations).length > 0,
+      read: () =>
+        readDurationMeasurements(path.join(projectPath, TIMINGS_FILE), budgets),
+    },
+  ]
+
+  const measurements = []
+  const missing = []
+  for (const source of sources.filter(candidate => candidate.enabled)) {
+    const results = source.read()
+    if (results) {
+      measurements.push(...results)
+    } else {
+      missing.push(source.name)
+    }
+  }
+
+  return { measurements, missing }
+}
+
+/**
+ * Check measurements against their budgets and the stored baseline
+ * @param {Array<Object>} measurements - Current measurements
+ * @param {Object|null} baseline - Stored baseline (`values` keyed by measurement id)
+ * @param {number} tolerance - Allowed regression versus baseline, in percent
+ * @returns {Array<Object>} Measurements with `overBudget`, `baseline`, `change` and `regressed`
+ */
+function evaluateBudgets(measurements, baseline, tolerance) {
+  const baselineValues = (baseline && baseline.values) || {}
+
+  return measurements.map(measurement => {
+    const { value, budget, higherIsBetter } = measurement
+    const overBudget =
+      budget !== null && (higherIsBetter ? value < budget : value > budget)
+
+    const previous = baselineValues[measurement.id]
+    let change = null
+    let regressed = false
+    if (typeof previous === 'number' && previous !== 0) {
+      change = ((value - previous) / previous) * 100
+      const worsening = higherIsBetter ? -change : change
+      regressed = worsening > tolerance
+    }
+
+    return {
+      ...measurement,
+      overBudget,
+      baseline: typeof previous === 'number' ? previous : null,
+      change,
+      regressed,
+    }
+  })
+}
+
+/**
+ * Write the current measurements as the new baseline
+ * @param {string} projectPath - Path to project
+ * @param {Array<Object>} measurements - Current measurements
+ * @returns {string} Baseline file path
+ */
+function writeBudgetsBaseline(projectPath, measurements) {
+  const baselinePath = path.join(projectPath, BUDGETS_BASELINE_FILE)
+  const values = {}
+  for (const measurement of measurements) {
+    values[measurement.id] = measurement.value
+  }
+
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true })
+  fs.writeFileSync(
+    baselinePath,
+    JSON.stringify({ updatedAt: new Date().toISOString(), values }, null, 2) +
+      '\n'
+  )
+  return baselinePath
+}
+
+/**
+ * Run a command and return its exit status
+ * @param {string} command - Shell command
+ * @param {string} projectPath - Working directory
+ * @param {Object} [spawnOptions] - Extra spawnSync options
+ * @returns {import('child_process').SpawnSyncReturns<string>} Result
+ */
+function runShellCommand(command, projectPath, spawnOptions = {}) {
+  return spawnSync(command, {
+    cwd: projectPath,
+    shell: true,
+    encoding: 'utf8',
+    ...spawnOptions,
+  })
+}
+
+/**
+ * Time a build/test command from the duration budgets and record the result
+ * @param {string} projectPath - Path to project
+ * @param {Object} budgets - Normalized budgets
+ * @param {string} kind - Duration budget to measure (build, test)
+ * @returns {{success: boolean, seconds?: number, error?: string}} Result
+ */
+function measureDuration(projectPath, budgets, kind) {
+  const budget = budgets.durations[kind]
+  if (!budget || !budget.command) {
+    return {
+      success: false,
+      error: `No "${kind}" duration budget with a command in .qualityrc.json`,
+    }
+  }
+
+  const startedAt = Date.now()
+  const result = runShellCommand(budget.command, projectPath, {
+    stdio: 'inherit',
+  })
+  const seconds = Math.round((Date.now() - startedAt) / 100) / 10
+  if (result.status !== 0) {
+    return {
+      success: false,
+      error: `"${budget.command}" failed with exit code ${result.status}`,
+    }
+  }
+
+  const timingsPath = path.join(projectPath, TIMINGS_FILE)
+  const timings = readJsonIfExists(timingsPath) || {}
+  timings[kind] = { seconds, measuredAt: new Date().toISOString() }
+  fs.mkdirSync(path.dirname(timingsPath), { recursive: true })
+  fs.writeFileSync(timingsPath, JSON.stringify(timings, null, 2) + '\n')
+
+  return { success: true, seconds }
+}
+
+/**
+ * Run size-limit and save its JSON output for budget checks
+ * @param {string} projectPath - Path to project
+ * @returns {{success: boolean, reportPath?: string, error?: string}} Result
+ */
+function measureBundleSizes(projectPath) {
+  // size-limit exits non-zero when a limit is exceeded but still prints the
+  // report, so the output is kept whenever it parses
+  const result = runShellCommand('npx size-limit --json', projectPath)
+  try {
+    const report = JSON.parse(result.stdout)
+    const reportPath = path.join(projectPath, SIZE_REPORT_FILE)
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + '\n')
+    return { success: true, reportPath }
+  } catch {
+    return {
+      success: false,
+      error: `size-limit did not produce JSON output${result.stderr ? `: ${result.stderr.trim()}` : ''}`,
+    }
+  }
+}
+
+/**
+ * Format a measurement value for display
+ * @param {number} value - Value
+ * @param {string} unit - Measurement unit
+ * @returns {string} Display value
+ */
+function formatBudgetValue(value, unit) {
+  if (unit === 'bytes') {
+    return value >= 1000 ? `${(value / 1000).toFixed(1)} kB` : `${value} B`
+  }
+  if (unit === 'score') {
+    return String(value)
+  }
+  const rounded = Number.isInteger(value) ? value : Number(value.toFixed(2))
+  return `${rounded}${unit}`
+}
+
+module.exports = {
+  BUDGETS_BASELINE_FILE,
+  TIMINGS_FILE,
+  SIZE_REPORT_FILE,
+  LHCI_RESULTS_DIR,
+  loadBudgets,
+  normalizeBudgets,
+  parseSizeLimit,
+  generateLighthouseBudgetConfig,
+  generateSizeLimitBudgetEntries,
+  generateBudgetScripts,
+  readLighthouseMeasurements,
+  readSizeLimitMeasurements,
+  readDurationMeasurements,
+  collectBudgetMeasurements,
+  evaluateBudgets,
+  writeBudgetsBaseline,
+  measureDuration,
+  measureBundleSizes,
+  formatBudgetValue,
+}
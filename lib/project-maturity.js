@@ -20,6 +20,26 @@ const {
   EXCLUDE_DIRECTORIES,
 } = require('../config/constants')
 
+/**
+ * Cargo build output, skipped in addition to the shared exclude list
+ */
+const RUST_EXCLUDE_DIRECTORIES = ['target']
+
+/**
+ * Matches #[test] and path-qualified test attributes like #[tokio::test]
+ */
+const RUST_TEST_ATTRIBUTE = /#\[[a-z_:]*test\]/
+
+/**
+ * Vendored modules and test fixtures, skipped in addition to the shared list
+ */
+const GO_EXCLUDE_DIRECTORIES = ['vendor', 'testdata']
+
+/**
+ * Go test file naming convention (the go tool only runs *_test.go files)
+ */
+const GO_TEST_SUFFIX = '_test.go'
+
 /**
  * Maturity level definitions with check recommendations
  */
@@ -157,6 +177,12 @@ class ProjectMaturityDetector {
       hasTests: this.hasTests(),
       hasDependencies: this.hasDependencies(),
       hasCssFiles: this.hasCssFiles(),
+      rustSourceFiles: this.countRustSourceFiles(),
+      rustTestFiles: this.countRustTestFiles(),
+      isRustProject: this.isRustProject(),
+      goSourceFiles: this.countGoSourceFiles(),
+      goTestFiles: this.countGoTestFiles(),
+      isGoProject: this.isGoProject(),
       hasShellScripts: this.hasShellScripts(),
       shellScriptCount: this.countShellScripts(),
       isShellProject: this.isShellProject(),
@@ -165,37 +191,136 @@ class ProjectMaturityDetector {
   }
 
   /**
-   * Count JavaScript/TypeScript source files (excluding tests)
+   * Count source files (excluding tests)
+   * JavaScript/TypeScript, Rust sources outside tests/ and benches/, and
+   * Go files other than _test.go
    * @returns {number} Number of source files
    */
   countSourceFiles() {
     const extensions = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs']
     const testPatterns = ['.test.', '.spec.', '__tests__', '__mocks__']
 
-    return this.countFilesRecursive(this.projectPath, {
-      extensions,
-      excludeDirs: EXCLUDE_DIRECTORIES.PROJECT_MATURITY,
-      excludePatterns: testPatterns,
-      maxDepth: 5,
-    })
+    return (
+      this.countFilesRecursive(this.projectPath, {
+        extensions,
+        excludeDirs: EXCLUDE_DIRECTORIES.PROJECT_MATURITY,
+        excludePatterns: testPatterns,
+        maxDepth: 5,
+      }) +
+      this.countRustSourceFiles() +
+      this.countGoSourceFiles()
+    )
   }
 
   /**
    * Count test files
+   * JavaScript/TypeScript test files, Rust files with #[test] functions
+   * and Go _test.go files
    * @returns {number} Number of test files
    */
   countTestFiles() {
     const extensions = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs']
     const testPatterns = ['.test.', '.spec.', '__tests__']
 
+    return (
+      this.countFilesRecursive(this.projectPath, {
+        extensions,
+        excludeDirs: EXCLUDE_DIRECTORIES.PROJECT_MATURITY,
+        includePatterns: testPatterns,
+        maxDepth: 5,
+      }) +
+      this.countRustTestFiles() +
+      this.countGoTestFiles()
+    )
+  }
+
+  /**
+   * Count Rust source files (excluding integration tests and benches)
+   * @returns {number} Number of .rs source files
+   */
+  countRustSourceFiles() {
     return this.countFilesRecursive(this.projectPath, {
-      extensions,
-      excludeDirs: EXCLUDE_DIRECTORIES.PROJECT_MATURITY,
-      includePatterns: testPatterns,
+      extensions: ['.rs'],
+      excludeDirs: [
+        ...EXCLUDE_DIRECTORIES.PROJECT_MATURITY,
+        ...RUST_EXCLUDE_DIRECTORIES,
+        'tests',
+        'benches',
+      ],
       maxDepth: 5,
     })
   }
 
+  /**
+   * Count Rust files containing test functions
+   *
+   * Covers both inline `#[cfg(test)] mod tests` modules in src/ and
+   * integration tests in tests/. Attribute macros such as #[tokio::test]
+   * count as well.
+   * @returns {number} Number of .rs files with #[test] functions
+   */
+  countRustTestFiles() {
+    return this.countFilesRecursive(this.projectPath, {
+      extensions: ['.rs'],
+      excludeDirs: [
+        ...EXCLUDE_DIRECTORIES.PROJECT_MATURITY,
+        ...RUST_EXCLUDE_DIRECTORIES,
+      ],
+      contentPattern: RUST_TEST_ATTRIBUTE,
+      maxDepth: 5,
+    })
+  }
+
+  /**
+   * Count Go source files (excluding _test.go, vendor/ and testdata/)
+   * @returns {number} Number of .go source files
+   */
+  countGoSourceFiles() {
+    return this.countFilesRecursive(this.projectPath, {
+      extensions: ['.go'],
+      excludeDirs: [
+        ...EXCLUDE_DIRECTORIES.PROJECT_MATURITY,
+        ...GO_EXCLUDE_DIRECTORIES,
+      ],
+      excludePatterns: [GO_TEST_SUFFIX],
+      maxDepth: 5,
+    })
+  }
+
+  /**
+   * Count Go test files (*_test.go)
+   * @returns {number} Number of _test.go files
+   */
+  countGoTestFiles() {
+    return this.countFilesRecursive(this.projectPath, {
+      extensions: ['.go'],
+      excludeDirs: [
+        ...EXCLUDE_DIRECTORIES.PROJECT_MATURITY,
+        ...GO_EXCLUDE_DIRECTORIES,
+      ],
+      includePatterns: [GO_TEST_SUFFIX],
+      maxDepth: 5,
+    })
+  }
+
+  /**
+   * Check if this is a Go project (go.mod or go.work at the project root)
+   * @returns {boolean} True if go.mod or go.work exists
+   */
+  isGoProject() {
+    return ['go.mod', 'go.work'].some(file =>
+      fs.existsSync(path.join(this.projectPath, file))
+    )
+  }
+
+  /**
+   * Check if this is a Rust project (Cargo.toml at the project root)
+   * @returns {boolean} True if Cargo.toml exists
+   */
+  isRustProject() {
+    return fs.existsSync(path.join(this.projectPath, 'Cargo.toml'))
+  }
+
   /**
    * Check if project has documentation
    * @returns {boolean} True if documentation exists
@@ -345,13 +470,14 @@ class ProjectMaturityDetector {
    * 1. Read directory entries (skip if depth > maxDepth)
    * 2. Skip excluded directories and symbolic links
    * 3. For subdirectories: recursively count (depth + 1)
-   * 4. For files: apply all filters (extension, include, exclude)
+   * 4. For files: apply all filters (extension, include, exclude, content)
    * 5. Return total count across all matching files
    *
    * Filter priority:
    * 1. Extension filter (if specified, must match)
    * 2. Include patterns (if specified, must match at least one)
    * 3. Exclude patterns (if any match, file is excluded)
+   * 4. Content pattern (if specified, file contents must match; read last)
    *
    * @param {string} dir - Directory to search (absolute path)
    * @param {Object} [options={}] - Search and filter options
@@ -359,6 +485,7 @@ class ProjectMaturityDetector {
    * @param {string[]} [options.excludeDirs=[]] - Directory names to skip (e.g., ['node_modules'])
    * @param {string[]} [options.includePatterns=[]] - Filename patterns to include (substring match)
    * @param {string[]} [options.excludePatterns=[]] - Filename patterns to exclude (substring match)
+   * @param {RegExp|null} [options.contentPattern=null] - Pattern the file contents must match
    * @param {number} [options.maxDepth=5] - Maximum recursion depth
    * @param {number} [options.currentDepth=0] - Current depth (for internal recursion)
    * @returns {number} Count of files matching all filters
@@ -383,6 +510,7 @@ class ProjectMaturityDetector {
       excludeDirs = [],
       includePatterns = [],
       excludePatterns = [],
+      contentPattern = null,
       maxDepth = SCAN_LIMITS.FILE_COUNT_MAX_DEPTH,
       currentDepth = 0,
     } = options
@@ -440,6 +568,14 @@ class ProjectMaturityDetector {
             }
           }
 
+          // Check file contents (only for files that passed every other filter)
+          if (
+            contentPattern &&
+            !this.fileContentMatches(fullPath, contentPattern)
+          ) {
+            continue
+          }
+
           count++
         }
       }
@@ -461,6 +597,23 @@ class ProjectMaturityDetector {
     return count
   }
 
+  /**
+   * Check whether a file's contents match a pattern
+   * @param {string} filePath - File to read
+   * @param {RegExp} pattern - Pattern to test
+   * @returns {boolean} True if the file could be read and matches
+   */
+  fileContentMatches(filePath, pattern) {
+    try {
+      return pattern.test(fs.readFileSync(filePath, 'utf8'))
+    } catch (error) {
+      if (this.verbose) {
+        console.warn(`⚠️  Could not read ${filePath}: ${error.message}`)
+      }
+      return false
+    }
+  }
+
   /**
    * Get maturity level details
    * @param {string} maturity - Maturity level
@@ -524,6 +677,16 @@ class ProjectMaturityDetector {
     console.log(`  • Dependencies: ${stats.hasDependencies ? 'Yes' : 'No'}`)
     console.log(`  • CSS files: ${stats.hasCssFiles ? 'Yes' : 'No'}`)
     console.log(`  • Shell scripts: ${stats.shellScriptCount}`)
+    if (stats.isRustProject) {
+      console.log(
+        `  • Rust: ${stats.rustSourceFiles} source file(s), ${stats.rustTestFiles} with #[test]`
+      )
+    }
+    if (stats.isGoProject) {
+      console.log(
+        `  • Go: ${stats.goSourceFiles} source file(s), ${stats.goTestFiles} _test.go file(s)`
+      )
+    }
     if (stats.isShellProject) {
       console.log(`  • Project type: Shell script project`)
     }
@@ -0,0 +1,210 @@
+'use strict'
+
+/**
+ * .qualityrc.json loading with `extends` presets
+ *
+ * A config can extend shared presets: local files (paths starting with `.`
+ * or `/`, relative to the file that extends them) or npm packages (the
+ * package's main file, or a JSON file inside it):
+ *
+ *   { "extends": ["@acme/qa-preset", "./qa/team.json"], "maturity": "auto" }
+ *
+ * Presets may extend other presets. Layers are deep-merged: objects merge
+ * key by key, while arrays and other values replace what an earlier layer
+ * set. Later entries of `extends` override earlier ones and the extending
+ * file overrides all of them, so the project's .qualityrc.json always wins.
+ *
+ * Setup copies this file to scripts/quality-config.js for the generated
+ * hook helpers, so it must only use Node built-ins.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const QUALITY_CONFIG_FILE = '.qualityrc.json'
+
+/**
+ * @param {unknown} value
+ * @returns {value is Object<string, any>}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Find the file a preset refers to
+ * @param {string} preset - `extends` entry
+ * @param {string} fromDir - Directory of the extending file
+ * @returns {string} Absolute path of the preset file
+ */
+function resolvePresetPath(preset, fromDir) {
+  if (preset.startsWith('.') || path.isAbsolute(preset)) {
+    const presetPath = path.resolve(fromDir, preset)
+    if (!fs.existsSync(presetPath)) {
+      throw new Error(`Preset "${preset}" not found at ${presetPath}`)
+    }
+    return presetPath
+  }
+
+  try {
+    return require.resolve(preset, { paths: [fromDir] })
+  } catch {
+    const segments = preset.split('/')
+    const packageName = segments
+      .slice(0, preset.startsWith('@') ? 2 : 1)
+      .join('/')
+    throw new Error(
+      `Preset "${preset}" not found. Install it (npm install --save-dev ${packageName}) or fix "extends".`
+    )
+  }
+}
+
+/**
+ * Read a config or preset file; JSON files are parsed, other presets are
+ * loaded as modules exporting the config object
+ * @param {string} filePath - Absolute path
+ * @returns {Object} Config object
+ */
+function readConfigFile(filePath) {
+  let config
+  try {
+    if (filePath.endsWith('.json')) {
+      config = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    } else {
+      // eslint-disable-next-line security/detect-non-literal-require -- Presets are configured by the project owner
+      config = require(filePath)
+    }
+  } catch (error) {
+    throw new Error(`Could not read ${filePath}: ${error.message}`)
+  }
+  if (!isPlainObject(config)) {
+    throw new Error(`${filePath} must contain a JSON object`)
+  }
+  return config
+}
+
+/**
+ * Merge one layer into the result, recording the source of every value it
+ * sets. Sources are keyed by dot path; objects are tracked per key, arrays
+ * and other values as a whole.
+ * @param {Object} target - Merged config so far (modified)
+ * @param {Object<string, string>} sources - Sources so far (modified)
+ * @param {Object} layer - Config layer to apply
+ * @param {string} source - Label of the layer
+ * @param {string} [prefix] - Dot path of target
+ */
+function mergeLayer(target, sources, layer, source, prefix = '') {
+  for (const [key, value] of Object.entries(layer)) {
+    const keyPath = prefix ? `${prefix}.${key}` : key
+    if (isPlainObject(value)) {
+      if (!isPlainObject(target[key])) {
+        clearSources(sources, keyPath)
+        target[key] = {}
+      }
+      if (
+        Object.keys(value).length === 0 &&
+        Object.keys(target[key]).length === 0
+      ) {
+        sources[keyPath] = source
+      }
+      mergeLayer(target[key], sources, value, source, keyPath)
+    } else {
+      clearSources(sources, keyPath)
+      target[key] = Array.isArray(value) ? structuredClone(value) : value
+      sources[keyPath] = source
+    }
+  }
+}
+
+/**
+ * Forget the sources of a value that is being replaced
+ * @param {Object<string, string>} sources - Sources (modified)
+ * @param {string} keyPath - Dot path being replaced
+ */
+function clearSources(sources, keyPath) {
+  for (const recorded of Object.keys(sources)) {
+    if (recorded === keyPath || recorded.startsWith(`${keyPath}.`)) {
+      delete sources[recorded]
+    }
+  }
+}
+
+/**
+ * Resolve a config file and the presets it extends
+ * @param {string} configPath - Config file to load
+ * @param {Object} [options]
+ * @param {string} [options.label] - Source label of the file (default: its path relative to projectPath)
+ * @param {string} [options.projectPath] - Directory labels are relative to (default: the config's directory)
+ * @returns {{config: Object, sources: Object<string, string>, layers: Array<{label: string, file: string}>}} Merged config (without `extends`), the layer each value came from, and the layers from lowest to highest precedence
+ */
+function resolveQualityConfigFile(configPath, options = {}) {
+  const projectPath = options.projectPath || path.dirname(configPath)
+  const config = {}
+  /** @type {Object<string, string>} */
+  const sources = {}
+  const layers = []
+
+  /**
+   * @param {string} filePath - Absolute path of the layer
+   * @param {string} label - Source label
+   * @param {string[]} chain - Files extending this one, for cycle detection
+   */
+  const apply = (filePath, label, chain) => {
+    if (chain.includes(filePath)) {
+      throw new Error(
+        `Circular "extends": ${[...chain, filePath].map(file => path.relative(projectPath, file)).join(' -> ')}`
+      )
+    }
+    const layer = readConfigFile(filePath)
+    const { extends: presets, ...own } = layer
+    const entries =
+      presets === undefined ? [] : Array.isArray(presets) ? presets : [presets]
+
+    for (const preset of entries) {
+      if (typeof preset !== 'string' || !preset) {
+        throw new Error(
+          `"extends" in ${label} must be a preset name or path, or a list of them`
+        )
+      }
+      const presetPath = resolvePresetPath(preset, path.dirname(filePath))
+      const local = preset.startsWith('.') || path.isAbsolute(preset)
+      apply(
+        presetPath,
+        local ? path.relative(projectPath, presetPath) : preset,
+        [...chain, filePath]
+      )
+    }
+
+    mergeLayer(config, sources, own, label)
+    layers.push({ label, file: filePath })
+  }
+
+  apply(
+    path.resolve(configPath),
+    options.label || path.relative(projectPath, path.resolve(configPath)),
+    []
+  )
+  return { config, sources, layers }
+}
+
+/**
+ * Load a project's .qualityrc.json with its presets resolved
+ * @param {string} projectPath - Project root
+ * @returns {ReturnType<typeof resolveQualityConfigFile>} Empty config when the project has none
+ */
+function loadQualityConfig(projectPath) {
+  const configPath = path.join(projectPath, QUALITY_CONFIG_FILE)
+  if (!fs.existsSync(configPath)) {
+    return { config: {}, sources: {}, layers: [] }
+  }
+  return resolveQualityConfigFile(configPath, {
+    projectPath,
+    label: QUALITY_CONFIG_FILE,
+  })
+}
+
+module.exports = {
+  QUALITY_CONFIG_FILE,
+  loadQualityConfig,
+  resolveQualityConfigFile,
+}
@@ -6,10 +6,21 @@
  * - axe-core accessibility testing
  * - Conventional commits (commitlint)
  * - Coverage thresholds
+ *
+ * Lighthouse and size-limit numbers come from the `budgets` section of
+ * .qualityrc.json when present (see lib/performance-budgets.js).
  */
 
 const fs = require('fs')
 const path = require('path')
+const {
+  generateLighthouseBudgetConfig,
+  generateSizeLimitBudgetEntries,
+} = require('./performance-budgets')
+const { renderPackageManagerCommand } = require('./package-utils')
+
+const LIGHTHOUSE_BUDGETS_HEADER =
+  '// Generated from the budgets section of .qualityrc.json by create-qa-architect.\n// Edit the budgets there and re-run setup instead of editing this file.'
 
 /**
  * Generate Lighthouse CI configuration
@@ -18,6 +29,7 @@ const path = require('path')
  * @param {boolean} [options.hasThresholds] - Whether to include score thresholds (Pro)
  * @param {string} [options.collectUrl] - URL to audit (defaults to http://localhost:3000)
  * @param {string} [options.staticDistDir] - Static distribution directory (optional)
+ * @param {Object|null} [options.budgets] - Normalized budgets from .qualityrc.json (optional)
  * @returns {string} lighthouserc.js content
  */
 function generateLighthouseConfig(options = {}) {
@@ -25,8 +37,20 @@ function generateLighthouseConfig(options = {}) {
     hasThresholds = false,
     collectUrl = 'http://localhost:3000',
     staticDistDir = null,
+    budgets = null,
   } = options
 
+  if (budgets && budgets.lighthouse.routes.length > 0) {
+    const ci = generateLighthouseBudgetConfig(budgets, {
+      hasThresholds,
+      collectUrl,
+      staticDistDir,
+    })
+    return `${LIGHTHOUSE_BUDGETS_HEADER}
+module.exports = ${JSON.stringify({ ci }, null, 2)}
+`
+  }
+
   const collectConfig = staticDistDir
     ? `staticDistDir: '${staticDistDir}',`
     : `url: ['${collectUrl}'],
@@ -83,10 +107,15 @@ function generateLighthouseConfig(options = {}) {
  * Generate size-limit configuration for bundle size limits
  * @param {Object} options - Configuration options
  * @param {string} [options.projectPath] - Path to project (optional, defaults to process.cwd())
+ * @param {Object|null} [options.budgets] - Normalized budgets from .qualityrc.json (optional)
  * @returns {Array} size-limit config array
  */
 function generateSizeLimitConfig(options = {}) {
-  const { projectPath = process.cwd() } = options
+  const { projectPath = process.cwd(), budgets = null } = options
+
+  if (budgets && budgets.bundles.length > 0) {
+    return generateSizeLimitBudgetEntries(budgets)
+  }
 
   // Detect build output paths
   const possibleDists = ['dist', 'build', '.next', 'out', 'public']
@@ -165,12 +194,16 @@ function generateCommitlintConfig() {
 
 /**
  * Generate commit-msg hook content for commitlint
+ * @param {Parameters<typeof renderPackageManagerCommand>[1]} [packageManager] - Package manager (default npm)
  * @returns {string} commit-msg hook content
  */
-function generateCommitMsgHook() {
-  return `#!/bin/sh
+function generateCommitMsgHook(packageManager) {
+  return renderPackageManagerCommand(
+    `#!/bin/sh
 npx --no -- commitlint --edit "$1"
-`
+`,
+    packageManager
+  )
 }
 
 /**
@@ -445,8 +478,9 @@ function writeCommitlintConfig(projectPath) {
 /**
  * Write commit-msg hook for commitlint
  * @param {string} projectPath - Path to project
+ * @param {Parameters<typeof renderPackageManagerCommand>[1]} [packageManager] - Package manager (default npm)
  */
-function writeCommitMsgHook(projectPath) {
+function writeCommitMsgHook(projectPath, packageManager) {
   const huskyDir = path.join(projectPath, '.husky')
   const hookPath = path.join(huskyDir, 'commit-msg')
 
@@ -455,7 +489,7 @@ function writeCommitMsgHook(projectPath) {
       fs.mkdirSync(huskyDir, { recursive: true })
     }
 
-    const hook = generateCommitMsgHook()
+    const hook = generateCommitMsgHook(packageManager)
     fs.writeFileSync(hookPath, hook)
     fs.chmodSync(hookPath, 0o755)
     return hookPath
@@ -567,6 +601,20 @@ function getQualityToolsScripts(features = {}) {
   return scripts
 }
 
+/**
+ * Whether an existing lighthouserc.js was generated from budgets (and may
+ * be regenerated when they change)
+ * @param {string} projectPath - Path to project
+ * @returns {boolean} True if the file carries the budgets header
+ */
+function isBudgetsLighthouseConfig(projectPath) {
+  const configPath = path.join(projectPath, 'lighthouserc.js')
+  return (
+    fs.existsSync(configPath) &&
+    fs.readFileSync(configPath, 'utf8').startsWith(LIGHTHOUSE_BUDGETS_HEADER)
+  )
+}
+
 module.exports = {
   // Config generators
   generateLighthouseConfig,
@@ -585,4 +633,5 @@ module.exports = {
   // Helpers
   getQualityToolsDependencies,
   getQualityToolsScripts,
+  isBudgetsLighthouseConfig,
 }
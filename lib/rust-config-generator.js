@@ -0,0 +1,295 @@
+/**
+ * Rust Configuration Generator
+ * Cargo project detection plus the pre-commit hooks and GitHub Actions job
+ * used when setup runs in a Rust crate or Cargo workspace.
+ *
+ * Static tool configs (rustfmt.toml, clippy.toml, deny.toml) live in config/
+ * and are copied by setup.js like the Python templates.
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const { injectGitHubJob } = require('./ci-job-injection')
+
+const RUST_JOB_MARKER = '# RUST_QUALITY_JOB'
+const RUST_PRE_COMMIT_HOOK_ID = 'cargo-fmt'
+
+/**
+ * Extract workspace members from a Cargo.toml [workspace] table
+ * @param {string} content - Cargo.toml content
+ * @returns {string[]|null} Member globs, or null when there is no workspace
+ */
+function parseWorkspaceMembers(content) {
+  const workspaceMatch = content.match(
+    /^\[workspace\]([\s\S]*?)(?=^\[|$(?![\s\S]))/m
+  )
+  if (!workspaceMatch) return null
+
+  const membersMatch = workspaceMatch[1].match(/members\s*=\s*\[([^\]]*)\]/)
+  if (!membersMatch) return []
+
+  const members = []
+  for (const match of membersMatch[1].matchAll(/["']([^"']+)["']/g)) {
+    members.push(match[1])
+  }
+  return members
+}
+
+/**
+ * Detect a Cargo project (single crate or workspace) at the project root
+ * @param {string} projectPath - Path to project
+ * @returns {{manifestPath: string, isWorkspace: boolean, hasPackage: boolean, members: string[]}|null} Cargo project info, or null when no Cargo.toml exists
+ */
+function detectCargoProject(projectPath) {
+  const manifestPath = path.join(projectPath, 'Cargo.toml')
+  if (!fs.existsSync(manifestPath)) {
+    return null
+  }
+
+  let content = ''
+  try {
+    content = fs.readFileSync(manifestPath, 'utf8')
+  } catch (error) {
+    console.warn(`⚠️  Could not read Cargo.toml: ${error.message}`)
+  }
+
+  const members = parseWorkspaceMembers(content)
+
+  return {
+    manifestPath,
+    isWorkspace: members !== null,
+    hasPackage: /^\[package\]/m.test(content),
+    members: members || [],
+  }
+}
+
+/**
+ * Cargo flags that make fmt/clippy/test cover every workspace member
+ * @param {{isWorkspace: boolean}|null} cargoProject - Result of detectCargoProject
+ * @returns {string} Flag string (empty for single crates)
+ */
+function getWorkspaceFlag(cargoProject) {
+  return cargoProject && cargoProject.isWorkspace ? ' --workspace' : ''
+}
+
+/**
+ * Generate pre-commit hooks for cargo fmt and clippy
+ * @param {{isWorkspace: boolean}|null} cargoProject - Result of detectCargoProject
+ * @returns {string} YAML list entries (indented for a top-level `repos:` key)
+ */
+function generateRustPreCommitHooks(cargoProject) {
+  const workspace = getWorkspaceFlag(cargoProject)
+
+  return `
+  # Rust hooks (require a local Rust toolchain with rustfmt and clippy)
+  - repo: local
+    hooks:
+      - id: ${RUST_PRE_COMMIT_HOOK_ID}
+        name: cargo fmt
+        entry: cargo fmt --all --
+        language: system
+        types: [rust]
+        pass_filenames: false
+      - id: cargo-clippy
+        name: cargo clippy
+        entry: cargo clippy${workspace} --all-targets --all-features -- -D warnings
+        language: system
+        types: [rust]
+        pass_filenames: false
+`
+}
+
+/**
+ * Add the Rust hooks to a pre-commit config, creating one if needed
+ * @param {string|null} existingContent - Current .pre-commit-config.yaml content
+ * @param {{isWorkspace: boolean}|null} cargoProject - Result of detectCargoProject
+ * @returns {string|null} Updated content, or null when the hooks are already present
+ */
+function mergeRustPreCommitConfig(existingContent, cargoProject) {
+  const hooks = generateRustPreCommitHooks(cargoProject)
+
+  if (!existingContent) {
+    return `# Pre-commit hooks for Rust projects
+# Install: pip install pre-commit && pre-commit install
+# Run manually: pre-commit run --all-files
+
+repos:${hooks}`
+  }
+
+  if (existingContent.includes(`id: ${RUST_PRE_COMMIT_HOOK_ID}`)) {
+    return null
+  }
+
+  // Line edit at the end of the `repos` list keeps the config's comments
+  const inserted = insertIntoRepos(existingContent, hooks)
+  if (inserted && hasRustHooks(inserted)) {
+    return inserted
+  }
+
+  // Flow-style lists and other layouts: rewrite the parsed config
+  const config = yaml.load(existingContent) || {}
+  config.repos = [...(config.repos || []), ...yaml.load(`repos:${hooks}`).repos]
+  return yaml.dump(config, { lineWidth: -1 })
+}
+
+/**
+ * Insert list entries at the end of the top-level `repos` block sequence,
+ * above any comments and keys that follow it (`ci:`,
+ * `default_language_version:`, ...)
+ * @param {string} content - pre-commit config
+ * @param {string} entries - From generateRustPreCommitHooks
+ * @returns {string|null} Null when `repos` isn't a block sequence
+ */
+function insertIntoRepos(content, entries) {
+  const lines = content.split('\n')
+  const indentOf = line => line.length - line.trimStart().length
+  const reposLine = lines.findIndex(line => /^repos:/.test(line))
+  if (reposLine === -1) {
+    return `${content.replace(/\s*$/, '\n')}\nrepos:${entries}`
+  }
+  const reposValue = lines[reposLine].slice('repos:'.length).trim()
+  if (reposValue && !reposValue.startsWith('#')) {
+    return null
+  }
+
+  // The block ends at the next top-level key, without the blank lines and
+  // comments above that key
+  let end = lines.findIndex(
+    (line, i) =>
+      i > reposLine &&
+      line.trim() !== '' &&
+      indentOf(line) === 0 &&
+      !line.startsWith('#') &&
+      !line.startsWith('-')
+  )
+  if (end === -1) end = lines.length
+  while (
+    end > reposLine + 1 &&
+    (lines[end - 1].trim() === '' || lines[end - 1].startsWith('#'))
+  ) {
+    end--
+  }
+
+  // Entries are generated with `  - `; match the list's own indentation
+  const item = lines
+    .slice(reposLine + 1, end)
+    .find(line => line.trimStart().startsWith('-'))
+  const shift = (item ? indentOf(item) : 2) - 2
+  const added = entries
+    .replace(/^\n|\n$/g, '')
+    .split('\n')
+    .map(line => (shift >= 0 ? ' '.repeat(shift) + line : line.slice(-shift)))
+
+  return [...lines.slice(0, end), '', ...added, ...lines.slice(end)].join('\n')
+}
+
+/**
+ * @param {string} content - pre-commit config
+ * @returns {boolean} Whether its `repos` list has the Rust hooks
+ */
+function hasRustHooks(content) {
+  try {
+    const config = yaml.load(content)
+    return config.repos.some(
+      repo =>
+        Array.isArray(repo.hooks) &&
+        repo.hooks.some(hook => hook.id === RUST_PRE_COMMIT_HOOK_ID)
+    )
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Generate the Rust job for quality.yml
+ * @param {{isWorkspace: boolean}|null} cargoProject - Result of detectCargoProject
+ * @returns {string} YAML job definition (indented under `jobs:`)
+ */
+function generateRustWorkflowJob(cargoProject) {
+  const workspace = getWorkspaceFlag(cargoProject)
+
+  return `  ${RUST_JOB_MARKER}: fmt, clippy, tests and supply-chain checks for Cargo
+  rust:
+    runs-on: ubuntu-latest
+
+    steps:
+      - name: Checkout code
+        uses: actions/checkout@v5
+
+      - name: Set up Rust toolchain
+        uses: dtolnay/rust-toolchain@stable
+        with:
+          components: rustfmt, clippy
+
+      - name: Cache Cargo build
+        uses: Swatinem/rust-cache@v2
+
+      - name: Check formatting (rustfmt)
+        run: cargo fmt --all -- --check
+
+      - name: Lint (clippy)
+        run: cargo clippy${workspace} --all-targets --all-features -- -D warnings
+
+      - name: Run tests
+        run: cargo test${workspace} --all-features
+
+      - name: Security audit (cargo-audit)
+        uses: rustsec/audit-check@v2
+        with:
+          token: \${{ secrets.GITHUB_TOKEN }}
+
+      - name: Licenses, bans and sources (cargo-deny)
+        uses: EmbarkStudios/cargo-deny-action@v2
+
+`
+}
+
+/**
+ * Inject the Rust job into quality.yml (before the summary job)
+ * @param {string} workflowContent - quality.yml content
+ * @param {{isWorkspace: boolean}|null} cargoProject - Result of detectCargoProject
+ * @returns {string} Updated workflow content (unchanged if already present)
+ */
+function injectRustJob(workflowContent, cargoProject) {
+  if (!cargoProject) {
+    return workflowContent
+  }
+
+  return injectGitHubJob(
+    workflowContent,
+    RUST_JOB_MARKER,
+    generateRustWorkflowJob(cargoProject)
+  )
+}
+
+/**
+ * Rust helper scripts for package.json (mixed JS + Rust repositories)
+ * @param {{isWorkspace: boolean}|null} cargoProject - Result of detectCargoProject
+ * @returns {Object} npm scripts
+ */
+function getRustScripts(cargoProject) {
+  const workspace = getWorkspaceFlag(cargoProject)
+
+  return {
+    'rust:format': 'cargo fmt --all',
+    'rust:format:check': 'cargo fmt --all -- --check',
+    'rust:lint': `cargo clippy${workspace} --all-targets --all-features -- -D warnings`,
+    'rust:test': `cargo test${workspace} --all-features`,
+    'rust:audit': 'cargo audit && cargo deny check',
+    'rust:quality': `cargo fmt --all -- --check && cargo clippy${workspace} --all-targets --all-features -- -D warnings`,
+  }
+}
+
+module.exports = {
+  RUST_JOB_MARKER,
+  detectCargoProject,
+  parseWorkspaceMembers,
+  generateRustPreCommitHooks,
+  mergeRustPreCommitConfig,
+  generateRustWorkflowJob,
+  injectRustJob,
+  getRustScripts,
+}
@@ -0,0 +1,538 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * Smart Test Strategy risk engine
+ *
+ * Scores the commits being pushed and picks a test tier. Setup copies this
+ * file to scripts/smart-risk.js next to the generated
+ * smart-test-strategy.sh (with quality-config.js), so it must only use Node
+ * built-ins.
+ *
+ * The rules come from the `smartStrategy` section of .qualityrc.json, on top
+ * of the defaults below:
+ *
+ *   "smartStrategy": {
+ *     "paths": [{ "name": "payments", "pattern": "^src/payments/", "weight": 5 }],
+ *     "branches": [{ "pattern": "^release/", "weight": 3 }],
+ *     "size": { "files": [{ "over": 30, "weight": 3 }] },
+ *     "thresholds": { "comprehensive": 8 },
+ *     "workHours": false,
+ *     "tiers": { "fast": "npm run test:unit" },
+ *     "testImpact": { "enabled": true }
+ *   }
+ *
+ * Path rules replace the default with the same name (weight 0 disables it),
+ * branch rules the default with the same pattern; size lists replace the
+ * defaults.
+ */
+
+const fs = require('fs')
+const { spawnSync } = require('child_process')
+const { loadQualityConfig } = require('./quality-config')
+
+const ZERO_SHA = '0'.repeat(40)
+const TIERS = ['minimal', 'fast', 'medium', 'comprehensive']
+
+const DEFAULT_HIGH_RISK_REGEX = 'src/|lib/|config/|package\\.json'
+const DEFAULT_BRANCH_RULES = [
+  { pattern: '^(main|master|production)$', weight: 3 },
+  { pattern: '^hotfix/', weight: 4 },
+  { pattern: '^release/', weight: 2 },
+  { pattern: '^develop$', weight: 1 },
+]
+const DEFAULT_SIZE_RULES = {
+  files: [
+    { over: 10, weight: 2 },
+    { over: 20, weight: 3 },
+  ],
+  lines: [{ over: 200, weight: 2 }],
+}
+// Minimum score for each tier; below `fast` only lint runs during work hours
+const DEFAULT_THRESHOLDS = { comprehensive: 7, medium: 4, fast: 2 }
+// ISO weekdays (1 = Monday) and inclusive hours
+const DEFAULT_WORK_HOURS = { days: [1, 2, 3, 4, 5], start: 9, end: 17 }
+// Coverage-based test selection (scripts/test-impact.js), off unless enabled
+const DEFAULT_TEST_IMPACT = {
+  enabled: false,
+  runner: null,
+  command: null,
+  tiers: ['fast', 'medium'],
+  maxCommitsBehind: 100,
+  index: '.qa-architect/test-impact.json',
+}
+
+/**
+ * Default path rules
+ * @param {string} highRiskRegex - Project-specific high-risk pattern
+ * @returns {Array<{name: string, pattern: string, weight: number}>}
+ */
+function getDefaultPathRules(highRiskRegex = DEFAULT_HIGH_RISK_REGEX) {
+  return [
+    { name: 'high-risk files', pattern: highRiskRegex, weight: 4 },
+    {
+      name: 'security-sensitive files',
+      pattern: '(auth|security|crypto|payment|billing)',
+      weight: 3,
+    },
+    { name: 'API files', pattern: 'api/|routes/|endpoints/', weight: 2 },
+    {
+      name: 'config files',
+      pattern: '(package\\.json|\\.env|config|tsconfig)',
+      weight: 2,
+    },
+  ]
+}
+
+/**
+ * Compile a rule pattern, skipping invalid ones with a warning
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null}
+ */
+function compilePattern(pattern) {
+  try {
+    // eslint-disable-next-line security/detect-non-literal-regexp -- Patterns come from the project's own .qualityrc.json
+    return new RegExp(pattern)
+  } catch (error) {
+    console.warn(`⚠️  Ignoring invalid smartStrategy pattern: ${error.message}`)
+    return null
+  }
+}
+
+/**
+ * Replace defaults with configured rules that share their key, append the rest
+ * @param {Array<Object>} defaults - Default rules
+ * @param {Array<Object>|undefined} configured - Rules from .qualityrc.json
+ * @param {string} key - Property identifying a rule
+ * @returns {Array<Object>}
+ */
+function mergeRules(defaults, configured, key) {
+  const rules = defaults.map(rule => ({ ...rule }))
+  for (const rule of configured || []) {
+    const index = rules.findIndex(existing => existing[key] === rule[key])
+    if (index === -1) {
+      rules.push({ ...rule })
+    } else {
+      rules[index] = { ...rules[index], ...rule }
+    }
+  }
+  return rules
+}
+
+/**
+ * Fill in defaults for a raw smartStrategy section
+ * @param {Object} [raw] - `smartStrategy` from .qualityrc.json
+ * @param {{highRiskRegex?: string}} [defaults] - Generated project defaults
+ * @returns {{paths: Array<{name: string, pattern: string, weight: number, regex: RegExp}>, branches: Array<{pattern: string, weight: number, regex: RegExp}>, size: {files: Array<{over: number, weight: number}>, lines: Array<{over: number, weight: number}>}, thresholds: {comprehensive: number, medium: number, fast: number}, workHours: {days: number[], start: number, end: number}|null, tiers: Object<string, string>, testImpact: {enabled: boolean, runner: string|null, command: string|null, tiers: string[], maxCommitsBehind: number, index: string}}}
+ */
+function normalizeSmartStrategyConfig(raw = {}, defaults = {}) {
+  const compile = rules =>
+    rules
+      .filter(rule => rule.pattern && rule.weight)
+      .map(rule => ({ ...rule, regex: compilePattern(rule.pattern) }))
+      .filter(rule => rule.regex)
+
+  const size = raw.size || {}
+  /** @type {Object<string, string>} */
+  const tiers = {}
+  for (const tier of TIERS) {
+    if (raw.tiers && typeof raw.tiers[tier] === 'string') {
+      tiers[tier] = raw.tiers[tier]
+    }
+  }
+
+  return {
+    paths: compile(
+      mergeRules(getDefaultPathRules(defaults.highRiskRegex), raw.paths, 'name')
+    ),
+    branches: compile(
+      mergeRules(DEFAULT_BRANCH_RULES, raw.branches, 'pattern')
+    ),
+    size: {
+      files: size.files || DEFAULT_SIZE_RULES.files,
+      lines: size.lines || DEFAULT_SIZE_RULES.lines,
+    },
+    thresholds: { ...DEFAULT_THRESHOLDS, ...raw.thresholds },
+    workHours:
+      raw.workHours === false
+        ? null
+        : { ...DEFAULT_WORK_HOURS, ...raw.workHours },
+    tiers,
+    testImpact: { ...DEFAULT_TEST_IMPACT, ...raw.testImpact },
+  }
+}
+
+/**
+ * Read the smartStrategy section from .qualityrc.json (with its presets)
+ * @param {string} projectPath - Path to project
+ * @param {{highRiskRegex?: string}} [defaults] - Generated project defaults
+ * @returns {ReturnType<typeof normalizeSmartStrategyConfig>}
+ */
+function loadSmartStrategyConfig(projectPath, defaults = {}) {
+  let raw = {}
+
+  try {
+    raw = loadQualityConfig(projectPath).config.smartStrategy || {}
+  } catch (error) {
+    console.warn(`⚠️  Could not read smartStrategy config: ${error.message}`)
+  }
+
+  return normalizeSmartStrategyConfig(raw, defaults)
+}
+
+/**
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Repository path
+ * @returns {string|null} Trimmed stdout, or null when git fails
+ */
+function git(args, cwd) {
+  const result = spawnSync('git', args, { cwd, encoding: 'utf8' })
+  return result.status === 0 ? result.stdout.trim() : null
+}
+
+/**
+ * @param {string} cwd - Repository path
+ * @returns {string} Checked out branch ('' when detached)
+ */
+function getCurrentBranch(cwd) {
+  return git(['branch', '--show-current'], cwd) || ''
+}
+
+/**
+ * The branch new work merges into: origin's HEAD, else main/master
+ * @param {string} cwd - Repository path
+ * @returns {string|null}
+ */
+function findDefaultBranchRef(cwd) {
+  const originHead = git(
+    ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD'],
+    cwd
+  )
+  if (originHead) return originHead
+
+  return (
+    ['origin/main', 'origin/master', 'main', 'master'].find(ref =>
+      git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd)
+    ) || null
+  )
+}
+
+/**
+ * Base to compare a commit with when the remote side is unknown: its
+ * merge-base with the default branch, or its parent on the default branch
+ * @param {string} ref - Commit being pushed
+ * @param {string} cwd - Repository path
+ * @returns {{base: string, source: string}}
+ */
+function findFallbackBase(ref, cwd) {
+  const sha = git(['rev-parse', ref], cwd)
+  const defaultRef = findDefaultBranchRef(cwd)
+  if (defaultRef) {
+    const base = git(['merge-base', defaultRef, sha], cwd)
+    if (base && base !== sha) {
+      return { base, source: `merge-base with ${defaultRef}` }
+    }
+  }
+
+  const parent = git(['rev-parse', '--verify', '--quiet', `${sha}~1`], cwd)
+  return {
+    base: parent || git(['hash-object', '-t', 'tree', '/dev/null'], cwd),
+    source: 'last commit',
+  }
+}
+
+/**
+ * Commit ranges to score
+ *
+ * git passes "<local ref> <local sha> <remote ref> <remote sha>" lines to
+ * pre-push hooks on stdin. New branches (or remote shas missing locally) and
+ * runs without input are compared with the merge-base with the default
+ * branch.
+ * @param {string} input - Pre-push hook input (empty outside the hook)
+ * @param {string} cwd - Repository path
+ * @returns {Array<{base: string, head: string, source: string}>}
+ */
+function resolveRanges(input, cwd) {
+  const ranges = []
+  for (const line of input.split('\n')) {
+    const [, localSha, remoteRef, remoteSha] = line.trim().split(/\s+/)
+    // Deleting a remote branch pushes no commits
+    if (!localSha || localSha === ZERO_SHA) continue
+
+    if (
+      remoteSha &&
+      remoteSha !== ZERO_SHA &&
+      git(['cat-file', '-e', `${remoteSha}^{commit}`], cwd) !== null
+    ) {
+      ranges.push({
+        base: remoteSha,
+        head: localSha,
+        source: `pushing to ${remoteRef.replace(/^refs\/heads\//, '')}`,
+      })
+    } else {
+      ranges.push({ head: localSha, ...findFallbackBase(localSha, cwd) })
+    }
+  }
+
+  if (ranges.length === 0) {
+    ranges.push({
+      head: git(['rev-parse', 'HEAD'], cwd),
+      ...findFallbackBase('HEAD', cwd),
+    })
+  }
+  return ranges
+}
+
+/**
+ * Parse a `<base>..<head>` (or `<base>`, meaning `<base>..HEAD`) argument
+ * @param {string} spec - Range argument
+ * @param {string} cwd - Repository path
+ * @returns {{base: string, head: string, source: string}}
+ */
+function parseRange(spec, cwd) {
+  const [baseRef, headRef = 'HEAD'] = spec.split('..')
+  const base = git(['rev-parse', '--verify', '--quiet', baseRef], cwd)
+  const head = git(['rev-parse', '--verify', '--quiet', headRef || 'HEAD'], cwd)
+  if (!base || !head) {
+    throw new Error(`Unknown revision in range: ${spec}`)
+  }
+  return { base, head, source: spec }
+}
+
+/**
+ * Changed files and added lines over all ranges
+ * @param {Array<{base: string, head: string}>} ranges - Ranges to diff
+ * @param {string} cwd - Repository path
+ * @returns {{files: string[], lines: number}}
+ */
+function collectChanges(ranges, cwd) {
+  const files = new Set()
+  let lines = 0
+  for (const { base, head } of ranges) {
+    const names = git(['diff', '--name-only', base, head], cwd) || ''
+    names
+      .split('\n')
+      .filter(Boolean)
+      .forEach(file => files.add(file))
+
+    const numstat = git(['diff', '--numstat', base, head], cwd) || ''
+    for (const row of numstat.split('\n')) {
+      // Binary files report "-"
+      lines += parseInt(row, 10) || 0
+    }
+  }
+  return { files: [...files].sort(), lines }
+}
+
+/**
+ * Score changed paths with the path rules
+ * @param {string[]} files - Changed files
+ * @param {ReturnType<typeof normalizeSmartStrategyConfig>} config - Normalized config
+ * @returns {{score: number, drivers: Array<{points: number, reason: string, files: string[]}>}}
+ */
+function scorePaths(files, config) {
+  let score = 0
+  const drivers = []
+  for (const rule of config.paths) {
+    const matches = files.filter(file => rule.regex.test(file))
+    if (matches.length > 0) {
+      score += rule.weight
+      drivers.push({ points: rule.weight, reason: rule.name, files: matches })
+    }
+  }
+  return { score, drivers }
+}
+
+/**
+ * Whether a time falls inside the configured work hours
+ * @param {{days: number[], start: number, end: number}|null} workHours - Normalized work hours
+ * @param {Date} now - Time to check
+ * @returns {boolean}
+ */
+function isWorkHours(workHours, now) {
+  if (!workHours) return false
+  const day = now.getDay() || 7
+  const hour = now.getHours()
+  return (
+    workHours.days.includes(day) &&
+    hour >= workHours.start &&
+    hour <= workHours.end
+  )
+}
+
+/**
+ * Score a change set and pick the test tier
+ * @param {{files: string[], lines: number}} changes - From collectChanges
+ * @param {ReturnType<typeof normalizeSmartStrategyConfig>} config - Normalized config
+ * @param {{branch?: string, now?: Date}} [context] - Current branch and time
+ * @returns {{score: number, tier: string, speedBonus: boolean, branch: string, files: string[], lines: number, drivers: Array<{points: number, reason: string, files: string[]}>}}
+ */
+function scoreChanges(changes, config, context = {}) {
+  const { branch = '', now = new Date() } = context
+  const { score: pathScore, drivers } = scorePaths(changes.files, config)
+  let score = pathScore
+  const add = (points, reason) => {
+    score += points
+    drivers.push({ points, reason, files: [] })
+  }
+
+  for (const rule of config.size.files) {
+    if (changes.files.length > rule.over) {
+      add(rule.weight, `more than ${rule.over} files changed`)
+    }
+  }
+  for (const rule of config.size.lines) {
+    if (changes.lines > rule.over) {
+      add(rule.weight, `more than ${rule.over} lines added`)
+    }
+  }
+  for (const rule of config.branches) {
+    if (branch && rule.regex.test(branch)) {
+      add(rule.weight, `branch ${branch}`)
+    }
+  }
+
+  const speedBonus = isWorkHours(config.workHours, now)
+  const { thresholds } = config
+  let tier = 'minimal'
+  if (score >= thresholds.comprehensive) {
+    tier = 'comprehensive'
+  } else if (score >= thresholds.medium) {
+    tier = 'medium'
+  } else if (score >= thresholds.fast || !speedBonus) {
+    tier = 'fast'
+  }
+
+  return {
+    score,
+    tier,
+    speedBonus,
+    branch,
+    files: changes.files,
+    lines: changes.lines,
+    drivers,
+  }
+}
+
+/**
+ * Console report of an analysis
+ * @param {ReturnType<typeof scoreChanges>} analysis - Scored changes
+ * @param {Array<{base: string, head: string, source: string}>} ranges - Scored ranges
+ * @returns {string}
+ */
+function formatRiskReport(analysis, ranges) {
+  const lines = []
+  if (analysis.speedBonus) {
+    lines.push('⏰ Work hours - Optimizing for speed')
+  }
+  lines.push('', '📊 Analysis Results:')
+  for (const range of ranges) {
+    lines.push(
+      `   🔀 Range: ${range.base.slice(0, 7)}..${range.head.slice(0, 7)} (${range.source})`
+    )
+  }
+  lines.push(
+    `   📁 Files changed: ${analysis.files.length}`,
+    `   📏 Lines changed: ${analysis.lines}`,
+    `   🌿 Branch: ${analysis.branch}`,
+    `   🎯 Risk Score: ${analysis.score}/10`,
+    `   ⚡ Speed Bonus: ${analysis.speedBonus}`
+  )
+  if (analysis.drivers.length > 0) {
+    lines.push('   📌 Score drivers:')
+    for (const driver of analysis.drivers) {
+      let detail = `+${driver.points} ${driver.reason}`
+      if (driver.files.length > 0) {
+        detail += `: ${driver.files.slice(0, 3).join(' ')}`
+        if (driver.files.length > 3) {
+          detail += ` (+${driver.files.length - 3} more)`
+        }
+      }
+      lines.push(`      ${detail}`)
+    }
+  }
+  lines.push('')
+  return lines.join('\n')
+}
+
+/**
+ * Single-quote a value for bash
+ * @param {string} value - Value
+ * @returns {string}
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, "'\\''")}'`
+}
+
+/**
+ * Variables for smart-test-strategy.sh to source
+ * @param {ReturnType<typeof scoreChanges>} analysis - Scored changes
+ * @param {Array<{base: string, head: string}>} ranges - Scored ranges
+ * @param {ReturnType<typeof normalizeSmartStrategyConfig>} config - Normalized config
+ * @returns {string}
+ */
+function formatShellEnv(analysis, ranges, config) {
+  const rangeArgs = ranges
+    .map(range => `--range ${shellQuote(`${range.base}..${range.head}`)}`)
+    .join(' ')
+  return [
+    `RISK_SCORE=${analysis.score}`,
+    `TIER=${analysis.tier}`,
+    `TIER_COMMAND=${shellQuote(config.tiers[analysis.tier] || '')}`,
+    `TEST_IMPACT=${config.testImpact.enabled && config.testImpact.tiers.includes(analysis.tier) ? 1 : 0}`,
+    `CHANGED_FILE_LIST=${shellQuote(analysis.files.join('\n'))}`,
+    `RANGE_ARGS=(${rangeArgs})`,
+    '',
+  ].join('\n')
+}
+
+/**
+ * CLI used by smart-test-strategy.sh:
+ *   node scripts/smart-risk.js --high-risk-regex <pattern> --env-file <path>
+ * Reads the pre-push input on stdin, prints the analysis and writes the
+ * results as shell variables to the env file.
+ * @param {string[]} argv - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  const option = name => {
+    const index = argv.indexOf(name)
+    return index === -1 ? undefined : argv[index + 1]
+  }
+  const cwd = process.cwd()
+  const config = loadSmartStrategyConfig(cwd, {
+    highRiskRegex: option('--high-risk-regex'),
+  })
+
+  const input = process.stdin.isTTY ? '' : fs.readFileSync(0, 'utf8')
+  const ranges = resolveRanges(input, cwd)
+  const analysis = scoreChanges(collectChanges(ranges, cwd), config, {
+    branch: getCurrentBranch(cwd),
+  })
+
+  console.log(formatRiskReport(analysis, ranges))
+  const envFile = option('--env-file')
+  if (envFile) {
+    fs.writeFileSync(envFile, formatShellEnv(analysis, ranges, config))
+  }
+  return 0
+}
+
+if (require.main === module) {
+  process.exit(main(process.argv.slice(2)))
+}
+
+module.exports = {
+  TIERS,
+  getDefaultPathRules,
+  normalizeSmartStrategyConfig,
+  loadSmartStrategyConfig,
+  getCurrentBranch,
+  resolveRanges,
+  parseRange,
+  collectChanges,
+  scorePaths,
+  scoreChanges,
+  formatRiskReport,
+  formatShellEnv,
+}
@@ -6,6 +6,12 @@
 
 const fs = require('fs')
 const path = require('path')
+const {
+  detectMonorepoType,
+  getPackageManagerInfo,
+  getPackageManagerCommands,
+  renderPackageManagerCommand,
+} = require('./package-utils')
 
 /**
  * Project type configurations with risk patterns and test commands
@@ -219,8 +225,50 @@ function detectProjectType(projectPath) {
   return 'default'
 }
 
+/**
+ * Workspace packages and the internal dependencies between them, used to
+ * test only the packages a push affects
+ * @param {string} projectPath - Project root
+ * @returns {{tool: string|null, packageManager: string, packages: Array<{name: string, dir: string, dependencies: string[]}>}|null} Null for single-package projects
+ */
+function buildWorkspaceGraph(projectPath) {
+  const monorepo = detectMonorepoType(projectPath)
+  const resolved = monorepo.resolvedPackages || []
+  const hasNativeAffected = ['nx', 'turborepo'].includes(monorepo.type)
+  if (!monorepo.isMonorepo || (resolved.length === 0 && !hasNativeAffected)) {
+    return null
+  }
+
+  const names = new Set(resolved.map(pkg => pkg.name))
+  return {
+    tool: monorepo.tool,
+    packageManager: monorepo.packageManager,
+    packages: resolved.map(pkg => {
+      const manifest = readPackageJson(pkg.path) || {}
+      const dependencies = Object.keys({
+        ...manifest.dependencies,
+        ...manifest.devDependencies,
+        ...manifest.peerDependencies,
+        ...manifest.optionalDependencies,
+      })
+      return {
+        name: pkg.name,
+        dir: pkg.relativePath.split(path.sep).join('/'),
+        dependencies: dependencies
+          .filter(name => names.has(name) && name !== pkg.name)
+          .sort(),
+      }
+    }),
+  }
+}
+
 /**
  * Generate smart test strategy script for a project
+ *
+ * In monorepos the test tiers run only the affected workspace packages'
+ * tests through scripts/affected-packages.js (returned as
+ * `affectedPackagesScript`, null otherwise). The npm-flavoured tier commands
+ * are rendered for the project's package manager.
  */
 function generateSmartStrategy(options = {}) {
   const {
@@ -229,6 +277,8 @@ function generateSmartStrategy(options = {}) {
     projectType = null, // Auto-detect if not provided
     customHighRiskRegex = null,
     customTestCommands = null,
+    workspaceGraph = buildWorkspaceGraph(projectPath),
+    packageManager = getPackageManagerInfo(projectPath),
   } = options
 
   // Detect or use provided project type
@@ -237,7 +287,24 @@ function generateSmartStrategy(options = {}) {
 
   // Allow custom overrides
   const highRiskRegex = customHighRiskRegex || config.highRiskRegex
-  const testCommands = { ...config.testCommands, ...customTestCommands }
+  const affectedCommands = workspaceGraph
+    ? {
+        comprehensive: 'affected_tests comprehensive',
+        medium: 'affected_tests medium',
+        fast: 'affected_tests fast',
+      }
+    : {}
+  const defaultCommands = Object.fromEntries(
+    Object.entries(config.testCommands).map(([tier, command]) => [
+      tier,
+      renderPackageManagerCommand(command, packageManager),
+    ])
+  )
+  const testCommands = {
+    ...defaultCommands,
+    ...affectedCommands,
+    ...customTestCommands,
+  }
 
   // Read template
   const templatePath = path.join(
@@ -259,7 +326,10 @@ function generateSmartStrategy(options = {}) {
     )
   }
 
-  let template = fs.readFileSync(templatePath, 'utf8')
+  let template = renderPackageManagerCommand(
+    fs.readFileSync(templatePath, 'utf8'),
+    packageManager
+  )
 
   // Replace placeholders
   template = template.replace(/\{\{PROJECT_NAME\}\}/g, projectName)
@@ -298,11 +368,48 @@ function generateSmartStrategy(options = {}) {
     projectTypeName: config.name,
     highRiskRegex,
     testCommands,
+    workspaceGraph,
+    affectedPackagesScript: workspaceGraph
+      ? generateAffectedPackagesScript(workspaceGraph, highRiskRegex)
+      : null,
   }
 }
 
 /**
- * Write smart strategy script to project
+ * Render scripts/affected-packages.js for a workspace
+ * @param {Object} workspaceGraph - Graph from buildWorkspaceGraph
+ * @param {string} highRiskRegex - Project high-risk file pattern
+ * @returns {string}
+ */
+function generateAffectedPackagesScript(workspaceGraph, highRiskRegex) {
+  const templatePath = path.join(
+    __dirname,
+    '..',
+    'templates',
+    'scripts',
+    'affected-packages.js'
+  )
+  const config = JSON.stringify(
+    { workspace: workspaceGraph, highRiskRegex },
+    null,
+    2
+  )
+  return fs
+    .readFileSync(templatePath, 'utf8')
+    .replace('/* {{AFFECTED_CONFIG}} */ null', () => config)
+}
+
+// Modules from lib/ the smart strategy script runs, copied next to it
+const SMART_STRATEGY_HELPERS = [
+  'smart-risk.js',
+  'test-impact.js',
+  'quality-config.js',
+]
+
+/**
+ * Write smart strategy script to project, together with the risk engine
+ * (lib/smart-risk.js) and test impact selection (lib/test-impact.js) it runs
+ * and the .qualityrc.json loader they share (lib/quality-config.js)
  */
 function writeSmartStrategy(projectPath, script) {
   const scriptsDir = path.join(projectPath, 'scripts')
@@ -314,6 +421,32 @@ function writeSmartStrategy(projectPath, script) {
   }
 
   // Write script
+  fs.writeFileSync(scriptPath, script)
+  fs.chmodSync(scriptPath, 0o755)
+  for (const helper of SMART_STRATEGY_HELPERS) {
+    fs.writeFileSync(
+      path.join(scriptsDir, helper),
+      fs.readFileSync(path.join(__dirname, helper), 'utf8')
+    )
+  }
+
+  return scriptPath
+}
+
+/**
+ * Write the affected package test script to project
+ * @param {string} projectPath - Project root
+ * @param {string} script - Script from generateSmartStrategy
+ * @returns {string} Written path
+ */
+function writeAffectedPackagesScript(projectPath, script) {
+  const scriptsDir = path.join(projectPath, 'scripts')
+  const scriptPath = path.join(scriptsDir, 'affected-packages.js')
+
+  if (!fs.existsSync(scriptsDir)) {
+    fs.mkdirSync(scriptsDir, { recursive: true })
+  }
+
   fs.writeFileSync(scriptPath, script)
   fs.chmodSync(scriptPath, 0o755)
 
@@ -322,9 +455,13 @@ function writeSmartStrategy(projectPath, script) {
 
 /**
  * Generate pre-push hook that uses smart strategy
+ * @param {Parameters<typeof getPackageManagerCommands>[0]} [packageManager] - Package manager (default npm)
+ * @returns {string}
  */
-function generateSmartPrePushHook() {
-  return `#!/bin/sh
+function generateSmartPrePushHook(packageManager) {
+  const { audit, auditFix } = getPackageManagerCommands(packageManager)
+  return renderPackageManagerCommand(
+    `#!/bin/sh
 . "$(dirname "$0")/_/husky.sh"
 
 echo "🔍 Running smart pre-push validation..."
@@ -376,23 +513,10 @@ fi
 
 # 2. Dependency audit
 echo "  → Checking dependencies..."
-# Detect package manager and use appropriate audit command
-if [ -f "pnpm-lock.yaml" ]; then
-  pnpm audit --audit-level=high || {
-    echo "❌ Vulnerable dependencies found! Run 'pnpm audit --fix' to resolve."
-    exit 1
-  }
-elif [ -f "yarn.lock" ]; then
-  yarn audit || {
-    echo "❌ Vulnerable dependencies found! Run 'yarn audit fix' to resolve."
-    exit 1
-  }
-else
-  npm audit --audit-level=high || {
-    echo "❌ Vulnerable dependencies found! Run 'npm audit fix' to resolve."
-    exit 1
-  }
-fi
+${audit} || {
+  echo "❌ Vulnerable dependencies found! Run '${auditFix}' to resolve."
+  exit 1
+}
 
 # 3. XSS pattern detection
 echo "  → Scanning for XSS patterns..."
@@ -407,28 +531,38 @@ if grep -rE "eval\\(.*\\$\\{" src/ app/ lib/ --include="*.js" --include="*.jsx"
 fi
 
 echo "✅ Security scans passed!"
-`
+`,
+    packageManager
+  )
 }
 
 /**
  * Add test tier scripts to package.json
+ * @param {Parameters<typeof renderPackageManagerCommand>[1]} [packageManager] - Package manager (default npm)
+ * @returns {Record<string, string>}
  */
-function getTestTierScripts() {
+function getTestTierScripts(packageManager) {
   return {
     'test:fast': 'vitest run --reporter=basic --coverage=false',
     'test:medium':
       'vitest run --reporter=basic --testPathIgnorePatterns=e2e,integration',
-    'test:comprehensive':
+    'test:comprehensive': renderPackageManagerCommand(
       'vitest run && npm run lint && npm run format:check && npm run security:audit 2>/dev/null || true',
+      packageManager
+    ),
     'test:smart': 'bash scripts/smart-test-strategy.sh',
+    'test:impact:record': 'node scripts/test-impact.js record',
   }
 }
 
 module.exports = {
   PROJECT_CONFIGS,
+  SMART_STRATEGY_HELPERS,
   detectProjectType,
+  buildWorkspaceGraph,
   generateSmartStrategy,
   writeSmartStrategy,
+  writeAffectedPackagesScript,
   generateSmartPrePushHook,
   getTestTierScripts,
 }
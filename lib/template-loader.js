@@ -3,6 +3,11 @@
 const fs = require('fs')
 const path = require('path')
 const { EXCLUDE_DIRECTORIES } = require('../config/constants')
+const {
+  TEMPLATE_EXTENSION,
+  renderTemplate,
+  splitPartials,
+} = require('./template-renderer')
 
 /**
  * TemplateLoader - Load and merge custom template configurations
@@ -11,14 +16,19 @@ const { EXCLUDE_DIRECTORIES } = require('../config/constants')
  * configurations. Enables organizations to maintain custom coding standards
  * while still using the automated setup tooling.
  *
+ * With a `context` (see buildTemplateContext), custom `.tmpl` files are
+ * rendered with variables, conditionals and partials/ (see
+ * lib/template-renderer.js) and stored without the suffix.
+ *
  * Usage:
- *   const loader = new TemplateLoader()
+ *   const loader = new TemplateLoader({ context })
  *   const templates = await loader.mergeTemplates('/path/to/custom', '/path/to/defaults')
  */
 class TemplateLoader {
   constructor(options = {}) {
     this.verbose = options.verbose !== false
     this.strict = options.strict === true
+    this.context = options.context || null
   }
 
   /**
@@ -203,6 +213,50 @@ class TemplateLoader {
     return templates
   }
 
+  /**
+   * Render the `.tmpl` files of a custom template set against the loader
+   * context. A rendered template replaces a plain file of the same name;
+   * partials are only used while rendering.
+   * @param {Record<string, string>} custom - Custom template map
+   * @returns {Record<string, string>} Template map with rendered templates
+   */
+  renderTemplates(custom) {
+    if (!this.context) {
+      return custom
+    }
+
+    const { templates, partials } = splitPartials(custom)
+    /** @type {Record<string, string>} */
+    const rendered = {}
+    const sources = Object.entries(templates)
+    sources
+      .filter(([file]) => !file.endsWith(TEMPLATE_EXTENSION))
+      .forEach(([file, content]) => {
+        rendered[file] = content
+      })
+
+    for (const [file, content] of sources) {
+      if (!file.endsWith(TEMPLATE_EXTENSION)) {
+        continue
+      }
+      try {
+        rendered[file.slice(0, -TEMPLATE_EXTENSION.length)] = renderTemplate(
+          content,
+          this.context,
+          { partials, file }
+        )
+      } catch (error) {
+        if (this.strict) {
+          throw new Error(`Failed to render template ${error.message}`)
+        } else if (this.verbose) {
+          console.warn(`⚠️  Skipping template ${error.message}`)
+        }
+      }
+    }
+
+    return rendered
+  }
+
   /**
    * Merge custom templates with defaults
    * Custom templates override defaults, but defaults fill in gaps
@@ -248,7 +302,9 @@ class TemplateLoader {
             }
           }
         } else {
-          const custom = await this.loadTemplates(customDir, customDir, false)
+          const custom = this.renderTemplates(
+            await this.loadTemplates(customDir, customDir, false)
+          )
           Object.assign(merged, custom) // Custom templates override defaults
 
           if (this.verbose && Object.keys(custom).length > 0) {
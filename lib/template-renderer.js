@@ -0,0 +1,817 @@
+/**
+ * Custom template rendering
+ *
+ * Files in a --template directory ending in `.tmpl` are rendered against a
+ * template context before use and stored under their name without the
+ * suffix (`ci/gitlab-ci.yml.tmpl` overrides `ci/gitlab-ci.yml`). Other files
+ * are copied verbatim, so existing template sets keep working.
+ *
+ * Syntax:
+ *   {{ nodeVersion }}                       value from the context
+ *   {{#if packageManager == "pnpm"}} ... {{else if pnp}} ... {{else}} ... {{/if}}
+ *   {{#unless typescript}} ... {{/unless}}
+ *   {{> setup-node}}                        partials/setup-node(.tmpl)
+ *   {{! comment }}
+ *   \{{ literal }}                          renders "{{ literal }}"
+ *
+ * Conditions are a value, `!value`, or a comparison (==, !=, >=, <=, >, <)
+ * with a string or number literal, joined with && and ||. GitHub Actions
+ * expressions (`${{ ... }}`) pass through untouched. Block tags and partials
+ * on a line of their own leave no blank line behind, and a partial on its
+ * own line is indented like the tag (for YAML).
+ */
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const {
+  getPackageManagerInfo,
+  getPackageManagerCommands,
+} = require('./package-utils')
+const { suggestClosest } = require('./commands/cli-parser')
+const { loadQualityConfig } = require('./quality-config')
+
+const TEMPLATE_EXTENSION = '.tmpl'
+const PARTIALS_DIR = 'partials'
+const MAX_PARTIAL_DEPTH = 10
+
+/**
+ * Template context fields, as documented in the README
+ */
+const TEMPLATE_CONTEXT_FIELDS = {
+  projectName: 'package.json name, or the directory name',
+  nodeVersion: 'Node.js major version from .nvmrc or engines.node ("20")',
+  packageManager: 'npm, pnpm, yarn or bun',
+  yarnBerry: 'true for Yarn 2+ (.yarnrc.yml)',
+  pnp: "true for Yarn Plug'n'Play installs (no node_modules)",
+  lockfile: 'Lockfile name, e.g. pnpm-lock.yaml',
+  'commands.install':
+    'Frozen-lockfile install, e.g. pnpm install --frozen-lockfile',
+  'commands.run': 'Script runner, e.g. pnpm run',
+  'commands.test': 'Test script, e.g. pnpm test',
+  'commands.exec': 'Run an installed binary, e.g. pnpm exec',
+  'commands.dlx': 'Download and run a package, e.g. pnpm dlx',
+  'commands.audit': 'Dependency audit, e.g. pnpm audit --audit-level high',
+  maturity: 'minimal, bootstrap, development or production-ready',
+  projectType: 'saas, webapp, api, cli, library, docs or default',
+  ciProvider: 'github, gitlab or circleci',
+  typescript: 'true when tsconfig.json or a typescript dependency exists',
+  python: 'true when pyproject.toml, requirements.txt or setup.py exists',
+}
+
+// \{{ escape | ${{ GitHub expression }} | {{ tag }}
+const TOKEN_PATTERN = /\\\{\{|\$\{\{[\s\S]*?\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g
+const COMPARISON_PATTERN = /^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/
+const KEY_PATTERN = /^[A-Za-z_$][\w$]*$/
+
+/**
+ * @param {string} text - Tag or operand
+ * @returns {boolean} Whether it is a dotted variable path
+ */
+function isVariablePath(text) {
+  return text.split('.').every(key => KEY_PATTERN.test(key))
+}
+
+/**
+ * @param {string} file - Template file for error messages
+ * @param {number} line - 1-based line
+ * @param {string} message - What went wrong
+ * @returns {Error}
+ */
+function templateError(file, line, message) {
+  return new Error(`${file}:${line}: ${message}`)
+}
+
+/**
+ * Split a template into text and tag tokens, stripping the whitespace
+ * around standalone block tags
+ * @param {string} source - Template source
+ * @returns {Array<{type: 'text'|'tag', value: string, line: number, indent?: string}>}
+ */
+function tokenize(source) {
+  /** @type {Array<{type: 'text'|'tag', value: string, line: number, indent?: string}>} */
+  const tokens = []
+  let line = 1
+  let last = 0
+
+  const pushText = text => {
+    if (text) {
+      tokens.push({ type: 'text', value: text, line })
+      line += text.split('\n').length - 1
+    }
+  }
+
+  for (const match of source.matchAll(TOKEN_PATTERN)) {
+    pushText(source.slice(last, match.index))
+    last = match.index + match[0].length
+    if (match[0] === '\\{{') {
+      pushText('{{')
+    } else if (match[0].startsWith('$')) {
+      pushText(match[0])
+    } else {
+      tokens.push({ type: 'tag', value: match[1], line })
+      line += match[0].split('\n').length - 1
+    }
+  }
+  pushText(source.slice(last))
+
+  // Standalone block tags, comments and partials take their line with them.
+  // Decide on the original text first: neighbouring tags share text tokens
+  const standalone = tokens.map((token, index) => {
+    if (token.type !== 'tag' || !/^[#/!>]|^else\b/.test(token.value)) {
+      return null
+    }
+    const previous = tokens[index - 1]
+    const next = tokens[index + 1]
+    let indent = ''
+    let trailing = ''
+    if (previous) {
+      const match =
+        previous.type === 'text' && previous.value.match(/(^|\n)([ \t]*)$/)
+      // Whitespace after another tag on the same line is not a line start
+      if (!match || (!match[1] && index > 1)) {
+        return null
+      }
+      indent = match[2]
+    }
+    if (next) {
+      const lineEnd =
+        index + 2 < tokens.length ? /^[ \t]*\r?\n/ : /^[ \t]*(\r?\n|$)/
+      const match = next.type === 'text' && next.value.match(lineEnd)
+      if (!match) {
+        return null
+      }
+      trailing = match[0]
+    }
+    return { indent, trailing }
+  })
+
+  standalone.forEach((strip, index) => {
+    if (!strip) {
+      return
+    }
+    const previous = tokens[index - 1]
+    const next = tokens[index + 1]
+    if (previous) {
+      previous.value = previous.value.slice(
+        0,
+        previous.value.length - strip.indent.length
+      )
+    }
+    if (next) {
+      next.value = next.value.slice(strip.trailing.length)
+    }
+    tokens[index].indent = strip.indent
+  })
+
+  return tokens
+}
+
+/**
+ * Parse a condition into a predicate over the context
+ * @param {string} expression - Condition source
+ * @param {string} file - Template file for error messages
+ * @param {number} line - Line of the tag
+ * @returns {{paths: string[], test: (lookup: (path: string) => any) => boolean}}
+ */
+function parseCondition(expression, file, line) {
+  /** @type {string[]} */
+  const paths = []
+
+  const parseOperand = text => {
+    const operand = text.trim()
+    if (/^"[^"]*"$|^'[^']*'$/.test(operand)) {
+      const value = operand.slice(1, -1)
+      return () => value
+    }
+    if (/^-?[\d.]+$/.test(operand) && !isNaN(Number(operand))) {
+      const value = Number(operand)
+      return () => value
+    }
+    if (operand === 'true' || operand === 'false') {
+      const value = operand === 'true'
+      return () => value
+    }
+    if (!isVariablePath(operand)) {
+      throw templateError(file, line, `Invalid operand "${operand}"`)
+    }
+    paths.push(operand)
+    return lookup => lookup(operand)
+  }
+
+  const parseTerm = text => {
+    const term = text.trim()
+    if (!term) {
+      throw templateError(file, line, `Empty condition in "${expression}"`)
+    }
+    if (term.startsWith('!')) {
+      const inner = parseTerm(term.slice(1))
+      return lookup => !inner(lookup)
+    }
+    const comparison = term.match(COMPARISON_PATTERN)
+    if (!comparison) {
+      const value = parseOperand(term)
+      return lookup => Boolean(value(lookup))
+    }
+    const left = parseOperand(comparison[1])
+    const right = parseOperand(comparison[3])
+    const operator = comparison[2]
+    return lookup => {
+      const a = left(lookup)
+      const b = right(lookup)
+      if (operator === '==') return String(a) === String(b)
+      if (operator === '!=') return String(a) !== String(b)
+      // "20" >= 18: node versions come as strings
+      const [x, y] =
+        isNaN(Number(a)) || isNaN(Number(b))
+          ? [String(a), String(b)]
+          : [Number(a), Number(b)]
+      if (operator === '>=') return x >= y
+      if (operator === '<=') return x <= y
+      if (operator === '>') return x > y
+      return x < y
+    }
+  }
+
+  const alternatives = expression.split('||').map(alternative => {
+    const terms = alternative.split('&&').map(parseTerm)
+    return lookup => terms.every(term => term(lookup))
+  })
+
+  return {
+    paths,
+    test: lookup => alternatives.some(alternative => alternative(lookup)),
+  }
+}
+
+/**
+ * Parse a template into a node tree
+ * @param {string} source - Template source
+ * @param {string} [file='template'] - Template file for error messages
+ * @returns {{nodes: Object[], paths: string[], partials: string[]}} Tree plus the variables and partials it references
+ */
+function parseTemplate(source, file = 'template') {
+  const root = []
+  const paths = []
+  const partials = []
+  // Each open block: the chain of if nodes ({{else if}} adds one) and the tag
+  const stack = []
+  let output = root
+
+  const currentBranch = () => {
+    const block = stack[stack.length - 1]
+    const node = block.chain[block.chain.length - 1]
+    return node.inElse ? node.otherwise : node.then
+  }
+
+  for (const token of tokenize(source)) {
+    if (token.type === 'text') {
+      output.push({ type: 'text', value: token.value })
+      continue
+    }
+
+    const tag = token.value
+    const { line } = token
+    const block = tag.match(/^#(if|unless)\s+([\s\S]+)$/)
+    const elseIf = tag.match(/^else\s+if\s+([\s\S]+)$/)
+
+    if (tag.startsWith('!')) {
+      continue
+    } else if (block) {
+      const condition = parseCondition(block[2], file, line)
+      paths.push(...condition.paths)
+      const node = {
+        type: 'if',
+        line,
+        negate: block[1] === 'unless',
+        condition,
+        then: [],
+        otherwise: [],
+        inElse: false,
+      }
+      output.push(node)
+      stack.push({ tag: block[1], line, chain: [node] })
+      output = node.then
+    } else if (elseIf || tag === 'else') {
+      const open = stack[stack.length - 1]
+      const node = open && open.chain[open.chain.length - 1]
+      if (!node || node.inElse) {
+        throw templateError(file, line, `Unexpected {{${tag}}}`)
+      }
+      node.inElse = true
+      if (elseIf) {
+        const condition = parseCondition(elseIf[1], file, line)
+        paths.push(...condition.paths)
+        const next = {
+          type: 'if',
+          line,
+          negate: false,
+          condition,
+          then: [],
+          otherwise: [],
+          inElse: false,
+        }
+        node.otherwise.push(next)
+        open.chain.push(next)
+      }
+      output = currentBranch()
+    } else if (tag.startsWith('/')) {
+      const name = tag.slice(1).trim()
+      const open = stack.pop()
+      if (!open) {
+        throw templateError(file, line, `Unexpected {{/${name}}}`)
+      }
+      if (open.tag !== name) {
+        throw templateError(
+          file,
+          line,
+          `{{/${name}}} closes {{#${open.tag}}} from line ${open.line}`
+        )
+      }
+      output = stack.length ? currentBranch() : root
+    } else if (tag.startsWith('>')) {
+      const name = tag.slice(1).trim()
+      if (!/^[\w./-]+$/.test(name)) {
+        throw templateError(file, line, `Invalid partial name "${name}"`)
+      }
+      partials.push(name)
+      output.push({ type: 'partial', name, indent: token.indent, line })
+    } else if (isVariablePath(tag)) {
+      paths.push(tag)
+      output.push({ type: 'variable', path: tag, line })
+    } else {
+      throw templateError(file, line, `Invalid tag {{${tag}}}`)
+    }
+  }
+
+  if (stack.length) {
+    const open = stack[stack.length - 1]
+    throw templateError(
+      file,
+      open.line,
+      `{{#${open.tag}}} is never closed with {{/${open.tag}}}`
+    )
+  }
+
+  return { nodes: root, paths: [...new Set(paths)], partials }
+}
+
+/**
+ * Resolve a dotted path in the context, failing on unknown names
+ * @param {Object} context - Template context
+ * @param {string} variable - Dotted path
+ * @param {string} file - Template file for error messages
+ * @param {number} line - Line of the reference
+ * @returns {any}
+ */
+function lookupVariable(context, variable, file, line) {
+  let value = context
+  let resolved = ''
+  for (const key of variable.split('.')) {
+    if (
+      value === null ||
+      typeof value !== 'object' ||
+      !Object.prototype.hasOwnProperty.call(value, key)
+    ) {
+      const candidates =
+        value && typeof value === 'object'
+          ? Object.keys(value).map(name =>
+              resolved ? `${resolved}.${name}` : name
+            )
+          : []
+      const suggestion = suggestClosest(variable, candidates)
+      throw templateError(
+        file,
+        line,
+        `Unknown variable "${variable}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+      )
+    }
+    value = value[key]
+    resolved = resolved ? `${resolved}.${key}` : key
+  }
+  return value
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {Object} context - Values for variables and conditions
+ * @param {Object} [options]
+ * @param {Record<string, string>} [options.partials] - Partial sources by name
+ * @param {string} [options.file] - Template file for error messages
+ * @returns {string} Rendered content
+ */
+function renderTemplate(source, context, options = {}) {
+  const { partials = {}, file = 'template' } = options
+
+  const render = (templateSource, templateFile, stack) => {
+    const { nodes } = parseTemplate(templateSource, templateFile)
+    const renderNodes = list =>
+      list
+        .map(node => {
+          if (node.type === 'text') {
+            return node.value
+          }
+          if (node.type === 'variable') {
+            const value = lookupVariable(
+              context,
+              node.path,
+              templateFile,
+              node.line
+            )
+            if (value !== null && typeof value === 'object') {
+              throw templateError(
+                templateFile,
+                node.line,
+                `"${node.path}" is an object; use one of its fields`
+              )
+            }
+            return value === undefined || value === null ? '' : String(value)
+          }
+          if (node.type === 'partial') {
+            return renderPartial(node, templateFile, stack)
+          }
+          const line = node.line
+          const matched = node.condition.test(variable =>
+            lookupVariable(context, variable, templateFile, line)
+          )
+          return renderNodes(
+            matched !== node.negate ? node.then : node.otherwise
+          )
+        })
+        .join('')
+    return renderNodes(nodes)
+  }
+
+  const renderPartial = (node, templateFile, stack) => {
+    const name = node.name.replace(/\.tmpl$/, '')
+    if (!Object.prototype.hasOwnProperty.call(partials, name)) {
+      const suggestion = suggestClosest(name, Object.keys(partials))
+      throw templateError(
+        templateFile,
+        node.line,
+        `Unknown partial "${name}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`
+      )
+    }
+    if (stack.includes(name) || stack.length >= MAX_PARTIAL_DEPTH) {
+      throw templateError(
+        templateFile,
+        node.line,
+        `Partial "${name}" includes itself (${[...stack, name].join(' → ')})`
+      )
+    }
+    const content = render(partials[name], path.join(PARTIALS_DIR, name), [
+      ...stack,
+      name,
+    ])
+    if (node.indent === undefined || !content) {
+      return content
+    }
+    // Standalone partial: indent every line like the tag, end with its newline
+    const lines = content.replace(/\n$/, '').split('\n')
+    return lines
+      .map(partialLine => (partialLine ? node.indent + partialLine : ''))
+      .join('\n')
+      .concat('\n')
+  }
+
+  return render(source, file, [])
+}
+
+/**
+ * Split a loaded template map into templates to render and partials
+ * @param {Record<string, string>} templates - Relative path → content
+ * @returns {{templates: Record<string, string>, partials: Record<string, string>}} Templates keep the `.tmpl` suffix; partials are keyed by name without it
+ */
+function splitPartials(templates) {
+  /** @type {Record<string, string>} */
+  const rest = {}
+  /** @type {Record<string, string>} */
+  const partials = {}
+  for (const [file, content] of Object.entries(templates)) {
+    const segments = file.split(path.sep)
+    if (segments[0] === PARTIALS_DIR && segments.length > 1) {
+      partials[
+        segments
+          .slice(1)
+          .join('/')
+          .replace(/\.tmpl$/, '')
+      ] = content
+    } else {
+      rest[file] = content
+    }
+  }
+  return { templates: rest, partials }
+}
+
+/**
+ * Command and lockfile fields for a package manager
+ * @param {{name: string, yarnBerry?: boolean, pnp?: boolean, lockfile?: string}} info - getPackageManagerInfo result
+ */
+function packageManagerFields(info) {
+  const commands = getPackageManagerCommands(info)
+  return {
+    packageManager: commands.name,
+    yarnBerry: Boolean(info.yarnBerry),
+    pnp: commands.pnp,
+    lockfile: commands.lockfile,
+    commands: {
+      install: info.yarnBerry
+        ? 'yarn install --immutable'
+        : commands.name === 'npm'
+          ? 'npm ci'
+          : `${commands.name} install --frozen-lockfile`,
+      run: commands.run,
+      test: commands.test,
+      exec: commands.exec,
+      dlx: commands.dlx,
+      audit: commands.audit,
+    },
+  }
+}
+
+/**
+ * Read a JSON file, or null when it is missing or invalid
+ * @param {string} filePath - File to read
+ * @returns {any}
+ */
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Build the template context for a project
+ * @param {string} projectPath - Project root
+ * @param {Object} [overrides] - Values that setup already knows (ciProvider, packageManager info, maturity)
+ * @returns {Object} Context documented in TEMPLATE_CONTEXT_FIELDS
+ */
+function buildTemplateContext(projectPath, overrides = {}) {
+  const exists = file => fs.existsSync(path.join(projectPath, file))
+  const pkg = readJson(path.join(projectPath, 'package.json')) || {}
+  const dependencies = { ...pkg.dependencies, ...pkg.devDependencies }
+
+  let nodeVersion = '20'
+  const nvmrc = exists('.nvmrc')
+    ? fs.readFileSync(path.join(projectPath, '.nvmrc'), 'utf8').trim()
+    : ''
+  const engines = String((pkg.engines && pkg.engines.node) || '').match(/\d+/)
+  if (/^v?\d+/.test(nvmrc)) {
+    nodeVersion = nvmrc.replace(/^v/, '').split('.')[0]
+  } else if (engines) {
+    nodeVersion = engines[0]
+  }
+
+  let maturity = overrides.maturity
+  if (!maturity) {
+    let qualityrc = null
+    try {
+      qualityrc = loadQualityConfig(projectPath).config
+    } catch {
+      // Unreadable config or presets: detect below
+    }
+    maturity =
+      qualityrc && qualityrc.maturity && qualityrc.maturity !== 'auto'
+        ? qualityrc.maturity
+        : qualityrc && qualityrc.detected && qualityrc.detected.level
+    if (!maturity) {
+      const { ProjectMaturityDetector } = require('./project-maturity')
+      maturity = new ProjectMaturityDetector({ projectPath }).detect()
+    }
+  }
+
+  const ciProvider =
+    overrides.ciProvider ||
+    (exists('.gitlab-ci.yml')
+      ? 'gitlab'
+      : exists(path.join('.circleci', 'config.yml'))
+        ? 'circleci'
+        : 'github')
+
+  const { detectProjectType } = require('./smart-strategy-generator')
+
+  return {
+    projectName: pkg.name || path.basename(path.resolve(projectPath)),
+    nodeVersion,
+    ...packageManagerFields(
+      overrides.packageManager || getPackageManagerInfo(projectPath)
+    ),
+    maturity,
+    projectType: detectProjectType(projectPath),
+    ciProvider,
+    typescript: exists('tsconfig.json') || 'typescript' in dependencies,
+    python:
+      exists('pyproject.toml') ||
+      exists('requirements.txt') ||
+      exists('setup.py'),
+  }
+}
+
+/**
+ * Contexts `template-lint` renders every template against, covering each
+ * package manager, CI provider and both ends of the maturity range
+ */
+const SAMPLE_CONTEXTS = [
+  {
+    nodeVersion: '20',
+    packageManager: { name: 'npm' },
+    maturity: 'minimal',
+    projectType: 'webapp',
+    ciProvider: 'github',
+    typescript: false,
+    python: false,
+  },
+  {
+    nodeVersion: '22',
+    packageManager: { name: 'pnpm' },
+    maturity: 'production-ready',
+    projectType: 'api',
+    ciProvider: 'gitlab',
+    typescript: true,
+    python: false,
+  },
+  {
+    nodeVersion: '20',
+    packageManager: { name: 'yarn', yarnBerry: true, pnp: true },
+    maturity: 'development',
+    projectType: 'library',
+    ciProvider: 'circleci',
+    typescript: true,
+    python: false,
+  },
+  {
+    nodeVersion: '18',
+    packageManager: { name: 'yarn' },
+    maturity: 'bootstrap',
+    projectType: 'docs',
+    ciProvider: 'github',
+    typescript: false,
+    python: true,
+  },
+  {
+    nodeVersion: '22',
+    packageManager: { name: 'bun', lockfile: 'bun.lock' },
+    maturity: 'production-ready',
+    projectType: 'cli',
+    ciProvider: 'github',
+    typescript: true,
+    python: false,
+  },
+]
+
+/**
+ * Turn a sample (package manager given by name or info object) into a full
+ * template context
+ * @param {Object} sample - Partial context
+ * @returns {Object}
+ */
+function createSampleContext(sample) {
+  const { packageManager = 'npm', ...rest } = sample
+  const info =
+    typeof packageManager === 'string'
+      ? { name: packageManager }
+      : packageManager
+  return {
+    projectName: 'sample-project',
+    ...SAMPLE_CONTEXTS[0],
+    ...packageManagerFields(info),
+    ...rest,
+  }
+}
+
+/**
+ * Describe a context for lint output
+ * @param {Object} context - Template context
+ * @returns {string}
+ */
+function describeContext(context) {
+  const manager = context.yarnBerry
+    ? `yarn berry${context.pnp ? ' pnp' : ''}`
+    : context.packageManager
+  return `${manager}, Node ${context.nodeVersion}, ${context.maturity}, ${context.ciProvider}`
+}
+
+/**
+ * Check that rendered JSON and YAML templates still parse
+ * @param {string} file - Target file name
+ * @param {string} content - Rendered content
+ * @returns {string|null} Parse error
+ */
+function checkRenderedSyntax(file, content) {
+  const format = /\.ya?ml$/.test(file)
+    ? 'YAML'
+    : /\.json$|\.prettierrc$|\.stylelintrc$/.test(file)
+      ? 'JSON'
+      : null
+  try {
+    if (format === 'JSON') {
+      JSON.parse(content)
+    } else if (format === 'YAML') {
+      require('js-yaml').load(content)
+    }
+    return null
+  } catch (error) {
+    return `Rendered output is not valid ${format}: ${error.message.split('\n')[0]}`
+  }
+}
+
+/**
+ * Render every `.tmpl` file of a template directory against sample
+ * contexts: unknown variables, unknown or recursive partials, unbalanced
+ * blocks and rendered JSON/YAML that no longer parses are reported
+ * @param {Record<string, string>} files - Template directory contents (relative path → content)
+ * @param {Object[]} contexts - Full template contexts
+ * @returns {{templates: number, partials: number, problems: Array<{file: string, context: string|null, message: string}>}}
+ */
+function lintTemplates(files, contexts) {
+  const { templates, partials } = splitPartials(files)
+  const problems = []
+  const known = new Set(Object.keys(TEMPLATE_CONTEXT_FIELDS))
+  contexts.forEach(context => {
+    const walk = (value, prefix) =>
+      Object.entries(value).forEach(([key, child]) => {
+        const name = prefix ? `${prefix}.${key}` : key
+        known.add(name)
+        if (child && typeof child === 'object') walk(child, name)
+      })
+    walk(context, '')
+  })
+
+  const sources = [
+    ...Object.entries(templates)
+      .filter(([file]) => file.endsWith(TEMPLATE_EXTENSION))
+      .map(([file, content]) => ({ file, content, partial: false })),
+    ...Object.entries(partials).map(([name, content]) => ({
+      file: path.join(PARTIALS_DIR, name),
+      content,
+      partial: true,
+    })),
+  ]
+
+  sources.forEach(({ file, content, partial }) => {
+    let parsed
+    try {
+      parsed = parseTemplate(content, file)
+    } catch (error) {
+      problems.push({ file, context: null, message: error.message })
+      return
+    }
+
+    // Every reference, including those in branches no sample reaches
+    const unknown = parsed.paths.filter(variable => !known.has(variable))
+    unknown.forEach(variable => {
+      const suggestion = suggestClosest(variable, [...known])
+      problems.push({
+        file,
+        context: null,
+        message: `${file}: Unknown variable "${variable}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+      })
+    })
+
+    // Rendering would only repeat the unknown variables
+    if (partial || unknown.length > 0) {
+      return
+    }
+    const target = file.slice(0, -TEMPLATE_EXTENSION.length)
+    const reported = new Set()
+    contexts.forEach(context => {
+      let message
+      try {
+        const rendered = renderTemplate(content, context, { partials, file })
+        const syntaxError = checkRenderedSyntax(target, rendered)
+        message = syntaxError && `${file}: ${syntaxError}`
+      } catch (error) {
+        message = error.message
+      }
+      // The same failure in every context is reported once
+      if (message && !reported.has(message)) {
+        reported.add(message)
+        problems.push({ file, context: describeContext(context), message })
+      }
+    })
+  })
+
+  return {
+    templates: sources.filter(source => !source.partial).length,
+    partials: Object.keys(partials).length,
+    problems,
+  }
+}
+
+module.exports = {
+  TEMPLATE_EXTENSION,
+  PARTIALS_DIR,
+  TEMPLATE_CONTEXT_FIELDS,
+  SAMPLE_CONTEXTS,
+  parseTemplate,
+  renderTemplate,
+  splitPartials,
+  buildTemplateContext,
+  createSampleContext,
+  describeContext,
+  lintTemplates,
+}
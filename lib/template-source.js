@@ -0,0 +1,415 @@
+/**
+ * Template sources
+ *
+ * Custom templates can come from a local directory, an npm package or a git
+ * repository:
+ *
+ *   ./org-templates                              local directory
+ *   npm:@acme/qa-templates@^2                    npm package (version range)
+ *   git+https://github.com/acme/templates.git#v2 git repository at a tag,
+ *   github:acme/templates#v2                     branch or commit
+ *
+ * Remote sources are fetched into a cache shared between projects
+ * (~/.create-qa-architect/templates) and recorded in the generated-file
+ * manifest with the resolved version (or commit) and an integrity hash of
+ * the template files. Later runs reuse that pinned version, verifying the
+ * cache against the hash; `update` resolves the range again to pick up new
+ * template versions.
+ */
+
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { loadQualityConfig } = require('./quality-config')
+
+const CACHE_DIR_NAME = 'templates'
+
+// Git transports templates are fetched over (ext:: and the like run commands)
+const GIT_SCHEMES = ['https://', 'http://', 'ssh://', 'git://', 'file://']
+const GIT_REF = /^\w[\w./-]*$/
+
+/**
+ * Shared cache for fetched template sources
+ * @returns {string}
+ */
+function getTemplateCacheDir() {
+  return (
+    process.env.QAA_TEMPLATE_CACHE_DIR ||
+    path.join(os.homedir(), '.create-qa-architect', CACHE_DIR_NAME)
+  )
+}
+
+/**
+ * Whether git can fetch a URL without reading any part of it as an option
+ * (a leading `-` in the URL, user or host) or running a command
+ * @param {string} url - Repository URL
+ * @returns {boolean}
+ */
+function isSafeGitUrl(url) {
+  if (/\s/.test(url)) {
+    return false
+  }
+  const scheme = GIT_SCHEMES.find(prefix => url.startsWith(prefix))
+  // scp-like user@host:path
+  const address = scheme ? url.slice(scheme.length) : url
+  if (!scheme && !/^\w[\w.-]*@\w[\w.-]*:./.test(address)) {
+    return false
+  }
+  const authority = address.split('/')[0]
+  return !authority.split('@').some(part => part.startsWith('-'))
+}
+
+/**
+ * Whether a --template value or `templates` setting names a remote source
+ * @param {string} spec - Template source
+ * @returns {boolean}
+ */
+function isRemoteTemplateSpec(spec) {
+  return parseTemplateSource(spec).type !== 'local'
+}
+
+/**
+ * Parse a template source
+ * @param {string} spec - Template source
+ * @returns {{type: 'local', path: string} | {type: 'npm', name: string, range: string} | {type: 'git', url: string, ref: string|null}}
+ */
+function parseTemplateSource(spec) {
+  const value = String(spec).trim()
+
+  if (value.startsWith('npm:')) {
+    const request = value.slice('npm:'.length)
+    // The version separator is the last @ that is not the scope's
+    const at = request.lastIndexOf('@')
+    const name = at > 0 ? request.slice(0, at) : request
+    const range = at > 0 ? request.slice(at + 1) : 'latest'
+    const parts = name.split('/')
+    const validName =
+      parts.every(part => /^[\w.-]+$/.test(part.replace(/^@/, ''))) &&
+      parts.length === (name.startsWith('@') ? 2 : 1)
+    if (!validName || !range) {
+      throw new Error(
+        `Invalid npm template source "${value}" (expected npm:<package>[@<version range>])`
+      )
+    }
+    return { type: 'npm', name, range }
+  }
+
+  const hash = value.indexOf('#')
+  const location = hash === -1 ? value : value.slice(0, hash)
+  const ref = hash === -1 ? null : value.slice(hash + 1) || null
+
+  let url = null
+  if (location.startsWith('github:')) {
+    const repo = location.slice('github:'.length)
+    url = /^\w[\w.-]*\/\w[\w.-]*$/.test(repo)
+      ? `https://github.com/${repo}.git`
+      : ''
+  } else if (
+    location.startsWith('git+') ||
+    location.startsWith('git@') ||
+    location.startsWith('git://') ||
+    location.startsWith('ssh://') ||
+    (/^[a-z]+:\/\//.test(location) && location.endsWith('.git'))
+  ) {
+    url = location.replace(/^git\+/, '')
+  }
+  if (url === null) {
+    return { type: 'local', path: value }
+  }
+
+  if (!isSafeGitUrl(url) || (ref !== null && !GIT_REF.test(ref))) {
+    throw new Error(
+      `Invalid git template source "${value}" (expected git+https://, git+ssh://, git@<host>:<path>, git://, file:// or github:<owner>/<repo>, with an optional #<ref>)`
+    )
+  }
+  return { type: 'git', url, ref }
+}
+
+/**
+ * Integrity hash of a template directory: sha256 over every file's
+ * relative path and content, in a stable order
+ * @param {string} dir - Directory to hash
+ * @returns {string} `sha256-<base64>`
+ */
+function hashDirectory(dir) {
+  const hash = crypto.createHash('sha256')
+  const walk = relative => {
+    const entries = fs
+      .readdirSync(path.join(dir, relative), { withFileTypes: true })
+      .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    for (const entry of entries) {
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name
+      const fullPath = path.join(dir, entryPath)
+      if (entry.isDirectory()) {
+        walk(entryPath)
+      } else if (entry.isSymbolicLink()) {
+        hash.update(`${entryPath}\0->${fs.readlinkSync(fullPath)}\0`)
+      } else if (entry.isFile()) {
+        hash.update(`${entryPath}\0`)
+        hash.update(fs.readFileSync(fullPath))
+        hash.update('\0')
+      }
+    }
+  }
+  walk('')
+  return `sha256-${hash.digest('base64')}`
+}
+
+/**
+ * Last line of a failed command's output, for error messages
+ * @param {import('child_process').SpawnSyncReturns<string>} result
+ * @returns {string}
+ */
+function failureReason(result) {
+  if (result.error) {
+    return result.error.message
+  }
+  const lines = `${result.stderr || ''}`.trim().split('\n')
+  return lines[lines.length - 1] || `exit code ${result.status}`
+}
+
+/**
+ * Download an npm package with `npm pack` and unpack it
+ * @param {{name: string, range: string}} source - Parsed npm source
+ * @param {string|null} version - Exact version to fetch, or null to resolve the range
+ * @param {string} workDir - Empty scratch directory
+ * @returns {{dir: string, resolved: string}}
+ */
+function fetchNpmSource(source, version, workDir) {
+  const request = `${source.name}@${version || source.range}`
+  const result = spawnSync(
+    'npm',
+    [
+      'pack',
+      request,
+      '--json',
+      '--ignore-scripts',
+      '--pack-destination',
+      workDir,
+    ],
+    { encoding: 'utf8', shell: process.platform === 'win32' }
+  )
+  if (result.status !== 0) {
+    throw new Error(`npm pack ${request} failed: ${failureReason(result)}`)
+  }
+
+  const [info] = JSON.parse(result.stdout)
+  const tarball = path.join(workDir, info.filename)
+  // npm pack reports the hash of the tarball it wrote, so the expected
+  // integrity comes from the registry's metadata for the version
+  const published = `${source.name}@${info.version}`
+  const view = spawnSync(
+    'npm',
+    ['view', published, 'dist.integrity', '--json'],
+    { encoding: 'utf8', shell: process.platform === 'win32' }
+  )
+  if (view.status !== 0) {
+    throw new Error(`npm view ${published} failed: ${failureReason(view)}`)
+  }
+  const expected = JSON.parse(view.stdout || 'null')
+  const [algorithm] = String(expected).split('-')
+  if (typeof expected !== 'string' || !crypto.getHashes().includes(algorithm)) {
+    throw new Error(`The registry has no integrity for ${published}`)
+  }
+  const actual = `${algorithm}-${crypto
+    .createHash(algorithm)
+    .update(fs.readFileSync(tarball))
+    .digest('base64')}`
+  if (actual !== expected) {
+    throw new Error(
+      `${published} does not match the registry integrity ${expected}`
+    )
+  }
+
+  const dir = path.join(workDir, 'package')
+  fs.mkdirSync(dir)
+  // npm tarballs wrap everything in package/
+  require('tar').extract({ file: tarball, cwd: dir, strip: 1, sync: true })
+  return { dir, resolved: info.version }
+}
+
+/**
+ * Shallow-fetch a git repository at a ref or commit
+ * @param {{url: string, ref: string|null}} source - Parsed git source
+ * @param {string|null} commit - Exact commit to fetch, or null to resolve the ref
+ * @param {string} workDir - Empty scratch directory
+ * @returns {{dir: string, resolved: string}}
+ */
+function fetchGitSource(source, commit, workDir) {
+  const dir = path.join(workDir, 'checkout')
+  const git = args => spawnSync('git', args, { cwd: dir, encoding: 'utf8' })
+  const ref = commit || source.ref || 'HEAD'
+  // The commit comes from the manifest, which may be edited by hand
+  if (!GIT_REF.test(ref)) {
+    throw new Error(`Invalid git ref "${ref}" for ${source.url}`)
+  }
+
+  fs.mkdirSync(dir)
+  git(['init', '-q'])
+  const fetched = git([
+    'fetch',
+    '--depth',
+    '1',
+    '--quiet',
+    '--',
+    source.url,
+    ref,
+  ])
+  if (fetched.status !== 0) {
+    throw new Error(
+      `git fetch ${source.url} ${ref} failed: ${failureReason(fetched)}`
+    )
+  }
+  git(['checkout', '-q', 'FETCH_HEAD'])
+  const resolved = git(['rev-parse', 'HEAD']).stdout.trim()
+  fs.rmSync(path.join(dir, '.git'), { recursive: true, force: true })
+  return { dir, resolved }
+}
+
+/**
+ * Cache directory of a resolved source
+ * @param {string} cacheDir - Template cache root
+ * @param {{type: 'npm', name: string} | {type: 'git', url: string}} source - Parsed remote source
+ * @param {string} resolved - Version or commit
+ * @returns {string}
+ */
+function getCachePath(cacheDir, source, resolved) {
+  if (source.type === 'npm') {
+    return path.join(
+      cacheDir,
+      'npm',
+      `${source.name.replace('/', '+')}@${resolved}`
+    )
+  }
+  const repo = crypto
+    .createHash('sha256')
+    .update(source.url)
+    .digest('hex')
+    .slice(0, 16)
+  return path.join(cacheDir, 'git', `${repo}@${resolved}`)
+}
+
+/**
+ * Fetch a source into the cache
+ * @param {{type: 'npm', name: string, range: string} | {type: 'git', url: string, ref: string|null}} source - Parsed remote source
+ * @param {string|null} exact - Pinned version/commit, or null to resolve
+ * @param {string} cacheDir - Template cache root
+ * @returns {{dir: string, resolved: string, integrity: string}}
+ */
+function fetchIntoCache(source, exact, cacheDir) {
+  fs.mkdirSync(cacheDir, { recursive: true })
+  const workDir = fs.mkdtempSync(path.join(cacheDir, '.fetch-'))
+  try {
+    const fetched =
+      source.type === 'npm'
+        ? fetchNpmSource(source, exact, workDir)
+        : fetchGitSource(source, exact, workDir)
+    const integrity = hashDirectory(fetched.dir)
+    const target = getCachePath(cacheDir, source, fetched.resolved)
+
+    if (!fs.existsSync(target) || hashDirectory(target) !== integrity) {
+      fs.rmSync(target, { recursive: true, force: true })
+      fs.mkdirSync(path.dirname(target), { recursive: true })
+      fs.renameSync(fetched.dir, target)
+    }
+    return { dir: target, resolved: fetched.resolved, integrity }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Resolve a template source to a local directory
+ *
+ * Local paths resolve against the project. Remote sources reuse the
+ * version pinned in the manifest (`pinned`, when it was recorded for the
+ * same spec) from the cache, fetching it again if the cache is missing or
+ * does not match the recorded integrity; without a pin, or with `update`,
+ * the range or ref is resolved to its newest version.
+ * @param {string} spec - Template source
+ * @param {Object} [options]
+ * @param {string} [options.projectPath] - Project root for local paths
+ * @param {{spec: string, type: string, resolved: string, integrity: string}|null} [options.pinned] - templateSource from the manifest
+ * @param {boolean} [options.update] - Resolve the newest matching version
+ * @param {string} [options.cacheDir] - Template cache root
+ * @returns {{path: string, source: {spec: string, type: string, resolved: string, integrity: string}|null, fetched: boolean, previous: string|null}}
+ */
+function resolveTemplateSource(spec, options = {}) {
+  const {
+    projectPath = process.cwd(),
+    pinned = null,
+    update = false,
+    cacheDir = getTemplateCacheDir(),
+  } = options
+  const source = parseTemplateSource(spec)
+
+  if (source.type === 'local') {
+    return {
+      path: path.resolve(projectPath, source.path),
+      source: null,
+      fetched: false,
+      previous: null,
+    }
+  }
+
+  const pin = pinned && pinned.spec === spec ? pinned : null
+  const record = fetched => ({
+    spec,
+    type: source.type,
+    resolved: fetched.resolved,
+    integrity: fetched.integrity,
+  })
+
+  if (pin && !update) {
+    const cached = getCachePath(cacheDir, source, pin.resolved)
+    if (fs.existsSync(cached) && hashDirectory(cached) === pin.integrity) {
+      return { path: cached, source: pin, fetched: false, previous: null }
+    }
+
+    const fetched = fetchIntoCache(source, pin.resolved, cacheDir)
+    if (fetched.integrity !== pin.integrity) {
+      throw new Error(
+        `Templates ${spec} at ${pin.resolved} do not match the integrity recorded in the manifest (${pin.integrity}, got ${fetched.integrity}). Run "update" to accept the new content.`
+      )
+    }
+    return { path: fetched.dir, source: pin, fetched: true, previous: null }
+  }
+
+  const fetched = fetchIntoCache(source, null, cacheDir)
+  return {
+    path: fetched.dir,
+    source: record(fetched),
+    fetched: true,
+    previous: pin ? pin.resolved : null,
+  }
+}
+
+/**
+ * The `templates` source configured in .qualityrc.json
+ * @param {string} projectPath - Project root
+ * @returns {string|null}
+ */
+function loadConfiguredTemplateSource(projectPath) {
+  try {
+    const { config } = loadQualityConfig(projectPath)
+    return typeof config.templates === 'string' ? config.templates : null
+  } catch (error) {
+    if (process.env.DEBUG) {
+      console.warn(`⚠️  Could not read templates setting: ${error.message}`)
+    }
+    return null
+  }
+}
+
+module.exports = {
+  getTemplateCacheDir,
+  isRemoteTemplateSpec,
+  parseTemplateSource,
+  hashDirectory,
+  resolveTemplateSource,
+  loadConfiguredTemplateSource,
+}
@@ -0,0 +1,475 @@
+#!/usr/bin/env node
+'use strict'
+
+/**
+ * Coverage-based test impact selection for the Smart Test Strategy
+ *
+ * Setup copies this file to scripts/test-impact.js next to smart-risk.js, so
+ * it must only use Node built-ins. Opt in with
+ * "smartStrategy": { "testImpact": { "enabled": true } } in .qualityrc.json.
+ *
+ *   node scripts/test-impact.js record
+ *     Runs the tests with coverage (each Jest/Vitest test file on its own,
+ *     pytest once with per-test contexts) and stores the files every test
+ *     file covers in the index.
+ *
+ *   node scripts/test-impact.js run < changed-files
+ *     Runs only the test files covering the changed files. Exits with
+ *     FALLBACK when the index is missing or stale, or a change can't be
+ *     traced through coverage; smart-test-strategy.sh then runs the tier
+ *     command instead.
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { loadSmartStrategyConfig } = require('./smart-risk')
+
+const INDEX_VERSION = 1
+const FALLBACK = 3
+
+const TEST_FILE =
+  /(\.(test|spec)\.[cm]?[jt]sx?$|(^|\/)__tests__\/|(^|\/)test_[^/]*\.py$|_test\.py$)/
+// Coverage shows code a test loaded, not configs, fixtures or snapshots it
+// read; a changed file of another kind can't be traced to tests
+const CODE_FILE = /\.([cm]?[jt]sx?|py)$/
+const DOC_FILE = /(\.(md|mdx|rst|txt|png|jpe?g|gif|svg)$|(^|\/)LICENSE$)/i
+// Files every test depends on
+const SHARED_FILE =
+  /(^|\/)(package\.json|package-lock\.json|pnpm-lock\.yaml|yarn\.lock|bun\.lockb?|tsconfig[\w.-]*\.json|(jest|vitest|vite|babel)\.config\.[cm]?[jt]s|\.babelrc|conftest\.py|pytest\.ini|pyproject\.toml|setup\.cfg|tox\.ini|requirements[\w.-]*\.txt)$/
+
+// Command running a list of test files
+const RUNNERS = {
+  jest: { name: 'Jest', run: ['npx', 'jest', '--runTestsByPath'] },
+  vitest: { name: 'Vitest', run: ['npx', 'vitest', 'run'] },
+  pytest: { name: 'pytest', run: ['python3', '-m', 'pytest'] },
+}
+
+/**
+ * @param {string[]} args - git arguments
+ * @param {string} cwd - Repository path
+ * @returns {string|null} Trimmed stdout, or null when git fails
+ */
+function git(args, cwd) {
+  const result = spawnSync('git', args, { cwd, encoding: 'utf8' })
+  return result.status === 0 ? result.stdout.trim() : null
+}
+
+/**
+ * Test runner from the project's dependencies and config files
+ * @param {string} projectPath - Project root
+ * @returns {string|null} Key of RUNNERS
+ */
+function detectRunner(projectPath) {
+  let pkg = {}
+  try {
+    pkg = JSON.parse(
+      fs.readFileSync(path.join(projectPath, 'package.json'), 'utf8')
+    )
+  } catch {
+    // Not a Node project
+  }
+  const deps = { ...pkg.dependencies, ...pkg.devDependencies }
+  if (deps.vitest) return 'vitest'
+  if (deps.jest) return 'jest'
+
+  const pytestFiles = ['pytest.ini', 'conftest.py', 'tests/conftest.py']
+  if (pytestFiles.some(file => fs.existsSync(path.join(projectPath, file)))) {
+    return 'pytest'
+  }
+  const pyproject = path.join(projectPath, 'pyproject.toml')
+  if (
+    fs.existsSync(pyproject) &&
+    fs.readFileSync(pyproject, 'utf8').includes('[tool.pytest')
+  ) {
+    return 'pytest'
+  }
+  return null
+}
+
+/**
+ * Files with executed statements in an istanbul coverage-final.json
+ * @param {Object} coverage - Parsed coverage-final.json
+ * @param {string} projectPath - Project root
+ * @returns {string[]} Project-relative paths
+ */
+function parseIstanbulCoverage(coverage, projectPath) {
+  return Object.entries(coverage)
+    .filter(([, data]) => Object.values(data.s || {}).some(count => count > 0))
+    .map(([file]) =>
+      path
+        .relative(projectPath, path.resolve(projectPath, file))
+        .split(path.sep)
+        .join('/')
+    )
+    .filter(file => !file.startsWith('../') && !file.includes('node_modules/'))
+    .sort()
+}
+
+/**
+ * Files covered by each test file in a `coverage json --show-contexts`
+ * report recorded with `pytest --cov-context=test`
+ * @param {Object} report - Parsed coverage.json
+ * @returns {Object<string, string[]>} Test file to covered files
+ */
+function parseCoveragePyContexts(report) {
+  /** @type {Map<string, Set<string>>} */
+  const tests = new Map()
+  for (const [file, data] of Object.entries(report.files || {})) {
+    for (const contexts of Object.values(data.contexts || {})) {
+      for (const context of contexts) {
+        // "tests/test_app.py::TestApp::test_add|run"; "" is import time
+        const test = context.split('::')[0]
+        if (!test) continue
+        if (!tests.has(test)) tests.set(test, new Set())
+        tests.get(test).add(file.split(path.sep).join('/'))
+      }
+    }
+  }
+  return Object.fromEntries(
+    [...tests.entries()].map(([test, files]) => [test, [...files].sort()])
+  )
+}
+
+/**
+ * Record coverage of every Jest/Vitest test file separately
+ * @param {string} runner - jest or vitest
+ * @param {string} projectPath - Project root
+ * @param {string} tmpDir - Scratch directory for coverage reports
+ * @returns {Object<string, string[]>}
+ */
+function recordJsTests(runner, projectPath, tmpDir) {
+  const listed = git(
+    ['ls-files', '--cached', '--others', '--exclude-standard'],
+    projectPath
+  )
+  const testFiles = (listed || '')
+    .split('\n')
+    .filter(file => TEST_FILE.test(file) && !file.endsWith('.py'))
+    .sort()
+
+  /** @type {Object<string, string[]>} */
+  const tests = {}
+  testFiles.forEach((file, i) => {
+    const dir = path.join(tmpDir, String(i))
+    const args =
+      runner === 'jest'
+        ? [
+            'jest',
+            '--runTestsByPath',
+            file,
+            '--coverage',
+            '--coverageReporters=json',
+            `--coverageDirectory=${dir}`,
+            '--passWithNoTests',
+          ]
+        : [
+            'vitest',
+            'run',
+            file,
+            '--coverage.enabled',
+            '--coverage.reporter=json',
+            `--coverage.reportsDirectory=${dir}`,
+            '--coverage.all=false',
+          ]
+    const result = spawnSync('npx', args, { cwd: projectPath, stdio: 'pipe' })
+    const reportPath = path.join(dir, 'coverage-final.json')
+    if (!fs.existsSync(reportPath)) {
+      console.warn(`   ⚠️  ${file}: no coverage report`)
+      return
+    }
+    tests[file] = parseIstanbulCoverage(
+      JSON.parse(fs.readFileSync(reportPath, 'utf8')),
+      projectPath
+    )
+    const count = tests[file].length
+    const failed = result.status === 0 ? '' : ', tests failed'
+    console.log(
+      `   • ${file} (${count} file${count === 1 ? '' : 's'}${failed})`
+    )
+  })
+  return tests
+}
+
+/**
+ * Record per-test coverage contexts in a single pytest run
+ * @param {string} projectPath - Project root
+ * @param {string} tmpDir - Scratch directory for coverage data
+ * @returns {Object<string, string[]>}
+ */
+function recordPytest(projectPath, tmpDir) {
+  const env = { ...process.env, COVERAGE_FILE: path.join(tmpDir, '.coverage') }
+  const reportPath = path.join(tmpDir, 'coverage.json')
+  spawnSync(
+    'python3',
+    ['-m', 'pytest', '--cov=.', '--cov-context=test', '--cov-report=', '-q'],
+    { cwd: projectPath, env, stdio: 'inherit' }
+  )
+  spawnSync(
+    'python3',
+    ['-m', 'coverage', 'json', '--show-contexts', '-o', reportPath],
+    { cwd: projectPath, env, stdio: 'pipe' }
+  )
+  if (!fs.existsSync(reportPath)) return {}
+  return parseCoveragePyContexts(
+    JSON.parse(fs.readFileSync(reportPath, 'utf8'))
+  )
+}
+
+/**
+ * Run the tests with coverage and write the index
+ * @param {string} projectPath - Project root
+ * @param {{runner?: string|null, indexPath: string}} options - Configured runner and index location
+ * @returns {{success: boolean, index?: Object, error?: string}}
+ */
+function recordIndex(projectPath, options) {
+  const runner = options.runner || detectRunner(projectPath)
+  if (!runner || !RUNNERS[runner]) {
+    return {
+      success: false,
+      error: runner
+        ? `Unsupported test runner: ${runner} (use jest, vitest or pytest)`
+        : 'No Jest, Vitest or pytest setup found - set smartStrategy.testImpact.runner',
+    }
+  }
+  const commit = git(['rev-parse', 'HEAD'], projectPath)
+  if (!commit) {
+    return { success: false, error: 'Recording needs a git repository' }
+  }
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qa-test-impact-'))
+  let tests
+  try {
+    tests =
+      runner === 'pytest'
+        ? recordPytest(projectPath, tmpDir)
+        : recordJsTests(runner, projectPath, tmpDir)
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  }
+
+  if (Object.keys(tests).length === 0) {
+    return {
+      success: false,
+      error: `No coverage recorded - check that ${RUNNERS[runner].name} runs with coverage`,
+    }
+  }
+
+  const index = {
+    version: INDEX_VERSION,
+    runner,
+    commit,
+    recordedAt: new Date().toISOString(),
+    tests,
+  }
+  fs.mkdirSync(path.dirname(options.indexPath), { recursive: true })
+  fs.writeFileSync(options.indexPath, `${JSON.stringify(index, null, 2)}\n`)
+  return { success: true, index }
+}
+
+/**
+ * @param {string} indexPath - Index file
+ * @returns {Object|null} Parsed index, null when missing or unreadable
+ */
+function readIndex(indexPath) {
+  try {
+    return JSON.parse(fs.readFileSync(indexPath, 'utf8'))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Whether the index still describes the checked out code
+ * @param {Object|null} index - Index from readIndex
+ * @param {string} projectPath - Repository path
+ * @param {{runner?: string|null, maxCommitsBehind: number}} options - testImpact config
+ * @returns {{fresh: boolean, reason: string}}
+ */
+function checkIndex(index, projectPath, options) {
+  if (!index) {
+    return { fresh: false, reason: 'no index recorded' }
+  }
+  if (index.version !== INDEX_VERSION || !index.tests) {
+    return { fresh: false, reason: 'index format is outdated' }
+  }
+  if (options.runner && index.runner !== options.runner) {
+    return { fresh: false, reason: `index was recorded with ${index.runner}` }
+  }
+  if (
+    git(['merge-base', '--is-ancestor', index.commit, 'HEAD'], projectPath) ===
+    null
+  ) {
+    return {
+      fresh: false,
+      reason: `recorded at ${String(index.commit).slice(0, 7)}, which is not in the current history`,
+    }
+  }
+  const behind = Number(
+    git(['rev-list', '--count', `${index.commit}..HEAD`], projectPath)
+  )
+  if (behind > options.maxCommitsBehind) {
+    return {
+      fresh: false,
+      reason: `recorded ${behind} commits ago (limit ${options.maxCommitsBehind})`,
+    }
+  }
+  return { fresh: true, reason: `recorded ${behind} commit(s) ago` }
+}
+
+/**
+ * Test files to run for a change set
+ * @param {{tests: Object<string, string[]>}} index - Fresh index
+ * @param {string[]} files - Changed files
+ * @returns {{tests: string[], uncovered: string[], fallback: string|null}} `fallback` explains why selection isn't safe
+ */
+function selectTests(index, files) {
+  const selected = new Set()
+  const uncovered = []
+  let fallback = null
+
+  for (const file of files) {
+    if (SHARED_FILE.test(file)) {
+      fallback = fallback || `${file} affects every test`
+      continue
+    }
+    if (index.tests[file] || TEST_FILE.test(file)) {
+      selected.add(file)
+      continue
+    }
+    const covering = Object.keys(index.tests).filter(test =>
+      index.tests[test].includes(file)
+    )
+    covering.forEach(test => selected.add(test))
+    if (covering.length > 0 || DOC_FILE.test(file)) continue
+
+    uncovered.push(file)
+    if (!CODE_FILE.test(file)) {
+      fallback = fallback || `${file} is not traced by coverage`
+    }
+  }
+
+  return { tests: [...selected].sort(), uncovered, fallback }
+}
+
+/**
+ * @param {string} runner - Key of RUNNERS
+ * @param {string[]} tests - Test files
+ * @param {string|null} [command] - Configured command; the files are appended
+ * @returns {{command: string, args: string[]}}
+ */
+function getRunCommand(runner, tests, command) {
+  if (command) {
+    return { command: 'sh', args: ['-c', `${command} "$@"`, 'sh', ...tests] }
+  }
+  const [bin, ...args] = RUNNERS[runner].run
+  return { command: bin, args: [...args, ...tests] }
+}
+
+/**
+ * Run the tests covering the changed files
+ * @param {string} projectPath - Project root
+ * @param {ReturnType<typeof loadSmartStrategyConfig>['testImpact']} testImpact - testImpact config
+ * @param {string[]} files - Changed files
+ * @returns {number} Exit code, FALLBACK when the tier command should run
+ */
+function runImpactedTests(projectPath, testImpact, files) {
+  const index = readIndex(path.join(projectPath, testImpact.index))
+  const { fresh, reason } = checkIndex(index, projectPath, testImpact)
+  if (!fresh) {
+    console.log(`🧭 Test impact index not usable (${reason})`)
+    console.log(
+      '   Running the tier tests; refresh with: npm run test:impact:record'
+    )
+    return FALLBACK
+  }
+
+  const selection = selectTests(index, files)
+  if (selection.fallback) {
+    console.log(
+      `🧭 Test impact: ${selection.fallback} - running the tier tests`
+    )
+    return FALLBACK
+  }
+
+  const tests = selection.tests.filter(test =>
+    fs.existsSync(path.join(projectPath, test))
+  )
+  console.log(
+    `🧭 Test impact: ${tests.length} of ${Object.keys(index.tests).length} test files cover the changes (index ${reason})`
+  )
+  tests.forEach(test => console.log(`   • ${test}`))
+  if (selection.uncovered.length > 0) {
+    const more =
+      selection.uncovered.length > 3
+        ? ` (+${selection.uncovered.length - 3} more)`
+        : ''
+    console.log(
+      `   ⚠️  Not covered by any test: ${selection.uncovered.slice(0, 3).join(' ')}${more}`
+    )
+  }
+  if (tests.length === 0) {
+    console.log('   No tests to run')
+    return 0
+  }
+
+  const step = getRunCommand(index.runner, tests, testImpact.command)
+  const result = spawnSync(step.command, step.args, {
+    cwd: projectPath,
+    stdio: 'inherit',
+  })
+  return result.status === 0 ? 0 : 1
+}
+
+/**
+ * @param {string[]} argv - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  const projectPath = process.cwd()
+  const { testImpact } = loadSmartStrategyConfig(projectPath)
+
+  if (argv[0] === 'record') {
+    console.log('🧭 Recording test impact index...')
+    const result = recordIndex(projectPath, {
+      runner: testImpact.runner,
+      indexPath: path.join(projectPath, testImpact.index),
+    })
+    if (!result.success) {
+      console.error(`❌ ${result.error}`)
+      return 1
+    }
+    console.log(
+      `✅ Recorded coverage of ${Object.keys(result.index.tests).length} test files in ${testImpact.index}`
+    )
+    return 0
+  }
+
+  if (argv[0] === 'run') {
+    const files = fs
+      .readFileSync(0, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+    return runImpactedTests(projectPath, testImpact, files)
+  }
+
+  console.error('Usage: node scripts/test-impact.js <record|run>')
+  return 2
+}
+
+if (require.main === module) {
+  process.exit(main(process.argv.slice(2)))
+}
+
+module.exports = {
+  FALLBACK,
+  detectRunner,
+  parseIstanbulCoverage,
+  parseCoveragePyContexts,
+  recordIndex,
+  checkIndex,
+  selectTests,
+  getRunCommand,
+}
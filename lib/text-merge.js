@@ -0,0 +1,270 @@
+'use strict'
+
+/**
+ * Line-based diff and three-way merge for generated files
+ *
+ * Generated configs are a few hundred lines at most, so a plain LCS table is
+ * fast enough and keeps this dependency-free.
+ */
+
+/**
+ * Split text into lines, keeping a trailing newline as an empty last line so
+ * joining with '\n' restores the original text
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  return text.split('\n')
+}
+
+/**
+ * Longest common subsequence of two line arrays
+ * @param {string[]} a - First lines
+ * @param {string[]} b - Second lines
+ * @returns {Array<[number, number]>} Matched [indexInA, indexInB] pairs, ascending
+ */
+function matchLines(a, b) {
+  const width = b.length + 1
+  const table = new Uint32Array((a.length + 1) * width)
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i * width + j] =
+        a[i] === b[j]
+          ? table[(i + 1) * width + j + 1] + 1
+          : Math.max(table[(i + 1) * width + j], table[i * width + j + 1])
+    }
+  }
+
+  /** @type {Array<[number, number]>} */
+  const matches = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      matches.push([i, j])
+      i++
+      j++
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++
+    } else {
+      j++
+    }
+  }
+  return matches
+}
+
+/**
+ * Whether two line ranges are identical
+ * @param {string[]} a - Lines
+ * @param {string[]} b - Lines
+ * @returns {boolean}
+ */
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index])
+}
+
+/**
+ * Three-way merge of a generated file (diff3)
+ *
+ * Hunks changed on one side only are taken from that side; hunks changed
+ * identically on both sides are taken once; anything else is a conflict,
+ * written with git-style conflict markers.
+ * @param {string} base - Content the tool generated originally
+ * @param {string} ours - Current content (with local edits)
+ * @param {string} theirs - Content the current templates generate
+ * @param {{oursLabel?: string, theirsLabel?: string}} [labels] - Conflict marker labels
+ * @returns {{content: string, conflicts: number}}
+ */
+function mergeThreeWay(base, ours, theirs, labels = {}) {
+  const { oursLabel = 'local', theirsLabel = 'template' } = labels
+  const baseLines = splitLines(base)
+  const oursLines = splitLines(ours)
+  const theirsLines = splitLines(theirs)
+
+  const oursMatch = new Map(matchLines(baseLines, oursLines))
+  const theirsMatch = new Map(matchLines(baseLines, theirsLines))
+
+  const output = []
+  let conflicts = 0
+  let i = 0
+  let a = 0
+  let b = 0
+
+  while (
+    i < baseLines.length ||
+    a < oursLines.length ||
+    b < theirsLines.length
+  ) {
+    if (
+      i < baseLines.length &&
+      oursMatch.get(i) === a &&
+      theirsMatch.get(i) === b
+    ) {
+      output.push(baseLines[i])
+      i++
+      a++
+      b++
+      continue
+    }
+
+    // Next base line that both sides still contain ends the unstable hunk
+    let next = i
+    while (
+      next < baseLines.length &&
+      !(
+        oursMatch.has(next) &&
+        theirsMatch.has(next) &&
+        oursMatch.get(next) >= a &&
+        theirsMatch.get(next) >= b
+      )
+    ) {
+      next++
+    }
+    const oursEnd =
+      next < baseLines.length ? oursMatch.get(next) : oursLines.length
+    const theirsEnd =
+      next < baseLines.length ? theirsMatch.get(next) : theirsLines.length
+
+    const baseHunk = baseLines.slice(i, next)
+    const oursHunk = oursLines.slice(a, oursEnd)
+    const theirsHunk = theirsLines.slice(b, theirsEnd)
+
+    if (sameLines(oursHunk, baseHunk) || sameLines(oursHunk, theirsHunk)) {
+      output.push(...theirsHunk)
+    } else if (sameLines(theirsHunk, baseHunk)) {
+      output.push(...oursHunk)
+    } else {
+      conflicts++
+      output.push(
+        `<<<<<<< ${oursLabel}`,
+        ...oursHunk,
+        '=======',
+        ...theirsHunk,
+        `>>>>>>> ${theirsLabel}`
+      )
+    }
+
+    i = next
+    a = oursEnd
+    b = theirsEnd
+  }
+
+  return { content: output.join('\n'), conflicts }
+}
+
+/**
+ * Unified diff (`diff -u` / git style) between two texts
+ * @param {string|null} before - Old content (null when the file is new)
+ * @param {string|null} after - New content (null when the file is deleted)
+ * @param {{fromFile?: string, toFile?: string, context?: number}} [options] - Header names and context lines
+ * @returns {string} Diff text, empty when the contents are equal
+ */
+function unifiedDiff(before, after, options = {}) {
+  const { fromFile = 'a', toFile = 'b', context = 3 } = options
+  if (before === after) return ''
+
+  const toLines = text => {
+    if (!text) return { lines: [], newlineAtEnd: true }
+    const lines = splitLines(text)
+    const newlineAtEnd = lines[lines.length - 1] === ''
+    return { lines: newlineAtEnd ? lines.slice(0, -1) : lines, newlineAtEnd }
+  }
+  const old = toLines(before)
+  const current = toLines(after)
+
+  // Edit script: [op, line, lastOldLine, lastNewLine]
+  const ops = []
+  let i = 0
+  let j = 0
+  for (const [matchI, matchJ] of [
+    ...matchLines(old.lines, current.lines),
+    [old.lines.length, current.lines.length],
+  ]) {
+    while (i < matchI) {
+      ops.push(['-', old.lines[i], i === old.lines.length - 1, false])
+      i++
+    }
+    while (j < matchJ) {
+      ops.push(['+', current.lines[j], false, j === current.lines.length - 1])
+      j++
+    }
+    if (i < old.lines.length && j < current.lines.length) {
+      ops.push([
+        ' ',
+        old.lines[i],
+        i === old.lines.length - 1,
+        j === current.lines.length - 1,
+      ])
+      i++
+      j++
+    }
+  }
+
+  // A line that ends the file without a newline on one side only differs
+  for (let index = ops.length - 1; index >= 0; index--) {
+    const [op, line, lastOld, lastNew] = ops[index]
+    if (
+      op === ' ' &&
+      (lastOld && !old.newlineAtEnd) !== (lastNew && !current.newlineAtEnd)
+    ) {
+      ops.splice(
+        index,
+        1,
+        ['-', line, lastOld, false],
+        ['+', line, false, lastNew]
+      )
+    }
+  }
+
+  const changed = ops
+    .map((op, index) => (op[0] === ' ' ? -1 : index))
+    .filter(index => index >= 0)
+  const output = [
+    `--- ${before === null ? '/dev/null' : fromFile}`,
+    `+++ ${after === null ? '/dev/null' : toFile}`,
+  ]
+
+  let hunkStart = 0
+  while (hunkStart < changed.length) {
+    let hunkEnd = hunkStart
+    while (
+      hunkEnd + 1 < changed.length &&
+      changed[hunkEnd + 1] - changed[hunkEnd] <= context * 2 + 1
+    ) {
+      hunkEnd++
+    }
+    const from = Math.max(0, changed[hunkStart] - context)
+    const to = Math.min(ops.length, changed[hunkEnd] + context + 1)
+    const hunk = ops.slice(from, to)
+
+    const oldStart = ops.slice(0, from).filter(op => op[0] !== '+').length
+    const newStart = ops.slice(0, from).filter(op => op[0] !== '-').length
+    const oldCount = hunk.filter(op => op[0] !== '+').length
+    const newCount = hunk.filter(op => op[0] !== '-').length
+    const range = (start, count) =>
+      count === 1 ? `${start + 1}` : `${count ? start + 1 : start},${count}`
+
+    output.push(
+      `@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`
+    )
+    for (const [op, line, lastOld, lastNew] of hunk) {
+      output.push(`${op}${line}`)
+      const missingNewline =
+        (lastOld && op !== '+' && !old.newlineAtEnd) ||
+        (lastNew && op !== '-' && !current.newlineAtEnd)
+      if (missingNewline) {
+        output.push('\\ No newline at end of file')
+      }
+    }
+    hunkStart = hunkEnd + 1
+  }
+
+  return `${output.join('\n')}\n`
+}
+
+module.exports = {
+  splitLines,
+  matchLines,
+  mergeThreeWay,
+  unifiedDiff,
+}
@@ -4,6 +4,16 @@
  * @typedef {Error & {code?: string}} ErrWithCode
  */
 
+/**
+ * @typedef {Object} Finding
+ * @property {string} ruleId - Stable rule identifier (e.g. 'docker/env-secret')
+ * @property {'error'|'warning'} severity - Errors fail validation, warnings don't
+ * @property {string} message - Description without the file location
+ * @property {string|null} file - Path relative to the project root
+ * @property {number|null} line - 1-based line number
+ * @property {number|null} column - 1-based column number
+ */
+
 /**
  * Base Validator Class
  * Provides common error handling, state management, and validation patterns
@@ -14,9 +24,20 @@ class BaseValidator {
     this.options = options
     this.issues = []
     this.warnings = []
+    this.findings = []
     this.validationComplete = false
   }
 
+  /**
+   * 1-based line number of a character offset, for finding locations
+   * @param {string} content - File content
+   * @param {number} index - Character offset
+   * @returns {number} Line number
+   */
+  static lineNumberAt(content, index) {
+    return content.slice(0, index).split('\n').length
+  }
+
   /**
    * Check if validation has been run
    */
@@ -38,6 +59,14 @@ class BaseValidator {
     return this.warnings
   }
 
+  /**
+   * Get all issues and warnings as structured findings
+   * @returns {Finding[]}
+   */
+  getFindings() {
+    return this.findings
+  }
+
   /**
    * Check if validation passed (no issues)
    */
@@ -51,6 +80,7 @@ class BaseValidator {
   reset() {
     this.issues = []
     this.warnings = []
+    this.findings = []
     this.validationComplete = false
   }
 
@@ -80,7 +110,7 @@ class BaseValidator {
 
     // Add user-friendly error message
     const errorMessage = this.formatErrorMessage(error, context)
-    this.issues.push(errorMessage)
+    this.addFinding({ ruleId: 'validator-error', message: errorMessage })
   }
 
   /**
@@ -132,20 +162,57 @@ class BaseValidator {
     return `${context}: ${error.message}`
   }
 
+  /**
+   * Record a finding and add its text to the issues or warnings list
+   * @param {Object} finding - Finding details
+   * @param {string} finding.ruleId - Stable rule identifier
+   * @param {string} finding.message - Description without the file location
+   * @param {'error'|'warning'} [finding.severity] - Defaults to 'error'
+   * @param {string} [finding.file] - Path relative to the project root
+   * @param {number} [finding.line] - 1-based line number
+   * @param {number} [finding.column] - 1-based column number
+   * @param {string} [finding.text] - Console text, when it differs from message
+   */
+  addFinding(finding) {
+    const severity = finding.severity === 'warning' ? 'warning' : 'error'
+    this.findings.push({
+      ruleId: finding.ruleId,
+      severity,
+      message: finding.message,
+      file: finding.file || null,
+      line: finding.line || null,
+      column: finding.column || null,
+    })
+
+    const text = finding.text || finding.message
+    if (severity === 'warning') {
+      this.warnings.push(text)
+    } else {
+      this.issues.push(text)
+    }
+  }
+
   /**
    * Add an issue to the issues list
    * @param {string} message - Issue message
+   * @param {Object} [details] - Rule id and location (see addFinding)
    */
-  addIssue(message) {
-    this.issues.push(message)
+  addIssue(message, details = {}) {
+    this.addFinding({ ruleId: 'general', ...details, message })
   }
 
   /**
    * Add a warning to the warnings list
    * @param {string} message - Warning message
+   * @param {Object} [details] - Rule id and location (see addFinding)
    */
-  addWarning(message) {
-    this.warnings.push(message)
+  addWarning(message, details = {}) {
+    this.addFinding({
+      ruleId: 'general',
+      ...details,
+      message,
+      severity: 'warning',
+    })
   }
 
   /**
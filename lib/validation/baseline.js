@@ -0,0 +1,169 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+/**
+ * Validation baseline (.qa-baseline.json)
+ *
+ * Snapshots the error findings of a validation report, keyed by the
+ * line-independent fingerprint from report-formats.js, so legacy repositories
+ * can adopt the validators without fixing every pre-existing finding first.
+ * Later runs only fail on findings that are not in the baseline and report
+ * how many baseline findings have been fixed.
+ *
+ * The file is meant to be committed: it has no timestamps and its entries
+ * are sorted, so it only changes when the findings do.
+ */
+
+const VALIDATION_BASELINE_FILE = '.qa-baseline.json'
+const VALIDATION_BASELINE_VERSION = 1
+
+/**
+ * Read .qa-baseline.json
+ * @param {string} projectPath - Path to project
+ * @returns {{version: number, findings: Object<string, {validator: string, ruleId: string, file: string|null, message: string, count: number}>}|null} Baseline, or null when there is none
+ */
+function loadValidationBaseline(projectPath) {
+  const baselinePath = path.join(projectPath, VALIDATION_BASELINE_FILE)
+  if (!fs.existsSync(baselinePath)) {
+    return null
+  }
+
+  try {
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'))
+    return { version: baseline.version, findings: baseline.findings || {} }
+  } catch (error) {
+    throw new Error(
+      `Could not read ${VALIDATION_BASELINE_FILE}: ${error.message}. Regenerate it with --write-baseline.`
+    )
+  }
+}
+
+/**
+ * Write the error findings of a report to .qa-baseline.json
+ *
+ * Entries of validators that did not run (e.g. `--security-config
+ * --write-baseline`) are kept from the existing baseline.
+ * @param {string} projectPath - Path to project
+ * @param {Object} report - Result of createValidationReport
+ * @returns {{baselinePath: string, count: number}} Written file and number of findings
+ */
+function writeValidationBaseline(projectPath, report) {
+  const ranValidators = new Set(report.validators.map(v => v.name))
+  const existing = loadValidationBaseline(projectPath)
+  const findings = {}
+
+  for (const [fingerprint, entry] of Object.entries(
+    existing ? existing.findings : {}
+  )) {
+    if (!ranValidators.has(entry.validator)) {
+      findings[fingerprint] = entry
+    }
+  }
+
+  for (const finding of report.findings) {
+    if (finding.severity !== 'error') continue
+    const entry = findings[finding.fingerprint]
+    if (entry) {
+      entry.count += 1
+    } else {
+      findings[finding.fingerprint] = {
+        validator: finding.validator,
+        ruleId: finding.ruleId,
+        file: finding.file,
+        message: finding.message,
+        count: 1,
+      }
+    }
+  }
+
+  const sorted = Object.fromEntries(
+    Object.keys(findings)
+      .sort()
+      .map(fingerprint => [fingerprint, findings[fingerprint]])
+  )
+  const baselinePath = path.join(projectPath, VALIDATION_BASELINE_FILE)
+  fs.writeFileSync(
+    baselinePath,
+    `${JSON.stringify(
+      { version: VALIDATION_BASELINE_VERSION, findings: sorted },
+      null,
+      2
+    )}\n`
+  )
+
+  return {
+    baselinePath,
+    count: Object.values(sorted).reduce(
+      (total, entry) => total + entry.count,
+      0
+    ),
+  }
+}
+
+/**
+ * Mark the findings of a report that are covered by the baseline
+ *
+ * A fingerprint seen more often than its baseline count counts as new for
+ * the extra occurrences. `passed` then only depends on new errors.
+ * @param {Object} report - Result of createValidationReport
+ * @param {Object} baseline - Result of loadValidationBaseline
+ * @returns {Object} Report with `finding.baseline` flags and `report.baseline` totals
+ */
+function applyValidationBaseline(report, baseline) {
+  const ranValidators = new Set(report.validators.map(v => v.name))
+  const remaining = {}
+  for (const [fingerprint, entry] of Object.entries(baseline.findings)) {
+    if (ranValidators.has(entry.validator)) {
+      remaining[fingerprint] = entry.count
+    }
+  }
+
+  const findings = report.findings.map(finding => {
+    const known =
+      finding.severity === 'error' && remaining[finding.fingerprint] > 0
+    if (known) {
+      remaining[finding.fingerprint] -= 1
+    }
+    return { ...finding, baseline: known }
+  })
+
+  const isNewError = finding =>
+    finding.severity === 'error' && !finding.baseline
+  const validators = report.validators.map(validator => {
+    const newErrors = findings.filter(
+      f => f.validator === validator.name && isNewError(f)
+    ).length
+    return { ...validator, passed: newErrors === 0 }
+  })
+  const newErrors = findings.filter(isNewError).length
+  const known = findings.filter(f => f.baseline).length
+
+  return {
+    ...report,
+    passed: newErrors === 0,
+    summary: {
+      ...report.summary,
+      failed: validators.filter(v => !v.passed).length,
+    },
+    baseline: {
+      file: VALIDATION_BASELINE_FILE,
+      known,
+      new: newErrors,
+      fixed: Object.values(remaining).reduce(
+        (total, count) => total + count,
+        0
+      ),
+    },
+    validators,
+    findings,
+  }
+}
+
+module.exports = {
+  VALIDATION_BASELINE_FILE,
+  loadValidationBaseline,
+  writeValidationBaseline,
+  applyValidationBaseline,
+}
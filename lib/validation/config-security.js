@@ -7,6 +7,15 @@ const crypto = require('crypto')
 const https = require('https')
 const { execSync, spawnSync } = require('child_process')
 const { showProgress } = require('../ui-helpers')
+const BaseValidator = require('./base-validator')
+const {
+  loadSecurityConfig,
+  normalizeSecurityConfig,
+  matchesRule,
+  isExpired,
+  findIgnoreEntry,
+  findInlineIgnore,
+} = require('./suppressions')
 
 // Pinned gitleaks version for reproducible security scanning
 const GITLEAKS_VERSION = '8.28.0'
@@ -25,14 +34,56 @@ const GITLEAKS_CHECKSUMS = {
     '54230c22688d19939f316cd3e2e040cd067ece40a3a8c5b684e5110c62ecbf52',
 }
 
+/**
+ * High and critical vulnerabilities of an audit report, one entry per
+ * package (npm 7+ `vulnerabilities`) or advisory (npm 6 and pnpm
+ * `advisories`), so fixing one of them leaves the others' fingerprints alone
+ * @param {Object} auditResult - Parsed `audit --json` output
+ * @returns {string[]|null} Package names (with the advisory id), null when the report lists none
+ */
+function listAuditVulnerabilities(auditResult) {
+  const isHigh = entry =>
+    entry && (entry.severity === 'high' || entry.severity === 'critical')
+
+  if (auditResult.advisories && typeof auditResult.advisories === 'object') {
+    return Object.values(auditResult.advisories)
+      .filter(isHigh)
+      .map(advisory => `${advisory.module_name} (advisory ${advisory.id})`)
+  }
+  if (
+    auditResult.vulnerabilities &&
+    typeof auditResult.vulnerabilities === 'object'
+  ) {
+    return Object.entries(auditResult.vulnerabilities)
+      .filter(([, entry]) => isHigh(entry))
+      .map(([name, entry]) => entry.name || name)
+  }
+  return null
+}
+
+/**
+ * Leaks of a gitleaks JSON report (secrets redacted by --redact)
+ * @param {string} reportPath - --report-path of the scan
+ * @returns {Array<{RuleID?: string, File?: string, StartLine?: number}>|null} Null without a readable report
+ */
+function readGitleaksReport(reportPath) {
+  try {
+    const leaks = JSON.parse(fs.readFileSync(reportPath, 'utf8'))
+    return Array.isArray(leaks) ? leaks : null
+  } catch {
+    return null
+  }
+}
+
 /**
  * Configuration Security Scanner
  * Uses mature security tools instead of custom regex heuristics
  */
-class ConfigSecurityScanner {
+class ConfigSecurityScanner extends BaseValidator {
   constructor(options = {}) {
-    this.issues = []
-    this.options = options
+    super(options)
+    this.suppressed = []
+    this.securityConfig = null
 
     // checksumMap dependency injection - FOR TESTING ONLY
     // WARNING: Do not use in production CLI - this bypasses security verification!
@@ -319,7 +370,9 @@ class ConfigSecurityScanner {
   async scanAll() {
     console.log('🔍 Running security scans with mature tools...')
 
-    this.issues = []
+    this.reset()
+    this.suppressed = []
+    this.securityConfig = null
 
     if (!this.options.disableNpmAudit) {
       await this.runNpmAudit()
@@ -337,6 +390,14 @@ class ConfigSecurityScanner {
     await this.scanDockerSecrets()
     await this.scanEnvironmentFiles()
     await this.checkGitignore()
+    this.checkSuppressions()
+    this.validationComplete = true
+
+    if (this.suppressed.length > 0) {
+      console.log(
+        `🔕 ${this.suppressed.length} finding(s) suppressed by security.ignore or qa-architect-ignore comments`
+      )
+    }
 
     if (this.issues.length > 0) {
       console.error(`❌ Found ${this.issues.length} security issue(s):`)
@@ -345,7 +406,118 @@ class ConfigSecurityScanner {
     }
 
     console.log('✅ Security checks passed')
-    return { issues: this.issues, passed: this.issues.length === 0 }
+    return {
+      issues: this.issues,
+      suppressed: this.suppressed,
+      passed: this.issues.length === 0,
+    }
+  }
+
+  /**
+   * The security section of .qualityrc.json (or options.securityConfig)
+   * @returns {{rules: Object<string, string>, ignore: Array}} Normalized config
+   */
+  getSecurityConfig() {
+    if (!this.securityConfig) {
+      this.securityConfig = this.options.securityConfig
+        ? normalizeSecurityConfig(this.options.securityConfig)
+        : loadSecurityConfig(process.cwd())
+    }
+    return this.securityConfig
+  }
+
+  /**
+   * Record a finding unless its rule is turned off in security.rules or it
+   * is suppressed by security.ignore or an inline qa-architect-ignore comment
+   * @param {Object} finding - Finding details (see BaseValidator.addFinding)
+   */
+  addFinding(finding) {
+    const { rules } = this.getSecurityConfig()
+    const rulePattern =
+      finding.ruleId in rules
+        ? finding.ruleId
+        : Object.keys(rules).find(rule => matchesRule(rule, finding.ruleId))
+    const severity = rulePattern ? rules[rulePattern] : finding.severity
+    if (severity === 'off') {
+      return
+    }
+
+    const suppression = this.findSuppression(finding)
+    if (suppression) {
+      this.suppressed.push({ ...finding, suppression })
+      return
+    }
+
+    super.addFinding({ ...finding, severity })
+  }
+
+  /**
+   * Find the config entry or inline comment suppressing a finding
+   * @param {{ruleId: string, file?: string, line?: number}} finding - Finding
+   * @returns {{source: string, justification: string}|null}
+   */
+  findSuppression(finding) {
+    const entry = findIgnoreEntry(finding, this.getSecurityConfig().ignore)
+    if (entry) {
+      return { source: '.qualityrc.json', justification: entry.justification }
+    }
+
+    if (!finding.file || !fs.existsSync(finding.file)) {
+      return null
+    }
+    const stat = fs.statSync(finding.file)
+    if (!stat.isFile()) {
+      return null
+    }
+
+    const comment = findInlineIgnore(
+      finding,
+      fs.readFileSync(finding.file, 'utf8')
+    )
+    if (!comment) {
+      return null
+    }
+
+    const source = `${finding.file}:${comment.line}`
+    if (!comment.justification) {
+      const message = `${source}: qa-architect-ignore for ${finding.ruleId} needs a justification ("qa-architect-ignore ${finding.ruleId} -- reason")`
+      if (!this.issues.includes(message)) {
+        super.addFinding({
+          ruleId: 'suppression/invalid',
+          file: finding.file,
+          line: comment.line,
+          message,
+        })
+      }
+      return null
+    }
+
+    return { source, justification: comment.justification }
+  }
+
+  /**
+   * Report security.ignore entries that are expired or lack a justification;
+   * neither kind suppresses anything
+   */
+  checkSuppressions() {
+    for (const entry of this.getSecurityConfig().ignore) {
+      const scope =
+        entry.paths.length > 0 ? ` in ${entry.paths.join(', ')}` : ''
+
+      if (!entry.justification) {
+        super.addFinding({
+          ruleId: 'suppression/invalid',
+          file: '.qualityrc.json',
+          message: `security.ignore entry for ${entry.rule}${scope} has no justification and is not applied`,
+        })
+      } else if (isExpired(entry)) {
+        super.addFinding({
+          ruleId: 'suppression/expired',
+          file: '.qualityrc.json',
+          message: `security.ignore entry for ${entry.rule}${scope} expired on ${entry.expires} ("${entry.justification}"). Fix the findings or renew the entry.`,
+        })
+      }
+    }
   }
 
   /**
@@ -381,9 +553,11 @@ class ConfigSecurityScanner {
     } catch (error) {
       if (error.signal === 'SIGTERM') {
         // Timeout occurred
-        this.issues.push(
-          `${packageManager} audit: Scan timed out after 60 seconds. Check for network issues or consider running audit manually.`
-        )
+        this.addFinding({
+          ruleId: 'npm-audit/error',
+          file: 'package.json',
+          message: `${packageManager} audit: Scan timed out after 60 seconds. Check for network issues or consider running audit manually.`,
+        })
         return
       }
       // Audit exits with code 1 when vulnerabilities are found
@@ -395,11 +569,26 @@ class ConfigSecurityScanner {
             const total = vulns.high + vulns.critical
             if (total > 0) {
               spinner.fail(
-                `npm audit found ${total} high/critical vulnerabilities`
-              )
-              this.issues.push(
-                `${packageManager} audit: ${total} high/critical vulnerabilities found (${vulns.high} high, ${vulns.critical} critical). Run '${packageManager} audit fix' to resolve.`
+                `npm audit found ${total} high/critical vulnerabilities (${vulns.high} high, ${vulns.critical} critical)`
               )
+              // Counts stay out of the messages: they are part of the
+              // fingerprint that baselines match on
+              const packages = listAuditVulnerabilities(auditResult)
+              if (packages && packages.length > 0) {
+                packages.forEach(name =>
+                  this.addFinding({
+                    ruleId: 'npm-audit/vulnerabilities',
+                    file: 'package.json',
+                    message: `${packageManager} audit: high/critical vulnerability in ${name}. Run '${packageManager} audit fix' to resolve.`,
+                  })
+                )
+              } else {
+                this.addFinding({
+                  ruleId: 'npm-audit/vulnerabilities',
+                  file: 'package.json',
+                  message: `${packageManager} audit: high/critical vulnerabilities found. Run '${packageManager} audit fix' to resolve.`,
+                })
+              }
             } else {
               spinner.succeed(
                 'npm audit completed - no high/critical vulnerabilities'
@@ -414,15 +603,19 @@ class ConfigSecurityScanner {
           if (process.env.QAA_DEBUG || process.env.NODE_ENV === 'test') {
             console.error(`Parse error details: ${parseError.message}`)
           }
-          this.issues.push(
-            `${packageManager} audit: Unable to parse audit output (${parseError.message}). Run '${packageManager} audit --json' manually to inspect vulnerabilities.`
-          )
+          this.addFinding({
+            ruleId: 'npm-audit/error',
+            file: 'package.json',
+            message: `${packageManager} audit: Unable to parse audit output (${parseError.message}). Run '${packageManager} audit --json' manually to inspect vulnerabilities.`,
+          })
         }
       } else {
         spinner.fail('npm audit returned an error with no output')
-        this.issues.push(
-          `${packageManager} audit: Failed with no output. Run '${packageManager} audit --json' manually to inspect vulnerabilities.`
-        )
+        this.addFinding({
+          ruleId: 'npm-audit/error',
+          file: 'package.json',
+          message: `${packageManager} audit: Failed with no output. Run '${packageManager} audit --json' manually to inspect vulnerabilities.`,
+        })
       }
     }
   }
@@ -433,6 +626,11 @@ class ConfigSecurityScanner {
    */
   async runGitleaks() {
     const spinner = showProgress('Scanning for secrets with gitleaks...')
+    // One finding per leak, read from the JSON report
+    const reportPath = path.join(
+      os.tmpdir(),
+      `gitleaks-report-${process.pid}-${Date.now()}.json`
+    )
 
     try {
       // Resolve gitleaks binary with security-focused fallback chain
@@ -440,7 +638,16 @@ class ConfigSecurityScanner {
 
       // Build command - handle npx vs direct binary execution
       const isNpxCommand = gitleaksBinary.startsWith('npx ')
-      const args = ['detect', '--source', '.', '--redact']
+      const args = [
+        'detect',
+        '--source',
+        '.',
+        '--redact',
+        '--report-format',
+        'json',
+        '--report-path',
+        reportPath,
+      ]
       const command = isNpxCommand ? 'npx' : gitleaksBinary
       const commandArgs = isNpxCommand ? ['gitleaks', ...args] : args
 
@@ -474,9 +681,11 @@ class ConfigSecurityScanner {
     } catch (error) {
       if (error.signal === 'SIGTERM') {
         // Timeout occurred
-        this.issues.push(
-          'gitleaks: Scan timed out after 30 seconds. Repository may be too large for comprehensive scanning.'
-        )
+        this.addFinding({
+          ruleId: 'gitleaks/error',
+          message:
+            'gitleaks: Scan timed out after 30 seconds. Repository may be too large for comprehensive scanning.',
+        })
         return
       }
 
@@ -487,14 +696,39 @@ class ConfigSecurityScanner {
           : error.stderr
             ? error.stderr.toString()
             : ''
-        if (output.includes('leaks found') || output.includes('Finding:')) {
+        const leaks = readGitleaksReport(reportPath)
+        const reported = Boolean(leaks && leaks.length > 0)
+        if (
+          reported ||
+          output.includes('leaks found') ||
+          output.includes('Finding:')
+        ) {
           // Extract just the count, not the actual findings
           const leakMatches = output.match(/(\d+)\s+leaks?\s+found/i)
-          const leakCount = leakMatches ? leakMatches[1] : 'some'
-          spinner.fail('gitleaks found potential secrets')
-          this.issues.push(
-            `gitleaks: ${leakCount} potential secret(s) detected in repository. Run gitleaks with --redact for details.`
-          )
+          const leakCount = reported
+            ? leaks.length
+            : leakMatches
+              ? leakMatches[1]
+              : 'some'
+          spinner.fail(`gitleaks found ${leakCount} potential secret(s)`)
+          if (reported) {
+            // The rule and file identify a leak; the line is left out of
+            // the fingerprint like for every other finding
+            leaks.forEach(leak =>
+              this.addFinding({
+                ruleId: 'gitleaks/secret',
+                file: leak.File || null,
+                line: leak.StartLine || null,
+                message: `gitleaks: potential secret (${leak.RuleID || 'unknown rule'}) detected. Run gitleaks with --redact for details.`,
+              })
+            )
+          } else {
+            this.addFinding({
+              ruleId: 'gitleaks/secret',
+              message:
+                'gitleaks: potential secrets detected in repository. Run gitleaks with --redact for details.',
+            })
+          }
         } else {
           spinner.succeed('gitleaks scan completed')
         }
@@ -512,9 +746,10 @@ class ConfigSecurityScanner {
         ) {
           // Missing gitleaks should block security validation, not silently pass
           spinner.fail('gitleaks tool not found')
-          this.issues.push(
-            `gitleaks: Tool not found. Install gitleaks v${GITLEAKS_VERSION}+ for comprehensive secret scanning or use --no-gitleaks to skip.`
-          )
+          this.addFinding({
+            ruleId: 'gitleaks/error',
+            message: `gitleaks: Tool not found. Install gitleaks v${GITLEAKS_VERSION}+ for comprehensive secret scanning or use --no-gitleaks to skip.`,
+          })
         } else {
           // Log the actual error so users know gitleaks failed to run (redact any potential sensitive info)
           const sanitizedError = output
@@ -522,11 +757,14 @@ class ConfigSecurityScanner {
             .replace(/[A-Za-z0-9+/=]{20,}/g, '[REDACTED]')
           spinner.fail('gitleaks failed to run')
           console.warn(`⚠️ gitleaks failed to run: ${sanitizedError}`)
-          this.issues.push(
-            `gitleaks: Failed to run - ${sanitizedError}. Install gitleaks for secret scanning.`
-          )
+          this.addFinding({
+            ruleId: 'gitleaks/error',
+            message: `gitleaks: Failed to run - ${sanitizedError}. Install gitleaks for secret scanning.`,
+          })
         }
       }
+    } finally {
+      fs.rmSync(reportPath, { force: true })
     }
   }
 
@@ -567,10 +805,12 @@ class ConfigSecurityScanner {
         error?.message?.includes('Cannot find module')
       ) {
         spinner.fail('ESLint not found')
-        this.issues.push(
-          'ESLint Security: ESLint is not installed or cannot be loaded. ' +
-            'Install eslint and eslint-plugin-security to enable security validation, or use --no-eslint-security to skip.'
-        )
+        this.addFinding({
+          ruleId: 'eslint/error',
+          message:
+            'ESLint Security: ESLint is not installed or cannot be loaded. ' +
+            'Install eslint and eslint-plugin-security to enable security validation, or use --no-eslint-security to skip.',
+        })
         return
       }
       throw error // Re-throw unexpected errors
@@ -585,17 +825,22 @@ class ConfigSecurityScanner {
     } catch (error) {
       if (error.name === 'SyntaxError' || error.message?.includes('parse')) {
         spinner.fail('ESLint configuration error')
-        this.issues.push(
-          `ESLint Security: ESLint configuration file has errors: ${error.message}. ` +
-            'Fix the configuration or use --no-eslint-security to skip.'
-        )
+        this.addFinding({
+          ruleId: 'eslint/error',
+          file: path.relative(process.cwd(), eslintConfigPath),
+          message:
+            `ESLint Security: ESLint configuration file has errors: ${error.message}. ` +
+            'Fix the configuration or use --no-eslint-security to skip.',
+        })
         return
       }
       spinner.fail('ESLint initialization failed')
-      this.issues.push(
-        `ESLint Security: Failed to initialize ESLint: ${error.message}. ` +
-          'Review the error and fix the issue, or use --no-eslint-security to skip.'
-      )
+      this.addFinding({
+        ruleId: 'eslint/error',
+        message:
+          `ESLint Security: Failed to initialize ESLint: ${error.message}. ` +
+          'Review the error and fix the issue, or use --no-eslint-security to skip.',
+      })
       return
     }
 
@@ -605,10 +850,12 @@ class ConfigSecurityScanner {
       results = await eslint.lintFiles(['.'])
     } catch (error) {
       spinner.fail('ESLint linting failed')
-      this.issues.push(
-        `ESLint Security: Linting failed: ${error.message}. ` +
-          'Review the error and fix the issue, or use --no-eslint-security to skip.'
-      )
+      this.addFinding({
+        ruleId: 'eslint/error',
+        message:
+          `ESLint Security: Linting failed: ${error.message}. ` +
+          'Review the error and fix the issue, or use --no-eslint-security to skip.',
+      })
       return
     }
 
@@ -634,9 +881,14 @@ class ConfigSecurityScanner {
       spinner.fail(`ESLint security found ${securityIssues.length} issue(s)`)
       securityIssues.forEach(issue => {
         const relativePath = path.relative(process.cwd(), issue.file)
-        this.issues.push(
-          `ESLint Security: ${relativePath}:${issue.line}:${issue.column} - ${issue.message} (${issue.rule})`
-        )
+        this.addFinding({
+          ruleId: `eslint/${issue.rule}`,
+          file: relativePath,
+          line: issue.line,
+          column: issue.column,
+          message: `ESLint Security: ${issue.message} (${issue.rule})`,
+          text: `ESLint Security: ${relativePath}:${issue.line}:${issue.column} - ${issue.message} (${issue.rule})`,
+        })
       })
     } else {
       spinner.succeed('ESLint security checks passed')
@@ -680,11 +932,15 @@ class ConfigSecurityScanner {
 
           for (const { pattern, type } of secretPatterns) {
             if (pattern.test(envBlock)) {
-              this.issues.push(
-                `${configFile}: Potential ${type} exposure in env block. ` +
+              this.addFinding({
+                ruleId: 'nextjs/client-env-secret',
+                file: configFile,
+                line: BaseValidator.lineNumberAt(content, match.index),
+                message:
+                  `${configFile}: Potential ${type} exposure in env block. ` +
                   `Variables in 'env' are sent to client bundle. ` +
-                  `Use process.env.${type} server-side instead.`
-              )
+                  `Use process.env.${type} server-side instead.`,
+              })
             }
           }
         }
@@ -705,13 +961,17 @@ class ConfigSecurityScanner {
         // VITE_ prefixed variables are automatically exposed to client
         const viteSecretPattern =
           /VITE_[^=]*(?:SECRET|PASSWORD|PRIVATE|KEY|TOKEN)/gi
-        const matches = content.match(viteSecretPattern)
-
-        if (matches && matches.length > 0) {
-          this.issues.push(
-            `${configFile}: VITE_ prefixed secrets detected: ${matches.join(', ')}. ` +
-              `All VITE_ variables are exposed to client bundle!`
-          )
+        const matches = [...content.matchAll(viteSecretPattern)]
+
+        if (matches.length > 0) {
+          this.addFinding({
+            ruleId: 'vite/client-env-secret',
+            file: configFile,
+            line: BaseValidator.lineNumberAt(content, matches[0].index),
+            message:
+              `${configFile}: VITE_ prefixed secrets detected: ${matches.map(m => m[0]).join(', ')}. ` +
+              `All VITE_ variables are exposed to client bundle!`,
+          })
         }
       }
     }
@@ -725,16 +985,20 @@ class ConfigSecurityScanner {
       const content = fs.readFileSync('Dockerfile', 'utf8')
 
       // Check for hardcoded secrets in ENV statements
-      const envStatements = content.match(/^ENV\s+.+$/gim) || []
+      const envStatements = [...content.matchAll(/^ENV\s+.+$/gim)]
 
-      for (const envStatement of envStatements) {
+      for (const envMatch of envStatements) {
+        const envStatement = envMatch[0]
         const secretPattern =
           /(?:SECRET|PASSWORD|KEY|TOKEN)\s*=\s*["']?[^"\s']+/gi
         if (secretPattern.test(envStatement)) {
           const redacted = this.redactDockerEnv(envStatement)
-          this.issues.push(
-            `Dockerfile: Hardcoded secret in ENV statement: ${redacted}`
-          )
+          this.addFinding({
+            ruleId: 'docker/env-secret',
+            file: 'Dockerfile',
+            line: BaseValidator.lineNumberAt(content, envMatch.index),
+            message: `Dockerfile: Hardcoded secret in ENV statement: ${redacted}`,
+          })
         }
       }
     }
@@ -768,9 +1032,11 @@ class ConfigSecurityScanner {
    */
   async checkGitignore() {
     if (!fs.existsSync('.gitignore')) {
-      this.issues.push(
-        'No .gitignore found. Create one to prevent committing sensitive files.'
-      )
+      this.addFinding({
+        ruleId: 'gitignore/missing',
+        message:
+          'No .gitignore found. Create one to prevent committing sensitive files.',
+      })
       return
     }
 
@@ -779,7 +1045,11 @@ class ConfigSecurityScanner {
 
     for (const pattern of requiredIgnores) {
       if (!gitignore.includes(pattern)) {
-        this.issues.push(`Missing '${pattern}' in .gitignore`)
+        this.addFinding({
+          ruleId: 'gitignore/missing-pattern',
+          file: '.gitignore',
+          message: `Missing '${pattern}' in .gitignore`,
+        })
       }
     }
   }
@@ -800,14 +1070,20 @@ class ConfigSecurityScanner {
 
     if (existingEnvFiles.length > 0) {
       if (!fs.existsSync('.gitignore')) {
-        this.issues.push('Environment files found but no .gitignore exists')
+        this.addFinding({
+          ruleId: 'env-file/not-ignored',
+          file: existingEnvFiles[0],
+          message: 'Environment files found but no .gitignore exists',
+        })
       } else {
         const gitignore = fs.readFileSync('.gitignore', 'utf8')
         for (const envFile of existingEnvFiles) {
           if (!gitignore.includes(envFile) && !gitignore.includes('.env*')) {
-            this.issues.push(
-              `${envFile} exists but not in .gitignore. Add it to prevent secret exposure.`
-            )
+            this.addFinding({
+              ruleId: 'env-file/not-ignored',
+              file: '.gitignore',
+              message: `${envFile} exists but not in .gitignore. Add it to prevent secret exposure.`,
+            })
           }
         }
       }
@@ -815,9 +1091,12 @@ class ConfigSecurityScanner {
 
     // Check for .env.example without corresponding documentation
     if (fs.existsSync('.env.example') && !fs.existsSync('README.md')) {
-      this.issues.push(
-        '.env.example exists but no README.md to document required variables'
-      )
+      this.addFinding({
+        ruleId: 'env-file/undocumented',
+        file: '.env.example',
+        message:
+          '.env.example exists but no README.md to document required variables',
+      })
     }
   }
 }
@@ -3,26 +3,20 @@
 const fs = require('fs')
 const { execSync } = require('child_process')
 const { showProgress } = require('../ui-helpers')
+const BaseValidator = require('./base-validator')
 
 /**
  * Documentation Validator
  * Uses mature tools for comprehensive documentation validation
  */
-class DocumentationValidator {
-  constructor(options = {}) {
-    this.issues = []
-    this.warnings = []
-    this.options = options
-  }
-
+class DocumentationValidator extends BaseValidator {
   /**
    * Validate all documentation
    */
   async validateAll() {
     console.log('📖 Running documentation validation with mature tools...')
 
-    this.issues = []
-    this.warnings = []
+    this.reset()
 
     if (!this.options.disableMarkdownlint) {
       await this.runMarkdownlint()
@@ -32,6 +26,7 @@ class DocumentationValidator {
     await this.validatePackageJsonAlignment()
     await this.validateFileReferences()
     await this.validateScriptReferences()
+    this.validationComplete = true
 
     // Show warnings but don't fail on them
     if (this.warnings.length > 0) {
@@ -113,7 +108,7 @@ class DocumentationValidator {
           // Markdown style is subjective and shouldn't fail CI
           errorLines.forEach(issue => {
             if (issue.trim()) {
-              this.warnings.push(`Markdown lint: ${issue.trim()}`)
+              this.addMarkdownlintWarning(issue.trim())
             }
           })
 
@@ -133,12 +128,43 @@ class DocumentationValidator {
     }
   }
 
+  /**
+   * Record one markdownlint-cli2 output line, e.g.
+   * `README.md:12:81 MD013/line-length Line length [Expected: 80; Actual: 96]`
+   * @param {string} line - markdownlint output line
+   */
+  addMarkdownlintWarning(line) {
+    const match = line.match(/^([^:\s]+):(\d+):?(\d*)\s+(MD\d+)(\S*)\s+(.*)$/)
+    if (!match) {
+      this.addFinding({
+        ruleId: 'markdownlint',
+        severity: 'warning',
+        message: `Markdown lint: ${line}`,
+      })
+      return
+    }
+
+    const [, file, lineNumber, column, rule, alias, description] = match
+    this.addFinding({
+      ruleId: `markdownlint/${rule}`,
+      severity: 'warning',
+      file,
+      line: Number(lineNumber),
+      column: column ? Number(column) : null,
+      message: `Markdown lint: ${rule}${alias} ${description}`,
+      text: `Markdown lint: ${line}`,
+    })
+  }
+
   /**
    * Basic structure validation for common documentation requirements
    */
   async validateBasicStructure() {
     if (!fs.existsSync('README.md')) {
-      this.issues.push('No README.md found')
+      this.addFinding({
+        ruleId: 'readme/missing',
+        message: 'No README.md found',
+      })
       return
     }
 
@@ -151,9 +177,12 @@ class DocumentationValidator {
 
     for (const section of suggestedSections) {
       if (!readmeLower.includes(section)) {
-        this.warnings.push(
-          `README.md could include a "${section}" section for better clarity`
-        )
+        this.addFinding({
+          ruleId: 'readme/suggested-section',
+          severity: 'warning',
+          file: 'README.md',
+          message: `README.md could include a "${section}" section for better clarity`,
+        })
       }
     }
 
@@ -164,9 +193,13 @@ class DocumentationValidator {
         !readmeLower.includes('pnpm install') &&
         !readmeLower.includes('yarn install')
       ) {
-        this.warnings.push(
-          'README.md should include package manager installation instructions'
-        )
+        this.addFinding({
+          ruleId: 'readme/install-instructions',
+          severity: 'warning',
+          file: 'README.md',
+          message:
+            'README.md should include package manager installation instructions',
+        })
       }
     }
   }
@@ -183,9 +216,11 @@ class DocumentationValidator {
 
     // Check README exists if this is a published package
     if (packageJson.name && !fs.existsSync('README.md')) {
-      this.issues.push(
-        'package.json defines a package name but no README.md exists'
-      )
+      this.addFinding({
+        ruleId: 'readme/missing',
+        file: 'package.json',
+        message: 'package.json defines a package name but no README.md exists',
+      })
     }
 
     // Advisory checks for package.json metadata (warnings, not failures)
@@ -193,7 +228,12 @@ class DocumentationValidator {
       !packageJson.description ||
       packageJson.description.trim().length === 0
     ) {
-      this.warnings.push('package.json should have a meaningful description')
+      this.addFinding({
+        ruleId: 'package-json/description',
+        severity: 'warning',
+        file: 'package.json',
+        message: 'package.json should have a meaningful description',
+      })
     }
 
     // Only require keywords for packages that are likely to be published
@@ -203,21 +243,32 @@ class DocumentationValidator {
       packageJson.version &&
       (!packageJson.keywords || packageJson.keywords.length === 0)
     ) {
-      this.warnings.push(
-        'Published packages should have keywords in package.json for discoverability'
-      )
+      this.addFinding({
+        ruleId: 'package-json/keywords',
+        severity: 'warning',
+        file: 'package.json',
+        message:
+          'Published packages should have keywords in package.json for discoverability',
+      })
     }
 
     // Advisory license check
     if (!packageJson.license) {
-      this.warnings.push('package.json should specify a license')
+      this.addFinding({
+        ruleId: 'package-json/license',
+        severity: 'warning',
+        file: 'package.json',
+        message: 'package.json should specify a license',
+      })
     }
 
     // Validate version is semver compliant if present
     if (packageJson.version && !/^\d+\.\d+\.\d+/.test(packageJson.version)) {
-      this.issues.push(
-        `package.json version "${packageJson.version}" is not semver compliant`
-      )
+      this.addFinding({
+        ruleId: 'package-json/semver',
+        file: 'package.json',
+        message: `package.json version "${packageJson.version}" is not semver compliant`,
+      })
     }
   }
 
@@ -279,7 +330,12 @@ class DocumentationValidator {
       // Check if file exists
 
       if (!fs.existsSync(filePath)) {
-        this.issues.push(`README.md references non-existent file: ${filePath}`)
+        this.addFinding({
+          ruleId: 'readme/missing-file',
+          file: 'README.md',
+          line: BaseValidator.lineNumberAt(readme, match.index),
+          message: `README.md references non-existent file: ${filePath}`,
+        })
       }
     }
   }
@@ -317,9 +373,12 @@ class DocumentationValidator {
       }
 
       if (!scripts[scriptName]) {
-        this.issues.push(
-          `README.md references non-existent script: npm run ${scriptName}`
-        )
+        this.addFinding({
+          ruleId: 'readme/missing-script',
+          file: 'README.md',
+          line: BaseValidator.lineNumberAt(readme, match.index),
+          message: `README.md references non-existent script: npm run ${scriptName}`,
+        })
       }
     }
   }
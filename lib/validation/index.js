@@ -3,6 +3,11 @@
 const { ConfigSecurityScanner } = require('./config-security')
 const { DocumentationValidator } = require('./documentation')
 const { WorkflowValidator } = require('./workflow-validation')
+const { createValidationReport } = require('./report-formats')
+const BaseValidator = require('./base-validator')
+const CacheManager = require('./cache-manager')
+const { loadPlugins } = require('./plugins')
+const crypto = require('crypto')
 
 /**
  * Validation check configuration
@@ -10,16 +15,19 @@ const { WorkflowValidator } = require('./workflow-validation')
 const VALIDATION_CHECKS = [
   {
     name: 'configSecurity',
+    validator: 'configScanner',
     label: 'Configuration security',
     method: 'runConfigSecurity',
   },
   {
     name: 'documentation',
+    validator: 'docValidator',
     label: 'Documentation validation',
     method: 'runDocumentationValidation',
   },
   {
     name: 'workflows',
+    validator: 'workflowValidator',
     label: 'Workflow validation',
     method: 'runWorkflowValidation',
   },
@@ -28,6 +36,10 @@ const VALIDATION_CHECKS = [
 /**
  * Enhanced Validation Runner
  * Coordinates all validation checks
+ *
+ * Validator plugins (see plugins.js) run after the built-in checks in every
+ * comprehensive run and report. Pass `options.plugins` (specifiers for
+ * loadPlugins) to override discovery, or `plugins: []` to run none.
  */
 class ValidationRunner {
   constructor(options = {}) {
@@ -35,6 +47,147 @@ class ValidationRunner {
     this.configScanner = new ConfigSecurityScanner(options)
     this.docValidator = new DocumentationValidator(options)
     this.workflowValidator = new WorkflowValidator(options)
+    this.cacheManager = null
+
+    const projectPath = options.projectPath || process.cwd()
+    const { plugins, errors } = options.plugins
+      ? loadPlugins(projectPath, options.plugins)
+      : loadPlugins(projectPath)
+    this.plugins = []
+    this.pluginErrors = errors
+    for (const plugin of plugins) {
+      if (VALIDATION_CHECKS.some(check => check.name === plugin.name)) {
+        this.pluginErrors.push({
+          module: plugin.module,
+          message: `Plugin ${plugin.module} uses the reserved name "${plugin.name}"`,
+        })
+        continue
+      }
+      this.plugins.push({
+        ...plugin,
+        validator: new plugin.PluginClass({
+          ...options,
+          projectPath,
+          ...plugin.options,
+        }),
+      })
+    }
+  }
+
+  /**
+   * Built-in checks followed by one check per plugin
+   * @returns {Array<{name: string, label: string, method?: string, validator?: string, plugin?: Object, loadError?: string}>}
+   */
+  getChecks() {
+    return [
+      ...VALIDATION_CHECKS,
+      ...this.plugins.map(plugin => ({
+        name: plugin.name,
+        label: plugin.label,
+        plugin,
+      })),
+      // Plugins that failed to load fail the run instead of being skipped
+      ...this.pluginErrors.map(error => ({
+        name: error.module,
+        label: `Plugin ${error.module}`,
+        loadError: error.message,
+      })),
+    ]
+  }
+
+  /**
+   * Run one check
+   * @param {{method?: string, plugin?: Object, loadError?: string}} check - Entry of getChecks()
+   */
+  async _runCheck(check) {
+    if (check.loadError) {
+      throw new Error(check.loadError)
+    }
+    return check.plugin
+      ? await this.runPlugin(check.plugin)
+      : await this[check.method]()
+  }
+
+  /**
+   * Run a plugin validator, reusing cached findings while the files it
+   * declares through getCacheFiles() are unchanged
+   * @param {Object} plugin - Entry of this.plugins
+   */
+  async runPlugin(plugin) {
+    const { validator } = plugin
+    const cacheKey = this._pluginCacheKey(plugin)
+    const cached = cacheKey ? this._getCacheManager().get(cacheKey) : null
+
+    validator.reset()
+    if (cached) {
+      cached.findings.forEach(finding => validator.addFinding(finding))
+    } else {
+      await validator.validate()
+      if (cacheKey) {
+        this._getCacheManager().set(cacheKey, {
+          findings: validator.getFindings(),
+        })
+      }
+    }
+    validator.validationComplete = true
+
+    if (!this.options.quiet) {
+      console.log(`\n🧩 ${plugin.label}${cached ? ' (cached)' : ''}`)
+      validator.printResults()
+    }
+    if (!validator.passed()) {
+      throw new Error(
+        `${plugin.label} found ${validator.getIssues().length} issue(s)`
+      )
+    }
+    return { passed: true, cached: Boolean(cached) }
+  }
+
+  /**
+   * Cache key of a plugin run, or null when the plugin doesn't cache
+   * @param {Object} plugin - Entry of this.plugins
+   * @returns {string|null}
+   */
+  _pluginCacheKey(plugin) {
+    const { validator } = plugin
+    if (
+      this.options.cache === false ||
+      typeof validator.getCacheFiles !== 'function'
+    ) {
+      return null
+    }
+    // The plugin's own file is part of the key so editing a local plugin
+    // invalidates its cached findings
+    const filesKey = this._getCacheManager().generateKeyFromFiles([
+      plugin.file,
+      ...validator.getCacheFiles(),
+    ])
+    return crypto
+      .createHash('sha256')
+      .update(
+        [
+          'plugin',
+          plugin.name,
+          plugin.version || '',
+          JSON.stringify(plugin.options),
+          filesKey,
+        ].join('\0')
+      )
+      .digest('hex')
+  }
+
+  /**
+   * CacheManager for plugin results, created on first use
+   * @returns {CacheManager}
+   */
+  _getCacheManager() {
+    if (!this.cacheManager) {
+      this.cacheManager = new CacheManager({
+        cacheDir: this.options.cacheDir,
+        verbose: this.options.verbose,
+      })
+    }
+    return this.cacheManager
   }
 
   /**
@@ -65,10 +218,11 @@ class ValidationRunner {
     console.log('🔍 Running comprehensive validation...\n')
 
     const results = this._initResults()
-    const total = VALIDATION_CHECKS.length
+    const checks = this.getChecks()
+    const total = checks.length
 
-    for (let i = 0; i < VALIDATION_CHECKS.length; i++) {
-      const check = VALIDATION_CHECKS[i]
+    for (let i = 0; i < checks.length; i++) {
+      const check = checks[i]
       const stepNum = i + 1
 
       console.log(
@@ -76,7 +230,7 @@ class ValidationRunner {
       )
 
       try {
-        results[check.name] = await this[check.method]()
+        results[check.name] = await this._runCheck(check)
         console.log(`✅ [${stepNum}/${total}] ${check.label} complete`)
       } catch (error) {
         console.log(`❌ [${stepNum}/${total}] ${check.label} failed`)
@@ -101,8 +255,8 @@ class ValidationRunner {
 
     const results = this._initResults()
 
-    const validationPromises = VALIDATION_CHECKS.map(check =>
-      this[check.method]()
+    const validationPromises = this.getChecks().map(check =>
+      this._runCheck(check)
         .then(result => {
           results[check.name] = result
           console.log(`✅ ${check.label} complete`)
@@ -122,12 +276,48 @@ class ValidationRunner {
     return results
   }
 
+  /**
+   * Run the selected checks and build a machine-readable report
+   *
+   * Unlike runComprehensiveCheck this never throws on failed checks: the
+   * findings recorded by each validator end up in the report instead.
+   * @param {string[]} [checkNames] - getChecks() names (default: all, plugins included)
+   * @returns {Promise<Object>} Report from createValidationReport
+   */
+  async runReport(checkNames = this.getChecks().map(check => check.name)) {
+    const checks = this.getChecks().filter(check =>
+      checkNames.includes(check.name)
+    )
+    const ran = []
+
+    for (const check of checks) {
+      let error = null
+      try {
+        await this._runCheck(check)
+      } catch (checkError) {
+        error = checkError.message
+      }
+      ran.push({
+        name: check.name,
+        label: check.label,
+        validator: check.plugin
+          ? check.plugin.validator
+          : check.loadError
+            ? new BaseValidator()
+            : this[check.validator],
+        error,
+      })
+    }
+
+    return createValidationReport(ran)
+  }
+
   /**
    * Initialize results object
    */
   _initResults() {
     const results = { overall: { passed: true, issues: [] } }
-    VALIDATION_CHECKS.forEach(check => {
+    this.getChecks().forEach(check => {
       results[check.name] = null
     })
     return results
@@ -150,7 +340,9 @@ class ValidationRunner {
 }
 
 module.exports = {
+  VALIDATION_CHECKS,
   ValidationRunner,
+  BaseValidator,
   ConfigSecurityScanner,
   DocumentationValidator,
   WorkflowValidator,
@@ -0,0 +1,227 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { loadQualityConfig } = require('../quality-config')
+
+/**
+ * Validator plugins
+ *
+ * A plugin is a module whose export is a class extending BaseValidator
+ * (`require('create-qa-architect/lib/validation').BaseValidator`):
+ *
+ *   class LicenseHeaderValidator extends BaseValidator {
+ *     static pluginName = 'license-headers'
+ *     static label = 'License headers'
+ *
+ *     // Optional: cache findings until one of these files changes
+ *     getCacheFiles() { return ['LICENSE', ...listSourceFiles()] }
+ *
+ *     async validate() {
+ *       this.addFinding({ ruleId: 'license-headers/missing', file, line: 1, message })
+ *     }
+ *   }
+ *   module.exports = LicenseHeaderValidator
+ *
+ * The constructor receives the runner options (including `projectPath`)
+ * merged with the plugin's options from .qualityrc.json.
+ *
+ * Plugins are discovered from `qa-architect-plugin-*` (and
+ * `@scope/qa-architect-plugin-*`) dependencies in package.json and from the
+ * `plugins` array in .qualityrc.json, whose entries are package names or
+ * paths relative to the project, optionally with options:
+ *
+ *   "plugins": ["./tools/qa/license-headers.js",
+ *               { "module": "@acme/qa-architect-plugin-owners", "options": { "strict": true } }]
+ */
+
+const PLUGIN_PACKAGE_PREFIX = 'qa-architect-plugin-'
+
+/**
+ * Whether a dependency name is a plugin package (scoped or not)
+ * @param {string} name - Package name
+ * @returns {boolean}
+ */
+function isPluginPackage(name) {
+  const baseName = name.startsWith('@')
+    ? name.slice(name.indexOf('/') + 1)
+    : name
+  return baseName.startsWith(PLUGIN_PACKAGE_PREFIX)
+}
+
+/**
+ * Find the plugin modules a project uses
+ * @param {string} projectPath - Path to project
+ * @returns {Array<{module: string, options: Object}>} Plugin specifiers, config entries first
+ */
+function discoverPlugins(projectPath) {
+  const specifiers = []
+  const seen = new Set()
+  const add = (module, options = {}) => {
+    if (!seen.has(module)) {
+      seen.add(module)
+      specifiers.push({ module, options })
+    }
+  }
+
+  try {
+    const { plugins = [] } = loadQualityConfig(projectPath).config
+    for (const entry of plugins) {
+      if (typeof entry === 'string') {
+        add(entry)
+      } else if (entry && typeof entry.module === 'string') {
+        add(entry.module, entry.options || {})
+      }
+    }
+  } catch (error) {
+    if (process.env.DEBUG) {
+      console.warn(`⚠️  Could not read plugins config: ${error.message}`)
+    }
+  }
+
+  const packagePath = path.join(projectPath, 'package.json')
+  if (fs.existsSync(packagePath)) {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'))
+      const names = Object.keys({
+        ...pkg.dependencies,
+        ...pkg.devDependencies,
+      })
+      names
+        .filter(isPluginPackage)
+        .sort()
+        .forEach(name => add(name))
+    } catch (error) {
+      if (process.env.DEBUG) {
+        console.warn(`⚠️  Could not read package.json: ${error.message}`)
+      }
+    }
+  }
+
+  return specifiers
+}
+
+/**
+ * Check that a module export implements the plugin interface
+ *
+ * Duck-typed rather than `instanceof BaseValidator`, since a plugin package
+ * may resolve its own copy of create-qa-architect.
+ * @param {*} PluginClass - Module export
+ * @returns {string|null} Problem description, or null when valid
+ */
+function checkPluginInterface(PluginClass) {
+  if (typeof PluginClass !== 'function' || !PluginClass.prototype) {
+    return 'must export a class extending BaseValidator'
+  }
+  for (const method of ['validate', 'reset', 'getFindings', 'passed']) {
+    if (typeof PluginClass.prototype[method] !== 'function') {
+      return `must extend BaseValidator (missing ${method}())`
+    }
+  }
+  if (
+    typeof PluginClass.pluginName !== 'string' ||
+    !/^[a-z0-9][a-z0-9-]*$/.test(PluginClass.pluginName)
+  ) {
+    return 'must set static pluginName (lowercase letters, digits and dashes)'
+  }
+  return null
+}
+
+/**
+ * Load one plugin module
+ * @param {{module: string, options: Object}} specifier - From discoverPlugins
+ * @param {string} projectPath - Path to project (relative paths and packages resolve from here)
+ * @returns {{name: string, label: string, version: string|null, module: string, file: string, options: Object, PluginClass: Function}} Loaded plugin
+ */
+function loadPlugin(specifier, projectPath) {
+  const request = specifier.module.startsWith('.')
+    ? path.resolve(projectPath, specifier.module)
+    : specifier.module
+
+  let resolved
+  try {
+    resolved = require.resolve(request, { paths: [projectPath] })
+  } catch {
+    throw new Error(
+      `Plugin ${specifier.module} not found. Install it or fix the path in .qualityrc.json.`
+    )
+  }
+
+  // eslint-disable-next-line security/detect-non-literal-require -- Plugin modules are configured by the project owner
+  const exported = require(resolved)
+  const PluginClass = exported && exported.default ? exported.default : exported
+  const problem = checkPluginInterface(PluginClass)
+  if (problem) {
+    throw new Error(`Plugin ${specifier.module} ${problem}`)
+  }
+
+  return {
+    name: PluginClass.pluginName,
+    label: PluginClass.label || PluginClass.pluginName,
+    version: readPluginVersion(resolved),
+    module: specifier.module,
+    file: resolved,
+    options: specifier.options,
+    PluginClass,
+  }
+}
+
+/**
+ * Version of the package a plugin file belongs to, for cache keys
+ * @param {string} resolvedPath - Resolved plugin module path
+ * @returns {string|null} package.json version, or null for local files
+ */
+function readPluginVersion(resolvedPath) {
+  let dir = path.dirname(resolvedPath)
+  while (dir.includes('node_modules')) {
+    const packagePath = path.join(dir, 'package.json')
+    if (fs.existsSync(packagePath)) {
+      try {
+        return JSON.parse(fs.readFileSync(packagePath, 'utf8')).version || null
+      } catch {
+        return null
+      }
+    }
+    dir = path.dirname(dir)
+  }
+  return null
+}
+
+/**
+ * Discover and load all plugins of a project
+ *
+ * A plugin that fails to load doesn't stop the others; its error is returned
+ * so the run can fail with it instead of silently skipping the plugin.
+ * @param {string} projectPath - Path to project
+ * @param {Array<{module: string, options: Object}>} [specifiers] - Defaults to discoverPlugins()
+ * @returns {{plugins: Array<Object>, errors: Array<{module: string, message: string}>}}
+ */
+function loadPlugins(projectPath, specifiers = discoverPlugins(projectPath)) {
+  const plugins = []
+  const errors = []
+
+  for (const specifier of specifiers) {
+    try {
+      const plugin = loadPlugin(specifier, projectPath)
+      if (plugins.some(loaded => loaded.name === plugin.name)) {
+        throw new Error(
+          `Plugin ${specifier.module} reuses the pluginName "${plugin.name}"`
+        )
+      }
+      plugins.push(plugin)
+    } catch (error) {
+      errors.push({ module: specifier.module, message: error.message })
+    }
+  }
+
+  return { plugins, errors }
+}
+
+module.exports = {
+  PLUGIN_PACKAGE_PREFIX,
+  isPluginPackage,
+  discoverPlugins,
+  checkPluginInterface,
+  loadPlugin,
+  loadPlugins,
+}
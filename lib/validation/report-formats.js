@@ -0,0 +1,308 @@
+'use strict'
+
+const crypto = require('crypto')
+const { version, homepage } = require('../../package.json')
+
+/**
+ * Machine-readable validation reports (JSON, SARIF 2.1.0, JUnit XML)
+ *
+ * Every format is built from the same report object so the rule ids,
+ * severities and fingerprints match across formats. Findings are sorted and
+ * the report carries no timestamps, so two runs over the same tree produce
+ * identical output and can be diffed.
+ */
+
+const REPORT_FORMATS = ['text', 'json', 'sarif', 'junit']
+const REPORT_SCHEMA_VERSION = 1
+const TOOL_NAME = 'create-qa-architect'
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json'
+
+/**
+ * Normalize a finding location to a forward-slash path relative to the root
+ * @param {string|null} file - Path as reported by the validator
+ * @returns {string|null} Normalized path
+ */
+function normalizeFile(file) {
+  if (!file) return null
+  return file.replace(/\\/g, '/').replace(/^\.\//, '')
+}
+
+/**
+ * Stable identity of a finding, independent of its line number so that
+ * unrelated edits above it don't turn it into a "new" finding
+ * @param {string} validator - Validator name
+ * @param {Object} finding - Finding from BaseValidator.addFinding
+ * @returns {string} 16 hex characters
+ */
+function fingerprintFinding(validator, finding) {
+  return crypto
+    .createHash('sha256')
+    .update(
+      [validator, finding.ruleId, finding.file || '', finding.message].join(
+        '\0'
+      )
+    )
+    .digest('hex')
+    .slice(0, 16)
+}
+
+/**
+ * Locale-independent string comparison, so ordering is the same everywhere
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+/**
+ * Order findings by validator, file, position and rule
+ */
+function compareFindings(a, b) {
+  return (
+    compareStrings(a.validator, b.validator) ||
+    compareStrings(a.file || '', b.file || '') ||
+    (a.line || 0) - (b.line || 0) ||
+    (a.column || 0) - (b.column || 0) ||
+    compareStrings(a.ruleId, b.ruleId) ||
+    compareStrings(a.message, b.message)
+  )
+}
+
+/**
+ * Build the report shared by every output format
+ * @param {Array<{name: string, label: string, validator: {getFindings: Function}, error?: string|null}>} checks - Checks that ran
+ * @returns {{schemaVersion: number, tool: Object, passed: boolean, summary: Object, baseline: Object|null, validators: Array, findings: Array}} Report
+ */
+function createValidationReport(checks) {
+  const findings = []
+  const validators = checks.map(check => {
+    const checkFindings = check.validator.getFindings().map(finding => {
+      const file = normalizeFile(finding.file)
+      return {
+        validator: check.name,
+        ruleId: finding.ruleId,
+        severity: finding.severity,
+        message: finding.message,
+        file,
+        line: finding.line || null,
+        column: finding.column || null,
+        fingerprint: fingerprintFinding(check.name, { ...finding, file }),
+      }
+    })
+
+    // A check that threw without recording anything failed to run at all
+    const hasErrors = checkFindings.some(f => f.severity === 'error')
+    if (check.error && !hasErrors) {
+      const finding = {
+        ruleId: 'validator-error',
+        severity: 'error',
+        message: `${check.label}: ${check.error}`,
+        file: null,
+      }
+      checkFindings.push({
+        validator: check.name,
+        ...finding,
+        line: null,
+        column: null,
+        fingerprint: fingerprintFinding(check.name, finding),
+      })
+    }
+
+    findings.push(...checkFindings)
+    const errors = checkFindings.filter(f => f.severity === 'error').length
+    return {
+      name: check.name,
+      label: check.label,
+      passed: errors === 0,
+      errors,
+      warnings: checkFindings.length - errors,
+    }
+  })
+
+  findings.sort(compareFindings)
+  const errors = findings.filter(f => f.severity === 'error').length
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: TOOL_NAME, version },
+    passed: errors === 0,
+    summary: {
+      validators: validators.length,
+      failed: validators.filter(v => !v.passed).length,
+      errors,
+      warnings: findings.length - errors,
+    },
+    // Filled in by applyValidationBaseline (lib/validation/baseline.js)
+    baseline: null,
+    validators,
+    findings,
+  }
+}
+
+/**
+ * Serialize a report as JSON
+ * @param {Object} report - Result of createValidationReport
+ * @returns {string} JSON document
+ */
+function toJson(report) {
+  return `${JSON.stringify(report, null, 2)}\n`
+}
+
+/**
+ * Serialize a report as SARIF 2.1.0 (GitHub code scanning upload format)
+ * @param {Object} report - Result of createValidationReport
+ * @returns {string} SARIF document
+ */
+function toSarif(report) {
+  const ruleIds = [...new Set(report.findings.map(f => f.ruleId))].sort()
+
+  const results = report.findings.map(finding => {
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleIds.indexOf(finding.ruleId),
+      level: finding.severity,
+      message: { text: finding.message },
+      partialFingerprints: { qaArchitectFingerprint: finding.fingerprint },
+      properties: { validator: finding.validator },
+    }
+    if (report.baseline) {
+      result.baselineState = finding.baseline ? 'unchanged' : 'new'
+    }
+
+    if (finding.file) {
+      const physicalLocation = { artifactLocation: { uri: finding.file } }
+      if (finding.line) {
+        physicalLocation.region = { startLine: finding.line }
+        if (finding.column) {
+          physicalLocation.region.startColumn = finding.column
+        }
+      }
+      result.locations = [{ physicalLocation }]
+    }
+
+    return result
+  })
+
+  const sarif = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: report.tool.version,
+            informationUri: homepage,
+            rules: ruleIds.map(id => ({
+              id,
+              shortDescription: { text: id },
+            })),
+          },
+        },
+        results,
+      },
+    ],
+  }
+
+  return `${JSON.stringify(sarif, null, 2)}\n`
+}
+
+/**
+ * Escape text for an XML attribute or text node
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+/**
+ * Serialize a report as JUnit XML
+ *
+ * One test suite per validator and one test case per finding; errors are
+ * failures (skipped when they are in the baseline), warnings pass with their
+ * text in system-out. A validator without findings gets a single passing
+ * test case so the suite is never empty.
+ * @param {Object} report - Result of createValidationReport
+ * @returns {string} JUnit XML document
+ */
+function toJUnit(report) {
+  const suites = report.validators.map(validator => {
+    const findings = report.findings.filter(f => f.validator === validator.name)
+    const cases =
+      findings.length === 0
+        ? [
+            `    <testcase classname="${escapeXml(validator.name)}" name="${escapeXml(validator.label)}"/>`,
+          ]
+        : findings.map(finding => {
+            const location = finding.file
+              ? ` ${finding.file}${finding.line ? `:${finding.line}` : ''}`
+              : ''
+            const attributes = `classname="${escapeXml(validator.name)}" name="${escapeXml(`${finding.ruleId}${location}`)}"`
+            if (finding.severity === 'warning') {
+              return `    <testcase ${attributes}>\n      <system-out>${escapeXml(finding.message)}</system-out>\n    </testcase>`
+            }
+            if (finding.baseline) {
+              return `    <testcase ${attributes}>\n      <skipped message="${escapeXml(`In ${report.baseline.file}: ${finding.message}`)}"/>\n    </testcase>`
+            }
+            return `    <testcase ${attributes}>\n      <failure type="${escapeXml(finding.ruleId)}" message="${escapeXml(finding.message)}"/>\n    </testcase>`
+          })
+
+    const skipped = findings.filter(f => f.baseline).length
+    return [
+      `  <testsuite name="${escapeXml(validator.label)}" tests="${cases.length}" failures="${validator.errors - skipped}" errors="0" skipped="${skipped}">`,
+      ...cases,
+      '  </testsuite>',
+    ].join('\n')
+  })
+
+  const tests = report.validators.reduce(
+    (total, validator) =>
+      total + Math.max(validator.errors + validator.warnings, 1),
+    0
+  )
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${tests}" failures="${report.baseline ? report.baseline.new : report.summary.errors}" errors="0">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n')
+}
+
+/**
+ * Serialize a report in one of the machine-readable formats
+ * @param {Object} report - Result of createValidationReport
+ * @param {string} format - json, sarif or junit
+ * @returns {string} Serialized report
+ */
+function formatValidationReport(report, format) {
+  switch (format) {
+    case 'json':
+      return toJson(report)
+    case 'sarif':
+      return toSarif(report)
+    case 'junit':
+      return toJUnit(report)
+    default:
+      throw new Error(
+        `Unsupported report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`
+      )
+  }
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  REPORT_SCHEMA_VERSION,
+  createValidationReport,
+  fingerprintFinding,
+  formatValidationReport,
+  toJson,
+  toSarif,
+  toJUnit,
+}
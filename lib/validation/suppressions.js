@@ -0,0 +1,227 @@
+'use strict'
+
+const { loadQualityConfig } = require('../quality-config')
+
+/**
+ * Security finding suppressions
+ *
+ * The `security` section of .qualityrc.json can change the severity of a
+ * rule (or turn it off) and suppress individual findings:
+ *
+ *   "security": {
+ *     "rules": { "env-file/undocumented": "warning" },
+ *     "ignore": [{
+ *       "rule": "docker/env-secret",
+ *       "paths": ["docker/dev/**"],
+ *       "expires": "2026-12-31",
+ *       "justification": "Local-only compose stack with dummy credentials"
+ *     }]
+ *   }
+ *
+ * Findings can also be suppressed next to the code they flag with a comment
+ * on the same line or the line above (anywhere in the file for findings
+ * without a line):
+ *
+ *   # qa-architect-ignore docker/env-secret -- placeholder replaced at deploy
+ *
+ * Both forms require a justification, and config entries past their
+ * `expires` date stop suppressing and are reported as failures.
+ */
+
+const INLINE_IGNORE_MARKER = 'qa-architect-ignore'
+const RULE_SEVERITIES = ['off', 'warning', 'error']
+
+/**
+ * Read the security section from .qualityrc.json
+ * @param {string} projectPath - Path to project
+ * @returns {{rules: Object<string, string>, ignore: Array<{rule: string, paths: string[], expires: string|null, justification: string}>}} Normalized config
+ */
+function loadSecurityConfig(projectPath) {
+  let security = {}
+
+  try {
+    security = loadQualityConfig(projectPath).config.security || {}
+  } catch (error) {
+    if (process.env.DEBUG) {
+      console.warn(`⚠️  Could not read security config: ${error.message}`)
+    }
+  }
+
+  return normalizeSecurityConfig(security)
+}
+
+/**
+ * Fill in defaults for a raw security section
+ * @param {Object} security - `security` from .qualityrc.json
+ * @returns {{rules: Object<string, string>, ignore: Array<{rule: string, paths: string[], expires: string|null, justification: string}>}} Normalized config
+ */
+function normalizeSecurityConfig(security = {}) {
+  /** @type {Object<string, string>} */
+  const rules = {}
+  for (const [rule, severity] of Object.entries(security.rules || {})) {
+    if (RULE_SEVERITIES.includes(severity)) {
+      rules[rule] = severity
+    }
+  }
+
+  const ignore = (security.ignore || []).map(entry => ({
+    rule: entry.rule || '',
+    paths: entry.paths || [],
+    expires: entry.expires || null,
+    justification: (entry.justification || '').trim(),
+  }))
+
+  return { rules, ignore }
+}
+
+/**
+ * Whether a rule pattern matches a rule id
+ * @param {string} pattern - Exact rule id, or a prefix ending in `*` (e.g. `eslint/*`)
+ * @param {string} ruleId - Rule id of a finding
+ * @returns {boolean}
+ */
+function matchesRule(pattern, ruleId) {
+  if (pattern.endsWith('*')) {
+    return ruleId.startsWith(pattern.slice(0, -1))
+  }
+  return pattern === ruleId
+}
+
+/**
+ * Convert a path glob to a RegExp
+ *
+ * Supports `**` (any number of directories), `*` (anything except `/`) and
+ * `?` (one character except `/`).
+ * @param {string} glob - Glob relative to the project root
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?'
+        i += 2
+      } else {
+        source += '.*'
+        i += 1
+      }
+    } else if (char === '*') {
+      source += '[^/]*'
+    } else if (char === '?') {
+      source += '[^/]'
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  // eslint-disable-next-line security/detect-non-literal-regexp -- Safe: every glob character is escaped above
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * Whether a path matches any of the globs (no globs matches every path)
+ * @param {string|null} file - Finding path relative to the project root
+ * @param {string[]} globs - Globs from an ignore entry
+ * @returns {boolean}
+ */
+function matchesPaths(file, globs) {
+  if (globs.length === 0) return true
+  if (!file) return false
+  const normalized = file.replace(/\\/g, '/').replace(/^\.\//, '')
+  return globs.some(glob => globToRegExp(glob).test(normalized))
+}
+
+/**
+ * Whether an ignore entry's expiry date has passed
+ * @param {{expires: string|null}} entry - Normalized ignore entry
+ * @param {Date} [now] - Current time
+ * @returns {boolean}
+ */
+function isExpired(entry, now = new Date()) {
+  if (!entry.expires) return false
+  // The entry is valid through the end of its expiry day (UTC)
+  return entry.expires < now.toISOString().slice(0, 10)
+}
+
+/**
+ * Find the config ignore entry that suppresses a finding
+ * @param {{ruleId: string, file?: string|null}} finding - Finding
+ * @param {Array} ignore - Normalized ignore entries
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} Matching, unexpired and justified entry
+ */
+function findIgnoreEntry(finding, ignore, now = new Date()) {
+  return (
+    ignore.find(
+      entry =>
+        entry.justification &&
+        !isExpired(entry, now) &&
+        matchesRule(entry.rule, finding.ruleId) &&
+        matchesPaths(finding.file || null, entry.paths)
+    ) || null
+  )
+}
+
+/**
+ * Parse the inline ignore comment on a line, if any
+ * @param {string} line - Source line
+ * @returns {{rules: string[], justification: string}|null}
+ */
+function parseInlineIgnore(line) {
+  const index = line.indexOf(INLINE_IGNORE_MARKER)
+  if (index === -1) return null
+
+  // Drop the closing delimiter of HTML and block comments
+  const rest = line
+    .slice(index + INLINE_IGNORE_MARKER.length)
+    .replace(/\s*(?:-->|\*\/)\s*$/, '')
+  const separator = rest.indexOf(' -- ')
+  const ruleText = separator === -1 ? rest : rest.slice(0, separator)
+  const justification = separator === -1 ? '' : rest.slice(separator + 4).trim()
+
+  return {
+    rules: ruleText.split(/[\s,]+/).filter(Boolean),
+    justification,
+  }
+}
+
+/**
+ * Find the inline ignore comment that applies to a finding
+ * @param {{ruleId: string, line?: number|null}} finding - Finding
+ * @param {string} content - Content of the finding's file
+ * @returns {{rules: string[], justification: string, line: number}|null} Comment, justified or not
+ */
+function findInlineIgnore(finding, content) {
+  const lines = content.split('\n')
+  const candidates = finding.line
+    ? [finding.line, finding.line - 1]
+    : lines.map((_, index) => index + 1)
+
+  for (const lineNumber of candidates) {
+    const comment =
+      lineNumber >= 1 ? parseInlineIgnore(lines[lineNumber - 1] || '') : null
+    if (
+      comment &&
+      comment.rules.some(rule => matchesRule(rule, finding.ruleId))
+    ) {
+      return { ...comment, line: lineNumber }
+    }
+  }
+  return null
+}
+
+module.exports = {
+  INLINE_IGNORE_MARKER,
+  RULE_SEVERITIES,
+  loadSecurityConfig,
+  normalizeSecurityConfig,
+  matchesRule,
+  globToRegExp,
+  matchesPaths,
+  isExpired,
+  findIgnoreEntry,
+  parseInlineIgnore,
+  findInlineIgnore,
+}
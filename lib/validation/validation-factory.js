@@ -3,6 +3,10 @@
 const { ConfigSecurityScanner } = require('./config-security')
 const { DocumentationValidator } = require('./documentation')
 const { WorkflowValidator } = require('./workflow-validation')
+const { createValidationReport } = require('./report-formats')
+const { checkPluginInterface, loadPlugins } = require('./plugins')
+
+const BUILTIN_TYPES = ['security', 'documentation', 'workflow']
 
 /**
  * Validation Factory
@@ -13,11 +17,52 @@ class ValidationFactory {
   constructor(globalOptions = {}) {
     this.globalOptions = globalOptions
     this.validators = new Map()
+    this.pluginTypes = new Map()
+  }
+
+  /**
+   * Register a plugin validator class under a type name
+   * @param {string} type - Validator type (must not be a built-in type)
+   * @param {Function} PluginClass - Class extending BaseValidator
+   * @param {object} [options] - Plugin options, merged over the global options
+   */
+  registerValidatorType(type, PluginClass, options = {}) {
+    if (BUILTIN_TYPES.includes(type)) {
+      throw new Error(`Cannot override built-in validator type: ${type}`)
+    }
+    const problem = checkPluginInterface(PluginClass)
+    if (problem && !problem.startsWith('must set static pluginName')) {
+      throw new Error(`Validator type ${type} ${problem}`)
+    }
+    this.pluginTypes.set(type, { PluginClass, options })
+  }
+
+  /**
+   * Register the plugins discovered in a project (see plugins.js)
+   * @param {string} [projectPath] - Defaults to globalOptions.projectPath or cwd
+   * @returns {Array<{module: string, message: string}>} Plugins that failed to load
+   */
+  loadPlugins(projectPath) {
+    const { plugins, errors } = loadPlugins(
+      projectPath || this.globalOptions.projectPath || process.cwd()
+    )
+    for (const plugin of plugins) {
+      try {
+        this.registerValidatorType(
+          plugin.name,
+          plugin.PluginClass,
+          plugin.options
+        )
+      } catch (error) {
+        errors.push({ module: plugin.module, message: error.message })
+      }
+    }
+    return errors
   }
 
   /**
    * Create and register a validator instance
-   * @param {string} type - Validator type ('security', 'documentation', 'workflow')
+   * @param {string} type - Validator type ('security', 'documentation', 'workflow' or a registered plugin type)
    * @param {object} options - Validator-specific options
    * @returns {object} Validator instance
    */
@@ -39,8 +84,17 @@ class ValidationFactory {
         validator = new WorkflowValidator(mergedOptions)
         break
 
-      default:
-        throw new Error(`Unknown validator type: ${type}`)
+      default: {
+        const pluginType = this.pluginTypes.get(type)
+        if (!pluginType) {
+          throw new Error(`Unknown validator type: ${type}`)
+        }
+        validator = new pluginType.PluginClass({
+          ...this.globalOptions,
+          ...pluginType.options,
+          ...options,
+        })
+      }
     }
 
     // Register validator for later retrieval
@@ -59,11 +113,11 @@ class ValidationFactory {
   }
 
   /**
-   * Create all validators
+   * Create all validators, registered plugin types included
    * @returns {object} Map of all validator instances
    */
   createAllValidators(options = {}) {
-    const types = ['security', 'documentation', 'workflow']
+    const types = [...BUILTIN_TYPES, ...this.pluginTypes.keys()]
     const validators = {}
 
     types.forEach(type => {
@@ -148,6 +202,21 @@ class ValidationFactory {
 
     return summary
   }
+
+  /**
+   * Get the findings of all registered validators as a report that can be
+   * serialized with formatValidationReport (json, sarif, junit)
+   * @returns {object} Report from createValidationReport
+   */
+  getReport() {
+    return createValidationReport(
+      [...this.validators].map(([type, validator]) => ({
+        name: type,
+        label: type,
+        validator,
+      }))
+    )
+  }
 }
 
 module.exports = ValidationFactory
@@ -3,17 +3,13 @@
 const fs = require('fs')
 const path = require('path')
 const { showProgress } = require('../ui-helpers')
+const BaseValidator = require('./base-validator')
 
 /**
  * GitHub Actions Workflow Validator
  * Basic validation for GitHub Actions workflow files
  */
-class WorkflowValidator {
-  constructor(options = {}) {
-    this.issues = []
-    this.options = options
-  }
-
+class WorkflowValidator extends BaseValidator {
   /**
    * Validate GitHub Actions workflows
    */
@@ -22,7 +18,7 @@ class WorkflowValidator {
       console.log('🔄 Validating GitHub Actions workflows...')
     }
 
-    this.issues = []
+    this.reset()
 
     await this.validateWorkflowFiles()
 
@@ -31,6 +27,7 @@ class WorkflowValidator {
     }
 
     await this.validateWorkflowSyntax()
+    this.validationComplete = true
 
     if (this.issues.length > 0) {
       if (!this.options.quiet) {
@@ -53,7 +50,10 @@ class WorkflowValidator {
     const workflowDir = '.github/workflows'
 
     if (!fs.existsSync(workflowDir)) {
-      this.issues.push('No .github/workflows directory found')
+      this.addFinding({
+        ruleId: 'workflow/missing',
+        message: 'No .github/workflows directory found',
+      })
       return
     }
 
@@ -62,7 +62,11 @@ class WorkflowValidator {
       .filter(file => file.endsWith('.yml') || file.endsWith('.yaml'))
 
     if (workflowFiles.length === 0) {
-      this.issues.push('No workflow files found in .github/workflows')
+      this.addFinding({
+        ruleId: 'workflow/missing',
+        file: workflowDir,
+        message: 'No workflow files found in .github/workflows',
+      })
       return
     }
 
@@ -110,9 +114,14 @@ class WorkflowValidator {
             )
             issueCount += filteredResults.length
             filteredResults.forEach(result => {
-              this.issues.push(
-                `actionlint: ${result.file}:${result.line}:${result.column} ${result.kind} - ${result.message}`
-              )
+              this.addFinding({
+                ruleId: `actionlint/${result.kind}`,
+                file: result.file,
+                line: result.line,
+                column: result.column,
+                message: `actionlint: ${result.kind} - ${result.message}`,
+                text: `actionlint: ${result.file}:${result.line}:${result.column} ${result.kind} - ${result.message}`,
+              })
             })
           }
         } catch (lintError) {
@@ -136,7 +145,10 @@ class WorkflowValidator {
     } catch (error) {
       spinner.fail('actionlint failed to run')
       const reason = error?.message || 'Unknown error'
-      this.issues.push(`actionlint: Failed to run - ${reason}`)
+      this.addFinding({
+        ruleId: 'actionlint/error',
+        message: `actionlint: Failed to run - ${reason}`,
+      })
     }
   }
 
@@ -159,11 +171,19 @@ class WorkflowValidator {
 
         // Basic checks for required workflow structure
         if (!content.includes('on:') && !content.includes('on ')) {
-          this.issues.push(`${file}: Missing 'on:' trigger specification`)
+          this.addFinding({
+            ruleId: 'workflow/missing-trigger',
+            file: filePath,
+            message: `${file}: Missing 'on:' trigger specification`,
+          })
         }
 
         if (!content.includes('jobs:') && !content.includes('jobs ')) {
-          this.issues.push(`${file}: Missing 'jobs:' specification`)
+          this.addFinding({
+            ruleId: 'workflow/missing-jobs',
+            file: filePath,
+            message: `${file}: Missing 'jobs:' specification`,
+          })
         }
 
         // Check for common issues
@@ -173,23 +193,32 @@ class WorkflowValidator {
         ) {
           // This is likely a Node.js workflow, check for proper setup
           if (!content.includes('actions/setup-node@')) {
-            this.issues.push(
-              `${file}: Node.js workflow should use actions/setup-node`
-            )
+            this.addFinding({
+              ruleId: 'workflow/setup-node',
+              file: filePath,
+              message: `${file}: Node.js workflow should use actions/setup-node`,
+            })
           }
         }
 
         // Check for security best practices
-        if (
-          content.includes('${{') &&
-          content.includes('github.event.pull_request.head.repo.full_name')
-        ) {
-          this.issues.push(
-            `${file}: Potential security risk using untrusted PR data`
-          )
+        const untrustedIndex = content.indexOf(
+          'github.event.pull_request.head.repo.full_name'
+        )
+        if (content.includes('${{') && untrustedIndex !== -1) {
+          this.addFinding({
+            ruleId: 'workflow/untrusted-input',
+            file: filePath,
+            line: BaseValidator.lineNumberAt(content, untrustedIndex),
+            message: `${file}: Potential security risk using untrusted PR data`,
+          })
         }
       } catch (error) {
-        this.issues.push(`${file}: Error reading file - ${error.message}`)
+        this.addFinding({
+          ruleId: 'workflow/read-error',
+          file: filePath,
+          message: `${file}: Error reading file - ${error.message}`,
+        })
       }
     }
   }
@@ -0,0 +1,392 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { fileURLToPath } = require('url')
+
+/**
+ * In-memory write layer over the real filesystem, used by --dry-run
+ *
+ * While active, writes made through `fs` (and `fs.promises.readFile` /
+ * `writeFile`, which @npmcli/package-json uses) land in memory and reads see
+ * them, so the unmodified setup flow can run and the resulting changes can be
+ * compared with the files on disk afterwards. Reads of untouched files go to
+ * disk.
+ *
+ * Modules that destructure `fs.promises` functions at load time only see the
+ * layer if they are first required while it is active; setup loads
+ * @npmcli/package-json lazily, so that holds for the setup flow.
+ */
+
+const SYNC_METHODS = [
+  'existsSync',
+  'readFileSync',
+  'writeFileSync',
+  'appendFileSync',
+  'mkdirSync',
+  'chmodSync',
+  'copyFileSync',
+  'renameSync',
+  'unlinkSync',
+  'rmSync',
+]
+const PROMISE_METHODS = ['readFile', 'writeFile', 'mkdir']
+
+/** @type {VirtualFs|null} */
+let activeFs = null
+
+/**
+ * @param {*} target - fs path argument
+ * @returns {target is import('fs').PathLike} Whether the argument is a path (not a file descriptor)
+ */
+function isPathArgument(target) {
+  return (
+    typeof target === 'string' ||
+    Buffer.isBuffer(target) ||
+    target instanceof URL
+  )
+}
+
+/**
+ * @param {import('fs').PathLike} target - fs path argument
+ * @returns {string} Absolute path
+ */
+function toFullPath(target) {
+  return path.resolve(
+    target instanceof URL ? fileURLToPath(target) : String(target)
+  )
+}
+
+/**
+ * @param {string} filePath - Missing path
+ * @param {string} syscall - Operation name for the error
+ * @returns {NodeJS.ErrnoException}
+ */
+function notFoundError(filePath, syscall) {
+  const error = /** @type {NodeJS.ErrnoException} */ (
+    new Error(`ENOENT: no such file or directory, ${syscall} '${filePath}'`)
+  )
+  error.code = 'ENOENT'
+  error.syscall = syscall
+  error.path = filePath
+  return error
+}
+
+/**
+ * @param {string|Object|undefined} options - fs encoding or options argument
+ * @returns {string|null} Requested encoding
+ */
+function encodingOf(options) {
+  if (typeof options === 'string') return options
+  return (options && options.encoding) || null
+}
+
+class VirtualFs {
+  /**
+   * @param {string} rootPath - Project root; changes are reported relative to it
+   */
+  constructor(rootPath) {
+    this.rootPath = path.resolve(rootPath)
+    /** @type {Map<string, {content: Buffer|null, mode: number|null}>} Virtual files (null content = deleted) */
+    this.files = new Map()
+    /** @type {Set<string>} */
+    this.directories = new Set()
+    /** @type {Set<string>} */
+    this.skipped = new Set()
+    this.notes = []
+    this.originals = null
+  }
+
+  /**
+   * Route fs writes into this layer until deactivate()
+   * @returns {this}
+   */
+  activate() {
+    if (activeFs) {
+      throw new Error('A virtual filesystem is already active')
+    }
+    const originalPromises = fs.promises
+    this.originals = {
+      sync: Object.fromEntries(SYNC_METHODS.map(name => [name, fs[name]])),
+      promises: Object.fromEntries(
+        PROMISE_METHODS.map(name => [name, originalPromises[name]])
+      ),
+    }
+
+    const sync = this.originals.sync
+    const virtualFs = this
+
+    fs.existsSync = target =>
+      isPathArgument(target) && virtualFs.has(target)
+        ? virtualFs.exists(target)
+        : sync.existsSync(target)
+
+    fs.readFileSync = /** @type {any} */ (
+      (target, options) =>
+        isPathArgument(target) && virtualFs.has(target)
+          ? virtualFs.read(target, options)
+          : sync.readFileSync(target, options)
+    )
+
+    fs.writeFileSync = (target, data, options) => {
+      if (!isPathArgument(target)) {
+        return sync.writeFileSync(target, data, options)
+      }
+      virtualFs.write(target, data, options)
+    }
+
+    fs.appendFileSync = (target, data, options) => {
+      if (!isPathArgument(target)) {
+        return sync.appendFileSync(target, data, options)
+      }
+      const existing = fs.existsSync(target) ? fs.readFileSync(target) : ''
+      virtualFs.write(
+        target,
+        Buffer.concat([Buffer.from(existing), Buffer.from(data)]),
+        options
+      )
+    }
+
+    fs.mkdirSync = /** @type {any} */ (
+      (target, options) => {
+        virtualFs.mkdir(target, options)
+        return undefined
+      }
+    )
+
+    fs.chmodSync = (target, mode) => {
+      const entry = virtualFs.files.get(toFullPath(target))
+      if (entry) {
+        entry.mode = typeof mode === 'string' ? parseInt(mode, 8) : mode
+      }
+    }
+
+    fs.copyFileSync = (source, destination) => {
+      virtualFs.write(destination, fs.readFileSync(source))
+    }
+
+    fs.renameSync = (source, destination) => {
+      virtualFs.write(destination, fs.readFileSync(source))
+      virtualFs.remove(source)
+    }
+
+    fs.unlinkSync = target => virtualFs.remove(target)
+
+    fs.rmSync = (target, options) => {
+      if (fs.existsSync(target)) {
+        virtualFs.remove(target)
+      } else if (!(options && options.force)) {
+        throw notFoundError(String(target), 'rm')
+      }
+    }
+
+    originalPromises.readFile = /** @type {any} */ (
+      async (target, options) =>
+        isPathArgument(target) && virtualFs.has(target)
+          ? virtualFs.read(target, options)
+          : virtualFs.originals.promises.readFile(target, options)
+    )
+    originalPromises.writeFile = /** @type {any} */ (
+      async (target, data, options) => {
+        virtualFs.write(target, data, options)
+      }
+    )
+    originalPromises.mkdir = /** @type {any} */ (
+      async (target, options) => {
+        virtualFs.mkdir(target, options)
+        return undefined
+      }
+    )
+
+    activeFs = this
+    return this
+  }
+
+  /**
+   * Restore the real fs functions
+   */
+  deactivate() {
+    if (!this.originals) return
+    Object.assign(fs, this.originals.sync)
+    Object.assign(fs.promises, this.originals.promises)
+    this.originals = null
+    if (activeFs === this) {
+      activeFs = null
+    }
+  }
+
+  /**
+   * @param {import('fs').PathLike} target - Path
+   * @returns {boolean} Whether this layer knows the path
+   */
+  has(target) {
+    const fullPath = toFullPath(target)
+    return this.files.has(fullPath) || this.directories.has(fullPath)
+  }
+
+  /**
+   * @param {import('fs').PathLike} target - Path known to this layer
+   * @returns {boolean}
+   */
+  exists(target) {
+    const fullPath = toFullPath(target)
+    const entry = this.files.get(fullPath)
+    return entry ? entry.content !== null : this.directories.has(fullPath)
+  }
+
+  /**
+   * @param {import('fs').PathLike} target - Path known to this layer
+   * @param {string|Object} [options] - Encoding or options
+   * @returns {string|Buffer}
+   */
+  read(target, options) {
+    const fullPath = toFullPath(target)
+    const entry = this.files.get(fullPath)
+    if (!entry || entry.content === null) {
+      throw notFoundError(fullPath, 'open')
+    }
+    const encoding = encodingOf(options)
+    return encoding
+      ? entry.content.toString(/** @type {BufferEncoding} */ (encoding))
+      : Buffer.from(entry.content)
+  }
+
+  /**
+   * @param {import('fs').PathLike} target - Path
+   * @param {string|NodeJS.ArrayBufferView} data - Content
+   * @param {string|Object} [options] - Encoding or options
+   */
+  write(target, data, options) {
+    const fullPath = toFullPath(target)
+    const previous = this.files.get(fullPath)
+    const mode =
+      options && typeof options === 'object' && options.mode
+        ? options.mode
+        : previous
+          ? previous.mode
+          : null
+    const encoding = /** @type {BufferEncoding} */ (
+      encodingOf(options) || 'utf8'
+    )
+    this.files.set(fullPath, {
+      content:
+        typeof data === 'string'
+          ? Buffer.from(data, encoding)
+          : Buffer.concat([
+              new Uint8Array(data.buffer, data.byteOffset, data.byteLength),
+            ]),
+      mode,
+    })
+  }
+
+  /**
+   * @param {import('fs').PathLike} target - Directory path
+   * @param {Object|number} [options] - mkdir options
+   */
+  mkdir(target, options) {
+    const recursive = Boolean(options && /** @type {any} */ (options).recursive)
+    let dir = toFullPath(target)
+    while (!this.originals.sync.existsSync(dir) && !this.directories.has(dir)) {
+      this.directories.add(dir)
+      if (!recursive) break
+      dir = path.dirname(dir)
+    }
+  }
+
+  /**
+   * @param {import('fs').PathLike} target - File path
+   */
+  remove(target) {
+    const fullPath = toFullPath(target)
+    if (!fs.existsSync(fullPath)) {
+      throw notFoundError(fullPath, 'unlink')
+    }
+    this.files.set(fullPath, { content: null, mode: null })
+  }
+
+  /**
+   * Record a file the flow left alone because it already exists
+   * @param {string} target - File path
+   */
+  recordSkipped(target) {
+    this.skipped.add(path.resolve(target))
+  }
+
+  /**
+   * @param {string} fullPath - Absolute path
+   * @returns {string|null} Project-relative path with forward slashes, or null outside the project
+   */
+  toProjectPath(fullPath) {
+    const relativePath = path.relative(this.rootPath, fullPath)
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return null
+    }
+    return relativePath.split(path.sep).join('/')
+  }
+
+  /**
+   * Changes inside the project compared with the files on disk
+   *
+   * Writes outside the project (e.g. usage data in the home directory) are
+   * discarded and not reported.
+   * @returns {Array<{file: string, before: string|null, after: string|null, mode: number|null}>} Sorted by file
+   */
+  getChanges() {
+    const read = this.originals ? this.originals.sync : fs
+    const changes = []
+    for (const [fullPath, entry] of this.files) {
+      const file = this.toProjectPath(fullPath)
+      if (file === null) continue
+
+      const before = read.existsSync(fullPath)
+        ? read.readFileSync(fullPath, 'utf8')
+        : null
+      const after = entry.content === null ? null : entry.content.toString()
+      if (before !== after) {
+        changes.push({ file, before, after, mode: entry.mode })
+      }
+    }
+    return changes.sort((a, b) => a.file.localeCompare(b.file))
+  }
+
+  /**
+   * Existing files the flow skipped and did not write later on
+   * @returns {string[]} Sorted project-relative paths
+   */
+  getSkipped() {
+    return [...this.skipped]
+      .filter(fullPath => !this.files.has(fullPath))
+      .map(fullPath => this.toProjectPath(fullPath))
+      .filter(file => file !== null)
+      .sort()
+  }
+}
+
+/**
+ * Tell an active --dry-run layer that an existing file was kept as is.
+ * No-op outside dry runs.
+ * @param {string} filePath - File path
+ */
+function recordSkippedFile(filePath) {
+  if (activeFs) {
+    activeFs.recordSkipped(filePath)
+  }
+}
+
+/**
+ * Add a note to the plan of an active --dry-run layer, for what the real
+ * run would do besides writing files (e.g. stop on a license limit).
+ * No-op outside dry runs.
+ * @param {string} message - Note
+ */
+function recordPlanNote(message) {
+  if (activeFs) {
+    activeFs.notes.push(message)
+  }
+}
+
+module.exports = {
+  VirtualFs,
+  recordSkippedFile,
+  recordPlanNote,
+}
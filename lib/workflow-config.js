@@ -228,8 +228,36 @@ function injectMatrix(workflowContent, enableMatrix) {
   return updated
 }
 
+/**
+ * Replace the Slack alert and PR comment placeholders in quality.yml
+ * @param {string} workflowContent - Template content
+ * @param {{enableSlackAlerts?: boolean, enablePrComments?: boolean}} [options] - Enabled steps
+ * @returns {string} Modified workflow content
+ */
+function injectCollaborationSteps(workflowContent, options = {}) {
+  const { enableSlackAlerts = false, enablePrComments = false } = options
+  let updated = workflowContent
+
+  if (workflowContent.includes('# ALERTS_PLACEHOLDER')) {
+    const alertsJob = enableSlackAlerts
+      ? `  alerts:\n    runs-on: ubuntu-latest\n    needs: [summary]\n    if: failure() || cancelled()\n    steps:\n      - name: Notify Slack on failures\n        env:\n          SLACK_WEBHOOK_URL: \${{ secrets.SLACK_WEBHOOK_URL }}\n        run: |\n          if [ -z "$SLACK_WEBHOOK_URL" ]; then\n            echo "::warning::SLACK_WEBHOOK_URL not set; skipping Slack notification"\n            exit 0\n          fi\n          payload='{"text":"❌ Quality checks failed for $GITHUB_REPOSITORY ($GITHUB_REF)"}'\n          curl -X POST -H 'Content-type: application/json' --data "$payload" "$SLACK_WEBHOOK_URL"\n`
+      : '  # Slack alerts not enabled (use --alerts-slack to add)'
+    updated = updated.replace('# ALERTS_PLACEHOLDER', alertsJob)
+  }
+
+  if (workflowContent.includes('# PR_COMMENTS_PLACEHOLDER')) {
+    const prSteps = enablePrComments
+      ? `      - name: Post PR summary comment\n        if: github.event_name == 'pull_request'\n        uses: actions/github-script@v7\n        with:\n          script: |\n            const summaryPath = process.env.GITHUB_STEP_SUMMARY\n            const fs = require('fs')\n            const body = summaryPath && fs.existsSync(summaryPath)\n              ? fs.readFileSync(summaryPath, 'utf8')\n              : 'Quality checks completed.'\n            const { context, github } = require('@actions/github')\n            await github.rest.issues.createComment({\n              owner: context.repo.owner,\n              repo: context.repo.repo,\n              issue_number: context.payload.pull_request.number,\n              body,\n            })\n`
+      : '      # PR comment step not enabled (use --pr-comments to add)'
+    updated = updated.replace('# PR_COMMENTS_PLACEHOLDER', prSteps)
+  }
+
+  return updated
+}
+
 module.exports = {
   detectExistingWorkflowMode,
   injectWorkflowMode,
   injectMatrix,
+  injectCollaborationSteps,
 }
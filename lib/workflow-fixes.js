@@ -0,0 +1,521 @@
+'use strict'
+
+/**
+ * Workflow fixes for analyze-ci --fix
+ *
+ * Applies analyze-ci recommendations to workflow YAML as line edits, so
+ * comments, quoting and the rest of the formatting stay as they are. Every
+ * edit is checked by parsing the result. Fixes that can't be applied safely
+ * (flow-style mappings, settings that are already there, ...) are skipped
+ * with a reason.
+ */
+
+const yaml = require('js-yaml')
+
+const FIX_TYPES = ['cache', 'paths-ignore', 'concurrency', 'schedule']
+const PATHS_IGNORE = ['**/*.md', 'docs/**']
+const CONCURRENCY_GROUP = '${{ github.workflow }}-${{ github.ref }}'
+
+/**
+ * @typedef {{lines: string[], eol: string, unit: number}} WorkflowLines
+ * @typedef {{lines: string[], verify: (parsed: any) => boolean}|{reason: string}} FixResult
+ */
+
+/**
+ * @param {string} content - Workflow YAML
+ * @returns {WorkflowLines} Lines, line ending and indentation unit
+ */
+function toLines(content) {
+  const lines = content.split(/\r?\n/)
+  const indented = lines.find(line => isContent(line) && indentOf(line) > 0)
+  return {
+    lines,
+    eol: content.includes('\r\n') ? '\r\n' : '\n',
+    unit: indented ? indentOf(indented) : 2,
+  }
+}
+
+const indentOf = line => line.length - line.trimStart().length
+const isContent = line => line.trim() !== '' && !line.trim().startsWith('#')
+const pad = width => ' '.repeat(width)
+
+/**
+ * Column where a line's key starts (after `- ` for sequence items)
+ * @param {string} line
+ * @returns {number}
+ */
+function keyColumn(line) {
+  const trimmed = line.trimStart()
+  if (!trimmed.startsWith('-')) {
+    return indentOf(line)
+  }
+  const afterDash = trimmed.slice(1)
+  return indentOf(line) + 1 + (afterDash.length - afterDash.trimStart().length)
+}
+
+/**
+ * Key/value parts of a `key: value # comment` line
+ * @param {string} line
+ * @returns {{key: string, value: string, comment: string}|null} Null for lines without a key
+ */
+function splitKeyLine(line) {
+  const text = line.slice(keyColumn(line))
+  const colon = text.search(/:(\s|$)/)
+  if (colon <= 0) {
+    return null
+  }
+  const key = text.slice(0, colon).replace(/^(['"])(.*)\1$/, '$2')
+  let rest = text.slice(colon + 1)
+  const hash = rest.search(/(^|\s)#/)
+  const comment = hash === -1 ? '' : rest.slice(hash).trim()
+  rest = hash === -1 ? rest : rest.slice(0, hash)
+  return { key, value: rest.trim(), comment }
+}
+
+/**
+ * Index after the last line of the block a key line opens
+ * @param {string[]} lines
+ * @param {number} index - Key line
+ * @returns {number}
+ */
+function blockEnd(lines, index) {
+  const base = indentOf(lines[index])
+  // `key:` followed by `- item` at the same indentation is still its value
+  const ownsSiblingItems = !lines[index].trimStart().startsWith('-')
+  let end = index + 1
+  for (let i = index + 1; i < lines.length; i++) {
+    if (!isContent(lines[i])) continue
+    const indent = indentOf(lines[i])
+    if (
+      indent > base ||
+      (ownsSiblingItems &&
+        indent === base &&
+        lines[i].trimStart().startsWith('-'))
+    ) {
+      end = i + 1
+    } else {
+      break
+    }
+  }
+  return end
+}
+
+/**
+ * Find a mapping key between two lines at a given column
+ * @param {string[]} lines
+ * @param {number} start
+ * @param {number} end
+ * @param {string} key
+ * @param {number} column
+ * @returns {number} Line index, or -1
+ */
+function findKey(lines, start, end, key, column) {
+  for (let i = start; i < end; i++) {
+    if (!isContent(lines[i]) || keyColumn(lines[i]) !== column) continue
+    const parts = splitKeyLine(lines[i])
+    if (parts && parts.key === key) {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * Indentation of a block's children (the document's unit deeper when empty)
+ * @param {WorkflowLines} doc
+ * @param {number} index - Key line
+ * @param {number} end - Block end
+ * @returns {number}
+ */
+function childColumn(doc, index, end) {
+  for (let i = index + 1; i < end; i++) {
+    if (isContent(doc.lines[i])) {
+      return indentOf(doc.lines[i])
+    }
+  }
+  return keyColumn(doc.lines[index]) + doc.unit
+}
+
+/**
+ * @param {string[]} lines
+ * @param {number} index - Insert before this line
+ * @param {string[]} added
+ * @returns {string[]}
+ */
+function insertLines(lines, index, added) {
+  return [...lines.slice(0, index), ...added, ...lines.slice(index)]
+}
+
+/**
+ * Block of a job under `jobs:`
+ * @param {WorkflowLines} doc
+ * @param {string} jobName
+ * @returns {{start: number, end: number}|null}
+ */
+function findJob(doc, jobName) {
+  const jobsLine = findKey(doc.lines, 0, doc.lines.length, 'jobs', 0)
+  if (jobsLine === -1) return null
+  const jobsEnd = blockEnd(doc.lines, jobsLine)
+  const jobLine = findKey(
+    doc.lines,
+    jobsLine + 1,
+    jobsEnd,
+    jobName,
+    childColumn(doc, jobsLine, jobsEnd)
+  )
+  return jobLine === -1
+    ? null
+    : { start: jobLine, end: blockEnd(doc.lines, jobLine) }
+}
+
+/**
+ * Turn on the actions/setup-node cache (analyze-ci only recommends it when
+ * the project has the package manager's lockfile)
+ * @param {WorkflowLines} doc
+ * @param {{job: string, cache: string}} recommendation
+ * @returns {FixResult}
+ */
+function fixCache(doc, recommendation) {
+  const { lines, unit } = doc
+  const job = findJob(doc, recommendation.job)
+  if (!job) {
+    return { reason: `job "${recommendation.job}" not found` }
+  }
+
+  const usesLine = lines.findIndex((line, i) => {
+    if (i < job.start || i >= job.end || !isContent(line)) return false
+    const parts = splitKeyLine(line)
+    return (
+      parts &&
+      parts.key === 'uses' &&
+      parts.value.includes('actions/setup-node')
+    )
+  })
+  if (usesLine === -1) {
+    return { reason: 'no actions/setup-node step' }
+  }
+
+  // The step item starts at the `- ` line at or above `uses:`
+  const column = keyColumn(lines[usesLine])
+  let itemLine = usesLine
+  while (
+    itemLine > job.start &&
+    !(
+      lines[itemLine].trimStart().startsWith('-') &&
+      keyColumn(lines[itemLine]) === column
+    )
+  ) {
+    itemLine--
+  }
+  const stepEnd = blockEnd(lines, itemLine)
+
+  const withLine = findKey(lines, itemLine, stepEnd, 'with', column)
+  let added
+  let at
+  if (withLine === -1) {
+    at = stepEnd
+    added = [
+      `${pad(column)}with:`,
+      `${pad(column + unit)}cache: ${recommendation.cache}`,
+    ]
+  } else {
+    if (splitKeyLine(lines[withLine]).value) {
+      return { reason: 'setup-node `with` is written inline' }
+    }
+    const withEnd = blockEnd(lines, withLine)
+    const withColumn = childColumn(doc, withLine, withEnd)
+    if (findKey(lines, withLine + 1, withEnd, 'cache', withColumn) !== -1) {
+      return { reason: 'setup-node already sets `cache`' }
+    }
+    at = withEnd
+    added = [`${pad(withColumn)}cache: ${recommendation.cache}`]
+  }
+
+  return {
+    lines: insertLines(lines, at, added),
+    verify: parsed =>
+      parsed.jobs[recommendation.job].steps.some(
+        step =>
+          typeof step.uses === 'string' &&
+          step.uses.includes('actions/setup-node') &&
+          step.with &&
+          step.with.cache === recommendation.cache
+      ),
+  }
+}
+
+/**
+ * @param {number} column - Column of the `paths-ignore` key
+ * @param {number} unit - Indentation unit
+ * @returns {string[]}
+ */
+function pathsIgnoreLines(column, unit) {
+  return [
+    `${pad(column)}paths-ignore:`,
+    ...PATHS_IGNORE.map(entry => `${pad(column + unit)}- '${entry}'`),
+  ]
+}
+
+/**
+ * Skip push and pull_request runs for docs-only changes
+ * @param {WorkflowLines} doc
+ * @returns {FixResult}
+ */
+function fixPathsIgnore(doc) {
+  const { lines, unit } = doc
+  const onLine = findKey(lines, 0, lines.length, 'on', 0)
+  if (onLine === -1) {
+    return { reason: 'no `on` triggers' }
+  }
+  const events = ['push', 'pull_request']
+  const verify = parsed =>
+    events.every(
+      event =>
+        !(event in parsed.on) ||
+        (parsed.on[event] && Array.isArray(parsed.on[event]['paths-ignore']))
+    )
+
+  const { value, comment } = splitKeyLine(lines[onLine])
+  if (value) {
+    // `on: push` or `on: [push, pull_request]` becomes a mapping
+    let triggers
+    try {
+      triggers = yaml.load(value)
+    } catch {
+      triggers = null
+    }
+    triggers = typeof triggers === 'string' ? [triggers] : triggers
+    if (!Array.isArray(triggers) || triggers.some(t => typeof t !== 'string')) {
+      return { reason: '`on` is written inline' }
+    }
+    const replacement = [`on:${comment ? ` ${comment}` : ''}`]
+    for (const trigger of triggers) {
+      replacement.push(`${pad(unit)}${trigger}:`)
+      if (events.includes(trigger)) {
+        replacement.push(...pathsIgnoreLines(unit * 2, unit))
+      }
+    }
+    return {
+      lines: [
+        ...lines.slice(0, onLine),
+        ...replacement,
+        ...lines.slice(onLine + 1),
+      ],
+      verify: parsed =>
+        verify(parsed) && triggers.every(trigger => trigger in parsed.on),
+    }
+  }
+
+  const onEnd = blockEnd(lines, onLine)
+  const column = childColumn(doc, onLine, onEnd)
+  const insertions = []
+  for (const event of events) {
+    const eventLine = findKey(lines, onLine + 1, onEnd, event, column)
+    if (eventLine === -1) continue
+    const eventValue = splitKeyLine(lines[eventLine]).value
+    if (eventValue && eventValue !== 'null' && eventValue !== '~') {
+      return { reason: `\`${event}\` is written inline` }
+    }
+    const eventEnd = blockEnd(lines, eventLine)
+    insertions.push({
+      at: eventEnd,
+      lines: pathsIgnoreLines(
+        eventEnd === eventLine + 1
+          ? column + unit
+          : childColumn(doc, eventLine, eventEnd),
+        unit
+      ),
+      clearValue: eventValue ? eventLine : -1,
+    })
+  }
+  if (insertions.length === 0) {
+    return { reason: 'no push or pull_request trigger' }
+  }
+
+  let edited = lines.slice()
+  for (const insertion of insertions.sort((a, b) => b.at - a.at)) {
+    edited = insertLines(edited, insertion.at, insertion.lines)
+    if (insertion.clearValue !== -1) {
+      edited[insertion.clearValue] = edited[insertion.clearValue].replace(
+        /:\s*(null|~)/,
+        ':'
+      )
+    }
+  }
+  return { lines: edited, verify }
+}
+
+/**
+ * Cancel runs superseded by a newer push to the same ref
+ * @param {WorkflowLines} doc
+ * @returns {FixResult}
+ */
+function fixConcurrency(doc) {
+  const { lines, unit } = doc
+  if (findKey(lines, 0, lines.length, 'concurrency', 0) !== -1) {
+    return { reason: 'workflow already sets `concurrency`' }
+  }
+  const jobsLine = findKey(lines, 0, lines.length, 'jobs', 0)
+  if (jobsLine === -1) {
+    return { reason: 'no `jobs`' }
+  }
+
+  // Keep comments that introduce `jobs:` attached to it
+  let at = jobsLine
+  while (at > 0 && lines[at - 1].trim().startsWith('#')) {
+    at--
+  }
+  const added = [
+    'concurrency:',
+    `${pad(unit)}group: ${CONCURRENCY_GROUP}`,
+    `${pad(unit)}cancel-in-progress: true`,
+  ]
+  if (at > 0 && lines[at - 1].trim() === '') {
+    added.push('')
+  }
+
+  return {
+    lines: insertLines(lines, at, added),
+    verify: parsed =>
+      parsed.concurrency &&
+      parsed.concurrency.group === CONCURRENCY_GROUP &&
+      parsed.concurrency['cancel-in-progress'] === true,
+  }
+}
+
+/**
+ * Narrow a cron expression to run at most weekly or monthly
+ *
+ * Keeps the minute and hour (midnight when they are ranges or steps) and
+ * the day of week or month when it is a single value; otherwise Mondays or
+ * the 1st of the month.
+ * @param {string} expression - Five-field cron expression
+ * @param {'weekly'|'monthly'} target - Frequency to narrow to
+ * @returns {string|null} Narrowed expression, or null when it already runs that rarely
+ */
+function narrowCron(expression, target) {
+  const fields = expression.trim().split(/\s+/)
+  if (fields.length !== 5) {
+    return null
+  }
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = fields
+  const single = field => (/^\d+$/.test(field) ? field : null)
+
+  let narrowed
+  if (target === 'weekly') {
+    if (dayOfMonth !== '*') return null
+    narrowed = `${single(minute) || '0'} ${single(hour) || '0'} * ${month} ${single(dayOfWeek) || '1'}`
+  } else {
+    narrowed = `${single(minute) || '0'} ${single(hour) || '0'} ${single(dayOfMonth) || '1'} ${month} *`
+  }
+  return narrowed === fields.join(' ') ? null : narrowed
+}
+
+/**
+ * Run scheduled workflows less often
+ * @param {WorkflowLines} doc
+ * @param {{schedule: 'weekly'|'monthly'}} recommendation
+ * @returns {FixResult}
+ */
+function fixSchedule(doc, recommendation) {
+  const { lines } = doc
+  const onLine = findKey(lines, 0, lines.length, 'on', 0)
+  const onEnd = onLine === -1 ? -1 : blockEnd(lines, onLine)
+  const scheduleLine =
+    onLine === -1
+      ? -1
+      : findKey(
+          lines,
+          onLine + 1,
+          onEnd,
+          'schedule',
+          childColumn(doc, onLine, onEnd)
+        )
+  if (scheduleLine === -1) {
+    return { reason: 'no `schedule` trigger' }
+  }
+
+  const edited = lines.slice()
+  const expected = []
+  for (let i = scheduleLine + 1; i < blockEnd(lines, scheduleLine); i++) {
+    const parts = isContent(lines[i]) ? splitKeyLine(lines[i]) : null
+    if (!parts || parts.key !== 'cron') continue
+    const cron = parts.value.replace(/^(['"])(.*)\1$/, '$2')
+    const narrowed = narrowCron(cron, recommendation.schedule)
+    expected.push(narrowed || cron)
+    if (narrowed) {
+      edited[i] = lines[i].replace(cron, narrowed)
+    }
+  }
+  if (edited.every((line, i) => line === lines[i])) {
+    return {
+      reason: `schedule already runs ${recommendation.schedule} or less often`,
+    }
+  }
+
+  return {
+    lines: edited,
+    verify: parsed =>
+      parsed.on.schedule.map(entry => entry.cron).join('\n') ===
+      expected.join('\n'),
+  }
+}
+
+const FIXERS = {
+  cache: fixCache,
+  'paths-ignore': fixPathsIgnore,
+  concurrency: fixConcurrency,
+  schedule: fixSchedule,
+}
+
+/**
+ * Apply recommendations to a workflow
+ * @param {string} content - Workflow YAML
+ * @param {Array<Object>} recommendations - analyze-ci recommendations for this workflow (`fix` selects the fix)
+ * @returns {{content: string, applied: Object[], skipped: Array<{recommendation: Object, reason: string}>}} Edited YAML and what was (not) applied
+ */
+function applyWorkflowFixes(content, recommendations) {
+  let current = content
+  const applied = []
+  const skipped = []
+
+  for (const recommendation of recommendations) {
+    const fixer = FIXERS[recommendation.fix]
+    if (!fixer) {
+      skipped.push({ recommendation, reason: 'no automatic fix' })
+      continue
+    }
+
+    const doc = toLines(current)
+    const result = fixer(doc, recommendation)
+    if ('reason' in result) {
+      skipped.push({ recommendation, reason: result.reason })
+      continue
+    }
+
+    const edited = result.lines.join(doc.eol)
+    let verified
+    try {
+      verified = result.verify(yaml.load(edited))
+    } catch {
+      verified = false
+    }
+    if (!verified) {
+      skipped.push({
+        recommendation,
+        reason: 'the workflow could not be edited safely',
+      })
+      continue
+    }
+    current = edited
+    applied.push(recommendation)
+  }
+
+  return { content: current, applied, skipped }
+}
+
+module.exports = {
+  FIX_TYPES,
+  applyWorkflowFixes,
+  narrowCron,
+}
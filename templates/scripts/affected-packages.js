@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+/**
+ * Affected Package Tests
+ * Generated by create-qa-architect (Pro/Team/Enterprise feature)
+ * https://vibebuildlab.com/qa-architect
+ *
+ * Called by scripts/smart-test-strategy.sh in monorepos. Reads the changed
+ * files (one per line) on stdin, maps them to workspace packages, adds every
+ * package that depends on a changed one and runs only those packages' tests.
+ * Nx and Turborepo workspaces hand the test run to `nx affected` /
+ * `turbo --filter` instead.
+ *
+ * Usage: node scripts/affected-packages.js --tier <fast|medium|comprehensive>
+ *          [--range <base>..<head>]... [--list]
+ */
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const { loadSmartStrategyConfig, scorePaths } = require('./smart-risk')
+
+// Workspace layout captured at setup time; run
+// `npx create-qa-architect@latest --update` after adding packages
+const CONFIG = /* {{AFFECTED_CONFIG}} */ null
+
+// Package scripts tried for each tier, first match wins
+const TIER_SCRIPTS = {
+  fast: ['test:fast', 'test:unit', 'test'],
+  medium: ['test:medium', 'test'],
+  comprehensive: ['test:comprehensive', 'test'],
+}
+
+// Root files that affect every package when they change
+const SHARED_ROOT_FILE =
+  /^(package\.json|package-lock\.json|pnpm-lock\.yaml|pnpm-workspace\.yaml|yarn\.lock|bun\.lockb?|tsconfig[\w.-]*\.json)$/
+
+/**
+ * @param {string[]} argv - Command line arguments
+ * @returns {{tier: string, ranges: string[], list: boolean}}
+ */
+function parseArgs(argv) {
+  const options = { tier: 'fast', ranges: [], list: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--tier') {
+      options.tier = argv[++i]
+    } else if (argv[i] === '--range') {
+      options.ranges.push(argv[++i])
+    } else if (argv[i] === '--list') {
+      options.list = true
+    }
+  }
+  return options
+}
+
+/**
+ * Package containing a file (the deepest package directory wins)
+ * @param {string} file - Repository-relative path
+ * @param {Array<{name: string, dir: string}>} packages - Workspace packages
+ * @returns {Object|null}
+ */
+function findOwner(file, packages) {
+  let owner = null
+  for (const pkg of packages) {
+    if (
+      file.startsWith(`${pkg.dir}/`) &&
+      (!owner || pkg.dir.length > owner.dir.length)
+    ) {
+      owner = pkg
+    }
+  }
+  return owner
+}
+
+/**
+ * Risk score of the files changed in one package, using the path rules of
+ * the repository-wide score (smart-risk.js)
+ * @param {string[]} files - Changed files
+ * @returns {{score: number, drivers: string[]}}
+ */
+function scoreFiles(files) {
+  const config = loadSmartStrategyConfig(process.cwd(), {
+    highRiskRegex: CONFIG.highRiskRegex,
+  })
+  const { score, drivers } = scorePaths(files, config)
+  return {
+    score,
+    drivers: drivers.map(driver => `+${driver.points} ${driver.reason}`),
+  }
+}
+
+/**
+ * Packages changed directly, through a shared root file, or by depending
+ * (transitively) on a changed package
+ * @param {string[]} files - Changed files
+ * @param {{packages: Array<{name: string, dir: string, dependencies: string[]}>}} workspace - Workspace graph
+ * @returns {{affected: Array<{name: string, dir: string, reason: string, files: string[], via?: string}>, rootFiles: string[]}} Affected packages in workspace order
+ */
+function findAffectedPackages(files, workspace) {
+  const { packages } = workspace
+  const affected = new Map()
+  const rootFiles = []
+
+  for (const file of files) {
+    const owner = findOwner(file, packages)
+    if (!owner) {
+      rootFiles.push(file)
+      continue
+    }
+    if (!affected.has(owner.name)) {
+      affected.set(owner.name, { ...owner, reason: 'changed', files: [] })
+    }
+    affected.get(owner.name).files.push(file)
+  }
+
+  const sharedFile = rootFiles.find(file => SHARED_ROOT_FILE.test(file))
+  if (sharedFile) {
+    for (const pkg of packages) {
+      if (!affected.has(pkg.name)) {
+        affected.set(pkg.name, {
+          ...pkg,
+          reason: 'shared',
+          files: [],
+          via: sharedFile,
+        })
+      }
+    }
+  }
+
+  // Walk the dependency graph backwards: dependents of affected packages
+  const queue = [...affected.keys()]
+  while (queue.length > 0) {
+    const name = queue.shift()
+    for (const pkg of packages) {
+      if (!affected.has(pkg.name) && pkg.dependencies.includes(name)) {
+        affected.set(pkg.name, {
+          ...pkg,
+          reason: 'dependent',
+          files: [],
+          via: name,
+        })
+        queue.push(pkg.name)
+      }
+    }
+  }
+
+  const order = packages.map(pkg => pkg.name)
+  return {
+    affected: [...affected.values()].sort(
+      (a, b) => order.indexOf(a.name) - order.indexOf(b.name)
+    ),
+    rootFiles,
+  }
+}
+
+/**
+ * Native affected-run commands for Nx and Turborepo workspaces
+ * @param {string|null} tool - Monorepo tool
+ * @param {string[]} ranges - `<base>..<head>` ranges being pushed
+ * @returns {Array<{command: string, args: string[]}>|null} Null when the tool has no native selection
+ */
+function getNativeCommands(tool, ranges) {
+  if (ranges.length === 0) return null
+  const split = range => range.split('..')
+  if (tool === 'nx') {
+    return ranges.map(range => {
+      const [base, head] = split(range)
+      return {
+        command: 'npx',
+        args: [
+          'nx',
+          'affected',
+          '-t',
+          'test',
+          `--base=${base}`,
+          `--head=${head}`,
+        ],
+      }
+    })
+  }
+  if (tool === 'turborepo') {
+    return ranges.map(range => {
+      const [base, head] = split(range)
+      return {
+        command: 'npx',
+        args: ['turbo', 'run', 'test', `--filter=...[${base}...${head}]`],
+      }
+    })
+  }
+  return null
+}
+
+/**
+ * @param {{dir: string}} pkg - Workspace package
+ * @param {string} tier - Test tier
+ * @returns {string|null} Script to run for the tier, if the package has one
+ */
+function findTestScript(pkg, tier) {
+  let scripts = {}
+  try {
+    const manifest = fs.readFileSync(path.join(pkg.dir, 'package.json'), 'utf8')
+    scripts = JSON.parse(manifest).scripts || {}
+  } catch {
+    return null
+  }
+  return (
+    (TIER_SCRIPTS[tier] || TIER_SCRIPTS.fast).find(name => scripts[name]) ||
+    null
+  )
+}
+
+/**
+ * @param {Object} entry - Affected package from findAffectedPackages
+ * @returns {string} One-line description for the breakdown
+ */
+function describe(entry) {
+  if (entry.reason === 'dependent') {
+    return `${entry.name} - depends on ${entry.via}`
+  }
+  if (entry.reason === 'shared') {
+    return `${entry.name} - shared root file ${entry.via} changed`
+  }
+  const { score, drivers } = scoreFiles(entry.files)
+  const count = `${entry.files.length} file${entry.files.length === 1 ? '' : 's'}`
+  const risk = drivers.length ? `: ${drivers.join(', ')}` : ''
+  return `${entry.name} - changed (${count}), risk ${score}${risk}`
+}
+
+/**
+ * @param {{command: string, args: string[], cwd?: string}} step - Command to run
+ * @returns {boolean} Whether it succeeded
+ */
+function run(step) {
+  const result = spawnSync(step.command, step.args, {
+    cwd: step.cwd,
+    stdio: 'inherit',
+  })
+  return result.status === 0
+}
+
+/**
+ * @returns {number} Exit code
+ */
+function main() {
+  if (!CONFIG) {
+    console.error('❌ This script is a template - run create-qa-architect')
+    return 2
+  }
+
+  const options = parseArgs(process.argv.slice(2))
+  const files = fs
+    .readFileSync(0, 'utf8')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+  const { workspace } = CONFIG
+  const { affected } = findAffectedPackages(files, workspace)
+
+  console.log(
+    `📦 Affected packages (${affected.length} of ${workspace.packages.length}):`
+  )
+  affected.forEach(entry => console.log(`   • ${describe(entry)}`))
+
+  if (options.list) return 0
+
+  const native = getNativeCommands(workspace.tool, options.ranges)
+  if (native) {
+    console.log(`\n🧪 Running affected tests with ${workspace.tool}`)
+    return native.every(run) ? 0 : 1
+  }
+
+  if (affected.length === 0) {
+    console.log('   No workspace packages affected - skipping package tests')
+    return 0
+  }
+
+  const failed = []
+  for (const entry of affected) {
+    const script = findTestScript(entry, options.tier)
+    if (!script) {
+      console.log(`\n⏭️  ${entry.name}: no test script`)
+      continue
+    }
+    const command = workspace.packageManager || 'npm'
+    console.log(`\n🧪 ${entry.name}: ${command} run ${script}`)
+    if (!run({ command, args: ['run', script], cwd: entry.dir })) {
+      failed.push(entry.name)
+    }
+  }
+
+  if (failed.length > 0) {
+    console.error(`\n❌ Tests failed in: ${failed.join(', ')}`)
+    return 1
+  }
+  console.log('\n✅ Affected package tests passed')
+  return 0
+}
+
+if (require.main === module) {
+  process.exit(main())
+}
+
+module.exports = {
+  findAffectedPackages,
+  getNativeCommands,
+  findTestScript,
+  scoreFiles,
+}
@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+/**
+ * Flaky Test Runner
+ * Generated by create-qa-architect
+ * https://vibebuildlab.com/qa-architect
+ *
+ * Wraps the test command of quality.yml and the pre-push hook:
+ *
+ *   node scripts/flaky-tests.js run [--retries <n>] -- <command> [args...]
+ *   node scripts/flaky-tests.js report
+ *
+ * After every attempt it reads the test report (JUnit XML, or Jest/Vitest
+ * JSON), retries failing runs and records each test's result in
+ * .create-qa-architect-cache/test-history.json. Tests that both passed and
+ * failed on the same code are flagged as flaky. Failing tests listed in
+ * `flakyTests.quarantine` of .qualityrc.json still run but don't fail the
+ * command. Without a report a failing run isn't retried: a pass on retry
+ * couldn't be told apart from a broken test.
+ *
+ * The report is read from `flakyTests.report` (default
+ * .create-qa-architect-cache/test-results.xml). pytest and jest-junit write
+ * it there on their own; other runners can use the FLAKY_TEST_REPORT
+ * environment variable, e.g. for Vitest:
+ *   vitest run --reporter=default --reporter=junit --outputFile.junit=$FLAKY_TEST_REPORT
+ */
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const CACHE_DIR = '.create-qa-architect-cache'
+const HISTORY_FILE = path.join(CACHE_DIR, 'test-history.json')
+const HISTORY_VERSION = 1
+const DEFAULTS = {
+  retries: 2,
+  report: path.join(CACHE_DIR, 'test-results.xml'),
+  historySize: 20,
+}
+
+/**
+ * @param {string} value - XML attribute or text
+ * @returns {string}
+ */
+function decodeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+}
+
+/**
+ * @param {string} file - Path from a report
+ * @param {string} projectPath - Project root
+ * @returns {string} Project-relative path with forward slashes
+ */
+function toRelative(file, projectPath) {
+  return path
+    .relative(projectPath, path.resolve(projectPath, file))
+    .split(path.sep)
+    .join('/')
+}
+
+/**
+ * Test results from a JUnit XML report
+ * @param {string} xml - Report content
+ * @param {string} projectPath - Project root
+ * @returns {Array<{id: string, status: string}>} id is `<file or class>::<name>`
+ */
+function parseJUnitXml(xml, projectPath) {
+  const results = []
+  const testcase = /<testcase\b([^>]*?)(?:\/>|>([\s\S]*?)<\/testcase>)/g
+  let match
+  while ((match = testcase.exec(xml)) !== null) {
+    const attributes = {}
+    for (const [, name, value] of match[1].matchAll(/([\w:-]+)="([^"]*)"/g)) {
+      attributes[name] = decodeXml(value)
+    }
+    const body = match[2] || ''
+    const suite = attributes.file
+      ? toRelative(attributes.file, projectPath)
+      : attributes.classname || ''
+    let status = 'pass'
+    if (/<(failure|error)\b/.test(body)) {
+      status = 'fail'
+    } else if (/<skipped\b/.test(body)) {
+      status = 'skip'
+    }
+    results.push({ id: `${suite}::${attributes.name || ''}`, status })
+  }
+  return results
+}
+
+/**
+ * Test results from a Jest `--json` or Vitest json reporter report
+ * @param {Object} report - Parsed report
+ * @param {string} projectPath - Project root
+ * @returns {Array<{id: string, status: string}>} id is `<file>::<full name>`
+ */
+function parseJestJson(report, projectPath) {
+  const statuses = { passed: 'pass', failed: 'fail' }
+  const results = []
+  for (const suite of report.testResults || []) {
+    const file = toRelative(suite.name || '', projectPath)
+    const assertions = suite.assertionResults || []
+    // A file that failed to load has no assertions
+    if (assertions.length === 0 && suite.status === 'failed') {
+      results.push({ id: `${file}::(file)`, status: 'fail' })
+    }
+    for (const assertion of assertions) {
+      const name =
+        assertion.fullName ||
+        [...(assertion.ancestorTitles || []), assertion.title].join(' ')
+      results.push({
+        id: `${file}::${name}`,
+        status: statuses[assertion.status] || 'skip',
+      })
+    }
+  }
+  return results
+}
+
+/**
+ * @param {string} reportPath - Report written by the test command
+ * @param {string} projectPath - Project root
+ * @returns {Array<{id: string, status: string}>|null} Null without a readable report
+ */
+function readReport(reportPath, projectPath) {
+  let content
+  try {
+    content = fs.readFileSync(reportPath, 'utf8')
+  } catch {
+    return null
+  }
+  if (content.trimStart().startsWith('{')) {
+    try {
+      return parseJestJson(JSON.parse(content), projectPath)
+    } catch {
+      return null
+    }
+  }
+  return parseJUnitXml(content, projectPath)
+}
+
+/**
+ * .qualityrc.json with its `extends` presets, through the loader setup
+ * copies next to this script; without it only the project file is read
+ * @param {string} projectPath - Project root
+ * @returns {Object} Config
+ */
+function readQualityConfig(projectPath) {
+  const loaderPath = path.join(__dirname, 'quality-config.js')
+  // Older setups don't have scripts/quality-config.js
+  if (fs.existsSync(loaderPath)) {
+    return require(loaderPath).loadQualityConfig(projectPath).config
+  }
+  return JSON.parse(
+    fs.readFileSync(path.join(projectPath, '.qualityrc.json'), 'utf8')
+  )
+}
+
+/**
+ * The `flakyTests` section of .qualityrc.json with defaults; expired
+ * quarantine entries are dropped
+ * @param {string} projectPath - Project root
+ * @param {Date} [now] - Current date
+ * @returns {{retries: number, report: string, historySize: number, quarantine: Array<{test: string, reason?: string, expires?: string}>, expired: Array<{test: string, expires: string}>}}
+ */
+function loadFlakyConfig(projectPath, now = new Date()) {
+  let raw = {}
+  try {
+    raw = readQualityConfig(projectPath).flakyTests || {}
+  } catch {
+    // No config: defaults only
+  }
+
+  const entries = (raw.quarantine || []).map(entry =>
+    typeof entry === 'string' ? { test: entry } : entry
+  )
+  const today = now.toISOString().slice(0, 10)
+  return {
+    ...DEFAULTS,
+    ...raw,
+    quarantine: entries.filter(
+      entry => entry.test && !(entry.expires && entry.expires < today)
+    ),
+    expired: entries.filter(entry => entry.expires && entry.expires < today),
+  }
+}
+
+/**
+ * Quarantine entry covering a test: its id, or a prefix such as its file
+ * @param {string} id - Test id
+ * @param {Array<{test: string}>} quarantine - Active entries
+ * @returns {Object|null}
+ */
+function findQuarantine(id, quarantine) {
+  return quarantine.find(entry => id.startsWith(entry.test)) || null
+}
+
+/**
+ * Identifies the code a run tested: the commit's tree, or null when the
+ * working tree has uncommitted changes
+ * @param {string} projectPath - Project root
+ * @returns {string|null}
+ */
+function getCodeVersion(projectPath) {
+  const git = args =>
+    spawnSync('git', args, { cwd: projectPath, encoding: 'utf8' })
+  const status = git(['status', '--porcelain', '--untracked-files=no'])
+  if (status.status !== 0 || status.stdout.trim()) return null
+  const tree = git(['rev-parse', 'HEAD^{tree}'])
+  return tree.status === 0 ? tree.stdout.trim() : null
+}
+
+/**
+ * @param {string} historyPath - History file
+ * @returns {{version: number, tests: Object<string, Array<{code: string|null, status: string, at: string}>>}}
+ */
+function readHistory(historyPath) {
+  try {
+    const history = JSON.parse(fs.readFileSync(historyPath, 'utf8'))
+    if (history.version === HISTORY_VERSION) return history
+  } catch {
+    // Missing or unreadable: start over
+  }
+  return { version: HISTORY_VERSION, tests: {} }
+}
+
+/**
+ * Append passed/failed results to the history, keeping the newest entries
+ * @param {ReturnType<typeof readHistory>} history - History to update
+ * @param {Array<{id: string, status: string}>} results - One attempt's results
+ * @param {string|null} code - From getCodeVersion
+ * @param {number} limit - Entries kept per test
+ * @returns {ReturnType<typeof readHistory>}
+ */
+function recordResults(history, results, code, limit) {
+  const at = new Date().toISOString()
+  for (const { id, status } of results) {
+    if (status !== 'pass' && status !== 'fail') continue
+    const entries = history.tests[id] || []
+    entries.push({ code, status, at })
+    history.tests[id] = entries.slice(-limit)
+  }
+  return history
+}
+
+/**
+ * Tests that both passed and failed on the same code
+ * @param {ReturnType<typeof readHistory>} history - Recorded history
+ * @returns {Array<{id: string, passes: number, fails: number}>} Most failures first
+ */
+function findFlakyTests(history) {
+  const flaky = []
+  for (const [id, entries] of Object.entries(history.tests)) {
+    const byCode = new Map()
+    for (const entry of entries) {
+      if (!entry.code) continue
+      if (!byCode.has(entry.code)) byCode.set(entry.code, new Set())
+      byCode.get(entry.code).add(entry.status)
+    }
+    if ([...byCode.values()].some(statuses => statuses.size === 2)) {
+      flaky.push({
+        id,
+        passes: entries.filter(entry => entry.status === 'pass').length,
+        fails: entries.filter(entry => entry.status === 'fail').length,
+      })
+    }
+  }
+  return flaky.sort((a, b) => b.fails - a.fails || a.id.localeCompare(b.id))
+}
+
+/**
+ * Print flaky tests, as GitHub Actions annotations in CI
+ * @param {Array<{id: string, passes: number, fails: number}>} flaky - From findFlakyTests
+ * @param {Array<{test: string}>} quarantine - Active entries
+ */
+function printFlakyTests(flaky, quarantine) {
+  if (flaky.length === 0) return
+  console.log('\n🔁 Flaky tests (passed and failed on the same code):')
+  for (const test of flaky) {
+    const note = findQuarantine(test.id, quarantine) ? ' [quarantined]' : ''
+    console.log(
+      `   • ${test.id} - ${test.passes} passed, ${test.fails} failed${note}`
+    )
+    if (process.env.GITHUB_ACTIONS === 'true') {
+      console.log(`::warning title=Flaky test::${test.id}`)
+    }
+  }
+  if (flaky.some(test => !findQuarantine(test.id, quarantine))) {
+    console.log(
+      '   Add them to flakyTests.quarantine in .qualityrc.json to keep them running without blocking'
+    )
+  }
+}
+
+/**
+ * Run the test command with retries and record the results
+ * @param {string[]} command - Command and arguments
+ * @param {string} projectPath - Project root
+ * @param {ReturnType<typeof loadFlakyConfig>} config - flakyTests config
+ * @returns {number} Exit code
+ */
+function runWithRetries(command, projectPath, config) {
+  const reportPath = path.resolve(projectPath, config.report)
+  const historyPath = path.join(projectPath, HISTORY_FILE)
+  const history = readHistory(historyPath)
+  const code = getCodeVersion(projectPath)
+  const attempts = Math.max(1, Number(config.retries) + 1)
+  const env = {
+    ...process.env,
+    FLAKY_TEST_REPORT: reportPath,
+    JEST_JUNIT_OUTPUT_FILE: reportPath,
+    PYTEST_ADDOPTS: [process.env.PYTEST_ADDOPTS, `--junitxml=${reportPath}`]
+      .filter(Boolean)
+      .join(' '),
+  }
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true })
+
+  const ran = new Set()
+  let exitCode = 1
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (attempt > 1) {
+      console.log(`\n🔁 Retrying tests (attempt ${attempt} of ${attempts})`)
+    }
+    fs.rmSync(reportPath, { force: true })
+    const result = spawnSync(command[0], command.slice(1), {
+      cwd: projectPath,
+      env,
+      stdio: 'inherit',
+    })
+    const results = readReport(reportPath, projectPath)
+    if (results) {
+      recordResults(history, results, code, config.historySize)
+      results.forEach(({ id }) => ran.add(id))
+    }
+
+    if (result.status === 0) {
+      exitCode = 0
+      break
+    }
+    if (!results) {
+      console.log(
+        `⚠️  No test report at ${config.report} - can't tell which tests failed, not retrying`
+      )
+      break
+    }
+
+    const failed = results.filter(({ status }) => status === 'fail')
+    if (failed.length === 0) {
+      // The command failed outside the tests (e.g. a lint step): no retry
+      break
+    }
+    const blocking = failed.filter(
+      ({ id }) => !findQuarantine(id, config.quarantine)
+    )
+    if (blocking.length === 0) {
+      console.log('\n⚠️  Only quarantined tests failed (non-blocking):')
+      failed.forEach(({ id }) => console.log(`   • ${id}`))
+      exitCode = 0
+      break
+    }
+  }
+
+  fs.mkdirSync(path.dirname(historyPath), { recursive: true })
+  fs.writeFileSync(historyPath, `${JSON.stringify(history, null, 2)}\n`)
+  printFlakyTests(
+    findFlakyTests(history).filter(({ id }) => ran.has(id)),
+    config.quarantine
+  )
+  config.expired.forEach(entry =>
+    console.log(
+      `⚠️  Quarantine for ${entry.test} expired on ${entry.expires} - it blocks again`
+    )
+  )
+  return exitCode
+}
+
+/**
+ * @param {string[]} argv - Command line arguments
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  const projectPath = process.cwd()
+  const config = loadFlakyConfig(projectPath)
+  const separator = argv.indexOf('--')
+
+  if (argv[0] === 'run' && separator !== -1 && argv[separator + 1]) {
+    const retries = argv.indexOf('--retries')
+    if (retries !== -1 && retries < separator) {
+      config.retries = Number(argv[retries + 1])
+    }
+    return runWithRetries(argv.slice(separator + 1), projectPath, config)
+  }
+
+  if (argv[0] === 'report') {
+    const flaky = findFlakyTests(
+      readHistory(path.join(projectPath, HISTORY_FILE))
+    )
+    if (flaky.length === 0) {
+      console.log('✅ No flaky tests recorded')
+    }
+    printFlakyTests(flaky, config.quarantine)
+    return 0
+  }
+
+  console.error(
+    'Usage: node scripts/flaky-tests.js run [--retries <n>] -- <command> [args...]\n' +
+      '       node scripts/flaky-tests.js report'
+  )
+  return 2
+}
+
+if (require.main === module) {
+  process.exit(main(process.argv.slice(2)))
+}
+
+module.exports = {
+  parseJUnitXml,
+  parseJestJson,
+  loadFlakyConfig,
+  findQuarantine,
+  recordResults,
+  findFlakyTests,
+  runWithRetries,
+}
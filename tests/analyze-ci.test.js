@@ -13,7 +13,11 @@ const {
   estimateWorkflowDuration,
   calculateMonthlyCosts,
   analyzeOptimizations,
+  expandMatrix,
+  calculateMatrixSize,
+  getJobRunners,
 } = require('../lib/commands/analyze-ci')
+const { loadCiPricing, DEFAULT_PRICING } = require('../lib/ci-pricing')
 
 console.log('🧪 Testing analyze-ci module...\n')
 
@@ -358,4 +362,327 @@ console.log('🧪 Testing analyze-ci module...\n')
   console.log('✅ PASS\n')
 })()
 
+// Test 15: expandMatrix() - include/exclude
+;(() => {
+  console.log('Test 15: expandMatrix() - include and exclude entries')
+
+  const matrix = {
+    os: ['ubuntu-latest', 'windows-latest'],
+    node: [18, 20],
+    exclude: [{ os: 'windows-latest', node: 18 }],
+    include: [
+      // Extends the matching combination
+      { os: 'windows-latest', experimental: true },
+      // Matches no combination: added on its own
+      { os: 'macos-latest', node: 22 },
+    ],
+  }
+
+  const combinations = expandMatrix(matrix)
+  assert.strictEqual(combinations.length, 4)
+  assert.deepStrictEqual(combinations[2], {
+    os: 'windows-latest',
+    node: 20,
+    experimental: true,
+  })
+  assert.deepStrictEqual(combinations[3], { os: 'macos-latest', node: 22 })
+
+  // include-only matrices run one job per entry
+  assert.strictEqual(
+    calculateMatrixSize({ include: [{ os: 'a' }, { os: 'b' }] }),
+    2
+  )
+  // Axes set by an expression can't be expanded
+  assert.strictEqual(
+    calculateMatrixSize({ node: '${{ fromJSON(inputs.nodes) }}' }),
+    1
+  )
+  console.log('✅ PASS\n')
+})()
+
+// Test 16: getJobRunners() - runs-on resolution
+;(() => {
+  console.log('Test 16: getJobRunners() - matrix-expanded runs-on')
+
+  const runners = getJobRunners({
+    'runs-on': '${{ matrix.os }}',
+    strategy: {
+      matrix: {
+        os: ['ubuntu-22.04', 'macos-14', 'windows-latest'],
+        node: [18, 20],
+      },
+    },
+  })
+  assert.deepStrictEqual(
+    runners.map(r => `${r.key}:${r.count}`),
+    ['linux:2', 'macos:2', 'windows:2']
+  )
+
+  const runnerKey = runsOn => getJobRunners({ 'runs-on': runsOn })[0]
+  assert.strictEqual(runnerKey('ubuntu-latest-16-cores').key, 'linux-16-core')
+  assert.strictEqual(runnerKey('windows-2022-8-cores').key, 'windows-8-core')
+  assert.strictEqual(runnerKey('macos-14-xlarge').key, 'macos-xlarge')
+  assert.strictEqual(runnerKey(['self-hosted', 'linux']).key, 'self-hosted')
+  assert.strictEqual(
+    runnerKey({ group: 'big', labels: ['ubuntu-latest-4-cores'] }).key,
+    'linux-4-core'
+  )
+  // Unknown labels and other expressions fall back to the default runner
+  assert.deepStrictEqual(runnerKey('${{ inputs.runner }}'), {
+    key: 'linux',
+    assumed: true,
+    count: 1,
+  })
+  // Custom labels priced in config
+  assert.strictEqual(
+    getJobRunners(
+      { 'runs-on': ['self-hosted', 'gpu'] },
+      {
+        ...DEFAULT_PRICING,
+        gpu: { label: 'GPU', perMinute: 0.07, multiplier: 0 },
+      }
+    )[0].key,
+    'gpu'
+  )
+  console.log('✅ PASS\n')
+})()
+
+// Test 17: calculateMonthlyCosts() - runner pricing
+;(() => {
+  console.log('Test 17: calculateMonthlyCosts() - runner multipliers')
+
+  const workflows = [
+    {
+      name: 'ci.yml',
+      estimatedDuration: 30,
+      parsed: {
+        jobs: {
+          test: {
+            'runs-on': '${{ matrix.os }}',
+            strategy: { matrix: { os: ['ubuntu-latest', 'macos-latest'] } },
+          },
+          build: { 'runs-on': 'ubuntu-latest-8-cores' },
+        },
+      },
+    },
+  ]
+
+  // 3 jobs × 5 min, 10 runs/month
+  const costs = calculateMonthlyCosts(workflows, 1 / 3)
+  const [test, build] = costs.breakdown[0].jobs
+  assert.strictEqual(costs.minutesPerMonth, 300)
+  // Linux 100 min × 1 + macOS 100 min × 10; the 8-core runner isn't included
+  assert.strictEqual(costs.includedUsage, 1100)
+  assert.strictEqual(test.cost, 100 * 0.008 + 100 * 0.08)
+  assert.strictEqual(build.cost, 100 * 0.032)
+  assert.strictEqual(costs.billedCost, build.cost)
+  assert.strictEqual(costs.tiers.free.withinLimit, true)
+  assert.strictEqual(costs.tiers.free.cost, build.cost)
+  assert.deepStrictEqual(
+    test.runners.map(r => r.label),
+    ['Linux 2-core', 'macOS']
+  )
+  console.log(`  List price: $${costs.listCost.toFixed(2)}/month`)
+  console.log('✅ PASS\n')
+})()
+
+// Test 18: loadCiPricing() - config overrides
+;(() => {
+  console.log('Test 18: loadCiPricing() - .qualityrc.json overrides')
+  const testDir = path.join(os.tmpdir(), `cqa-test-${Date.now()}`)
+  fs.mkdirSync(testDir, { recursive: true })
+
+  try {
+    fs.writeFileSync(
+      path.join(testDir, '.qualityrc.json'),
+      JSON.stringify({
+        ciCost: {
+          pricing: {
+            macos: { perMinute: 0.062 },
+            'gpu-runner': { perMinute: 0.07 },
+          },
+        },
+      })
+    )
+    const pricing = loadCiPricing(testDir)
+    assert.deepStrictEqual(pricing.macos, {
+      label: 'macOS',
+      perMinute: 0.062,
+      multiplier: 10,
+    })
+    assert.deepStrictEqual(pricing['gpu-runner'], {
+      label: 'gpu-runner',
+      perMinute: 0.07,
+      multiplier: 0,
+    })
+    assert.strictEqual(pricing.linux.perMinute, 0.008)
+
+    fs.writeFileSync(
+      path.join(testDir, '.qualityrc.json'),
+      JSON.stringify({ ciCost: { pricing: { 'gpu-runner': {} } } })
+    )
+    assert.throws(
+      () => loadCiPricing(testDir),
+      /ciCost\.pricing\.gpu-runner\.perMinute must be a non-negative number/
+    )
+    console.log('✅ PASS\n')
+  } finally {
+    fs.rmSync(testDir, { recursive: true, force: true })
+  }
+})()
+
+// Test 19: analyzeOptimizations() - push and pull_request on the same branches
+;(() => {
+  console.log('Test 19: analyzeOptimizations() - duplicated triggers')
+
+  const job = { test: { 'timeout-minutes': 10, steps: [{ run: 'npm test' }] } }
+  const workflow = (name, on) => ({
+    name,
+    estimatedDuration: 20,
+    parsed: { on, concurrency: 'ci', jobs: job },
+  })
+  const optimizations = analyzeOptimizations(
+    [
+      workflow('ci.yml', { push: null, pull_request: null }),
+      workflow('list.yml', ['push', 'pull_request']),
+      workflow('feature.yml', {
+        push: { branches: ['feature/**'] },
+        pull_request: {},
+      }),
+      workflow('main.yml', { push: { branches: ['main'] }, pull_request: {} }),
+      workflow('release.yml', { push: { tags: ['v*'] }, pull_request: {} }),
+    ],
+    2
+  )
+  const duplicates = optimizations.filter(r => r.type === 'duplicate-trigger')
+
+  assert.deepStrictEqual(duplicates.map(r => r.workflow).sort(), [
+    'ci.yml',
+    'feature.yml',
+    'list.yml',
+  ])
+  // 60 commits/month, half of them on pull request branches
+  assert.strictEqual(duplicates[0].potentialSavings, 600)
+  assert.strictEqual(duplicates[0].priority, 'high')
+  assert.ok(duplicates[0].description.includes('~600 min/month wasted'))
+  assert.ok(duplicates[0].action.includes('push: branches: [main]'))
+  console.log('✅ PASS\n')
+})()
+
+// Test 20: analyzeOptimizations() - steps repeated across workflows
+;(() => {
+  console.log('Test 20: analyzeOptimizations() - repeated steps')
+
+  const setup = [
+    { uses: 'actions/checkout@v4' },
+    { uses: 'actions/setup-node@v4', with: { cache: 'npm' } },
+    { run: 'npm ci' },
+  ]
+  const workflow = (name, on, jobs) => ({
+    name,
+    estimatedDuration: Object.values(jobs).reduce(
+      (sum, job) => sum + 5 + job.steps.length,
+      0
+    ),
+    parsed: { on, jobs },
+  })
+  const optimizations = analyzeOptimizations(
+    [
+      workflow('ci.yml', ['push', 'pull_request'], {
+        test: {
+          steps: [...setup, { run: 'npm run lint' }, { run: 'npm test' }],
+        },
+      }),
+      // The same install and lint as ci.yml
+      workflow(
+        'lint.yml',
+        { pull_request: {} },
+        {
+          lint: { steps: [...setup, { run: '  npm run lint ' }] },
+        }
+      ),
+      // Only the setup in common
+      workflow('build.yml', ['push'], {
+        build: { steps: [...setup, { run: 'npm run build' }] },
+      }),
+      // Not run for commits
+      workflow(
+        'release.yml',
+        { push: { tags: ['v*'] } },
+        {
+          release: { steps: [...setup, { run: 'npm run lint' }] },
+        }
+      ),
+    ],
+    2
+  )
+  const repeated = optimizations.filter(r => r.type === 'duplicate-steps')
+
+  assert.strictEqual(repeated.length, 1)
+  assert.strictEqual(repeated[0].workflow, 'lint.yml')
+  assert.strictEqual(repeated[0].job, 'lint')
+  assert.ok(
+    repeated[0].description.includes('repeats 4 steps of job "test" in ci.yml'),
+    repeated[0].description
+  )
+  // The whole 9-minute job, 60 runs/month
+  assert.strictEqual(repeated[0].potentialSavings, 540)
+  assert.ok(repeated[0].action.includes('workflow_call'))
+  console.log('✅ PASS\n')
+})()
+
+// Test 21: analyzeOptimizations() - fail-fast ordering and timeouts
+;(() => {
+  console.log('Test 21: analyzeOptimizations() - needs and timeout-minutes')
+
+  const workflows = [
+    {
+      name: 'ci.yml',
+      estimatedDuration: 38,
+      parsed: {
+        on: { push: { branches: ['main'] } },
+        jobs: {
+          lint: {
+            'timeout-minutes': 10,
+            steps: [{ run: 'npm ci' }, { run: 'npm run lint' }],
+          },
+          test: {
+            steps: [{ run: 'npm ci' }, { name: 'Test', run: 'npm test' }],
+          },
+          e2e: {
+            needs: ['lint'],
+            steps: [{ name: 'E2E', run: 'npm run e2e' }],
+          },
+        },
+      },
+    },
+  ]
+  const optimizations = analyzeOptimizations(workflows, 1)
+
+  const failFast = optimizations.find(r => r.type === 'fail-fast')
+  assert.ok(failFast, 'Should flag test running alongside lint')
+  assert.strictEqual(
+    failFast.action,
+    'Add needs: [lint] to test so they start after the checks pass'
+  )
+  // 16-minute test job, 30 runs/month, 15% failing checks
+  assert.strictEqual(failFast.potentialSavings, 72)
+
+  const timeouts = optimizations.find(r => r.type === 'timeout')
+  assert.ok(timeouts, 'Should flag jobs without timeout-minutes')
+  assert.strictEqual(timeouts.action, 'Add timeout-minutes (test: 50, e2e: 45)')
+  assert.ok(timeouts.description.startsWith('2 job(s) in "ci.yml"'))
+  // 1 in 200 runs hangs until the 6-hour default
+  assert.strictEqual(timeouts.potentialSavings, 94)
+
+  // Checks that gate the other jobs, and bounded jobs, are fine
+  workflows[0].parsed.jobs.test.needs = ['lint']
+  workflows[0].parsed.jobs.test['timeout-minutes'] = 30
+  workflows[0].parsed.jobs.e2e['timeout-minutes'] = 30
+  const types = analyzeOptimizations(workflows, 1).map(r => r.type)
+  assert.ok(!types.includes('fail-fast'))
+  assert.ok(!types.includes('timeout'))
+  console.log('✅ PASS\n')
+})()
+
 console.log('✅ All analyze-ci tests passed!\n')
@@ -0,0 +1,402 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const gitlab = require('../lib/ci-gitlab')
+const circleci = require('../lib/ci-circleci')
+const { CI_PROVIDERS, loadCiPricing } = require('../lib/ci-pricing')
+const {
+  discoverWorkflows,
+  calculateMonthlyCosts,
+  analyzeOptimizations,
+} = require('../lib/commands/analyze-ci')
+
+/**
+ * Tests for analyze-ci on GitLab CI and CircleCI configs
+ */
+console.log('🧪 Testing GitLab CI and CircleCI cost analysis...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-providers-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const GITLAB_CONFIG = `stages: [test, deploy]
+
+.node:
+  image: node:20
+  before_script:
+    - npm ci
+
+test:
+  extends: .node
+  stage: test
+  parallel:
+    matrix:
+      - NODE: ['18', '20', '22']
+        ARCH: [amd64, arm64]
+  tags: ['saas-linux-medium-$ARCH']
+  script:
+    - npm test
+
+lint:
+  extends: .node
+  tags: [saas-linux-large-amd64]
+  script: !reference [.node, before_script]
+
+e2e:
+  parallel: 4
+  tags: [docker-builder]
+  script:
+    - npm run e2e
+
+release:
+  stage: deploy
+  script: ./release.sh
+  rules:
+    - if: $CI_COMMIT_TAG
+
+nightly:
+  script: npm run audit
+  rules:
+    - if: $CI_PIPELINE_SOURCE == "schedule"
+
+review:
+  script: ./review.sh
+  when: manual
+
+docs:
+  trigger: group/docs
+`
+
+const CIRCLECI_CONFIG = `version: 2.1
+
+orbs:
+  node: circleci/node@5.2.0
+
+executors:
+  big-vm:
+    machine:
+      image: ubuntu-2204:current
+    resource_class: large
+
+jobs:
+  test:
+    docker:
+      - image: cimg/node:20.11
+    parallelism: 4
+    steps:
+      - checkout
+      - run: npm ci
+      - run:
+          name: Tests
+          command: npm test
+  build:
+    executor: big-vm
+    steps:
+      - checkout
+      - node/install-packages
+      - run: npm run build
+  mac:
+    macos:
+      xcode: 15.0.0
+    resource_class: macos.m1.large.gen1
+    steps:
+      - run: npm test
+
+workflows:
+  ci:
+    jobs:
+      - test:
+          matrix:
+            parameters:
+              node: ['18', '20', '22']
+              os: [linux, alpine]
+            exclude:
+              - node: '18'
+                os: alpine
+      - build
+      - hold:
+          type: approval
+      - mac:
+          requires: [hold]
+      - node/test
+      - build:
+          name: publish
+          filters:
+            tags:
+              only: /^v.*/
+            branches:
+              ignore: /.*/
+  nightly:
+    triggers:
+      - schedule:
+          cron: '0 2 * * *'
+          filters:
+            branches:
+              only: [main]
+    jobs:
+      - build
+`
+
+;(async () => {
+  console.log('Test 1: GitLab CI jobs, runners and triggers')
+  const gitlabConfig = gitlab.parse(GITLAB_CONFIG)
+  const gitlabJobs = gitlab.getJobs(
+    gitlabConfig,
+    null,
+    CI_PROVIDERS.gitlab.pricing
+  )
+  const byName = Object.fromEntries(gitlabJobs.map(job => [job.name, job]))
+  assert.deepStrictEqual(Object.keys(byName), [
+    'test',
+    'lint',
+    'e2e',
+    'release',
+    'nightly',
+    'review',
+    'docs',
+  ])
+  // extends brings the template's before_script
+  assert.deepStrictEqual(byName.test.commands, ['npm ci', 'npm test'])
+  assert.deepStrictEqual(byName.lint.commands, ['npm ci'])
+  assert.strictEqual(byName.test.matrixSize, 6)
+  assert.deepStrictEqual(byName.test.runners.map(runner => runner.key).sort(), [
+    'saas-linux-medium-amd64',
+    'saas-linux-medium-amd64',
+    'saas-linux-medium-amd64',
+    'saas-linux-medium-arm64',
+    'saas-linux-medium-arm64',
+    'saas-linux-medium-arm64',
+  ])
+  assert.strictEqual(byName.e2e.parallelism, 4)
+  assert.deepStrictEqual(byName.e2e.runners, [
+    { key: 'self-managed', assumed: false },
+  ])
+  assert.deepStrictEqual(
+    gitlabJobs.map(job => job.trigger),
+    [
+      'pipeline',
+      'pipeline',
+      'pipeline',
+      'tags',
+      'schedule',
+      'manual',
+      'downstream',
+    ]
+  )
+  assert.strictEqual(gitlab.filtersPaths(gitlabConfig), false)
+  assert.strictEqual(gitlab.cancelsSuperseded(gitlabConfig), false)
+  console.log('  ✅ extends, parallel:matrix tags, rules and when\n')
+
+  console.log('Test 2: CircleCI workflows, executors and matrices')
+  const circleConfig = circleci.parse(CIRCLECI_CONFIG)
+  assert.deepStrictEqual(circleci.listPipelines(circleConfig), [
+    { pipeline: 'ci' },
+    { pipeline: 'nightly', runsPerMonth: 30 },
+  ])
+  const circleJobs = circleci.getJobs(
+    circleConfig,
+    'ci',
+    CI_PROVIDERS.circleci.pricing
+  )
+  const summary = circleJobs.map(job => [
+    job.name,
+    job.runners.length,
+    job.runners[0].key,
+    job.trigger,
+  ])
+  assert.deepStrictEqual(summary, [
+    ['test', 5, 'docker:medium', 'pipeline'],
+    ['build', 1, 'machine:large', 'pipeline'],
+    ['hold', 1, 'docker:medium', 'manual'],
+    ['mac', 1, 'macos:macos.m1.large.gen1', 'pipeline'],
+    ['node/test', 1, 'docker:medium', 'pipeline'],
+    ['publish', 1, 'machine:large', 'tags'],
+  ])
+  assert.strictEqual(circleJobs[0].parallelism, 4)
+  assert.strictEqual(circleJobs[0].cached, false)
+  assert.strictEqual(circleJobs[1].cached, true, 'orb install is cached')
+  assert.strictEqual(circleJobs[4].runners[0].assumed, true)
+
+  assert.strictEqual(circleci.cronRunsPerMonth('0 2 * * *'), 30)
+  assert.strictEqual(circleci.cronRunsPerMonth('0 0 1 * *'), 1)
+  assert.strictEqual(circleci.cronRunsPerMonth('*/30 * * * *'), 1440)
+  assert.strictEqual(Math.round(circleci.cronRunsPerMonth('0 */6 * * 1-5')), 86)
+  console.log('  ✅ Matrix excludes, parallelism, approvals and schedules\n')
+
+  console.log('Test 3: Provider pricing and plans')
+  await withTempDir(async dir => {
+    fs.writeFileSync(
+      path.join(dir, '.qualityrc.json'),
+      JSON.stringify({
+        version: '1.0',
+        ciCost: {
+          pricing: {
+            macos: { perMinute: 0.05 },
+            'docker:medium': { perMinute: 0.01 },
+            'acme/gpu': { label: 'GPU runner', perMinute: 0.2 },
+          },
+        },
+      })
+    )
+    const pricing = loadCiPricing(dir, 'circleci')
+    assert.strictEqual(pricing['docker:medium'].perMinute, 0.01)
+    assert.strictEqual(pricing['docker:medium'].multiplier, 10)
+    assert.strictEqual(pricing.macos, undefined, 'GitHub classes stay out')
+    assert.strictEqual(pricing['acme/gpu'].label, 'GPU runner')
+    assert.strictEqual(loadCiPricing(dir).macos.perMinute, 0.05)
+  })
+
+  const costs = calculateMonthlyCosts(
+    [
+      {
+        name: '.circleci/config.yml (nightly)',
+        provider: 'circleci',
+        pipeline: 'nightly',
+        parsed: circleConfig,
+        estimatedDuration: 10,
+        runsPerMonth: 30,
+        runsSource: 'schedule',
+      },
+    ],
+    1,
+    CI_PROVIDERS.circleci.pricing,
+    'circleci'
+  )
+  // 300 min on a large Linux VM at 20 credits/min
+  assert.strictEqual(costs.minutesPerMonth, 300)
+  assert.strictEqual(costs.includedUsage, 6000)
+  assert.strictEqual(costs.tiers.free.limit, 30000)
+  assert.strictEqual(costs.tiers.team.monthlyCost, 15)
+  assert.strictEqual(costs.breakdown[0].runsSource, 'schedule')
+  assert.strictEqual(costs.listCost.toFixed(2), '3.60')
+
+  const gitlabCosts = calculateMonthlyCosts(
+    [
+      {
+        name: '.gitlab-ci.yml',
+        provider: 'gitlab',
+        pipeline: null,
+        parsed: gitlabConfig,
+        estimatedDuration: 60,
+      },
+    ],
+    1,
+    CI_PROVIDERS.gitlab.pricing,
+    'gitlab'
+  )
+  const jobs = gitlabCosts.breakdown[0].jobs
+  assert.deepStrictEqual(
+    jobs.filter(job => job.note).map(job => `${job.name}:${job.note}`),
+    ['release:tags', 'nightly:schedule', 'review:manual', 'docs:downstream']
+  )
+  // Self-managed runners use no compute minutes
+  assert.strictEqual(jobs.find(job => job.name === 'e2e').cost, 0)
+  assert.ok(gitlabCosts.includedUsage > gitlabCosts.minutesPerMonth)
+  assert.strictEqual(gitlabCosts.tiers.free.limit, 400)
+  console.log('  ✅ Credits, compute minutes and overrides per provider\n')
+
+  console.log('Test 4: Recommendations in provider syntax')
+  const recommendations = analyzeOptimizations(
+    [
+      {
+        name: '.gitlab-ci.yml',
+        provider: 'gitlab',
+        pipeline: null,
+        parsed: gitlabConfig,
+        estimatedDuration: 60,
+      },
+      {
+        name: '.circleci/config.yml (ci)',
+        provider: 'circleci',
+        pipeline: 'ci',
+        parsed: circleConfig,
+        estimatedDuration: 40,
+      },
+      {
+        name: '.circleci/config.yml (nightly)',
+        provider: 'circleci',
+        pipeline: 'nightly',
+        parsed: circleConfig,
+        estimatedDuration: 10,
+        runsPerMonth: 30,
+      },
+    ],
+    2
+  )
+  const found = recommendations
+    .map(rec => `${rec.workflow}:${rec.type}${rec.job ? `:${rec.job}` : ''}`)
+    .sort()
+  assert.deepStrictEqual(found, [
+    '.circleci/config.yml (ci):caching:test',
+    '.circleci/config.yml (ci):conditional',
+    '.circleci/config.yml (nightly):frequency',
+    '.gitlab-ci.yml:caching:lint',
+    '.gitlab-ci.yml:caching:test',
+    '.gitlab-ci.yml:concurrency',
+    '.gitlab-ci.yml:conditional',
+    '.gitlab-ci.yml:matrix:test',
+  ])
+  const action = (workflow, type) =>
+    recommendations.find(rec => rec.workflow === workflow && rec.type === type)
+      .action
+  assert.match(action('.gitlab-ci.yml', 'caching'), /key: files:/)
+  assert.match(action('.gitlab-ci.yml', 'concurrency'), /interruptible: true/)
+  assert.match(action('.circleci/config.yml (ci)', 'caching'), /restore_cache/)
+  assert.match(
+    action('.circleci/config.yml (ci)', 'conditional'),
+    /path-filtering orb/
+  )
+  assert.ok(
+    recommendations.every(rec => !rec.fix),
+    'no automatic fixes'
+  )
+  console.log('  ✅ Caching, matrix, path filters, cancelling, schedules\n')
+
+  console.log('Test 5: analyze-ci on GitLab CI and CircleCI configs')
+  await withTempDir(async dir => {
+    fs.writeFileSync(path.join(dir, '.gitlab-ci.yml'), GITLAB_CONFIG)
+    fs.mkdirSync(path.join(dir, '.circleci'))
+    fs.writeFileSync(path.join(dir, '.circleci', 'config.yml'), CIRCLECI_CONFIG)
+    assert.deepStrictEqual(
+      discoverWorkflows(dir).map(wf => wf.provider),
+      ['gitlab', 'circleci']
+    )
+
+    const result = spawnSync('node', [setupPath, 'analyze-ci'], {
+      cwd: dir,
+      encoding: 'utf8',
+      env: { ...process.env, QAA_DEVELOPER: 'true' },
+    })
+    assert.strictEqual(result.status, 0, result.stderr)
+    const output = result.stdout
+    assert.ok(output.includes('📊 GitLab CI Usage Analysis'))
+    assert.ok(output.includes('📊 CircleCI Usage Analysis'))
+    assert.ok(output.includes('- review: not counted (runs manually)'))
+    assert.ok(output.includes('- release: not counted (runs for tags)'))
+    assert.match(output, /Compute-minute usage: [\d,]+ compute min\/month/)
+    assert.match(output, /Free plan \(30,000 credits\)/)
+    assert.match(
+      output,
+      /~30 runs\/month = \d+ min\/month \(runs from schedule\)/
+    )
+    assert.match(output, /Set interruptible: true under default:/)
+  })
+  console.log('  ✅ One report per provider\n')
+
+  console.log('🎉 All GitLab CI and CircleCI tests passed!')
+})().catch(error => {
+  console.error('❌ CI provider test failed:', error)
+  process.exit(1)
+})
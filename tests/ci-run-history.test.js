@@ -0,0 +1,269 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  normalizeRun,
+  loadRunHistoryFile,
+  fetchRunHistory,
+  summarizeRunHistory,
+} = require('../lib/ci-run-history')
+const { calculateMonthlyCosts } = require('../lib/commands/analyze-ci')
+
+/**
+ * Tests for analyze-ci run history (GitHub API and exported runs files)
+ */
+console.log('🧪 Testing CI run history...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ci-run-history-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const at = (day, minutes = 0) =>
+  new Date(Date.UTC(2026, 8, day, 12, minutes)).toISOString()
+
+/**
+ * Completed run of .github/workflows/<file> on September <day>
+ */
+const makeRun = (file, day, minutes, jobs) => ({
+  id: day * 100 + minutes,
+  name: file,
+  path: `.github/workflows/${file}`,
+  created_at: at(day),
+  run_started_at: at(day),
+  updated_at: at(day, minutes),
+  ...(jobs ? { jobs } : {}),
+})
+
+const job = (seconds, conclusion = 'success') => ({
+  conclusion,
+  started_at: at(1),
+  completed_at: new Date(Date.parse(at(1)) + seconds * 1000).toISOString(),
+})
+
+;(async () => {
+  console.log('Test 1: Runs are timed by billable job minutes')
+  const timed = normalizeRun(
+    makeRun('ci.yml', 1, 30, [job(61), job(10), job(600, 'skipped')])
+  )
+  // 61s bills as 2 minutes, 10s as 1, skipped jobs are free
+  assert.deepStrictEqual(
+    { workflow: timed.workflow, minutes: timed.minutes, timing: timed.timing },
+    { workflow: 'ci.yml', minutes: 3, timing: 'jobs' }
+  )
+  const wallClock = normalizeRun(makeRun('ci.yml', 1, 12))
+  assert.strictEqual(wallClock.minutes, 12)
+  assert.strictEqual(wallClock.timing, 'run')
+  assert.strictEqual(normalizeRun({ created_at: at(1) }), null)
+  console.log('  ✅ Job minutes rounded up, wall-clock fallback\n')
+
+  console.log('Test 2: Percentiles and runs per month')
+  const runs = [
+    ...[4, 5, 5, 6, 6, 6, 7, 8, 9, 20].map((minutes, index) =>
+      normalizeRun(makeRun('ci.yml', index + 1, minutes))
+    ),
+    normalizeRun(makeRun('nightly.yml', 5, 40)),
+  ]
+  const summary = summarizeRunHistory(runs, { windowDays: 15 })
+  const ci = summary.workflows['ci.yml']
+  assert.strictEqual(summary.totalRuns, 11)
+  assert.strictEqual(ci.p50, 6)
+  assert.strictEqual(ci.p95, 20)
+  assert.strictEqual(ci.mean, 7.6)
+  assert.strictEqual(ci.runsPerMonth, 20)
+  assert.strictEqual(summary.workflows['nightly.yml'].runsPerMonth, 2)
+
+  // Without a window, the runs' own time span plus one mean interval:
+  // 11 runs over 9 days are 10 intervals of 0.9 days
+  assert.strictEqual(summarizeRunHistory(runs).windowDays, 9.9)
+  // Weekly runs are ~4.3 a month, not 30 / 7 * 2
+  const weekly = summarizeRunHistory([
+    normalizeRun(makeRun('release.yml', 1, 5)),
+    normalizeRun(makeRun('release.yml', 8, 5)),
+  ])
+  assert.strictEqual(weekly.windowDays, 14)
+  assert.strictEqual(
+    Math.round(weekly.workflows['release.yml'].runsPerMonth * 10) / 10,
+    4.3
+  )
+  assert.strictEqual(
+    summarizeRunHistory([normalizeRun(makeRun('ci.yml', 1, 5))]).windowDays,
+    1
+  )
+  console.log('  ✅ p50/p95/mean and monthly rates per workflow\n')
+
+  console.log('Test 3: Costs use history run counts, commits otherwise')
+  const costs = calculateMonthlyCosts(
+    [
+      { name: 'ci.yml', estimatedDuration: 7.6, runsPerMonth: 20 },
+      { name: 'lint.yml', estimatedDuration: 2 },
+    ],
+    1
+  )
+  assert.strictEqual(costs.minutesPerMonth, 212)
+  const [ciCost, lintCost] = costs.breakdown
+  assert.strictEqual(ciCost.runsSource, 'history')
+  assert.strictEqual(ciCost.runsPerMonth, 20)
+  assert.strictEqual(lintCost.runsSource, 'commits')
+  assert.strictEqual(lintCost.runsPerMonth, 30)
+  console.log('  ✅ Mixed history and heuristic workflows\n')
+
+  console.log('Test 4: Fetching through the GitHub API')
+  const calls = []
+  const api = {
+    getRepoInfo: () => ({ owner: 'acme', repo: 'app' }),
+    getGitHubToken: () => 'token',
+    listWorkflowRuns: async (owner, repo, token, options) => {
+      calls.push(['runs', owner, repo, options.since])
+      return {
+        runs: [1, 2, 3].map(day => makeRun('ci.yml', day, 10)),
+        totalCount: 3,
+      }
+    },
+    listRunJobs: async (owner, repo, runId) => {
+      calls.push(['jobs', runId])
+      return [job(240)]
+    },
+  }
+  const fetched = await fetchRunHistory('.', { days: 7, jobSample: 2, api })
+  assert.strictEqual(fetched.repository, 'acme/app')
+  assert.match(calls[0][3], /^\d{4}-\d{2}-\d{2}$/)
+  // Job timings only for the sampled runs
+  assert.strictEqual(calls.filter(call => call[0] === 'jobs').length, 2)
+  assert.deepStrictEqual(
+    fetched.runs.map(run => `${run.minutes}/${run.timing}`),
+    ['4/jobs', '4/jobs', '10/run']
+  )
+  assert.strictEqual(fetched.truncated, false)
+  assert.strictEqual(fetched.windowDays, 7)
+  const fetchedSummary = summarizeRunHistory(fetched.runs, { windowDays: 7 })
+  assert.strictEqual(fetchedSummary.workflows['ci.yml'].timing, 'jobs')
+  assert.strictEqual(fetchedSummary.workflows['ci.yml'].sampled, 2)
+
+  assert.strictEqual(
+    await fetchRunHistory('.', { api: { ...api, getGitHubToken: () => null } }),
+    null
+  )
+  console.log('  ✅ Runs, sampled job timings, no token\n')
+
+  console.log('Test 4b: Truncated run lists only cover their own period')
+  // 1000 of 3000 runs fetched, the oldest of them 2 days old
+  const hoursAgo = hours => new Date(Date.now() - hours * 3600 * 1000)
+  const busy = await fetchRunHistory('.', {
+    days: 30,
+    jobSample: 0,
+    api: {
+      ...api,
+      listWorkflowRuns: async () => ({
+        runs: Array.from({ length: 1000 }, (_, index) => ({
+          ...makeRun('ci.yml', 1, 5),
+          id: index,
+          created_at: hoursAgo((index * 48) / 999).toISOString(),
+        })),
+        totalCount: 3000,
+      }),
+    },
+  })
+  assert.strictEqual(busy.truncated, true)
+  assert.strictEqual(busy.totalRuns, 3000)
+  assert.ok(Math.abs(busy.windowDays - 2) < 0.01, String(busy.windowDays))
+  // 1000 runs in 2 days, not in 30
+  const busySummary = summarizeRunHistory(busy.runs, {
+    windowDays: busy.windowDays,
+  })
+  assert.ok(busySummary.workflows['ci.yml'].runsPerMonth >= 14990)
+  console.log('  ✅ Window shrunk to the oldest fetched run\n')
+
+  console.log('Test 5: analyze-ci --runs labels every number')
+  await withTempDir(async dir => {
+    fs.mkdirSync(path.join(dir, '.github', 'workflows'), { recursive: true })
+    const workflow = `on: push
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - run: npm test
+`
+    fs.writeFileSync(path.join(dir, '.github', 'workflows', 'ci.yml'), workflow)
+    fs.writeFileSync(
+      path.join(dir, '.github', 'workflows', 'release.yml'),
+      workflow
+    )
+    // gh api --paginate --slurp output: a list of response pages
+    fs.writeFileSync(
+      path.join(dir, 'runs.json'),
+      JSON.stringify([
+        {
+          workflow_runs: [1, 2, 3, 4].map(day => makeRun('ci.yml', day, 10)),
+        },
+      ])
+    )
+    assert.strictEqual(
+      loadRunHistoryFile(path.join(dir, 'runs.json')).length,
+      4
+    )
+
+    const run = (...args) =>
+      spawnSync('node', [setupPath, ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+
+    const result = run('--analyze-ci', '--runs', 'runs.json')
+    assert.strictEqual(result.status, 0, result.stderr)
+    assert.match(
+      result.stdout,
+      /Run history: 4 runs over 4 days \(runs\.json\)/
+    )
+    assert.match(
+      result.stdout,
+      /~10 min\/run \(p50 10, p95 10 over 4 runs, from run times\)/
+    )
+    // Daily runs
+    assert.match(result.stdout, /~30 runs\/month = 300 min\/month/)
+    assert.match(result.stdout, /runs from run history/)
+    // release.yml never ran in the window
+    assert.match(result.stdout, /~0 runs\/month = 0 min\/month/)
+
+    // Without an origin remote there is no history, and git stays quiet
+    spawnSync('git', ['init', '-q'], { cwd: dir })
+    const noRemote = run('analyze-ci')
+    assert.strictEqual(noRemote.status, 0, noRemote.stderr)
+    assert.match(noRemote.stdout, /No run history/)
+    assert.doesNotMatch(noRemote.stderr, /No such remote/)
+
+    const estimated = run('analyze-ci', '--no-history')
+    assert.strictEqual(estimated.status, 0, estimated.stderr)
+    assert.match(estimated.stdout, /No run history/)
+    assert.match(estimated.stdout, /estimated from step names/)
+    assert.match(estimated.stdout, /runs from commit frequency/)
+
+    const badDays = run('analyze-ci', '--days', '0')
+    assert.strictEqual(badDays.status, 1)
+    assert.match(badDays.stderr, /--days must be a positive whole number/)
+
+    fs.writeFileSync(path.join(dir, 'runs.json'), '{"runs": []}')
+    const badFile = run('analyze-ci', '--runs', 'runs.json')
+    assert.strictEqual(badFile.status, 1)
+    assert.match(badFile.stderr, /expected a list of workflow runs/)
+  })
+  console.log('  ✅ History, estimates and invalid input\n')
+
+  console.log('🎉 All CI run history tests passed!')
+})().catch(error => {
+  console.error('❌ CI run history test failed:', error)
+  process.exit(1)
+})
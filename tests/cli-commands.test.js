@@ -0,0 +1,238 @@
+#!/usr/bin/env node
+
+/**
+ * CLI Command Registry and Parser Tests
+ *
+ * Validates subcommand parsing, legacy flag compatibility, unknown-flag
+ * errors with suggestions, and per-command help.
+ */
+
+const assert = require('assert')
+const { execFileSync, spawnSync } = require('child_process')
+const path = require('path')
+const { CommandRegistry, createCommandRegistry } = require('../lib/commands')
+const {
+  parseCommandLine,
+  suggestClosest,
+  formatGlobalHelp,
+  formatCommandHelp,
+} = require('../lib/commands/cli-parser')
+
+const SETUP_PATH = path.join(__dirname, '..', 'setup.js')
+
+console.log('============================================================')
+console.log('Running CLI Command Tests')
+console.log('============================================================\n')
+
+const registry = createCommandRegistry()
+const parse = args => parseCommandLine(args, registry)
+
+// Test 1: No arguments runs the default setup command
+console.log('Test 1: Default command')
+{
+  const result = parse([])
+  assert.strictEqual(result.success, true)
+  assert.strictEqual(result.data.command, 'setup')
+  assert.strictEqual(result.data.isDefaultCommand, true)
+  assert.strictEqual(result.data.options.ci, 'github', 'Default --ci applied')
+  console.log('  ✅ Defaults to setup with option defaults\n')
+}
+
+// Test 2: Explicit subcommands with options
+console.log('Test 2: Explicit subcommands')
+{
+  const result = parse(['update', '--workflow-minimal', '--ci=GitLab'])
+  assert.strictEqual(result.data.command, 'update')
+  assert.strictEqual(result.data.options.workflowMinimal, true)
+  assert.strictEqual(result.data.options.ci, 'gitlab')
+
+  const license = parse(['license', 'activate'])
+  assert.strictEqual(license.data.command, 'license')
+  assert.strictEqual(license.data.options.action, 'activate')
+
+  const template = parse(['setup', '--template', '/tmp/my & templates'])
+  assert.strictEqual(
+    template.data.options.template,
+    '/tmp/my & templates',
+    'Path values are passed through unmodified'
+  )
+
+  const plan = parse(['setup', '--dry-run', '--format', 'json'])
+  assert.strictEqual(plan.data.options.dryRun, true)
+  assert.strictEqual(plan.data.options.format, 'json')
+  assert.strictEqual(parse(['setup', '--format', 'yaml']).success, false)
+  console.log('  ✅ Subcommands, inline values and positionals parsed\n')
+}
+
+// Test 3: Legacy flags keep working
+console.log('Test 3: Legacy flag compatibility')
+{
+  /** @type {Array<[string[], string|null, Object|null]>} */
+  const cases = [
+    [['--deps'], 'deps', {}],
+    [['--dependency-monitoring'], 'deps', {}],
+    [['--security-config'], 'validate', { securityConfig: true }],
+    [['--validate-docs'], 'validate', { docs: true }],
+    [['--comprehensive', '--no-gitleaks'], 'validate', { noGitleaks: true }],
+    [
+      ['--comprehensive', '--format', 'sarif'],
+      'validate',
+      { comprehensive: true, format: 'sarif' },
+    ],
+    [
+      ['--comprehensive', '--write-baseline'],
+      'validate',
+      { comprehensive: true, writeBaseline: true },
+    ],
+    [['--activate-license'], 'license', { action: 'activate' }],
+    [['--check-maturity'], 'maturity', {}],
+    [
+      ['--check-budgets', '--update-baseline'],
+      'budgets',
+      { updateBaseline: true },
+    ],
+    [['--doctor'], 'doctor', {}],
+    [['doctor', '--fix'], 'doctor', { fix: true }],
+    [
+      ['--explain-risk', '--range', 'main..HEAD', '--format', 'json'],
+      'explain-risk',
+      { range: 'main..HEAD', format: 'json' },
+    ],
+    [['--update', '--deps'], 'update', { deps: true }],
+    [['--template', '/tmp/t', '--analyze-ci'], null, null],
+  ]
+
+  for (const [args, command, expected] of cases) {
+    const result = parse(args)
+    if (command === null) {
+      assert.strictEqual(result.success, false, `${args.join(' ')} fails`)
+      continue
+    }
+    assert.strictEqual(result.success, true, `${args.join(' ')} parses`)
+    assert.strictEqual(result.data.command, command, args.join(' '))
+    assert.strictEqual(result.data.isDefaultCommand, false)
+    for (const [key, value] of Object.entries(expected)) {
+      assert.strictEqual(result.data.options[key], value, `${args} → ${key}`)
+    }
+  }
+  console.log('  ✅ Legacy flags map onto commands\n')
+}
+
+// Test 4: Conflicting commands are rejected
+console.log('Test 4: Conflicting commands')
+{
+  const result = parse(['--deps', '--prelaunch'])
+  assert.strictEqual(result.success, false)
+  assert.ok(result.error.includes('Conflicting commands'), result.error)
+  assert.ok(result.error.includes('--prelaunch'), result.error)
+
+  const mixed = parse(['validate', '--deps'])
+  assert.strictEqual(mixed.success, false)
+  assert.ok(mixed.error.includes('Cannot combine'), mixed.error)
+
+  const exclusive = parse(['validate', '--docs', '--security-config'])
+  assert.strictEqual(exclusive.success, false)
+  assert.ok(exclusive.error.includes('cannot be used together'))
+  console.log('  ✅ Conflicts reported instead of silently picking one\n')
+}
+
+// Test 5: Unknown flags and commands get suggestions
+console.log('Test 5: Unknown flags and "did you mean"')
+{
+  const typo = parse(['--deeps'])
+  assert.strictEqual(typo.success, false)
+  assert.strictEqual(typo.details.suggestion, '--deps')
+
+  const wrongCommand = parse(['validate', '--matrix'])
+  assert.strictEqual(wrongCommand.success, false)
+  assert.ok(wrongCommand.error.includes('available for: setup, update'))
+
+  const unknownCommand = parse(['valdate'])
+  assert.strictEqual(unknownCommand.success, false)
+  assert.strictEqual(unknownCommand.details.suggestion, 'validate')
+
+  const badChoice = parse(['--ci', 'gitlb'])
+  assert.ok(badChoice.error.includes('Did you mean "gitlab"'))
+
+  const missingValue = parse(['setup', '--template'])
+  assert.ok(missingValue.error.includes('requires a <path> value'))
+
+  assert.strictEqual(suggestClosest('zzzzzz', ['deps', 'validate']), null)
+  console.log('  ✅ Typos produce errors with suggestions\n')
+}
+
+// Test 6: Registry validation and extension
+console.log('Test 6: Registering commands programmatically')
+{
+  const custom = new CommandRegistry()
+  let received = null
+  custom.register({
+    name: 'license-headers',
+    summary: 'Check license headers',
+    options: { fix: { description: 'Add missing headers' } },
+    legacyFlags: { 'check-headers': {} },
+    handler: options => {
+      received = options
+    },
+  })
+
+  const result = parseCommandLine(['--check-headers', '--fix'], custom, {
+    defaultCommand: 'license-headers',
+  })
+  assert.strictEqual(result.data.command, 'license-headers')
+  custom.get('license-headers').handler(result.data.options)
+  assert.deepStrictEqual(received, { fix: true })
+
+  assert.throws(
+    () => custom.register({ name: 'license-headers', handler: () => {} }),
+    /already registered/
+  )
+  assert.throws(
+    () => custom.register({ name: 'no-handler' }),
+    /must provide a handler/
+  )
+  assert.throws(
+    () =>
+      custom.register({
+        name: 'other',
+        legacyFlags: { 'check-headers': {} },
+        handler: () => {},
+      }),
+    /already mapped/
+  )
+  console.log('  ✅ Custom commands register and dispatch\n')
+}
+
+// Test 7: Help output
+console.log('Test 7: Global and per-command help')
+{
+  const globalHelp = formatGlobalHelp(registry)
+  for (const command of ['setup', 'validate', 'deps', 'analyze-ci']) {
+    assert.ok(globalHelp.includes(command), `Global help lists ${command}`)
+  }
+
+  const validateHelp = formatCommandHelp(registry.get('validate'))
+  assert.ok(validateHelp.includes('--security-config'))
+  assert.ok(!validateHelp.includes('--matrix'), 'Only validate options shown')
+
+  const output = execFileSync('node', [SETUP_PATH, 'deps', '--help'], {
+    encoding: 'utf8',
+  })
+  assert.ok(output.includes('Usage: npx create-qa-architect@latest deps'))
+  console.log('  ✅ Help rendered per command\n')
+}
+
+// Test 8: CLI exits non-zero on unknown flags
+console.log('Test 8: CLI rejects unknown flags')
+{
+  const result = spawnSync('node', [SETUP_PATH, '--deps', '--prelaunch'], {
+    encoding: 'utf8',
+  })
+  assert.strictEqual(result.status, 1)
+  assert.ok(result.stderr.includes('Conflicting commands'))
+  console.log('  ✅ Non-zero exit with error message\n')
+}
+
+console.log('============================================================')
+console.log('✅ All CLI Command Tests Passed!')
+console.log('============================================================')
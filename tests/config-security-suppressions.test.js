@@ -0,0 +1,263 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { ConfigSecurityScanner } = require('../lib/validation/config-security')
+const {
+  globToRegExp,
+  matchesPaths,
+  isExpired,
+  parseInlineIgnore,
+  findIgnoreEntry,
+} = require('../lib/validation/suppressions')
+const { validateQualityConfig } = require('../lib/config-validator')
+const { writeFile } = require('./file-test-helpers')
+
+/**
+ * Tests for config security rule ids, security.rules severities,
+ * security.ignore suppressions and inline qa-architect-ignore comments
+ */
+console.log('🧪 Testing config security suppressions...\n')
+
+const withTempProject = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'security-ignore-'))
+  const originalCwd = process.cwd()
+  try {
+    process.chdir(dir)
+    await fn(dir)
+  } finally {
+    process.chdir(originalCwd)
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const scanAll = async scanner => {
+  const originalLog = console.log
+  const originalError = console.error
+  console.log = () => {}
+  console.error = () => {}
+  try {
+    await scanner.scanAll()
+    return true
+  } catch {
+    return false
+  } finally {
+    console.log = originalLog
+    console.error = originalError
+  }
+}
+
+const SCAN_OPTIONS = {
+  disableNpmAudit: true,
+  disableGitleaks: true,
+  disableEslintSecurity: true,
+}
+
+;(async () => {
+  // Test 1: Glob, expiry and inline comment parsing
+  console.log('Test 1: Suppression helpers')
+  {
+    assert.ok(globToRegExp('docker/**/Dockerfile').test('docker/Dockerfile'))
+    assert.ok(
+      globToRegExp('docker/**/Dockerfile').test('docker/a/b/Dockerfile')
+    )
+    assert.ok(!globToRegExp('*.js').test('src/next.config.js'))
+    assert.ok(globToRegExp('next.config.?s').test('next.config.ts'))
+    assert.ok(!globToRegExp('a.b').test('axb'), 'Dots are literal')
+    assert.ok(matchesPaths('./Dockerfile', ['Dockerfile']))
+    assert.ok(matchesPaths(null, []), 'No paths matches everything')
+    assert.ok(!matchesPaths(null, ['Dockerfile']))
+
+    const now = new Date('2026-06-15T12:00:00Z')
+    assert.strictEqual(isExpired({ expires: '2026-06-15' }, now), false)
+    assert.strictEqual(isExpired({ expires: '2026-06-14' }, now), true)
+    assert.strictEqual(isExpired({ expires: null }, now), false)
+
+    assert.deepStrictEqual(
+      parseInlineIgnore(
+        '# qa-architect-ignore docker/env-secret, vite/* -- dummy value'
+      ),
+      { rules: ['docker/env-secret', 'vite/*'], justification: 'dummy value' }
+    )
+    assert.deepStrictEqual(
+      parseInlineIgnore('<!-- qa-architect-ignore env-file/undocumented -->'),
+      { rules: ['env-file/undocumented'], justification: '' }
+    )
+    assert.strictEqual(parseInlineIgnore('ENV A=b'), null)
+
+    const ignore = [
+      {
+        rule: 'eslint/*',
+        paths: ['scripts/**'],
+        expires: null,
+        justification: 'Build scripts only',
+      },
+    ]
+    assert.ok(
+      findIgnoreEntry(
+        {
+          ruleId: 'eslint/security/detect-object-injection',
+          file: 'scripts/a.js',
+        },
+        ignore
+      )
+    )
+    assert.strictEqual(
+      findIgnoreEntry(
+        { ruleId: 'eslint/security/detect-object-injection', file: 'src/a.js' },
+        ignore
+      ),
+      null
+    )
+  }
+  console.log('  ✅ Globs, expiry dates and comments parsed\n')
+
+  // Test 2: security.ignore and security.rules from .qualityrc.json
+  console.log('Test 2: .qualityrc.json suppressions and rule severities')
+  await withTempProject(async dir => {
+    writeFile(dir, '.gitignore', 'node_modules\n.env*\n*.log\n')
+    writeFile(dir, 'Dockerfile', 'FROM node:20\nENV API_TOKEN=abc123\n')
+    writeFile(dir, '.env.example', 'API_TOKEN=\n')
+    writeFile(
+      dir,
+      '.qualityrc.json',
+      JSON.stringify({
+        version: '1.0.0',
+        security: {
+          rules: { 'env-file/undocumented': 'warning' },
+          ignore: [
+            {
+              rule: 'docker/env-secret',
+              paths: ['Dockerfile'],
+              expires: '2999-01-01',
+              justification: 'Token is replaced by the deploy pipeline',
+            },
+          ],
+        },
+      })
+    )
+    assert.ok(
+      validateQualityConfig(path.join(dir, '.qualityrc.json')).valid,
+      'security section matches the schema'
+    )
+
+    const scanner = new ConfigSecurityScanner(SCAN_OPTIONS)
+    assert.strictEqual(await scanAll(scanner), true)
+    assert.strictEqual(scanner.suppressed.length, 1)
+    assert.strictEqual(scanner.suppressed[0].file, 'Dockerfile')
+    assert.deepStrictEqual(
+      scanner.getFindings().map(f => [f.ruleId, f.severity]),
+      [['env-file/undocumented', 'warning']]
+    )
+
+    writeFile(
+      dir,
+      '.qualityrc.json',
+      JSON.stringify({
+        version: '1.0.0',
+        security: { rules: { 'docker/*': 'off' } },
+      })
+    )
+    const rulesOff = new ConfigSecurityScanner(SCAN_OPTIONS)
+    await scanAll(rulesOff)
+    assert.ok(
+      rulesOff.getFindings().every(f => f.ruleId !== 'docker/env-secret')
+    )
+    assert.strictEqual(
+      rulesOff.suppressed.length,
+      0,
+      'Off rules are not suppressions'
+    )
+  })
+  console.log('  ✅ Matching findings suppressed, severities overridden\n')
+
+  // Test 3: Expired and unjustified entries fail the scan
+  console.log('Test 3: Expired and unjustified suppressions')
+  await withTempProject(async dir => {
+    writeFile(dir, '.gitignore', 'node_modules\n.env*\n*.log\n')
+    writeFile(dir, 'Dockerfile', 'FROM node:20\nENV API_TOKEN=abc123\n')
+
+    const scanner = new ConfigSecurityScanner({
+      ...SCAN_OPTIONS,
+      securityConfig: {
+        ignore: [
+          {
+            rule: 'docker/env-secret',
+            expires: '2020-01-01',
+            justification: 'Temporary until the vault migration',
+          },
+          { rule: 'vite/client-env-secret', justification: '' },
+        ],
+      },
+    })
+    assert.strictEqual(await scanAll(scanner), false)
+
+    const rules = scanner.getFindings().map(f => f.ruleId)
+    assert.ok(
+      rules.includes('docker/env-secret'),
+      'Expired entry no longer applies'
+    )
+    assert.ok(rules.includes('suppression/expired'))
+    assert.ok(rules.includes('suppression/invalid'))
+    const expired = scanner
+      .getFindings()
+      .find(f => f.ruleId === 'suppression/expired')
+    assert.strictEqual(expired.file, '.qualityrc.json')
+    assert.ok(expired.message.includes('expired on 2020-01-01'))
+  })
+  console.log('  ✅ Expired entries reported as failures\n')
+
+  // Test 4: Inline qa-architect-ignore comments
+  console.log('Test 4: Inline qa-architect-ignore comments')
+  await withTempProject(async dir => {
+    writeFile(
+      dir,
+      'Dockerfile',
+      [
+        'FROM node:20',
+        '# qa-architect-ignore docker/env-secret -- placeholder, real value injected at deploy',
+        'ENV API_TOKEN=changeme',
+        'ENV DB_PASSWORD=hunter2',
+        'ENV SIGNING_KEY=abc # qa-architect-ignore docker/env-secret',
+      ].join('\n')
+    )
+    writeFile(
+      dir,
+      'vite.config.js',
+      '// qa-architect-ignore vite/client-env-secret -- public publishable key\nexport default { define: { VITE_STRIPE_KEY: 1 } }\n'
+    )
+
+    const scanner = new ConfigSecurityScanner({
+      ...SCAN_OPTIONS,
+      securityConfig: {},
+    })
+    await scanner.scanDockerSecrets()
+    await scanner.scanViteConfig()
+
+    assert.deepStrictEqual(
+      scanner.suppressed.map(f => [f.ruleId, f.line, f.suppression.source]),
+      [
+        ['docker/env-secret', 3, 'Dockerfile:2'],
+        ['vite/client-env-secret', 2, 'vite.config.js:1'],
+      ]
+    )
+    assert.deepStrictEqual(
+      scanner.getFindings().map(f => [f.ruleId, f.line]),
+      [
+        ['docker/env-secret', 4],
+        ['suppression/invalid', 5],
+        ['docker/env-secret', 5],
+      ],
+      'Comments without a justification do not suppress'
+    )
+  })
+  console.log('  ✅ Justified comments suppress the same or next line\n')
+
+  console.log('🎉 All config security suppression tests passed!')
+})().catch(error => {
+  console.error('❌ Config security suppression tests failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,274 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const { unifiedDiff } = require('../lib/text-merge')
+const { VirtualFs, recordSkippedFile } = require('../lib/virtual-fs')
+const { createDryRunPlan } = require('../lib/commands/dry-run')
+
+/**
+ * Tests for the computed --dry-run plan: unified diffs, the in-memory
+ * filesystem layer and `setup --dry-run --format json`
+ */
+console.log('🧪 Testing dry-run plan...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dry-run-plan-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+;(async () => {
+  // Test 1: Unified diffs
+  console.log('Test 1: unifiedDiff')
+  {
+    assert.strictEqual(unifiedDiff('same\n', 'same\n'), '')
+    assert.strictEqual(
+      unifiedDiff('a\nb\nc\n', 'a\nB\nc\n', {
+        fromFile: 'a/x',
+        toFile: 'b/x',
+      }),
+      '--- a/x\n+++ b/x\n@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n'
+    )
+    assert.strictEqual(
+      unifiedDiff(null, 'new\n'),
+      '--- /dev/null\n+++ b\n@@ -0,0 +1 @@\n+new\n'
+    )
+
+    const before = Array.from({ length: 12 }, (_, i) => `${i + 1}`)
+    const after = [...before]
+    after[1] = 'two'
+    after[10] = 'eleven'
+    const diff = unifiedDiff(`${before.join('\n')}\n`, `${after.join('\n')}\n`)
+    assert.deepStrictEqual(
+      diff.split('\n').filter(line => line.startsWith('@@')),
+      ['@@ -1,5 +1,5 @@', '@@ -8,5 +8,5 @@'],
+      'Distant changes get separate hunks'
+    )
+    assert.strictEqual(
+      unifiedDiff('a\nb', 'a\nb\n'),
+      '--- a\n+++ b\n@@ -1,2 +1,2 @@\n a\n-b\n\\ No newline at end of file\n+b\n'
+    )
+  }
+  console.log('  ✅ diff -u compatible hunks\n')
+
+  // Test 2: In-memory filesystem layer
+  console.log('Test 2: VirtualFs')
+  await withTempDir(async dir => {
+    const existing = path.join(dir, 'existing.txt')
+    const removed = path.join(dir, 'removed.txt')
+    fs.writeFileSync(existing, 'one\n')
+    fs.writeFileSync(removed, 'bye\n')
+
+    const virtualFs = new VirtualFs(dir).activate()
+    try {
+      assert.throws(() => new VirtualFs(dir).activate(), /already active/)
+
+      fs.mkdirSync(path.join(dir, 'nested', 'deeper'), { recursive: true })
+      const created = path.join(dir, 'nested', 'deeper', 'hook')
+      fs.writeFileSync(created, '#!/bin/sh\n')
+      fs.chmodSync(created, 0o755)
+      fs.appendFileSync(existing, 'two\n')
+      fs.unlinkSync(removed)
+      await fs.promises.writeFile(path.join(dir, 'async.json'), '{}\n')
+      recordSkippedFile(path.join(dir, 'kept.txt'))
+      recordSkippedFile(existing)
+
+      assert.strictEqual(fs.readFileSync(existing, 'utf8'), 'one\ntwo\n')
+      assert.strictEqual(
+        await fs.promises.readFile(path.join(dir, 'async.json'), 'utf8'),
+        '{}\n'
+      )
+      assert.ok(fs.existsSync(path.join(dir, 'nested', 'deeper')))
+      assert.strictEqual(fs.existsSync(removed), false)
+      assert.throws(() => fs.readFileSync(removed), { code: 'ENOENT' })
+      fs.writeFileSync(path.join(os.tmpdir(), 'outside-project.txt'), 'x')
+    } finally {
+      virtualFs.deactivate()
+    }
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), [
+      'existing.txt',
+      'removed.txt',
+    ])
+    assert.strictEqual(fs.readFileSync(existing, 'utf8'), 'one\n')
+    assert.deepStrictEqual(
+      virtualFs.getChanges().map(({ file, before, after, mode }) => ({
+        file,
+        before,
+        after,
+        mode,
+      })),
+      [
+        { file: 'async.json', before: null, after: '{}\n', mode: null },
+        {
+          file: 'existing.txt',
+          before: 'one\n',
+          after: 'one\ntwo\n',
+          mode: null,
+        },
+        {
+          file: 'nested/deeper/hook',
+          before: null,
+          after: '#!/bin/sh\n',
+          mode: 0o755,
+        },
+        { file: 'removed.txt', before: 'bye\n', after: null, mode: null },
+      ]
+    )
+    assert.deepStrictEqual(
+      virtualFs.getSkipped(),
+      ['kept.txt'],
+      'Files written after being skipped are not reported as skipped'
+    )
+
+    const plan = await createDryRunPlan(
+      () => fs.writeFileSync(path.join(dir, 'existing.txt'), 'changed\n'),
+      { projectPath: dir, mode: 'setup' }
+    )
+    assert.deepStrictEqual(plan.modified, [
+      {
+        file: 'existing.txt',
+        diff: '--- a/existing.txt\n+++ b/existing.txt\n@@ -1 +1 @@\n-one\n+changed\n',
+      },
+    ])
+  })
+  console.log('  ✅ Writes stay in memory and are reported as changes\n')
+
+  // Test 3: setup --dry-run --format json
+  console.log('Test 3: setup --dry-run --format json')
+  await withTempDir(async dir => {
+    spawnSync('git', ['init', '-q'], { cwd: dir })
+    const packageJson = `${JSON.stringify(
+      { name: 'demo', version: '1.0.0', scripts: { test: 'node test.js' } },
+      null,
+      2
+    )}\n`
+    fs.writeFileSync(path.join(dir, 'package.json'), packageJson)
+    fs.writeFileSync(path.join(dir, '.prettierrc'), '{}\n')
+
+    const run = (...args) =>
+      spawnSync('node', [setupPath, ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+
+    const result = run('--dry-run', '--format', 'json')
+    assert.strictEqual(result.status, 0, result.stderr)
+    const plan = JSON.parse(result.stdout)
+
+    assert.strictEqual(plan.mode, 'setup')
+    assert.deepStrictEqual(
+      plan.modified.map(entry => entry.file),
+      ['package.json']
+    )
+    const packageDiff = plan.modified[0].diff
+    assert.ok(packageDiff.startsWith('--- a/package.json\n+++ b/package.json'))
+    assert.ok(packageDiff.includes('+    "format": "prettier --write .",'))
+    assert.ok(packageDiff.includes('+  "devDependencies": {'))
+    assert.ok(packageDiff.includes('+  "lint-staged": {'))
+
+    const created = plan.created.map(entry => entry.file)
+    assert.ok(created.includes('.github/workflows/quality.yml'))
+    assert.ok(created.includes('eslint.config.cjs'))
+    assert.ok(!created.includes('.prettierrc'))
+    assert.strictEqual(
+      plan.created.find(entry => entry.file === '.husky/pre-commit').mode,
+      '0755'
+    )
+    assert.ok(plan.skipped.includes('.prettierrc'))
+
+    assert.deepStrictEqual(
+      fs.readdirSync(dir).sort(),
+      ['.git', '.prettierrc', 'package.json'],
+      'Dry run writes nothing'
+    )
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, 'package.json'), 'utf8'),
+      packageJson
+    )
+
+    const text = run('--dry-run')
+    assert.strictEqual(text.status, 0)
+    assert.match(text.stdout, /DRY RUN MODE/)
+    assert.match(text.stdout, /Files to modify \(1\):\n {2}~ package\.json/)
+    assert.match(text.stdout, /Skipped \(already exist\) \(\d+\):/)
+    assert.doesNotMatch(text.stdout, /Added Prettier configuration/)
+
+    const noDryRun = run('--format', 'json')
+    assert.strictEqual(noDryRun.status, 1)
+    assert.match(noDryRun.stderr, /--format json requires --dry-run/)
+  })
+  console.log('  ✅ Plan computed from the real setup flow\n')
+
+  // Test 4: FREE tier repo limit
+  console.log('Test 4: --dry-run at the FREE tier repo limit')
+  await withTempDir(async dir => {
+    const project = path.join(dir, 'project')
+    const licenseDir = path.join(dir, 'license')
+    fs.mkdirSync(project)
+    fs.mkdirSync(licenseDir)
+    spawnSync('git', ['init', '-q'], { cwd: project })
+    fs.writeFileSync(
+      path.join(project, 'package.json'),
+      JSON.stringify({ name: 'demo', version: '1.0.0' })
+    )
+    // Another repository already uses the one FREE repo
+    const now = new Date()
+    const usage = {
+      month: `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`,
+      prePushRuns: 0,
+      dependencyPRs: 0,
+      repos: ['another-repository'],
+    }
+    const usagePath = path.join(licenseDir, 'usage.json')
+    fs.writeFileSync(usagePath, JSON.stringify(usage))
+
+    /** @type {NodeJS.ProcessEnv} */
+    const env = { ...process.env, QAA_LICENSE_DIR: licenseDir }
+    delete env.QAA_DEVELOPER
+    const run = (...args) =>
+      spawnSync('node', [setupPath, ...args], {
+        cwd: project,
+        encoding: 'utf8',
+        env,
+      })
+
+    const preview = run('--dry-run')
+    assert.strictEqual(preview.status, 0, preview.stderr)
+    assert.match(
+      preview.stdout,
+      /Notes \(1\):\n {2}! FREE tier limit reached: 1\/1 private repos - setup would stop/
+    )
+    assert.match(preview.stdout, /\+ \.prettierrc/)
+
+    const json = JSON.parse(run('--dry-run', '--format', 'json').stdout)
+    assert.strictEqual(json.notes.length, 1)
+    assert.deepStrictEqual(
+      JSON.parse(fs.readFileSync(usagePath, 'utf8')),
+      usage
+    )
+    assert.strictEqual(fs.existsSync(path.join(project, '.prettierrc')), false)
+
+    // The real run still stops
+    const setup = run()
+    assert.strictEqual(setup.status, 1)
+    assert.match(setup.stderr, /FREE tier limit reached/)
+  })
+  console.log('  ✅ Limit reported in the plan instead of exiting\n')
+
+  console.log('🎉 All dry-run plan tests passed!')
+})().catch(error => {
+  console.error('❌ Dry-run plan test failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,49 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+/**
+ * Write a fixture file, creating its directories
+ * @param {string} root - Project directory
+ * @param {string} relativePath - File path inside the project
+ * @param {string|Object} content - Text, or a value written as JSON
+ */
+function writeFile(root, relativePath, content) {
+  const filePath = path.join(root, relativePath)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(
+    filePath,
+    typeof content === 'string' ? content : JSON.stringify(content)
+  )
+}
+
+/**
+ * Run a synchronous test in a temporary directory that is removed afterwards
+ * @param {string} prefix - Directory name prefix
+ * @param {(dir: string) => void} fn - Test
+ */
+function withTempDir(prefix, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix))
+  try {
+    fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * @param {string} content - Text to search
+ * @param {string} needle - Substring
+ * @returns {number} Non-overlapping occurrences
+ */
+function countOccurrences(content, needle) {
+  return content.split(needle).length - 1
+}
+
+module.exports = {
+  writeFile,
+  withTempDir,
+  countOccurrences,
+}
@@ -0,0 +1,355 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  parseJUnitXml,
+  parseJestJson,
+  loadFlakyConfig,
+  findQuarantine,
+  recordResults,
+  findFlakyTests,
+} = require('../templates/scripts/flaky-tests')
+const {
+  generateSmartStrategy,
+  writeSmartStrategy,
+} = require('../lib/smart-strategy-generator')
+
+/**
+ * Tests for the flaky test runner: report parsing, quarantine, flip
+ * detection in the history and retries around the test command
+ */
+console.log('🧪 Testing flaky test detection...\n')
+
+const runnerPath = path.join(
+  __dirname,
+  '..',
+  'templates',
+  'scripts',
+  'flaky-tests.js'
+)
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flaky-tests-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * @param {string} dir - Empty directory
+ */
+const createRepo = dir => {
+  const git = (...args) => {
+    const result = spawnSync('git', args, { cwd: dir, encoding: 'utf8' })
+    assert.strictEqual(result.status, 0, result.stderr)
+    return result.stdout.trim()
+  }
+  git('init', '-q', '-b', 'main')
+  git('config', 'user.email', 'test@example.com')
+  git('config', 'user.name', 'Test')
+  fs.writeFileSync(
+    path.join(dir, '.gitignore'),
+    'scripts/\n.create-qa-architect-cache/\n.qualityrc.json\nattempts\n'
+  )
+  fs.writeFileSync(path.join(dir, 'README.md'), 'demo\n')
+  git('add', '-A')
+  git('commit', '-q', '-m', 'Initial commit')
+  return { git }
+}
+
+/**
+ * Fake test command: each run appends to `attempts` and writes a JUnit
+ * report to $FLAKY_TEST_REPORT with the statuses of that attempt
+ * @param {string} dir - Project directory
+ * @param {Object<string, string[]>} plan - Test name to status per attempt
+ * @returns {string} Script path
+ */
+const writeFakeTests = (dir, plan) => {
+  const script = path.join(dir, 'fake-tests.js')
+  fs.writeFileSync(
+    script,
+    `const fs = require('fs')
+const plan = ${JSON.stringify(plan)}
+fs.appendFileSync('attempts', '.')
+const attempt = fs.readFileSync('attempts', 'utf8').length - 1
+let failed = false
+const cases = Object.entries(plan).map(([name, statuses]) => {
+  const status = statuses[Math.min(attempt, statuses.length - 1)]
+  failed = failed || status === 'fail'
+  const body = status === 'fail' ? '<failure message="boom"/>' : ''
+  return '<testcase classname="suite" name="' + name + '" file="tests/app.test.js">' + body + '</testcase>'
+})
+fs.writeFileSync(process.env.FLAKY_TEST_REPORT, '<testsuites><testsuite>' + cases.join('') + '</testsuite></testsuites>')
+process.exit(failed ? 1 : 0)
+`
+  )
+  return script
+}
+
+;(async () => {
+  // Test 1: JUnit and Jest/Vitest JSON reports
+  console.log('Test 1: report parsing')
+  {
+    const root = path.join(os.tmpdir(), 'project')
+    const xml = `<?xml version="1.0"?>
+<testsuites>
+  <testsuite name="pytest">
+    <testcase classname="tests.test_api" name="test_get" time="0.1"/>
+    <testcase classname="tests.test_api" name="test_post" time="0.2">
+      <failure message="assert 1 == 2">trace</failure>
+    </testcase>
+    <testcase classname="tests.test_api" name="test_slow"><skipped/></testcase>
+    <testcase classname="math" name="adds &amp; rounds" file="${root}/src/math.test.ts">
+      <error message="TypeError"/>
+    </testcase>
+  </testsuite>
+</testsuites>`
+    assert.deepStrictEqual(parseJUnitXml(xml, root), [
+      { id: 'tests.test_api::test_get', status: 'pass' },
+      { id: 'tests.test_api::test_post', status: 'fail' },
+      { id: 'tests.test_api::test_slow', status: 'skip' },
+      { id: 'src/math.test.ts::adds & rounds', status: 'fail' },
+    ])
+
+    const json = {
+      testResults: [
+        {
+          name: path.join(root, 'tests', 'api.test.js'),
+          status: 'failed',
+          assertionResults: [
+            { fullName: 'api returns users', status: 'passed' },
+            {
+              ancestorTitles: ['api'],
+              title: 'retries on timeout',
+              status: 'failed',
+            },
+            { fullName: 'api paginates', status: 'pending' },
+          ],
+        },
+        {
+          name: path.join(root, 'tests', 'broken.test.js'),
+          status: 'failed',
+          assertionResults: [],
+        },
+      ],
+    }
+    assert.deepStrictEqual(parseJestJson(json, root), [
+      { id: 'tests/api.test.js::api returns users', status: 'pass' },
+      { id: 'tests/api.test.js::api retries on timeout', status: 'fail' },
+      { id: 'tests/api.test.js::api paginates', status: 'skip' },
+      { id: 'tests/broken.test.js::(file)', status: 'fail' },
+    ])
+  }
+  console.log('  ✅ JUnit XML and Jest/Vitest JSON parsed\n')
+
+  // Test 2: Quarantine config and flip detection
+  console.log('Test 2: quarantine and history')
+  await withTempDir(async dir => {
+    assert.strictEqual(loadFlakyConfig(dir).retries, 2)
+    fs.writeFileSync(
+      path.join(dir, '.qualityrc.json'),
+      JSON.stringify({
+        flakyTests: {
+          retries: 1,
+          quarantine: [
+            'tests/api.test.js::api retries on timeout',
+            { test: 'tests/e2e/', reason: 'staging', expires: '2026-10-31' },
+            { test: 'tests/old.test.js', expires: '2026-10-01' },
+          ],
+        },
+      })
+    )
+    const config = loadFlakyConfig(dir, new Date('2026-10-20T12:00:00Z'))
+    assert.strictEqual(config.retries, 1)
+    assert.deepStrictEqual(
+      config.quarantine.map(entry => entry.test),
+      ['tests/api.test.js::api retries on timeout', 'tests/e2e/']
+    )
+    assert.deepStrictEqual(config.expired, [
+      { test: 'tests/old.test.js', expires: '2026-10-01' },
+    ])
+    assert.ok(
+      findQuarantine('tests/e2e/login.test.js::logs in', config.quarantine)
+    )
+    assert.strictEqual(
+      findQuarantine('tests/old.test.js::still broken', config.quarantine),
+      null,
+      'Expired quarantine blocks again'
+    )
+
+    const history = { version: 1, tests: {} }
+    recordResults(history, [{ id: 'a::x', status: 'fail' }], 'tree1', 3)
+    recordResults(history, [{ id: 'a::x', status: 'pass' }], 'tree2', 3)
+    recordResults(history, [{ id: 'b::y', status: 'skip' }], 'tree1', 3)
+    assert.deepStrictEqual(findFlakyTests(history), [], 'Code changed between')
+    assert.strictEqual(history.tests['b::y'], undefined)
+
+    recordResults(history, [{ id: 'a::x', status: 'fail' }], 'tree2', 3)
+    assert.deepStrictEqual(findFlakyTests(history), [
+      { id: 'a::x', passes: 1, fails: 2 },
+    ])
+    recordResults(history, [{ id: 'a::x', status: 'pass' }], null, 3)
+    assert.strictEqual(history.tests['a::x'].length, 3, 'History is capped')
+  })
+  console.log(
+    '  ✅ Quarantine entries expire, flips on the same code flagged\n'
+  )
+
+  // Test 3: Retries, history and quarantine around the test command
+  console.log('Test 3: flaky-tests.js run')
+  await withTempDir(async dir => {
+    createRepo(dir)
+    const run = (plan, args = []) => {
+      fs.rmSync(path.join(dir, 'attempts'), { force: true })
+      const script = writeFakeTests(dir, plan)
+      return spawnSync(
+        'node',
+        [runnerPath, 'run', ...args, '--', 'node', script],
+        {
+          cwd: dir,
+          encoding: 'utf8',
+          env: { ...process.env, GITHUB_ACTIONS: 'true' },
+        }
+      )
+    }
+    const attempts = () =>
+      fs.readFileSync(path.join(dir, 'attempts'), 'utf8').length
+
+    // Fails once, passes on retry: flagged as flaky, run passes
+    let result = run({ stable: ['pass'], timing: ['fail', 'pass'] })
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr)
+    assert.strictEqual(attempts(), 2)
+    assert.match(result.stdout, /Retrying tests \(attempt 2 of 3\)/)
+    assert.match(
+      result.stdout,
+      /tests\/app\.test\.js::timing - 1 passed, 1 failed/
+    )
+    assert.match(
+      result.stdout,
+      /::warning title=Flaky test::tests\/app\.test\.js::timing/
+    )
+    assert.match(result.stdout, /Add them to flakyTests\.quarantine/)
+    const history = JSON.parse(
+      fs.readFileSync(
+        path.join(dir, '.create-qa-architect-cache', 'test-history.json'),
+        'utf8'
+      )
+    )
+    assert.deepStrictEqual(
+      history.tests['tests/app.test.js::stable'].map(entry => entry.status),
+      ['pass', 'pass']
+    )
+
+    // A real failure blocks after all retries
+    result = run({ stable: ['pass'], broken: ['fail'] }, ['--retries', '1'])
+    assert.strictEqual(result.status, 1)
+    assert.strictEqual(attempts(), 2)
+
+    // A quarantined failure keeps running but doesn't block
+    fs.writeFileSync(
+      path.join(dir, '.qualityrc.json'),
+      JSON.stringify({
+        flakyTests: {
+          quarantine: [{ test: 'tests/app.test.js::broken', reason: 'WIP' }],
+        },
+      })
+    )
+    result = run({ stable: ['pass'], broken: ['fail'] })
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr)
+    assert.strictEqual(attempts(), 1, 'No retry for quarantined failures')
+    assert.match(result.stdout, /Only quarantined tests failed/)
+
+    // Without a report a failure blocks without retries
+    fs.rmSync(path.join(dir, 'attempts'), { force: true })
+    result = spawnSync(
+      'node',
+      [
+        runnerPath,
+        'run',
+        '--',
+        'node',
+        '-e',
+        "require('fs').appendFileSync('attempts', '.'); process.exit(1)",
+      ],
+      { cwd: dir, encoding: 'utf8' }
+    )
+    assert.strictEqual(result.status, 1)
+    assert.strictEqual(attempts(), 1)
+    assert.match(result.stdout, /No test report .* not retrying/)
+    assert.doesNotMatch(result.stdout, /Retrying tests/)
+
+    const report = spawnSync('node', [runnerPath, 'report'], {
+      cwd: dir,
+      encoding: 'utf8',
+    })
+    assert.strictEqual(report.status, 0)
+    assert.match(report.stdout, /tests\/app\.test\.js::timing/)
+  })
+  console.log(
+    '  ✅ Failures retried, flaky tests reported, quarantine honored\n'
+  )
+
+  // Test 4: Pre-push smart strategy runs the tier through the runner
+  console.log('Test 4: smart-test-strategy.sh with flaky-tests.js')
+  await withTempDir(async dir => {
+    const { git } = createRepo(dir)
+    const { script } = generateSmartStrategy({
+      projectPath: dir,
+      projectType: 'default',
+      customTestCommands: {
+        comprehensive: 'echo DEFAULT=comprehensive',
+        medium: 'echo DEFAULT=medium',
+        fast: 'echo DEFAULT=fast',
+        minimal: 'echo DEFAULT=minimal',
+      },
+    })
+    writeSmartStrategy(dir, script)
+    fs.copyFileSync(runnerPath, path.join(dir, 'scripts', 'flaky-tests.js'))
+    fs.writeFileSync(
+      path.join(dir, '.qualityrc.json'),
+      JSON.stringify({
+        smartStrategy: {
+          workHours: false,
+          tiers: {
+            // Fails on the first run only, with a JUnit report of the test
+            fast: [
+              'echo RUN >> attempts',
+              'if [ $(wc -l < attempts) -ge 2 ]; then result=""; else result="<failure/>"; fi',
+              'echo "<testsuite><testcase classname=\\"tier\\" name=\\"fast\\">$result</testcase></testsuite>" > "$FLAKY_TEST_REPORT"',
+              '[ -z "$result" ]',
+            ].join('; '),
+          },
+        },
+        flakyTests: { retries: 1 },
+      })
+    )
+    git('checkout', '-q', '-b', 'feature')
+    fs.writeFileSync(path.join(dir, 'notes.md'), 'notes\n')
+    git('add', '-A')
+    git('commit', '-q', '-m', 'Add notes')
+
+    const result = spawnSync('bash', ['scripts/smart-test-strategy.sh'], {
+      cwd: dir,
+      encoding: 'utf8',
+      input: '',
+      env: { ...process.env, SKIP_SMART: '', FORCE_MINIMAL: '' },
+    })
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr)
+    assert.match(result.stdout, /LOW RISK/)
+    assert.match(result.stdout, /Retrying tests \(attempt 2 of 2\)/)
+    assert.match(result.stdout, /tier::fast - 1 passed, 1 failed/)
+  })
+  console.log('  ✅ Tier command retried by the flaky test runner\n')
+
+  console.log('🎉 All flaky test detection tests passed!')
+})().catch(error => {
+  console.error('❌ Flaky test detection test failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,323 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const { mergeThreeWay } = require('../lib/text-merge')
+const {
+  GENERATED_MANIFEST_FILE,
+  GENERATORS,
+  hashContent,
+  serializeJsonValue,
+  loadGeneratedManifest,
+  saveGeneratedManifest,
+  recordGeneratedFile,
+  inspectGeneratedFiles,
+} = require('../lib/generated-files')
+const { PRE_COMMIT_HOOK } = require('../lib/husky-hooks')
+
+/**
+ * Tests for the generated files manifest, three-way merges and the doctor
+ * command
+ */
+console.log('🧪 Testing generated files manifest...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+const prettierTemplate = fs.readFileSync(
+  path.join(__dirname, '..', '.prettierrc'),
+  'utf8'
+)
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generated-files-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Manifest whose .editorconfig entry was generated from older template content
+ * @param {Object} manifest - Manifest from loadGeneratedManifest
+ * @param {string} oldContent - Content recorded as generated
+ */
+const recordOutdatedEditorconfig = (manifest, oldContent) => {
+  recordGeneratedFile(
+    manifest,
+    '.editorconfig',
+    'template',
+    { template: '.editorconfig' },
+    oldContent
+  )
+}
+
+;(async () => {
+  // Test 1: Three-way merge
+  console.log('Test 1: mergeThreeWay')
+  {
+    const base = 'a\nb\nc\nd\ne\n'
+
+    assert.deepStrictEqual(mergeThreeWay(base, base, 'a\nB\nc\nd\ne\n'), {
+      content: 'a\nB\nc\nd\ne\n',
+      conflicts: 0,
+    })
+    assert.deepStrictEqual(
+      mergeThreeWay(base, 'a\nb\nc\nd\ne\nlocal\n', 'a\nB\nc\nd\ne\n'),
+      { content: 'a\nB\nc\nd\ne\nlocal\n', conflicts: 0 },
+      'Local and template changes in different hunks merge cleanly'
+    )
+    assert.deepStrictEqual(
+      mergeThreeWay(base, 'a\nX\nc\nd\ne\n', 'a\nX\nc\nd\ne\n'),
+      { content: 'a\nX\nc\nd\ne\n', conflicts: 0 },
+      'Identical changes are taken once'
+    )
+    assert.deepStrictEqual(
+      mergeThreeWay(base, 'a\nmine\nc\nd\ne\n', 'a\ntheirs\nc\nd\ne\n'),
+      {
+        content:
+          'a\n<<<<<<< local\nmine\n=======\ntheirs\n>>>>>>> template\nc\nd\ne\n',
+        conflicts: 1,
+      }
+    )
+  }
+  console.log('  ✅ One-sided changes merge, overlapping changes conflict\n')
+
+  // Test 2: Recording and inspecting generated files
+  console.log('Test 2: manifest and inspectGeneratedFiles')
+  await withTempDir(async dir => {
+    assert.deepStrictEqual(loadGeneratedManifest(dir).files, {})
+
+    const manifest = loadGeneratedManifest(dir)
+    const lintStaged = { '*.js': ['eslint --fix'] }
+    recordGeneratedFile(
+      manifest,
+      '.prettierrc',
+      'template',
+      { template: '.prettierrc' },
+      prettierTemplate
+    )
+    recordGeneratedFile(
+      manifest,
+      path.join('.husky', 'pre-commit'),
+      'husky-pre-commit',
+      {},
+      PRE_COMMIT_HOOK
+    )
+    recordOutdatedEditorconfig(manifest, 'root = true\n')
+    recordGeneratedFile(
+      manifest,
+      'package.json#lint-staged',
+      'unknown-generator',
+      {},
+      serializeJsonValue(lintStaged)
+    )
+
+    fs.writeFileSync(path.join(dir, '.prettierrc'), prettierTemplate)
+    fs.writeFileSync(path.join(dir, '.editorconfig'), 'root = true\n')
+    fs.writeFileSync(
+      path.join(dir, 'package.json'),
+      JSON.stringify({ name: 'demo', 'lint-staged': lintStaged })
+    )
+
+    const manifestPath = saveGeneratedManifest(dir, manifest)
+    assert.strictEqual(manifestPath, path.join(dir, GENERATED_MANIFEST_FILE))
+    const saved = loadGeneratedManifest(dir)
+    assert.deepStrictEqual(Object.keys(saved.files), [
+      '.editorconfig',
+      '.husky/pre-commit',
+      '.prettierrc',
+      'package.json#lint-staged',
+    ])
+    assert.strictEqual(
+      saved.files['.prettierrc'].hash,
+      hashContent(prettierTemplate)
+    )
+
+    const statuses = async () =>
+      Object.fromEntries(
+        (await inspectGeneratedFiles(dir, saved)).map(result => [
+          result.file,
+          result.status,
+        ])
+      )
+
+    assert.deepStrictEqual(await statuses(), {
+      '.editorconfig': 'outdated',
+      '.husky/pre-commit': 'missing',
+      '.prettierrc': 'ok',
+      'package.json#lint-staged': 'ok',
+    })
+
+    fs.appendFileSync(path.join(dir, '.prettierrc'), '\n')
+    fs.appendFileSync(path.join(dir, '.editorconfig'), '# local\n')
+    fs.writeFileSync(
+      path.join(dir, 'package.json'),
+      JSON.stringify({ name: 'demo', 'lint-staged': { '*.ts': ['tsc'] } })
+    )
+    const results = await inspectGeneratedFiles(dir, saved)
+    assert.deepStrictEqual(await statuses(), {
+      '.editorconfig': 'modified+outdated',
+      '.husky/pre-commit': 'missing',
+      '.prettierrc': 'modified',
+      'package.json#lint-staged': 'modified',
+    })
+    assert.strictEqual(
+      results.find(result => result.file === 'package.json#lint-staged').error,
+      'Unknown generator: unknown-generator'
+    )
+
+    const rendered = JSON.parse(
+      GENERATORS['lint-staged'](
+        {
+          typescript: false,
+          python: false,
+          stylelintTargets: ['**/*.css'],
+          preserved: { 'src/**/*.scss': ['stylelint --fix'] },
+        },
+        { getTemplate: () => '' }
+      )
+    )
+    assert.deepStrictEqual(rendered['src/**/*.scss'], ['stylelint --fix'])
+  })
+  console.log('  ✅ ok, modified, outdated and missing files detected\n')
+
+  // Test 3: doctor on the command line
+  console.log('Test 3: doctor / doctor --fix')
+  await withTempDir(async dir => {
+    const run = (...args) =>
+      spawnSync('node', [setupPath, 'doctor', ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+
+    const noManifest = run()
+    assert.strictEqual(noManifest.status, 1)
+    assert.match(noManifest.stdout, /No \.qa-architect[\\/]manifest\.json/)
+
+    const editorconfig = fs.readFileSync(
+      path.join(__dirname, '..', '.editorconfig'),
+      'utf8'
+    )
+    const lines = editorconfig.split('\n')
+    // Pretend the first setting was added to the template after setup ran,
+    // and the project has since appended its own section
+    const oldTemplate = [lines[0], ...lines.slice(2)].join('\n')
+    const manifest = loadGeneratedManifest(dir)
+    recordOutdatedEditorconfig(manifest, oldTemplate)
+    recordGeneratedFile(
+      manifest,
+      '.prettierrc',
+      'template',
+      { template: '.prettierrc' },
+      prettierTemplate
+    )
+    saveGeneratedManifest(dir, manifest)
+    fs.writeFileSync(
+      path.join(dir, '.editorconfig'),
+      `${oldTemplate}\n[*.py]\nindent_size = 4\n`
+    )
+
+    const check = run()
+    assert.strictEqual(check.status, 1, 'Drift fails without --fix')
+    assert.match(check.stdout, /\.editorconfig - modified locally and outdated/)
+    assert.match(check.stdout, /\.prettierrc - missing/)
+    assert.match(check.stdout, /doctor --fix/)
+
+    const fix = run('--fix')
+    assert.strictEqual(fix.status, 0, fix.stdout)
+    assert.match(fix.stdout, /\.editorconfig: three-way merge keeping/)
+    assert.match(fix.stdout, /\.prettierrc: restore from the template/)
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, '.editorconfig'), 'utf8'),
+      `${editorconfig}\n[*.py]\nindent_size = 4\n`
+    )
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, '.prettierrc'), 'utf8'),
+      prettierTemplate
+    )
+
+    const after = run()
+    assert.strictEqual(after.status, 0)
+    assert.match(after.stdout, /\.editorconfig - modified locally/)
+    assert.match(after.stdout, /All generated files match/)
+
+    // Conflicting edits are left alone by --fix
+    const conflicted = loadGeneratedManifest(dir)
+    recordGeneratedFile(
+      conflicted,
+      '.prettierrc',
+      'template',
+      { template: '.prettierrc' },
+      '{}\n'
+    )
+    saveGeneratedManifest(dir, conflicted)
+    fs.writeFileSync(path.join(dir, '.prettierrc'), '{ "semi": true }\n')
+    const skipped = run('--fix')
+    assert.strictEqual(skipped.status, 1)
+    assert.match(skipped.stdout, /\.prettierrc: skipped \(three-way merge/)
+    assert.strictEqual(
+      fs.readFileSync(path.join(dir, '.prettierrc'), 'utf8'),
+      '{ "semi": true }\n'
+    )
+  })
+  console.log('  ✅ Drift reported, updates and clean merges applied\n')
+
+  // Test 4: language jobs setup adds to the CI config are part of its entry
+  console.log('Test 4: setup then doctor on a Go + Maven project')
+  await withTempDir(async dir => {
+    fs.writeFileSync(
+      path.join(dir, 'go.mod'),
+      'module example.com/app\n\ngo 1.22\n'
+    )
+    fs.writeFileSync(path.join(dir, 'pom.xml'), '<project></project>\n')
+    const run = (...args) =>
+      spawnSync('node', [setupPath, ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+        timeout: 120000,
+      })
+    spawnSync('git', ['init', '-q'], { cwd: dir })
+
+    const setup = run()
+    assert.strictEqual(setup.status, 0, setup.stderr)
+    const workflow = fs.readFileSync(
+      path.join(dir, '.github', 'workflows', 'quality.yml'),
+      'utf8'
+    )
+    assert.ok(workflow.includes('go vet'), 'Go job injected')
+    assert.ok(workflow.includes('checkstyle'), 'JVM job injected')
+
+    // Language configs, scripts and tool configs are tracked too
+    const { files } = loadGeneratedManifest(dir)
+    for (const file of [
+      '.golangci.yml',
+      'config/checkstyle/checkstyle.xml',
+      '.nvmrc',
+      '.npmrc',
+      '.gitleaks.toml',
+      'commitlint.config.js',
+      '.husky/commit-msg',
+      'lighthouserc.js',
+      'scripts/quality-config.js',
+    ]) {
+      assert.ok(files[file], `${file} recorded`)
+    }
+
+    const doctor = run('doctor')
+    assert.strictEqual(doctor.status, 0, doctor.stdout)
+    assert.match(doctor.stdout, /quality\.yml - up to date/)
+    assert.doesNotMatch(doctor.stdout, /modified|outdated|missing/)
+  })
+  console.log('  ✅ Injected jobs and every generated config recorded\n')
+
+  console.log('🎉 All generated files tests passed!')
+})().catch(error => {
+  console.error('❌ Generated files test failed:', error)
+  process.exit(1)
+})
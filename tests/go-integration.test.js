@@ -0,0 +1,216 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { execSync } = require('child_process')
+const yaml = require('js-yaml')
+
+const {
+  GO_JOB_MARKER,
+  detectGoProject,
+  getGoCommands,
+  injectGoJob,
+} = require('../lib/go-config-generator')
+const {
+  generatePremiumDependabotConfig,
+} = require('../lib/dependency-monitoring-premium')
+const { ProjectMaturityDetector } = require('../lib/project-maturity')
+const {
+  writeFile,
+  withTempDir,
+  countOccurrences,
+} = require('./file-test-helpers')
+
+/**
+ * Tests for Go module support in setup, CI templates, deps and maturity
+ */
+console.log('🧪 Testing Go module support...\n')
+
+const rootDir = path.join(__dirname, '..')
+const setupPath = path.join(rootDir, 'setup.js')
+const readTemplate = relativePath =>
+  fs.readFileSync(path.join(rootDir, relativePath), 'utf8')
+
+const GO_MOD = `module example.com/svc
+
+go 1.22
+
+require github.com/gin-gonic/gin v1.9.1
+`
+
+// Test 1: Detection
+console.log('Test 1: detectGoProject')
+withTempDir('go-detect-', dir => {
+  assert.strictEqual(detectGoProject(dir), null)
+
+  writeFile(dir, 'go.mod', GO_MOD)
+  const module = detectGoProject(dir)
+  assert.strictEqual(module.isWorkspace, false)
+  assert.strictEqual(module.versionFile, 'go.mod')
+  assert.deepStrictEqual(module.modules, ['.'])
+
+  writeFile(dir, 'go.work', 'go 1.22\n\nuse (\n\t.\n\t./tools\n)\n')
+  writeFile(dir, 'tools/go.mod', 'module example.com/tools\n')
+  const workspace = detectGoProject(dir)
+  assert.strictEqual(workspace.isWorkspace, true)
+  assert.strictEqual(workspace.versionFile, 'go.work')
+  assert.deepStrictEqual(workspace.modules, ['.', 'tools'])
+})
+console.log('  ✅ go.mod modules and go.work workspaces detected\n')
+
+// Test 2: Commands cover every workspace module
+console.log('Test 2: Go check commands')
+{
+  const single = getGoCommands({ isWorkspace: false })
+  assert.strictEqual(single.vet, 'go vet ./...')
+  assert.ok(single.vulncheck.includes('govulncheck'))
+
+  const workspace = getGoCommands({ isWorkspace: true })
+  assert.ok(workspace.vet.includes("go list -m -f '{{.Dir}}'"))
+  assert.ok(workspace.test.includes('go test -race ./...'))
+}
+console.log('  ✅ Workspaces loop over go list -m\n')
+
+// Test 3: Job injection for every CI provider
+console.log('Test 3: CI template injection')
+{
+  const goProject = { isWorkspace: false, versionFile: 'go.mod' }
+  const templates = {
+    github: readTemplate('.github/workflows/quality.yml'),
+    gitlab: readTemplate('templates/ci/gitlab-ci.yml'),
+    circleci: readTemplate('templates/ci/circleci-config.yml'),
+  }
+
+  for (const [provider, template] of Object.entries(templates)) {
+    const injected = injectGoJob(template, provider, goProject)
+    assert.ok(injected.includes(GO_JOB_MARKER), `${provider}: marker added`)
+    assert.ok(injected.includes('go vet ./...'), `${provider}: go vet step`)
+    assert.ok(injected.includes('govulncheck'), `${provider}: govulncheck`)
+    assert.strictEqual(
+      injectGoJob(injected, provider, goProject),
+      injected,
+      `${provider}: injection should be idempotent`
+    )
+
+    const parsed = yaml.load(injected)
+    if (provider === 'github') {
+      assert.ok(parsed.jobs.go, 'github: go job defined')
+      assert.ok(parsed.jobs.summary.needs.includes('go'), 'summary needs go')
+      assert.strictEqual(
+        parsed.jobs.go.steps[1].with['go-version-file'],
+        'go.mod'
+      )
+    } else if (provider === 'gitlab') {
+      assert.strictEqual(parsed.go.stage, 'test')
+      assert.strictEqual(parsed.go.script.length, 4)
+    } else {
+      assert.ok(parsed.jobs['go-quality'], 'circleci: go-quality job defined')
+      assert.deepStrictEqual(parsed.workflows.quality.jobs, [
+        'lint-test-security',
+        'go-quality',
+      ])
+    }
+  }
+
+  assert.strictEqual(
+    injectGoJob(templates.github, 'github', null),
+    templates.github
+  )
+}
+console.log('  ✅ GitHub, GitLab and CircleCI configs get one valid Go job\n')
+
+// Test 4: Dependabot gomod entry
+console.log('Test 4: Premium Dependabot gomod configuration')
+withTempDir('go-deps-', dir => {
+  const previousDeveloper = process.env.QAA_DEVELOPER
+  process.env.QAA_DEVELOPER = 'true'
+  try {
+    writeFile(dir, 'go.work', 'go 1.22\n\nuse (\n\t./api\n\t./worker\n)\n')
+    writeFile(dir, 'api/go.mod', GO_MOD)
+    writeFile(
+      dir,
+      'worker/go.mod',
+      'module example.com/worker\n\nrequire k8s.io/client-go v0.29.2\n'
+    )
+
+    const { config } = generatePremiumDependabotConfig({ projectPath: dir })
+    const gomod = config.updates.find(
+      update => update['package-ecosystem'] === 'gomod'
+    )
+    assert.ok(gomod, 'gomod ecosystem should be configured')
+    assert.deepStrictEqual(gomod.directories, ['/api', '/worker'])
+    assert.ok(gomod.groups['gin-core'])
+    assert.ok(gomod.groups['kubernetes-libraries'])
+  } finally {
+    if (previousDeveloper === undefined) {
+      delete process.env.QAA_DEVELOPER
+    } else {
+      process.env.QAA_DEVELOPER = previousDeveloper
+    }
+  }
+})
+console.log('  ✅ Workspace modules listed under directories with groups\n')
+
+// Test 5: Maturity detection counts .go sources and _test.go files
+console.log('Test 5: ProjectMaturityDetector Go counting')
+withTempDir('go-maturity-', dir => {
+  writeFile(dir, 'go.mod', GO_MOD)
+  writeFile(dir, 'main.go', 'package main\n')
+  writeFile(dir, 'internal/store/store.go', 'package store\n')
+  writeFile(dir, 'internal/store/cache.go', 'package store\n')
+  writeFile(dir, 'internal/store/store_test.go', 'package store\n')
+  writeFile(dir, 'vendor/github.com/x/y/y.go', 'package y\n')
+  writeFile(dir, 'internal/store/testdata/fixture.go', 'package fixture\n')
+
+  const detector = new ProjectMaturityDetector({ projectPath: dir })
+  const stats = detector.analyzeProject()
+
+  assert.strictEqual(stats.isGoProject, true)
+  assert.strictEqual(stats.goSourceFiles, 3, 'vendor/ and testdata/ skipped')
+  assert.strictEqual(stats.goTestFiles, 1)
+  assert.strictEqual(stats.totalSourceFiles, 3)
+  assert.strictEqual(stats.testFiles, 1)
+  assert.strictEqual(detector.detect(), 'development')
+})
+console.log('  ✅ .go sources and _test.go files counted\n')
+
+// Test 6: End-to-end setup (GitHub and GitLab)
+console.log('Test 6: setup.js in a Go module')
+for (const ciProvider of ['github', 'gitlab']) {
+  withTempDir(`go-setup-${ciProvider}-`, dir => {
+    writeFile(dir, 'go.mod', GO_MOD)
+    writeFile(dir, 'main.go', 'package main\n\nfunc main() {}\n')
+    writeFile(
+      dir,
+      'package.json',
+      JSON.stringify({ name: 'go-svc', version: '1.0.0' }, null, 2)
+    )
+    execSync('git init', { cwd: dir, stdio: 'ignore' })
+
+    const command = `node "${setupPath}" --ci ${ciProvider}`
+    const output = execSync(command, { cwd: dir, encoding: 'utf8' })
+    assert.ok(output.includes('Detected Go module'))
+    assert.ok(fs.existsSync(path.join(dir, '.golangci.yml')))
+
+    const ciFile =
+      ciProvider === 'github'
+        ? path.join(dir, '.github', 'workflows', 'quality.yml')
+        : path.join(dir, '.gitlab-ci.yml')
+    execSync(command, { cwd: dir, stdio: 'pipe' })
+    const ciContent = fs.readFileSync(ciFile, 'utf8')
+    assert.strictEqual(
+      countOccurrences(ciContent, GO_JOB_MARKER),
+      1,
+      `${ciProvider}: Go job added exactly once across reruns`
+    )
+
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(dir, 'package.json'), 'utf8')
+    )
+    assert.strictEqual(pkg.scripts['go:vet'], 'go vet ./...')
+  })
+}
+console.log('  ✅ .golangci.yml, CI job and scripts generated\n')
+
+console.log('🎉 All Go module tests passed!')
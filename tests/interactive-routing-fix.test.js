@@ -190,7 +190,9 @@ console.log('🔍 Test 4: Interactive mode execution order...')
   const interactivePos = setupContent.indexOf(
     'Handle interactive mode FIRST (before any routing)'
   )
-  const routingPos = setupContent.indexOf('Handle license status command')
+  const routingPos = setupContent.indexOf(
+    'Dispatch to the registered command handler'
+  )
 
   assert(interactivePos > 0, 'Interactive mode handling should exist in code')
   assert(routingPos > 0, 'Routing logic should exist in code')
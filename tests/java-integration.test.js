@@ -0,0 +1,263 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { execSync } = require('child_process')
+const yaml = require('js-yaml')
+
+const {
+  JVM_JOB_MARKER,
+  JVM_CONFIG_FILES,
+  detectJvmProject,
+  getJvmSteps,
+  injectJvmJob,
+  getJvmScripts,
+} = require('../lib/java-config-generator')
+const {
+  generatePremiumDependabotConfig,
+} = require('../lib/dependency-monitoring-premium')
+const {
+  writeFile,
+  withTempDir,
+  countOccurrences,
+} = require('./file-test-helpers')
+
+/**
+ * Tests for Java/Kotlin (Maven and Gradle) support in setup, CI templates
+ * and deps
+ */
+console.log('🧪 Testing Java/Kotlin support...\n')
+
+const rootDir = path.join(__dirname, '..')
+const setupPath = path.join(rootDir, 'setup.js')
+const readTemplate = relativePath =>
+  fs.readFileSync(path.join(rootDir, relativePath), 'utf8')
+
+const POM_XML = `<project>
+  <groupId>com.example</groupId>
+  <artifactId>svc</artifactId>
+  <version>1.0.0</version>
+  <dependencies>
+    <dependency>
+      <groupId>org.springframework.boot</groupId>
+      <artifactId>spring-boot-starter-web</artifactId>
+      <version>3.2.4</version>
+    </dependency>
+  </dependencies>
+</project>
+`
+
+const GRADLE_KTS = `plugins {
+    kotlin("jvm") version "1.9.23"
+}
+
+dependencies {
+    testImplementation("org.junit.jupiter:junit-jupiter:5.10.2")
+}
+`
+
+// Test 1: Detection
+console.log('Test 1: detectJvmProject')
+withTempDir('jvm-detect-', dir => {
+  assert.strictEqual(detectJvmProject(dir), null)
+
+  writeFile(dir, 'pom.xml', POM_XML)
+  const maven = detectJvmProject(dir)
+  assert.strictEqual(maven.buildTool, 'maven')
+  assert.strictEqual(maven.isKotlin, false)
+  assert.strictEqual(maven.hasWrapper, false)
+  assert.strictEqual(maven.hasSpotless, false)
+
+  writeFile(dir, 'build.gradle.kts', GRADLE_KTS)
+  writeFile(dir, 'gradlew', '#!/bin/sh\n')
+  const gradle = detectJvmProject(dir)
+  assert.strictEqual(gradle.buildTool, 'gradle', 'Gradle wins over pom.xml')
+  assert.strictEqual(gradle.isKotlin, true)
+  assert.strictEqual(gradle.hasWrapper, true)
+})
+console.log('  ✅ Maven and Gradle (Kotlin DSL) builds detected\n')
+
+// Test 2: Steps per build tool
+console.log('Test 2: JVM check steps')
+{
+  const gradle = getJvmSteps({
+    buildTool: 'gradle',
+    hasWrapper: true,
+    hasSpotless: false,
+  })
+  assert.strictEqual(gradle.length, 1)
+  assert.strictEqual(
+    gradle[0].command,
+    `./gradlew --init-script ${JVM_CONFIG_FILES.gradleInitScript} check`
+  )
+
+  const maven = getJvmSteps({
+    buildTool: 'maven',
+    hasWrapper: false,
+    hasSpotless: false,
+  })
+  assert.deepStrictEqual(
+    maven.map(step => step.name),
+    ['Build and test', 'Checkstyle', 'SpotBugs']
+  )
+  assert.ok(maven[1].command.includes(JVM_CONFIG_FILES.checkstyle))
+  assert.ok(maven[2].command.includes(JVM_CONFIG_FILES.spotbugsExclude))
+
+  const withSpotless = getJvmSteps({
+    buildTool: 'maven',
+    hasWrapper: true,
+    hasSpotless: true,
+  })
+  assert.strictEqual(withSpotless[3].command, './mvnw -B spotless:check')
+  assert.strictEqual(
+    getJvmScripts({ buildTool: 'maven', hasWrapper: true, hasSpotless: true })[
+      'java:format'
+    ],
+    './mvnw -B spotless:apply'
+  )
+  assert.ok(
+    !getJvmScripts({
+      buildTool: 'maven',
+      hasWrapper: false,
+      hasSpotless: false,
+    })['java:format'],
+    'No format script without a Spotless plugin in the pom'
+  )
+}
+console.log('  ✅ Gradle runs check via init script, Maven runs plugins\n')
+
+// Test 3: Job injection for every CI provider
+console.log('Test 3: CI template injection')
+{
+  const templates = {
+    github: readTemplate('.github/workflows/quality.yml'),
+    gitlab: readTemplate('templates/ci/gitlab-ci.yml'),
+    circleci: readTemplate('templates/ci/circleci-config.yml'),
+  }
+
+  for (const buildTool of ['gradle', 'maven']) {
+    const jvmProject = { buildTool, hasWrapper: false, hasSpotless: false }
+
+    for (const [provider, template] of Object.entries(templates)) {
+      const label = `${provider}/${buildTool}`
+      const injected = injectJvmJob(template, provider, jvmProject)
+      assert.ok(injected.includes(JVM_JOB_MARKER), `${label}: marker added`)
+      assert.strictEqual(
+        injectJvmJob(injected, provider, jvmProject),
+        injected,
+        `${label}: injection should be idempotent`
+      )
+
+      const parsed = yaml.load(injected)
+      if (provider === 'github') {
+        const steps = parsed.jobs.jvm.steps
+        assert.ok(parsed.jobs.summary.needs.includes('jvm'), label)
+        assert.strictEqual(steps[1].uses, 'actions/setup-java@v4')
+        assert.strictEqual(
+          steps.some(step => step.uses === 'gradle/actions/setup-gradle@v4'),
+          buildTool === 'gradle',
+          `${label}: setup-gradle only for Gradle builds`
+        )
+      } else if (provider === 'gitlab') {
+        assert.strictEqual(parsed.jvm.stage, 'test')
+        assert.ok(parsed.jvm.image.startsWith(buildTool), `${label}: image`)
+      } else {
+        assert.ok(parsed.jobs['jvm-quality'], `${label}: job defined`)
+        assert.ok(parsed.workflows.quality.jobs.includes('jvm-quality'))
+      }
+    }
+  }
+
+  assert.strictEqual(
+    injectJvmJob(templates.github, 'github', null),
+    templates.github
+  )
+}
+console.log('  ✅ GitHub, GitLab and CircleCI configs get one valid JVM job\n')
+
+// Test 4: Dependabot maven and gradle entries
+console.log('Test 4: Premium Dependabot maven/gradle configuration')
+withTempDir('jvm-deps-', dir => {
+  const previousDeveloper = process.env.QAA_DEVELOPER
+  process.env.QAA_DEVELOPER = 'true'
+  try {
+    writeFile(dir, 'pom.xml', POM_XML)
+    writeFile(dir, 'build.gradle.kts', GRADLE_KTS)
+
+    const { config } = generatePremiumDependabotConfig({ projectPath: dir })
+    const maven = config.updates.find(
+      update => update['package-ecosystem'] === 'maven'
+    )
+    const gradle = config.updates.find(
+      update => update['package-ecosystem'] === 'gradle'
+    )
+    assert.ok(maven, 'maven ecosystem should be configured')
+    assert.ok(maven.groups['spring-boot'])
+    assert.ok(gradle, 'gradle ecosystem should be configured')
+    assert.ok(gradle.groups['jvm-testing'])
+  } finally {
+    if (previousDeveloper === undefined) {
+      delete process.env.QAA_DEVELOPER
+    } else {
+      process.env.QAA_DEVELOPER = previousDeveloper
+    }
+  }
+})
+console.log('  ✅ maven and gradle updates generated with groups\n')
+
+// Test 5: End-to-end setup (Gradle on GitHub, Maven on GitLab)
+console.log('Test 5: setup.js in Maven and Gradle projects')
+for (const [buildTool, ciProvider] of [
+  ['gradle', 'github'],
+  ['maven', 'gitlab'],
+]) {
+  withTempDir(`jvm-setup-${buildTool}-`, dir => {
+    if (buildTool === 'gradle') {
+      writeFile(dir, 'build.gradle.kts', GRADLE_KTS)
+    } else {
+      writeFile(dir, 'pom.xml', POM_XML)
+    }
+    writeFile(
+      dir,
+      'package.json',
+      JSON.stringify({ name: 'jvm-svc', version: '1.0.0' }, null, 2)
+    )
+    execSync('git init', { cwd: dir, stdio: 'ignore' })
+
+    const command = `node "${setupPath}" --ci ${ciProvider}`
+    const output = execSync(command, { cwd: dir, encoding: 'utf8' })
+    assert.ok(
+      output.includes(
+        buildTool === 'gradle' ? 'Detected Gradle' : 'Detected Maven'
+      )
+    )
+    assert.ok(fs.existsSync(path.join(dir, JVM_CONFIG_FILES.checkstyle)))
+    assert.ok(fs.existsSync(path.join(dir, JVM_CONFIG_FILES.spotbugsExclude)))
+    assert.strictEqual(
+      fs.existsSync(path.join(dir, JVM_CONFIG_FILES.gradleInitScript)),
+      buildTool === 'gradle',
+      'Init script only for Gradle builds'
+    )
+
+    const ciFile =
+      ciProvider === 'github'
+        ? path.join(dir, '.github', 'workflows', 'quality.yml')
+        : path.join(dir, '.gitlab-ci.yml')
+    execSync(command, { cwd: dir, stdio: 'pipe' })
+    const ciContent = fs.readFileSync(ciFile, 'utf8')
+    assert.strictEqual(
+      countOccurrences(ciContent, JVM_JOB_MARKER),
+      1,
+      `${buildTool}: JVM job added exactly once across reruns`
+    )
+
+    const pkg = JSON.parse(
+      fs.readFileSync(path.join(dir, 'package.json'), 'utf8')
+    )
+    assert.ok(pkg.scripts['java:check'], 'Java helper scripts should be added')
+  })
+}
+console.log('  ✅ Tool configs, CI job and scripts generated\n')
+
+console.log('🎉 All Java/Kotlin tests passed!')
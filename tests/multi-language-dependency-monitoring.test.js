@@ -1,6 +1,6 @@
 /**
  * Tests for Multi-Language Dependency Monitoring (PREMIUM-002)
- * Python, Rust, and Ruby ecosystem support
+ * Python, Rust, Ruby, Go and Java/Kotlin ecosystem support
  */
 
 const assert = require('assert')
@@ -8,6 +8,8 @@ const {
   detectPythonFrameworks,
   detectRustFrameworks,
   detectRubyFrameworks,
+  detectGoFrameworks,
+  detectJvmFrameworks,
   detectAllEcosystems,
   generateDjangoGroups,
   generateFastAPIGroups,
@@ -18,6 +20,13 @@ const {
   generatePipGroups,
   generateCargoGroups,
   generateBundlerGroups,
+  generateGomodGroups,
+  generateJvmGroups,
+  parseGoMod,
+  parseGoWork,
+  parsePomXml,
+  parseGradleBuild,
+  parseGradleVersionCatalog,
   PYTHON_FRAMEWORK_SIGNATURES,
   RUST_FRAMEWORK_SIGNATURES,
   RUBY_FRAMEWORK_SIGNATURES,
@@ -582,6 +591,272 @@ function testPatternMatching() {
   }
 }
 
+// =============================================================================
+// GO/GOMOD TESTS
+// =============================================================================
+
+const GO_MOD_CONTENT = `module example.com/api
+
+go 1.22
+
+require github.com/gin-gonic/gin v1.9.1
+
+require (
+	github.com/gin-contrib/cors v1.5.0
+	google.golang.org/grpc v1.62.0 // pinned for protoc-gen-go
+	k8s.io/client-go v0.29.2
+	github.com/stretchr/testify v1.9.0
+	golang.org/x/net v0.22.0 // indirect
+)
+`
+
+// Test 16: go.mod parsing
+function testGoModParsing() {
+  console.log('Test 16: go.mod and go.work Parsing')
+
+  const tempDir = createTempProject({
+    'go.mod': GO_MOD_CONTENT,
+    'go.work': 'go 1.22\n\nuse (\n\t.\n\t./tools // codegen\n)\n\nuse ./cmd\n',
+  })
+
+  try {
+    const deps = parseGoMod(path.join(tempDir, 'go.mod'))
+    assert.strictEqual(deps['github.com/gin-gonic/gin'], 'v1.9.1')
+    assert.strictEqual(deps['google.golang.org/grpc'], 'v1.62.0')
+    assert.strictEqual(deps['k8s.io/client-go'], 'v0.29.2')
+    assert.ok(!deps['golang.org/x/net'], 'Indirect requirements are skipped')
+
+    assert.deepStrictEqual(parseGoWork(path.join(tempDir, 'go.work')), [
+      '.',
+      './tools',
+      './cmd',
+    ])
+
+    console.log('✅ go.mod requirements and go.work modules parsed\n')
+  } finally {
+    cleanupTempProject(tempDir)
+  }
+}
+
+// Test 17: Go framework detection and groups
+function testGoFrameworkGroups() {
+  console.log('Test 17: Go Framework Detection and Groups')
+
+  const tempDir = createTempProject({ 'go.mod': GO_MOD_CONTENT })
+
+  try {
+    const result = detectGoFrameworks(tempDir)
+
+    assert.strictEqual(result.primary, 'gin', 'Gin should be primary')
+    assert.ok(
+      result.detected.gin.packages.includes('github.com/gin-contrib/cors')
+    )
+    assert.ok(result.detected.grpc, 'Should detect gRPC')
+    assert.ok(result.detected.kubernetes, 'Should detect k8s client libraries')
+    assert.ok(result.detected.testing, 'Should detect testify')
+    assert.deepStrictEqual(result.modules, ['.'])
+
+    const groups = generateGomodGroups(result)
+    assert.ok(groups['gin-core'], 'Should create gin-core group')
+    assert.ok(groups['grpc-ecosystem'], 'Should create grpc-ecosystem group')
+    assert.ok(
+      groups['kubernetes-libraries'].patterns.includes('k8s.io/*'),
+      'k8s.io modules should move together'
+    )
+    assert.ok(groups['go-testing'], 'Should create go-testing group')
+    assert.ok(!groups['echo-ecosystem'], 'Echo is not used')
+
+    const ecosystems = detectAllEcosystems(tempDir)
+    assert.ok(ecosystems.gomod, 'detectAllEcosystems should include gomod')
+
+    console.log('✅ Go frameworks detected and grouped\n')
+  } finally {
+    cleanupTempProject(tempDir)
+  }
+}
+
+// Test 18: go.work workspace modules
+function testGoWorkspaceModules() {
+  console.log('Test 18: Go Workspace Module Discovery')
+
+  const tempDir = createTempProject({
+    'go.work':
+      'go 1.22\n\nuse (\n\t./services/api\n\t./services/worker\n\t./missing\n)\n',
+    'services/api/go.mod':
+      'module example.com/api\n\nrequire github.com/labstack/echo/v4 v4.11.4\n',
+    'services/worker/go.mod':
+      'module example.com/worker\n\nrequire sigs.k8s.io/controller-runtime v0.17.2\n',
+  })
+
+  try {
+    const result = detectGoFrameworks(tempDir)
+
+    assert.deepStrictEqual(result.modules, ['services/api', 'services/worker'])
+    assert.ok(result.detected.echo, 'Should detect Echo v4 in a member module')
+    assert.ok(
+      result.detected.kubernetes,
+      'Should detect controller-runtime in a member module'
+    )
+
+    console.log('✅ Workspace modules discovered, missing ones skipped\n')
+  } finally {
+    cleanupTempProject(tempDir)
+  }
+}
+
+// =============================================================================
+// JAVA/KOTLIN (MAVEN + GRADLE) TESTS
+// =============================================================================
+
+const POM_XML_CONTENT = `<project>
+  <parent>
+    <groupId>org.springframework.boot</groupId>
+    <artifactId>spring-boot-starter-parent</artifactId>
+    <version>3.2.4</version>
+  </parent>
+  <dependencies>
+    <dependency>
+      <groupId>org.springframework.boot</groupId>
+      <artifactId>spring-boot-starter-web</artifactId>
+    </dependency>
+    <dependency>
+      <groupId>com.fasterxml.jackson.datatype</groupId>
+      <artifactId>jackson-datatype-jsr310</artifactId>
+    </dependency>
+    <dependency>
+      <groupId>org.junit.jupiter</groupId>
+      <artifactId>junit-jupiter</artifactId>
+      <version>5.10.2</version>
+      <scope>test</scope>
+    </dependency>
+  </dependencies>
+  <build>
+    <plugins>
+      <plugin>
+        <artifactId>maven-surefire-plugin</artifactId>
+        <version>3.2.5</version>
+      </plugin>
+    </plugins>
+  </build>
+</project>
+`
+
+// Test 19: pom.xml and Gradle build parsing
+function testJvmBuildParsing() {
+  console.log('Test 19: Maven and Gradle Build Parsing')
+
+  const tempDir = createTempProject({
+    'pom.xml': POM_XML_CONTENT,
+    'build.gradle.kts': `plugins {
+    id("org.springframework.boot") version "3.2.4"
+    kotlin("jvm") version "1.9.23"
+}
+
+dependencies {
+    implementation("com.fasterxml.jackson.module:jackson-module-kotlin:2.17.0")
+    testImplementation(libs.mockito.core)
+}
+`,
+    'gradle/libs.versions.toml': `[versions]
+mockito = "5.11.0"
+
+[libraries]
+mockito-core = { module = "org.mockito:mockito-core", version.ref = "mockito" }
+assertj = "org.assertj:assertj-core:3.25.3"
+
+[plugins]
+spotless = { id = "com.diffplug.spotless", version = "6.25.0" }
+`,
+  })
+
+  try {
+    const pom = parsePomXml(path.join(tempDir, 'pom.xml'))
+    assert.strictEqual(
+      pom['org.springframework.boot:spring-boot-starter-parent'],
+      '3.2.4'
+    )
+    assert.strictEqual(
+      pom['org.springframework.boot:spring-boot-starter-web'],
+      '*',
+      'Versions managed by the parent are recorded as *'
+    )
+    assert.strictEqual(
+      pom['org.apache.maven.plugins:maven-surefire-plugin'],
+      '3.2.5',
+      'Plugins default to the org.apache.maven.plugins group'
+    )
+
+    const gradle = parseGradleBuild(path.join(tempDir, 'build.gradle.kts'))
+    assert.strictEqual(
+      gradle['com.fasterxml.jackson.module:jackson-module-kotlin'],
+      '2.17.0'
+    )
+    assert.strictEqual(
+      gradle['org.springframework.boot:org.springframework.boot.gradle.plugin'],
+      '3.2.4'
+    )
+
+    const catalog = parseGradleVersionCatalog(
+      path.join(tempDir, 'gradle', 'libs.versions.toml')
+    )
+    assert.strictEqual(catalog['org.mockito:mockito-core'], '*')
+    assert.strictEqual(catalog['org.assertj:assertj-core'], '3.25.3')
+    assert.ok(
+      !catalog['com.diffplug.spotless:com.diffplug.spotless'],
+      'Only the [libraries] table is read'
+    )
+
+    console.log('✅ pom.xml, build.gradle.kts and version catalog parsed\n')
+  } finally {
+    cleanupTempProject(tempDir)
+  }
+}
+
+// Test 20: JVM framework detection and groups
+function testJvmFrameworkGroups() {
+  console.log('Test 20: JVM Framework Detection and Groups')
+
+  const mavenDir = createTempProject({ 'pom.xml': POM_XML_CONTENT })
+  const gradleDir = createTempProject({
+    'settings.gradle': "include 'app'\n",
+    'app/build.gradle':
+      "dependencies {\n  testImplementation 'org.mockito:mockito-core:5.11.0'\n}\n",
+  })
+
+  try {
+    const maven = detectJvmFrameworks(mavenDir, 'maven')
+    assert.strictEqual(maven.primary, 'springBoot')
+    assert.ok(maven.detected.jackson, 'Should detect Jackson modules')
+    assert.ok(maven.detected.testing, 'Should detect JUnit')
+
+    const mavenGroups = generateJvmGroups(maven)
+    assert.ok(mavenGroups['spring-boot'], 'Should create spring-boot group')
+    assert.ok(mavenGroups.jackson, 'Should create jackson group')
+    assert.ok(mavenGroups['jvm-testing'], 'Should create jvm-testing group')
+
+    const gradle = detectJvmFrameworks(gradleDir, 'gradle')
+    assert.strictEqual(gradle.primary, null)
+    assert.ok(
+      gradle.detected.testing,
+      'Subproject build files should be scanned'
+    )
+    assert.deepStrictEqual(Object.keys(generateJvmGroups(gradle)), [
+      'jvm-testing',
+    ])
+
+    assert.ok(detectAllEcosystems(mavenDir).maven, 'maven ecosystem detected')
+    assert.ok(
+      detectAllEcosystems(gradleDir).gradle,
+      'gradle ecosystem detected'
+    )
+
+    console.log('✅ JVM frameworks detected and grouped\n')
+  } finally {
+    cleanupTempProject(mavenDir)
+    cleanupTempProject(gradleDir)
+  }
+}
+
 // Run all tests
 function runAllTests() {
   try {
@@ -599,6 +874,15 @@ function runAllTests() {
     testRubyRailsDetection()
     testRubyDependencyGroups()
 
+    // Go tests
+    testGoModParsing()
+    testGoFrameworkGroups()
+    testGoWorkspaceModules()
+
+    // Java/Kotlin tests
+    testJvmBuildParsing()
+    testJvmFrameworkGroups()
+
     // Multi-language tests
     testPolyglotProjectDetection()
     testPythonJavaScriptMix()
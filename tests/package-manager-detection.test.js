@@ -4,11 +4,22 @@ const assert = require('assert')
 const fs = require('fs')
 const path = require('path')
 const os = require('os')
+const yaml = require('js-yaml')
 const {
   detectPackageManager,
   getInstallCommand,
   getAuditCommand,
+  getPackageManagerInfo,
+  getPackageManagerCommands,
+  renderPackageManagerCommand,
+  renderCiTemplate,
 } = require('../lib/package-utils')
+const { getDefaultScripts } = require('../config/defaults')
+const { getPrePushHook, PRE_PUSH_HOOK } = require('../lib/husky-hooks')
+const {
+  generateSmartPrePushHook,
+  getTestTierScripts,
+} = require('../lib/smart-strategy-generator')
 
 console.log('🧪 Testing Package Manager Detection...\n')
 
@@ -255,6 +266,208 @@ function testUnknownPackageManager() {
   console.log('✅ Test 10 passed: Unknown package manager defaults to npm')
 }
 
+/**
+ * Test 11: Yarn Berry, Plug'n'Play and text bun.lock detection
+ */
+function testPackageManagerInfo() {
+  const tempDir = createTempDir()
+  try {
+    fs.writeFileSync(path.join(tempDir, 'yarn.lock'), '')
+    assert.deepStrictEqual(getPackageManagerInfo(tempDir), {
+      name: 'yarn',
+      yarnBerry: false,
+      pnp: false,
+      lockfile: 'yarn.lock',
+    })
+
+    // .yarnrc.yml without nodeLinker means Plug'n'Play
+    fs.writeFileSync(path.join(tempDir, '.yarnrc.yml'), 'enableTelemetry: 0\n')
+    let info = getPackageManagerInfo(tempDir)
+    assert.strictEqual(info.yarnBerry, true)
+    assert.strictEqual(info.pnp, true)
+
+    fs.writeFileSync(
+      path.join(tempDir, '.yarnrc.yml'),
+      'nodeLinker: node-modules\n'
+    )
+    info = getPackageManagerInfo(tempDir)
+    assert.strictEqual(info.yarnBerry, true)
+    assert.strictEqual(info.pnp, false)
+
+    // packageManager field alone marks Berry
+    fs.rmSync(path.join(tempDir, '.yarnrc.yml'))
+    fs.writeFileSync(
+      path.join(tempDir, 'package.json'),
+      JSON.stringify({ name: 'test', packageManager: 'yarn@4.1.0' })
+    )
+    assert.strictEqual(getPackageManagerInfo(tempDir).yarnBerry, true)
+  } finally {
+    cleanup(tempDir)
+  }
+
+  const bunDir = createTempDir()
+  try {
+    fs.writeFileSync(path.join(bunDir, 'bun.lock'), '{}')
+    assert.strictEqual(detectPackageManager(bunDir), 'bun')
+    assert.strictEqual(getPackageManagerInfo(bunDir).lockfile, 'bun.lock')
+  } finally {
+    cleanup(bunDir)
+  }
+
+  console.log("✅ Test 11 passed: Detects Yarn Berry, Plug'n'Play and bun.lock")
+}
+
+/**
+ * Test 12: npm commands are rewritten for each package manager
+ */
+function testRenderPackageManagerCommand() {
+  const berry = { name: 'yarn', yarnBerry: true, pnp: true }
+  const command =
+    'npm run lint && npm test && npx --no -- tsc --noEmit && npx create-qa-architect@latest --validate-docs'
+
+  assert.strictEqual(renderPackageManagerCommand(command, 'npm'), command)
+  assert.strictEqual(
+    renderPackageManagerCommand(command, 'pnpm'),
+    'pnpm run lint && pnpm test && pnpm exec tsc --noEmit && pnpm dlx create-qa-architect@latest --validate-docs'
+  )
+  assert.strictEqual(
+    renderPackageManagerCommand(command, berry),
+    'yarn run lint && yarn test && yarn tsc --noEmit && yarn dlx create-qa-architect@latest --validate-docs'
+  )
+  assert.strictEqual(
+    renderPackageManagerCommand(command, 'bun'),
+    'bun run lint && bun run test && bunx tsc --noEmit && bunx create-qa-architect@latest --validate-docs'
+  )
+
+  // Yarn has no --if-present
+  assert.strictEqual(
+    renderPackageManagerCommand('npm run test:fast --if-present', 'pnpm'),
+    'pnpm run --if-present test:fast'
+  )
+  const yarnIfPresent = renderPackageManagerCommand(
+    'npm run test:fast --if-present',
+    'yarn'
+  )
+  assert(!yarnIfPresent.includes('--if-present'))
+  assert(yarnIfPresent.includes('yarn run test:fast'))
+
+  assert.strictEqual(
+    getPackageManagerCommands(berry).audit,
+    'yarn npm audit --all --recursive --severity high'
+  )
+  assert.strictEqual(
+    getPackageManagerCommands('yarn').audit,
+    'yarn audit --level high'
+  )
+
+  console.log(
+    '✅ Test 12 passed: renderPackageManagerCommand rewrites npm commands'
+  )
+}
+
+/**
+ * Test 13: CI templates get the install, cache key and cache paths of the
+ * package manager and stay valid YAML
+ */
+function testRenderCiTemplate() {
+  const templatesDir = path.join(__dirname, '..', 'templates', 'ci')
+  const gitlab = fs.readFileSync(
+    path.join(templatesDir, 'gitlab-ci.yml'),
+    'utf8'
+  )
+  const circleci = fs.readFileSync(
+    path.join(templatesDir, 'circleci-config.yml'),
+    'utf8'
+  )
+
+  assert.strictEqual(renderCiTemplate(gitlab, 'npm'), gitlab)
+
+  const pnpmGitlab = yaml.load(renderCiTemplate(gitlab, 'pnpm'))
+  assert.deepStrictEqual(pnpmGitlab.default.cache.key.files, ['pnpm-lock.yaml'])
+  assert.deepStrictEqual(pnpmGitlab.default.cache.paths, ['.pnpm-store/'])
+  assert.deepStrictEqual(pnpmGitlab.default.before_script, ['corepack enable'])
+  assert.deepStrictEqual(pnpmGitlab.install.script, [
+    'pnpm install --frozen-lockfile --store-dir .pnpm-store',
+  ])
+  assert(pnpmGitlab.security.script[0].startsWith('pnpm run security:audit'))
+
+  // Plug'n'Play installs hand on .pnp.cjs instead of node_modules
+  const pnpGitlab = yaml.load(
+    renderCiTemplate(gitlab, {
+      name: 'yarn',
+      yarnBerry: true,
+      pnp: true,
+      lockfile: 'yarn.lock',
+    })
+  )
+  assert(pnpGitlab.install.artifacts.paths.includes('.pnp.cjs'))
+  assert(!pnpGitlab.install.artifacts.paths.includes('node_modules/'))
+  assert(pnpGitlab.install.script[0].includes('yarn install --immutable'))
+
+  const bunCircle = renderCiTemplate(circleci, {
+    name: 'bun',
+    lockfile: 'bun.lock',
+  })
+  const steps = yaml.load(bunCircle).jobs['lint-test-security'].steps
+  const install = steps.find(
+    step => step.run && step.run.name === 'Install Dependencies'
+  )
+  assert.strictEqual(
+    install.run.command,
+    'sudo npm install -g bun && BUN_INSTALL_CACHE_DIR=.bun-cache bun install --frozen-lockfile'
+  )
+  assert(bunCircle.includes('{{ checksum "bun.lock" }}'))
+  assert(!bunCircle.includes('npm ci'))
+
+  console.log(
+    '✅ Test 13 passed: CI templates are rendered for the package manager'
+  )
+}
+
+/**
+ * Test 14: Default scripts and hooks are rendered for the package manager
+ */
+function testGeneratedScriptsAndHooks() {
+  assert.deepStrictEqual(getDefaultScripts(), getDefaultScripts({}))
+
+  const pnpmScripts = getDefaultScripts({ packageManager: 'pnpm' })
+  assert.strictEqual(
+    pnpmScripts['security:audit'],
+    'pnpm audit --audit-level high'
+  )
+  assert.strictEqual(
+    pnpmScripts['validate:all'],
+    'pnpm run validate:comprehensive && pnpm run security:audit'
+  )
+  assert.strictEqual(
+    pnpmScripts['security:config'],
+    'pnpm dlx create-qa-architect@latest --security-config'
+  )
+  Object.values(pnpmScripts).forEach(script => {
+    assert(!/\bnpm (run|test)|\bnpx /.test(script), script)
+  })
+
+  assert.strictEqual(getPrePushHook('npm'), PRE_PUSH_HOOK)
+  const bunHook = getPrePushHook('bun')
+  assert(bunHook.includes('$FLAKY bun run test:changed'))
+  assert(!/\bnpm run|\bnpx /.test(bunHook))
+
+  const berry = { name: 'yarn', yarnBerry: true, pnp: true }
+  const smartHook = generateSmartPrePushHook(berry)
+  assert(smartHook.includes('yarn npm audit --all --recursive --severity high'))
+  assert(smartHook.includes("Run 'yarn up' to resolve"))
+  assert(!/(?<!yarn )\bnpm (run|audit)|\bnpx /.test(smartHook))
+  assert(
+    getTestTierScripts('pnpm')['test:comprehensive'].includes(
+      'pnpm run security:audit'
+    )
+  )
+
+  console.log(
+    '✅ Test 14 passed: Scripts and hooks are rendered for the package manager'
+  )
+}
+
 // Run all tests
 try {
   testPnpmDetection()
@@ -267,6 +480,10 @@ try {
   testGetInstallCommand()
   testGetAuditCommand()
   testUnknownPackageManager()
+  testPackageManagerInfo()
+  testRenderPackageManagerCommand()
+  testRenderCiTemplate()
+  testGeneratedScriptsAndHooks()
 
   console.log('\n🎉 All package manager detection tests passed!')
   process.exit(0)
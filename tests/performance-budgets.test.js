@@ -0,0 +1,281 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  BUDGETS_BASELINE_FILE,
+  SIZE_REPORT_FILE,
+  loadBudgets,
+  normalizeBudgets,
+  parseSizeLimit,
+  generateBudgetScripts,
+  collectBudgetMeasurements,
+  evaluateBudgets,
+  writeBudgetsBaseline,
+} = require('../lib/performance-budgets')
+const {
+  generateLighthouseConfig,
+  generateSizeLimitConfig,
+} = require('../lib/quality-tools-generator')
+const { validateQualityConfig } = require('../lib/config-validator')
+const { writeFile, withTempDir } = require('./file-test-helpers')
+
+/**
+ * Tests for the performance budgets subsystem (.qualityrc.json budgets,
+ * generated Lighthouse/size-limit configs and the budgets command)
+ */
+console.log('🧪 Testing performance budgets...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+
+const RAW_BUDGETS = {
+  lighthouse: {
+    baseUrl: 'http://localhost:4173',
+    routes: [
+      { path: '/', scores: { performance: 85, accessibility: 95 } },
+      {
+        path: '/pricing',
+        metrics: { 'largest-contentful-paint': 2500 },
+      },
+    ],
+  },
+  bundles: [{ name: 'app', path: 'dist/assets/*.js', limit: '180 kB' }],
+  durations: { build: { maxSeconds: 60 } },
+  tolerance: 10,
+}
+
+// eslint-disable-next-line security/detect-non-literal-regexp -- Safe: patterns generated by the code under test
+const matchesUrl = (pattern, url) => new RegExp(pattern).test(url)
+
+const lhr = (url, performance, lcp) => ({
+  requestedUrl: url,
+  categories: { performance: { score: performance } },
+  audits: { 'largest-contentful-paint': { numericValue: lcp } },
+})
+
+// Test 1: Schema accepts budgets and rejects malformed ones
+console.log('Test 1: budgets schema')
+withTempDir('budgets-', dir => {
+  const configPath = path.join(dir, '.qualityrc.json')
+  writeFile(dir, '.qualityrc.json', { version: '1.0.0', budgets: RAW_BUDGETS })
+  const valid = validateQualityConfig(configPath)
+  assert.ok(valid.valid, valid.errors.join('\n'))
+
+  writeFile(dir, '.qualityrc.json', {
+    version: '1.0.0',
+    budgets: { bundles: [{ path: 'dist/*.js', limit: 'huge' }] },
+  })
+  assert.strictEqual(validateQualityConfig(configPath).valid, false)
+})
+console.log('  ✅ Valid budgets pass, invalid limits are rejected\n')
+
+// Test 2: Loading and normalizing
+console.log('Test 2: loadBudgets / normalizeBudgets')
+withTempDir('budgets-', dir => {
+  assert.strictEqual(loadBudgets(dir), null)
+  writeFile(dir, '.qualityrc.json', { version: '1.0.0', budgets: RAW_BUDGETS })
+
+  const budgets = loadBudgets(dir)
+  assert.strictEqual(budgets.tolerance, 10)
+  assert.strictEqual(budgets.durations.build.command, 'npm run build')
+  assert.deepStrictEqual(budgets.lighthouse.routes[1].scores, {})
+
+  assert.strictEqual(normalizeBudgets({}).tolerance, 5)
+  assert.strictEqual(parseSizeLimit('180 kB'), 180000)
+  assert.strictEqual(parseSizeLimit('1.5 MB'), 1500000)
+  assert.strictEqual(parseSizeLimit('2 KiB'), 2048)
+  assert.strictEqual(parseSizeLimit('lots'), null)
+})
+console.log('  ✅ Defaults filled in, sizes parsed\n')
+
+// Test 3: Generated configs come from the budgets
+console.log('Test 3: Lighthouse, size-limit and script generation')
+{
+  const budgets = normalizeBudgets(RAW_BUDGETS)
+
+  const lighthouse = generateLighthouseConfig({ hasThresholds: true, budgets })
+  assert.ok(lighthouse.startsWith('// Generated from the budgets section'))
+  // The generated module body is the JSON-serialized lhci config
+  const { ci } = JSON.parse(lighthouse.slice(lighthouse.indexOf('{')))
+  assert.deepStrictEqual(ci.collect.url, [
+    'http://localhost:4173/',
+    'http://localhost:4173/pricing',
+  ])
+  const [home, pricing] = ci.assert.assertMatrix
+  assert.deepStrictEqual(home.assertions['categories:performance'], [
+    'error',
+    { minScore: 0.85 },
+  ])
+  assert.ok(matchesUrl(home.matchingUrlPattern, 'http://localhost/'))
+  assert.ok(!matchesUrl(home.matchingUrlPattern, 'http://x/pricing'))
+  assert.ok(matchesUrl(pricing.matchingUrlPattern, 'https://x/pricing/'))
+  assert.deepStrictEqual(pricing.assertions['largest-contentful-paint'], [
+    'error',
+    { maxNumericValue: 2500 },
+  ])
+
+  const freeTier = generateLighthouseConfig({ budgets })
+  assert.ok(freeTier.includes('"warn"'), 'Free tier budgets only warn')
+
+  assert.deepStrictEqual(generateSizeLimitConfig({ budgets }), [
+    { name: 'app', path: 'dist/assets/*.js', limit: '180 kB' },
+  ])
+  const withoutBudgets = generateLighthouseConfig({})
+  assert.ok(
+    !withoutBudgets.startsWith('// Generated from the budgets section') &&
+      withoutBudgets.includes("'categories:accessibility': ['warn'"),
+    'Without budgets the basic config is unchanged'
+  )
+
+  assert.deepStrictEqual(Object.keys(generateBudgetScripts(budgets)), [
+    'budget:build',
+    'budget:size',
+    'budget:check',
+  ])
+}
+console.log('  ✅ lighthouserc.js assertMatrix, size-limit entries, scripts\n')
+
+// Test 4: Reading lhci/size-limit output and comparing with the baseline
+console.log('Test 4: Measurements and baseline comparison')
+withTempDir('budgets-', dir => {
+  const budgets = normalizeBudgets(RAW_BUDGETS)
+  writeFile(
+    dir,
+    '.lighthouseci/lhr-1.json',
+    lhr('http://localhost:4173/', 0.9, 1800)
+  )
+  writeFile(
+    dir,
+    '.lighthouseci/lhr-2.json',
+    lhr('http://localhost:4173/', 0.8, 1900)
+  )
+  writeFile(
+    dir,
+    '.lighthouseci/lhr-3.json',
+    lhr('http://localhost:4173/', 0.94, 1700)
+  )
+  writeFile(
+    dir,
+    '.lighthouseci/lhr-4.json',
+    lhr('http://localhost:4173/pricing', 0.7, 2600)
+  )
+  writeFile(dir, SIZE_REPORT_FILE, [{ name: 'app', size: 150000 }])
+
+  const { measurements, missing } = collectBudgetMeasurements(dir, budgets)
+  assert.deepStrictEqual(missing, [
+    'Durations (run budgets --measure build|test)',
+  ])
+  const byId = Object.fromEntries(measurements.map(m => [m.id, m]))
+  assert.strictEqual(
+    byId['lighthouse:/:performance'].value,
+    90,
+    'Median of the three runs'
+  )
+  assert.strictEqual(byId['size:app'].budget, 180000)
+
+  const firstRun = evaluateBudgets(measurements, null, budgets.tolerance)
+  const lcp = firstRun.find(
+    r => r.id === 'lighthouse:/pricing:largest-contentful-paint'
+  )
+  assert.strictEqual(lcp.overBudget, true, '2600ms exceeds the 2500ms budget')
+  assert.ok(
+    firstRun.every(r => !r.regressed),
+    'No baseline, no regressions'
+  )
+
+  writeBudgetsBaseline(dir, measurements)
+  const baseline = JSON.parse(
+    fs.readFileSync(path.join(dir, BUDGETS_BASELINE_FILE), 'utf8')
+  )
+  writeFile(dir, SIZE_REPORT_FILE, [{ name: 'app', size: 170000 }])
+  const grown = collectBudgetMeasurements(dir, budgets).measurements
+  const size = evaluateBudgets(grown, baseline, budgets.tolerance).find(
+    r => r.id === 'size:app'
+  )
+  assert.strictEqual(size.overBudget, false)
+  assert.strictEqual(size.regressed, true, '+13% exceeds the 10% tolerance')
+})
+console.log('  ✅ Medians, budget misses and baseline regressions\n')
+
+// Test 5: budgets command (and the legacy --check-budgets flag)
+console.log('Test 5: budgets command')
+withTempDir('budgets-', dir => {
+  const run = (...args) =>
+    spawnSync('node', [setupPath, ...args], { cwd: dir, encoding: 'utf8' })
+
+  writeFile(dir, '.qualityrc.json', { version: '1.0.0' })
+  assert.strictEqual(run('--check-budgets').status, 1, 'No budgets section')
+
+  writeFile(
+    dir,
+    'package.json',
+    JSON.stringify({
+      name: 'b',
+      version: '1.0.0',
+      scripts: { build: 'node -e ""' },
+    })
+  )
+  writeFile(dir, '.qualityrc.json', {
+    version: '1.0.0',
+    budgets: {
+      bundles: [{ name: 'app', path: 'dist/*.js', limit: '10 kB' }],
+      durations: { build: { maxSeconds: 120 } },
+    },
+  })
+  writeFile(dir, SIZE_REPORT_FILE, [{ name: 'app', size: 9000 }])
+
+  const measured = run('budgets', '--measure', 'build')
+  assert.strictEqual(measured.status, 0, measured.stderr)
+  assert.ok(fs.existsSync(path.join(dir, '.qa-architect', 'timings.json')))
+
+  const check = run('budgets')
+  assert.strictEqual(check.status, 0, check.stderr)
+  assert.ok(check.stdout.includes('No baseline yet'))
+
+  assert.strictEqual(run('budgets', '--update-baseline').status, 0)
+  writeFile(dir, SIZE_REPORT_FILE, [{ name: 'app', size: 11000 }])
+  const regressed = run('budgets')
+  assert.strictEqual(regressed.status, 1)
+  assert.ok(regressed.stdout.includes('❌ Bundle app'))
+})
+console.log('  ✅ Measures durations, checks budgets, fails on regressions\n')
+
+// Test 6: lhci loads .lighthouserc.js before lighthouserc.js
+console.log('Test 6: setup leaves the budgets config to lhci')
+withTempDir('budgets-', dir => {
+  const run = () =>
+    spawnSync('node', [setupPath], {
+      cwd: dir,
+      encoding: 'utf8',
+      env: { ...process.env, QAA_DEVELOPER: 'true' },
+      timeout: 120000,
+    })
+  spawnSync('git', ['init', '-q'], { cwd: dir })
+  writeFile(dir, 'package.json', { name: 'site', version: '1.0.0' })
+
+  // Set up without budgets: the static .lighthouserc.js is copied
+  assert.strictEqual(run().status, 0)
+  assert.ok(fs.existsSync(path.join(dir, '.lighthouserc.js')))
+
+  // Budgets added later: the untouched configs are replaced and the static
+  // one removed
+  writeFile(dir, '.qualityrc.json', { version: '1.0', budgets: RAW_BUDGETS })
+  const rerun = run()
+  assert.strictEqual(rerun.status, 0, rerun.stderr)
+  assert.strictEqual(fs.existsSync(path.join(dir, '.lighthouserc.js')), false)
+  assert.ok(
+    fs
+      .readFileSync(path.join(dir, 'lighthouserc.js'), 'utf8')
+      .includes('/pricing')
+  )
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(dir, '.qa-architect', 'manifest.json'), 'utf8')
+  )
+  assert.strictEqual(manifest.files['.lighthouserc.js'], undefined)
+})
+console.log('  ✅ No .lighthouserc.js shadows the budgets config\n')
+
+console.log('🎉 All performance budget tests passed!')
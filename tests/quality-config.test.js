@@ -0,0 +1,244 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  loadQualityConfig,
+  resolveQualityConfigFile,
+} = require('../lib/quality-config')
+const { validateQualityConfig } = require('../lib/config-validator')
+const { loadBudgets } = require('../lib/performance-budgets')
+const { loadSecurityConfig } = require('../lib/validation/suppressions')
+const { writeSmartStrategy } = require('../lib/smart-strategy-generator')
+
+/**
+ * Tests for .qualityrc.json `extends` presets and print-config
+ */
+console.log('🧪 Testing config presets...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quality-config-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const writeFiles = (dir, files) => {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(
+      path.join(dir, file),
+      typeof content === 'string' ? content : JSON.stringify(content)
+    )
+  })
+}
+
+// Org preset published as @acme/qa-preset, extended by a team preset
+const presetFiles = {
+  'node_modules/@acme/qa-preset/package.json': {
+    name: '@acme/qa-preset',
+    version: '1.0.0',
+    main: 'preset.json',
+  },
+  'node_modules/@acme/qa-preset/preset.json': {
+    version: '1.0.0',
+    maturity: 'production-ready',
+    checks: {
+      eslint: { enabled: true, required: true },
+      coverage: { enabled: true, required: true, threshold: 90 },
+    },
+    security: { rules: { 'hardcoded-secret': 'error' } },
+    budgets: { durations: { test: { maxSeconds: 300 } } },
+  },
+  'qa/team.json': {
+    extends: '@acme/qa-preset',
+    checks: { coverage: { threshold: 80 } },
+    security: { rules: { 'weak-crypto': 'off' } },
+  },
+}
+
+;(async () => {
+  console.log('Test 1: Presets are deep-merged with the project winning')
+  await withTempDir(async dir => {
+    writeFiles(dir, {
+      ...presetFiles,
+      'qa/strict.js':
+        "module.exports = { checks: { coverage: { threshold: 95 } }, plugins: ['a', 'b'] }\n",
+      '.qualityrc.json': {
+        extends: ['./qa/strict.js', './qa/team.json'],
+        maturity: 'auto',
+        plugins: ['c'],
+      },
+    })
+
+    const { config, sources, layers } = loadQualityConfig(dir)
+    assert.deepStrictEqual(
+      layers.map(layer => layer.label),
+      ['qa/strict.js', '@acme/qa-preset', 'qa/team.json', '.qualityrc.json']
+    )
+    assert.strictEqual(config.extends, undefined)
+    assert.strictEqual(config.version, '1.0.0')
+    assert.strictEqual(config.maturity, 'auto')
+    // Later presets override earlier ones, key by key
+    assert.deepStrictEqual(config.checks.coverage, {
+      enabled: true,
+      required: true,
+      threshold: 80,
+    })
+    // Arrays replace
+    assert.deepStrictEqual(config.plugins, ['c'])
+    assert.deepStrictEqual(config.security.rules, {
+      'hardcoded-secret': 'error',
+      'weak-crypto': 'off',
+    })
+
+    assert.strictEqual(sources.version, '@acme/qa-preset')
+    assert.strictEqual(sources.maturity, '.qualityrc.json')
+    assert.strictEqual(sources['checks.coverage.threshold'], 'qa/team.json')
+    assert.strictEqual(sources['checks.coverage.enabled'], '@acme/qa-preset')
+    assert.strictEqual(sources.plugins, '.qualityrc.json')
+  })
+  console.log('  ✅ Precedence, array replacement and value sources\n')
+
+  console.log('Test 2: Broken extends are reported')
+  await withTempDir(async dir => {
+    writeFiles(dir, {
+      'a.json': { extends: './b.json' },
+      'b.json': { extends: './a.json' },
+      'missing.json': { extends: '@acme/not-installed/strict.json' },
+      'invalid.json': { extends: [42] },
+    })
+    const resolve = file => () => resolveQualityConfigFile(path.join(dir, file))
+
+    assert.throws(
+      resolve('a.json'),
+      /Circular "extends": a\.json -> b\.json -> a\.json/
+    )
+    assert.throws(
+      resolve('missing.json'),
+      /Preset "@acme\/not-installed\/strict\.json" not found\. Install it \(npm install --save-dev @acme\/not-installed\)/
+    )
+    assert.throws(resolve('invalid.json'), /must be a preset name or path/)
+
+    // Projects without a config resolve to an empty one
+    assert.deepStrictEqual(loadQualityConfig(dir), {
+      config: {},
+      sources: {},
+      layers: [],
+    })
+  })
+  console.log('  ✅ Cycles, missing packages and bad entries rejected\n')
+
+  console.log('Test 3: Config readers and validate --config see presets')
+  await withTempDir(async dir => {
+    writeFiles(dir, {
+      ...presetFiles,
+      '.qualityrc.json': { extends: './qa/team.json' },
+    })
+
+    assert.strictEqual(loadBudgets(dir).durations.test.maxSeconds, 300)
+    assert.deepStrictEqual(loadSecurityConfig(dir).rules, {
+      'hardcoded-secret': 'error',
+      'weak-crypto': 'off',
+    })
+
+    // version comes from the preset
+    const result = validateQualityConfig(path.join(dir, '.qualityrc.json'))
+    assert.strictEqual(result.valid, true, result.errors.join('\n'))
+    assert.strictEqual(result.config.maturity, 'production-ready')
+
+    writeFiles(dir, {
+      '.qualityrc.json': { extends: './qa/team.json', maturity: 'expert' },
+    })
+    const invalid = validateQualityConfig(path.join(dir, '.qualityrc.json'))
+    assert.strictEqual(invalid.valid, false)
+    assert.match(invalid.errors.join('\n'), /\/maturity: must be one of/)
+
+    writeFiles(dir, { '.qualityrc.json': { extends: './qa/none.json' } })
+    assert.match(
+      validateQualityConfig(path.join(dir, '.qualityrc.json')).errors[0],
+      /Failed to resolve extends: Preset "\.\/qa\/none\.json" not found/
+    )
+  })
+  console.log('  ✅ Budgets, security rules and schema validation merged\n')
+
+  console.log('Test 4: Hook helpers resolve presets from scripts/')
+  await withTempDir(async dir => {
+    writeFiles(dir, {
+      ...presetFiles,
+      'node_modules/@acme/qa-preset/preset.json': {
+        version: '1.0.0',
+        smartStrategy: { thresholds: { comprehensive: 12 } },
+      },
+      '.qualityrc.json': { extends: '@acme/qa-preset' },
+    })
+    writeSmartStrategy(dir, '#!/bin/bash\n')
+    assert.ok(fs.existsSync(path.join(dir, 'scripts', 'quality-config.js')))
+
+    const result = spawnSync(
+      'node',
+      [
+        '-e',
+        "console.log(require('./scripts/smart-risk').loadSmartStrategyConfig('.').thresholds.comprehensive)",
+      ],
+      { cwd: dir, encoding: 'utf8' }
+    )
+    assert.strictEqual(result.stdout.trim(), '12', result.stderr)
+  })
+  console.log('  ✅ scripts/quality-config.js copied with the risk engine\n')
+
+  console.log('Test 5: print-config command')
+  await withTempDir(async dir => {
+    writeFiles(dir, {
+      ...presetFiles,
+      '.qualityrc.json': { extends: './qa/team.json', maturity: 'auto' },
+    })
+    const run = (...args) =>
+      spawnSync('node', [setupPath, ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+
+    const text = run('--print-config')
+    assert.strictEqual(text.status, 0, text.stderr)
+    assert.match(
+      text.stdout,
+      /1\. @acme\/qa-preset \(node_modules\/@acme\/qa-preset\/preset\.json\)/
+    )
+    assert.match(text.stdout, /2\. qa\/team\.json\n/)
+    assert.match(text.stdout, /checks\.coverage\.threshold +qa\/team\.json/)
+    assert.match(text.stdout, /maturity +\.qualityrc\.json/)
+
+    const json = run('print-config', '--format', 'json')
+    assert.strictEqual(json.status, 0, json.stderr)
+    const report = JSON.parse(json.stdout)
+    assert.strictEqual(report.config.checks.coverage.threshold, 80)
+    assert.strictEqual(report.sources.version, '@acme/qa-preset')
+    assert.strictEqual(report.layers.length, 3)
+
+    writeFiles(dir, { '.qualityrc.json': { extends: './qa/gone.json' } })
+    const broken = run('print-config')
+    assert.strictEqual(broken.status, 1)
+    assert.match(broken.stderr, /Could not resolve \.qualityrc\.json/)
+
+    fs.rmSync(path.join(dir, '.qualityrc.json'))
+    const missing = run('print-config')
+    assert.strictEqual(missing.status, 1)
+    assert.match(missing.stderr, /No \.qualityrc\.json found/)
+  })
+  console.log('  ✅ Layers, sources and JSON output\n')
+
+  console.log('🎉 All config preset tests passed!')
+})().catch(error => {
+  console.error('❌ Config preset test failed:', error)
+  process.exit(1)
+})
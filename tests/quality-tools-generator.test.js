@@ -70,7 +70,15 @@ console.log('  ✅ commitlint config generated correctly\n')
 console.log('Test 5: commit-msg hook generation')
 const commitMsgHook = generateCommitMsgHook()
 assert(commitMsgHook.includes('#!/bin/sh'))
-assert(commitMsgHook.includes('commitlint'))
+assert(commitMsgHook.includes('npx --no -- commitlint --edit "$1"'))
+assert(
+  generateCommitMsgHook('pnpm').includes('pnpm exec commitlint --edit "$1"')
+)
+assert(
+  generateCommitMsgHook({ name: 'yarn', yarnBerry: true }).includes(
+    'yarn commitlint --edit "$1"'
+  )
+)
 console.log('  ✅ commit-msg hook generated correctly\n')
 
 // Test 6: coverage thresholds generation
@@ -0,0 +1,278 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const path = require('path')
+const { execSync } = require('child_process')
+const yaml = require('js-yaml')
+
+const {
+  RUST_JOB_MARKER,
+  detectCargoProject,
+  parseWorkspaceMembers,
+  mergeRustPreCommitConfig,
+  injectRustJob,
+} = require('../lib/rust-config-generator')
+const { ProjectMaturityDetector } = require('../lib/project-maturity')
+const { writeFile, withTempDir } = require('./file-test-helpers')
+
+/**
+ * Tests for Rust (Cargo) support in setup and maturity detection
+ */
+console.log('🧪 Testing Rust toolchain support...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+const workflowTemplate = fs.readFileSync(
+  path.join(__dirname, '..', '.github', 'workflows', 'quality.yml'),
+  'utf8'
+)
+
+const WORKSPACE_MANIFEST = `[workspace]
+resolver = "2"
+members = [
+  "crates/core",
+  "crates/cli",
+]
+
+[workspace.dependencies]
+serde = "1"
+`
+
+const CRATE_MANIFEST = `[package]
+name = "demo"
+version = "0.1.0"
+edition = "2021"
+
+[dependencies]
+serde = "1"
+`
+
+// Test 1: Workspace members parsing
+console.log('Test 1: Cargo.toml workspace parsing')
+assert.deepStrictEqual(parseWorkspaceMembers(WORKSPACE_MANIFEST), [
+  'crates/core',
+  'crates/cli',
+])
+assert.strictEqual(parseWorkspaceMembers(CRATE_MANIFEST), null)
+assert.deepStrictEqual(
+  parseWorkspaceMembers('[workspace]\nresolver = "2"\n'),
+  []
+)
+console.log('  ✅ Workspace members parsed, plain crates report no workspace\n')
+
+// Test 2: Cargo project detection
+console.log('Test 2: detectCargoProject')
+withTempDir('rust-detect-', dir => {
+  assert.strictEqual(detectCargoProject(dir), null)
+
+  writeFile(dir, 'Cargo.toml', WORKSPACE_MANIFEST)
+  const workspace = detectCargoProject(dir)
+  assert.ok(workspace, 'Cargo.toml should be detected')
+  assert.strictEqual(workspace.isWorkspace, true)
+  assert.strictEqual(workspace.hasPackage, false)
+  assert.strictEqual(workspace.members.length, 2)
+
+  writeFile(dir, 'Cargo.toml', CRATE_MANIFEST)
+  const crate = detectCargoProject(dir)
+  assert.strictEqual(crate.isWorkspace, false)
+  assert.strictEqual(crate.hasPackage, true)
+})
+console.log('  ✅ Single crates and workspaces detected\n')
+
+// Test 3: quality.yml job injection
+console.log('Test 3: Rust job injection into quality.yml')
+{
+  const injected = injectRustJob(workflowTemplate, { isWorkspace: true })
+  assert.ok(injected.includes(RUST_JOB_MARKER))
+  assert.ok(injected.includes('cargo fmt --all -- --check'))
+  assert.ok(
+    injected.includes(
+      'cargo clippy --workspace --all-targets --all-features -- -D warnings'
+    )
+  )
+  assert.ok(injected.includes('rustsec/audit-check@v2'))
+  assert.ok(injected.includes('EmbarkStudios/cargo-deny-action@v2'))
+  assert.ok(
+    injected.indexOf('  rust:') < injected.indexOf('  summary:'),
+    'Rust job should be placed before the summary job'
+  )
+  // The summary reports the results of the jobs it needs
+  assert.deepStrictEqual(yaml.load(injected).jobs.summary.needs, [
+    'detect-maturity',
+    'security',
+    'tests',
+    'documentation',
+    'rust',
+  ])
+  const inlineNeeds = `jobs:
+  tests:
+    runs-on: ubuntu-latest
+  summary:
+    needs: [tests]
+    runs-on: ubuntu-latest
+`
+  assert.deepStrictEqual(
+    yaml.load(injectRustJob(inlineNeeds, { isWorkspace: false })).jobs.summary
+      .needs,
+    ['tests', 'rust']
+  )
+  assert.strictEqual(
+    injectRustJob(injected, { isWorkspace: true }),
+    injected,
+    'Injection should be idempotent'
+  )
+  assert.strictEqual(injectRustJob(workflowTemplate, null), workflowTemplate)
+
+  const singleCrate = injectRustJob(workflowTemplate, { isWorkspace: false })
+  assert.ok(!singleCrate.includes('--workspace'))
+}
+console.log('  ✅ Job inserted once, before the summary job that needs it\n')
+
+// Test 4: pre-commit hook merging
+console.log('Test 4: pre-commit hook merging')
+{
+  const fresh = mergeRustPreCommitConfig(null, { isWorkspace: false })
+  assert.ok(fresh.includes('repos:'))
+  assert.ok(fresh.includes('id: cargo-fmt'))
+  assert.ok(fresh.includes('id: cargo-clippy'))
+
+  const pythonConfig = fs.readFileSync(
+    path.join(__dirname, '..', 'config', '.pre-commit-config.yaml'),
+    'utf8'
+  )
+  const merged = mergeRustPreCommitConfig(pythonConfig, { isWorkspace: true })
+  assert.ok(merged.startsWith(pythonConfig.trimEnd()))
+  assert.ok(merged.includes('id: ruff'), 'Existing hooks must be preserved')
+  assert.ok(merged.includes('id: cargo-fmt'))
+  assert.strictEqual(
+    mergeRustPreCommitConfig(merged, { isWorkspace: true }),
+    null,
+    'Hooks already present should not be added twice'
+  )
+
+  // Keys after `repos:` keep their own content
+  const withCi = `# Shared hooks
+repos:
+- repo: https://github.com/pre-commit/pre-commit-hooks
+  rev: v4.6.0
+  hooks:
+  - id: trailing-whitespace # keep
+
+# pre-commit.ci settings
+ci:
+  autofix_prs: false
+default_language_version:
+  python: python3.12
+`
+  const beforeCi = mergeRustPreCommitConfig(withCi, { isWorkspace: false })
+  const parsed = yaml.load(beforeCi)
+  assert.deepStrictEqual(
+    parsed.repos.map(repo => repo.hooks.map(hook => hook.id)),
+    [['trailing-whitespace'], ['cargo-fmt', 'cargo-clippy']]
+  )
+  assert.deepStrictEqual(parsed.ci, { autofix_prs: false })
+  assert.deepStrictEqual(parsed.default_language_version, {
+    python: 'python3.12',
+  })
+  assert.ok(beforeCi.includes('  - id: trailing-whitespace # keep\n'))
+  assert.ok(
+    beforeCi.endsWith(
+      '\n# pre-commit.ci settings\nci:\n  autofix_prs: false\ndefault_language_version:\n  python: python3.12\n'
+    )
+  )
+
+  // Flow-style lists are rewritten from the parsed config
+  const flow = yaml.load(
+    mergeRustPreCommitConfig('repos: []\nci:\n  skip: [mypy]\n', null)
+  )
+  assert.strictEqual(flow.repos[0].hooks[0].id, 'cargo-fmt')
+  assert.deepStrictEqual(flow.ci, { skip: ['mypy'] })
+}
+console.log('  ✅ Hooks added to the repos list without duplicates\n')
+
+// Test 5: Maturity detection counts .rs sources and #[test] modules
+console.log('Test 5: ProjectMaturityDetector Rust counting')
+withTempDir('rust-maturity-', dir => {
+  writeFile(dir, 'Cargo.toml', CRATE_MANIFEST)
+  writeFile(dir, 'src/main.rs', 'fn main() {}\n')
+  writeFile(dir, 'src/parser.rs', 'pub fn parse() {}\n')
+  writeFile(
+    dir,
+    'src/lib.rs',
+    'pub fn add(a: i32, b: i32) -> i32 { a + b }\n\n#[cfg(test)]\nmod tests {\n    #[test]\n    fn adds() { assert_eq!(super::add(1, 2), 3); }\n}\n'
+  )
+  writeFile(dir, 'tests/api.rs', '#[tokio::test]\nasync fn responds() {}\n')
+  writeFile(dir, 'target/debug/build/generated.rs', '#[test]\nfn x() {}\n')
+
+  const detector = new ProjectMaturityDetector({ projectPath: dir })
+  const stats = detector.analyzeProject()
+
+  assert.strictEqual(stats.isRustProject, true)
+  assert.strictEqual(
+    stats.rustSourceFiles,
+    3,
+    'src/*.rs only (not tests/, target/)'
+  )
+  assert.strictEqual(stats.rustTestFiles, 2, 'src/lib.rs and tests/api.rs')
+  assert.strictEqual(stats.totalSourceFiles, 3)
+  assert.strictEqual(stats.testFiles, 2)
+  assert.strictEqual(detector.detect(), 'development')
+})
+console.log('  ✅ .rs sources and #[test] modules counted, target/ skipped\n')
+
+// Test 6: End-to-end setup in a Cargo workspace
+console.log('Test 6: setup.js in a Cargo workspace')
+withTempDir('rust-setup-', dir => {
+  writeFile(dir, 'Cargo.toml', WORKSPACE_MANIFEST)
+  writeFile(dir, 'crates/core/src/lib.rs', 'pub fn core() {}\n')
+  writeFile(
+    dir,
+    'package.json',
+    JSON.stringify({ name: 'rust-ws', version: '1.0.0' }, null, 2)
+  )
+  execSync('git init', { cwd: dir, stdio: 'ignore' })
+
+  const output = execSync(`node "${setupPath}"`, {
+    cwd: dir,
+    stdio: 'pipe',
+    encoding: 'utf8',
+  })
+  assert.ok(output.includes('Detected Cargo workspace'))
+
+  for (const file of [
+    'rustfmt.toml',
+    'clippy.toml',
+    'deny.toml',
+    '.pre-commit-config.yaml',
+  ]) {
+    assert.ok(fs.existsSync(path.join(dir, file)), `${file} should be created`)
+  }
+
+  const workflow = fs.readFileSync(
+    path.join(dir, '.github', 'workflows', 'quality.yml'),
+    'utf8'
+  )
+  assert.ok(workflow.includes(RUST_JOB_MARKER))
+  assert.ok(workflow.includes('cargo test --workspace --all-features'))
+
+  const pkg = JSON.parse(
+    fs.readFileSync(path.join(dir, 'package.json'), 'utf8')
+  )
+  assert.ok(pkg.scripts['rust:lint'], 'Rust helper scripts should be added')
+
+  // Re-running setup must not duplicate the job or hooks
+  execSync(`node "${setupPath}"`, { cwd: dir, stdio: 'pipe' })
+  const rerun = fs.readFileSync(
+    path.join(dir, '.github', 'workflows', 'quality.yml'),
+    'utf8'
+  )
+  assert.strictEqual(rerun.split(RUST_JOB_MARKER).length - 1, 1)
+  const preCommit = fs.readFileSync(
+    path.join(dir, '.pre-commit-config.yaml'),
+    'utf8'
+  )
+  assert.strictEqual(preCommit.split('id: cargo-fmt').length - 1, 1)
+})
+console.log('  ✅ Rust configs, hooks, CI job and scripts generated\n')
+
+console.log('🎉 All Rust toolchain tests passed!')
@@ -137,14 +137,10 @@ function testDryRunMode() {
 
   const beforeModTime = fs.statSync(packageJsonPath).mtimeMs
 
-  const result = spawnSync(
-    NODE_BIN,
-    [SETUP_PATH, '--dry-run', '--skip-install', '--yes'],
-    {
-      cwd: TEST_DIR,
-      encoding: 'utf8',
-    }
-  )
+  const result = spawnSync(NODE_BIN, [SETUP_PATH, '--dry-run'], {
+    cwd: TEST_DIR,
+    encoding: 'utf8',
+  })
 
   const output = result.stdout + result.stderr
   const afterModTime = fs.statSync(packageJsonPath).mtimeMs
@@ -201,14 +197,10 @@ function testTypeScriptDetectionViaDependency() {
     )
   )
 
-  const result = spawnSync(
-    NODE_BIN,
-    [SETUP_PATH, '--skip-install', '--yes', '--no-markdownlint'],
-    {
-      cwd: TEST_DIR,
-      encoding: 'utf8',
-    }
-  )
+  const result = spawnSync(NODE_BIN, [SETUP_PATH, '--no-markdownlint'], {
+    cwd: TEST_DIR,
+    encoding: 'utf8',
+  })
 
   const output = result.stdout + result.stderr
 
@@ -251,14 +243,10 @@ function testTypeScriptDetectionViaConfig() {
   const tsconfigPath = path.join(TEST_DIR, 'tsconfig.json')
   fs.writeFileSync(tsconfigPath, JSON.stringify({ compilerOptions: {} }))
 
-  const result = spawnSync(
-    NODE_BIN,
-    [SETUP_PATH, '--skip-install', '--yes', '--no-markdownlint'],
-    {
-      cwd: TEST_DIR,
-      encoding: 'utf8',
-    }
-  )
+  const result = spawnSync(NODE_BIN, [SETUP_PATH, '--no-markdownlint'], {
+    cwd: TEST_DIR,
+    encoding: 'utf8',
+  })
 
   const output = result.stdout + result.stderr
 
@@ -302,7 +290,7 @@ version = "1.0.0"
 
   // NO package.json (Python-only)
 
-  const result = spawnSync(NODE_BIN, [SETUP_PATH, '--yes', '--skip-install'], {
+  const result = spawnSync(NODE_BIN, [SETUP_PATH], {
     cwd: TEST_DIR,
     encoding: 'utf8',
   })
@@ -356,13 +344,7 @@ function testCustomTemplatePath() {
 
   const result = spawnSync(
     NODE_BIN,
-    [
-      SETUP_PATH,
-      '--template-path',
-      customTemplateDir,
-      '--yes',
-      '--skip-install',
-    ],
+    [SETUP_PATH, '--template', customTemplateDir],
     {
       cwd: TEST_DIR,
       encoding: 'utf8',
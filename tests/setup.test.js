@@ -224,7 +224,11 @@ try {
   const pkg = readJson(path.join(jsProjectDirFree, 'package.json'))
 
   // Include enhanced scripts in expected results (matching setup.js behavior)
-  const defaultScripts = getDefaultScripts({ typescript: false })
+  // Setup renders the scripts for the detected package manager (npm here)
+  const defaultScripts = getDefaultScripts({
+    typescript: false,
+    packageManager: 'npm',
+  })
   const enhancedScripts = getEnhancedTypeScriptScripts()
   const smartStrategyScripts = {}
   // Quality tools scripts (added by setupQualityTools based on license tier)
@@ -306,7 +310,11 @@ try {
 
   const pkg = readJson(path.join(jsProjectDirPro, 'package.json'))
 
-  const defaultScripts = getDefaultScripts({ typescript: false })
+  // Setup renders the scripts for the detected package manager (npm here)
+  const defaultScripts = getDefaultScripts({
+    typescript: false,
+    packageManager: 'npm',
+  })
   const enhancedScripts = getEnhancedTypeScriptScripts()
   const smartStrategyScripts = getTestTierScripts()
   const qualityToolsScripts = getQualityToolsScripts({
@@ -0,0 +1,314 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  normalizeSmartStrategyConfig,
+  scoreChanges,
+  formatShellEnv,
+} = require('../lib/smart-risk')
+const {
+  generateSmartStrategy,
+  writeSmartStrategy,
+} = require('../lib/smart-strategy-generator')
+
+/**
+ * Tests for the smart test strategy risk engine: configurable rules from
+ * .qualityrc.json, tier selection, tier command overrides and explain-risk
+ */
+console.log('🧪 Testing smart strategy risk engine...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+// Tuesday 10:00, inside the default work hours
+const WORK_HOURS = new Date(2026, 9, 20, 10, 0)
+// Saturday
+const WEEKEND = new Date(2026, 9, 24, 10, 0)
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-risk-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Repository with one commit on main and a feature branch
+ * @param {string} dir - Empty directory
+ */
+const createRepo = dir => {
+  const git = (...args) => {
+    const result = spawnSync('git', args, { cwd: dir, encoding: 'utf8' })
+    assert.strictEqual(result.status, 0, result.stderr)
+    return result.stdout.trim()
+  }
+  const commit = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(path.join(dir, file), content)
+    git('add', '-A')
+    git('commit', '-q', '-m', `Change ${file}`)
+    return git('rev-parse', 'HEAD')
+  }
+  git('init', '-q', '-b', 'main')
+  git('config', 'user.email', 'test@example.com')
+  git('config', 'user.name', 'Test')
+  fs.writeFileSync(path.join(dir, '.gitignore'), 'scripts/\n')
+  commit('README.md', 'demo\n')
+  git('checkout', '-q', '-b', 'feature')
+  return { git, commit }
+}
+
+const writeConfig = (dir, smartStrategy) =>
+  fs.writeFileSync(
+    path.join(dir, '.qualityrc.json'),
+    `${JSON.stringify({ version: '1.0.0', smartStrategy }, null, 2)}\n`
+  )
+
+;(async () => {
+  // Test 1: Configured rules merge with the defaults
+  console.log('Test 1: normalizeSmartStrategyConfig')
+  {
+    const defaults = normalizeSmartStrategyConfig({}, { highRiskRegex: 'app/' })
+    assert.deepStrictEqual(
+      defaults.paths.map(rule => `${rule.name}:${rule.weight}`),
+      [
+        'high-risk files:4',
+        'security-sensitive files:3',
+        'API files:2',
+        'config files:2',
+      ]
+    )
+    assert.strictEqual(defaults.paths[0].pattern, 'app/')
+    assert.deepStrictEqual(defaults.thresholds, {
+      comprehensive: 7,
+      medium: 4,
+      fast: 2,
+    })
+    assert.deepStrictEqual(defaults.tiers, {})
+
+    const config = normalizeSmartStrategyConfig({
+      paths: [
+        { name: 'payments', pattern: '^src/payments/', weight: 5 },
+        { name: 'API files', weight: 0 },
+        { name: 'config files', weight: 1 },
+        { name: 'broken', pattern: '(', weight: 1 },
+      ],
+      branches: [
+        { pattern: '^release/', weight: 5 },
+        { pattern: '^staging$', weight: 2 },
+      ],
+      size: { files: [{ over: 1, weight: 1 }] },
+      thresholds: { comprehensive: 9 },
+      workHours: false,
+      tiers: { fast: 'npm run test:unit', nightly: 'ignored' },
+    })
+    assert.deepStrictEqual(
+      config.paths.map(rule => `${rule.name}:${rule.weight}`),
+      [
+        'high-risk files:4',
+        'security-sensitive files:3',
+        'config files:1',
+        'payments:5',
+      ],
+      'Weight 0 disables, same name replaces, invalid patterns are skipped'
+    )
+    assert.deepStrictEqual(
+      config.branches.map(rule => `${rule.pattern}:${rule.weight}`),
+      [
+        '^(main|master|production)$:3',
+        '^hotfix/:4',
+        '^release/:5',
+        '^develop$:1',
+        '^staging$:2',
+      ]
+    )
+    assert.deepStrictEqual(config.size.files, [{ over: 1, weight: 1 }])
+    assert.strictEqual(config.size.lines[0].over, 200)
+    assert.deepStrictEqual(config.thresholds, {
+      comprehensive: 9,
+      medium: 4,
+      fast: 2,
+    })
+    assert.strictEqual(config.workHours, null)
+    assert.deepStrictEqual(config.tiers, { fast: 'npm run test:unit' })
+  }
+  console.log('  ✅ Path, branch, size and threshold rules merged\n')
+
+  // Test 2: Score and tier selection
+  console.log('Test 2: scoreChanges')
+  {
+    const defaults = normalizeSmartStrategyConfig()
+    const score = (files, context, config = defaults) =>
+      scoreChanges({ files, lines: 10 }, config, context)
+
+    const docs = score(['docs/guide.md'], { now: WORK_HOURS })
+    assert.strictEqual(docs.score, 0)
+    assert.strictEqual(docs.tier, 'minimal', 'Lint only during work hours')
+    assert.strictEqual(score(['docs/guide.md'], { now: WEEKEND }).tier, 'fast')
+
+    const release = score(['src/index.js'], {
+      branch: 'release/2.0',
+      now: WORK_HOURS,
+    })
+    assert.strictEqual(release.score, 6)
+    assert.strictEqual(release.tier, 'medium')
+    assert.deepStrictEqual(
+      release.drivers.map(driver => `+${driver.points} ${driver.reason}`),
+      ['+4 high-risk files', '+2 branch release/2.0']
+    )
+
+    const hotfix = score(['src/auth.js'], { branch: 'hotfix/login' })
+    assert.strictEqual(hotfix.score, 11)
+    assert.strictEqual(hotfix.tier, 'comprehensive')
+
+    const strict = normalizeSmartStrategyConfig({
+      thresholds: { comprehensive: 12, medium: 8 },
+      workHours: false,
+    })
+    assert.strictEqual(
+      score(['src/auth.js'], { branch: 'hotfix/login' }, strict).tier,
+      'medium'
+    )
+    assert.strictEqual(
+      score(['docs/guide.md'], { now: WORK_HOURS }, strict).tier,
+      'fast',
+      'No speed bonus when work hours are disabled'
+    )
+
+    const large = scoreChanges(
+      {
+        files: Array.from({ length: 21 }, (_, i) => `docs/${i}.md`),
+        lines: 500,
+      },
+      defaults,
+      { now: WEEKEND }
+    )
+    assert.strictEqual(large.score, 7)
+    assert.strictEqual(large.tier, 'comprehensive')
+
+    const env = formatShellEnv(
+      docs,
+      [{ base: 'aaa', head: 'bbb' }],
+      normalizeSmartStrategyConfig({ tiers: { minimal: "echo 'it''s ok'" } })
+    )
+    assert.match(env, /^TIER=minimal$/m)
+    assert.match(env, /^TEST_IMPACT=0$/m)
+    assert.match(
+      formatShellEnv(
+        release,
+        [],
+        normalizeSmartStrategyConfig({ testImpact: { enabled: true } })
+      ),
+      /^TEST_IMPACT=1$/m,
+      'Medium tier uses test impact selection when enabled'
+    )
+    assert.match(env, /^TIER_COMMAND='echo '\\''it'\\'''\\''s ok'\\'''$/m)
+    assert.match(env, /^RANGE_ARGS=\(--range 'aaa\.\.bbb'\)$/m)
+  }
+  console.log('  ✅ Scores, thresholds and tiers\n')
+
+  // Test 3: Generated pre-push script honours smartStrategy config
+  console.log('Test 3: smart-test-strategy.sh with smartStrategy config')
+  await withTempDir(async dir => {
+    const { commit } = createRepo(dir)
+    const { script } = generateSmartStrategy({
+      projectPath: dir,
+      projectType: 'default',
+      customTestCommands: {
+        comprehensive: 'echo DEFAULT=comprehensive',
+        medium: 'echo DEFAULT=medium',
+        fast: 'echo DEFAULT=fast',
+        minimal: 'echo DEFAULT=minimal',
+      },
+    })
+    const scriptPath = writeSmartStrategy(dir, script)
+    assert.ok(fs.existsSync(path.join(dir, 'scripts', 'smart-risk.js')))
+    commit('src/payments/charge.js', 'module.exports = {}\n')
+
+    const run = () => {
+      const result = spawnSync('bash', [scriptPath], {
+        cwd: dir,
+        encoding: 'utf8',
+        input: '',
+        env: { ...process.env, SKIP_SMART: '', FORCE_MINIMAL: '' },
+      })
+      assert.strictEqual(result.status, 0, result.stdout + result.stderr)
+      return result.stdout
+    }
+
+    // src/ (+4) and payment (+3) reach the comprehensive tier by default
+    assert.match(run(), /DEFAULT=comprehensive/)
+
+    writeConfig(dir, {
+      paths: [{ name: 'security-sensitive files', weight: 0 }],
+      tiers: { medium: 'echo CONFIGURED=medium' },
+    })
+    const output = run()
+    assert.match(output, /Risk Score: 4\/10/)
+    assert.match(output, /MEDIUM RISK/)
+    assert.match(output, /Configured command: echo CONFIGURED=medium/)
+    assert.match(output, /^CONFIGURED=medium$/m)
+    assert.doesNotMatch(output, /DEFAULT=/)
+  })
+  console.log('  ✅ Rules and tier commands read from .qualityrc.json\n')
+
+  // Test 4: explain-risk command
+  console.log('Test 4: explain-risk')
+  await withTempDir(async dir => {
+    const run = (...args) =>
+      spawnSync('node', [setupPath, 'explain-risk', ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+
+    const notRepo = run()
+    assert.strictEqual(notRepo.status, 1)
+    assert.match(notRepo.stderr, /needs a git repository/)
+
+    const { commit } = createRepo(dir)
+    commit('api/users.js', 'module.exports = {}\n')
+    writeConfig(dir, {
+      branches: [{ pattern: '^release/', weight: 4 }],
+      tiers: { medium: 'npm run test:medium -- --bail' },
+    })
+
+    const text = run('--branch', 'release/2.0')
+    assert.strictEqual(text.status, 0, text.stderr)
+    assert.match(text.stdout, /merge-base with main/)
+    assert.match(text.stdout, /Risk Score: 6\/10/)
+    assert.match(text.stdout, /\+2 API files: api\/users\.js/)
+    assert.match(text.stdout, /\+4 branch release\/2\.0/)
+    assert.match(text.stdout, /\+4 branch \/\^release\/\//)
+    assert.match(text.stdout, /Thresholds: comprehensive ≥ 7, medium ≥ 4/)
+    assert.match(
+      text.stdout,
+      /Tier: medium → npm run test:medium -- --bail \(smartStrategy\.tiers\)/
+    )
+
+    const json = run('--range', 'main..HEAD', '--format', 'json')
+    assert.strictEqual(json.status, 0, json.stderr)
+    const report = JSON.parse(json.stdout)
+    assert.strictEqual(report.branch, 'feature')
+    assert.deepStrictEqual(report.files, ['api/users.js'])
+    assert.strictEqual(report.score, 2)
+    assert.strictEqual(report.ranges[0].source, 'main..HEAD')
+    assert.strictEqual(report.commandSource, 'default')
+    assert.ok(report.command, 'Default tier command reported')
+
+    const badRange = run('--range', 'nope..HEAD')
+    assert.strictEqual(badRange.status, 1)
+    assert.match(badRange.stderr, /Unknown revision in range: nope\.\.HEAD/)
+  })
+  console.log('  ✅ Score breakdown, rules and tier command explained\n')
+
+  console.log('🎉 All smart strategy risk tests passed!')
+})().catch(error => {
+  console.error('❌ Smart strategy risk test failed:', error)
+  process.exit(1)
+})
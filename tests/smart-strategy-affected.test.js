@@ -0,0 +1,210 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  buildWorkspaceGraph,
+  generateSmartStrategy,
+  writeSmartStrategy,
+  writeAffectedPackagesScript,
+} = require('../lib/smart-strategy-generator')
+
+/**
+ * Tests for affected-package test selection in monorepos: workspace graph,
+ * dependents walk, native Nx/Turborepo commands and the generated pre-push
+ * strategy running only the affected packages' tests
+ */
+console.log('🧪 Testing smart strategy affected packages...\n')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-strategy-affected-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const writeJson = (file, value) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true })
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`)
+}
+
+/**
+ * npm workspace: web -> ui -> core, plus an unrelated docs package; every
+ * package test script prints its name
+ * @param {string} dir - Empty directory
+ */
+const createWorkspace = dir => {
+  writeJson(path.join(dir, 'package.json'), {
+    name: 'acme',
+    private: true,
+    workspaces: ['packages/*'],
+  })
+  const packages = {
+    core: {},
+    ui: { dependencies: { '@acme/core': '*', react: '^18.0.0' } },
+    web: { devDependencies: { '@acme/ui': '*' } },
+    docs: {},
+  }
+  for (const [name, deps] of Object.entries(packages)) {
+    writeJson(path.join(dir, 'packages', name, 'package.json'), {
+      name: `@acme/${name}`,
+      version: '1.0.0',
+      scripts: name === 'docs' ? {} : { test: `echo TESTED-${name}` },
+      ...deps,
+    })
+  }
+}
+
+;(async () => {
+  // Test 1: Workspace graph from the detected layout
+  console.log('Test 1: buildWorkspaceGraph')
+  await withTempDir(async dir => {
+    assert.strictEqual(buildWorkspaceGraph(dir), null, 'Not a monorepo')
+
+    createWorkspace(dir)
+    const graph = buildWorkspaceGraph(dir)
+    assert.strictEqual(graph.packageManager, 'npm')
+    assert.deepStrictEqual(
+      [...graph.packages].sort((a, b) => a.name.localeCompare(b.name)),
+      [
+        { name: '@acme/core', dir: 'packages/core', dependencies: [] },
+        { name: '@acme/docs', dir: 'packages/docs', dependencies: [] },
+        {
+          name: '@acme/ui',
+          dir: 'packages/ui',
+          dependencies: ['@acme/core'],
+        },
+        { name: '@acme/web', dir: 'packages/web', dependencies: ['@acme/ui'] },
+      ]
+    )
+
+    fs.writeFileSync(path.join(dir, 'turbo.json'), '{}')
+    assert.strictEqual(buildWorkspaceGraph(dir).tool, 'turborepo')
+  })
+  console.log('  ✅ Packages and internal dependencies resolved\n')
+
+  // Test 2: Generated helper selects affected packages
+  console.log('Test 2: affected-packages.js selection')
+  await withTempDir(async dir => {
+    createWorkspace(dir)
+    const { script, testCommands, affectedPackagesScript } =
+      generateSmartStrategy({ projectPath: dir, projectType: 'library' })
+    assert.strictEqual(testCommands.fast, 'affected_tests fast')
+    assert.ok(testCommands.minimal.includes('lint'))
+    assert.ok(script.includes('affected_tests comprehensive'))
+    assert.ok(!affectedPackagesScript.includes('{{AFFECTED_CONFIG}}'))
+
+    writeSmartStrategy(dir, script)
+    const helperPath = writeAffectedPackagesScript(dir, affectedPackagesScript)
+    // eslint-disable-next-line security/detect-non-literal-require -- Rendered helper in the test's temp dir
+    const helper = require(helperPath)
+    const workspace = buildWorkspaceGraph(dir)
+    const select = files =>
+      helper
+        .findAffectedPackages(files, workspace)
+        .affected.map(({ name, reason, via }) =>
+          via ? `${name}:${reason}:${via}` : `${name}:${reason}`
+        )
+        .sort()
+
+    assert.deepStrictEqual(select(['packages/core/src/index.js']), [
+      '@acme/core:changed',
+      '@acme/ui:dependent:@acme/core',
+      '@acme/web:dependent:@acme/ui',
+    ])
+    assert.deepStrictEqual(select(['packages/web/app.js']), [
+      '@acme/web:changed',
+    ])
+    assert.deepStrictEqual(select(['README.md', 'docs/guide.md']), [])
+    assert.strictEqual(
+      select(['package-lock.json']).length,
+      4,
+      'Lockfile changes affect every package'
+    )
+
+    assert.deepStrictEqual(
+      helper.scoreFiles(['packages/core/src/auth.js', 'packages/core/x.md']),
+      {
+        score: 7,
+        drivers: ['+4 high-risk files', '+3 security-sensitive files'],
+      }
+    )
+    assert.deepStrictEqual(
+      helper.getNativeCommands('turborepo', ['aaa..bbb']),
+      [
+        {
+          command: 'npx',
+          args: ['turbo', 'run', 'test', '--filter=...[aaa...bbb]'],
+        },
+      ]
+    )
+    assert.deepStrictEqual(helper.getNativeCommands('nx', ['aaa..bbb'])[0], {
+      command: 'npx',
+      args: ['nx', 'affected', '-t', 'test', '--base=aaa', '--head=bbb'],
+    })
+    assert.strictEqual(helper.getNativeCommands(null, ['aaa..bbb']), null)
+    assert.strictEqual(helper.getNativeCommands('nx', []), null)
+  })
+  console.log('  ✅ Changed packages and their dependents selected\n')
+
+  // Test 3: Pre-push strategy runs only the affected package tests
+  console.log('Test 3: smart-test-strategy.sh in a workspace')
+  await withTempDir(async dir => {
+    const git = (...args) => {
+      const result = spawnSync('git', args, { cwd: dir, encoding: 'utf8' })
+      assert.strictEqual(result.status, 0, result.stderr)
+      return result.stdout.trim()
+    }
+    createWorkspace(dir)
+    const { script, affectedPackagesScript } = generateSmartStrategy({
+      projectPath: dir,
+      projectType: 'library',
+    })
+    writeSmartStrategy(dir, script)
+    writeAffectedPackagesScript(dir, affectedPackagesScript)
+    git('init', '-q', '-b', 'main')
+    git('config', 'user.email', 'test@example.com')
+    git('config', 'user.name', 'Test')
+    git('add', '-A')
+    git('commit', '-q', '-m', 'Initial')
+    const base = git('rev-parse', 'HEAD')
+    git('checkout', '-q', '-b', 'feature')
+    // A config file keeps the score out of the lint-only tier
+    fs.writeFileSync(
+      path.join(dir, 'packages', 'ui', 'theme.config.js'),
+      'module.exports = {}\n'
+    )
+    git('add', '-A')
+    git('commit', '-q', '-m', 'Add theme config')
+
+    const result = spawnSync('bash', ['scripts/smart-test-strategy.sh'], {
+      cwd: dir,
+      encoding: 'utf8',
+      input: `refs/heads/feature ${git('rev-parse', 'HEAD')} refs/heads/feature ${base}\n`,
+    })
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr)
+    const output = result.stdout
+    assert.match(output, /Affected packages \(2 of 4\):/)
+    assert.match(
+      output,
+      /@acme\/ui - changed \(1 file\), risk 2: \+2 config files/
+    )
+    assert.match(output, /@acme\/web - depends on @acme\/ui/)
+    assert.match(output, /TESTED-ui/)
+    assert.match(output, /TESTED-web/)
+    assert.doesNotMatch(output, /TESTED-core/)
+    assert.match(output, /Affected package tests passed/)
+  })
+  console.log('  ✅ Only affected package tests ran\n')
+
+  console.log('🎉 All smart strategy affected package tests passed!')
+})().catch(error => {
+  console.error('❌ Smart strategy affected package test failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,180 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  generateSmartStrategy,
+  writeSmartStrategy,
+} = require('../lib/smart-strategy-generator')
+
+/**
+ * Tests for the change range the generated smart test strategy scores:
+ * pre-push stdin ref pairs, merge-base fallback and reported score drivers
+ */
+console.log('🧪 Testing smart strategy change range...\n')
+
+const ZERO_SHA = '0'.repeat(40)
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'smart-strategy-range-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * Throwaway repository with the generated strategy script; each tier just
+ * prints its name
+ * @param {string} dir - Empty directory
+ */
+const createRepo = dir => {
+  const git = (...args) => {
+    const result = spawnSync('git', args, { cwd: dir, encoding: 'utf8' })
+    assert.strictEqual(result.status, 0, result.stderr)
+    return result.stdout.trim()
+  }
+  const commit = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(path.join(dir, file), content)
+    git('add', '-A')
+    git('commit', '-q', '-m', `Change ${file}`)
+    return git('rev-parse', 'HEAD')
+  }
+
+  git('init', '-q', '-b', 'main')
+  git('config', 'user.email', 'test@example.com')
+  git('config', 'user.name', 'Test')
+
+  const { script } = generateSmartStrategy({
+    projectPath: dir,
+    projectName: 'demo',
+    projectType: 'default',
+    customHighRiskRegex: 'lib/payments/',
+    customTestCommands: {
+      comprehensive: 'echo TIER=comprehensive',
+      medium: 'echo TIER=medium',
+      fast: 'echo TIER=fast',
+      minimal: 'echo TIER=minimal',
+    },
+  })
+  const scriptPath = writeSmartStrategy(dir, script)
+  fs.writeFileSync(path.join(dir, '.gitignore'), 'scripts/\n')
+
+  /**
+   * @param {string} [stdin] - Pre-push ref lines
+   * @returns {string} Script output
+   */
+  const run = stdin => {
+    const result = spawnSync('bash', [scriptPath], {
+      cwd: dir,
+      encoding: 'utf8',
+      input: stdin || '',
+      env: { ...process.env, SKIP_SMART: '', FORCE_MINIMAL: '' },
+    })
+    assert.strictEqual(result.status, 0, result.stderr)
+    return result.stdout
+  }
+
+  return { git, commit, run }
+}
+
+;(async () => {
+  // Test 1: Every pushed commit counts, not just the last one
+  console.log('Test 1: pushed ref range from stdin')
+  await withTempDir(async dir => {
+    const { git, commit, run } = createRepo(dir)
+    const remoteSha = commit('README.md', 'demo\n')
+    git('checkout', '-q', '-b', 'feature')
+    commit('lib/payments/charge.js', 'module.exports = {}\n')
+    commit('src/auth/session.js', 'module.exports = {}\n')
+    commit('api/users.js', 'module.exports = {}\n')
+    commit('tsconfig.json', '{}\n')
+    const localSha = commit('docs/guide.md', '# Guide\n')
+
+    const output = run(
+      `refs/heads/feature ${localSha} refs/heads/feature ${remoteSha}\n`
+    )
+    assert.ok(
+      output.includes(
+        `Range: ${remoteSha.slice(0, 7)}..${localSha.slice(0, 7)} (pushing to feature)`
+      )
+    )
+    assert.match(output, /Files changed: 5/)
+    assert.match(output, /Risk Score: 11\/10/)
+    assert.match(output, /\+4 high-risk files: lib\/payments\/charge\.js/)
+    assert.match(
+      output,
+      /\+3 security-sensitive files: lib\/payments\/charge\.js src\/auth\/session\.js/
+    )
+    assert.match(output, /\+2 API files: api\/users\.js/)
+    assert.match(output, /\+2 config files: tsconfig\.json/)
+    assert.match(output, /TIER=comprehensive/)
+
+    // Without stdin only the unpushed commits since main are scored
+    const manual = run()
+    assert.match(manual, /\(merge-base with main\)/)
+    assert.match(manual, /Files changed: 5/)
+  })
+  console.log('  ✅ All pushed commits scored with their drivers\n')
+
+  // Test 2: New branch, deletions and the default branch itself
+  console.log('Test 2: new branch and fallbacks')
+  await withTempDir(async dir => {
+    const { git, commit, run } = createRepo(dir)
+    const rootSha = commit('README.md', 'demo\n')
+    for (let i = 0; i < 12; i++) {
+      commit(`src/api/module-${i}.js`, `module.exports = ${i}\n`)
+    }
+    git('checkout', '-q', '-b', 'docs')
+    commit('docs/a.md', 'a\n')
+    const localSha = commit('docs/b.md', 'b\n')
+
+    const output = run(
+      [
+        `refs/heads/docs ${localSha} refs/heads/docs ${ZERO_SHA}`,
+        `(delete) ${ZERO_SHA} refs/heads/old ${'1'.repeat(40)}`,
+        '',
+      ].join('\n')
+    )
+    assert.match(output, /\(merge-base with main\)/)
+    assert.match(output, /Files changed: 2/, 'Only the new branch commits')
+    assert.match(output, /Risk Score: 0\/10/)
+    assert.doesNotMatch(output, /Score drivers/)
+    assert.strictEqual((output.match(/Range:/g) || []).length, 1)
+
+    // Remote sha missing locally (e.g. after a force push elsewhere)
+    const unknown = run(
+      `refs/heads/docs ${localSha} refs/heads/docs ${'f'.repeat(40)}\n`
+    )
+    assert.match(unknown, /\(merge-base with main\)/)
+
+    git('checkout', '-q', 'main')
+    const onMain = run()
+    assert.match(onMain, /\(last commit\)/)
+    assert.match(onMain, /Files changed: 1/)
+    assert.match(onMain, /\+3 branch main/)
+
+    // Twelve commits pushed to main at once
+    const pushed = run(
+      `refs/heads/main ${git('rev-parse', 'HEAD')} refs/heads/main ${rootSha}\n`
+    )
+    assert.match(pushed, /Files changed: 12/)
+    assert.match(pushed, /\+2 more than 10 files changed/)
+    assert.match(
+      pushed,
+      /\+2 API files: src\/api\/module-0\.js src\/api\/module-1\.js src\/api\/module-10\.js \(\+9 more\)/
+    )
+  })
+  console.log('  ✅ Merge-base and last-commit fallbacks\n')
+
+  console.log('🎉 All smart strategy range tests passed!')
+})().catch(error => {
+  console.error('❌ Smart strategy range test failed:', error)
+  process.exit(1)
+})
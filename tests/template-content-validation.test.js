@@ -48,7 +48,7 @@ async function testSmartTestStrategyTemplateExcludesE2E() {
 
   // Test 2: HIGH RISK section should NOT include test:e2e
   const highRiskSection = content.match(
-    /RISK_SCORE -ge 7.*?\{\{TEST_COMPREHENSIVE\}\}/s
+    /tier_comprehensive\(\) \{.*?\{\{TEST_COMPREHENSIVE\}\}/s
   )
   if (!highRiskSection) {
     throw new Error('Could not find HIGH RISK section in template')
@@ -0,0 +1,265 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  renderTemplate,
+  buildTemplateContext,
+  createSampleContext,
+  lintTemplates,
+  SAMPLE_CONTEXTS,
+} = require('../lib/template-renderer')
+const { TemplateLoader } = require('../lib/template-loader')
+
+/**
+ * Tests for custom template rendering: variables, conditionals, partials,
+ * .tmpl loading and template-lint
+ */
+console.log('🧪 Testing custom template rendering...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-render-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const writeFiles = (dir, files) => {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(path.join(dir, file), content)
+  })
+}
+
+;(async () => {
+  console.log('Test 1: Variables, conditionals and passthrough syntax')
+  {
+    const context = createSampleContext(SAMPLE_CONTEXTS[1])
+    const template = [
+      'node: {{ nodeVersion }}',
+      '{{#if packageManager == "pnpm"}}',
+      'setup: corepack enable',
+      '{{else if pnp}}',
+      'setup: pnp',
+      '{{else}}',
+      'setup: none',
+      '{{/if}}',
+      '{{#unless python}}',
+      'python: false',
+      '{{/unless}}',
+      '{{! dropped }}',
+      'current: {{#if nodeVersion >= 22 && typescript}}yes{{else}}no{{/if}}',
+      'sha: ${{ github.sha }}',
+      'key: \\{{ checksum "package-lock.json" }}',
+      '',
+    ].join('\n')
+
+    assert.strictEqual(
+      renderTemplate(template, context),
+      [
+        'node: 22',
+        'setup: corepack enable',
+        'python: false',
+        'current: yes',
+        'sha: ${{ github.sha }}',
+        'key: {{ checksum "package-lock.json" }}',
+        '',
+      ].join('\n')
+    )
+    assert.strictEqual(
+      renderTemplate('{{ commands.install }}', context),
+      'pnpm install --frozen-lockfile'
+    )
+  }
+  console.log('  ✅ Values, if/else if/else, unless and escapes rendered\n')
+
+  console.log('Test 2: Partials are indented like their tag')
+  {
+    const partials = {
+      'setup-node':
+        '- uses: actions/setup-node@v6\n  with:\n    node-version: {{ nodeVersion }}\n',
+    }
+    const rendered = renderTemplate(
+      'steps:\n  {{> setup-node}}\n  - run: {{ commands.test }}\n',
+      createSampleContext(SAMPLE_CONTEXTS[0]),
+      { partials }
+    )
+    assert.strictEqual(
+      rendered,
+      'steps:\n  - uses: actions/setup-node@v6\n    with:\n      node-version: 20\n  - run: npm test\n'
+    )
+  }
+  console.log('  ✅ Standalone partial indented for YAML\n')
+
+  console.log('Test 3: Template errors name the file and line')
+  {
+    const context = createSampleContext(SAMPLE_CONTEXTS[0])
+    const expectError = (template, pattern, partials = {}) =>
+      assert.throws(
+        () => renderTemplate(template, context, { partials, file: 'ci.yml' }),
+        pattern
+      )
+
+    expectError('a\n{{ nodeVersoin }}', /ci\.yml:2: .*"nodeVersion"/)
+    expectError('{{#if typescript}}\nx', /ci\.yml:1: .*never closed/)
+    expectError('{{#if a}}{{/unless}}', /closes \{\{#if\}\}/)
+    expectError('{{ commands }}', /is an object/)
+    expectError('{{> missing}}', /Unknown partial "missing"/)
+    expectError('{{> loop}}', /includes itself/, { loop: '{{> loop}}' })
+    expectError('{{#if nodeVersion ==}}{{/if}}', /Invalid operand/)
+  }
+  console.log('  ✅ Unknown names, unbalanced blocks and loops rejected\n')
+
+  console.log('Test 4: .tmpl files are rendered by the loader')
+  await withTempDir(async dir => {
+    writeFiles(dir, {
+      '.prettierrc.tmpl': '{ "semi": {{ typescript }} }\n',
+      '.editorconfig': 'root = true\n',
+      '.editorconfig.tmpl': 'root = {{ typescript }}\n',
+      'partials/unused.tmpl': 'not a template\n',
+    })
+    const loader = new TemplateLoader({
+      verbose: false,
+      context: createSampleContext(SAMPLE_CONTEXTS[1]),
+    })
+    const templates = await loader.mergeTemplates(dir, null)
+    assert.deepStrictEqual(Object.keys(templates).sort(), [
+      '.editorconfig',
+      '.prettierrc',
+    ])
+    assert.strictEqual(templates['.prettierrc'], '{ "semi": true }\n')
+    assert.strictEqual(templates['.editorconfig'], 'root = true\n')
+
+    // Without a context nothing is rendered
+    const raw = await new TemplateLoader({ verbose: false }).mergeTemplates(
+      dir,
+      null
+    )
+    assert.ok(raw['.prettierrc.tmpl'])
+
+    // Strict loading fails on template errors
+    fs.writeFileSync(path.join(dir, '.prettierrc.tmpl'), '{{ nope }}')
+    await assert.rejects(
+      new TemplateLoader({
+        verbose: false,
+        strict: true,
+        context: createSampleContext(SAMPLE_CONTEXTS[0]),
+      }).mergeTemplates(dir, null),
+      /Failed to render template \.prettierrc\.tmpl:1: Unknown variable "nope"/
+    )
+  })
+  console.log(
+    '  ✅ Rendered templates override plain files; partials skipped\n'
+  )
+
+  console.log('Test 5: Context is built from the project')
+  await withTempDir(async dir => {
+    writeFiles(dir, {
+      'package.json': JSON.stringify({
+        name: 'ctx-project',
+        devDependencies: { typescript: '^5.0.0' },
+      }),
+      'pnpm-lock.yaml': '',
+      '.nvmrc': 'v22.3.0\n',
+      '.qualityrc.json': JSON.stringify({
+        maturity: 'auto',
+        detected: { level: 'development' },
+      }),
+      '.gitlab-ci.yml': '',
+    })
+    const context = buildTemplateContext(dir)
+    assert.strictEqual(context.projectName, 'ctx-project')
+    assert.strictEqual(context.nodeVersion, '22')
+    assert.strictEqual(context.packageManager, 'pnpm')
+    assert.strictEqual(context.lockfile, 'pnpm-lock.yaml')
+    assert.strictEqual(context.commands.run, 'pnpm run')
+    assert.strictEqual(context.maturity, 'development')
+    assert.strictEqual(context.ciProvider, 'gitlab')
+    assert.strictEqual(context.typescript, true)
+    assert.strictEqual(context.python, false)
+    assert.strictEqual(
+      buildTemplateContext(dir, { ciProvider: 'circleci' }).ciProvider,
+      'circleci'
+    )
+  })
+  console.log('  ✅ Project name, Node version, manager, maturity detected\n')
+
+  console.log('Test 6: lintTemplates checks every sample context')
+  {
+    const contexts = SAMPLE_CONTEXTS.map(createSampleContext)
+    const clean = lintTemplates(
+      {
+        'ci/gitlab-ci.yml.tmpl': 'install:\n  script:\n    {{> install}}\n',
+        [path.join('partials', 'install.tmpl')]: '- {{ commands.install }}\n',
+        'README.md': '{{ not rendered }}',
+      },
+      contexts
+    )
+    assert.deepStrictEqual(clean, { templates: 1, partials: 1, problems: [] })
+
+    const { problems } = lintTemplates(
+      {
+        '.prettierrc.tmpl':
+          '{ "semi": {{#if packageManager == "bun"}}true{{/if}} }\n',
+        'a.yml.tmpl': '{{#if python}}{{ pythonVersion }}{{/if}}\n',
+        [path.join('partials', 'broken.tmpl')]: '{{#if pnp}}',
+      },
+      contexts
+    )
+    assert.strictEqual(problems.length, 3)
+    // Only some contexts produce invalid JSON; they are named
+    assert.match(problems[0].message, /not valid JSON/)
+    assert.strictEqual(problems[0].context, 'npm, Node 20, minimal, github')
+    // Unknown variables are found even in branches no sample reaches
+    assert.match(problems[1].message, /a\.yml\.tmpl: Unknown variable/)
+    assert.match(problems[2].message, /never closed/)
+  }
+  console.log('  ✅ Invalid output, unknown variables and syntax reported\n')
+
+  console.log('Test 7: template-lint command')
+  await withTempDir(async dir => {
+    writeFiles(dir, {
+      'ci/gitlab-ci.yml.tmpl': 'image: node:{{ nodeVersion }}\n',
+    })
+    const run = (...args) =>
+      spawnSync('node', [setupPath, ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+
+    const ok = run('--template-lint', '--template', '.')
+    assert.strictEqual(ok.status, 0, ok.stderr)
+    assert.match(ok.stdout, /Rendered 1 template\(s\).*against 5 context/)
+
+    fs.writeFileSync(
+      path.join(dir, 'contexts.json'),
+      JSON.stringify([{ nodeVersion: '24' }])
+    )
+    const custom = run('template-lint', '--context', 'contexts.json')
+    assert.strictEqual(custom.status, 0, custom.stderr)
+    assert.match(custom.stdout, /against 1 context/)
+
+    fs.writeFileSync(
+      path.join(dir, 'ci', 'gitlab-ci.yml.tmpl'),
+      'image: node:{{ node }}\n'
+    )
+    const failing = run('template-lint')
+    assert.strictEqual(failing.status, 1)
+    assert.match(failing.stderr, /Unknown variable "node"/)
+  })
+  console.log('  ✅ Exit codes and --context contexts\n')
+
+  console.log('🎉 All template rendering tests passed!')
+})().catch(error => {
+  console.error('❌ Template rendering test failed:', error)
+  process.exit(1)
+})
@@ -0,0 +1,332 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { execFileSync, spawnSync } = require('child_process')
+
+const {
+  parseTemplateSource,
+  hashDirectory,
+  resolveTemplateSource,
+} = require('../lib/template-source')
+
+/**
+ * Tests for npm and git template sources: parsing, caching, integrity
+ * pinning and update
+ */
+console.log('🧪 Testing template sources...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'template-source-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const writeFiles = (dir, files) => {
+  Object.entries(files).forEach(([file, content]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(path.join(dir, file), content)
+  })
+}
+
+const git = (cwd, ...args) =>
+  execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'Test',
+      GIT_COMMITTER_EMAIL: 'test@example.com',
+    },
+  }).trim()
+
+/**
+ * Template repository published as a bare repo, reachable over file://
+ * @param {string} dir - Scratch directory
+ * @returns {{url: string, release: (tag: string, files: Object) => string}}
+ */
+const createTemplateRepo = dir => {
+  const work = path.join(dir, 'templates-work')
+  const bare = path.join(dir, 'templates.git')
+  fs.mkdirSync(work)
+  git(work, 'init', '-q')
+  git(dir, 'init', '-q', '--bare', bare)
+  return {
+    url: `file://${bare}`,
+    release(tag, files) {
+      writeFiles(work, files)
+      git(work, 'add', '-A')
+      git(work, 'commit', '-q', '-m', tag)
+      git(work, 'tag', '-f', tag)
+      git(work, 'push', '-q', '-f', bare, 'HEAD:refs/heads/main', `${tag}`)
+      return git(work, 'rev-parse', 'HEAD')
+    },
+  }
+}
+
+;(async () => {
+  console.log('Test 1: Template sources are parsed')
+  {
+    assert.deepStrictEqual(parseTemplateSource('npm:@acme/qa-templates@^2'), {
+      type: 'npm',
+      name: '@acme/qa-templates',
+      range: '^2',
+    })
+    assert.deepStrictEqual(parseTemplateSource('npm:qa-templates'), {
+      type: 'npm',
+      name: 'qa-templates',
+      range: 'latest',
+    })
+    assert.deepStrictEqual(parseTemplateSource('github:acme/templates#v2'), {
+      type: 'git',
+      url: 'https://github.com/acme/templates.git',
+      ref: 'v2',
+    })
+    assert.deepStrictEqual(
+      parseTemplateSource(
+        'git+ssh://git@example.com/acme/templates.git#v1.2.0'
+      ),
+      {
+        type: 'git',
+        url: 'ssh://git@example.com/acme/templates.git',
+        ref: 'v1.2.0',
+      }
+    )
+    assert.deepStrictEqual(parseTemplateSource('./org-templates'), {
+      type: 'local',
+      path: './org-templates',
+    })
+    assert.throws(() => parseTemplateSource('npm:@acme@2'), /Invalid npm/)
+    assert.throws(() => parseTemplateSource('npm:a/b'), /Invalid npm/)
+  }
+  console.log('  ✅ npm, git, github and local sources recognized\n')
+
+  console.log(
+    'Test 1b: Git sources that git could read as options are rejected'
+  )
+  await withTempDir(async dir => {
+    const marker = path.join(dir, 'marker')
+    for (const spec of [
+      `git+--upload-pack=touch ${marker};git-upload-pack#/path/repo`,
+      `git+ext::sh -c touch% ${marker}#main`,
+      'git+ssh://-oProxyCommand=touch/x.git',
+      'git+https://example.com/templates.git#--upload-pack=touch',
+      'github:-acme/templates',
+    ]) {
+      assert.throws(
+        () =>
+          resolveTemplateSource(spec, { cacheDir: path.join(dir, 'cache') }),
+        /Invalid git template source/,
+        spec
+      )
+    }
+    assert.strictEqual(fs.existsSync(marker), false)
+    assert.deepStrictEqual(
+      parseTemplateSource('git@github.com:acme/templates.git#feature/v2'),
+      {
+        type: 'git',
+        url: 'git@github.com:acme/templates.git',
+        ref: 'feature/v2',
+      }
+    )
+  })
+  console.log('  ✅ Option-like URLs, refs and unknown transports refused\n')
+
+  console.log('Test 2: Git sources are cached and pinned by integrity')
+  await withTempDir(async dir => {
+    const cacheDir = path.join(dir, 'cache')
+    const repo = createTemplateRepo(dir)
+    const v1 = repo.release('v1', { '.prettierrc': '{ "semi": false }\n' })
+    const spec = `git+${repo.url}#v1`
+
+    const first = resolveTemplateSource(spec, { cacheDir })
+    assert.strictEqual(first.fetched, true)
+    assert.strictEqual(first.source.resolved, v1)
+    assert.strictEqual(first.source.type, 'git')
+    assert.strictEqual(first.source.integrity, hashDirectory(first.path))
+    assert.ok(!fs.existsSync(path.join(first.path, '.git')))
+    assert.strictEqual(
+      fs.readFileSync(path.join(first.path, '.prettierrc'), 'utf8'),
+      '{ "semi": false }\n'
+    )
+
+    // A pinned version is served from the cache
+    const cached = resolveTemplateSource(spec, {
+      cacheDir,
+      pinned: first.source,
+    })
+    assert.strictEqual(cached.fetched, false)
+    assert.strictEqual(cached.path, first.path)
+
+    // A modified cache entry is fetched again at the pinned commit
+    fs.writeFileSync(path.join(first.path, '.prettierrc'), 'tampered')
+    const refetched = resolveTemplateSource(spec, {
+      cacheDir,
+      pinned: first.source,
+    })
+    assert.strictEqual(refetched.fetched, true)
+    assert.strictEqual(hashDirectory(refetched.path), first.source.integrity)
+
+    // Content that doesn't match the recorded integrity is rejected
+    assert.throws(
+      () =>
+        resolveTemplateSource(spec, {
+          cacheDir: path.join(dir, 'other-cache'),
+          pinned: { ...first.source, integrity: 'sha256-AAAA' },
+        }),
+      /do not match the integrity recorded in the manifest/
+    )
+  })
+  console.log('  ✅ Cache reused, repaired and verified\n')
+
+  console.log('Test 3: update picks up a moved ref')
+  await withTempDir(async dir => {
+    const cacheDir = path.join(dir, 'cache')
+    const repo = createTemplateRepo(dir)
+    const v1 = repo.release('stable', { '.editorconfig': 'root = true\n' })
+    const spec = `${repo.url}#stable`
+    const first = resolveTemplateSource(spec, { cacheDir })
+
+    const v2 = repo.release('stable', { '.editorconfig': 'root = false\n' })
+    const pinned = resolveTemplateSource(spec, {
+      cacheDir,
+      pinned: first.source,
+    })
+    assert.strictEqual(pinned.source.resolved, v1)
+
+    const updated = resolveTemplateSource(spec, {
+      cacheDir,
+      pinned: first.source,
+      update: true,
+    })
+    assert.strictEqual(updated.source.resolved, v2)
+    assert.strictEqual(updated.previous, v1)
+    assert.notStrictEqual(updated.source.integrity, first.source.integrity)
+
+    // Changing the spec drops the pin
+    const other = resolveTemplateSource(`${repo.url}#main`, {
+      cacheDir,
+      pinned: first.source,
+    })
+    assert.strictEqual(other.previous, null)
+    assert.strictEqual(other.source.resolved, v2)
+  })
+  console.log('  ✅ Pin kept until update resolves the ref again\n')
+
+  console.log('Test 4: Pinned npm templates are served from the cache')
+  await withTempDir(async dir => {
+    const cacheDir = path.join(dir, 'cache')
+    const cached = path.join(cacheDir, 'npm', '@acme+qa-templates@2.1.0')
+    writeFiles(cached, { '.prettierrc': '{}\n' })
+    const pinned = {
+      spec: 'npm:@acme/qa-templates@^2',
+      type: 'npm',
+      resolved: '2.1.0',
+      integrity: hashDirectory(cached),
+    }
+    // No network access needed while the cache matches the pin
+    const resolved = resolveTemplateSource(pinned.spec, { cacheDir, pinned })
+    assert.strictEqual(resolved.path, cached)
+    assert.strictEqual(resolved.fetched, false)
+    assert.deepStrictEqual(resolved.source, pinned)
+  })
+  console.log('  ✅ Scoped package cached under its version\n')
+
+  console.log('Test 5: Setup records the template source in the manifest')
+  await withTempDir(async dir => {
+    const project = path.join(dir, 'project')
+    const repo = createTemplateRepo(dir)
+    const v1 = repo.release('v1', { '.prettierrc': '{ "semi": false }\n' })
+    writeFiles(project, {
+      'package.json': JSON.stringify({ name: 'remote-templates' }),
+      '.qualityrc.json': JSON.stringify({
+        version: '1.0',
+        templates: `git+${repo.url}#v1`,
+      }),
+    })
+    git(project, 'init', '-q')
+
+    const run = (...args) =>
+      spawnSync('node', [setupPath, ...args], {
+        cwd: project,
+        encoding: 'utf8',
+        env: {
+          ...process.env,
+          QAA_DEVELOPER: 'true',
+          QAA_TEMPLATE_CACHE_DIR: path.join(dir, 'cache'),
+        },
+        timeout: 120000,
+      })
+    const readManifest = () =>
+      JSON.parse(
+        fs.readFileSync(
+          path.join(project, '.qa-architect', 'manifest.json'),
+          'utf8'
+        )
+      )
+
+    const setup = run()
+    assert.strictEqual(setup.status, 0, setup.stderr)
+    assert.match(
+      setup.stdout,
+      /📦 Using templates git\+file:.*#v1 at [0-9a-f]{40}/
+    )
+    const manifest = readManifest()
+    assert.strictEqual(manifest.templateDir, null)
+    assert.strictEqual(manifest.templateSource.resolved, v1)
+    assert.strictEqual(
+      fs.readFileSync(path.join(project, '.prettierrc'), 'utf8'),
+      '{ "semi": false }\n'
+    )
+
+    const doctor = run('doctor')
+    assert.match(doctor.stdout, /Templates from git\+file:.*#v1 at /)
+    assert.match(doctor.stdout, /\.prettierrc - up to date/)
+
+    // A new release of the tag is only used by update
+    const v2 = repo.release('v1', { '.prettierrc': '{ "semi": true }\n' })
+    const rerun = run()
+    assert.strictEqual(rerun.status, 0, rerun.stderr)
+    assert.match(rerun.stdout, /, cached/)
+    assert.strictEqual(readManifest().templateSource.resolved, v1)
+
+    const update = run('update')
+    assert.strictEqual(update.status, 0, update.stderr)
+    assert.ok(update.stdout.includes(`updated from ${v1}`), update.stdout)
+    assert.strictEqual(readManifest().templateSource.resolved, v2)
+  })
+  console.log('  ✅ Pinned on setup, refreshed by update, checked by doctor\n')
+
+  console.log('Test 6: Invalid --template specs are usage errors')
+  await withTempDir(async dir => {
+    fs.writeFileSync(
+      path.join(dir, 'package.json'),
+      JSON.stringify({ name: 'bad-template' })
+    )
+    for (const spec of ['npm:bad name', 'git+--upload-pack=x#main']) {
+      const result = spawnSync('node', [setupPath, '--template', spec], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+      assert.strictEqual(result.status, 1, spec)
+      assert.match(result.stderr, /❌ Invalid --template spec: Invalid/)
+      assert.doesNotMatch(result.stderr, /Unexpected Error|stack trace/)
+    }
+  })
+  console.log('  ✅ Parse errors reported without a stack trace\n')
+
+  console.log('🎉 All template source tests passed!')
+})().catch(error => {
+  console.error('❌ Template source test failed:', error)
+  process.exit(1)
+})
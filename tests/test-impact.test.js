@@ -0,0 +1,316 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  detectRunner,
+  parseIstanbulCoverage,
+  parseCoveragePyContexts,
+  recordIndex,
+  checkIndex,
+  selectTests,
+  getRunCommand,
+} = require('../lib/test-impact')
+const {
+  generateSmartStrategy,
+  writeSmartStrategy,
+} = require('../lib/smart-strategy-generator')
+
+/**
+ * Tests for coverage-based test impact selection: coverage parsing, index
+ * freshness, test selection and the pre-push fallback to tier commands
+ */
+console.log('🧪 Testing test impact selection...\n')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'test-impact-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+/**
+ * @param {string} dir - Empty directory
+ */
+const createRepo = dir => {
+  const git = (...args) => {
+    const result = spawnSync('git', args, { cwd: dir, encoding: 'utf8' })
+    assert.strictEqual(result.status, 0, result.stderr)
+    return result.stdout.trim()
+  }
+  const commit = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true })
+    fs.writeFileSync(path.join(dir, file), content)
+    git('add', '-A')
+    git('commit', '-q', '-m', `Change ${file}`)
+    return git('rev-parse', 'HEAD')
+  }
+  git('init', '-q', '-b', 'main')
+  git('config', 'user.email', 'test@example.com')
+  git('config', 'user.name', 'Test')
+  fs.writeFileSync(
+    path.join(dir, '.gitignore'),
+    'scripts/\n.qa-architect/\n.qualityrc.json\n'
+  )
+  return { git, commit }
+}
+
+const INDEX_TESTS = {
+  'tests/math.test.js': ['src/math.js', 'src/util.js'],
+  'tests/format.test.js': ['src/format.js', 'src/util.js'],
+  'tests/api.test.js': ['src/api.js'],
+}
+
+const writeIndex = (dir, commit, tests = INDEX_TESTS) => {
+  fs.mkdirSync(path.join(dir, '.qa-architect'), { recursive: true })
+  fs.writeFileSync(
+    path.join(dir, '.qa-architect', 'test-impact.json'),
+    JSON.stringify({ version: 1, runner: 'jest', commit, tests })
+  )
+}
+
+;(async () => {
+  // Test 1: Coverage reports to covered files
+  console.log('Test 1: coverage parsing')
+  {
+    const root = path.join(os.tmpdir(), 'project')
+    const istanbul = {
+      [path.join(root, 'src', 'math.js')]: { s: { 0: 1, 1: 0 } },
+      [path.join(root, 'src', 'unused.js')]: { s: { 0: 0 } },
+      [path.join(root, 'node_modules', 'lodash', 'index.js')]: { s: { 0: 3 } },
+      'src/relative.js': { s: { 0: 2 } },
+    }
+    assert.deepStrictEqual(parseIstanbulCoverage(istanbul, root), [
+      'src/math.js',
+      'src/relative.js',
+    ])
+
+    const coveragePy = {
+      files: {
+        'app/calc.py': {
+          contexts: {
+            1: [''],
+            4: ['tests/test_calc.py::test_add|run'],
+            7: [
+              'tests/test_calc.py::TestCalc::test_div|run',
+              'tests/test_api.py::test_sum|run',
+            ],
+          },
+        },
+        'app/api.py': { contexts: { 2: ['tests/test_api.py::test_sum|run'] } },
+        'app/unused.py': { contexts: { 1: [''] } },
+      },
+    }
+    assert.deepStrictEqual(parseCoveragePyContexts(coveragePy), {
+      'tests/test_calc.py': ['app/calc.py'],
+      'tests/test_api.py': ['app/api.py', 'app/calc.py'],
+    })
+  }
+  console.log('  ✅ Istanbul and coverage.py contexts parsed\n')
+
+  // Test 2: Selecting tests for a change set
+  console.log('Test 2: selectTests')
+  {
+    const index = { tests: INDEX_TESTS }
+    assert.deepStrictEqual(selectTests(index, ['src/util.js', 'README.md']), {
+      tests: ['tests/format.test.js', 'tests/math.test.js'],
+      uncovered: [],
+      fallback: null,
+    })
+    assert.deepStrictEqual(
+      selectTests(index, ['src/new-module.ts', 'tests/new.test.ts']),
+      {
+        tests: ['tests/new.test.ts'],
+        uncovered: ['src/new-module.ts'],
+        fallback: null,
+      },
+      'Changed tests run; new code nothing loads is reported'
+    )
+    assert.strictEqual(
+      selectTests(index, ['src/api.js', 'package-lock.json']).fallback,
+      'package-lock.json affects every test'
+    )
+    assert.strictEqual(
+      selectTests(index, ['tests/fixtures/users.json']).fallback,
+      'tests/fixtures/users.json is not traced by coverage'
+    )
+
+    assert.deepStrictEqual(getRunCommand('jest', ['a.test.js']), {
+      command: 'npx',
+      args: ['jest', '--runTestsByPath', 'a.test.js'],
+    })
+    assert.deepStrictEqual(getRunCommand('pytest', ['tests/test_a.py']).args, [
+      '-m',
+      'pytest',
+      'tests/test_a.py',
+    ])
+    assert.deepStrictEqual(
+      getRunCommand('jest', ['a b.test.js'], 'npm test --'),
+      {
+        command: 'sh',
+        args: ['-c', 'npm test -- "$@"', 'sh', 'a b.test.js'],
+      }
+    )
+  }
+  console.log('  ✅ Covering tests selected, unsafe changes fall back\n')
+
+  // Test 3: Runner detection and index freshness
+  console.log('Test 3: detectRunner / checkIndex / recordIndex')
+  await withTempDir(async dir => {
+    assert.strictEqual(detectRunner(dir), null)
+    fs.writeFileSync(
+      path.join(dir, 'pyproject.toml'),
+      '[tool.pytest.ini_options]\n'
+    )
+    assert.strictEqual(detectRunner(dir), 'pytest')
+    fs.writeFileSync(
+      path.join(dir, 'package.json'),
+      JSON.stringify({ devDependencies: { jest: '^29.0.0' } })
+    )
+    assert.strictEqual(detectRunner(dir), 'jest')
+    fs.rmSync(path.join(dir, 'package.json'))
+    fs.rmSync(path.join(dir, 'pyproject.toml'))
+
+    const noRunner = recordIndex(dir, { indexPath: path.join(dir, 'i.json') })
+    assert.strictEqual(noRunner.success, false)
+    assert.match(noRunner.error, /No Jest, Vitest or pytest setup found/)
+
+    const { git, commit } = createRepo(dir)
+    const recorded = commit('src/math.js', 'module.exports = 1\n')
+    const options = { runner: null, maxCommitsBehind: 2 }
+    const index = { version: 1, runner: 'jest', commit: recorded, tests: {} }
+
+    assert.deepStrictEqual(checkIndex(null, dir, options), {
+      fresh: false,
+      reason: 'no index recorded',
+    })
+    assert.strictEqual(checkIndex(index, dir, options).fresh, true)
+    assert.strictEqual(
+      checkIndex(index, dir, { ...options, runner: 'vitest' }).reason,
+      'index was recorded with jest'
+    )
+    commit('src/a.js', 'a\n')
+    commit('src/b.js', 'b\n')
+    assert.strictEqual(
+      checkIndex(index, dir, options).reason,
+      'recorded 2 commit(s) ago'
+    )
+    commit('src/c.js', 'c\n')
+    assert.strictEqual(
+      checkIndex(index, dir, options).reason,
+      'recorded 3 commits ago (limit 2)'
+    )
+
+    git('checkout', '-q', '--orphan', 'other')
+    git('commit', '-q', '-m', 'Unrelated history')
+    assert.match(
+      checkIndex(index, dir, options).reason,
+      /not in the current history/
+    )
+  })
+  console.log('  ✅ Missing, outdated and unrelated indexes detected\n')
+
+  // Test 4: Pre-push strategy runs only the impacted tests
+  console.log('Test 4: smart-test-strategy.sh with testImpact')
+  await withTempDir(async dir => {
+    const { git, commit } = createRepo(dir)
+    const { script } = generateSmartStrategy({
+      projectPath: dir,
+      projectType: 'default',
+      customTestCommands: {
+        comprehensive: 'echo DEFAULT=comprehensive',
+        medium: 'echo DEFAULT=medium',
+        fast: 'echo DEFAULT=fast',
+        minimal: 'echo DEFAULT=minimal',
+      },
+    })
+    writeSmartStrategy(dir, script)
+    assert.ok(fs.existsSync(path.join(dir, 'scripts', 'test-impact.js')))
+    fs.writeFileSync(
+      path.join(dir, '.qualityrc.json'),
+      JSON.stringify({
+        smartStrategy: {
+          workHours: false,
+          testImpact: {
+            enabled: true,
+            command: 'echo RAN',
+            maxCommitsBehind: 5,
+          },
+        },
+      })
+    )
+    commit('README.md', 'demo\n')
+    const base = commit('src/util.js', 'module.exports = 1\n')
+    for (const file of ['tests/math.test.js', 'tests/format.test.js']) {
+      fs.mkdirSync(path.join(dir, 'tests'), { recursive: true })
+      fs.writeFileSync(path.join(dir, file), '// test\n')
+    }
+    const remote = commit('tests/api.test.js', '// test\n')
+    git('checkout', '-q', '-b', 'feature')
+
+    const run = () => {
+      const result = spawnSync('bash', ['scripts/smart-test-strategy.sh'], {
+        cwd: dir,
+        encoding: 'utf8',
+        input: `refs/heads/feature ${git('rev-parse', 'HEAD')} refs/heads/feature ${remote}\n`,
+        env: { ...process.env, SKIP_SMART: '', FORCE_MINIMAL: '' },
+      })
+      return result
+    }
+
+    // No index yet: the tier command runs
+    commit('src/util.js', 'module.exports = 2\n')
+    let result = run()
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr)
+    assert.match(
+      result.stdout,
+      /Test impact index not usable \(no index recorded\)/
+    )
+    assert.match(result.stdout, /DEFAULT=medium/)
+
+    writeIndex(dir, base)
+    result = run()
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr)
+    assert.match(
+      result.stdout,
+      /Test impact: 2 of 3 test files cover the changes/
+    )
+    assert.match(
+      result.stdout,
+      /^RAN tests\/format\.test\.js tests\/math\.test\.js$/m
+    )
+    assert.doesNotMatch(result.stdout, /DEFAULT=/)
+
+    // Failing selected tests fail the push
+    fs.writeFileSync(
+      path.join(dir, '.qualityrc.json'),
+      JSON.stringify({
+        smartStrategy: {
+          workHours: false,
+          testImpact: { enabled: true, command: 'false' },
+        },
+      })
+    )
+    result = run()
+    assert.strictEqual(result.status, 1)
+
+    // A changed lockfile can't be traced through coverage
+    commit('package-lock.json', '{}\n')
+    result = run()
+    assert.strictEqual(result.status, 0, result.stdout + result.stderr)
+    assert.match(result.stdout, /package-lock\.json affects every test/)
+    assert.match(result.stdout, /DEFAULT=/)
+  })
+  console.log('  ✅ Impacted tests run, tier commands as fallback\n')
+
+  console.log('🎉 All test impact tests passed!')
+})().catch(error => {
+  console.error('❌ Test impact test failed:', error)
+  process.exit(1)
+})
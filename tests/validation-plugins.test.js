@@ -0,0 +1,375 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const { ValidationRunner } = require('../lib/validation')
+const ValidationFactory = require('../lib/validation/validation-factory')
+const {
+  isPluginPackage,
+  discoverPlugins,
+  loadPlugins,
+} = require('../lib/validation/plugins')
+const { validateQualityConfig } = require('../lib/config-validator')
+const { writeFile } = require('./file-test-helpers')
+
+/**
+ * Tests for validator plugins: discovery, loading, ValidationRunner and
+ * ValidationFactory integration, and result caching
+ */
+console.log('🧪 Testing validator plugins...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+const baseValidatorPath = path.join(
+  __dirname,
+  '..',
+  'lib',
+  'validation',
+  'base-validator.js'
+)
+const DISABLED_TOOLS = [
+  '--no-npm-audit',
+  '--no-gitleaks',
+  '--no-actionlint',
+  '--no-markdownlint',
+  '--no-eslint-security',
+]
+
+/**
+ * Source of a plugin that flags .js files without a license header and
+ * counts its validate() calls in runs.log
+ */
+const headerPluginSource = (name = 'license-headers') => `'use strict'
+const fs = require('fs')
+const path = require('path')
+const BaseValidator = require(${JSON.stringify(baseValidatorPath)})
+
+class LicenseHeaderValidator extends BaseValidator {
+  static pluginName = ${JSON.stringify(name)}
+  static label = 'License headers'
+
+  getCacheFiles() {
+    return this.sourceFiles()
+  }
+
+  sourceFiles() {
+    const root = this.options.projectPath
+    return fs.readdirSync(path.join(root, 'src')).map(f => path.join(root, 'src', f))
+  }
+
+  async validate() {
+    fs.appendFileSync(path.join(this.options.projectPath, 'runs.log'), 'run\\n')
+    const header = this.options.header || 'SPDX-License-Identifier'
+    for (const file of this.sourceFiles()) {
+      if (!fs.readFileSync(file, 'utf8').includes(header)) {
+        this.addFinding({
+          ruleId: 'license-headers/missing',
+          file: path.relative(this.options.projectPath, file),
+          line: 1,
+          message: 'Missing license header',
+        })
+      }
+    }
+  }
+}
+module.exports = LicenseHeaderValidator
+`
+
+const withTempProject = async fn => {
+  const dir = fs.realpathSync(
+    fs.mkdtempSync(path.join(os.tmpdir(), 'validator-plugins-'))
+  )
+  writeFile(dir, 'src/a.js', '// SPDX-License-Identifier: MIT\n')
+  writeFile(dir, 'src/b.js', 'module.exports = 1\n')
+  writeFile(
+    dir,
+    'package.json',
+    JSON.stringify({
+      name: 'demo',
+      version: '1.0.0',
+      devDependencies: { 'qa-architect-plugin-headers': '1.0.0' },
+    })
+  )
+  writeFile(
+    dir,
+    'node_modules/qa-architect-plugin-headers/package.json',
+    JSON.stringify({ name: 'qa-architect-plugin-headers', version: '1.2.0' })
+  )
+  writeFile(
+    dir,
+    'node_modules/qa-architect-plugin-headers/index.js',
+    headerPluginSource()
+  )
+  try {
+    await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const quietly = async fn => {
+  const original = {
+    log: console.log,
+    warn: console.warn,
+    error: console.error,
+  }
+  console.log = () => {}
+  console.warn = () => {}
+  console.error = () => {}
+  try {
+    return await fn()
+  } finally {
+    Object.assign(console, original)
+  }
+}
+
+const runCount = dir =>
+  fs.existsSync(path.join(dir, 'runs.log'))
+    ? fs.readFileSync(path.join(dir, 'runs.log'), 'utf8').split('\n').length - 1
+    : 0
+
+;(async () => {
+  // Test 1: Discovery from package.json and .qualityrc.json
+  console.log('Test 1: discoverPlugins')
+  await withTempProject(async dir => {
+    assert.ok(isPluginPackage('qa-architect-plugin-headers'))
+    assert.ok(isPluginPackage('@acme/qa-architect-plugin-owners'))
+    assert.ok(!isPluginPackage('eslint-plugin-qa-architect-plugin'))
+
+    writeFile(dir, 'tools/owners.js', headerPluginSource('owners'))
+    writeFile(
+      dir,
+      '.qualityrc.json',
+      JSON.stringify({
+        version: '1.0.0',
+        plugins: [
+          { module: './tools/owners.js', options: { header: 'Owner:' } },
+          'qa-architect-plugin-headers',
+        ],
+      })
+    )
+    assert.ok(validateQualityConfig(path.join(dir, '.qualityrc.json')).valid)
+    assert.deepStrictEqual(discoverPlugins(dir), [
+      { module: './tools/owners.js', options: { header: 'Owner:' } },
+      { module: 'qa-architect-plugin-headers', options: {} },
+    ])
+
+    const { plugins, errors } = loadPlugins(dir)
+    assert.deepStrictEqual(errors, [])
+    assert.deepStrictEqual(
+      plugins.map(p => [p.name, p.label, p.version]),
+      [
+        ['owners', 'License headers', null],
+        ['license-headers', 'License headers', '1.2.0'],
+      ]
+    )
+  })
+  console.log('  ✅ Dependencies and config entries discovered\n')
+
+  // Test 2: Invalid plugins are reported, not skipped
+  console.log('Test 2: Plugin load errors')
+  await withTempProject(async dir => {
+    writeFile(dir, 'tools/not-a-class.js', 'module.exports = { validate() {} }')
+    writeFile(
+      dir,
+      'tools/no-name.js',
+      `module.exports = class extends require(${JSON.stringify(baseValidatorPath)}) {}`
+    )
+    writeFile(dir, 'tools/dupe.js', headerPluginSource())
+    writeFile(dir, 'tools/reserved.js', headerPluginSource('documentation'))
+
+    const { plugins, errors } = loadPlugins(dir, [
+      { module: 'qa-architect-plugin-headers', options: {} },
+      { module: './tools/missing.js', options: {} },
+      { module: './tools/not-a-class.js', options: {} },
+      { module: './tools/no-name.js', options: {} },
+      { module: './tools/dupe.js', options: {} },
+    ])
+    assert.strictEqual(plugins.length, 1)
+    assert.deepStrictEqual(
+      errors.map(e => e.message),
+      [
+        'Plugin ./tools/missing.js not found. Install it or fix the path in .qualityrc.json.',
+        'Plugin ./tools/not-a-class.js must export a class extending BaseValidator',
+        'Plugin ./tools/no-name.js must set static pluginName (lowercase letters, digits and dashes)',
+        'Plugin ./tools/dupe.js reuses the pluginName "license-headers"',
+      ]
+    )
+
+    const runner = new ValidationRunner({
+      projectPath: dir,
+      plugins: [{ module: './tools/reserved.js', options: {} }],
+    })
+    assert.strictEqual(runner.plugins.length, 0)
+    const report = await quietly(() =>
+      runner.runReport(['./tools/reserved.js'])
+    )
+    assert.strictEqual(report.passed, false)
+    assert.strictEqual(report.findings[0].ruleId, 'validator-error')
+    assert.match(report.findings[0].message, /reserved name "documentation"/)
+  })
+  console.log('  ✅ Missing and invalid plugins fail the run\n')
+
+  // Test 3: Plugins take part in comprehensive runs and reports
+  console.log('Test 3: ValidationRunner integration')
+  await withTempProject(async dir => {
+    const runner = new ValidationRunner({ projectPath: dir, cache: false })
+    assert.deepStrictEqual(
+      runner.getChecks().map(check => check.name),
+      ['configSecurity', 'documentation', 'workflows', 'license-headers']
+    )
+
+    const report = await quietly(() => runner.runReport(['license-headers']))
+    assert.deepStrictEqual(report.validators, [
+      {
+        name: 'license-headers',
+        label: 'License headers',
+        passed: false,
+        errors: 1,
+        warnings: 0,
+      },
+    ])
+    assert.deepStrictEqual(
+      report.findings.map(f => [f.validator, f.ruleId, f.file, f.line]),
+      [['license-headers', 'license-headers/missing', 'src/b.js', 1]]
+    )
+
+    // Only the plugin fails, so mock out the slow built-in checks
+    const mocked = /** @type {any} */ (runner)
+    mocked.runConfigSecurity = async () => ({ passed: true })
+    mocked.runDocumentationValidation = async () => ({ passed: true })
+    mocked.runWorkflowValidation = async () => ({ passed: true })
+    const logs = []
+    await assert.rejects(
+      () =>
+        quietly(() => {
+          console.error = message => logs.push(message)
+          return runner.runComprehensiveCheckParallel()
+        }),
+      /Comprehensive validation failed/
+    )
+    assert.ok(
+      logs.some(line =>
+        String(line).includes('License headers: License headers found 1 issue')
+      ),
+      'Plugin failures are listed in the summary'
+    )
+
+    writeFile(dir, 'src/b.js', '// SPDX-License-Identifier: MIT\n')
+    const results = await quietly(() => runner.runComprehensiveCheck())
+    assert.deepStrictEqual(results['license-headers'], {
+      passed: true,
+      cached: false,
+    })
+  })
+  console.log('  ✅ Plugins run with the built-in checks\n')
+
+  // Test 4: Results are cached with CacheManager
+  console.log('Test 4: Plugin result caching')
+  await withTempProject(async dir => {
+    const options = {
+      projectPath: dir,
+      cacheDir: path.join(dir, '.create-qa-architect-cache'),
+    }
+    const run = () =>
+      quietly(() =>
+        new ValidationRunner(options).runReport(['license-headers'])
+      )
+
+    const first = await run()
+    const second = await run()
+    assert.strictEqual(runCount(dir), 1, 'Second run served from cache')
+    assert.deepStrictEqual(second.findings, first.findings)
+
+    writeFile(dir, 'src/b.js', '// SPDX-License-Identifier: MIT\n')
+    const third = await run()
+    assert.strictEqual(runCount(dir), 2, 'Changed file invalidates the cache')
+    assert.strictEqual(third.passed, true)
+
+    await quietly(() =>
+      new ValidationRunner({ ...options, cache: false }).runReport([
+        'license-headers',
+      ])
+    )
+    assert.strictEqual(runCount(dir), 3, 'cache: false always runs')
+  })
+  console.log('  ✅ Unchanged files reuse cached findings\n')
+
+  // Test 5: ValidationFactory plugin types
+  console.log('Test 5: ValidationFactory plugin types')
+  await withTempProject(async dir => {
+    const factory = new ValidationFactory({ projectPath: dir })
+    assert.deepStrictEqual(factory.loadPlugins(), [])
+
+    const validators = factory.createAllValidators()
+    assert.deepStrictEqual(Object.keys(validators), [
+      'security',
+      'documentation',
+      'workflow',
+      'license-headers',
+    ])
+    const headers = factory.getValidator('license-headers')
+    await headers.validate()
+    headers.validationComplete = true
+    assert.strictEqual(headers.passed(), false)
+    assert.deepStrictEqual(
+      factory.getReport().findings.map(f => f.ruleId),
+      ['license-headers/missing']
+    )
+
+    assert.throws(
+      () =>
+        factory.registerValidatorType(
+          'security',
+          validators.security.constructor
+        ),
+      /Cannot override built-in validator type: security/
+    )
+    assert.throws(
+      () => factory.registerValidatorType('broken', class {}),
+      /must extend BaseValidator/
+    )
+  })
+  console.log('  ✅ Plugins registered as validator types\n')
+
+  // Test 6: validate on the command line
+  console.log('Test 6: validate runs discovered plugins')
+  await withTempProject(async dir => {
+    writeFile(dir, 'README.md', '# Demo\n\nInstall with `npm install`.\n')
+    writeFile(dir, '.gitignore', 'node_modules\n.env*\n*.log\n')
+    const result = spawnSync(
+      'node',
+      [setupPath, 'validate', '--format', 'json', ...DISABLED_TOOLS],
+      {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      }
+    )
+    const report = JSON.parse(result.stdout)
+    assert.ok(
+      report.validators.some(v => v.name === 'license-headers'),
+      'Plugin included in the report'
+    )
+    assert.ok(
+      report.findings.some(f => f.ruleId === 'license-headers/missing'),
+      'Plugin findings reported'
+    )
+
+    const plan = spawnSync('node', [setupPath, 'validate', '--dry-run'], {
+      cwd: dir,
+      encoding: 'utf8',
+      env: { ...process.env, QAA_DEVELOPER: 'true' },
+    })
+    assert.match(plan.stdout, /• License headers \(plugin\)/)
+  })
+  console.log('  ✅ Plugin findings in validate output\n')
+
+  console.log('🎉 All validator plugin tests passed!')
+})().catch(error => {
+  console.error('❌ Validator plugin tests failed:', error)
+  process.exit(1)
+})
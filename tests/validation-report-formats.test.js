@@ -0,0 +1,291 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+
+const {
+  ConfigSecurityScanner,
+  DocumentationValidator,
+  WorkflowValidator,
+} = require('../lib/validation')
+const {
+  createValidationReport,
+  formatValidationReport,
+} = require('../lib/validation/report-formats')
+const { writeFile } = require('./file-test-helpers')
+
+/**
+ * Tests for structured validator findings and the json/sarif/junit
+ * validation report formats
+ */
+console.log('🧪 Testing validation report formats...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+const DISABLED_TOOLS = [
+  '--no-npm-audit',
+  '--no-gitleaks',
+  '--no-actionlint',
+  '--no-markdownlint',
+  '--no-eslint-security',
+]
+
+const withTempProject = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-report-'))
+  const originalCwd = process.cwd()
+  writeFile(
+    dir,
+    'README.md',
+    '# Demo\n\nInstall with `npm install`.\n\nSee `docs/missing.md` or run `npm run nope`.\n'
+  )
+  writeFile(
+    dir,
+    'package.json',
+    JSON.stringify({ name: 'demo', version: '1.0.0', scripts: {} })
+  )
+  writeFile(dir, '.gitignore', 'node_modules\n.env*\n*.log\n')
+  writeFile(dir, 'Dockerfile', 'FROM node:20\n\nENV API_TOKEN=abc123\n')
+  writeFile(
+    dir,
+    '.github/workflows/ci.yml',
+    'name: CI\non: push\njobs:\n  pr:\n    runs-on: ubuntu-latest\n    steps:\n      - run: echo "${{ github.event.pull_request.head.repo.full_name }}"\n'
+  )
+  try {
+    process.chdir(dir)
+    await fn(dir)
+  } finally {
+    process.chdir(originalCwd)
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const quietly = async fn => {
+  const original = {
+    log: console.log,
+    warn: console.warn,
+    error: console.error,
+  }
+  console.log = () => {}
+  console.warn = () => {}
+  console.error = () => {}
+  try {
+    return await fn()
+  } finally {
+    Object.assign(console, original)
+  }
+}
+
+;(async () => {
+  // Test 1: Validators record rule ids and locations
+  console.log('Test 1: Structured findings from the validators')
+  await withTempProject(async () => {
+    const scanner = new ConfigSecurityScanner({ quiet: true })
+    await scanner.scanDockerSecrets()
+    assert.deepStrictEqual(scanner.getFindings(), [
+      {
+        ruleId: 'docker/env-secret',
+        severity: 'error',
+        message:
+          'Dockerfile: Hardcoded secret in ENV statement: ENV API_TOKEN=[REDACTED]',
+        file: 'Dockerfile',
+        line: 3,
+        column: null,
+      },
+    ])
+    assert.strictEqual(scanner.issues.length, 1, 'Text issues still recorded')
+
+    const docs = new DocumentationValidator()
+    await docs.validateFileReferences()
+    await docs.validateScriptReferences()
+    const docRules = docs.getFindings().map(f => [f.ruleId, f.file, f.line])
+    assert.deepStrictEqual(docRules, [
+      ['readme/missing-file', 'README.md', 5],
+      ['readme/missing-script', 'README.md', 5],
+    ])
+
+    const workflows = new WorkflowValidator({ quiet: true })
+    await workflows.validateWorkflowSyntax()
+    const [untrusted] = workflows.getFindings()
+    assert.strictEqual(untrusted.ruleId, 'workflow/untrusted-input')
+    assert.strictEqual(
+      untrusted.file,
+      path.join('.github', 'workflows', 'ci.yml')
+    )
+    assert.strictEqual(untrusted.line, 7)
+  })
+  console.log('  ✅ Rule ids, severities, files and lines recorded\n')
+
+  // Test 2: Report schema and stability
+  console.log('Test 2: createValidationReport')
+  await withTempProject(async () => {
+    const buildReport = async () => {
+      const docs = new DocumentationValidator({ disableMarkdownlint: true })
+      const workflows = new WorkflowValidator({
+        quiet: true,
+        disableActionlint: true,
+      })
+      /** @type {Array<[string, string, DocumentationValidator|WorkflowValidator]>} */
+      const validators = [
+        ['workflows', 'Workflow validation', workflows],
+        ['documentation', 'Documentation validation', docs],
+      ]
+      const checks = []
+      for (const [name, label, validator] of validators) {
+        let error = null
+        try {
+          await quietly(() => validator.validateAll())
+        } catch (checkError) {
+          error = checkError.message
+        }
+        checks.push({ name, label, validator, error })
+      }
+      return createValidationReport(checks)
+    }
+
+    const report = await buildReport()
+    assert.strictEqual(report.schemaVersion, 1)
+    assert.strictEqual(report.passed, false)
+    assert.deepStrictEqual(report.summary, {
+      validators: 2,
+      failed: 2,
+      errors: 3,
+      warnings: 5,
+    })
+    assert.deepStrictEqual(
+      report.findings.map(f => f.validator),
+      [...report.findings.map(f => f.validator)].sort(),
+      'Findings sorted by validator'
+    )
+    const untrusted = report.findings.find(
+      f => f.ruleId === 'workflow/untrusted-input'
+    )
+    assert.strictEqual(untrusted.file, '.github/workflows/ci.yml')
+    assert.match(untrusted.fingerprint, /^[0-9a-f]{16}$/)
+
+    assert.strictEqual(
+      formatValidationReport(await buildReport(), 'json'),
+      formatValidationReport(report, 'json'),
+      'Same tree, same report'
+    )
+
+    // Moving a finding to another line keeps its fingerprint
+    const before = report.findings.find(f => f.ruleId === 'readme/missing-file')
+    fs.writeFileSync(
+      'README.md',
+      `# Demo\n\nIntro\n\n${fs.readFileSync('README.md', 'utf8')}`
+    )
+    const after = (await buildReport()).findings.find(
+      f => f.ruleId === 'readme/missing-file'
+    )
+    assert.strictEqual(after.line, before.line + 4)
+    assert.strictEqual(after.fingerprint, before.fingerprint)
+  })
+  console.log('  ✅ Sorted, deterministic report with stable fingerprints\n')
+
+  // Test 3: SARIF and JUnit serialization
+  console.log('Test 3: SARIF and JUnit output')
+  {
+    const validator = new DocumentationValidator()
+    validator.addFinding({
+      ruleId: 'readme/missing-file',
+      file: 'README.md',
+      line: 4,
+      message: 'README.md references non-existent file: <a&b>.md',
+    })
+    validator.addWarning('package.json should specify a license', {
+      ruleId: 'package-json/license',
+      file: 'package.json',
+    })
+    const crashed = new WorkflowValidator()
+    const report = createValidationReport([
+      { name: 'documentation', label: 'Documentation', validator },
+      {
+        name: 'workflows',
+        label: 'Workflows',
+        validator: crashed,
+        error: 'boom',
+      },
+    ])
+
+    const sarif = JSON.parse(formatValidationReport(report, 'sarif'))
+    assert.strictEqual(sarif.version, '2.1.0')
+    const run = sarif.runs[0]
+    assert.deepStrictEqual(
+      run.tool.driver.rules.map(rule => rule.id),
+      ['package-json/license', 'readme/missing-file', 'validator-error']
+    )
+    const missingFile = run.results.find(
+      r => r.ruleId === 'readme/missing-file'
+    )
+    assert.strictEqual(missingFile.level, 'error')
+    assert.strictEqual(missingFile.ruleIndex, 1)
+    assert.deepStrictEqual(missingFile.locations[0].physicalLocation, {
+      artifactLocation: { uri: 'README.md' },
+      region: { startLine: 4 },
+    })
+    const crash = run.results.find(r => r.ruleId === 'validator-error')
+    assert.strictEqual(crash.message.text, 'Workflows: boom')
+    assert.strictEqual(crash.locations, undefined)
+
+    const junit = formatValidationReport(report, 'junit')
+    assert.ok(
+      junit.includes(
+        '<testsuites name="create-qa-architect" tests="3" failures="2" errors="0">'
+      )
+    )
+    assert.ok(junit.includes('name="readme/missing-file README.md:4"'))
+    assert.ok(junit.includes('&lt;a&amp;b&gt;.md'), 'XML escaped')
+    assert.ok(
+      junit.includes(
+        '<system-out>package.json should specify a license</system-out>'
+      )
+    )
+    assert.throws(() => formatValidationReport(report, 'csv'), /Unsupported/)
+  }
+  console.log('  ✅ SARIF 2.1.0 results and JUnit test cases\n')
+
+  // Test 4: validate --format on the command line
+  console.log('Test 4: validate --format json|sarif')
+  await withTempProject(async dir => {
+    const run = (...args) =>
+      spawnSync('node', [setupPath, 'validate', ...args, ...DISABLED_TOOLS], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+
+    const json = run('--format', 'json')
+    assert.strictEqual(json.status, 1, 'Findings fail the run')
+    const report = JSON.parse(json.stdout)
+    assert.ok(
+      report.findings.some(f => f.ruleId === 'docker/env-secret'),
+      'stdout holds only the report'
+    )
+
+    const sarif = run(
+      '--security-config',
+      '--format',
+      'sarif',
+      '--output',
+      'qa.sarif'
+    )
+    assert.strictEqual(sarif.status, 1)
+    const { runs } = JSON.parse(
+      fs.readFileSync(path.join(dir, 'qa.sarif'), 'utf8')
+    )
+    assert.ok(
+      runs[0].results.every(r => r.properties.validator === 'configSecurity'),
+      '--security-config only reports security findings'
+    )
+
+    assert.strictEqual(run('--output', 'x.json').status, 1)
+  })
+  console.log('  ✅ Reports written to stdout or --output\n')
+
+  console.log('🎉 All validation report format tests passed!')
+})().catch(error => {
+  console.error('❌ Validation report format tests failed:', error)
+  process.exit(1)
+})
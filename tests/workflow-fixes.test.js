@@ -0,0 +1,267 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawnSync } = require('child_process')
+const yaml = require('js-yaml')
+
+const { applyWorkflowFixes, narrowCron } = require('../lib/workflow-fixes')
+const { analyzeOptimizations } = require('../lib/commands/analyze-ci')
+
+/**
+ * Tests for analyze-ci --fix workflow edits
+ */
+console.log('🧪 Testing analyze-ci workflow fixes...\n')
+
+const setupPath = path.join(__dirname, '..', 'setup.js')
+
+const withTempDir = async fn => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-fixes-'))
+  try {
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
+
+const CI_WORKFLOW = `# CI pipeline
+name: CI
+on: [push, pull_request] # every change
+
+# Jobs below
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-node@v4
+        with:
+          node-version: 20 # LTS
+      - run: npm ci
+      - name: Test
+        run: npm test
+  lint:
+    runs-on: ubuntu-latest
+    steps:
+    - name: Setup
+      uses: "actions/setup-node@v4"
+    - run: yarn install
+`
+
+const recommendationsFor = (content, projectPath, name = 'ci.yml') =>
+  analyzeOptimizations(
+    [{ name, estimatedDuration: 20, parsed: yaml.load(content) }],
+    10,
+    projectPath
+  )
+
+;(async () => {
+  // A project with the npm and yarn lockfiles the setup-node cache needs
+  const lockedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-fixes-'))
+  fs.writeFileSync(path.join(lockedDir, 'package-lock.json'), '{}')
+  fs.writeFileSync(path.join(lockedDir, 'yarn.lock'), '')
+
+  console.log('Test 1: Recommendations carry their fixes')
+  const recommendations = recommendationsFor(CI_WORKFLOW, lockedDir)
+  const fixes = recommendations
+    .filter(rec => rec.fix)
+    .map(rec => `${rec.fix}${rec.job ? `:${rec.job}` : ''}`)
+    .sort()
+  assert.deepStrictEqual(fixes, [
+    'cache:lint',
+    'cache:test',
+    'concurrency',
+    'paths-ignore',
+  ])
+  assert.strictEqual(
+    recommendations.find(rec => rec.job === 'lint').cache,
+    'yarn'
+  )
+  console.log('  ✅ cache, paths-ignore and concurrency detected\n')
+
+  console.log('Test 1b: No cache fix without a lockfile')
+  await withTempDir(async dir => {
+    fs.writeFileSync(path.join(dir, 'yarn.lock'), '')
+    const unlocked = recommendationsFor(CI_WORKFLOW, dir)
+    const test = unlocked.find(rec => rec.job === 'test')
+    // setup-node fails on `cache: npm` without package-lock.json
+    assert.strictEqual(test.fix, undefined)
+    assert.match(
+      test.action,
+      /Commit package-lock\.json, then enable the setup-node cache/
+    )
+    assert.strictEqual(unlocked.find(rec => rec.job === 'lint').fix, 'cache')
+  })
+  console.log('  ✅ Lockfile recommended first, not applied\n')
+
+  console.log('Test 1c: Echoed install commands are not installs')
+  await withTempDir(async dir => {
+    fs.writeFileSync(path.join(dir, 'package-lock.json'), '{}')
+    // The shipped workflow echoes `pnpm install` for its install step and
+    // picks the package manager in a case statement
+    const shipped = fs.readFileSync(
+      path.join(__dirname, '..', '.github', 'workflows', 'quality.yml'),
+      'utf8'
+    )
+    const caching = recommendationsFor(shipped, dir, 'quality.yml').filter(
+      rec => rec.type === 'caching'
+    )
+    assert.deepStrictEqual(
+      caching.map(rec => rec.action).filter(action => /pnpm|yarn/.test(action)),
+      []
+    )
+    assert.ok(caching.every(rec => !rec.fix))
+
+    const echoed = `on: push
+jobs:
+  build:
+    steps:
+      - uses: actions/setup-node@v4
+      - run: |
+          echo "install-cmd=pnpm install --frozen-lockfile" >> $GITHUB_OUTPUT
+      - run: npm ci
+`
+    const [rec] = recommendationsFor(echoed, dir).filter(
+      r => r.type === 'caching'
+    )
+    assert.strictEqual(rec.cache, 'npm')
+  })
+  console.log('  ✅ Only commands at the start of a line count\n')
+
+  console.log('Test 2: Fixes keep comments and formatting')
+  // As --fix does, only the fixable recommendations
+  const { content, applied, skipped } = applyWorkflowFixes(
+    CI_WORKFLOW,
+    recommendations.filter(rec => rec.fix)
+  )
+  assert.strictEqual(applied.length, 4)
+  assert.deepStrictEqual(skipped, [])
+  // Only added lines, apart from the rewritten `on:` line
+  const before = CI_WORKFLOW.split('\n')
+  const after = content.split('\n')
+  assert.deepStrictEqual(
+    before.filter(line => !after.includes(line)),
+    ['on: [push, pull_request] # every change']
+  )
+  assert.ok(after.includes('on: # every change'))
+  assert.ok(after.includes('          node-version: 20 # LTS'))
+  assert.ok(after.includes('          cache: npm'))
+  assert.ok(after.includes('      with:'), 'lint step gets a with block')
+  assert.ok(after.includes('        cache: yarn'))
+  // concurrency goes above the comment that introduces jobs
+  assert.ok(content.includes('cancel-in-progress: true\n\n# Jobs below\njobs:'))
+
+  const parsed = yaml.load(content)
+  assert.deepStrictEqual(parsed.on.push['paths-ignore'], ['**/*.md', 'docs/**'])
+  assert.strictEqual(parsed.jobs.test.steps[1].with['node-version'], 20)
+  assert.strictEqual(parsed.jobs.lint.steps[0].with.cache, 'yarn')
+
+  // Re-analyzing the fixed workflow finds nothing left to fix
+  assert.deepStrictEqual(
+    recommendationsFor(content, lockedDir).filter(rec => rec.fix),
+    []
+  )
+  console.log('  ✅ Minimal line edits that parse as intended\n')
+
+  console.log('Test 3: Block triggers, schedules and unsafe edits')
+  const nightly = `on:
+  schedule:
+    - cron: "*/30 * * * *"
+  push:
+    branches: [main]
+  pull_request: {branches: [main]}
+jobs:
+  e2e:
+    steps:
+      - uses: actions/setup-node@v4
+        with: {node-version: 20}
+      - run: npm ci
+`
+  const result = applyWorkflowFixes(nightly, [
+    { fix: 'schedule', schedule: 'weekly', title: 'schedule' },
+    { fix: 'paths-ignore', title: 'paths' },
+    { fix: 'cache', job: 'e2e', cache: 'npm', title: 'cache' },
+    { fix: 'concurrency', title: 'concurrency' },
+    { title: 'matrix' },
+  ])
+  assert.deepStrictEqual(
+    result.applied.map(rec => rec.title),
+    ['schedule', 'concurrency']
+  )
+  assert.deepStrictEqual(
+    result.skipped.map(({ reason }) => reason),
+    [
+      '`pull_request` is written inline',
+      'setup-node `with` is written inline',
+      'no automatic fix',
+    ]
+  )
+  assert.ok(result.content.includes('    - cron: "0 0 * * 1"\n'))
+  assert.ok(result.content.includes('concurrency:\n  group: '))
+  assert.ok(result.content.endsWith('      - run: npm ci\n'))
+
+  assert.strictEqual(narrowCron('15 4 * * *', 'weekly'), '15 4 * * 1')
+  assert.strictEqual(narrowCron('15 4 * * 1-5', 'weekly'), '15 4 * * 1')
+  assert.strictEqual(narrowCron('15 4 * * 3', 'weekly'), null)
+  assert.strictEqual(narrowCron('0 6 * * 1', 'monthly'), '0 6 1 * *')
+  assert.strictEqual(narrowCron('0 6 1 * *', 'monthly'), null)
+  console.log('  ✅ Crons narrowed, inline YAML left alone\n')
+
+  console.log('Test 4: analyze-ci --fix')
+  await withTempDir(async dir => {
+    const workflowPath = path.join(dir, '.github', 'workflows', 'ci.yml')
+    fs.mkdirSync(path.dirname(workflowPath), { recursive: true })
+    fs.writeFileSync(workflowPath, CI_WORKFLOW)
+    fs.writeFileSync(path.join(dir, 'package-lock.json'), '{}')
+    const run = (...args) =>
+      spawnSync('node', [setupPath, 'analyze-ci', '--no-history', ...args], {
+        cwd: dir,
+        encoding: 'utf8',
+        env: { ...process.env, QAA_DEVELOPER: 'true' },
+      })
+
+    const preview = run('--fix', '--dry-run')
+    assert.strictEqual(preview.status, 0, preview.stderr)
+    assert.match(preview.stdout, /\+ {10}cache: npm/)
+    assert.match(
+      preview.stdout,
+      /✅ Add dependency caching \(test\): ~\d+ min\/month \(\$\d+\.\d\d\/month\)/
+    )
+    assert.match(preview.stdout, /Dry run: no workflow files were changed/)
+    assert.strictEqual(fs.readFileSync(workflowPath, 'utf8'), CI_WORKFLOW)
+
+    const cacheOnly = run('--fix', '--only', 'cache')
+    assert.strictEqual(cacheOnly.status, 0, cacheOnly.stderr)
+    assert.match(
+      cacheOnly.stdout,
+      /Updated 1 workflow file\(s\), saving an estimated/
+    )
+    const fixed = yaml.load(fs.readFileSync(workflowPath, 'utf8'))
+    assert.strictEqual(fixed.jobs.test.steps[1].with.cache, 'npm')
+    assert.strictEqual(fixed.concurrency, undefined)
+
+    const unknown = run('--fix', '--only', 'matrix')
+    assert.strictEqual(unknown.status, 1)
+    assert.match(unknown.stderr, /Unknown fix type "matrix"/)
+
+    const withoutFix = run('--dry-run')
+    assert.strictEqual(withoutFix.status, 1)
+    assert.match(withoutFix.stderr, /used with --fix/)
+
+    // Without yarn.lock the lint job keeps its setup-node step as it is
+    const lintStep = fixed.jobs.lint.steps[0]
+    assert.ok(!lintStep.with || lintStep.with.cache === undefined)
+    const noLockfile = run('--fix', '--only', 'cache')
+    assert.strictEqual(noLockfile.status, 0, noLockfile.stderr)
+    assert.match(noLockfile.stdout, /Nothing to fix automatically/)
+  })
+  fs.rmSync(lockedDir, { recursive: true, force: true })
+  console.log('  ✅ Preview, selected fixes and invalid options\n')
+
+  console.log('🎉 All workflow fix tests passed!')
+})().catch(error => {
+  console.error('❌ Workflow fix test failed:', error)
+  process.exit(1)
+})